@@ -0,0 +1,83 @@
+/**
+ * 운영진 로그인 세션 (브라우저 공용) — 출석 운영 · 팀장 포털 · ops · 단체 대회 · 대회 기록 · 춘백 운영.
+ * race verify-admin 로그인 → 서명 세션 토큰을 sessionStorage 에 두고 Authorization: Bearer 로 보낸다.
+ * 서버 검사: functions/lib/admin-auth.js
+ */
+(function (root) {
+  const STORAGE_KEY = "dmc_admin_session";
+
+  function read() {
+    try {
+      const s = JSON.parse(sessionStorage.getItem(STORAGE_KEY) || "null");
+      if (!s || !s.token || !s.expiresAt) return null;
+      if (Date.parse(s.expiresAt) <= Date.now()) {
+        sessionStorage.removeItem(STORAGE_KEY);
+        return null;
+      }
+      return s;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  function save(data) {
+    const s = { token: data.token, expiresAt: data.expiresAt, account: data.account || {} };
+    sessionStorage.setItem(STORAGE_KEY, JSON.stringify(s));
+    return s;
+  }
+
+  function clear() {
+    sessionStorage.removeItem(STORAGE_KEY);
+  }
+
+  /** @returns {{ username: string, displayName: string, role: string, roleLabel: string, team: string }|null} */
+  function account() {
+    const s = read();
+    return s ? s.account : null;
+  }
+
+  /** 요청 헤더 + Authorization (세션 없으면 그대로) */
+  function headers(extra) {
+    const out = Object.assign({}, extra || {});
+    const s = read();
+    if (s) out.Authorization = "Bearer " + s.token;
+    return out;
+  }
+
+  /**
+   * @param {string} loginUrl - race ?action=verify-admin (춘백은 chunbaek ?action=verify-admin)
+   * @returns {Promise<{ ok: boolean, error?: string, account?: object }>}
+   */
+  async function login(loginUrl, username, pw) {
+    const res = await fetch(loginUrl, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ username: username, pw: pw })
+    });
+    const data = await res.json();
+    if (!data.ok) return { ok: false, error: data.error || "로그인 실패" };
+    const s = save(data);
+    return { ok: true, account: s.account };
+  }
+
+  /** 서버 세션 폐기 후 로컬 삭제 (네트워크 실패해도 로컬은 지움) */
+  async function logout(logoutUrl) {
+    const h = headers({ "Content-Type": "application/json" });
+    clear();
+    if (!h.Authorization) return;
+    try {
+      await fetch(logoutUrl, { method: "POST", headers: h, body: "{}" });
+    } catch (_) {}
+  }
+
+  root.DmcAdminSession = {
+    STORAGE_KEY: STORAGE_KEY,
+    read: read,
+    save: save,
+    clear: clear,
+    account: account,
+    headers: headers,
+    login: login,
+    logout: logout
+  };
+})(typeof globalThis !== "undefined" ? globalThis : this);
@@ -0,0 +1,245 @@
+/**
+ * Kiosk offline check-in queue (IndexedDB) — shared by attendance-v2.js and sw.js.
+ * 네트워크가 끊기면 체크인을 clientRequestId 와 함께 큐에 넣고, 연결되면 SW가 재전송한다.
+ * 서버(handlePost)는 같은 clientRequestId 재전송 시 새 attendance 문서를 만들지 않는다.
+ * Pure helpers are node --test friendly; IndexedDB store is browser-only.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.DmcAttendanceCheckinQueue = factory();
+  }
+})(typeof globalThis !== "undefined" ? globalThis : this, function () {
+  const DB_NAME = "dmc-attendance-kiosk";
+  const DB_VERSION = 1;
+  const STORE_NAME = "checkinQueue";
+  const SYNC_TAG = "dmc-kiosk-checkin-replay";
+  const MSG_REPLAY = "dmc-kiosk-replay";
+  const MSG_UPDATED = "dmc-kiosk-queue-updated";
+  /** 서버 queuedAt 허용 범위(7일)보다 짧게 — 오래된 항목은 재전송하지 않고 버림 */
+  const QUEUE_MAX_AGE_MS = 3 * 86400000;
+
+  function createClientRequestId(cryptoImpl) {
+    const c = cryptoImpl || (typeof crypto !== "undefined" ? crypto : null);
+    if (c && typeof c.randomUUID === "function") return c.randomUUID();
+    return (
+      Date.now().toString(36) +
+      "-" +
+      Math.random().toString(36).slice(2, 10) +
+      Math.random().toString(36).slice(2, 10)
+    );
+  }
+
+  /** postCheckin 과 동일한 form-urlencoded 본문 */
+  function encodeCheckinBody(body) {
+    const params = new URLSearchParams();
+    Object.keys(body || {}).forEach(function (k) {
+      const v = body[k];
+      if (v === undefined || v === null) return;
+      if (typeof v === "boolean") {
+        params.append(k, v ? "true" : "false");
+      } else {
+        params.append(k, String(v));
+      }
+    });
+    return params.toString();
+  }
+
+  function buildQueueEntry(opts) {
+    const body = Object.assign({}, opts.body);
+    const queuedAt = Number(opts.now) || Date.now();
+    body.clientRequestId = opts.clientRequestId;
+    body.queuedAt = queuedAt;
+    return {
+      id: opts.clientRequestId,
+      url: opts.url,
+      body,
+      queuedAt,
+      attempts: 0,
+      lastError: "",
+      memberId: body.memberId || "",
+      nickname: body.nickname || "",
+      meetingDate: body.meetingDate || "",
+      meetingType: body.meetingType || "",
+      isGuest: body.isGuest === true,
+    };
+  }
+
+  /**
+   * 큐에 넣을 실패인가: 응답이 없거나(오프라인·타임아웃) 5xx.
+   * 4xx(ALREADY_CHECKED_IN, MEMBER_NOT_FOUND 등)는 재전송해도 결과가 같으므로 제외.
+   */
+  function isQueueableCheckinFailure(err) {
+    if (!err) return false;
+    const status = Number(err.status) || 0;
+    if (!status) return true;
+    return status >= 500;
+  }
+
+  /**
+   * 재전송 결과 분류.
+   * @returns {"done"|"drop"|"retry"}
+   */
+  function classifyReplayResult(status, json) {
+    const s = Number(status) || 0;
+    const body = json || {};
+    if (s >= 200 && s < 300 && body.ok) return "done";
+    if (s === 400 && body.error === "ALREADY_CHECKED_IN") return "done";
+    if (s >= 400 && s < 500) return "drop";
+    return "retry";
+  }
+
+  function entryMatchesMeeting(entry, meetingDate, meetingType) {
+    if (!entry) return false;
+    if (meetingDate && entry.meetingDate !== meetingDate) return false;
+    if (meetingType && String(entry.meetingType || "").toUpperCase() !== String(meetingType).toUpperCase()) {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * 키오스크 화면용 요약: 전체 대기 건수 + 현재 모임의 대기 회원.
+   */
+  function summarizeQueue(entries, meetingDate, meetingType) {
+    const list = Array.isArray(entries) ? entries : [];
+    const memberIds = [];
+    const nicknameKeys = [];
+    list.forEach(function (entry) {
+      if (!entryMatchesMeeting(entry, meetingDate, meetingType)) return;
+      if (entry.memberId) memberIds.push(entry.memberId);
+      const nk = String(entry.nickname || "").trim().toLowerCase();
+      if (nk) nicknameKeys.push(nk);
+    });
+    return { pendingCount: list.length, memberIds, nicknameKeys };
+  }
+
+  /**
+   * 큐 전체 재전송. 네트워크 예외가 나면 나머지는 다음 기회로 미룬다.
+   * @param {{ store: { list: Function, put: Function, remove: Function }, fetchImpl: Function, now?: number }} opts
+   */
+  async function replayQueue(opts) {
+    const store = opts.store;
+    const fetchImpl = opts.fetchImpl;
+    const now = Number(opts.now) || Date.now();
+    const entries = (await store.list()).slice().sort(function (a, b) {
+      return (a.queuedAt || 0) - (b.queuedAt || 0);
+    });
+    const result = { done: [], dropped: [], expired: [], pendingCount: 0 };
+    let offline = false;
+    for (const entry of entries) {
+      if (offline) {
+        result.pendingCount += 1;
+        continue;
+      }
+      if (now - (entry.queuedAt || 0) > QUEUE_MAX_AGE_MS) {
+        await store.remove(entry.id);
+        result.expired.push(entry);
+        continue;
+      }
+      let outcome = "retry";
+      let errorCode = "";
+      try {
+        const res = await fetchImpl(entry.url, {
+          method: "POST",
+          headers: { "Content-Type": "application/x-www-form-urlencoded;charset=UTF-8" },
+          body: encodeCheckinBody(entry.body),
+        });
+        const json = await res.json().catch(function () {
+          return {};
+        });
+        outcome = classifyReplayResult(res.status, json);
+        errorCode = json.error || "";
+      } catch (e) {
+        offline = true;
+        errorCode = "network";
+      }
+      if (outcome === "done") {
+        await store.remove(entry.id);
+        result.done.push(entry);
+      } else if (outcome === "drop") {
+        await store.remove(entry.id);
+        result.dropped.push(Object.assign({}, entry, { lastError: errorCode }));
+      } else {
+        await store.put(
+          Object.assign({}, entry, { attempts: (entry.attempts || 0) + 1, lastError: errorCode })
+        );
+        result.pendingCount += 1;
+      }
+    }
+    return result;
+  }
+
+  function openQueueDb(indexedDBImpl) {
+    return new Promise(function (resolve, reject) {
+      const req = indexedDBImpl.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = function () {
+        const db = req.result;
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+          db.createObjectStore(STORE_NAME, { keyPath: "id" });
+        }
+      };
+      req.onsuccess = function () {
+        resolve(req.result);
+      };
+      req.onerror = function () {
+        reject(req.error);
+      };
+    });
+  }
+
+  /** IndexedDB 기반 store ({ list, put, remove }) */
+  function createIdbQueueStore(indexedDBImpl) {
+    function run(mode, fn) {
+      return openQueueDb(indexedDBImpl).then(function (db) {
+        return new Promise(function (resolve, reject) {
+          const tx = db.transaction(STORE_NAME, mode);
+          const req = fn(tx.objectStore(STORE_NAME));
+          tx.oncomplete = function () {
+            db.close();
+            resolve(req ? req.result : undefined);
+          };
+          tx.onerror = function () {
+            db.close();
+            reject(tx.error);
+          };
+        });
+      });
+    }
+    return {
+      list: function () {
+        return run("readonly", function (s) {
+          return s.getAll();
+        }).then(function (rows) {
+          return rows || [];
+        });
+      },
+      put: function (entry) {
+        return run("readwrite", function (s) {
+          return s.put(entry);
+        });
+      },
+      remove: function (id) {
+        return run("readwrite", function (s) {
+          return s.delete(id);
+        });
+      },
+    };
+  }
+
+  return {
+    SYNC_TAG,
+    MSG_REPLAY,
+    MSG_UPDATED,
+    QUEUE_MAX_AGE_MS,
+    createClientRequestId,
+    encodeCheckinBody,
+    buildQueueEntry,
+    isQueueableCheckinFailure,
+    classifyReplayResult,
+    summarizeQueue,
+    replayQueue,
+    createIdbQueueStore,
+  };
+});
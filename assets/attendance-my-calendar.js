@@ -30,8 +30,9 @@
   }
 
   /**
-   * @param {{ monthKey: string, attendedDateKeys?: string[], todayKey?: string }} opts
-   * @returns {Array<{kind:'pad'|'day', day?:number, dateKey?:string, attend?:boolean, today?:boolean}>}
+   * @param {{ monthKey: string, attendedDateKeys?: string[], runLogDateKeys?: string[], todayKey?: string }} opts
+   *   runLogDateKeys: 정모 후 달린 기록(runLog)을 남긴 출석일
+   * @returns {Array<{kind:'pad'|'day', day?:number, dateKey?:string, attend?:boolean, run?:boolean, today?:boolean}>}
    */
   function buildMyAttendCalendarCells(opts) {
     const monthKey = String((opts && opts.monthKey) || "");
@@ -42,6 +43,9 @@
     const attended = new Set(
       Array.isArray(opts.attendedDateKeys) ? opts.attendedDateKeys : []
     );
+    const runs = new Set(
+      Array.isArray(opts.runLogDateKeys) ? opts.runLogDateKeys : []
+    );
     const todayKey = String((opts && opts.todayKey) || "");
     const pad = firstOfMonthSundayPad(y, month);
     const dim = daysInMonthCivil(y, month);
@@ -59,6 +63,7 @@
         day: d,
         dateKey,
         attend: attended.has(dateKey),
+        run: attended.has(dateKey) && runs.has(dateKey),
         today: dateKey === todayKey,
       });
     }
@@ -74,11 +79,21 @@
     return set;
   }
 
+  /** history items 중 runLog 가 있는 출석일 */
+  function runLogDateKeySet(items) {
+    return attendedDateKeySet(
+      (Array.isArray(items) ? items : []).filter(function (it) {
+        return it && it.runLog;
+      })
+    );
+  }
+
   /**
    * 내 출석·출석 완료 화면이 공유하는 cal-grid 마크업.
    * @param {{
    *   monthKey: string,
    *   attendedDateKeys?: string[],
+   *   runLogDateKeys?: string[],
    *   todayKey?: string,
    *   justCheckedInKey?: string,
    *   showTitle?: boolean,
@@ -106,12 +121,14 @@
       if (c.attend || isJust) cls += " attend";
       if (c.today) cls += " today-ring";
       if (isJust) cls += " just-checkin";
-      const title = isJust ? "방금 출석" : c.attend ? "출석" : c.today ? "오늘" : "";
+      if (c.run) cls += " has-run";
+      const title = isJust ? "방금 출석" : c.run ? "출석 · 달린 기록" : c.attend ? "출석" : c.today ? "오늘" : "";
       const sub = isJust ? '<span class="cal-day-sub">방금</span>' : "";
       body +=
         '<div class="' +
         cls +
         '"' +
+        (c.attend ? ' data-date-key="' + c.dateKey + '"' : "") +
         (title ? ' title="' + title + '"' : "") +
         ">" +
         c.day +
@@ -175,6 +192,7 @@
     buildMyAttendCalendarCells,
     buildAttendCalendarHtml,
     attendedDateKeySet,
+    runLogDateKeySet,
     isProfileCheckedInSession,
     daysInMonthCivil,
     firstOfMonthSundayPad,
@@ -0,0 +1,401 @@
+/**
+ * Minimal QR code encoder for the kiosk check-in QR (byte mode, ECC M, versions 1–10).
+ * 외부 라이브러리 없이 키오스크 화면에 출석 QR(URL + 서명 토큰, ~120자)을 그리기 위한 용도.
+ * Pure — node --test friendly; toSvg returns markup for innerHTML.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.DmcQrCode = factory();
+  }
+})(typeof globalThis !== "undefined" ? globalThis : this, function () {
+  /** version → [ecPerBlock, group1Blocks, group1Data, group2Blocks, group2Data] (ECC M) */
+  const EC_M = {
+    1: [10, 1, 16, 0, 0],
+    2: [16, 1, 28, 0, 0],
+    3: [26, 1, 44, 0, 0],
+    4: [18, 2, 32, 0, 0],
+    5: [24, 2, 43, 0, 0],
+    6: [16, 4, 27, 0, 0],
+    7: [18, 4, 31, 0, 0],
+    8: [22, 2, 38, 2, 39],
+    9: [22, 3, 36, 2, 37],
+    10: [26, 4, 43, 1, 44],
+  };
+  const ALIGN = {
+    1: [],
+    2: [6, 18],
+    3: [6, 22],
+    4: [6, 26],
+    5: [6, 30],
+    6: [6, 34],
+    7: [6, 22, 38],
+    8: [6, 24, 42],
+    9: [6, 26, 46],
+    10: [6, 28, 50],
+  };
+  const MAX_VERSION = 10;
+  /** ECC M format bits */
+  const EC_LEVEL_BITS = 0;
+
+  const EXP = new Array(512);
+  const LOG = new Array(256);
+  (function initGf() {
+    let x = 1;
+    for (let i = 0; i < 255; i++) {
+      EXP[i] = x;
+      LOG[x] = i;
+      x <<= 1;
+      if (x & 0x100) x ^= 0x11d;
+    }
+    for (let i = 255; i < 512; i++) EXP[i] = EXP[i - 255];
+  })();
+
+  function gfMul(a, b) {
+    if (a === 0 || b === 0) return 0;
+    return EXP[LOG[a] + LOG[b]];
+  }
+
+  function rsGenerator(degree) {
+    let poly = [1];
+    for (let i = 0; i < degree; i++) {
+      const next = new Array(poly.length + 1).fill(0);
+      for (let j = 0; j < poly.length; j++) {
+        next[j] ^= poly[j];
+        next[j + 1] ^= gfMul(poly[j], EXP[i]);
+      }
+      poly = next;
+    }
+    return poly;
+  }
+
+  function rsRemainder(data, gen) {
+    const res = new Array(gen.length - 1).fill(0);
+    data.forEach(function (b) {
+      const factor = b ^ res.shift();
+      res.push(0);
+      for (let i = 0; i < res.length; i++) res[i] ^= gfMul(gen[i + 1], factor);
+    });
+    return res;
+  }
+
+  function utf8Bytes(text) {
+    const s = String(text == null ? "" : text);
+    if (typeof TextEncoder !== "undefined") return Array.from(new TextEncoder().encode(s));
+    return Array.from(unescape(encodeURIComponent(s)), function (c) {
+      return c.charCodeAt(0);
+    });
+  }
+
+  function dataCodewords(version) {
+    const e = EC_M[version];
+    return e[1] * e[2] + e[3] * e[4];
+  }
+
+  function pickVersion(byteLength) {
+    for (let v = 1; v <= MAX_VERSION; v++) {
+      const ccBits = v <= 9 ? 8 : 16;
+      if (4 + ccBits + byteLength * 8 <= dataCodewords(v) * 8) return v;
+    }
+    return 0;
+  }
+
+  function buildCodewords(bytes, version) {
+    const bits = [];
+    function push(val, len) {
+      for (let i = len - 1; i >= 0; i--) bits.push((val >>> i) & 1);
+    }
+    const capacityBits = dataCodewords(version) * 8;
+    push(0x4, 4);
+    push(bytes.length, version <= 9 ? 8 : 16);
+    bytes.forEach(function (b) {
+      push(b, 8);
+    });
+    push(0, Math.min(4, capacityBits - bits.length));
+    while (bits.length % 8) bits.push(0);
+    const data = [];
+    for (let i = 0; i < bits.length; i += 8) {
+      let b = 0;
+      for (let j = 0; j < 8; j++) b = (b << 1) | bits[i + j];
+      data.push(b);
+    }
+    for (let pad = 0xec; data.length < capacityBits / 8; pad ^= 0xec ^ 0x11) data.push(pad);
+
+    const e = EC_M[version];
+    const gen = rsGenerator(e[0]);
+    const blocks = [];
+    let offset = 0;
+    [[e[1], e[2]], [e[3], e[4]]].forEach(function (group) {
+      for (let i = 0; i < group[0]; i++) {
+        const chunk = data.slice(offset, offset + group[1]);
+        offset += group[1];
+        blocks.push({ data: chunk, ec: rsRemainder(chunk, gen) });
+      }
+    });
+    const out = [];
+    const maxData = Math.max.apply(
+      null,
+      blocks.map(function (b) {
+        return b.data.length;
+      })
+    );
+    for (let i = 0; i < maxData; i++) {
+      blocks.forEach(function (b) {
+        if (i < b.data.length) out.push(b.data[i]);
+      });
+    }
+    for (let i = 0; i < e[0]; i++) {
+      blocks.forEach(function (b) {
+        out.push(b.ec[i]);
+      });
+    }
+    return out;
+  }
+
+  function createGrid(size) {
+    const rows = [];
+    for (let y = 0; y < size; y++) rows.push(new Array(size).fill(false));
+    return rows;
+  }
+
+  function drawFunctionPatterns(version, modules, isFunction) {
+    const size = modules.length;
+    function set(x, y, dark) {
+      modules[y][x] = dark;
+      isFunction[y][x] = true;
+    }
+    for (let i = 0; i < size; i++) {
+      set(6, i, i % 2 === 0);
+      set(i, 6, i % 2 === 0);
+    }
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(function (c) {
+      for (let dy = -4; dy <= 4; dy++) {
+        for (let dx = -4; dx <= 4; dx++) {
+          const x = c[0] + dx;
+          const y = c[1] + dy;
+          if (x < 0 || y < 0 || x >= size || y >= size) continue;
+          const dist = Math.max(Math.abs(dx), Math.abs(dy));
+          set(x, y, dist !== 2 && dist !== 4);
+        }
+      }
+    });
+    const pos = ALIGN[version];
+    const last = pos.length - 1;
+    for (let i = 0; i < pos.length; i++) {
+      for (let j = 0; j < pos.length; j++) {
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) continue;
+        for (let dy = -2; dy <= 2; dy++) {
+          for (let dx = -2; dx <= 2; dx++) {
+            set(pos[i] + dx, pos[j] + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+          }
+        }
+      }
+    }
+    drawFormatBits(0, modules, isFunction);
+    if (version >= 7) {
+      let rem = version;
+      for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+      const bits = (version << 12) | rem;
+      for (let i = 0; i < 18; i++) {
+        const dark = ((bits >>> i) & 1) === 1;
+        const a = size - 11 + (i % 3);
+        const b = Math.floor(i / 3);
+        set(a, b, dark);
+        set(b, a, dark);
+      }
+    }
+  }
+
+  function drawFormatBits(mask, modules, isFunction) {
+    const size = modules.length;
+    const data = (EC_LEVEL_BITS << 3) | mask;
+    let rem = data;
+    for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    const bits = ((data << 10) | rem) ^ 0x5412;
+    function set(x, y, dark) {
+      modules[y][x] = dark;
+      isFunction[y][x] = true;
+    }
+    function bit(i) {
+      return ((bits >>> i) & 1) === 1;
+    }
+    for (let i = 0; i <= 5; i++) set(8, i, bit(i));
+    set(8, 7, bit(6));
+    set(8, 8, bit(7));
+    set(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) set(14 - i, 8, bit(i));
+    for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(i));
+    set(8, size - 8, true);
+  }
+
+  function drawCodewords(codewords, modules, isFunction) {
+    const size = modules.length;
+    const total = codewords.length * 8;
+    let i = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5;
+      for (let vert = 0; vert < size; vert++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          const upward = ((right + 1) & 2) === 0;
+          const y = upward ? size - 1 - vert : vert;
+          if (!isFunction[y][x] && i < total) {
+            modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+            i++;
+          }
+        }
+      }
+    }
+  }
+
+  function maskBit(mask, x, y) {
+    switch (mask) {
+      case 0:
+        return (x + y) % 2 === 0;
+      case 1:
+        return y % 2 === 0;
+      case 2:
+        return x % 3 === 0;
+      case 3:
+        return (x + y) % 3 === 0;
+      case 4:
+        return (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0;
+      case 5:
+        return ((x * y) % 2) + ((x * y) % 3) === 0;
+      case 6:
+        return (((x * y) % 2) + ((x * y) % 3)) % 2 === 0;
+      default:
+        return (((x + y) % 2) + ((x * y) % 3)) % 2 === 0;
+    }
+  }
+
+  function applyMask(mask, modules, isFunction) {
+    const size = modules.length;
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (!isFunction[y][x] && maskBit(mask, x, y)) modules[y][x] = !modules[y][x];
+      }
+    }
+  }
+
+  const FINDER_LIKE = [
+    [1, 0, 1, 1, 1, 0, 1, 0, 0, 0, 0],
+    [0, 0, 0, 0, 1, 0, 1, 1, 1, 0, 1],
+  ];
+
+  /** 마스크 선택용 벌점 (ISO 18004 N1~N4) */
+  function penalty(modules) {
+    const size = modules.length;
+    let score = 0;
+    function line(get) {
+      let s = 0;
+      for (let a = 0; a < size; a++) {
+        let run = 1;
+        for (let b = 1; b <= size; b++) {
+          if (b < size && get(a, b) === get(a, b - 1)) {
+            run++;
+          } else {
+            if (run >= 5) s += run - 2;
+            run = 1;
+          }
+        }
+        for (let b = 0; b + 11 <= size; b++) {
+          FINDER_LIKE.forEach(function (pat) {
+            for (let k = 0; k < 11; k++) {
+              if ((get(a, b + k) ? 1 : 0) !== pat[k]) return;
+            }
+            s += 40;
+          });
+        }
+      }
+      return s;
+    }
+    score += line(function (y, x) {
+      return modules[y][x];
+    });
+    score += line(function (x, y) {
+      return modules[y][x];
+    });
+    let dark = 0;
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (modules[y][x]) dark++;
+        if (
+          x < size - 1 &&
+          y < size - 1 &&
+          modules[y][x] === modules[y][x + 1] &&
+          modules[y][x] === modules[y + 1][x] &&
+          modules[y][x] === modules[y + 1][x + 1]
+        ) {
+          score += 3;
+        }
+      }
+    }
+    score += Math.floor(Math.abs(dark * 20 - size * size * 10) / (size * size)) * 10;
+    return score;
+  }
+
+  /**
+   * @param {string} text
+   * @returns {{ version: number, size: number, mask: number, modules: boolean[][] }}
+   */
+  function encode(text) {
+    const bytes = utf8Bytes(text);
+    const version = pickVersion(bytes.length);
+    if (!version) throw new Error("QR payload too long: " + bytes.length + " bytes");
+    const size = version * 4 + 17;
+    const codewords = buildCodewords(bytes, version);
+
+    let best = null;
+    for (let mask = 0; mask < 8; mask++) {
+      const modules = createGrid(size);
+      const isFunction = createGrid(size);
+      drawFunctionPatterns(version, modules, isFunction);
+      drawCodewords(codewords, modules, isFunction);
+      applyMask(mask, modules, isFunction);
+      drawFormatBits(mask, modules, isFunction);
+      const score = penalty(modules);
+      if (!best || score < best.score) best = { score: score, mask: mask, modules: modules };
+    }
+    return { version: version, size: size, mask: best.mask, modules: best.modules };
+  }
+
+  /**
+   * @param {string} text
+   * @param {{ margin?: number, dark?: string, light?: string }} [opts]
+   * @returns {string} <svg> markup (viewBox in module units, scales to container)
+   */
+  function toSvg(text, opts) {
+    const o = opts || {};
+    const margin = o.margin == null ? 4 : o.margin;
+    const qr = encode(text);
+    const dim = qr.size + margin * 2;
+    let path = "";
+    for (let y = 0; y < qr.size; y++) {
+      for (let x = 0; x < qr.size; x++) {
+        if (qr.modules[y][x]) path += "M" + (x + margin) + "," + (y + margin) + "h1v1h-1z";
+      }
+    }
+    return (
+      '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ' +
+      dim +
+      " " +
+      dim +
+      '" shape-rendering="crispEdges" role="img" aria-label="출석 QR">' +
+      '<rect width="100%" height="100%" fill="' +
+      (o.light || "#fff") +
+      '"/><path d="' +
+      path +
+      '" fill="' +
+      (o.dark || "#000") +
+      '"/></svg>'
+    );
+  }
+
+  return {
+    encode,
+    toSvg,
+  };
+});
@@ -45,7 +45,7 @@
    * Aggregate roster + per-member regular-meeting attendance for a month.
    * @param {object} opts
    * @param {Array<{id?:string,nickname:string,team?:string}>} opts.members
-   * @param {Record<string, Array<{nickname?:string,memberId?:string,meetingType?:string,isGuest?:boolean}>>} opts.statusByDate
+   * @param {Record<string, Array<{nickname?:string,memberId?:string,meetingType?:string,isGuest?:boolean,runLog?:{distanceKm?:number}|null}>>} opts.statusByDate
    * @param {string} [opts.teamFilter] team code, or "" / "ALL" for whole club
    */
   function aggregateTeamMonth(opts) {
@@ -69,6 +69,7 @@
         team: m.team || "",
         count: 0,
         dates: [],
+        distanceKm: 0,
       };
     });
 
@@ -93,6 +94,9 @@
         if (!key || !byKey[key]) return;
         const row = byKey[key];
         if (row.dates.indexOf(dateKey) >= 0) return;
+        // 정모 후 달린 기록(runLog) 거리 — 같은 날 중복 행은 위에서 걸렀다
+        const km = Number(it.runLog && it.runLog.distanceKm) || 0;
+        if (km > 0) row.distanceKm = Math.round((row.distanceKm + km) * 100) / 100;
         row.dates.push(dateKey);
         row.count += 1;
       });
@@ -111,6 +115,9 @@
       return r.count > 0;
     }).length;
     const rosterCount = rows.length;
+    const distanceKm = rows.reduce(function (sum, r) {
+      return Math.round((sum + r.distanceKm) * 100) / 100;
+    }, 0);
     const rate =
       rosterCount > 0 ? Math.round((attended / rosterCount) * 100) : 0;
 
@@ -118,6 +125,7 @@
       roster: rosterCount,
       attended: attended,
       rate: rate,
+      distanceKm: distanceKm,
       meetingDates: listRegularMeetingDateKeys(
         (opts && opts.monthKey) || ""
       ),
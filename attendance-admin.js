@@ -15,9 +15,7 @@
     ? "http://" + location.hostname + ":5001/dmc-attendance/asia-northeast3/attendance"
     : "https://asia-northeast3-dmc-attendance.cloudfunctions.net/attendance";
 
-  const AUTH_KEY = "dmc_attendance_admin_auth";
-  const LEGACY_AUTH_KEY = "dmc_admin_auth";
-  const TABS = ["attendance", "members", "training"];
+  const TABS = ["attendance", "members", "training", "retention"];
   const TEAM_OPTIONS = [
     { value: "", label: "미정" },
     { value: "S", label: "S팀" },
@@ -37,19 +35,22 @@
   let allMembers = [];
   let showHidden = false;
   let editingId = null;
-  let adminRole = "";
-  let adminPwCache = "";
+  let qrSettings = {};
+  /** 출석 탭에서 고른 정모의 QR 값 — { meetingDate, meetingType, required, source: meeting|type } */
+  let qrMeeting = null;
 
-  function migrateLegacyAuth() {
-    if (sessionStorage.getItem(AUTH_KEY) === "ok") return;
-    if (sessionStorage.getItem(LEGACY_AUTH_KEY) === "ok") {
-      sessionStorage.setItem(AUTH_KEY, "ok");
-    }
-  }
+  const Session = window.DmcAdminSession;
+  /** 출석 운영 화면을 쓰는 역할 (서버 capability "attendance") */
+  const ATTENDANCE_ROLES = ["owner", "operator"];
 
   function isAuthed() {
-    migrateLegacyAuth();
-    return sessionStorage.getItem(AUTH_KEY) === "ok";
+    const account = Session.account();
+    return !!account && ATTENDANCE_ROLES.indexOf(account.role) >= 0;
+  }
+
+  /** 운영진 API 요청 헤더 (JSON + 세션 토큰) */
+  function adminJsonHeaders() {
+    return Session.headers({ "Content-Type": "application/json" });
   }
 
   function showToast(msg, isError) {
@@ -113,11 +114,21 @@
     if (location.hash !== "#" + tabId) {
       history.replaceState(null, "", "#" + tabId);
     }
-    if (tabId === "members") loadMembers();
+    if (tabId === "members") {
+      loadMembers();
+      loadTeamMoves().catch(function () {});
+    }
     if (tabId === "attendance") {
       /* keep current day roster; user can reload */
     }
-    if (tabId === "training") loadTrainingWeek().catch(function () {});
+    if (tabId === "training") {
+      loadTrainingWeek().catch(function () {});
+      loadMeetingCalendar().catch(function () {});
+    }
+    if (tabId === "retention" && !retentionLoaded) {
+      loadRetention().catch(function () {});
+      loadDigestSettings().catch(function () {});
+    }
   }
 
   function inputToSlashDate(v) {
@@ -189,6 +200,11 @@
       const parts = def.dateKey.split("/");
       monthEl.value = parts[0] + "-" + parts[1];
     }
+    const calMonthEl = document.getElementById("calMonth");
+    if (calMonthEl && !calMonthEl.value) {
+      const parts = def.dateKey.split("/");
+      calMonthEl.value = parts[0] + "-" + parts[1];
+    }
     const fromEl = document.getElementById("csvFrom");
     const toEl = document.getElementById("csvTo");
     if (fromEl && toEl) {
@@ -202,28 +218,26 @@
     document.getElementById("authOverlay").style.display = "none";
     document.getElementById("shell").classList.add("show");
     const meta = document.getElementById("topbarMeta");
-    if (meta && adminRole) meta.textContent = adminRole;
+    const account = Session.account();
+    if (meta && account) meta.textContent = (account.displayName || account.username) + " · " + (account.roleLabel || account.role);
     applyDefaultAttendanceFilters();
     showTab(parseHash());
     loadAttendanceDay().catch(function () {});
+    loadCorrections().catch(function () {});
   }
 
   async function tryAuth() {
+    const username = document.getElementById("authUser").value.trim();
     const pw = document.getElementById("authPw").value;
     const errEl = document.getElementById("authError");
     try {
-      const res = await fetch(RACE_API + "?action=verify-admin", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ pw: pw })
-      });
-      const data = await res.json();
-      if (data.ok) {
-        sessionStorage.setItem(AUTH_KEY, "ok");
-        adminRole = data.role || "operator";
-        adminPwCache = pw;
+      const data = await Session.login(RACE_API + "?action=verify-admin", username, pw);
+      if (data.ok && ATTENDANCE_ROLES.indexOf(data.account.role) >= 0) {
+        errEl.style.display = "none";
+        document.getElementById("authPw").value = "";
         revealShell();
       } else {
+        if (data.ok) await Session.logout(RACE_API + "?action=admin-logout");
         errEl.style.display = "block";
         document.getElementById("authPw").value = "";
         document.getElementById("authPw").focus();
@@ -238,6 +252,19 @@
     revealShell();
   }
 
+  /** 세션 만료·폐기(401) — 로그인 화면으로 */
+  function handleSessionExpired() {
+    Session.clear();
+    document.getElementById("shell").classList.remove("show");
+    document.getElementById("authOverlay").style.display = "";
+    showToast("로그인이 만료되었습니다. 다시 로그인하세요", true);
+  }
+
+  async function logout() {
+    await Session.logout(RACE_API + "?action=admin-logout");
+    location.reload();
+  }
+
   function setAttendanceMode(mode) {
     document.querySelectorAll("#attModeChips .chip").forEach(function (c) {
       c.classList.toggle("active", c.getAttribute("data-mode") === mode);
@@ -256,6 +283,7 @@
       showToast("날짜와 정모를 선택하세요", true);
       return;
     }
+    loadQrSettings().catch(function () {});
     body.innerHTML =
       '<tr><td colspan="5" style="text-align:center;color:var(--dmc-color-text-muted);padding:24px">불러오는 중…</td></tr>';
     try {
@@ -342,7 +370,7 @@
 
   async function loadMembers() {
     try {
-      const res = await fetch(RACE_API + "?action=all-members");
+      const res = await fetch(RACE_API + "?action=all-members", { headers: Session.headers({}) });
       const data = await res.json();
       if (data.ok) {
         allMembers = data.members || [];
@@ -415,7 +443,10 @@
             '<option value="F"' +
             (m.gender === "F" ? " selected" : "") +
             ">여</option>" +
-            "</select></td>" +
+            "</select>" +
+            '<input id="editBirthYear" type="number" inputmode="numeric" placeholder="출생연도" style="width:90px;margin-left:4px" value="' +
+            esc(m.birthYear || "") +
+            '" /></td>' +
             '<td><div class="edit-actions">' +
             '<button type="button" class="btn btn-primary btn-sm" data-save-edit="' +
             esc(m.id) +
@@ -471,6 +502,7 @@
           "</td>" +
           "<td>" +
           genderBadge +
+          (m.birthYear ? ' <span style="font-size:11px;color:var(--dmc-color-text-muted)">' + esc(m.birthYear) + "</span>" : "") +
           "</td>" +
           "<td>" +
           actionCell +
@@ -484,6 +516,7 @@
     const nickname = document.getElementById("editNick").value.trim();
     const realName = document.getElementById("editReal").value.trim();
     const gender = document.getElementById("editGender").value;
+    const birthYear = document.getElementById("editBirthYear").value.trim();
     const teamEl = document.getElementById("editTeam");
     const team = teamEl ? teamEl.value : "";
     if (!nickname || !realName) {
@@ -493,13 +526,14 @@
     try {
       const res = await fetch(RACE_API + "?action=update-member", {
         method: "POST",
-        headers: { "Content-Type": "application/json" },
+        headers: adminJsonHeaders(),
         body: JSON.stringify({
           id: id,
           nickname: nickname,
           realName: realName,
           gender: gender,
           team: team,
+          birthYear: birthYear,
         })
       });
       const data = await res.json();
@@ -516,6 +550,7 @@
     const nickname = document.getElementById("addNickname").value.trim();
     const realName = document.getElementById("addRealName").value.trim();
     const gender = document.getElementById("addGender").value;
+    const birthYear = document.getElementById("addBirthYear").value.trim();
     const teamEl = document.getElementById("addTeam");
     const team = teamEl ? teamEl.value : "";
     if (!nickname || !realName) {
@@ -527,9 +562,10 @@
     try {
       const body = { nickname: nickname, realName: realName, gender: gender };
       if (team) body.team = team;
+      if (birthYear) body.birthYear = birthYear;
       const res = await fetch(RACE_API + "?action=add-member", {
         method: "POST",
-        headers: { "Content-Type": "application/json" },
+        headers: adminJsonHeaders(),
         body: JSON.stringify(body)
       });
       const data = await res.json();
@@ -537,6 +573,7 @@
       document.getElementById("addNickname").value = "";
       document.getElementById("addRealName").value = "";
       document.getElementById("addGender").value = "";
+      document.getElementById("addBirthYear").value = "";
       if (teamEl) teamEl.value = "";
       showToast(nickname + " 추가 완료");
       await loadMembers();
@@ -547,6 +584,170 @@
     }
   }
 
+  /* —— Guest → member conversion —— */
+
+  let guestConvertTarget = null;
+
+  async function loadGuestVisits() {
+    if (!ensureAdminSession()) return;
+    const body = document.getElementById("guestBody");
+    body.innerHTML =
+      '<tr><td colspan="5" style="text-align:center;color:var(--dmc-color-text-muted);padding:24px">불러오는 중…</td></tr>';
+    try {
+      const res = await fetch(ATTENDANCE_API + "?action=admin-guest-visits", {
+        method: "POST",
+        headers: adminJsonHeaders(),
+        body: "{}"
+      });
+      const data = await res.json();
+      if (!data.ok) {
+        if (res.status === 401) handleSessionExpired();
+        throw new Error(data.error || "로드 실패");
+      }
+      const guests = data.guests || [];
+      if (!guests.length) {
+        body.innerHTML =
+          '<tr><td colspan="5" style="text-align:center;color:var(--dmc-color-text-muted);padding:24px">최근 게스트 출석이 없습니다</td></tr>';
+        return;
+      }
+      body.innerHTML = guests
+        .map(function (g) {
+          return (
+            "<tr><td>" +
+            esc(g.nickname) +
+            "</td><td>" +
+            g.visits +
+            "회</td><td>" +
+            esc(g.firstDateKey) +
+            "</td><td>" +
+            esc(g.lastDateKey) +
+            '</td><td><button type="button" class="btn btn-outline btn-sm guest-conv-btn" data-key="' +
+            esc(g.nicknameKey) +
+            '" data-nick="' +
+            esc(g.nickname) +
+            '" data-visits="' +
+            g.visits +
+            '">회원 전환</button></td></tr>'
+          );
+        })
+        .join("");
+    } catch (e) {
+      body.innerHTML =
+        '<tr><td colspan="5" style="text-align:center;color:var(--dmc-color-danger);padding:24px">' +
+        esc(e.message || "로드 실패") +
+        "</td></tr>";
+    }
+  }
+
+  async function openGuestConvert(key, nickname, visits) {
+    guestConvertTarget = { key: key, nickname: nickname };
+    document.getElementById("guestConvertTitle").textContent =
+      "'" + nickname + "' 게스트 출석 " + visits + "건을 회원 기록으로 옮깁니다";
+    document.getElementById("guestConvNickname").value = nickname;
+    document.getElementById("guestConvRealName").value = "";
+    document.getElementById("guestConvTeam").value = "";
+    document.getElementById("guestConvGender").value = "";
+    document.getElementById("guestConvertForm").hidden = false;
+    if (!allMembers.length) await loadMembers();
+    document.getElementById("guestConvMemberList").innerHTML = allMembers
+      .filter(function (m) {
+        return !m.hidden && m.nickname;
+      })
+      .map(function (m) {
+        return '<option value="' + esc(m.nickname) + '">' + esc(teamLabel(m.team)) + "</option>";
+      })
+      .join("");
+  }
+
+  /** 기존 회원이면 연결, 아니면 add-member 후 admin-convert-guest */
+  async function submitGuestConvert() {
+    if (!guestConvertTarget) return;
+    const nickname = document.getElementById("guestConvNickname").value.trim();
+    const realName = document.getElementById("guestConvRealName").value.trim();
+    const team = document.getElementById("guestConvTeam").value;
+    const gender = document.getElementById("guestConvGender").value;
+    if (!nickname) {
+      showToast("회원 닉네임을 입력하세요", true);
+      return;
+    }
+    let member = findMemberByNickname(nickname);
+    if (!member && (!realName || !team)) {
+      showToast("새 회원은 실명과 팀이 필요합니다", true);
+      return;
+    }
+    const msg = member
+      ? "기존 회원 '" + member.nickname + "'에 게스트 출석을 연결할까요?"
+      : "'" + nickname + "' 회원을 새로 만들고 게스트 출석을 옮길까요?";
+    if (!confirm(msg)) return;
+    if (!ensureAdminSession()) return;
+    const btn = document.getElementById("guestConvSubmit");
+    btn.disabled = true;
+    try {
+      if (!member) {
+        const addRes = await fetch(RACE_API + "?action=add-member", {
+          method: "POST",
+          headers: adminJsonHeaders(),
+          body: JSON.stringify({ nickname: nickname, realName: realName, gender: gender, team: team })
+        });
+        const added = await addRes.json();
+        if (!added.ok) throw new Error(added.error || "회원 추가 실패");
+        member = { id: added.id, nickname: nickname, team: team };
+      } else if (!member.team && team) {
+        const upRes = await fetch(RACE_API + "?action=update-member", {
+          method: "POST",
+          headers: adminJsonHeaders(),
+          body: JSON.stringify({ id: member.id, team: team })
+        });
+        const up = await upRes.json();
+        if (!up.ok) throw new Error(up.error || "팀 저장 실패");
+      }
+      const res = await fetch(ATTENDANCE_API + "?action=admin-convert-guest", {
+        method: "POST",
+        headers: adminJsonHeaders(),
+        body: JSON.stringify({ guestNicknameKey: guestConvertTarget.key, memberId: member.id })
+      });
+      const data = await res.json();
+      if (!data.ok) {
+        if (res.status === 401) handleSessionExpired();
+        throw new Error(data.message || data.error || "전환 실패");
+      }
+      showToast(
+        member.nickname +
+          " 전환 완료 — 출석 " +
+          data.moved.length +
+          "건 이동" +
+          (data.skipped.length ? ", " + data.skipped.length + "건 제외(같은 날 회원 출석)" : "")
+      );
+      document.getElementById("guestConvertForm").hidden = true;
+      guestConvertTarget = null;
+      await Promise.all([loadMembers(), loadGuestVisits()]);
+    } catch (e) {
+      showToast("전환 실패: " + e.message, true);
+    } finally {
+      btn.disabled = false;
+    }
+  }
+
+  document.getElementById("guestLoad").addEventListener("click", function () {
+    loadGuestVisits().catch(function () {});
+  });
+  document.getElementById("guestBody").addEventListener("click", function (e) {
+    const btn = e.target.closest(".guest-conv-btn");
+    if (!btn) return;
+    openGuestConvert(
+      btn.getAttribute("data-key"),
+      btn.getAttribute("data-nick"),
+      btn.getAttribute("data-visits")
+    ).catch(function () {});
+  });
+  document.getElementById("guestConvSubmit").addEventListener("click", function () {
+    submitGuestConvert().catch(function () {});
+  });
+  document.getElementById("guestConvCancel").addEventListener("click", function () {
+    document.getElementById("guestConvertForm").hidden = true;
+    guestConvertTarget = null;
+  });
+
   async function hideMember(id, nickname) {
     if (
       !confirm(
@@ -560,7 +761,7 @@
     try {
       const res = await fetch(RACE_API + "?action=hide-member", {
         method: "POST",
-        headers: { "Content-Type": "application/json" },
+        headers: adminJsonHeaders(),
         body: JSON.stringify({ id: id })
       });
       const data = await res.json();
@@ -576,7 +777,7 @@
     try {
       const res = await fetch(RACE_API + "?action=update-member", {
         method: "POST",
-        headers: { "Content-Type": "application/json" },
+        headers: adminJsonHeaders(),
         body: JSON.stringify({ id: id, hidden: false })
       });
       const data = await res.json();
@@ -591,6 +792,9 @@
   /* —— Bindings —— */
 
   document.getElementById("authBtn").addEventListener("click", tryAuth);
+  document.getElementById("logoutBtn").addEventListener("click", function () {
+    logout().catch(function () {});
+  });
   document.getElementById("authPw").addEventListener("keydown", function (e) {
     if (e.key === "Enter") tryAuth();
   });
@@ -616,26 +820,23 @@
   });
 
   async function adminDeleteAttendance(docId, nickname) {
-    let pw = adminPwCache;
-    if (!pw) {
-      pw = window.prompt("운영진 비밀번호를 다시 입력하세요");
-      if (!pw) return;
-      adminPwCache = pw;
-    }
-    if (!confirm("'" + (nickname || "이 기록") + "' 출석을 삭제할까요?")) return;
+    if (!ensureAdminSession()) return;
+    const reason = window.prompt("'" + (nickname || "이 기록") + "' 출석을 삭제합니다. 사유 (선택)", "");
+    if (reason === null) return;
     try {
       const res = await fetch(ATTENDANCE_API + "?action=admin-delete-attendance", {
         method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ pw: pw, docId: docId })
+        headers: adminJsonHeaders(),
+        body: JSON.stringify({ docId: docId, reason: reason })
       });
       const data = await res.json();
       if (!data.ok) {
-        if (res.status === 401) adminPwCache = "";
+        if (res.status === 401) handleSessionExpired();
         throw new Error(data.error || data.message || "삭제 실패");
       }
-      showToast("삭제 완료");
+      showToast("삭제 완료 — 최근 삭제에서 복원할 수 있습니다");
       await loadAttendanceDay();
+      loadDeletedAttendance().catch(function () {});
     } catch (e) {
       showToast(e.message || "삭제 실패", true);
     }
@@ -647,6 +848,872 @@
     adminDeleteAttendance(btn.getAttribute("data-doc-id"), btn.getAttribute("data-nick") || "");
   });
 
+  /* —— Attendance QR (kiosk rotating token) —— */
+
+  function ensureAdminSession() {
+    if (isAuthed()) return true;
+    handleSessionExpired();
+    return false;
+  }
+
+  function renderQrChips() {
+    document.querySelectorAll("#qrRequiredChips .chip").forEach(function (c) {
+      const row = qrSettings[c.getAttribute("data-qr-type")] || {};
+      c.classList.toggle("active", row.required === true);
+      c.title = row.required ? "QR 필수 — 눌러서 해제" : "QR 없이 출석 가능 — 눌러서 QR 필수로";
+    });
+    const label = document.getElementById("qrMeetingLabel");
+    if (label) {
+      label.textContent = qrMeeting
+        ? "선택한 정모만 — " +
+          qrMeeting.meetingDate +
+          " " +
+          (MEETING_LABEL[qrMeeting.meetingType] || qrMeeting.meetingType) +
+          ": QR " +
+          (qrMeeting.required ? "필수" : "없이")
+        : "선택한 정모만 — 출석 탭에서 날짜·정모를 고르세요";
+    }
+    document.querySelectorAll("#qrMeetingChips .chip").forEach(function (c) {
+      const v = c.getAttribute("data-qr-meeting");
+      const active =
+        !!qrMeeting &&
+        (v === "default" ? qrMeeting.source === "type" : qrMeeting.source === "meeting" && qrMeeting.required === (v === "on"));
+      c.classList.toggle("active", active);
+    });
+  }
+
+  /** 출석 탭에서 고른 날짜·정모 (없으면 null) */
+  function selectedQrMeeting() {
+    const meetingDate = inputToSlashDate(document.getElementById("attDate").value);
+    const meetingType = document.getElementById("attType").value;
+    return meetingDate && meetingType ? { meetingDate: meetingDate, meetingType: meetingType } : null;
+  }
+
+  async function loadQrSettings() {
+    const sel = selectedQrMeeting();
+    const query = sel
+      ? "&meetingDate=" + encodeURIComponent(sel.meetingDate) + "&meetingType=" + encodeURIComponent(sel.meetingType)
+      : "";
+    const res = await fetch(ATTENDANCE_API + "?action=qr-settings" + query);
+    const data = await res.json();
+    if (!data.ok) throw new Error(data.error || "QR 설정 로드 실패");
+    qrSettings = data.settings || {};
+    qrMeeting = data.meeting || null;
+    renderQrChips();
+  }
+
+  /** 정모 한 번만 QR 필수·해제, default 면 유형 설정으로 되돌림 */
+  async function saveQrMeeting(value) {
+    if (!ensureAdminSession()) return;
+    const sel = selectedQrMeeting();
+    if (!sel) {
+      showToast("출석 탭에서 날짜와 정모를 선택하세요", true);
+      return;
+    }
+    const body = { meetingType: sel.meetingType, meetingDate: sel.meetingDate };
+    if (value === "default") body.clear = true;
+    else body.required = value === "on";
+    try {
+      const res = await fetch(ATTENDANCE_API + "?action=qr-settings", {
+        method: "POST",
+        headers: adminJsonHeaders(),
+        body: JSON.stringify(body)
+      });
+      const data = await res.json();
+      if (!data.ok) {
+        if (res.status === 401) handleSessionExpired();
+        throw new Error(data.error || "저장 실패");
+      }
+      qrMeeting = { meetingDate: sel.meetingDate, meetingType: sel.meetingType, required: data.required === true, source: data.source };
+      renderQrChips();
+      showToast(sel.meetingDate + " QR " + (data.required ? "필수" : "없이") + (data.source === "type" ? " (유형 설정)" : ""));
+    } catch (e) {
+      showToast(e.message || "저장 실패", true);
+    }
+  }
+
+  async function toggleQrRequired(meetingType) {
+    if (!ensureAdminSession()) return;
+    const next = !((qrSettings[meetingType] || {}).required === true);
+    const label = MEETING_LABEL[meetingType] || meetingType;
+    if (!confirm(label + " 출석을 QR " + (next ? "필수로" : "필수 해제로") + " 바꿀까요?")) return;
+    try {
+      const res = await fetch(ATTENDANCE_API + "?action=qr-settings", {
+        method: "POST",
+        headers: adminJsonHeaders(),
+        body: JSON.stringify({ meetingType: meetingType, required: next })
+      });
+      const data = await res.json();
+      if (!data.ok) {
+        if (res.status === 401) handleSessionExpired();
+        throw new Error(data.error || "저장 실패");
+      }
+      qrSettings[meetingType] = { required: data.required === true };
+      loadQrSettings().catch(function () {
+        renderQrChips();
+      });
+      showToast(label + " QR " + (data.required ? "필수" : "해제"));
+    } catch (e) {
+      showToast(e.message || "저장 실패", true);
+    }
+  }
+
+  function findMemberByNickname(nickname) {
+    const key = String(nickname || "").trim().toLowerCase();
+    if (!key) return null;
+    return (
+      allMembers.find(function (m) {
+        return !m.hidden && String(m.nickname || "").trim().toLowerCase() === key;
+      }) || null
+    );
+  }
+
+  async function openAttAdd() {
+    document.getElementById("attAddCard").hidden = false;
+    document.getElementById("attAddNickname").focus();
+    if (!allMembers.length) await loadMembers();
+    document.getElementById("attAddMemberList").innerHTML = allMembers
+      .filter(function (m) {
+        return !m.hidden && m.nickname;
+      })
+      .map(function (m) {
+        return '<option value="' + esc(m.nickname) + '">' + esc(teamLabel(m.team)) + "</option>";
+      })
+      .join("");
+  }
+
+  /** 운영진 출석 추가 — 세션 토큰 동봉 시 QR 필수 정모에서도 예외 저장 (attendance_qr_override) */
+  async function submitAttAdd() {
+    const nickname = document.getElementById("attAddNickname").value.trim();
+    const teamPick = document.getElementById("attAddTeam").value;
+    const meetingDate = inputToSlashDate(document.getElementById("attDate").value);
+    const meetingType = document.getElementById("attType").value;
+    if (!nickname || !meetingDate || !meetingType) {
+      showToast("닉네임과 날짜·정모를 확인하세요", true);
+      return;
+    }
+    const member = teamPick === "GUEST" ? null : findMemberByNickname(nickname);
+    const isGuest = teamPick === "GUEST" || !member;
+    const team = isGuest ? "GUEST" : teamPick || member.team || "";
+    if (!team) {
+      showToast("팀이 없는 회원입니다 — 팀을 선택하세요", true);
+      return;
+    }
+    if (isGuest && teamPick !== "GUEST" && !confirm("'" + nickname + "' 회원을 찾지 못했습니다. 게스트로 추가할까요?")) {
+      return;
+    }
+    if (!ensureAdminSession()) return;
+    try {
+      const res = await fetch(ATTENDANCE_API, {
+        method: "POST",
+        headers: adminJsonHeaders(),
+        body: JSON.stringify({
+          nickname: member ? member.nickname : nickname,
+          memberId: member ? member.id : null,
+          team: team,
+          meetingType: meetingType,
+          meetingDate: meetingDate,
+          isGuest: isGuest
+        })
+      });
+      const data = await res.json();
+      if (!data.ok) {
+        if (res.status === 401) handleSessionExpired();
+        throw new Error(data.message || data.error || "추가 실패");
+      }
+      showToast((member ? member.nickname : nickname) + " 출석 추가");
+      document.getElementById("attAddNickname").value = "";
+      await loadAttendanceDay();
+    } catch (e) {
+      showToast(e.message || "추가 실패", true);
+    }
+  }
+
+  document.getElementById("qrRequiredChips").addEventListener("click", function (e) {
+    const chip = e.target.closest("[data-qr-type]");
+    if (!chip) return;
+    toggleQrRequired(chip.getAttribute("data-qr-type")).catch(function () {});
+  });
+  document.getElementById("qrMeetingChips").addEventListener("click", function (e) {
+    const chip = e.target.closest("[data-qr-meeting]");
+    if (!chip) return;
+    saveQrMeeting(chip.getAttribute("data-qr-meeting")).catch(function () {});
+  });
+
+  document.getElementById("attAddOpen").addEventListener("click", function () {
+    openAttAdd().catch(function () {});
+  });
+  document.getElementById("attAddClose").addEventListener("click", function () {
+    document.getElementById("attAddCard").hidden = true;
+  });
+  document.getElementById("attAddSubmit").addEventListener("click", function () {
+    submitAttAdd().catch(function () {});
+  });
+  document.getElementById("attAddNickname").addEventListener("keydown", function (e) {
+    if (e.key === "Enter") submitAttAdd().catch(function () {});
+  });
+
+  /* —— Attendance correction requests (출석 누락 신청 큐) —— */
+
+  let correctionStatus = "pending";
+
+  function formatIsoKst(iso) {
+    if (!iso) return "";
+    const d = new Date(iso);
+    if (isNaN(d.getTime())) return "";
+    return d.toLocaleString("ko-KR", {
+      timeZone: "Asia/Seoul",
+      month: "numeric",
+      day: "numeric",
+      hour: "2-digit",
+      minute: "2-digit"
+    });
+  }
+
+  async function loadCorrections() {
+    if (!ensureAdminSession()) return;
+    const body = document.getElementById("correctionBody");
+    body.innerHTML =
+      '<tr><td colspan="5" style="text-align:center;color:var(--dmc-color-text-muted);padding:24px">불러오는 중…</td></tr>';
+    try {
+      const res = await fetch(ATTENDANCE_API + "?action=admin-correction-requests", {
+        method: "POST",
+        headers: adminJsonHeaders(),
+        body: JSON.stringify({ status: correctionStatus })
+      });
+      const data = await res.json();
+      if (!data.ok) {
+        if (res.status === 401) handleSessionExpired();
+        throw new Error(data.error || "로드 실패");
+      }
+      const rows = data.requests || [];
+      document.getElementById("correctionCount").textContent =
+        correctionStatus === "pending" && rows.length ? rows.length + "건 대기" : "";
+      if (!rows.length) {
+        body.innerHTML =
+          '<tr><td colspan="5" style="text-align:center;color:var(--dmc-color-text-muted);padding:24px">신청이 없습니다</td></tr>';
+        return;
+      }
+      body.innerHTML = rows
+        .map(function (r) {
+          const actions =
+            r.status === "pending"
+              ? '<button type="button" class="btn btn-primary btn-sm corr-review-btn" data-id="' +
+                esc(r.requestId) +
+                '" data-decision="approve">승인</button> ' +
+                '<button type="button" class="btn btn-outline btn-sm corr-review-btn" data-id="' +
+                esc(r.requestId) +
+                '" data-decision="reject">반려</button>'
+              : esc(r.reviewNote || (r.alreadyRecorded ? "기존 출석 있음" : ""));
+          return (
+            "<tr><td>" +
+            esc(r.nickname) +
+            "<br><span class=\"hint\">" +
+            esc(teamLabel(r.team)) +
+            "</span></td><td>" +
+            esc(r.meetingDateKey) +
+            "<br>" +
+            esc(MEETING_LABEL[r.meetingType] || r.meetingType) +
+            "</td><td>" +
+            esc(r.reason) +
+            "</td><td>" +
+            esc(formatIsoKst(r.createdAt)) +
+            '</td><td style="white-space:nowrap">' +
+            actions +
+            "</td></tr>"
+          );
+        })
+        .join("");
+    } catch (e) {
+      body.innerHTML =
+        '<tr><td colspan="5" style="text-align:center;color:var(--dmc-color-danger);padding:24px">' +
+        esc(e.message || "로드 실패") +
+        "</td></tr>";
+    }
+  }
+
+  async function reviewCorrection(requestId, decision) {
+    if (!requestId || !ensureAdminSession()) return;
+    let reviewNote = "";
+    if (decision === "reject") {
+      const note = window.prompt("반려 사유 (회원에게 표시됩니다)", "");
+      if (note === null) return;
+      reviewNote = note;
+    } else if (!confirm("승인하면 출석이 추가됩니다. 승인할까요?")) {
+      return;
+    }
+    try {
+      const res = await fetch(ATTENDANCE_API + "?action=admin-review-correction", {
+        method: "POST",
+        headers: adminJsonHeaders(),
+        body: JSON.stringify({ requestId: requestId, decision: decision, reviewNote: reviewNote })
+      });
+      const data = await res.json();
+      if (!data.ok) {
+        if (res.status === 401) handleSessionExpired();
+        throw new Error(data.error || "처리 실패");
+      }
+      showToast(
+        data.status === "rejected" ? "반려했습니다" : data.alreadyRecorded ? "이미 출석 기록이 있어 승인만 처리" : "출석 추가 완료"
+      );
+      await loadCorrections();
+      if (data.status === "approved") loadAttendanceDay().catch(function () {});
+    } catch (e) {
+      showToast(e.message || "처리 실패", true);
+    }
+  }
+
+  document.getElementById("correctionStatusChips").addEventListener("click", function (e) {
+    const chip = e.target.closest("[data-correction-status]");
+    if (!chip) return;
+    correctionStatus = chip.getAttribute("data-correction-status");
+    document.querySelectorAll("#correctionStatusChips .chip").forEach(function (c) {
+      c.classList.toggle("active", c === chip);
+    });
+    loadCorrections().catch(function () {});
+  });
+  document.getElementById("correctionReload").addEventListener("click", function () {
+    loadCorrections().catch(function () {});
+  });
+  document.getElementById("correctionBody").addEventListener("click", function (e) {
+    const btn = e.target.closest(".corr-review-btn");
+    if (!btn) return;
+    reviewCorrection(btn.getAttribute("data-id"), btn.getAttribute("data-decision")).catch(function () {});
+  });
+
+  /* —— 팀장 팀 이동 신청 큐 (team-portal.html → update-member) —— */
+
+  async function loadTeamMoves() {
+    if (!ensureAdminSession()) return;
+    const body = document.getElementById("teamMoveBody");
+    body.innerHTML =
+      '<tr><td colspan="4" style="text-align:center;color:var(--dmc-color-text-muted);padding:24px">불러오는 중…</td></tr>';
+    try {
+      const res = await fetch(ATTENDANCE_API + "?action=admin-team-moves", {
+        method: "POST",
+        headers: adminJsonHeaders(),
+        body: JSON.stringify({ status: "pending" })
+      });
+      const data = await res.json();
+      if (!data.ok) {
+        if (res.status === 401) handleSessionExpired();
+        throw new Error(data.error || "로드 실패");
+      }
+      const rows = data.requests || [];
+      document.getElementById("teamMoveCount").textContent = rows.length ? rows.length + "건 대기" : "";
+      if (!rows.length) {
+        body.innerHTML =
+          '<tr><td colspan="4" style="text-align:center;color:var(--dmc-color-text-muted);padding:24px">대기 중인 신청이 없습니다</td></tr>';
+        return;
+      }
+      body.innerHTML = rows
+        .map(function (r) {
+          return (
+            "<tr><td>" +
+            esc(r.nickname) +
+            "</td><td>" +
+            esc(teamLabel(r.fromTeam)) +
+            " → " +
+            esc(teamLabel(r.toTeam)) +
+            (r.reason ? '<br><span class="hint">' + esc(r.reason) + "</span>" : "") +
+            "</td><td>" +
+            esc(r.requestedBy) +
+            "<br>" +
+            esc(formatIsoKst(r.createdAt)) +
+            '</td><td style="white-space:nowrap">' +
+            '<button type="button" class="btn btn-primary btn-sm move-review-btn" data-id="' +
+            esc(r.requestId) +
+            '" data-decision="approve">승인</button> ' +
+            '<button type="button" class="btn btn-outline btn-sm move-review-btn" data-id="' +
+            esc(r.requestId) +
+            '" data-decision="reject">반려</button>' +
+            "</td></tr>"
+          );
+        })
+        .join("");
+    } catch (e) {
+      body.innerHTML =
+        '<tr><td colspan="4" style="text-align:center;color:var(--dmc-color-danger);padding:24px">' +
+        esc(e.message || "로드 실패") +
+        "</td></tr>";
+    }
+  }
+
+  async function reviewTeamMove(requestId, decision) {
+    if (!requestId || !ensureAdminSession()) return;
+    let reviewNote = "";
+    if (decision === "reject") {
+      const note = window.prompt("반려 사유 (팀장 포털에 표시됩니다)", "");
+      if (note === null) return;
+      reviewNote = note;
+    } else if (!confirm("승인하면 회원 팀이 바뀝니다. 승인할까요?")) {
+      return;
+    }
+    try {
+      const res = await fetch(ATTENDANCE_API + "?action=admin-review-team-move", {
+        method: "POST",
+        headers: adminJsonHeaders(),
+        body: JSON.stringify({ requestId: requestId, decision: decision, reviewNote: reviewNote })
+      });
+      const data = await res.json();
+      if (!data.ok) {
+        if (res.status === 401) handleSessionExpired();
+        throw new Error(data.error || "처리 실패");
+      }
+      showToast(data.status === "rejected" ? "반려했습니다" : "팀 변경 완료");
+      await loadTeamMoves();
+      if (data.status === "approved") loadMembers();
+    } catch (e) {
+      showToast(e.message || "처리 실패", true);
+    }
+  }
+
+  document.getElementById("teamMoveReload").addEventListener("click", function () {
+    loadTeamMoves().catch(function () {});
+  });
+  document.getElementById("teamMoveBody").addEventListener("click", function (e) {
+    const btn = e.target.closest(".move-review-btn");
+    if (!btn) return;
+    reviewTeamMove(btn.getAttribute("data-id"), btn.getAttribute("data-decision")).catch(function () {});
+  });
+
+  /* ── 최근 삭제 (소프트 삭제 복원) ── */
+  const DELETE_VIA_LABEL = { kiosk: "키오스크", self: "본인", admin: "운영진" };
+
+  async function loadDeletedAttendance() {
+    if (!ensureAdminSession()) return;
+    const body = document.getElementById("deletedBody");
+    body.innerHTML =
+      '<tr><td colspan="5" style="text-align:center;color:var(--dmc-color-text-muted);padding:24px">불러오는 중…</td></tr>';
+    try {
+      const res = await fetch(ATTENDANCE_API + "?action=admin-deleted-attendance", {
+        method: "POST",
+        headers: adminJsonHeaders(),
+        body: "{}"
+      });
+      const data = await res.json();
+      if (!data.ok) {
+        if (res.status === 401) handleSessionExpired();
+        throw new Error(data.error || "로드 실패");
+      }
+      const rows = data.items || [];
+      if (!rows.length) {
+        body.innerHTML =
+          '<tr><td colspan="5" style="text-align:center;color:var(--dmc-color-text-muted);padding:24px">최근 ' +
+          esc(data.days) +
+          "일 동안 삭제된 출석이 없습니다</td></tr>";
+        return;
+      }
+      body.innerHTML = rows
+        .map(function (r) {
+          return (
+            "<tr><td>" +
+            esc(r.nickname) +
+            '<br><span class="hint">' +
+            esc(teamLabel(r.team)) +
+            "</span></td><td>" +
+            esc(r.meetingDateKey) +
+            "<br>" +
+            esc(MEETING_LABEL[r.meetingType] || r.meetingType) +
+            "</td><td>" +
+            esc(formatIsoKst(r.deletedAt)) +
+            "<br>" +
+            esc(DELETE_VIA_LABEL[r.deletedVia] || r.deletedVia) +
+            (r.deletedBy || r.deletedByRole ? " · " + esc(r.deletedBy || r.deletedByRole) : "") +
+            "</td><td>" +
+            esc(r.deleteReason) +
+            '</td><td><button type="button" class="btn btn-outline btn-sm restore-btn" data-id="' +
+            esc(r.tombstoneId) +
+            '">복원</button></td></tr>'
+          );
+        })
+        .join("");
+    } catch (e) {
+      body.innerHTML =
+        '<tr><td colspan="5" style="text-align:center;color:var(--dmc-color-danger);padding:24px">' +
+        esc(e.message || "로드 실패") +
+        "</td></tr>";
+    }
+  }
+
+  async function restoreAttendance(tombstoneId) {
+    if (!tombstoneId || !ensureAdminSession()) return;
+    try {
+      const res = await fetch(ATTENDANCE_API + "?action=admin-restore-attendance", {
+        method: "POST",
+        headers: adminJsonHeaders(),
+        body: JSON.stringify({ tombstoneId: tombstoneId })
+      });
+      const data = await res.json();
+      if (!data.ok) {
+        if (res.status === 401) handleSessionExpired();
+        throw new Error(
+          data.error === "ALREADY_CHECKED_IN" ? "같은 모임에 이미 출석 기록이 있어 복원할 수 없습니다" : data.error || "복원 실패"
+        );
+      }
+      showToast("복원 완료 — " + data.meetingDate);
+      await loadDeletedAttendance();
+      loadAttendanceDay().catch(function () {});
+    } catch (e) {
+      showToast(e.message || "복원 실패", true);
+    }
+  }
+
+  document.getElementById("deletedReload").addEventListener("click", function () {
+    loadDeletedAttendance().catch(function () {});
+  });
+  document.getElementById("deletedBody").addEventListener("click", function (e) {
+    const btn = e.target.closest(".restore-btn");
+    if (!btn) return;
+    btn.disabled = true;
+    restoreAttendance(btn.getAttribute("data-id")).catch(function () {});
+  });
+
+  /* ── 리텐션 · 이탈 ── */
+  let retentionLoaded = false;
+  const RET_EMPTY_STYLE = "text-align:center;color:var(--dmc-color-text-muted);padding:24px";
+  const COHORT_COLORS = ["#2563eb", "#16a34a", "#ea580c", "#9333ea", "#0891b2", "#db2777"];
+
+  function pctCell(v) {
+    return v == null ? "—" : v + "%";
+  }
+
+  function renderRetentionAtRisk(rows) {
+    const body = document.getElementById("retAtRiskBody");
+    if (!rows.length) {
+      body.innerHTML = '<tr><td colspan="7" style="' + RET_EMPTY_STYLE + '">이탈 위험 회원이 없습니다</td></tr>';
+      return;
+    }
+    body.innerHTML = rows
+      .map(function (r) {
+        return (
+          "<tr><td>" +
+          esc(r.nickname) +
+          "</td><td>" +
+          esc(teamLabel(r.team)) +
+          "</td><td>" +
+          esc(r.lastDateKey) +
+          "</td><td>" +
+          esc(Math.floor(r.daysSinceLast / 7)) +
+          "주</td><td>" +
+          pctCell(r.rate4w) +
+          "</td><td>" +
+          pctCell(r.rate8w) +
+          "</td><td>" +
+          pctCell(r.rate12w) +
+          "</td></tr>"
+        );
+      })
+      .join("");
+  }
+
+  /** 코호트별 M+0… 리텐션 곡선 (최근 6개 코호트만, 인라인 SVG) */
+  function renderRetentionChart(cohorts) {
+    const el = document.getElementById("retCohortChart");
+    const shown = cohorts.slice(-COHORT_COLORS.length);
+    const maxLen = shown.reduce(function (m, c) {
+      return Math.max(m, c.retention.length);
+    }, 0);
+    if (maxLen < 2) {
+      el.innerHTML = "";
+      return;
+    }
+    const W = 560;
+    const H = 200;
+    const pad = 28;
+    const x = function (k) {
+      return pad + (k * (W - pad * 2)) / (maxLen - 1);
+    };
+    const y = function (v) {
+      return H - pad - (v * (H - pad * 2)) / 100;
+    };
+    let svg = '<svg viewBox="0 0 ' + W + " " + H + '" width="100%" style="max-width:' + W + 'px" role="img" aria-label="코호트 리텐션 곡선">';
+    [0, 50, 100].forEach(function (v) {
+      svg +=
+        '<line x1="' + pad + '" x2="' + (W - pad) + '" y1="' + y(v) + '" y2="' + y(v) + '" stroke="#e2e8f0" />' +
+        '<text x="2" y="' + (y(v) + 4) + '" font-size="10" fill="#94a3b8">' + v + "%</text>";
+    });
+    shown.forEach(function (c, i) {
+      const pts = c.retention
+        .map(function (v, k) {
+          return x(k).toFixed(1) + "," + y(v).toFixed(1);
+        })
+        .join(" ");
+      const color = COHORT_COLORS[i];
+      svg += '<polyline fill="none" stroke="' + color + '" stroke-width="2" points="' + pts + '" />';
+      svg += '<text x="' + (W - pad + 2) + '" y="' + (14 + i * 12) + '" font-size="10" fill="' + color + '">' + esc(c.month) + "</text>";
+    });
+    svg += "</svg>";
+    el.innerHTML = svg;
+  }
+
+  function renderRetentionCohorts(cohorts) {
+    const head = document.getElementById("retCohortHead");
+    const body = document.getElementById("retCohortBody");
+    const maxLen = cohorts.reduce(function (m, c) {
+      return Math.max(m, c.retention.length);
+    }, 0);
+    let th = "<tr><th>첫 출석 월</th><th>인원</th>";
+    for (let k = 0; k < maxLen; k++) th += "<th>M+" + k + "</th>";
+    head.innerHTML = th + "</tr>";
+    if (!cohorts.length) {
+      body.innerHTML = '<tr><td colspan="' + (maxLen + 2) + '" style="' + RET_EMPTY_STYLE + '">코호트가 없습니다</td></tr>';
+      return;
+    }
+    body.innerHTML = cohorts
+      .map(function (c) {
+        let row = "<tr><td>" + esc(c.month) + "</td><td>" + esc(c.size) + "</td>";
+        for (let k = 0; k < maxLen; k++) row += "<td>" + pctCell(c.retention[k]) + "</td>";
+        return row + "</tr>";
+      })
+      .join("");
+    renderRetentionChart(cohorts);
+  }
+
+  async function loadRetention() {
+    if (!ensureAdminSession()) return;
+    const body = document.getElementById("retAtRiskBody");
+    body.innerHTML = '<tr><td colspan="7" style="' + RET_EMPTY_STYLE + '">불러오는 중…</td></tr>';
+    try {
+      const res = await fetch(ATTENDANCE_API + "?action=retention", {
+        method: "POST",
+        headers: adminJsonHeaders(),
+        body: JSON.stringify({ months: Number(document.getElementById("retMonths").value) || 12 })
+      });
+      const data = await res.json();
+      if (!data.ok) {
+        if (res.status === 401) handleSessionExpired();
+        throw new Error(data.error || "로드 실패");
+      }
+      retentionLoaded = true;
+      const counts = data.counts || {};
+      document.getElementById("retActive").textContent = counts.active != null ? counts.active : "—";
+      document.getElementById("retAtRiskCount").textContent = counts.at_risk != null ? counts.at_risk : "—";
+      document.getElementById("retChurned").textContent = counts.churned != null ? counts.churned : "—";
+      const held = data.heldByWeeks || {};
+      document.getElementById("retSummary").textContent =
+        data.todayKey + " 기준 · 정모 4주 " + (held[4] || 0) + "회 / 8주 " + (held[8] || 0) + "회 / 12주 " + (held[12] || 0) + "회";
+      renderRetentionAtRisk(data.atRisk || []);
+      renderRetentionCohorts(data.cohorts || []);
+    } catch (e) {
+      body.innerHTML =
+        '<tr><td colspan="7" style="text-align:center;color:var(--dmc-color-danger);padding:24px">' +
+        esc(e.message || "로드 실패") +
+        "</td></tr>";
+    }
+  }
+
+  /* ── 팀장 주간 다이제스트 ── */
+  async function postDigest(action, payload) {
+    if (!ensureAdminSession()) throw new Error("로그인 필요");
+    const res = await fetch(ATTENDANCE_API + "?action=" + action, {
+      method: "POST",
+      headers: adminJsonHeaders(),
+      body: JSON.stringify(payload)
+    });
+    const data = await res.json();
+    if (!data.ok) {
+      if (res.status === 401) handleSessionExpired();
+      throw new Error(data.error || "요청 실패");
+    }
+    return data;
+  }
+
+  async function loadDigestSettings() {
+    const body = document.getElementById("digestBody");
+    body.innerHTML = '<tr><td colspan="5" style="' + RET_EMPTY_STYLE + '">불러오는 중…</td></tr>';
+    try {
+      const data = await postDigest("team-digest-settings", {});
+      body.innerHTML = (data.settings || [])
+        .map(function (s) {
+          return (
+            '<tr data-team="' +
+            esc(s.team) +
+            '"><td>' +
+            esc(teamLabel(s.team)) +
+            '</td><td><input type="text" class="digest-recipients" style="width:100%;min-width:220px" value="' +
+            esc(s.recipients.join(", ")) +
+            '" placeholder="leader@example.com" /></td><td><input type="number" class="digest-weeks" min="1" max="12" style="width:64px" value="' +
+            esc(s.inactiveWeeks) +
+            '" />주</td><td><input type="checkbox" class="digest-enabled"' +
+            (s.enabled ? " checked" : "") +
+            ' /></td><td style="white-space:nowrap">' +
+            '<button type="button" class="btn btn-primary btn-sm digest-save-btn">저장</button> ' +
+            '<button type="button" class="btn btn-outline btn-sm digest-preview-btn">미리보기</button></td></tr>'
+          );
+        })
+        .join("");
+    } catch (e) {
+      body.innerHTML =
+        '<tr><td colspan="5" style="text-align:center;color:var(--dmc-color-danger);padding:24px">' +
+        esc(e.message || "로드 실패") +
+        "</td></tr>";
+    }
+  }
+
+  async function saveDigestRow(tr) {
+    try {
+      await postDigest("team-digest-settings", {
+        team: tr.getAttribute("data-team"),
+        recipients: tr.querySelector(".digest-recipients").value,
+        inactiveWeeks: Number(tr.querySelector(".digest-weeks").value),
+        enabled: tr.querySelector(".digest-enabled").checked
+      });
+      showToast(teamLabel(tr.getAttribute("data-team")) + " 다이제스트 설정 저장");
+    } catch (e) {
+      showToast(e.message || "저장 실패", true);
+    }
+  }
+
+  async function previewDigest(team) {
+    try {
+      const data = await postDigest("team-digest-preview", { team: team });
+      document.getElementById("digestPreviewWrap").hidden = false;
+      document.getElementById("digestPreviewSubject").textContent =
+        data.subject + (data.recipients.length ? " → " + data.recipients.join(", ") : " (수신자 없음)");
+      document.getElementById("digestPreview").srcdoc = data.html;
+    } catch (e) {
+      showToast(e.message || "미리보기 실패", true);
+    }
+  }
+
+  document.getElementById("digestBody").addEventListener("click", function (e) {
+    const tr = e.target.closest("tr[data-team]");
+    if (!tr) return;
+    if (e.target.closest(".digest-save-btn")) saveDigestRow(tr).catch(function () {});
+    if (e.target.closest(".digest-preview-btn")) previewDigest(tr.getAttribute("data-team")).catch(function () {});
+  });
+
+  document.getElementById("retLoad").addEventListener("click", function () {
+    loadRetention().catch(function () {});
+  });
+  document.getElementById("retMonths").addEventListener("change", function () {
+    loadRetention().catch(function () {});
+  });
+
+  /* —— Meeting calendar (취소·이동·추가 모임) —— */
+
+  const CALENDAR_STATUS_LABEL = { cancelled: "취소", moved: "이동", extra: "추가 모임" };
+  const CALENDAR_TYPE_BY_DOW = { Tue: "TUE", Thu: "THU", Sat: "SAT" };
+
+  function calendarTypeForInputDate(v) {
+    const noonKst = new Date(String(v || "") + "T12:00:00+09:00");
+    if (isNaN(noonKst.getTime())) return "";
+    const dow = new Intl.DateTimeFormat("en-US", { weekday: "short", timeZone: "Asia/Seoul" }).format(noonKst);
+    return CALENDAR_TYPE_BY_DOW[dow] || "";
+  }
+
+  async function loadMeetingCalendar() {
+    const month = document.getElementById("calMonth").value;
+    if (!month) return;
+    const body = document.getElementById("calBody");
+    body.innerHTML = '<tr><td colspan="6" style="text-align:center;color:var(--dmc-color-text-muted);padding:24px">불러오는 중…</td></tr>';
+    try {
+      const res = await fetch(ATTENDANCE_API + "?action=meeting-calendar&month=" + encodeURIComponent(month));
+      const data = await res.json();
+      if (!data.ok) throw new Error(data.error || "일정 로드 실패");
+      const items = data.items || [];
+      document.getElementById("calSummary").textContent =
+        "이 달 모임 " + (data.possibleCount == null ? "—" : data.possibleCount) + "회";
+      if (!items.length) {
+        body.innerHTML = '<tr><td colspan="6" style="text-align:center;color:var(--dmc-color-text-muted);padding:24px">등록된 예외 일정이 없습니다 (요일 정모만)</td></tr>';
+        return;
+      }
+      body.innerHTML = items
+        .map(function (it) {
+          const text = [it.label, it.note].filter(Boolean).join(" · ");
+          return (
+            "<tr><td>" +
+            esc(it.meetingDateKey) +
+            "</td><td>" +
+            esc(MEETING_LABEL[it.meetingType] || it.meetingType) +
+            "</td><td>" +
+            esc(CALENDAR_STATUS_LABEL[it.status] || it.status) +
+            "</td><td>" +
+            esc(it.movedToDateKey || "") +
+            "</td><td>" +
+            esc(text) +
+            '</td><td><button type="button" class="btn btn-outline btn-sm cal-del-btn" data-cal-id="' +
+            esc(it.id) +
+            '">삭제</button></td></tr>'
+          );
+        })
+        .join("");
+    } catch (e) {
+      body.innerHTML = '<tr><td colspan="6" style="text-align:center;color:var(--dmc-color-danger);padding:24px">' + esc(e.message || "일정 로드 실패") + "</td></tr>";
+    }
+  }
+
+  async function postMeetingCalendar(payload) {
+    if (!ensureAdminSession()) return null;
+    const res = await fetch(ATTENDANCE_API + "?action=meeting-calendar", {
+      method: "POST",
+      headers: adminJsonHeaders(),
+      body: JSON.stringify(payload)
+    });
+    const data = await res.json();
+    if (!data.ok) {
+      if (res.status === 401) handleSessionExpired();
+      throw new Error(data.error || "저장 실패");
+    }
+    return data;
+  }
+
+  async function saveMeetingCalendarEntry() {
+    const dateValue = document.getElementById("calDate").value;
+    const status = document.getElementById("calStatus").value;
+    const meetingType =
+      document.getElementById("calType").value ||
+      (status === "extra" ? "ETC" : calendarTypeForInputDate(dateValue));
+    if (!dateValue || !meetingType) {
+      showToast("날짜를 확인하세요 — 화·목·토가 아니면 정모를 선택하세요", true);
+      return;
+    }
+    try {
+      const data = await postMeetingCalendar({
+        entry: {
+          meetingDate: inputToSlashDate(dateValue),
+          meetingType: meetingType,
+          status: status,
+          movedToDate: inputToSlashDate(document.getElementById("calMovedTo").value),
+          label: document.getElementById("calLabel").value,
+          note: document.getElementById("calNote").value
+        }
+      });
+      if (!data) return;
+      showToast(data.item.meetingDateKey + " " + (CALENDAR_STATUS_LABEL[data.item.status] || "") + " 저장");
+      document.getElementById("calLabel").value = "";
+      document.getElementById("calNote").value = "";
+      await loadMeetingCalendar();
+    } catch (e) {
+      showToast(e.message || "저장 실패", true);
+    }
+  }
+
+  async function deleteMeetingCalendarEntry(id) {
+    if (!id || !confirm(id + " 일정을 삭제할까요? 요일 정모 규칙으로 돌아갑니다.")) return;
+    try {
+      const data = await postMeetingCalendar({ deleteId: id });
+      if (!data) return;
+      showToast("일정 삭제");
+      await loadMeetingCalendar();
+    } catch (e) {
+      showToast(e.message || "삭제 실패", true);
+    }
+  }
+
+  document.getElementById("calLoad").addEventListener("click", function () {
+    loadMeetingCalendar().catch(function () {});
+  });
+  document.getElementById("calSave").addEventListener("click", function () {
+    saveMeetingCalendarEntry().catch(function () {});
+  });
+  document.getElementById("calBody").addEventListener("click", function (e) {
+    const btn = e.target.closest(".cal-del-btn");
+    if (!btn) return;
+    deleteMeetingCalendarEntry(btn.getAttribute("data-cal-id")).catch(function () {});
+  });
+
   document.getElementById("attMonthLoad").addEventListener("click", function () {
     showToast("월 집계 API는 이후 단계에서 연결됩니다");
   });
@@ -851,6 +1918,7 @@
       if (!data.ok) throw new Error(data.error || "불러오기 실패");
       updateTrainWeekLabel(data.week || weekDates);
       renderTrainingBoard(data.rows || []);
+      loadTrainingCompletion().catch(function () {});
     } catch (e) {
       const fallback = ["TUE", "THU", "SAT"].map(function (t) {
         return trainHelper.emptyTrainingRow(weekDates[t], t);
@@ -860,13 +1928,131 @@
     }
   }
 
-  async function saveTrainingWeek() {
-    let pw = adminPwCache;
-    if (!pw) {
-      pw = window.prompt("운영진 비밀번호를 입력하세요");
-      if (!pw) return;
-      adminPwCache = pw;
+  const RUN_PART_LABELS = { trainBefore: "전", trainMain: "본", trainAfter: "후" };
+
+  function formatRunPace(secPerKm) {
+    const n = Math.round(Number(secPerKm) || 0);
+    return n ? Math.floor(n / 60) + ":" + String(n % 60).padStart(2, "0") + "/km" : "—";
+  }
+
+  function formatRunDuration(sec) {
+    const n = Math.round(Number(sec) || 0);
+    if (!n) return "";
+    const h = Math.floor(n / 3600);
+    const m = Math.floor((n % 3600) / 60);
+    const ss = String(n % 60).padStart(2, "0");
+    return h ? h + ":" + String(m).padStart(2, "0") + ":" + ss : m + ":" + ss;
+  }
+
+  function renderTrainingCompletionSession(s) {
+    const parts = Object.keys(RUN_PART_LABELS)
+      .filter(function (part) {
+        return s.training && s.training[part];
+      })
+      .map(function (part) {
+        return (
+          "<li>" +
+          '<span class="phase-label">' +
+          RUN_PART_LABELS[part] +
+          "</span> <strong>" +
+          (s.completed[part] || 0) +
+          "/" +
+          s.logged +
+          "명</strong> " +
+          esc(s.training[part].split("\n")[0]) +
+          "</li>"
+        );
+      })
+      .join("");
+    const logs = (s.logs || [])
+      .map(function (l) {
+        return (
+          "<tr><td>" +
+          esc(l.nickname) +
+          "</td><td>" +
+          (l.distanceKm ? l.distanceKm + "km" : "") +
+          "</td><td>" +
+          esc(formatRunDuration(l.durationSec)) +
+          "</td><td>" +
+          (l.rpe || "") +
+          "</td><td>" +
+          esc(l.group) +
+          "</td><td>" +
+          esc(
+            l.completed
+              .map(function (p) {
+                return RUN_PART_LABELS[p];
+              })
+              .join("·")
+          ) +
+          "</td></tr>"
+        );
+      })
+      .join("");
+    return (
+      '<div class="week-card">' +
+      "<h3>" +
+      typeKo(s.meetingType) +
+      " " +
+      shortTrainDateLabel(s.meetingDateKey) +
+      "</h3>" +
+      '<p class="hint">출석 ' +
+      s.attended +
+      "명 · 기록 " +
+      s.logged +
+      "명" +
+      (s.logged
+        ? " · 합계 " +
+          s.distanceKm +
+          "km · 평균 페이스 " +
+          formatRunPace(s.avgPaceSecPerKm) +
+          " · 평균 RPE " +
+          (s.avgRpe || "—")
+        : "") +
+      "</p>" +
+      (parts ? '<ul class="run-part-list">' + parts + "</ul>" : '<p class="hint">훈련 계획 없음</p>') +
+      (s.groups && s.groups.length
+        ? '<p class="hint">그룹 ' +
+          s.groups
+            .map(function (g) {
+              return esc(g.group) + " " + g.count;
+            })
+            .join(" · ") +
+          "</p>"
+        : "") +
+      (logs
+        ? '<div style="overflow-x:auto"><table class="member-table"><thead><tr><th>닉네임</th><th>거리</th><th>시간</th><th>RPE</th><th>그룹</th><th>완료</th></tr></thead><tbody>' +
+          logs +
+          "</tbody></table></div>"
+        : "") +
+      "</div>"
+    );
+  }
+
+  /** 운영진: 주간 훈련 수행 현황 (출석 runLog 집계) */
+  async function loadTrainingCompletion() {
+    const el = document.getElementById("trainCompletionBody");
+    if (!el || !ensureAdminSession()) return;
+    el.innerHTML = '<p class="hint">불러오는 중…</p>';
+    try {
+      const res = await fetch(ATTENDANCE_API + "?action=admin-training-completion", {
+        method: "POST",
+        headers: adminJsonHeaders(),
+        body: JSON.stringify({ week: trainWeekAnchor || kstTodayDash() })
+      });
+      const data = await res.json();
+      if (!data.ok) {
+        if (res.status === 401) handleSessionExpired();
+        throw new Error(data.error || "로드 실패");
+      }
+      el.innerHTML = '<div class="week-board">' + (data.sessions || []).map(renderTrainingCompletionSession).join("") + "</div>";
+    } catch (e) {
+      el.innerHTML = '<p class="hint" style="color:var(--dmc-color-danger)">' + esc(e.message || "로드 실패") + "</p>";
     }
+  }
+
+  async function saveTrainingWeek() {
+    if (!ensureAdminSession()) return;
     const rows = readTrainingBoardRows();
     if (!rows.length) {
       showToast("저장할 행이 없습니다", true);
@@ -875,12 +2061,12 @@
     try {
       const res = await fetch(ATTENDANCE_API + "?action=meeting-training", {
         method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ pw: pw, rows: rows })
+        headers: adminJsonHeaders(),
+        body: JSON.stringify({ rows: rows })
       });
       const data = await res.json();
       if (!data.ok) {
-        if (res.status === 401) adminPwCache = "";
+        if (res.status === 401) handleSessionExpired();
         throw new Error(data.error || "저장 실패");
       }
       showToast("주간 훈련 " + (data.savedCount || rows.length) + "건 저장");
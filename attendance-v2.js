@@ -9,6 +9,10 @@
   const RACE_LOG_API = IS_LOCAL
     ? "http://" + location.hostname + ":5001/dmc-attendance/asia-northeast3/race"
     : "https://race-nszximpvtq-du.a.run.app";
+  /** 캘린더 구독 피드 — 배포는 hosting rewrite /calendar.ics (webcal:// 로 열면 구독) */
+  const CALENDAR_FEED_URL = IS_LOCAL
+    ? "http://" + location.hostname + ":5001/dmc-attendance/asia-northeast3/calendarFeed"
+    : location.origin + "/calendar.ics";
 
   const LS_PROFILE = "dmc_attendance_v2_profile";
   const CHECKIN_BTN_LABEL = "출석 체크";
@@ -77,6 +81,18 @@
     typeof window !== "undefined" && window.DmcAttendanceMeetingType
       ? window.DmcAttendanceMeetingType
       : null;
+  const checkinQueueHelper =
+    typeof window !== "undefined" && window.DmcAttendanceCheckinQueue
+      ? window.DmcAttendanceCheckinQueue
+      : null;
+  const KIOSK_QUEUE_POLL_MS = 60_000;
+  const qrCodeHelper =
+    typeof window !== "undefined" && window.DmcQrCode ? window.DmcQrCode : null;
+  /** 키오스크 기기 등록 키 (운영진 비밀번호로 1회 발급, 출석 QR 토큰 발급용) */
+  const KIOSK_QR_KEY_STORAGE = "dmc_kiosk_qr_key";
+  /** 스캔한 출석 QR 토큰 (개인 화면, 탭 세션 한정) */
+  const SCANNED_QR_STORAGE = "dmc_attendance_scanned_qr";
+  const KIOSK_QR_REFRESH_MS = 20_000;
   const MEETING_TYPE_LABELS = {
     TUE: "화요일 정모",
     THU: "목요일 정모",
@@ -135,6 +151,11 @@
   const elKioskDoneStreakCount = document.getElementById("kioskDoneStreakCount");
   const elKioskMsg = document.getElementById("kioskMsg");
   const elKioskWakeLockStatus = document.getElementById("kioskWakeLockStatus");
+  const elKioskPendingSync = document.getElementById("kioskPendingSync");
+  const elKioskQrCard = document.getElementById("kioskQrCard");
+  const elKioskQrImage = document.getElementById("kioskQrImage");
+  const elKioskQrCaption = document.getElementById("kioskQrCaption");
+  const elKioskQrPairBtn = document.getElementById("kioskQrPairBtn");
 
   let membersCache = [];
   let myProfile = null;
@@ -143,6 +164,7 @@
   let sessionCountAbort = null;
   let sessionCountReqId = 0;
   let lastSuccessMeetingDateKey = "";
+  let lastSuccessMeetingType = "";
   let lastSuccessGuest = false;
   let lastSuccessStatsLoaded = false;
   let lastSuccessStats = {
@@ -176,6 +198,13 @@
     trainingLoading: false,
     idleTimer: null,
     assignTeamMember: null,
+    queuedMemberIds: [],
+    queuedNicknameKeys: [],
+    queuePendingCount: 0,
+    queuePollTimer: null,
+    qrRequired: false,
+    qrToken: "",
+    qrTimer: null,
   };
   let isKioskProcessing = false;
 
@@ -321,7 +350,11 @@
       history.replaceState(null, "", "#" + tabId);
     }
     if (tabId === "more") refreshMoreProfileCard();
-    if (tabId === "my-attendance") loadMyAttendancePanel().catch(() => {});
+    if (tabId === "my-attendance") {
+      loadMyAttendancePanel().catch(() => {});
+      loadMyCorrectionRequests().catch(() => {});
+      renderCalendarSubscribe();
+    }
     if (tabId === "team-attendance") loadTeamAttendancePanel().catch(() => {});
   }
 
@@ -343,6 +376,8 @@
   }
 
   let myAttendMonthKey = "";
+  /** 내 출석 탭 — 현재 월 정회원 출석 행 (달력 날짜 클릭 → 달린 기록) */
+  let myAttendItems = [];
   let teamAttendMonthKey = "";
   let teamAttendFilter = "";
   let teamAttendLastAgg = null;
@@ -374,15 +409,72 @@
     return m[1] + "년 " + Number(m[2]) + "월";
   }
 
-  /** 개인 취소용 — URL meetingDate/Type 무시, 서버 resolveDefaultMeeting과 동일 */
-  function activeSessionForCancel() {
-    const urlParams = new URLSearchParams(window.location.search);
-    const testDateParam = urlParams.get("testDate");
-    let now = new Date();
+  /** 정모 일정 예외(취소·이동·추가) — init 시 meeting-calendar 로드, 실패 시 null(요일 규칙만) */
+  let meetingCalendar = null;
+
+  /** 기본 모임 계산 기준 시각 (로컬·스테이징 testDate 지원) */
+  function meetingNow() {
+    const testDateParam = new URLSearchParams(window.location.search).get("testDate");
     if ((IS_LOCAL || IS_STAGING) && testDateParam) {
       const parsed = new Date(testDateParam + "T10:00:00+09:00");
-      if (!isNaN(parsed.getTime())) now = parsed;
+      if (!isNaN(parsed.getTime())) return parsed;
+    }
+    return new Date();
+  }
+
+  function kstDateKeyOf(now, dayOffset) {
+    const kstDate = new Date(now.toLocaleString("en-US", { timeZone: "Asia/Seoul" }));
+    kstDate.setDate(kstDate.getDate() + (dayOffset || 0));
+    const year = kstDate.getFullYear();
+    const month = String(kstDate.getMonth() + 1).padStart(2, "0");
+    const day = String(kstDate.getDate()).padStart(2, "0");
+    return year + "/" + month + "/" + day;
+  }
+
+  /** 요일 규칙 기본 모임 + meeting_calendar 반영 — 서버 resolveDefaultMeeting(now, calendar)과 동일 */
+  function resolveActiveMeeting(now) {
+    const base = weekdayDefaultMeeting(now);
+    const cal = window.DmcMeetingCalendar;
+    if (!meetingCalendar || !cal) return base;
+    return cal.applyMeetingCalendar(base, meetingCalendar, kstDateKeyOf(now));
+  }
+
+  async function loadMeetingCalendar() {
+    const now = meetingNow();
+    const months = Array.from(
+      new Set([weekdayDefaultMeeting(now).dateKey, kstDateKeyOf(now)].map((k) => k.slice(0, 7).replace("/", "-")))
+    );
+    const ctrl = new AbortController();
+    const timer = setTimeout(() => ctrl.abort(), 4000);
+    try {
+      const lists = await Promise.all(
+        months.map((m) =>
+          fetch(BASE_URL + "?action=meeting-calendar&month=" + encodeURIComponent(m), { signal: ctrl.signal })
+            .then((r) => r.json())
+            .then((json) => (json && json.ok && Array.isArray(json.items) ? json.items : []))
+        )
+      );
+      const byId = {};
+      lists.flat().forEach((e) => {
+        byId[e.id || e.meetingDateKey + "_" + e.meetingType] = e;
+      });
+      meetingCalendar = window.DmcMeetingCalendar
+        ? window.DmcMeetingCalendar.buildMeetingCalendar(Object.values(byId))
+        : null;
+    } catch (e) {
+      console.warn("meeting-calendar load failed", e);
+      meetingCalendar = null;
+    } finally {
+      clearTimeout(timer);
     }
+  }
+
+  /** 개인 취소용 — URL meetingDate/Type 무시, 서버 resolveDefaultMeeting과 동일 */
+  function activeSessionForCancel() {
+    return resolveActiveMeeting(meetingNow());
+  }
+
+  function weekdayDefaultMeeting(now) {
     const dow = new Intl.DateTimeFormat("en-US", {
       timeZone: "Asia/Seoul",
       weekday: "short"
@@ -398,12 +490,7 @@
       case "Sat": dayOffset = 0; meetingType = "SAT"; break;
       case "Sun": dayOffset = -1; meetingType = "SAT"; break;
     }
-    const kstDate = new Date(now.toLocaleString("en-US", { timeZone: "Asia/Seoul" }));
-    kstDate.setDate(kstDate.getDate() + dayOffset);
-    const year = kstDate.getFullYear();
-    const month = String(kstDate.getMonth() + 1).padStart(2, "0");
-    const day = String(kstDate.getDate()).padStart(2, "0");
-    return { dateKey: year + "/" + month + "/" + day, meetingType };
+    return { dateKey: kstDateKeyOf(now, dayOffset), meetingType };
   }
 
   function isRowActiveSession(item, active) {
@@ -497,6 +584,8 @@
         streak +
         '</strong><span>연속</span></div>';
 
+      myAttendItems = memberItems;
+      renderMyRunSummary(statsJson.ok ? statsJson : null);
       renderMyAttendCalendar(memberItems);
 
       if (!memberItems.length) {
@@ -509,6 +598,8 @@
       listEl.innerHTML = memberItems
         .map((it) => {
           const canCancel = p.memberId && isRowActiveSession(it, active);
+          const canLogRun = p.memberId && isRunLogEditable(it.meetingDate);
+          const runText = runLogSummaryText(it.runLog);
           const day = String(it.meetingDate || "").split("/")[2] || "";
           const label = it.meetingTypeLabel || it.meetingType || "";
           const cancelBtn = canCancel
@@ -529,9 +620,19 @@
             (it.meetingDate || "") +
             (canCancel ? " · 활성 세션" : "") +
             (it.timeText ? " · " + it.timeText : "") +
+            (runText ? "<br>" + escapeHtml(runText) : "") +
             "</span></div>" +
             '<div style="display:flex;flex-direction:column;align-items:flex-end;gap:6px">' +
             '<span style="font-size:11px;font-weight:700;color:var(--dmc-attend-fg,var(--dmc-color-success))">출석</span>' +
+            (canLogRun
+              ? '<button type="button" class="btn-run-log" data-run-date="' +
+                escapeHtml(it.meetingDate) +
+                '" data-run-type="' +
+                escapeHtml(it.meetingType) +
+                '">' +
+                (it.runLog ? "기록 수정" : "기록") +
+                "</button>"
+              : "") +
             cancelBtn +
             "</div></li>"
           );
@@ -553,6 +654,170 @@
     }
   }
 
+  /** 초 → "48:30" · "1:05:00" */
+  function formatRunDuration(sec) {
+    const n = Math.round(Number(sec) || 0);
+    if (!n) return "";
+    const h = Math.floor(n / 3600);
+    const m = Math.floor((n % 3600) / 60);
+    const ss = String(n % 60).padStart(2, "0");
+    return h ? h + ":" + String(m).padStart(2, "0") + ":" + ss : m + ":" + ss;
+  }
+
+  function formatRunPace(secPerKm) {
+    const n = Math.round(Number(secPerKm) || 0);
+    return n ? Math.floor(n / 60) + ":" + String(n % 60).padStart(2, "0") + "/km" : "";
+  }
+
+  /** runLog → "8.5km · 48:30 · 5:42/km · RPE 6" */
+  function runLogSummaryText(runLog) {
+    if (!runLog) return "";
+    const km = Number(runLog.distanceKm) || 0;
+    const sec = Number(runLog.durationSec) || 0;
+    return [
+      km ? km + "km" : "",
+      formatRunDuration(sec),
+      km && sec ? formatRunPace(sec / km) : "",
+      runLog.rpe ? "RPE " + runLog.rpe : "",
+      runLog.group || "",
+    ]
+      .filter(Boolean)
+      .join(" · ");
+  }
+
+  /** 서버 run-log 와 같은 창 — 오늘 포함 14일 */
+  function isRunLogEditable(meetingDateKey) {
+    const dk = String(meetingDateKey || "");
+    return dk <= kstDateKeyOf(new Date()) && dk >= kstDateKeyOf(new Date(), -13);
+  }
+
+  function renderMyRunSummary(stats) {
+    const el = document.getElementById("myRunSummary");
+    if (!el) return;
+    const count = stats ? Number(stats.runLogCount) || 0 : 0;
+    el.hidden = !count;
+    if (!count) return;
+    const pace = formatRunPace(stats.avgPaceSecPerKm);
+    el.textContent =
+      "달린 거리 " +
+      (Number(stats.monthDistanceKm) || 0) +
+      "km" +
+      (pace ? " · 평균 페이스 " + pace : "") +
+      " · 기록 " +
+      count +
+      "회";
+  }
+
+  /** 달린 기록 모달 대상 { meetingDate, meetingType, runLog } */
+  let runLogTarget = null;
+  /** 출석 완료 화면에서 연 대상 — 저장 후 버튼 문구 갱신용 */
+  let successRunLogTarget = null;
+  const RUN_LOG_PARTS = ["trainBefore", "trainMain", "trainAfter"];
+
+  async function openRunLogModal(target) {
+    const p = myProfile || loadProfile();
+    if (!p || !p.memberId || !target) return;
+    runLogTarget = target;
+    const r = target.runLog || {};
+    document.getElementById("runLogMeeting").textContent =
+      target.meetingDate + " " + meetingTypeLabel(target.meetingType);
+    document.getElementById("runLogDistance").value = r.distanceKm || "";
+    document.getElementById("runLogDuration").value = formatRunDuration(r.durationSec);
+    document.getElementById("runLogRpe").value = r.rpe ? String(r.rpe) : "";
+    document.getElementById("runLogGroup").value = r.group || "";
+    document.getElementById("runLogClearBtn").hidden = !target.runLog;
+    const msg = document.getElementById("runLogMsg");
+    msg.textContent = "";
+    msg.className = "msg";
+    const parts = document.getElementById("runLogParts");
+    const done = Array.isArray(r.completed) ? r.completed : [];
+    parts.hidden = true;
+    parts.querySelectorAll('input[type="checkbox"]').forEach((cb) => {
+      cb.checked = done.indexOf(cb.value) >= 0;
+    });
+    document.getElementById("runLogModal").classList.remove("hidden");
+
+    // 그날 훈련 계획(전·본·후)이 있으면 완료 여부 체크 항목으로 보여 준다
+    if (["TUE", "THU", "SAT"].indexOf(target.meetingType) < 0) return;
+    try {
+      const json = await fetch(
+        BASE_URL +
+          "?action=meeting-training&meetingDate=" +
+          encodeURIComponent(target.meetingDate) +
+          "&meetingType=" +
+          encodeURIComponent(target.meetingType)
+      ).then((res) => res.json());
+      const item = json && json.ok && json.found ? json.item : null;
+      if (!item || runLogTarget !== target) return;
+      let any = false;
+      RUN_LOG_PARTS.forEach((part) => {
+        const text = String(item[part] || "").trim();
+        const label = parts.querySelector('[data-part-text="' + part + '"]').closest("label");
+        parts.querySelector('[data-part-text="' + part + '"]').textContent = text;
+        label.hidden = !text;
+        if (text) any = true;
+      });
+      parts.hidden = !any;
+    } catch (_) {
+      /* 훈련 계획 없이도 거리·시간 기록은 가능 */
+    }
+  }
+
+  function runLogErrorMessage(data) {
+    const map = {
+      ATTENDANCE_NOT_FOUND: "해당 모임 출석 기록이 없습니다.",
+      "meetingDate outside 14-day lookback": "최근 14일 이내 출석만 기록할 수 있습니다.",
+      "pace too fast — check distance and duration": "거리와 시간을 다시 확인해 주세요.",
+      "invalid duration (mm:ss or h:mm:ss, max 8h)": "시간은 48:30 또는 1:05:00 형식으로 입력해 주세요.",
+    };
+    return data.message || map[data.error] || data.error || "저장 실패";
+  }
+
+  async function saveRunLog(clear) {
+    const p = myProfile || loadProfile();
+    if (!p || !p.memberId || !runLogTarget) return;
+    const msg = document.getElementById("runLogMsg");
+    const btn = document.getElementById("runLogSaveBtn");
+    const payload = {
+      memberId: p.memberId,
+      meetingDate: runLogTarget.meetingDate,
+      meetingType: runLogTarget.meetingType,
+    };
+    if (!clear) {
+      payload.distanceKm = document.getElementById("runLogDistance").value.trim();
+      payload.duration = document.getElementById("runLogDuration").value.trim();
+      payload.rpe = document.getElementById("runLogRpe").value;
+      payload.group = document.getElementById("runLogGroup").value.trim();
+      payload.completed = Array.prototype.filter
+        .call(document.querySelectorAll('#runLogParts input[type="checkbox"]'), (cb) => {
+          return cb.checked && !cb.closest("label").hidden && !document.getElementById("runLogParts").hidden;
+        })
+        .map((cb) => cb.value);
+    }
+    btn.disabled = true;
+    try {
+      const res = await fetch(BASE_URL + "?action=run-log", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(payload),
+      });
+      const data = await res.json();
+      if (!data.ok) throw new Error(runLogErrorMessage(data));
+      document.getElementById("runLogModal").classList.add("hidden");
+      runLogTarget.runLog = data.runLog;
+      if (runLogTarget === successRunLogTarget) {
+        document.getElementById("successRunLogBtn").textContent = data.runLog ? "달린 기록 수정" : "달린 기록 남기기";
+      }
+      runLogTarget = null;
+      if (parseShellHash() === "my-attendance") await loadMyAttendancePanel();
+    } catch (e) {
+      msg.textContent = e.message || "저장 실패";
+      msg.className = "msg error";
+    } finally {
+      btn.disabled = false;
+    }
+  }
+
   function applyMyAttendViewMode() {
     const listPanel = document.getElementById("myAttendListPanel");
     const calPanel = document.getElementById("myAttendCalPanel");
@@ -592,6 +857,7 @@
     calGrid.innerHTML = helper.buildAttendCalendarHtml({
       monthKey: myAttendMonthKey || currentMonthKeyKst(),
       attendedDateKeys: Array.from(attended),
+      runLogDateKeys: Array.from(helper.runLogDateKeySet(memberItems || [])),
       todayKey: kstTodayDateKeySlash(),
       cellsOnly: true,
     });
@@ -817,6 +1083,9 @@
         "<div>이번 달 정모<br /><strong>" +
         pastMeetingCount +
         "회</strong></div>" +
+        (agg.distanceKm
+          ? '<div style="text-align:center">달린 거리<br /><strong>' + agg.distanceKm + "km</strong></div>"
+          : "") +
         '<div style="text-align:right">출석률<br /><strong>' +
         teamAttendRate +
         "%</strong></div>";
@@ -867,7 +1136,9 @@
             "</div>" +
             '<div class="member-count">' +
             row.count +
-            "회</div></li>"
+            "회" +
+            (row.distanceKm ? '<span class="member-km">' + row.distanceKm + "km</span>" : "") +
+            "</div></li>"
           );
         })
         .join("");
@@ -1051,7 +1322,8 @@
         body: JSON.stringify({
           memberId: p.memberId,
           meetingDate: meetingDate,
-          meetingType: meetingType
+          meetingType: meetingType,
+          via: isKioskMode() ? "kiosk" : "self"
         })
       });
       const data = await res.json();
@@ -1070,6 +1342,124 @@
     }
   }
 
+  const CORRECTION_STATUS_LABEL = { pending: "검토 중", approved: "승인", rejected: "반려" };
+
+  /** 내 출석 탭 — 출석 누락 신청 내역 (최근 20건) */
+  async function loadMyCorrectionRequests() {
+    const panel = document.getElementById("myCorrectionPanel");
+    const listEl = document.getElementById("myCorrectionList");
+    const p = myProfile || loadProfile();
+    if (!panel || !listEl) return;
+    if (!p || !p.memberId) {
+      panel.hidden = true;
+      return;
+    }
+    try {
+      const json = await fetch(
+        BASE_URL + "?action=my-correction-requests&memberId=" + encodeURIComponent(p.memberId)
+      ).then((r) => r.json());
+      const rows = json && json.ok && Array.isArray(json.requests) ? json.requests : [];
+      panel.hidden = rows.length === 0;
+      listEl.innerHTML = rows
+        .map((r) => {
+          const detail = r.status === "rejected" && r.reviewNote ? r.reviewNote : r.reason;
+          return (
+            '<li class="attend-log-item" style="display:flex;align-items:center;gap:12px;padding:12px 16px;border-bottom:1px solid var(--dmc-line-subtle,var(--dmc-color-border-light))">' +
+            '<div style="flex:1;min-width:0"><strong style="display:block;font-size:14px">' +
+            escapeHtml(r.meetingDateKey + " " + meetingTypeLabel(r.meetingType)) +
+            '</strong><span style="font-size:12px;color:var(--dmc-color-text-secondary)">' +
+            escapeHtml(detail || "") +
+            "</span></div>" +
+            '<span class="correction-status ' +
+            escapeHtml(r.status) +
+            '">' +
+            escapeHtml(CORRECTION_STATUS_LABEL[r.status] || r.status) +
+            "</span></li>"
+          );
+        })
+        .join("");
+    } catch (e) {
+      console.warn("my-correction-requests", e);
+      panel.hidden = true;
+    }
+  }
+
+  /** 내 출석 탭 — 캘린더 구독 링크 (내 참가 일정은 memberId 가 있을 때만) */
+  function renderCalendarSubscribe() {
+    const allEl = document.getElementById("calSubscribeAll");
+    const mineEl = document.getElementById("calSubscribeMine");
+    if (!allEl || !mineEl) return;
+    const webcal = (query) => CALENDAR_FEED_URL.replace(/^https?:/, IS_LOCAL ? "http:" : "webcal:") + "?" + query;
+    allEl.href = webcal("feed=meetings,races");
+    const p = myProfile || loadProfile();
+    mineEl.hidden = !(p && p.memberId);
+    if (p && p.memberId) mineEl.href = webcal("memberId=" + encodeURIComponent(p.memberId) + "&mine=1");
+  }
+
+  function openCorrectionModal() {
+    const p = myProfile || loadProfile();
+    if (!p || !p.memberId) {
+      alert("오늘 탭에서 프로필을 설정해 주세요.");
+      return;
+    }
+    const g = getDefaultDateAndMeetingType();
+    document.getElementById("correctionMeetingType").value = g.meetingType;
+    document.getElementById("correctionMeetingDate").value = dateKeyToInputValue(g.dateKey);
+    document.getElementById("correctionReason").value = "";
+    const msg = document.getElementById("correctionMsg");
+    msg.textContent = "";
+    msg.className = "msg";
+    document.getElementById("correctionModal").classList.remove("hidden");
+  }
+
+  async function submitCorrectionRequest() {
+    const p = myProfile || loadProfile();
+    const msg = document.getElementById("correctionMsg");
+    const btn = document.getElementById("correctionSubmitBtn");
+    const meetingType = document.getElementById("correctionMeetingType").value;
+    const meetingDate = inputValueToDateKey(document.getElementById("correctionMeetingDate").value);
+    const reason = document.getElementById("correctionReason").value.trim();
+    if (!p || !p.memberId) return;
+    if (!meetingDate || !reason) {
+      msg.textContent = "모임 날짜와 사유를 입력해 주세요.";
+      msg.className = "msg error";
+      return;
+    }
+    btn.disabled = true;
+    try {
+      const res = await fetch(BASE_URL + "?action=correction-request", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          memberId: p.memberId,
+          team: p.team,
+          meetingDate: meetingDate,
+          meetingType: meetingType,
+          reason: reason
+        })
+      });
+      const data = await res.json();
+      if (!data.ok) throw new Error(correctionErrorMessage(data));
+      document.getElementById("correctionModal").classList.add("hidden");
+      alert("신청되었습니다. 운영진 확인 후 출석에 반영됩니다.");
+      await loadMyCorrectionRequests();
+    } catch (e) {
+      msg.textContent = e.message || "신청 실패";
+      msg.className = "msg error";
+    } finally {
+      btn.disabled = false;
+    }
+  }
+
+  function correctionErrorMessage(data) {
+    const map = {
+      "meetingDate in the future": "아직 열리지 않은 모임입니다.",
+      "meetingDate outside 14-day lookback": "최근 14일 이내 모임만 신청할 수 있습니다.",
+      "no meeting held on that date": "해당 날짜에 열린 모임이 없습니다. 날짜·정모 유형을 확인해 주세요.",
+    };
+    return data.message || map[data.error] || data.error || "신청 실패";
+  }
+
   function setKioskEntryLinks() {
     /* Shell-1: 오늘 탭 키오스크 링크 제거. 이용 안내 시트(#btn-kiosk-mode)만 사용 */
   }
@@ -1125,35 +1515,7 @@
         meetingType: queryMeetingType || "SAT"
       };
     }
-    const testDateParam = urlParams.get("testDate");
-    let now = new Date();
-    if ((IS_LOCAL || IS_STAGING) && testDateParam) {
-      const parsed = new Date(testDateParam + "T10:00:00+09:00");
-      if (!isNaN(parsed.getTime())) now = parsed;
-    }
-    const kstFormatter = new Intl.DateTimeFormat("en-US", {
-      timeZone: "Asia/Seoul",
-      weekday: "short"
-    });
-    const dow = kstFormatter.format(now);
-    let dayOffset = 0;
-    let meetingType = "SAT";
-    switch (dow) {
-      case "Mon": dayOffset = -2; meetingType = "SAT"; break;
-      case "Tue": dayOffset = 0; meetingType = "TUE"; break;
-      case "Wed": dayOffset = -1; meetingType = "TUE"; break;
-      case "Thu": dayOffset = 0; meetingType = "THU"; break;
-      case "Fri": dayOffset = -1; meetingType = "THU"; break;
-      case "Sat": dayOffset = 0; meetingType = "SAT"; break;
-      case "Sun": dayOffset = -1; meetingType = "SAT"; break;
-    }
-    const kstDate = new Date(now.toLocaleString("en-US", { timeZone: "Asia/Seoul" }));
-    kstDate.setDate(kstDate.getDate() + dayOffset);
-    const year = kstDate.getFullYear();
-    const month = String(kstDate.getMonth() + 1).padStart(2, "0");
-    const day = String(kstDate.getDate()).padStart(2, "0");
-    const dateKey = year + "/" + month + "/" + day;
-    return { dateKey, meetingType };
+    return resolveActiveMeeting(meetingNow());
   }
 
   function teamLabel(code) {
@@ -1221,9 +1583,19 @@
     return p.mo + "월 " + p.d + "일 " + weekday + " " + suffix;
   }
 
-  function updateKioskMeetingTitle(dateKeySlash, meetingType) {
-    elKioskMeetingTitleFull.textContent = formatKioskMeetingTitle(dateKeySlash, meetingType, false);
-    elKioskMeetingTitleCompact.textContent = formatKioskMeetingTitle(dateKeySlash, meetingType, true);
+  /** active: resolveActiveMeeting 결과 (status·label) — 특별 모임명·취소 표시 */
+  function updateKioskMeetingTitle(dateKeySlash, meetingType, active) {
+    let full = formatKioskMeetingTitle(dateKeySlash, meetingType, false);
+    let compact = formatKioskMeetingTitle(dateKeySlash, meetingType, true);
+    const label = active && active.label ? String(active.label) : "";
+    if (active && active.status === "cancelled") {
+      full += " · 취소" + (label ? " (" + label + ")" : "");
+      compact += " · 취소";
+    } else if (label) {
+      full += " · " + label;
+    }
+    elKioskMeetingTitleFull.textContent = full;
+    elKioskMeetingTitleCompact.textContent = compact;
   }
 
   /** yyyy-mm-dd → "4월 22일 (수)" (해당 달력일의 요일을 KST 기준으로 표시) */
@@ -1863,13 +2235,330 @@
     if (!res.ok || !json.ok) {
       const err = new Error(json.error || json.message || "request failed");
       err.code = json.error;
+      err.status = res.status;
       err.payload = json;
       throw err;
     }
     return json;
   }
 
-  async function showSuccessAfterCheckin(nickname, memberId, isGuest, meetingDateKey, sessionCountFromPost) {
+  /* —— Kiosk offline queue (assets/attendance-checkin-queue.js + sw.js) —— */
+
+  let kioskQueueStoreCache = null;
+  function kioskQueueStore() {
+    if (!checkinQueueHelper || typeof indexedDB === "undefined") return null;
+    if (!kioskQueueStoreCache) kioskQueueStoreCache = checkinQueueHelper.createIdbQueueStore(indexedDB);
+    return kioskQueueStoreCache;
+  }
+
+  function renderKioskPendingSync() {
+    if (!elKioskPendingSync) return;
+    const n = kioskState.queuePendingCount;
+    elKioskPendingSync.textContent = n > 0 ? "전송 대기 " + n + "건" : "";
+    elKioskPendingSync.classList.toggle("hidden", n <= 0);
+  }
+
+  async function refreshKioskQueueState() {
+    const store = kioskQueueStore();
+    if (!store) return;
+    const entries = await store.list();
+    const summary = checkinQueueHelper.summarizeQueue(
+      entries,
+      kioskState.meetingDateKey,
+      kioskState.meetingType
+    );
+    kioskState.queuedMemberIds = summary.memberIds;
+    kioskState.queuedNicknameKeys = summary.nicknameKeys;
+    kioskState.queuePendingCount = summary.pendingCount;
+    renderKioskPendingSync();
+    if (elKioskMemberPanel && !elKioskMemberPanel.classList.contains("hidden")) {
+      renderKioskCurrentMemberScreen();
+    }
+    if (summary.pendingCount > 0 && !kioskState.queuePollTimer) {
+      kioskState.queuePollTimer = setInterval(() => {
+        requestKioskQueueReplay("poll").catch(() => {});
+      }, KIOSK_QUEUE_POLL_MS);
+    } else if (summary.pendingCount === 0 && kioskState.queuePollTimer) {
+      clearInterval(kioskState.queuePollTimer);
+      kioskState.queuePollTimer = null;
+    }
+  }
+
+  function isKioskMemberQueued(member) {
+    if (!member) return false;
+    if (member.id && kioskState.queuedMemberIds.indexOf(member.id) >= 0) return true;
+    const key = String(member.nickname || "").trim().toLowerCase();
+    return !member.id && !!key && kioskState.queuedNicknameKeys.indexOf(key) >= 0;
+  }
+
+  async function handleKioskQueueReplayResult(result) {
+    const doneCount = Number(result && result.doneCount) || 0;
+    const droppedCount = Number(result && result.droppedCount) || 0;
+    if (doneCount || droppedCount) {
+      logAttendanceEvent("attendance_offline_replay", {
+        mode: "kiosk",
+        doneCount,
+        droppedCount,
+        expiredCount: Number(result.expiredCount) || 0,
+        pendingCount: Number(result.pendingCount) || 0,
+        dropped: result.dropped || [],
+        meetingDate: kioskState.meetingDateKey,
+        meetingType: kioskState.meetingType,
+        entrySource: "kiosk",
+      });
+      reloadKioskRoster("offline_replay").catch(() => {});
+    }
+    await refreshKioskQueueState();
+  }
+
+  /** SW에 재전송 요청. SW 미제어(첫 로드 등)면 페이지에서 직접 재전송 */
+  async function requestKioskQueueReplay(reason) {
+    const store = kioskQueueStore();
+    if (!store) return;
+    const controller =
+      "serviceWorker" in navigator ? navigator.serviceWorker.controller : null;
+    if (controller) {
+      controller.postMessage({ type: checkinQueueHelper.MSG_REPLAY, reason: reason || "" });
+      return;
+    }
+    const result = await checkinQueueHelper.replayQueue({
+      store,
+      fetchImpl: (url, init) => fetch(url, init),
+    });
+    await handleKioskQueueReplayResult({
+      doneCount: result.done.length,
+      droppedCount: result.dropped.length,
+      expiredCount: result.expired.length,
+      pendingCount: result.pendingCount,
+      dropped: result.dropped.map((e) => ({ id: e.id, nickname: e.nickname, error: e.lastError })),
+    });
+  }
+
+  async function registerKioskQueueSync() {
+    if (!("serviceWorker" in navigator)) return;
+    try {
+      const reg = await navigator.serviceWorker.ready;
+      if (reg && reg.sync) await reg.sync.register(checkinQueueHelper.SYNC_TAG);
+    } catch (e) {
+      // Background Sync 미지원 — online 이벤트·폴링으로 재전송
+    }
+  }
+
+  /** @returns {Promise<boolean>} 큐 저장 성공 여부 */
+  async function enqueueKioskCheckin(body) {
+    const store = kioskQueueStore();
+    if (!store) return false;
+    try {
+      await store.put(
+        checkinQueueHelper.buildQueueEntry({
+          url: BASE_URL,
+          body,
+          clientRequestId: body.clientRequestId,
+        })
+      );
+    } catch (e) {
+      return false;
+    }
+    await refreshKioskQueueState().catch(() => {});
+    registerKioskQueueSync().catch(() => {});
+    return true;
+  }
+
+  function newKioskCheckinBody(fields) {
+    const body = Object.assign({}, fields);
+    if (checkinQueueHelper) body.clientRequestId = checkinQueueHelper.createClientRequestId();
+    if (kioskState.qrToken) {
+      body.qrToken = kioskState.qrToken;
+      /* 오프라인 큐 재전송은 키오스크 키가 있어야 queuedAt 기준으로 토큰을 검증받는다 */
+      const kioskKey = readKioskQrKey();
+      if (kioskKey) body.kioskKey = kioskKey;
+    }
+    return body;
+  }
+
+  /* —— Attendance QR (assets/attendance-qr-code.js + functions/lib/attendance-qr.js) —— */
+
+  function isQrCheckinError(code) {
+    return String(code || "").startsWith("QR_TOKEN_");
+  }
+
+  function readKioskQrKey() {
+    try {
+      return localStorage.getItem(KIOSK_QR_KEY_STORAGE) || "";
+    } catch (_) {
+      return "";
+    }
+  }
+
+  function writeKioskQrKey(key) {
+    try {
+      if (key) localStorage.setItem(KIOSK_QR_KEY_STORAGE, key);
+      else localStorage.removeItem(KIOSK_QR_KEY_STORAGE);
+    } catch (_) {
+      /* 저장 실패 시 이번 세션만 QR 미표시 */
+    }
+  }
+
+  function clearKioskQrTimer() {
+    if (kioskState.qrTimer) {
+      clearTimeout(kioskState.qrTimer);
+      kioskState.qrTimer = null;
+    }
+  }
+
+  function kioskQrCheckinUrl(token) {
+    const params = new URLSearchParams();
+    params.set("meetingDate", String(kioskState.meetingDateKey || "").replace(/\//g, "-"));
+    params.set("meetingType", kioskState.meetingType);
+    params.set("qr", token);
+    return location.origin + location.pathname + "?" + params.toString();
+  }
+
+  function renderKioskQr() {
+    if (!elKioskQrCard) return;
+    const paired = !!readKioskQrKey();
+    if (elKioskQrPairBtn) {
+      elKioskQrPairBtn.classList.toggle("hidden", paired);
+      elKioskQrPairBtn.textContent = kioskState.qrRequired
+        ? "QR 기기 등록 필요 (운영진)"
+        : "QR 기기 등록 (운영진)";
+    }
+    if (!paired || !kioskState.qrToken || !qrCodeHelper) {
+      elKioskQrCard.classList.add("hidden");
+      return;
+    }
+    try {
+      elKioskQrImage.innerHTML = qrCodeHelper.toSvg(kioskQrCheckinUrl(kioskState.qrToken), { margin: 2 });
+    } catch (e) {
+      elKioskQrCard.classList.add("hidden");
+      return;
+    }
+    if (elKioskQrCaption) {
+      elKioskQrCaption.textContent = kioskState.qrRequired
+        ? "휴대폰으로 출석하려면 이 QR을 스캔하세요 · 1분마다 바뀝니다"
+        : "휴대폰 카메라로 스캔해도 출석할 수 있어요";
+    }
+    elKioskQrCard.classList.remove("hidden");
+  }
+
+  async function fetchKioskQrSettings() {
+    // 정모 한 번 설정이 있으면 그 값 (meeting), 없으면 유형 기본
+    const url =
+      BASE_URL +
+      "?action=qr-settings&meetingDate=" +
+      encodeURIComponent(kioskState.meetingDateKey) +
+      "&meetingType=" +
+      encodeURIComponent(kioskState.meetingType);
+    const json = await fetch(url).then((r) => r.json());
+    if (!json.ok) throw new Error(json.error || "qr-settings fetch failed");
+    const row = json.meeting || (json.settings || {})[kioskState.meetingType] || {};
+    kioskState.qrRequired = row.required === true;
+    return kioskState.qrRequired;
+  }
+
+  /** 현재 QR 토큰 갱신 후 다음 갱신 예약 (토큰은 1분 창, 20초마다 받아 여유 확보) */
+  async function refreshKioskQrToken() {
+    clearKioskQrTimer();
+    const key = readKioskQrKey();
+    if (!key || !isKioskVisible()) {
+      kioskState.qrToken = "";
+      renderKioskQr();
+      return;
+    }
+    try {
+      const url =
+        BASE_URL +
+        "?action=qr-token&meetingDate=" +
+        encodeURIComponent(kioskState.meetingDateKey) +
+        "&meetingType=" +
+        encodeURIComponent(kioskState.meetingType) +
+        "&kioskKey=" +
+        encodeURIComponent(key);
+      const res = await fetch(url);
+      const json = await res.json().catch(() => ({}));
+      if (res.status === 401) {
+        writeKioskQrKey("");
+        kioskState.qrToken = "";
+        logAttendanceEvent("attendance_kiosk_qr_error", { mode: "kiosk", error: json.error || "401" });
+      } else if (json.ok && json.token) {
+        kioskState.qrToken = json.token;
+      }
+    } catch (_) {
+      /* 오프라인: 마지막 토큰 유지 (큐 재전송은 queuedAt 기준으로 검증) */
+    }
+    renderKioskQr();
+    if (readKioskQrKey()) {
+      kioskState.qrTimer = setTimeout(() => {
+        refreshKioskQrToken().catch(() => {});
+      }, KIOSK_QR_REFRESH_MS);
+    }
+  }
+
+  async function pairKioskQr() {
+    const pw = window.prompt("운영진 비밀번호를 입력하면 이 기기에 출석 QR을 표시합니다");
+    if (!pw) return;
+    try {
+      const res = await fetch(BASE_URL + "?action=kiosk-pair", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ pw }),
+      });
+      const json = await res.json().catch(() => ({}));
+      if (!json.ok || !json.kioskKey) {
+        alert(res.status === 401 ? "비밀번호가 올바르지 않습니다." : json.error || "기기 등록 실패");
+        return;
+      }
+      writeKioskQrKey(json.kioskKey);
+      logAttendanceEvent("attendance_kiosk_qr_paired", { mode: "kiosk" });
+      await refreshKioskQrToken();
+    } catch (e) {
+      alert("네트워크 오류로 기기 등록에 실패했습니다.");
+    }
+  }
+
+  /** QR 스캔으로 연 URL(?qr=) → 탭 세션에 보관하고 주소창에서는 제거 */
+  function captureScannedQrToken() {
+    const urlParams = new URLSearchParams(window.location.search);
+    const token = urlParams.get("qr");
+    if (!token) return;
+    const def = getDefaultDateAndMeetingType();
+    try {
+      sessionStorage.setItem(
+        SCANNED_QR_STORAGE,
+        JSON.stringify({ token, meetingDate: def.dateKey, meetingType: def.meetingType })
+      );
+    } catch (_) {
+      /* sessionStorage 불가 시 QR 없이 진행 */
+    }
+    urlParams.delete("qr");
+    const qs = urlParams.toString();
+    history.replaceState(history.state, "", location.pathname + (qs ? "?" + qs : "") + location.hash);
+    logAttendanceEvent("attendance_qr_scanned", {
+      meetingDate: def.dateKey,
+      meetingType: def.meetingType,
+      entrySource: "v2",
+    });
+  }
+
+  /** 개인 화면 출석 POST 에 붙일 스캔 토큰 (모임일·유형이 같을 때만) */
+  function scannedQrFields(meetingDateKey, meetingType) {
+    try {
+      const saved = JSON.parse(sessionStorage.getItem(SCANNED_QR_STORAGE) || "null");
+      if (
+        saved &&
+        saved.token &&
+        saved.meetingDate === meetingDateKey &&
+        String(saved.meetingType || "").toUpperCase() === String(meetingType || "").toUpperCase()
+      ) {
+        return { qrToken: saved.token };
+      }
+    } catch (_) {
+      /* ignore */
+    }
+    return {};
+  }
+
+  async function showSuccessAfterCheckin(nickname, memberId, isGuest, meetingDateKey, sessionCountFromPost, meetingType) {
     lastSuccessCalendarAttendedKeys = new Set();
     lastSuccessStatsMonthKey = "";
     elSuccessLine.textContent = nickname + "님, 출석이 등록되었습니다.";
@@ -1887,7 +2576,14 @@
     }
     refreshTodayRosterList().catch(() => {});
     lastSuccessMeetingDateKey = meetingDateKey || "";
+    lastSuccessMeetingType = meetingType || "";
     lastSuccessGuest = !!isGuest;
+    const elSuccessRunLogBtn = document.getElementById("successRunLogBtn");
+    successRunLogTarget = { meetingDate: lastSuccessMeetingDateKey, meetingType: lastSuccessMeetingType, runLog: null };
+    if (elSuccessRunLogBtn) {
+      elSuccessRunLogBtn.hidden = !!isGuest || !memberId || !meetingType;
+      elSuccessRunLogBtn.textContent = "달린 기록 남기기";
+    }
     lastSuccessStatsLoaded = false;
     lastSuccessStats = { thisMonthCount: 0, attendanceRate: 0, consecutiveClubSessions: 0, totalPossible: 0 };
     paintSuccessViews();
@@ -2414,6 +3110,15 @@
             "</strong><span>완료</span></div>"
           );
         }
+        if (isKioskMemberQueued(member)) {
+          return (
+            '<div class="kiosk-member-card done queued" aria-disabled="true" data-member-id="' +
+            encodeURIComponent(member.id) +
+            '"><strong>' +
+            escapeHtml(member.nickname) +
+            "</strong><span>전송 대기</span></div>"
+          );
+        }
         return (
           '<button type="button" class="kiosk-member-card" data-member-id="' +
           encodeURIComponent(member.id) +
@@ -2531,6 +3236,10 @@
       if (isKioskMemberDone(member)) showKioskDone(member, "이미 출석 완료");
       return;
     }
+    if (isKioskMemberQueued(member)) {
+      showKioskDone(member, "전송 대기 중 · 연결되면 자동 저장");
+      return;
+    }
     if (!member.team) {
       renderKioskAssignTeamScreen(member);
       return;
@@ -2539,15 +3248,16 @@
     kioskState.pendingMemberId = member.id;
     renderKioskCurrentMemberScreen();
     let postSucceeded = false;
+    const checkinBody = newKioskCheckinBody({
+      nickname: member.nickname,
+      memberId: member.id,
+      team: member.team,
+      meetingType: kioskState.meetingType,
+      meetingDate: kioskState.meetingDateKey,
+      isGuest: false,
+    });
     try {
-      await postCheckin({
-        nickname: member.nickname,
-        memberId: member.id,
-        team: member.team,
-        meetingType: kioskState.meetingType,
-        meetingDate: kioskState.meetingDateKey,
-        isGuest: false,
-      });
+      await postCheckin(checkinBody);
       postSucceeded = true;
     } catch (e) {
       logAttendanceEvent("attendance_checkin_error", {
@@ -2559,6 +3269,20 @@
         meetingType: kioskState.meetingType,
         entrySource: "kiosk",
       });
+      if (
+        checkinQueueHelper &&
+        checkinQueueHelper.isQueueableCheckinFailure(e) &&
+        (await enqueueKioskCheckin(checkinBody))
+      ) {
+        if (member.team) {
+          const local = kioskState.members.find((item) => item && item.id === member.id);
+          if (local && !local.team) local.team = member.team;
+        }
+        showKioskDone(member, "전송 대기 · 연결되면 자동 저장");
+        kioskState.pendingMemberId = "";
+        isKioskProcessing = false;
+        return;
+      }
       if (shouldReloadRosterOnError(e.code)) {
         try {
           await reloadKioskRoster(e.code);
@@ -2577,7 +3301,12 @@
         return;
       }
       renderKioskCurrentMemberScreen();
-      setKioskMessage("출석 처리에 실패했습니다. IT 운영총무에게 알려주세요.", "error");
+      setKioskMessage(
+        isQrCheckinError(e.code)
+          ? "QR 필수 정모입니다. 운영진이 이 기기를 QR 기기로 등록해야 합니다."
+          : "출석 처리에 실패했습니다. IT 운영총무에게 알려주세요.",
+        "error"
+      );
       kioskState.pendingMemberId = "";
       isKioskProcessing = false;
       return;
@@ -2610,14 +3339,15 @@
     if (isKioskProcessing) return;
     isKioskProcessing = true;
     let postSucceeded = false;
+    const checkinBody = newKioskCheckinBody({
+      nickname,
+      team: "GUEST",
+      meetingType: kioskState.meetingType,
+      meetingDate: kioskState.meetingDateKey,
+      isGuest: true,
+    });
     try {
-      await postCheckin({
-        nickname,
-        team: "GUEST",
-        meetingType: kioskState.meetingType,
-        meetingDate: kioskState.meetingDateKey,
-        isGuest: true,
-      });
+      await postCheckin(checkinBody);
       postSucceeded = true;
     } catch (e) {
       logAttendanceEvent("attendance_checkin_error", {
@@ -2628,6 +3358,15 @@
         meetingType: kioskState.meetingType,
         entrySource: "kiosk",
       });
+      if (
+        checkinQueueHelper &&
+        checkinQueueHelper.isQueueableCheckinFailure(e) &&
+        (await enqueueKioskCheckin(checkinBody))
+      ) {
+        showKioskDone({ nickname }, "전송 대기 · 연결되면 자동 저장");
+        isKioskProcessing = false;
+        return;
+      }
       if (shouldReloadRosterOnError(e.code)) {
         try {
           await reloadKioskRoster(e.code);
@@ -2727,7 +3466,7 @@
     kioskState.error = "";
     kioskState.training = null;
     kioskState.trainingLoading = true;
-    updateKioskMeetingTitle(defaults.dateKey, defaults.meetingType);
+    updateKioskMeetingTitle(defaults.dateKey, defaults.meetingType, defaults);
     showView("kiosk");
     renderKioskIdleScreen({ history: "replace" });
     await requestKioskWakeLock();
@@ -2755,6 +3494,18 @@
       kioskState.error = "출석 명부를 불러오지 못했습니다. 네트워크를 확인해 주세요.";
     }
 
+    refreshKioskQueueState()
+      .then(() => {
+        if (kioskState.queuePendingCount > 0) return requestKioskQueueReplay("kiosk_open");
+        return null;
+      })
+      .catch(() => {});
+
+    fetchKioskQrSettings()
+      .catch(() => false)
+      .then(() => refreshKioskQrToken())
+      .catch(() => {});
+
     // 훈련 로딩도 기다려서 아이들 화면이 완성된 상태로 표시
     await trainingFetch;
   }
@@ -2782,6 +3533,12 @@
     renderMemberList(elSearchInput.value);
   });
 
+  if (elKioskQrPairBtn) {
+    elKioskQrPairBtn.addEventListener("click", () => {
+      pairKioskQr().catch(() => {});
+    });
+  }
+
   document.getElementById("openGuestBtn").addEventListener("click", () => {
     openPersonalNotOnRosterModal();
   });
@@ -2806,14 +3563,19 @@
     const btn = document.getElementById("guestSubmitBtn");
     btn.disabled = true;
     try {
-      const result = await postCheckin({
-        nickname,
-        team: "GUEST",
-        meetingType,
-        meetingDate: dateKey,
-        isGuest: true,
-        memberId: null
-      });
+      const result = await postCheckin(
+        Object.assign(
+          {
+            nickname,
+            team: "GUEST",
+            meetingType,
+            meetingDate: dateKey,
+            isGuest: true,
+            memberId: null
+          },
+          scannedQrFields(dateKey, meetingType)
+        )
+      );
       elGuestModal.classList.add("hidden");
       await showSuccessAfterCheckin(nickname, null, true, dateKey, result.sessionCount);
     } catch (e) {
@@ -2835,6 +3597,8 @@
         ) {
           await openSessionRosterModal(gDate, gType);
         }
+      } else if (isQrCheckinError(e.code)) {
+        alert((e.payload && e.payload.message) || "현장 QR을 스캔해 주세요.");
       } else {
         alert(e.code === "ALREADY_CHECKED_IN" ? "이미 출석된 기록이 있습니다." : e.message || "오류");
       }
@@ -2857,16 +3621,21 @@
     elCheckinBtn.textContent = "처리 중…";
     elDashMsg.textContent = "";
     try {
-      const result = await postCheckin({
-        nickname: myProfile.nickname,
-        memberId: myProfile.memberId,
-        team: myProfile.team,
-        meetingType,
-        meetingDate: dateKey,
-        isGuest: false
-      });
+      const result = await postCheckin(
+        Object.assign(
+          {
+            nickname: myProfile.nickname,
+            memberId: myProfile.memberId,
+            team: myProfile.team,
+            meetingType,
+            meetingDate: dateKey,
+            isGuest: false
+          },
+          scannedQrFields(dateKey, meetingType)
+        )
+      );
       setCheckinButtonDone(true);
-      await showSuccessAfterCheckin(myProfile.nickname, myProfile.memberId, false, dateKey, result.sessionCount);
+      await showSuccessAfterCheckin(myProfile.nickname, myProfile.memberId, false, dateKey, result.sessionCount, meetingType);
     } catch (e) {
       if (e.code === "ALREADY_CHECKED_IN") {
         setCheckinButtonDone(true);
@@ -2896,6 +3665,10 @@
         elDashMsg.textContent = "회원 정보가 유효하지 않습니다. 프로필을 다시 설정해 주세요.";
         elDashMsg.className = "msg error";
         setCheckinButtonDone(false);
+      } else if (isQrCheckinError(e.code)) {
+        elDashMsg.textContent = (e.payload && e.payload.message) || "현장 QR을 스캔해 주세요.";
+        elDashMsg.className = "msg error";
+        setCheckinButtonDone(false);
       } else {
         elDashMsg.textContent = e.message || "출석 처리에 실패했습니다.";
         elDashMsg.className = "msg error";
@@ -3057,9 +3830,63 @@
     });
   }
 
+  const elCorrectionModal = document.getElementById("correctionModal");
+  document.getElementById("openCorrectionBtn").addEventListener("click", openCorrectionModal);
+  document.getElementById("correctionCancelBtn").addEventListener("click", () => elCorrectionModal.classList.add("hidden"));
+  elCorrectionModal.addEventListener("click", (e) => {
+    if (e.target === elCorrectionModal) elCorrectionModal.classList.add("hidden");
+  });
+  document.getElementById("correctionSubmitBtn").addEventListener("click", () => {
+    submitCorrectionRequest().catch(() => {});
+  });
+
+  const elRunLogModal = document.getElementById("runLogModal");
+  document.getElementById("runLogCancelBtn").addEventListener("click", () => elRunLogModal.classList.add("hidden"));
+  elRunLogModal.addEventListener("click", (e) => {
+    if (e.target === elRunLogModal) elRunLogModal.classList.add("hidden");
+  });
+  document.getElementById("runLogSaveBtn").addEventListener("click", () => {
+    saveRunLog(false).catch(() => {});
+  });
+  document.getElementById("runLogClearBtn").addEventListener("click", () => {
+    if (confirm("달린 기록을 지울까요?")) saveRunLog(true).catch(() => {});
+  });
+  document.getElementById("successRunLogBtn").addEventListener("click", () => {
+    openRunLogModal(successRunLogTarget).catch(() => {});
+  });
+
+  /** 같은 날 출석이 여러 건이면 첫 행 (달력은 날짜 단위) */
+  function myAttendItemFor(dateKey, meetingType) {
+    return myAttendItems.find((it) => it.meetingDate === dateKey && (!meetingType || it.meetingType === meetingType)) || null;
+  }
+
+  const elMyAttendCalGrid = document.getElementById("myAttendCalGrid");
+  if (elMyAttendCalGrid) {
+    elMyAttendCalGrid.addEventListener("click", (e) => {
+      const cell = e.target.closest("[data-date-key]");
+      const p = myProfile || loadProfile();
+      if (!cell || !p || !p.memberId) return;
+      const dateKey = cell.getAttribute("data-date-key");
+      const item = myAttendItemFor(dateKey);
+      if (!item) return;
+      if (!isRunLogEditable(dateKey)) {
+        const text = runLogSummaryText(item.runLog);
+        alert(dateKey + " " + meetingTypeLabel(item.meetingType) + (text ? "\n" + text : "\n달린 기록 없음 (최근 14일만 기록 가능)"));
+        return;
+      }
+      openRunLogModal(item).catch(() => {});
+    });
+  }
+
   const elMyAttendList = document.getElementById("myAttendList");
   if (elMyAttendList) {
     elMyAttendList.addEventListener("click", (e) => {
+      const runBtn = e.target.closest(".btn-run-log");
+      if (runBtn) {
+        const item = myAttendItemFor(runBtn.getAttribute("data-run-date"), runBtn.getAttribute("data-run-type"));
+        if (item) openRunLogModal(item).catch(() => {});
+        return;
+      }
       const btn = e.target.closest(".btn-cancel-attend");
       if (!btn) return;
       cancelMyActiveAttendance(
@@ -3270,6 +4097,20 @@
     elKiosk.addEventListener("click", resetKioskIdleTimer);
   }
 
+  if ("serviceWorker" in navigator) {
+    navigator.serviceWorker.addEventListener("message", (event) => {
+      const data = event.data || {};
+      if (!checkinQueueHelper || data.type !== checkinQueueHelper.MSG_UPDATED) return;
+      if (!isKioskMode()) return;
+      handleKioskQueueReplayResult(data).catch(() => {});
+    });
+  }
+
+  window.addEventListener("online", () => {
+    if (!isKioskMode() || kioskState.queuePendingCount <= 0) return;
+    requestKioskQueueReplay("online").catch(() => {});
+  });
+
   document.addEventListener("visibilitychange", async () => {
     if (document.visibilityState === "visible") {
       if (!kioskState.wakeLockEnabled) await requestKioskWakeLock();
@@ -3279,6 +4120,8 @@
   });
 
   async function init() {
+    captureScannedQrToken();
+    await loadMeetingCalendar();
     const urlParams = new URLSearchParams(window.location.search);
     registerTabletInstallShell();
     setKioskEntryLinks();
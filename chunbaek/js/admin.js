@@ -811,6 +811,7 @@ async function setParticipant(memberId, participant, label) {
 }
 
 async function tryAuth() {
+  const username = document.getElementById("auth-user").value.trim();
   const pw = document.getElementById("auth-pw").value;
   document.getElementById("auth-error").style.display = "none";
 
@@ -827,7 +828,7 @@ async function tryAuth() {
   }
 
   try {
-    await verifyAdmin(pw);
+    await verifyAdmin(username, pw);
     document.getElementById("auth-overlay").classList.add("hidden");
     document.getElementById("admin-shell").style.display = "";
     await init();
@@ -1013,7 +1014,7 @@ document.addEventListener("DOMContentLoaded", () => {
     init();
   } else if (PREVIEW) {
     document.getElementById("auth-pw").placeholder = "목업: 아무 값이나 입력";
-  } else if (getAdminPw()) {
+  } else if (hasAdminSession()) {
     document.getElementById("auth-overlay").classList.add("hidden");
     document.getElementById("admin-shell").style.display = "";
     init();
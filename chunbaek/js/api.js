@@ -7,7 +7,6 @@ const API_BASE = IS_LOCAL
   : "/api/chunbaek";
 
 const TOKEN_KEY = "chunbaekSessionToken";
-const ADMIN_PW_KEY = "chunbaekAdminPw";
 
 const PREVIEW_MODE = new URLSearchParams(location.search).has("preview")
   || location.protocol === "file:"
@@ -398,20 +397,15 @@ function setToken(token) {
   }
 }
 
-function getAdminPw() {
-  return sessionStorage.getItem(ADMIN_PW_KEY) || "";
+/** 운영진 세션 — ../assets/admin-session.js (race·춘백 공용 서명 토큰) */
+function hasAdminSession() {
+  return !!window.DmcAdminSession.read();
 }
 
-function setAdminPw(pw) {
-  if (pw) sessionStorage.setItem(ADMIN_PW_KEY, pw);
-  else sessionStorage.removeItem(ADMIN_PW_KEY);
-}
-
-async function adminGet(action, params = {}) {
-  const qs = new URLSearchParams({ action, adminPw: getAdminPw(), ...params });
-  const res = await fetch(`${API_BASE}?${qs}`);
+async function readAdminResponse(res) {
   const data = await res.json();
   if (!data.ok) {
+    if (res.status === 401) window.DmcAdminSession.clear();
     const err = new Error(data.error || "오류");
     err.status = res.status;
     throw err;
@@ -419,34 +413,26 @@ async function adminGet(action, params = {}) {
   return data;
 }
 
+async function adminGet(action, params = {}) {
+  const qs = new URLSearchParams({ action, ...params });
+  const res = await fetch(`${API_BASE}?${qs}`, { headers: window.DmcAdminSession.headers() });
+  return readAdminResponse(res);
+}
+
 async function adminPost(action, body = {}) {
   const res = await fetch(`${API_BASE}?action=${action}`, {
     method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ adminPw: getAdminPw(), ...body }),
+    headers: window.DmcAdminSession.headers({ "Content-Type": "application/json" }),
+    body: JSON.stringify(body),
   });
-  const data = await res.json();
-  if (!data.ok) {
-    const err = new Error(data.error || "오류");
-    err.status = res.status;
-    throw err;
-  }
-  return data;
+  return readAdminResponse(res);
 }
 
-async function verifyAdmin(pw) {
-  const res = await fetch(`${API_BASE}?action=verify-admin`, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ pw }),
-  });
-  const data = await res.json();
+async function verifyAdmin(username, pw) {
+  const data = await window.DmcAdminSession.login(`${API_BASE}?action=verify-admin`, username, pw);
   if (!data.ok) {
-    const err = new Error(data.error || "invalid password");
-    err.status = res.status;
-    throw err;
+    throw new Error(data.error || "invalid credentials");
   }
-  setAdminPw(pw);
   return data;
 }
 
@@ -11,14 +11,97 @@
 const { setGlobalOptions } = require("firebase-functions/v2");
 const { onRequest } = require("firebase-functions/v2/https");
 const { onSchedule } = require("firebase-functions/v2/scheduler");
+const { onDocumentWritten, onDocumentCreated } = require("firebase-functions/v2/firestore");
 const { initializeApp } = require("firebase-admin/app");
 const { getFirestore, FieldValue } = require("firebase-admin/firestore");
 const scraper = require("./lib/scraper");
+const {
+  getTimingSource,
+  listTimingSources,
+  timingSourceIds,
+  timingSourceHasCapability,
+  timingSourceParserVersion,
+  describeTimingSource,
+  scrapeJobHealthBySource,
+} = require("./lib/timing-sources");
 const {
   allocateCanonicalEventId,
   normalizeEventDateForId,
 } = require("./lib/canonicalEventId");
 const { normalizeRaceDistance } = require("./lib/raceDistance");
+const { raceResultDetailFields } = require("./lib/race-splits");
+const {
+  raceResultMemberKey,
+  buildMemberKeyIndex,
+  withRaceResultMemberKey,
+} = require("./lib/race-result-key");
+const {
+  buildRaceResultUpdate,
+  parseEditReason,
+  recomputePbFlags,
+  buildRevisionEntry,
+  raceResultGridRows,
+} = require("./lib/race-result-edit");
+const {
+  parseClubRecordExcludeReason,
+  buildClubRecordBoard,
+  detectNewClubRecords,
+  buildClubRecordAnnouncement,
+} = require("./lib/club-records");
+const { isValidYear, buildMemberYearSummary, buildClubYearSummary } = require("./lib/year-in-running");
+const {
+  parseGroupRegistration,
+  parseRegistrationCutoff,
+  groupRegistrationState,
+  findBibConflict,
+  applyGroupRegistration,
+  removeGroupRegistration,
+  mergeOperatorParticipants,
+  matchCarpools,
+} = require("./lib/group-registration");
+const {
+  SCRAPE_TASK_ACTIVE,
+  buildScrapeTask,
+  isScrapeTaskClaimable,
+  pickNextScrapeTask,
+  isScrapeSourceBusy,
+  holdsScrapeLease,
+  claimScrapeTaskPatch,
+  checkpointScrapeTaskPatch,
+  scrapeLeaseNeedsRenewal,
+  renewScrapeLeasePatch,
+  releaseScrapeTaskPatch,
+  retryScrapeTaskPatch,
+  finishScrapeTaskPatch,
+  manualRetryScrapeTaskPatch,
+  cancelScrapeTaskPatch,
+  scrapeTaskJobProgress,
+  summarizeScrapeQueue,
+  scrapeJobQueueState,
+} = require("./lib/scrape-queue");
+const {
+  sourceForUrl,
+  rateBudget,
+  takeScrapeToken,
+  recordScrapeGiveUp,
+  scrapeLeaseWaitRoomMs,
+  classifyScrapeResponse,
+  penalizeScrapeSource,
+  summarizeScrapeRateLimits,
+} = require("./lib/scrape-rate-limit");
+const { setScrapeRateLimiter, runWithScrapeContext } = require("./lib/scrape-replay");
+const {
+  searchCacheKey,
+  searchCacheState,
+  buildSearchCacheEntry,
+  canClaimSearchCacheRefresh,
+  matchesSearchCacheInvalidation,
+} = require("./lib/search-cache");
+const {
+  parseMemberBirthYear,
+  buildHomonymProfile,
+  scoreHomonymCandidate,
+} = require("./lib/homonym-score");
 const { applyMemberLeave, isAlreadyAnonymized } = require("./lib/member-leave");
 const {
   normalizeMemberTeam,
@@ -35,6 +118,15 @@ const {
   kstTodayKey,
   computeClubStreakFromDateSet,
 } = require("./lib/attendance-streak");
+const {
+  MEETING_CALENDAR_COLLECTION,
+  calendarDocId,
+  normalizeCalendarEntry,
+  buildMeetingCalendar,
+  isSessionHeld,
+  countHeldMeetingsForMonth,
+  shiftDateKey,
+} = require("./lib/meeting-calendar");
 const {
   trainingDocId,
   normalizeTrainingRow,
@@ -43,6 +135,116 @@ const {
   assertSaveRows,
   REGULAR_TYPES: TRAINING_TYPES,
 } = require("./lib/meeting-training");
+const {
+  CHECKIN_KEY_COLLECTION,
+  normalizeClientRequestId,
+  normalizeQueuedAt,
+  writtenFromCheckinKey,
+  attendanceDocId,
+} = require("./lib/attendance-checkin");
+const {
+  QR_SETTINGS_COLLECTION,
+  QR_WINDOW_MS,
+  QR_TYPES,
+  issueQrToken,
+  verifyQrToken,
+  issueKioskKey,
+  verifyKioskKey,
+  qrTokenCheckTime,
+  normalizeQrSettings,
+  qrMeetingSettingsId,
+  resolveQrRequired,
+} = require("./lib/attendance-qr");
+const {
+  CORRECTION_COLLECTION,
+  validateCorrectionRequestInput,
+  hasPendingCorrection,
+  normalizeCorrectionReview,
+  parseCorrectionStatusFilter,
+  sortCorrectionsNewestFirst,
+} = require("./lib/attendance-corrections");
+const {
+  GUEST_LOOKBACK_DAYS,
+  summarizeGuestVisits,
+  buildGuestRelinkPlan,
+} = require("./lib/attendance-guest-conversion");
+const {
+  MEMBER_STATS_COLLECTION,
+  attendanceWriteDeltas,
+  applyMemberStatsEvent,
+  computeRetentionReport,
+} = require("./lib/attendance-retention");
+const {
+  TOMBSTONE_COLLECTION,
+  TOMBSTONE_LIST_DAYS,
+  normalizeSelfDeleteVia,
+  normalizeDeleteReason,
+  buildTombstone,
+  attendanceDataFromTombstone,
+  restoreDuplicateKeys,
+  hasRestoreConflict,
+  listRestorableTombstones,
+} = require("./lib/attendance-tombstone");
+const {
+  TEAM_DIGEST_SETTINGS_COLLECTION,
+  DIGEST_TEAM_CODES,
+  normalizeDigestSettings,
+  digestSettingsFromDoc,
+  buildTeamDigest,
+  buildTeamDigestEmail,
+} = require("./lib/team-digest");
+const {
+  ADMIN_ACCOUNTS_COLLECTION,
+  ADMIN_SESSIONS_COLLECTION,
+  ADMIN_ROLE_LABEL,
+  adminSessionSecret,
+  normalizeUsername,
+  hashAdminPassword,
+  normalizeAdminAccountInput,
+  extractAdminToken,
+  adminAccountSummary,
+  loginAdmin,
+  authorizeAdmin,
+  revokeAdminSessions,
+  roleAllows,
+} = require("./lib/admin-auth");
+const {
+  TEAM_MEMBER_NOTES_COLLECTION,
+  TEAM_MOVE_REQUESTS_COLLECTION,
+  resolveTeamScope,
+  buildTeamPortal,
+  normalizeTeamNote,
+  validateTeamMoveRequest,
+  hasPendingTeamMove,
+  teamMovesForTeam,
+  parseTeamMoveStatusFilter,
+} = require("./lib/team-portal");
+const {
+  validateRunLogInput,
+  runLogForResponse,
+  summarizeRunLogs,
+  summarizeTrainingCompletion,
+} = require("./lib/attendance-run-log");
+const {
+  FEED_PAST_DAYS,
+  FEED_FUTURE_DAYS,
+  parseFeedQuery,
+  meetingFeedEvents,
+  groupRaceFeedEvents,
+  chunbaekFeedEvents,
+  buildIcsCalendar,
+} = require("./lib/ical-feed");
+const {
+  loadSeasonConfig,
+  loadAllSlots,
+  loadMemberAttendance,
+  seasonSlotsOnly,
+  deriveSlotDate,
+  getSlotKey,
+  displayDayIndex,
+  slotTrainingTitle,
+  slotTrainingContent,
+} = require("./lib/chunbaek-stats");
 const { google } = require("googleapis");
 
 const MEETING_TRAINING_COLLECTION = "meeting_training";
@@ -164,6 +366,128 @@ function sortScrapeJobResults(rows) {
   });
 }
 
+/**
+ * 동명이인 점수용 — 회원 프로필(성별·출생연도·거리별 페이스) + 대회별 클럽 참가 신호.
+ * 클럽 참가는 race_events.participants (단체 참가 명단) 기준, source_sourceId 로 찾는다.
+ * @returns {Promise<{ member: object, results: object[], profile: object, clubByEvent: Record<string, { memberRegistered: boolean, clubParticipants: number }> }>}
+ */
+async function loadHomonymContext(realName) {
+  const [memberSnap, eventsSnap] = await Promise.all([
+    db.collection("members").where("realName", "==", realName).limit(1).get(),
+    db.collection("race_events").get(),
+  ]);
+  const memberId = memberSnap.empty ? null : memberSnap.docs[0].id;
+  const member = memberSnap.empty ? {} : memberSnap.docs[0].data();
+  const resultsSnap = await db.collection("race_results")
+    .where("status", "==", "confirmed")
+    .where(memberId ? "memberId" : "memberRealName", "==", memberId || realName)
+    .get();
+  const results = resultsSnap.docs.map((d) => d.data());
+  const clubByEvent = {};
+  eventsSnap.forEach((doc) => {
+    const d = doc.data();
+    const participants = Array.isArray(d.participants) ? d.participants : [];
+    if (!participants.length) return;
+    const signal = {
+      memberRegistered: participants.some((p) => p && (memberId && p.memberId ? p.memberId === memberId : p.realName === realName)),
+      clubParticipants: participants.length,
+    };
+    const mappings = Array.isArray(d.sourceMappings) ? [...d.sourceMappings] : [];
+    if (d.groupSource && d.groupSource.source) mappings.push(d.groupSource);
+    mappings.forEach((m) => {
+      if (m && m.source && m.sourceId) clubByEvent[`${m.source}_${m.sourceId}`] = signal;
+    });
+  });
+  return { member, results, profile: buildHomonymProfile(member, results, normalizeRaceDistance), clubByEvent };
+}
+
+/** members 전체 → race_results 회원 키 색인 (race-result-key.js) */
+async function loadMemberKeyIndex() {
+  const snap = await db.collection("members").get();
+  return buildMemberKeyIndex(snap.docs.map((d) => ({ id: d.id, data: d.data() })));
+}
+
+/** YYYY → 그 해 attendance.monthKey 12개 (where in) */
+function yearMonthKeys(year) {
+  return Array.from({ length: 12 }, (_, i) => `${year}-${String(i + 1).padStart(2, "0")}`);
+}
+
+/** 올해의 달리기 — 한 회원의 춘백 시즌 설정·슬롯·출석 */
+async function loadYearChunbaek(memberId) {
+  const [config, slots, attendanceMap] = await Promise.all([
+    loadSeasonConfig(db),
+    loadAllSlots(db),
+    loadMemberAttendance(db, memberId),
+  ]);
+  return { config, slots, attendanceMap };
+}
+
+/**
+ * 클럽 기록판(club_records/board) 다시 계산 — 확정·수정·삭제·제외 후 호출 (club-records.js).
+ * confirmedIds 가 이번 확정 기록이면 새 1위를 announcements 에 남긴다. 실패해도 확정 자체는 되돌리지 않는다.
+ * @param {{ confirmedIds?: string[] }} [opts]
+ * @returns {Promise<object[]>} 새로 생긴 클럽 신기록
+ */
+async function refreshClubRecords({ confirmedIds = [] } = {}) {
+  const boardRef = db.collection("club_records").doc("board");
+  const [resultsSnap, membersSnap, exclSnap, boardDoc] = await Promise.all([
+    db.collection("race_results").where("status", "==", "confirmed").get(),
+    db.collection("members").get(),
+    db.collection("club_record_exclusions").get(),
+    boardRef.get(),
+  ]);
+  const board = buildClubRecordBoard(
+    resultsSnap.docs.map((d) => ({ id: d.id, data: d.data() })),
+    {
+      membersById: new Map(membersSnap.docs.map((d) => [d.id, d.data()])),
+      excludedIds: new Set(exclSnap.docs.map((d) => d.id)),
+    }
+  );
+  const news = detectNewClubRecords(boardDoc.exists ? boardDoc.data() : null, board, new Set(confirmedIds));
+  const now = new Date().toISOString();
+  const batch = db.batch();
+  batch.set(boardRef, { ...board, updatedAt: now });
+  news.forEach((n) => batch.set(db.collection("announcements").doc(), buildClubRecordAnnouncement(n, now)));
+  await batch.commit();
+  return news;
+}
+
+/** 확정·수정·제외 뒤 기록판 갱신 — 실패는 로그만 */
+async function tryRefreshClubRecords(confirmedIds = []) {
+  try {
+    const news = await refreshClubRecords({ confirmedIds });
+    if (news.length) console.log(`[club-records] 신기록 ${news.length}건: ${news.map((n) => n.entry.docId).join(", ")}`);
+    return news;
+  } catch (err) {
+    console.warn("[club-records] 기록판 갱신 실패:", err.message);
+    return [];
+  }
+}
+
+/**
+ * 단체 대회 확정 기록 찾기 — 참가자 memberId 로, memberId 없는 이전 문서는 실명으로.
+ * @param {FirebaseFirestore.QuerySnapshot} confirmedSnap - race_results (canonicalEventId 기준)
+ * @param {boolean} byDistance - 거리까지 맞춰야 하면 true
+ * @returns {(p: { memberId?: string, realName?: string, distance?: string }) => object|undefined}
+ */
+function confirmedResultLookup(confirmedSnap, byDistance) {
+  const index = {};
+  const suffix = (dist) => (byDistance ? `_${normalizeRaceDistance(dist)}` : "");
+  confirmedSnap.forEach((doc) => {
+    const d = doc.data();
+    index[`${raceResultMemberKey(d)}${suffix(d.distance)}`] = d;
+    if (!d.memberId) index[`name:${d.memberRealName}${suffix(d.distance)}`] = d;
+  });
+  return (p) =>
+    (p.memberId && index[`${p.memberId}${suffix(p.distance)}`]) || index[`name:${p.realName}${suffix(p.distance)}`];
+}
+
+/** 검색 후보 1건 → { score, dimout, reasons } */
+function homonymLikelihood(hctx, record, event) {
+  const club = hctx.clubByEvent[`${event.source}_${event.sourceId}`] || {};
+  return scoreHomonymCandidate(record, hctx.profile, { eventDate: event.eventDate, ...club }, normalizeRaceDistance);
+}
+
 /** race_events → 역색인 (source_sourceId → canonicalEventId) + 카드 메타 */
 async function buildRaceEventIndexes() {
   const snap = await db.collection("race_events").get();
@@ -363,13 +687,17 @@ async function getAttendanceStatsV2({ memberId, nickname, monthKey }) {
   }
 
   let monthCount = 0;
+  const monthDocs = [];
   monthSnap.forEach((doc) => {
     const d = doc.data();
     if (d.isGuest === true) return;
     monthCount++;
+    monthDocs.push(d);
   });
+  const runs = summarizeRunLogs(monthDocs);
 
-  const possible = countPossibleMeetingsForMonth(monthKey);
+  const calendar = await loadMeetingCalendar();
+  const possible = countPossibleMeetingsForMonth(monthKey, calendar);
   const rate = possible > 0 ? Math.min(100, Math.round((monthCount / possible) * 100)) : 0;
 
   const attendedClubDates = new Set();
@@ -393,11 +721,13 @@ async function getAttendanceStatsV2({ memberId, nickname, monthKey }) {
     const d = doc.data();
     if (d.isGuest === true) return;
     const mt = str(d.meetingType).toUpperCase();
-    if (mt !== "TUE" && mt !== "THU" && mt !== "SAT") return;
+    const regular = mt === "TUE" || mt === "THU" || mt === "SAT";
+    // 이동·추가 모임(ETC 포함)은 캘린더에 열린 세션일 때만 반영
+    if (!regular && !isSessionHeld(calendar, d.meetingDateKey, mt)) return;
     if (d.meetingDateKey) attendedClubDates.add(d.meetingDateKey);
   });
 
-  const consecutiveClubSessions = computeClubStreakFromDateSet(attendedClubDates);
+  const consecutiveClubSessions = computeClubStreakFromDateSet(attendedClubDates, undefined, calendar);
 
   return {
     month: monthKey,
@@ -405,6 +735,10 @@ async function getAttendanceStatsV2({ memberId, nickname, monthKey }) {
     totalPossible: possible,
     attendanceRate: rate,
     consecutiveClubSessions,
+    runLogCount: runs.runLogCount,
+    monthDistanceKm: runs.distanceKm,
+    monthRunDurationSec: runs.durationSec,
+    avgPaceSecPerKm: runs.avgPaceSecPerKm,
   };
 }
 
@@ -426,8 +760,12 @@ function makeTestNickname() {
   return `TEST_${vals.year}${vals.month}${vals.day}_${vals.hour}${vals.minute}${vals.second}`;
 }
 
-function countPossibleMeetingsForMonth(monthKey) {
+/**
+ * 월 가능 모임 수. calendar(meeting_calendar) 가 있으면 취소 제외·이동/추가 포함.
+ */
+function countPossibleMeetingsForMonth(monthKey, calendar) {
   if (!isValidMonthKey(monthKey)) return 0;
+  if (calendar) return countHeldMeetingsForMonth(calendar, monthKey);
   const [yStr, mStr] = monthKey.split("-");
   const y = Number(yStr);
   const m = Number(mStr);
@@ -464,6 +802,18 @@ function logAttendanceServerEvent(event, data) {
     .catch(() => {});
 }
 
+/** race API 운영진 액션 감사 로그 (actor = 운영진 계정) */
+function logRaceAdminEvent(event, data) {
+  db.collection("event_logs")
+    .add({
+      event,
+      data: { logSource: "server", page: "race-api", ...data },
+      timestamp: new Date().toISOString(),
+      ua: "cloud-functions",
+    })
+    .catch(() => {});
+}
+
 /**
  * 출석 등록 (POST)
  */
@@ -488,8 +838,13 @@ async function handlePost(req, res) {
     const memberIdRaw = str(body.memberId).trim();
     const memberId = memberIdRaw || null;
     const isGuest = body.isGuest === true || body.isGuest === "true";
+    const clientRequestIdRaw = str(body.clientRequestId).trim();
+    const clientRequestId = normalizeClientRequestId(clientRequestIdRaw);
 
     // 유효성 검사
+    if (clientRequestIdRaw && !clientRequestId) {
+      return res.status(400).json({ ok: false, error: "invalid clientRequestId" });
+    }
     if (!nicknameRaw) {
       return res.status(400).json({ ok: false, error: "nickname is required" });
     }
@@ -519,6 +874,31 @@ async function handlePost(req, res) {
       return res.status(400).json({ ok: false, error: `invalid meetingType enum: ${typeCode}` });
     }
 
+    // QR 필수 정모: 현장 키오스크 QR 토큰 또는 운영진 예외(로그인 세션)만 허용
+    const qrGate = await resolveAttendanceQrGate(req, body, meetingDateKey, typeCode);
+    if (!qrGate.ok) {
+      logAttendanceServerEvent("attendance_checkin_error", {
+        error: qrGate.error,
+        meetingDate: meetingDateKey,
+        meetingType: typeCode,
+        memberId: memberIdRaw || null,
+        nickname: nicknameRaw,
+      });
+      return res.status(qrGate.status).json({
+        ok: false,
+        error: qrGate.error,
+        message: qrGate.message,
+      });
+    }
+
+    // 키오스크 오프라인 큐 재전송: 같은 키로 이미 저장됐으면 새 문서 없이 같은 응답 (QR 검사를 통과한 요청만)
+    if (clientRequestId) {
+      const keySnap = await db.collection(CHECKIN_KEY_COLLECTION).doc(clientRequestId).get();
+      if (keySnap.exists) {
+        return respondCheckinReplay(res, clientRequestId, keySnap.data(), startMs);
+      }
+    }
+
     const now = new Date();
     const monthKey = dateKeyToMonthKey(meetingDateKey);
     const timeText = formatKstKoreanAmPm(now);
@@ -547,53 +927,16 @@ async function handlePost(req, res) {
     const skipDupCheck =
       isGuest || nicknameKey.startsWith("test_");
 
-    if (!skipDupCheck) {
-      const dupTasks = [
-        db
-          .collection(COLLECTION)
-          .where("nicknameKey", "==", nicknameKey)
-          .where("meetingDateKey", "==", meetingDateKey)
-          .limit(1)
-          .get(),
-      ];
-      if (memberId) {
-        dupTasks.push(
-          db
-            .collection(COLLECTION)
-            .where("memberId", "==", memberId)
-            .where("meetingDateKey", "==", meetingDateKey)
-            .limit(1)
-            .get()
-        );
-      }
-      const dupSnaps = await Promise.all(dupTasks);
-      for (const snap of dupSnaps) {
-        if (!snap.empty) {
-          const existingData = snap.docs[0].data();
-          const dupDate = existingData.meetingDateKey || meetingDateKey;
-          logAttendanceServerEvent("attendance_checkin_error", {
-            error: "ALREADY_CHECKED_IN",
-            meetingDate: meetingDateKey,
-            meetingType: typeCode,
-            memberId: memberIdRaw || null,
-            nickname: nicknameRaw,
-          });
-          return res.status(400).json({
-            ok: false,
-            error: "ALREADY_CHECKED_IN",
-            message: `이미 ${dupDate} 모임에 출석 기록이 있습니다`,
-            existingRecord: {
-              nickname: existingData.nickname,
-              meetingDate: existingData.meetingDateKey,
-              timeText: formatKstKoreanAmPm(new Date(existingData.ts)),
-            },
-          });
-        }
-      }
-    }
-
-    // Firestore에 저장
-    const docRef = await db.collection(COLLECTION).add({
+    const written = {
+      nicknameStored,
+      team: teamCode,
+      teamLabel,
+      meetingType: typeCode,
+      meetingTypeLabel,
+      meetingDate: meetingDateKey,
+      timeText,
+    };
+    const attendanceData = {
       nickname: nicknameStored,
       nicknameKey,
       memberId: isGuest ? null : memberId || null,
@@ -606,7 +949,115 @@ async function handlePost(req, res) {
       isGuest: !!isGuest,
       timestamp: FieldValue.serverTimestamp(),
       ts: now.getTime(),
-    });
+    };
+
+    if (qrGate.mode !== "off") {
+      attendanceData.qrCheck = qrGate.mode;
+    }
+    if (clientRequestId) {
+      attendanceData.clientRequestId = clientRequestId;
+      const queuedAt = normalizeQueuedAt(body.queuedAt, now.getTime());
+      if (queuedAt) attendanceData.queuedAt = queuedAt;
+    }
+
+    // Firestore에 저장 — 중복 확인과 쓰기를 한 트랜잭션으로.
+    // 정회원은 결정적 문서 ID(attendanceDocId)라 동시 제출도 create 하나만 성공한다.
+    // 같은 날 다른 유형 출석 차단(기존 규칙)은 트랜잭션 안 쿼리로 유지.
+    const deterministicId = skipDupCheck
+      ? null
+      : attendanceDocId({ memberId, nicknameKey, meetingDateKey, meetingType: typeCode, isGuest });
+    const attendanceRef = deterministicId
+      ? db.collection(COLLECTION).doc(deterministicId)
+      : db.collection(COLLECTION).doc();
+    const keyRef = clientRequestId ? db.collection(CHECKIN_KEY_COLLECTION).doc(clientRequestId) : null;
+    let outcome;
+    try {
+      outcome = await db.runTransaction(async (tx) => {
+        if (keyRef) {
+          const keySnap = await tx.get(keyRef);
+          if (keySnap.exists) return { priorKey: keySnap.data() };
+        }
+        if (!skipDupCheck) {
+          if (deterministicId) {
+            const detSnap = await tx.get(attendanceRef);
+            if (detSnap.exists) return { existing: detSnap.data() };
+          }
+          const dupQueries = [
+            db
+              .collection(COLLECTION)
+              .where("nicknameKey", "==", nicknameKey)
+              .where("meetingDateKey", "==", meetingDateKey)
+              .limit(1),
+          ];
+          if (memberId) {
+            dupQueries.push(
+              db
+                .collection(COLLECTION)
+                .where("memberId", "==", memberId)
+                .where("meetingDateKey", "==", meetingDateKey)
+                .limit(1)
+            );
+          }
+          for (const q of dupQueries) {
+            const snap = await tx.get(q);
+            if (!snap.empty) return { existing: snap.docs[0].data() };
+          }
+        }
+        tx.create(attendanceRef, attendanceData);
+        if (keyRef) {
+          tx.create(keyRef, {
+            attendanceId: attendanceRef.id,
+            written,
+            createdAt: FieldValue.serverTimestamp(),
+          });
+        }
+        return {};
+      });
+    } catch (txErr) {
+      // 6 = ALREADY_EXISTS: 동시 제출이 먼저 같은 ID로 저장함
+      if (txErr && txErr.code === 6 && deterministicId) {
+        const existingSnap = await attendanceRef.get();
+        outcome = { existing: existingSnap.exists ? existingSnap.data() : attendanceData };
+      } else {
+        throw txErr;
+      }
+    }
+    if (outcome.priorKey) {
+      return respondCheckinReplay(res, clientRequestId, outcome.priorKey, startMs);
+    }
+    if (outcome.existing) {
+      const existingData = outcome.existing;
+      const dupDate = existingData.meetingDateKey || meetingDateKey;
+      logAttendanceServerEvent("attendance_checkin_error", {
+        error: "ALREADY_CHECKED_IN",
+        meetingDate: meetingDateKey,
+        meetingType: typeCode,
+        memberId: memberIdRaw || null,
+        nickname: nicknameRaw,
+      });
+      return res.status(400).json({
+        ok: false,
+        error: "ALREADY_CHECKED_IN",
+        message: `이미 ${dupDate} 모임에 출석 기록이 있습니다`,
+        existingRecord: {
+          nickname: existingData.nickname,
+          meetingDate: existingData.meetingDateKey,
+          timeText: formatKstKoreanAmPm(new Date(existingData.ts)),
+        },
+      });
+    }
+
+    if (qrGate.mode === "override") {
+      logAttendanceServerEvent("attendance_qr_override", {
+        role: qrGate.role,
+        actor: qrGate.actor,
+        attendanceId: attendanceRef.id,
+        meetingDate: meetingDateKey,
+        meetingType: typeCode,
+        memberId: memberIdRaw || null,
+        nickname: nicknameStored,
+      });
+    }
 
     // 정회원 팀이 비어 있으면 체크인 팀으로 1회 백필 (키오스크/개인 선택 반영)
     if (!isGuest && memberId && shouldBackfillMemberTeam(memberStoredTeam, teamCode)) {
@@ -653,15 +1104,7 @@ async function handlePost(req, res) {
 
     return res.json({
       ok: true,
-      written: {
-        nicknameStored,
-        team: teamCode,
-        teamLabel,
-        meetingType: typeCode,
-        meetingTypeLabel,
-        meetingDate: meetingDateKey,
-        timeText,
-      },
+      written,
       status,
       sessionCount,
     });
@@ -675,6 +1118,217 @@ async function handlePost(req, res) {
   }
 }
 
+/** 비밀키가 없으면 "" — QR 토큰·키오스크 키 발급/검증은 503 (에뮬레이터만 고정 키) */
+function attendanceQrSecret() {
+  if (process.env.ATTENDANCE_QR_SECRET) return process.env.ATTENDANCE_QR_SECRET;
+  return process.env.FUNCTIONS_EMULATOR === "true" ? "dmc-qr-emulator" : "";
+}
+
+const QR_SECRET_MISSING = "ATTENDANCE_QR_SECRET not set";
+
+/** 이 정모의 QR 필수 여부 — 정모 한 번 설정({YYYYMMDD}_{TYPE})이 있으면 유형 기본({TYPE})보다 우선 */
+async function loadQrRequired(meetingDateKey, typeCode) {
+  const col = db.collection(QR_SETTINGS_COLLECTION);
+  const meetingId = qrMeetingSettingsId(meetingDateKey, typeCode);
+  const [typeSnap, meetingSnap] = await Promise.all([
+    col.doc(typeCode).get(),
+    meetingId ? col.doc(meetingId).get() : null,
+  ]);
+  return resolveQrRequired(
+    typeSnap.exists ? typeSnap.data() : null,
+    meetingSnap && meetingSnap.exists ? meetingSnap.data() : null
+  );
+}
+
+/**
+ * 정모 유형별 QR 필수 여부 확인.
+ * 토큰 유효기간은 서버 시각 기준. 키오스크 키를 함께 보낸 오프라인 큐 재전송만 queuedAt 기준 (qrTokenCheckTime).
+ * 운영진 세션 토큰(Authorization 헤더·adminToken)이 있으면 QR 대신 운영진 예외로 처리.
+ * @returns {Promise<{ ok: true, mode: "off"|"token"|"override", role?: string, actor?: string }|{ ok: false, status: number, error: string, message: string }>}
+ */
+async function resolveAttendanceQrGate(req, body, meetingDateKey, typeCode) {
+  const setting = await loadQrRequired(meetingDateKey, typeCode);
+  if (!setting.required) return { ok: true, mode: "off" };
+
+  if (extractAdminToken({ headers: req.headers, body })) {
+    const auth = await authorizeAdminRequest({ headers: req.headers, body }, "attendance");
+    if (!auth.ok) {
+      return { ok: false, status: auth.status, error: auth.error, message: "운영진 로그인이 만료되었거나 권한이 없습니다" };
+    }
+    return { ok: true, mode: "override", role: auth.role, actor: auth.username };
+  }
+
+  const secret = attendanceQrSecret();
+  if (!secret) {
+    return { ok: false, status: 503, error: QR_SECRET_MISSING, message: "QR 출석 설정이 완료되지 않았습니다. 운영진에게 알려 주세요" };
+  }
+  const nowMs = Date.now();
+  const atMs = qrTokenCheckTime({
+    nowMs,
+    queuedAt: normalizeQueuedAt(body.queuedAt, nowMs),
+    replay: !!normalizeClientRequestId(str(body.clientRequestId).trim()),
+    kioskKey: str(body.kioskKey).trim(),
+    secret,
+  });
+  const verified = verifyQrToken(body.qrToken, {
+    meetingDateKey,
+    meetingType: typeCode,
+    atMs,
+    secret,
+  });
+  if (!verified.ok) {
+    return {
+      ok: false,
+      status: 403,
+      error: verified.reason,
+      message:
+        verified.reason === "QR_TOKEN_EXPIRED"
+          ? "QR 코드가 만료되었습니다. 현장 화면의 QR을 다시 스캔해 주세요"
+          : "현장 키오스크 화면의 QR을 스캔해야 출석할 수 있습니다",
+    };
+  }
+  return { ok: true, mode: "token" };
+}
+
+/**
+ * GET qr-settings — 정모 유형별 QR 필수 여부 (공개: 키오스크·개인 화면 안내용).
+ *   meetingDate + meetingType 을 주면 그 정모의 실제 값도 meeting { required, source } 로
+ * GET qr-token — 키오스크 전용 현재 QR 토큰 (kioskKey 필요)
+ */
+async function handleGetAttendanceQr(req, res, action) {
+  if (action === "qr-settings") {
+    const snap = await db.collection(QR_SETTINGS_COLLECTION).get();
+    const settings = normalizeQrSettings(snap.docs.map((d) => ({ id: d.id, data: d.data() })));
+    const meetingDateKey = str(req.query.meetingDate).trim();
+    const meetingType = str(req.query.meetingType).trim().toUpperCase();
+    const meetingId = qrMeetingSettingsId(meetingDateKey, meetingType);
+    if (!meetingId) return res.json({ ok: true, settings });
+    const meetingDoc = snap.docs.find((d) => d.id === meetingId);
+    const meeting = {
+      meetingDate: meetingDateKey,
+      meetingType,
+      ...resolveQrRequired(settings[meetingType], meetingDoc ? meetingDoc.data() : null),
+    };
+    return res.json({ ok: true, settings, meeting });
+  }
+
+  const secret = attendanceQrSecret();
+  if (!secret) return res.status(503).json({ ok: false, error: QR_SECRET_MISSING });
+  const nowMs = Date.now();
+  const key = verifyKioskKey(str(req.query.kioskKey).trim(), { nowMs, secret });
+  if (!key.ok) {
+    return res.status(401).json({ ok: false, error: key.reason });
+  }
+  const meetingDateKey = str(req.query.meetingDate).trim();
+  const meetingType = str(req.query.meetingType).trim().toUpperCase();
+  if (!isValidDateKey(meetingDateKey) || !QR_TYPES.includes(meetingType)) {
+    return res.status(400).json({ ok: false, error: "meetingDate (YYYY/MM/DD) + meetingType required" });
+  }
+  const issued = issueQrToken({ meetingDateKey, meetingType, nowMs, secret });
+  return res.json({
+    ok: true,
+    token: issued.token,
+    expiresAt: new Date(issued.expiresAtMs).toISOString(),
+    windowMs: QR_WINDOW_MS,
+  });
+}
+
+/**
+ * POST qr-settings — body: { meetingType, required } → 유형 기본
+ *   { meetingType, meetingDate, required } → 그 정모 한 번만, { meetingType, meetingDate, clear: true } → 유형 기본으로 되돌림
+ * POST kiosk-pair — body 없음 → 키오스크 기기 등록 키
+ * 운영진 세션 토큰(Authorization: Bearer 또는 body.adminToken) 필요
+ */
+async function handlePostAttendanceQr(req, res, action) {
+  try {
+    let body = req.body || {};
+    if (typeof body === "string") {
+      try {
+        body = JSON.parse(body);
+      } catch (_) {
+        body = {};
+      }
+    }
+
+    const auth = await authorizeAdminRequest(req, "attendance");
+    if (!auth.ok) {
+      return res.status(auth.status).json({ ok: false, error: auth.error });
+    }
+
+    if (action === "kiosk-pair") {
+      const secret = attendanceQrSecret();
+      if (!secret) return res.status(503).json({ ok: false, error: QR_SECRET_MISSING });
+      const issued = issueKioskKey({ nowMs: Date.now(), secret });
+      logAttendanceServerEvent("attendance_kiosk_pair", { role: auth.role, actor: auth.username });
+      return res.json({
+        ok: true,
+        kioskKey: issued.kioskKey,
+        expiresAt: new Date(issued.expiresAtMs).toISOString(),
+      });
+    }
+
+    const meetingType = str(body.meetingType).trim().toUpperCase();
+    if (!QR_TYPES.includes(meetingType)) {
+      return res.status(400).json({ ok: false, error: `invalid meetingType: ${meetingType}` });
+    }
+    const meetingDateKey = str(body.meetingDate).trim();
+    const meetingId = meetingDateKey ? qrMeetingSettingsId(meetingDateKey, meetingType) : "";
+    if (meetingDateKey && !meetingId) {
+      return res.status(400).json({ ok: false, error: `invalid meetingDate (YYYY/MM/DD): ${meetingDateKey}` });
+    }
+    const ref = db.collection(QR_SETTINGS_COLLECTION).doc(meetingId || meetingType);
+    const clear = !!meetingId && (body.clear === true || body.clear === "true");
+    const required = body.required === true || body.required === "true";
+    const payload = {
+      required,
+      updatedAt: new Date().toISOString(),
+      updatedByRole: auth.role,
+      updatedBy: auth.username,
+    };
+    if (clear) await ref.delete();
+    else await ref.set(meetingId ? { ...payload, meetingDateKey, meetingType } : payload, { merge: true });
+    logAttendanceServerEvent("attendance_qr_settings_save", {
+      role: auth.role,
+      actor: auth.username,
+      meetingType,
+      ...(meetingId ? { meetingDate: meetingDateKey } : {}),
+      ...(clear ? { cleared: true } : { required }),
+    });
+    if (!meetingId) return res.json({ ok: true, meetingType, ...payload });
+    const current = await loadQrRequired(meetingDateKey, meetingType);
+    return res.json({ ok: true, meetingType, meetingDate: meetingDateKey, ...payload, ...current });
+  } catch (err) {
+    console.error(`[${action} POST]`, err);
+    return res.status(500).json({ ok: false, error: String(err.message || err) });
+  }
+}
+
+/**
+ * 이미 처리된 clientRequestId 재전송 응답 (시트·알림 메일 재발송 없음)
+ */
+async function respondCheckinReplay(res, clientRequestId, keyData, startMs) {
+  const written = writtenFromCheckinKey(keyData);
+  const { status, sessionCount } = await getStatusAndSessionCountForPost(
+    written.meetingDate,
+    written.meetingType
+  );
+  logAttendanceServerEvent("attendance_checkin_replay", {
+    clientRequestId,
+    attendanceId: (keyData && keyData.attendanceId) || null,
+    nickname: written.nicknameStored,
+    meetingDate: written.meetingDate,
+    meetingType: written.meetingType,
+  });
+  console.log(`[POST replay] ${written.nicknameStored} - ${written.meetingDate} - ${Date.now() - startMs}ms`);
+  return res.json({
+    ok: true,
+    replayed: true,
+    written,
+    status,
+    sessionCount,
+  });
+}
+
 function mapAttendanceDocToStatusItem(data, docId) {
   return {
     id: docId || null,
@@ -687,6 +1341,7 @@ function mapAttendanceDocToStatusItem(data, docId) {
     timeText: data.ts ? formatKstKoreanAmPm(new Date(data.ts)) : "",
     memberId: data.memberId || null,
     isGuest: data.isGuest === true,
+    runLog: runLogForResponse(data),
   };
 }
 
@@ -806,6 +1461,7 @@ async function getHistoryForNicknameMonth(nickname, monthKey) {
       timeText: data.ts ? formatKstKoreanAmPm(new Date(data.ts)) : "",
       isGuest: rowGuest,
       memberId: data.memberId || null,
+      runLog: runLogForResponse(data),
     });
 
     if (!rowGuest) {
@@ -814,7 +1470,7 @@ async function getHistoryForNicknameMonth(nickname, monthKey) {
     }
   });
 
-  const possible = countPossibleMeetingsForMonth(monthKey);
+  const possible = countPossibleMeetingsForMonth(monthKey, await loadMeetingCalendar());
   const rate =
     possible > 0 ? Math.min(100, Math.round((memberAttendanceCount / possible) * 100)) : 0;
 
@@ -954,6 +1610,18 @@ async function handleGet(req, res) {
       return handleGetMeetingTraining(req, res);
     }
 
+    if (action === "meeting-calendar") {
+      return handleGetMeetingCalendar(req, res);
+    }
+
+    if (action === "my-correction-requests") {
+      return handleGetMyCorrectionRequests(req, res);
+    }
+
+    if (action === "qr-settings" || action === "qr-token") {
+      return handleGetAttendanceQr(req, res, action);
+    }
+
     return res.status(400).json({ ok: false, error: `unknown action: ${action}` });
   } catch (err) {
     console.error("[GET Error]", err);
@@ -1074,7 +1742,7 @@ exports.weeklyDiscoverAndScrape = onSchedule(
 
 /**
  * 그룹 대회 당일 자동 스크랩 (매일 15:00 KST)
- * isGroupEvent + eventDate(오늘 KST)인 race_events에 대해 triggerGroupScrape 호출.
+ * isGroupEvent + eventDate(오늘 KST)인 race_events를 스크래핑 큐에 넣는다 (enqueueGroupScrape).
  */
 exports.groupEventAutoScrape = onSchedule(
   { schedule: "0 15 * * *", timeZone: "Asia/Seoul", region: "asia-northeast3" },
@@ -1102,26 +1770,36 @@ exports.groupEventAutoScrape = onSchedule(
         continue;
       }
 
-      console.log(`[groupEventAutoScrape] 스크랩 시작: ${doc.id}`);
-      await db.collection("race_events").doc(doc.id).update({
-        groupScrapeStatus: "running",
-        groupScrapeTriggeredAt: new Date().toISOString(),
-      });
-
-      triggerGroupScrape({
-        canonicalEventId: doc.id,
-        source: event.groupSource.source,
-        sourceId: event.groupSource.sourceId,
-        memberRealNames: event.participants.map((p) => p.realName),
-        event,
-        db,
-        scraper,
-      }).catch((err) => console.error(`[groupEventAutoScrape] 오류 ${doc.id}:`, err));
+      console.log(`[groupEventAutoScrape] 큐 등록: ${doc.id}`);
+      try {
+        await enqueueGroupScrape({ canonicalEventId: doc.id, event, enqueuedBy: "groupEventAutoScrape" });
+      } catch (err) {
+        console.error(`[groupEventAutoScrape] 오류 ${doc.id}:`, err);
+        await db.collection("race_events").doc(doc.id).update({ groupScrapeStatus: "failed" });
+      }
     }
     console.log(`[groupEventAutoScrape] 완료. 처리 대상: ${snap.docs.length}개 검사`);
   }
 );
 
+/**
+ * 스크래핑 큐 워커 — 매분 대기 시간이 지난 queued · lease 가 끊긴 running 태스크를 이어서 처리 (scrape_tasks)
+ */
+exports.scrapeQueueWorker = onSchedule(
+  { schedule: "every 1 minutes", timeZone: "Asia/Seoul", timeoutSeconds: 540, memory: "512MiB", region: "asia-northeast3" },
+  async () => {
+    await runScrapeQueue();
+  }
+);
+
+/** 새 태스크는 다음 분을 기다리지 않고 바로 시작 */
+exports.scrapeTaskCreated = onDocumentCreated(
+  { document: "scrape_tasks/{taskId}", timeoutSeconds: 540, memory: "512MiB", region: "asia-northeast3" },
+  async (event) => {
+    await runScrapeQueue({ taskId: event.params.taskId });
+  }
+);
+
 /**
  * 스크래핑 헬스체크 — 매시간 실행
  * - stuck job (running 상태 1시간 이상) 감지
@@ -1162,13 +1840,13 @@ exports.scrapeHealthCheck = onSchedule(
     });
 
     // 2. 전체 소스 결과 0건 감지: 최근 3일 내 complete 잡 중 searched > 10 이지만 found = 0
-    // SmartChip: 세션 문제 / MyResult·SPCT·Marazone: API 변경 또는 접근 불가 가능성
-    const sourceLabels = {
-      smartchip: "SmartChip (세션 문제 의심)",
-      myresult: "MyResult (API 변경 또는 접근 불가 의심)",
-      spct: "SPCT (API 변경 또는 접근 불가 의심)",
-      marazone: "Marazone (API 변경 또는 접근 불가 의심)",
-    };
+    // 세션형 소스(SmartChip): 세션 문제 / 그 외: API 변경 또는 접근 불가 가능성
+    const sourceLabels = Object.fromEntries(
+      listTimingSources().map((a) => [
+        a.id,
+        `${a.label} (${a.capabilities.session ? "세션 문제 의심" : "API 변경 또는 접근 불가 의심"})`,
+      ])
+    );
     const recentSnap = await db.collection("scrape_jobs")
       .where("status", "==", "complete")
       .where("completedAt", ">=", threeDaysAgo)
@@ -1239,37 +1917,7 @@ async function runWeekendScrapeReadinessCheck() {
   const sevenDaysAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString();
   const recentJobsSnap = await db.collection("scrape_jobs").where("createdAt", ">=", sevenDaysAgo).get();
 
-  let totalJobs = 0;
-  let successJobs = 0;
-  const bySource = {
-    smartchip: { total: 0, success: 0 },
-    myresult: { total: 0, success: 0 },
-    spct: { total: 0, success: 0 },
-    marazone: { total: 0, success: 0 },
-  };
-
-  recentJobsSnap.forEach((doc) => {
-    const d = doc.data();
-    const status = d.status;
-    const source = d.source;
-
-    if (status === "queued") return;
-
-    totalJobs++;
-    if (status === "complete" || status === "confirmed") successJobs++;
-
-    if (bySource[source]) {
-      bySource[source].total++;
-      if (status === "complete" || status === "confirmed") bySource[source].success++;
-    }
-  });
-
-  for (const src of Object.keys(bySource)) {
-    const s = bySource[src];
-    s.rate = s.total > 0 ? Math.round((s.success / s.total) * 100) : 0;
-  }
-
-  const overallSuccessRate = totalJobs > 0 ? Math.round((successJobs / totalJobs) * 100) : 0;
+  const { bySource, rate: overallSuccessRate } = scrapeJobHealthBySource(recentJobsSnap.docs.map((doc) => doc.data()));
 
   const threeDaysAgo = new Date(Date.now() - 3 * 24 * 60 * 60 * 1000).toISOString();
   const staleSnap = await db
@@ -1452,120 +2100,421 @@ exports.testWeekendCheck = onRequest(
 );
 
 /**
- * 단체 대회(group-events) 수동 스크랩: scrape_jobs 자동 ID + scrapeEvent (기존 scrape 액션과 동일 패턴)
+ * scrape_tasks 에 넣기 — 같은 잡에 queued·running 태스크가 있으면 새로 넣지 않는다.
+ * 실제 검색은 scrapeTaskCreated(바로) · scrapeQueueWorker(매분 재개) 가 한다.
+ * @returns {Promise<{ ok: true, taskId: string } | { ok: false, taskId: string }>}
  */
-async function triggerGroupScrape({ canonicalEventId, source, sourceId, memberRealNames, event, db, scraper }) {
-  const jobRef = db.collection("scrape_jobs").doc();
-  const jobId = jobRef.id;
-  const now = new Date().toISOString();
-  try {
-    const membersSnap = await db.collection("members").get();
-    const allMembers = [];
-    membersSnap.forEach((doc) => {
-      const d = doc.data();
-      if (d.hidden === true) return;
-      allMembers.push({ realName: d.realName, nickname: d.nickname, gender: d.gender || "" });
-    });
-    const want = [...new Set(
-      (memberRealNames || []).map((n) => String(n || "").trim()).filter(Boolean),
-    )];
-    if (want.length === 0) {
-      throw new Error("memberRealNames: 한 명 이상 필요");
-    }
-    const byName = new Map(allMembers.map((m) => [m.realName, m]));
-    const missingNames = want.filter((n) => !byName.has(n));
-    if (missingNames.length > 0) {
-      throw new Error(`등록·미숨김 회원에 없는 실명: ${missingNames.join(", ")}`);
-    }
-    
-    // race_events.participants에서 distance 정보 가져오기
-    const participantsByName = new Map();
-    if (event && Array.isArray(event.participants)) {
-      event.participants.forEach(p => {
-        if (p.realName && p.distance) {
-          participantsByName.set(p.realName, p.distance);
-        }
-      });
-    }
-    
-    // members 배열 생성 시 participants의 distance 포함
-    const members = want.map((n) => {
-      const member = byName.get(n);
-      const distance = participantsByName.get(n);
-      return { ...member, distance };
-    });
+async function enqueueScrapeTask(spec) {
+  const active = await db.collection("scrape_tasks")
+    .where("jobId", "==", spec.jobId)
+    .where("status", "in", SCRAPE_TASK_ACTIVE)
+    .limit(1)
+    .get();
+  if (!active.empty) return { ok: false, taskId: active.docs[0].id };
+  const ref = await db.collection("scrape_tasks").add(buildScrapeTask(spec, Date.now()));
+  return { ok: true, taskId: ref.id };
+}
 
-    const confirmedSnap = await db.collection("race_results").where("status", "==", "confirmed").get();
-    const confirmedResults = [];
-    confirmedSnap.forEach((doc) => confirmedResults.push(doc.data()));
-    const pbMap = scraper.buildPBMap(confirmedResults);
+/**
+ * 단체 대회(group-events) 스크랩 큐 등록: scrape_jobs 자동 ID + kind=group 태스크.
+ * 참가자 종목은 race_events.participants 에서, 끝나면 runScrapeTask 가 groupScrapeJobId·groupScrapeStatus 를 쓴다.
+ */
+async function enqueueGroupScrape({ canonicalEventId, event, enqueuedBy }) {
+  const { source, sourceId } = event.groupSource;
+  const membersSnap = await db.collection("members").get();
+  const allMembers = [];
+  membersSnap.forEach((doc) => {
+    const d = doc.data();
+    if (d.hidden === true) return;
+    allMembers.push({ id: doc.id, realName: d.realName, nickname: d.nickname, gender: d.gender || "" });
+  });
+  const want = [...new Set(
+    (event.participants || []).map((p) => String(p.realName || "").trim()).filter(Boolean),
+  )];
+  if (want.length === 0) {
+    throw new Error("memberRealNames: 한 명 이상 필요");
+  }
+  const byName = new Map(allMembers.map((m) => [m.realName, m]));
+  const missingNames = want.filter((n) => !byName.has(n));
+  if (missingNames.length > 0) {
+    throw new Error(`등록·미숨김 회원에 없는 실명: ${missingNames.join(", ")}`);
+  }
 
-    await jobRef.set({
-      source,
-      sourceId,
-      memberRealNames: want,
-      eventName: (event && event.eventName) || sourceId,
-      eventDate: (event && event.eventDate) || "",
-      status: "running",
-      progress: { searched: 0, total: members.length, found: 0 },
-      results: [],
-      createdAt: now,
-    });
+  // race_events.participants에서 distance 정보 가져오기
+  const participantsByName = new Map();
+  (event.participants || []).forEach((p) => {
+    if (p.realName && p.distance) participantsByName.set(p.realName, p.distance);
+  });
+  const members = want.map((n) => ({ ...byName.get(n), distance: participantsByName.get(n) }));
 
-    const result = await scraper.scrapeEvent({
-      source,
-      sourceId,
-      members,
-      pbMap,
-      skipCached: false,
-      db,
-      serverTimestamp: FieldValue.serverTimestamp(),
-      onProgress: async (p) => {
-        await jobRef.update({ progress: p });
-      },
+  const jobRef = db.collection("scrape_jobs").doc();
+  const now = new Date().toISOString();
+  await jobRef.set({
+    source,
+    sourceId,
+    memberRealNames: want,
+    eventName: event.eventName || sourceId,
+    eventDate: event.eventDate || "",
+    status: "running",
+    progress: { searched: 0, total: members.length, found: 0 },
+    results: [],
+    createdAt: now,
+  });
+  const { taskId } = await enqueueScrapeTask({
+    kind: "group",
+    jobId: jobRef.id,
+    source,
+    sourceId,
+    eventName: event.eventName,
+    eventDate: event.eventDate,
+    canonicalEventId,
+    members,
+    enqueuedBy,
+  });
+  await db.collection("race_events").doc(canonicalEventId).update({
+    groupScrapeStatus: "running",
+    groupScrapeTriggeredAt: now,
+  });
+  return { jobId: jobRef.id, taskId };
+}
+
+// ─── 소스별 요청 한도 (scrape_rate_limits) ──────────────────────────
+
+/** 한 요청이 토큰을 기다리는 최대 시간 — 넘으면 RATE_LIMITED (큐 워커는 횟수 없이 나중에 다시) */
+const SCRAPE_RATE_MAX_WAIT_MS = 2 * 60 * 1000;
+
+/**
+ * scrapeFetch 에 거는 Firestore 토큰 버킷 — 주간 발견·단체 자동 스크랩·회원 검색·큐 워커가 소스마다 한 버킷을 나눠 쓴다.
+ * 토큰은 트랜잭션으로 받고, 오류·차단 응답이면 소스 전체를 백오프로 멈춘다.
+ * 큐 워커(context.leaseUntilMs)는 lease 안에서만 기다린다 — 대기가 lease 를 넘기면 바로 RATE_LIMITED.
+ * 토큰을 청하기 전마다 context.renew 로 lease 를 늘린다 (긴 SmartChip 검색처럼 한 회원에 요청이 많을 때).
+ */
+function createFirestoreScrapeLimiter() {
+  /** 이 인스턴스가 마지막으로 본 strikes — 0 이면 성공 응답마다 쓰지 않는다 */
+  const knownStrikes = new Map();
+  const refOf = (source) => db.collection("scrape_rate_limits").doc(source);
+
+  return {
+    sourceFor: (url) => sourceForUrl(url, listTimingSources()),
+
+    async acquire(source, context) {
+      const budget = rateBudget(getTimingSource(source));
+      const ref = refOf(source);
+      let waited = 0;
+      for (;;) {
+        if (context && context.renew) await context.renew();
+        const decision = await db.runTransaction(async (tx) => {
+          const snap = await tx.get(ref);
+          const d = takeScrapeToken(snap.exists ? snap.data() : null, budget, Date.now(), waited);
+          if (d.granted) tx.set(ref, d.state);
+          return d;
+        });
+        if (decision.granted) {
+          knownStrikes.set(source, Number(decision.state.strikes) || 0);
+          return;
+        }
+        const leaseRoom = scrapeLeaseWaitRoomMs(context && context.leaseUntilMs, Date.now());
+        if (waited + decision.waitMs > SCRAPE_RATE_MAX_WAIT_MS || decision.waitMs > leaseRoom) {
+          await db.runTransaction(async (tx) => {
+            const snap = await tx.get(ref);
+            tx.set(ref, recordScrapeGiveUp(snap.exists ? snap.data() : null, waited, Date.now()));
+          }).catch((e) => console.warn(`[scrapeRateLimit] ${source} 지표 기록 실패: ${e.message}`));
+          throw Object.assign(
+            new Error(`${source} 요청 한도 — ${Math.ceil(decision.waitMs / 1000)}초 더 기다려야 함`),
+            { code: "RATE_LIMITED", source, retryAfterMs: decision.waitMs }
+          );
+        }
+        await new Promise((r) => setTimeout(r, decision.waitMs));
+        waited += decision.waitMs;
+      }
+    },
+
+    async report(source, { status, text, error }) {
+      const adapter = getTimingSource(source);
+      const kind = error ? "network" : classifyScrapeResponse(status, text, adapter ? adapter.blockMarkers : []);
+      if (!kind) {
+        if (!knownStrikes.get(source)) return;
+        await refOf(source).set({ strikes: 0 }, { merge: true });
+        knownStrikes.set(source, 0);
+        return;
+      }
+      const next = await db.runTransaction(async (tx) => {
+        const snap = await tx.get(refOf(source));
+        const penalized = penalizeScrapeSource(snap.exists ? snap.data() : null, { kind, status }, Date.now());
+        tx.set(refOf(source), penalized);
+        return penalized;
+      });
+      knownStrikes.set(source, next.strikes);
+      console.warn(`[scrapeRateLimit] ${source} ${kind}${status ? ` (${status})` : ""} → ${next.strikes}회째, ${new Date(next.blockedUntil).toISOString()} 까지 정지`);
+      await db.collection("event_logs").add({
+        type: "scrape_alert",
+        severity: next.strikes >= 3 ? "error" : "warning",
+        code: "source_backoff",
+        message: `${source} 차단·오류 응답 (${kind}${status ? ` ${status}` : ""}) — ${next.strikes}회 연속, ${Math.round((next.blockedUntil - Date.now()) / 1000)}초 요청 중지`,
+        source,
+        strikes: next.strikes,
+        timestamp: FieldValue.serverTimestamp(),
+      });
+    },
+  };
+}
+
+setScrapeRateLimiter(createFirestoreScrapeLimiter());
+
+// ─── 스크래핑 큐 워커 (scrape_tasks) ──────────────────────────
+
+/** 540초 함수 안에서 checkpoint·마무리 쓰기 여유를 남긴 처리 시간 */
+const SCRAPE_WORKER_BUDGET_MS = 7 * 60 * 1000;
+
+function scrapeWorkerId() {
+  return `${process.env.K_REVISION || "local"}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/** lease 를 쥔 채로만 patch — 취소됐거나 lease 를 잃었으면 null */
+async function updateLeasedScrapeTask(ref, owner, patchFn) {
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    const task = snap.exists ? snap.data() : null;
+    if (!holdsScrapeLease(task, owner, Date.now())) return null;
+    const patch = patchFn(task);
+    tx.update(ref, patch);
+    return { ...task, ...patch };
+  });
+}
+
+/** 큐 태스크 실패·취소 → scrape_jobs failed, 단체 대회면 groupScrapeStatus failed, event_logs 경고 */
+async function markScrapeTaskJobFailed(taskId, task) {
+  const now = new Date().toISOString();
+  const message = (task.lastError && task.lastError.message) || "스크래핑 실패";
+  try {
+    await db.collection("scrape_jobs").doc(task.jobId).update({
+      status: "failed",
+      completedAt: now,
+      error: message,
+      progress: scrapeTaskJobProgress(task),
     });
+  } catch (e) {
+    console.error("[scrapeQueue] job failed update:", e);
+  }
+  if (task.kind === "group" && task.canonicalEventId) {
+    try {
+      await db.collection("race_events").doc(task.canonicalEventId).update({ groupScrapeStatus: "failed" });
+    } catch (e) {
+      console.error("[scrapeQueue] race_events failed update:", e);
+    }
+  }
+  await db.collection("event_logs").add({
+    type: "scrape_alert",
+    severity: task.status === "cancelled" ? "warning" : "error",
+    code: task.status === "cancelled" ? "task_cancelled" : "task_failed",
+    message: `스크래핑 태스크 ${task.status === "cancelled" ? "취소" : "실패"} (${task.attempts || 0}회 시도): ${task.eventName || task.sourceId} — ${message}`,
+    jobId: task.jobId,
+    taskId,
+    source: task.source,
+    sourceId: task.sourceId,
+    timestamp: FieldValue.serverTimestamp(),
+  });
+}
 
-    const finalStatus = result.jobStatus || "complete";
-    await jobRef.update({
-      status: finalStatus,
-      eventName: result.eventName || (event && event.eventName) || sourceId,
-      eventDate: result.eventDate || (event && event.eventDate) || "",
-      results: sortScrapeJobResults(result.results),
-      progress: {
-        searched: members.length,
-        total: members.length,
-        found: (result.results && result.results.length) || 0,
-        failCount: result.failCount || 0,
-        failRate: result.failRate || 0,
-      },
-      completedAt: new Date().toISOString(),
+async function claimScrapeTask(taskId, owner) {
+  const ref = db.collection("scrape_tasks").doc(taskId);
+  const claimed = await db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists) return null;
+    const task = snap.data();
+    if (!isScrapeTaskClaimable(task, Date.now())) return null;
+    // pickNextScrapeTask 의 "소스가 바쁨" 확인은 트랜잭션 밖 스냅샷 — 겹친 워커가 같은 소스를 따로 잡지 않게 여기서 다시
+    const running = await tx.get(
+      db.collection("scrape_tasks").where("source", "==", task.source).where("status", "==", "running")
+    );
+    if (isScrapeSourceBusy(running.docs.map((d) => ({ id: d.id, data: d.data() })), taskId, Date.now())) return null;
+    const patch = claimScrapeTaskPatch(task, owner, Date.now());
+    tx.update(ref, patch);
+    return { ...task, ...patch };
+  });
+  if (claimed && claimed.status === "failed") {
+    await markScrapeTaskJobFailed(taskId, claimed);
+    return null;
+  }
+  return claimed;
+}
+
+/** 대회 결과 마무리 — scrape 액션·단체 스크랩이 완료까지 기다리던 때와 같은 scrape_jobs 모양으로 쓴다 */
+async function completeScrapeTask(ref, task, owner) {
+  const jobRef = db.collection("scrape_jobs").doc(task.jobId);
+  const total = task.members.length;
+  const { failRate, jobStatus } = scraper.scrapeFailureStatus(task.failCount || 0, task.searched || 0);
+
+  let results = task.results || [];
+  if (task.partialRescrape) {
+    // 이번에 다시 찾은 회원만 교체, 나머지 행은 기존 잡 결과 유지
+    const prev = await jobRef.get();
+    const previous = prev.exists && Array.isArray(prev.data().results) ? prev.data().results : [];
+    const sel = new Set(task.members.map((m) => m.realName));
+    results = [...previous.filter((r) => r && !sel.has(r.memberRealName)), ...results];
+  }
+  results = sortScrapeJobResults(results);
+
+  const info = task.eventInfo || {};
+  const eventName = info.title || task.eventName || task.sourceId;
+  await jobRef.update({
+    status: jobStatus,
+    eventName,
+    eventDate: info.date || task.eventDate || "",
+    results,
+    progress: { searched: total, total, found: results.length, failCount: task.failCount || 0, failRate },
+    completedAt: new Date().toISOString(),
+    error: FieldValue.delete(),
+  });
+
+  // partial_failure 시 event_logs에 경고 기록
+  if (jobStatus === "partial_failure") {
+    await db.collection("event_logs").add({
+      type: "scrape_alert",
+      severity: "warning",
+      code: "partial_failure",
+      message: `스크래핑 실패율 ${failRate}% (${task.failCount}명 오류): ${eventName}`,
+      jobId: task.jobId,
+      source: task.source,
+      sourceId: task.sourceId,
+      timestamp: FieldValue.serverTimestamp(),
     });
+  }
 
-    await db.collection("race_events").doc(canonicalEventId).update({
-      groupScrapeJobId: jobId,
-      groupScrapeStatus: finalStatus === "partial_failure" ? "partial_failure" : "done",
+  if (task.kind === "group" && task.canonicalEventId) {
+    await db.collection("race_events").doc(task.canonicalEventId).update({
+      groupScrapeJobId: task.jobId,
+      groupScrapeStatus: jobStatus === "partial_failure" ? "partial_failure" : "done",
     });
-  } catch (err) {
-    try {
-      await db.collection("race_events").doc(canonicalEventId).update({
-        groupScrapeStatus: "failed",
+  }
+  await updateLeasedScrapeTask(ref, owner, () => finishScrapeTaskPatch(Date.now()));
+}
+
+/**
+ * 태스크 하나를 cursor 부터 이어서 — 회원마다 checkpoint, deadline 이 되면 queued 로 돌려놓고 나온다.
+ * 오류(세션 재발급 후에도 만료 포함)는 retryScrapeTaskPatch 로 백오프 재시도, 한도를 넘기면 failed.
+ * 소스 요청 한도(RATE_LIMITED)는 횟수를 쓰지 않고 retryAfterMs 뒤 다시.
+ * 안의 scrapeFetch 는 runWithScrapeContext 로 lease 기한을 받아 그 안에서만 토큰을 기다린다.
+ */
+async function runScrapeTask(taskId, task, owner, deadline) {
+  const lease = { leaseUntilMs: Date.parse(task.lease.until) };
+  return runWithScrapeContext(lease, () => runLeasedScrapeTask(taskId, task, owner, deadline, lease));
+}
+
+async function runLeasedScrapeTask(taskId, task, owner, deadline, lease) {
+  const ref = db.collection("scrape_tasks").doc(taskId);
+  const jobRef = db.collection("scrape_jobs").doc(task.jobId);
+  const { source, sourceId } = task;
+  /** lease 를 연장한 patch 결과 — 토큰 대기 한도(lease.leaseUntilMs)도 같이 늘린다 */
+  const track = (next) => {
+    if (next && next.lease) lease.leaseUntilMs = Date.parse(next.lease.until);
+    return next;
+  };
+  /** 느린 단계 앞 lease 연장 — scrapeFetch 도 요청마다 부른다 (lease.renew). 취소됐거나 lease 를 잃었으면 LEASE_LOST */
+  lease.renew = async () => {
+    if (!scrapeLeaseNeedsRenewal(lease.leaseUntilMs, Date.now())) return;
+    const next = track(await updateLeasedScrapeTask(ref, owner, (t) => renewScrapeLeasePatch(t, Date.now())));
+    if (!next) throw Object.assign(new Error("lease 를 잃음 (취소 또는 다른 워커가 이어받음)"), { code: "LEASE_LOST" });
+  };
+  try {
+    const adapter = getTimingSource(source);
+    if (!adapter) throw Object.assign(new Error(`알 수 없는 소스: ${source}`), { code: "UNKNOWN_SOURCE" });
+    if (!task.members || task.members.length === 0) throw Object.assign(new Error("검색할 회원 없음"), { code: "NO_MEMBERS" });
+    await jobRef.update({ progress: scrapeTaskJobProgress(task) });
+
+    let current = task;
+    if (!current.eventInfo) {
+      await lease.renew();
+      const info = await scraper.getEventInfo(source, sourceId);
+      current = track(await updateLeasedScrapeTask(ref, owner, (t) => ({
+        ...renewScrapeLeasePatch(t, Date.now()),
+        eventInfo: { title: info.title || "", date: info.date || "" },
+      })));
+      if (!current) return;
+    }
+    const info = current.eventInfo;
+
+    await lease.renew();
+    const confirmedSnap = await db.collection("race_results").where("status", "==", "confirmed").get();
+    const confirmedResults = [];
+    confirmedSnap.forEach((doc) => confirmedResults.push(doc.data()));
+    const pbMap = scraper.buildPBMap(confirmedResults);
+
+    // skipCached(resume) — 이미 찾은 회원은 search_cache 로 건너뜀 (현재 파서 버전만)
+    const cachedNames = new Set();
+    if (current.skipCached) {
+      const parserVersion = timingSourceParserVersion(source);
+      const cacheSnap = await db.collection("search_cache")
+        .where("source", "==", source)
+        .where("sourceId", "==", sourceId)
+        .get();
+      cacheSnap.forEach((doc) => {
+        const d = doc.data();
+        if (d && d.found === true && d.realName && d.parserVersion === parserVersion) cachedNames.add(d.realName);
       });
-    } catch (e) {
-      console.error("[triggerGroupScrape] race_events failed update:", e);
     }
-    try {
-      const snap = await jobRef.get();
-      if (snap.exists) {
-        await jobRef.update({
-          status: "failed",
-          completedAt: new Date().toISOString(),
-          error: err.message || String(err),
+
+    await lease.renew();
+    let session = adapter.createSession ? await adapter.createSession() : "";
+    while (current.cursor < current.members.length) {
+      if (Date.now() >= deadline) {
+        await updateLeasedScrapeTask(ref, owner, () => releaseScrapeTaskPatch(Date.now()));
+        return;
+      }
+      const member = current.members[current.cursor];
+      let step = { rows: [], failed: false, skipped: true };
+      if (!cachedNames.has(member.realName)) {
+        await lease.renew();
+        step = await scraper.scrapeMember({
+          source, sourceId, member, info, pbMap, session, db,
+          serverTimestamp: FieldValue.serverTimestamp(),
         });
+        session = step.session;
+        if (step.sessionExpired) {
+          // cursor 는 그대로 — 재시도 때 이 회원부터 새 세션으로
+          throw Object.assign(new Error(`${adapter.label} 세션 재발급 후에도 만료 (${member.realName})`), { code: "SESSION_EXPIRED" });
+        }
       }
+      const next = track(await updateLeasedScrapeTask(ref, owner, (t) => checkpointScrapeTaskPatch(t, step, Date.now())));
+      if (!next) return; // 취소됐거나 lease 를 잃음 — 이어받은 워커가 계속한다
+      current = next;
+      if (current.cursor % 10 === 0) {
+        await jobRef.update({ progress: scrapeTaskJobProgress(current) });
+      }
+    }
+    await completeScrapeTask(ref, current, owner);
+  } catch (err) {
+    if (err.code === "LEASE_LOST") return; // 취소됐거나 이어받은 워커가 계속한다
+    console.error(`[scrapeQueue] ${taskId} 오류:`, err);
+    try {
+      const next = await updateLeasedScrapeTask(ref, owner, (t) =>
+        retryScrapeTaskPatch(t, { code: err.code, message: err.message, retryAfterMs: err.retryAfterMs }, Date.now()));
+      if (next && next.status === "failed") await markScrapeTaskJobFailed(taskId, next);
+      else if (next) await jobRef.update({ error: `${next.lastError.message} — ${next.nextRunAt} 재시도` });
     } catch (e) {
-      console.error("[triggerGroupScrape] job failed update:", e);
+      // 여기서도 실패하면 lease 만료 후 다른 워커가 이어받는다
+      console.error(`[scrapeQueue] ${taskId} 재시도 기록 실패:`, e);
     }
-    throw err;
+  }
+}
+
+/**
+ * 큐 처리 — 잡을 수 있는 태스크를 예산이 남는 동안 차례로 (taskId 가 있으면 그 태스크 위주, 방금 만든 태스크 즉시 시작용)
+ */
+async function runScrapeQueue({ taskId = null, budgetMs = SCRAPE_WORKER_BUDGET_MS } = {}) {
+  const owner = scrapeWorkerId();
+  const deadline = Date.now() + budgetMs;
+  const tried = new Set();
+  while (Date.now() < deadline) {
+    const snap = await db.collection("scrape_tasks").where("status", "in", SCRAPE_TASK_ACTIVE).get();
+    let docs = snap.docs.map((d) => ({ id: d.id, data: d.data() }));
+    // taskId 모드도 진행 중인 태스크는 남겨 같은 소스 동시 실행을 막는다 — 소스가 바쁘면 scrapeQueueWorker 가 나중에
+    if (taskId) docs = docs.filter((d) => d.id === taskId || d.data.status === "running");
+    const nextId = pickNextScrapeTask(docs, Date.now(), tried);
+    if (!nextId) return;
+    tried.add(nextId);
+    const task = await claimScrapeTask(nextId, owner);
+    if (task) await runScrapeTask(nextId, task, owner, deadline);
   }
 }
 
@@ -1575,7 +2524,7 @@ async function triggerGroupScrape({ canonicalEventId, source, sourceId, memberRe
 exports.race = onRequest({ cors: true, timeoutSeconds: 540, memory: "512MiB", region: "asia-northeast3" }, async (req, res) => {
   res.set("Access-Control-Allow-Origin", "*");
   res.set("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
-  res.set("Access-Control-Allow-Headers", "Content-Type");
+  res.set("Access-Control-Allow-Headers", "Content-Type, Authorization");
 
   if (req.method === "OPTIONS") return res.status(204).send("");
 
@@ -1584,10 +2533,20 @@ exports.race = onRequest({ cors: true, timeoutSeconds: 540, memory: "512MiB", re
 
     if (action === "confirmed-races") {
       const year = req.query.year || null;
-      const [snap, { eventMeta, sourceKeyToEventId }] = await Promise.all([
+      const [snap, { eventMeta, sourceKeyToEventId }, recordSnap, exclSnap] = await Promise.all([
         db.collection("race_results").where("status", "==", "confirmed").get(),
         buildRaceEventIndexes(),
+        db.collection("announcements").where("type", "==", "club_record").get(),
+        db.collection("club_record_exclusions").get(),
       ]);
+      // 클럽 신기록 배지 — 확정 당시 announcements (운영진이 제외한 기록은 빼고)
+      const excludedIds = new Set(exclSnap.docs.map((d) => d.id));
+      const clubRecordLabels = {};
+      recordSnap.forEach((d) => {
+        const a = d.data();
+        if (!a.raceResultId || excludedIds.has(a.raceResultId)) return;
+        clubRecordLabels[a.raceResultId] = (clubRecordLabels[a.raceResultId] || []).concat(a.labels || []);
+      });
 
       const groupMap = {};
       snap.forEach((rDoc) => {
@@ -1612,6 +2571,7 @@ exports.race = onRequest({ cors: true, timeoutSeconds: 540, memory: "512MiB", re
         }
         groupMap[groupKey].results.push({
           docId: rDoc.id,
+          memberId: r.memberId || null,
           realName: r.memberRealName,
           nickname: r.memberNickname,
           bib: r.bib || "",
@@ -1619,9 +2579,13 @@ exports.race = onRequest({ cors: true, timeoutSeconds: 540, memory: "512MiB", re
           netTime: r.netTime,
           gunTime: r.gunTime || "",
           overallRank: r.overallRank || null,
+          genderRank: r.genderRank || null,
+          ageGroupRank: r.ageGroupRank || null,
+          splits: Array.isArray(r.splits) ? r.splits : [],
           gender: r.gender || "",
           isPB: r.pbConfirmed || false,
           note: r.note || "",
+          clubRecords: clubRecordLabels[rDoc.id] || [],
         });
       });
 
@@ -1757,9 +2721,9 @@ exports.race = onRequest({ cors: true, timeoutSeconds: 540, memory: "512MiB", re
         "202650000021": "2026-03-14", // 창녕부곡온천마라톤
       };
 
-      // 날짜가 여전히 없는 SmartChip 이벤트는 getEventInfo로 보완, 없으면 힌트 사용
+      // 날짜가 여전히 없는 SmartChip(eventInfoDate) 이벤트는 getEventInfo로 보완, 없으면 힌트 사용
       const enriched = await Promise.all(baseEvents.map(async (e) => {
-        if (e.source === "smartchip" && !e.date) {
+        if (!e.date && timingSourceHasCapability(e.source, "eventInfoDate")) {
           try {
             const info = await scraper.getEventInfo(e.source, e.sourceId);
             if (info.date) return { ...e, name: info.title || e.name, date: info.date };
@@ -1802,11 +2766,23 @@ exports.race = onRequest({ cors: true, timeoutSeconds: 540, memory: "512MiB", re
       const sk = `${data.source || "unknown"}_${data.sourceId || "unknown"}`;
       const canonicalEventId = sourceKeyToEventId[sk];
 
+      // 수집 중이면 큐 태스크 상태 (report.html 이 대기·재시도 안내에 쓴다)
+      let queue = null;
+      if (data.status === "running") {
+        const taskSnap = await db.collection("scrape_tasks")
+          .where("jobId", "==", doc.id)
+          .where("status", "in", SCRAPE_TASK_ACTIVE)
+          .limit(1)
+          .get();
+        if (!taskSnap.empty) queue = scrapeJobQueueState(taskSnap.docs[0].data(), Date.now());
+      }
+
       return res.json({
         ok: true,
         ...data,
         jobId: doc.id,
         ...(canonicalEventId ? { canonicalEventId } : {}),
+        ...(queue ? { queue } : {}),
       });
     }
 
@@ -1825,10 +2801,14 @@ exports.race = onRequest({ cors: true, timeoutSeconds: 540, memory: "512MiB", re
 
     // ─── 회원 관리 API ─────────────────────────────────
     if (action === "add-member" && req.method === "POST") {
-      const { nickname, realName, gender, team } = req.body || {};
+      const auth = await authorizeAdminRequest(req, "members");
+      if (!auth.ok) return res.status(auth.status).json({ ok: false, error: auth.error });
+      const { nickname, realName, gender, team, birthYear } = req.body || {};
       if (!nickname || !realName) {
         return res.status(400).json({ ok: false, error: "nickname and realName required" });
       }
+      const birth = parseMemberBirthYear(birthYear);
+      if (!birth.ok) return res.status(400).json({ ok: false, error: birth.error });
       let teamValue = "";
       if (team !== undefined && team !== null && String(team).trim() !== "") {
         const parsed = parseMemberTeamUpdate(team);
@@ -1842,21 +2822,47 @@ exports.race = onRequest({ cors: true, timeoutSeconds: 540, memory: "512MiB", re
         return res.status(409).json({ ok: false, error: `닉네임 '${nickname}' 이미 존재합니다` });
       }
       const ref = db.collection("members").doc();
-      await ref.set({ nickname, realName, gender: gender || "", hidden: false, team: teamValue });
+      const memberDoc = { nickname, realName, gender: gender || "", hidden: false, team: teamValue };
+      if (birth.birthYear) memberDoc.birthYear = birth.birthYear;
+      await ref.set(memberDoc);
+      logRaceAdminEvent("member_add", { actor: auth.username, role: auth.role, memberId: ref.id, nickname });
       return res.json({ ok: true, id: ref.id, nickname, realName, team: teamValue });
     }
 
     if (action === "update-member" && req.method === "POST") {
-      const { id, nickname, realName, gender, hidden, team } = req.body || {};
+      const { id, nickname, realName, gender, hidden, team, birthYear } = req.body || {};
       if (!id) return res.status(400).json({ ok: false, error: "id required" });
       const ref = db.collection("members").doc(id);
       const doc = await ref.get();
       if (!doc.exists) return res.status(404).json({ ok: false, error: "member not found" });
+      // 출석 화면의 팀 미지정 회원 팀 채우기(team 단독 + 기존 팀 없음)만 로그인 없이 허용
+      const teamBackfillOnly =
+        !extractAdminToken(req) &&
+        team !== undefined &&
+        [nickname, realName, gender, hidden, birthYear].every((v) => v === undefined) &&
+        !normalizeMemberTeam(doc.data().team);
+      let auth = null;
+      if (!teamBackfillOnly) {
+        auth = await authorizeAdminRequest(req, "");
+        if (!auth.ok) return res.status(auth.status).json({ ok: false, error: auth.error });
+        if (!roleAllows(auth.role, "members")) {
+          // 팀장: 팀 이동만, 바로 반영하지 않고 운영진 승인 대기 (team_move_requests)
+          if (auth.role !== "team_leader" || team === undefined || [nickname, realName, gender, hidden, birthYear].some((v) => v !== undefined)) {
+            return res.status(403).json({ ok: false, error: "FORBIDDEN_ROLE" });
+          }
+          return createTeamMoveRequest(res, auth, doc, team, (req.body || {}).reason);
+        }
+      }
       const updates = {};
       if (nickname !== undefined) updates.nickname = nickname;
       if (realName !== undefined) updates.realName = realName;
       if (gender !== undefined) updates.gender = gender;
       if (hidden !== undefined) updates.hidden = !!hidden;
+      if (birthYear !== undefined) {
+        const birth = parseMemberBirthYear(birthYear);
+        if (!birth.ok) return res.status(400).json({ ok: false, error: birth.error });
+        updates.birthYear = birth.birthYear;
+      }
       if (team !== undefined) {
         const parsed = parseMemberTeamUpdate(team);
         if (!parsed.ok) {
@@ -1875,18 +2881,30 @@ exports.race = onRequest({ cors: true, timeoutSeconds: 540, memory: "512MiB", re
         return res.status(400).json({ ok: false, error: "nothing to update" });
       }
       await ref.update(updates);
+      logRaceAdminEvent("member_update", {
+        actor: auth ? auth.username : "",
+        role: auth ? auth.role : "",
+        memberId: id,
+        fields: Object.keys(updates),
+      });
 
-      // gender 변경 시 기존 race_results 동기화
-      if (updates.gender !== undefined) {
-        const currentRealName = doc.data().realName;
+      // gender·실명·닉네임 변경 시 기존 race_results 표시 필드 동기화 (memberId 기준 — Doc ID 는 그대로)
+      const prevMember = doc.data();
+      const resultSync = {};
+      if (updates.gender !== undefined) resultSync.gender = updates.gender;
+      if (updates.realName !== undefined && updates.realName !== prevMember.realName) resultSync.memberRealName = updates.realName;
+      if (updates.nickname !== undefined && updates.nickname !== prevMember.nickname) resultSync.memberNickname = updates.nickname;
+      if (Object.keys(resultSync).length) {
         const resultsSnap = await db.collection("race_results")
-          .where("memberRealName", "==", currentRealName)
+          .where("memberId", "==", id)
           .get();
-        if (!resultsSnap.empty) {
+        for (let i = 0; i < resultsSnap.docs.length; i += 450) {
           const batch = db.batch();
-          resultsSnap.docs.forEach(d => batch.update(d.ref, { gender: updates.gender }));
+          resultsSnap.docs.slice(i, i + 450).forEach(d => batch.update(d.ref, resultSync));
           await batch.commit();
-          console.log(`[update-member] gender sync: ${resultsSnap.size}건 updated for ${currentRealName}`);
+        }
+        if (!resultsSnap.empty) {
+          console.log(`[update-member] race_results sync (${Object.keys(resultSync).join(",")}): ${resultsSnap.size}건 updated for ${id}`);
         }
       }
 
@@ -1894,6 +2912,8 @@ exports.race = onRequest({ cors: true, timeoutSeconds: 540, memory: "512MiB", re
     }
 
     if (action === "hide-member" && req.method === "POST") {
+      const auth = await authorizeAdminRequest(req, "members");
+      if (!auth.ok) return res.status(auth.status).json({ ok: false, error: auth.error });
       const { id, leaveReason, leftAt } = req.body || {};
       if (!id) return res.status(400).json({ ok: false, error: "id required" });
       const ref = db.collection("members").doc(id);
@@ -1910,15 +2930,20 @@ exports.race = onRequest({ cors: true, timeoutSeconds: 540, memory: "512MiB", re
       if (result.skipped) {
         return res.json({ ok: true, id, skipped: true, reason: result.reason });
       }
+      logRaceAdminEvent("member_leave", { actor: auth.username, role: auth.role, memberId: id, leaveReason: reason });
       return res.json({ ok: true, id, preview: result.preview });
     }
 
     if (action === "all-members") {
       const snap = await db.collection("members").get();
+      // 출생연도는 회원 관리 권한이 있는 운영진 요청에만
+      const withBirthYear = extractAdminToken(req) ? (await authorizeAdminRequest(req, "members")).ok : false;
       const members = [];
       snap.forEach((doc) => {
         const d = doc.data();
-        members.push({ id: doc.id, realName: d.realName, nickname: d.nickname, gender: d.gender || "", team: d.team || "", hidden: d.hidden || false, leaveReason: d.leaveReason || "", _archivedNickname: d._archivedNickname || "", _archivedRealName: d._archivedRealName || "" });
+        const m = { id: doc.id, realName: d.realName, nickname: d.nickname, gender: d.gender || "", team: d.team || "", hidden: d.hidden || false, leaveReason: d.leaveReason || "", _archivedNickname: d._archivedNickname || "", _archivedRealName: d._archivedRealName || "" };
+        if (withBirthYear) m.birthYear = d.birthYear || null;
+        members.push(m);
       });
       members.sort((a, b) => a.nickname.localeCompare(b.nickname, "ko"));
       return res.json({ ok: true, members });
@@ -1970,7 +2995,7 @@ exports.race = onRequest({ cors: true, timeoutSeconds: 540, memory: "512MiB", re
       };
 
       const enriched = await Promise.all(allEvents.map(async (e) => {
-        if (e.source === "smartchip" && !e.date) {
+        if (!e.date && timingSourceHasCapability(e.source, "eventInfoDate")) {
           try {
             const info = await scraper.getEventInfo(e.source, e.sourceId);
             if (info.date) { e = { ...e, name: info.title || e.name, date: info.date }; }
@@ -2015,51 +3040,15 @@ exports.race = onRequest({ cors: true, timeoutSeconds: 540, memory: "512MiB", re
         .where("found", "==", true)
         .get();
 
-      const confirmedSnap = await db.collection("race_results")
-        .where("status", "==", "confirmed")
-        .where("memberRealName", "==", memberName)
-        .get();
-      const confirmedKeys = new Set();
-      confirmedSnap.forEach((doc) => {
-        const r = doc.data();
-        confirmedKeys.add(`${r.source}_${r.sourceId}`);
-      });
-
-      const memberSnap = await db.collection("members")
-        .where("realName", "==", memberName)
-        .limit(1)
-        .get();
-      const memberGender = memberSnap.empty ? null : memberSnap.docs[0].data().gender;
-
-      const pbSnap = await db.collection("race_results")
-        .where("status", "==", "confirmed")
-        .where("memberRealName", "==", memberName)
-        .get();
-      const pbMap = {};
-      pbSnap.forEach((doc) => {
-        const r = doc.data();
-        const distN = normalizeRaceDistance(r.distance);
-        const secs = scraper.timeToSeconds(r.netTime);
-        const km = { full: 42.195, half: 21.0975, "10K": 10, "30K": 30, "32K": 32, "5K": 5, "3K": 3, "20K": 20 }[distN];
-        if (!secs || secs === Infinity || !km) return;
-        const pace = secs / km;
-        if (!pbMap[distN] || pace < pbMap[distN]) pbMap[distN] = pace;
-      });
+      const hctx = await loadHomonymContext(memberName);
+      const confirmedKeys = new Set(hctx.results.map((r) => `${r.source}_${r.sourceId}`));
+      const memberGender = hctx.member.gender || null;
 
       const DIST_KM = { full: 42.195, half: 21.0975, "10K": 10, "30K": 30, "32K": 32, "5K": 5, "3K": 3, "20K": 20 };
-      const predictedPaces = {};
-      for (const [dist, pace] of Object.entries(pbMap)) {
-        const knownSecs = pace * DIST_KM[dist];
-        for (const [td, tk] of Object.entries(DIST_KM)) {
-          const predSecs = knownSecs * Math.pow(tk / DIST_KM[dist], 1.06);
-          const predPace = predSecs / tk;
-          if (!predictedPaces[td] || predPace < predictedPaces[td]) predictedPaces[td] = predPace;
-        }
-      }
-
       const byEvent = {};
       cacheSnap.forEach((doc) => {
         const d = doc.data();
+        if (d.parserVersion !== timingSourceParserVersion(d.source)) return; // 예전 파서 결과
         const eventDate = d.result?.eventDate || "";
         if (eventDate && eventDate < twoWeeksAgo) return;
         if (confirmedKeys.has(`${d.source}_${d.sourceId}`)) return;
@@ -2083,14 +3072,7 @@ exports.race = onRequest({ cors: true, timeoutSeconds: 540, memory: "512MiB", re
           const secs = scraper.timeToSeconds(r.netTime);
           const km = DIST_KM[distN];
           const pace = (secs && secs !== Infinity && km) ? secs / km : null;
-          const predicted = predictedPaces[distN];
-
-          let dimout = false;
-          if (predicted && pace) {
-            const delta = Math.abs(pace - predicted) / predicted;
-            const thresh = (distN === "5K") ? Infinity : (distN === "10K") ? 1.0 : 0.5;
-            if (delta > thresh) dimout = true;
-          }
+          const { score, dimout, reasons } = homonymLikelihood(hctx, r, byEvent[eventKey]);
 
           byEvent[eventKey].candidates.push({
             distance: distN,
@@ -2098,7 +3080,9 @@ exports.race = onRequest({ cors: true, timeoutSeconds: 540, memory: "512MiB", re
             pace: pace ? `${Math.floor(pace / 60)}:${String(Math.round(pace % 60)).padStart(2, "0")}` : null,
             gender: r.gender || null,
             bib: r.bib || null,
+            score,
             dimout,
+            reasons,
           });
         }
       });
@@ -2107,7 +3091,7 @@ exports.race = onRequest({ cors: true, timeoutSeconds: 540, memory: "512MiB", re
         .filter((e) => e.candidates.length > 0)
         .sort((a, b) => (b.eventDate || "").localeCompare(a.eventDate || ""));
 
-      return res.json({ ok: true, suggestions, memberGender, hasPB: Object.keys(pbMap).length > 0 });
+      return res.json({ ok: true, suggestions, memberGender, hasPB: Object.keys(hctx.profile.paceRanges).length > 0 });
     }
 
     // ─── 회원별 역방향 검색 (1명 × N대회) ─────────────────
@@ -2135,7 +3119,14 @@ exports.race = onRequest({ cors: true, timeoutSeconds: 540, memory: "512MiB", re
       // 사이트별 병렬 검색 (같은 사이트 내에서는 순차 + 딜레이)
       try {
         const allResults = [];
+        const rateLimitedSources = [];
         let searched = 0;
+        // 후보마다 동명이인 점수 — 캐시에는 원본만 두고 응답 직전에 붙인다
+        const hctx = await loadHomonymContext(realName);
+        const scoreEntry = (entry) => ({
+          ...entry,
+          records: entry.records.map((r) => ({ ...r, likelihood: homonymLikelihood(hctx, r, entry) })),
+        });
 
         // 사이트별로 이벤트 그룹핑
         const bySource = {};
@@ -2152,8 +3143,9 @@ exports.race = onRequest({ cors: true, timeoutSeconds: 540, memory: "512MiB", re
           });
         };
 
-        const CACHE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
         const cacheCol = db.collection("search_cache");
+        /** TTL 이 지난 캐시 — 응답에는 그대로 쓰고 job 완료 뒤 다시 검색 (stale-while-revalidate) */
+        const staleEvents = [];
 
         const applyFilters = (entry) => {
           if (!entry || !entry.records) return entry;
@@ -2165,55 +3157,66 @@ exports.race = onRequest({ cors: true, timeoutSeconds: 540, memory: "512MiB", re
           return { ...entry, records };
         };
 
+        /** 사이트 검색 → search_cache 저장. 결과 항목, 없으면 null */
+        const searchAndCache = async (ev, cacheKey, parserVersion) => {
+          await scraper.sleep(scraper.DELAY_MS);
+          const found = await scraper.searchMember(ev.source, ev.sourceId, realName);
+
+          const resultEntry = (found && found.length > 0) ? {
+            eventName: ev.eventName || ev.sourceId,
+            eventDate: ev.eventDate || "",
+            source: ev.source,
+            sourceId: ev.sourceId,
+            records: found.map((r) => ({
+              ...r,
+              memberRealName: realName,
+              memberNickname: nickname || "",
+              memberGender: gender || "",
+            })),
+          } : null;
+
+          await cacheCol.doc(cacheKey).set({
+            ...buildSearchCacheEntry({
+              realName, source: ev.source, sourceId: ev.sourceId, parserVersion, eventDate: ev.eventDate || "", result: resultEntry,
+            }),
+            cachedAt: FieldValue.serverTimestamp(),
+          }).catch(() => {});
+          return resultEntry;
+        };
+
         const searchSource = async (sourceEvents) => {
           for (const ev of sourceEvents) {
             try {
-              const cacheKey = `${ev.source}_${ev.sourceId}_${realName}`.substring(0, 1500);
+              const parserVersion = timingSourceParserVersion(ev.source);
+              const cacheKey = searchCacheKey(ev.source, ev.sourceId, realName, parserVersion);
               const cached = await cacheCol.doc(cacheKey).get();
-
-              if (cached.exists) {
-                const cd = cached.data();
-                const age = Date.now() - (cd.cachedAt?.toMillis?.() || 0);
-                if (age < CACHE_TTL_MS) {
-                  const filtered = cd.found ? applyFilters(cd.result) : null;
-                  if (filtered) allResults.push(filtered);
-                  searched++;
-                  await updateProgress(ev.eventName || ev.sourceId);
-                  continue;
-                }
+              const cd = cached.exists ? cached.data() : null;
+              const cacheState = searchCacheState(cd, { parserVersion, nowMs: Date.now() });
+
+              if (cacheState !== "miss") {
+                const filtered = cd.found ? applyFilters(cd.result) : null;
+                if (filtered) allResults.push(scoreEntry(filtered));
+                if (cacheState === "stale") staleEvents.push({ ev, cacheKey, parserVersion });
+                searched++;
+                await updateProgress(ev.eventName || ev.sourceId);
+                continue;
               }
 
-              await scraper.sleep(scraper.DELAY_MS);
-              const found = await scraper.searchMember(ev.source, ev.sourceId, realName);
-
-              const resultEntry = (found && found.length > 0) ? {
-                eventName: ev.eventName || ev.sourceId,
-                eventDate: ev.eventDate || "",
-                source: ev.source,
-                sourceId: ev.sourceId,
-                records: found.map((r) => ({
-                  ...r,
-                  memberRealName: realName,
-                  memberNickname: nickname || "",
-                  memberGender: gender || "",
-                })),
-              } : null;
-
-              const filtered = applyFilters(resultEntry);
-              if (filtered) allResults.push(filtered);
-
-              cacheCol.doc(cacheKey).set({
-                realName,
-                source: ev.source,
-                sourceId: ev.sourceId,
-                found: !!resultEntry,
-                result: resultEntry || null,
-                cachedAt: FieldValue.serverTimestamp(),
-              }).catch(() => {});
+              const filtered = applyFilters(await searchAndCache(ev, cacheKey, parserVersion));
+              if (filtered) allResults.push(scoreEntry(filtered));
 
               searched++;
               await updateProgress(ev.eventName || ev.sourceId);
             } catch (err) {
+              if (err.code === "RATE_LIMITED") {
+                // 소스 요청 한도 — 남은 대회도 같은 버킷이라 건너뛰고 표시만
+                const rest = sourceEvents.length - sourceEvents.indexOf(ev);
+                searched += rest;
+                rateLimitedSources.push({ source: ev.source, skipped: rest, retryAfterMs: err.retryAfterMs || 0 });
+                console.warn(`[search-member] ${ev.source} 요청 한도 — ${rest}개 대회 건너뜀`);
+                await updateProgress(ev.eventName || ev.sourceId).catch(() => {});
+                return;
+              }
               searched++;
               console.error(`[search-member] ${ev.sourceId}: ${err.message}`);
               await updateProgress(ev.eventName || ev.sourceId).catch(() => {});
@@ -2224,7 +3227,39 @@ exports.race = onRequest({ cors: true, timeoutSeconds: 540, memory: "512MiB", re
         // 사이트별 병렬 실행
         await Promise.all(Object.values(bySource).map(searchSource));
 
-        await jobRef.update({ status: "complete", completedAt: new Date().toISOString(), results: allResults });
+        await jobRef.update({
+          status: "complete",
+          completedAt: new Date().toISOString(),
+          results: allResults,
+          rateLimitedSources,
+          staleServed: staleEvents.length,
+        });
+
+        // stale 다시 검색 — 다음 검색부터 새 결과. 다른 실행이 방금 잡은 항목은 건너뛰고, 요청 한도에 막히면 그 소스는 그만
+        const revalidateSource = async (items) => {
+          for (const { ev, cacheKey, parserVersion } of items) {
+            try {
+              const ref = cacheCol.doc(cacheKey);
+              const claimed = await db.runTransaction(async (tx) => {
+                const snap = await tx.get(ref);
+                const d = snap.exists ? snap.data() : null;
+                const nowMs = Date.now();
+                if (searchCacheState(d, { parserVersion, nowMs }) !== "stale" || !canClaimSearchCacheRefresh(d, nowMs)) return false;
+                tx.update(ref, { refreshingAt: nowMs });
+                return true;
+              });
+              if (claimed) await searchAndCache(ev, cacheKey, parserVersion);
+            } catch (err) {
+              if (err.code === "RATE_LIMITED") return;
+              console.warn(`[search-member] 캐시 갱신 실패 ${ev.sourceId}: ${err.message}`);
+            }
+          }
+        };
+        const staleBySource = {};
+        staleEvents.forEach((item) => {
+          (staleBySource[item.ev.source] = staleBySource[item.ev.source] || []).push(item);
+        });
+        await Promise.all(Object.values(staleBySource).map(revalidateSource));
       } catch (err) {
         console.error(`[search-member] fatal: ${err.message}`);
         await jobRef.update({ status: "failed", error: err.message, completedAt: new Date().toISOString() }).catch(() => {});
@@ -2242,6 +3277,8 @@ exports.race = onRequest({ cors: true, timeoutSeconds: 540, memory: "512MiB", re
     }
 
     if (action === "confirm" && req.method === "POST") {
+      const auth = await authorizeAdminRequest(req, "members");
+      if (!auth.ok) return res.status(auth.status).json({ ok: false, error: auth.error });
       const {
         jobId, eventName, eventDate, source, sourceId, results, confirmSource, canonicalEventId,
       } = req.body || {};
@@ -2276,22 +3313,21 @@ exports.race = onRequest({ cors: true, timeoutSeconds: 540, memory: "512MiB", re
         batch.delete(doc.ref);
       });
 
+      // Doc ID 는 memberId 기준 (race-result-key.js) — 실명만 온 행은 실명·닉네임으로 회원을 찾는다
+      const memberIndex = await loadMemberKeyIndex();
+      const savedIds = [];
       for (const r of results) {
         const resolvedDate = eventDate || r.eventDate || "";
-        const safeDate = resolvedDate.replace(/[^0-9\-]/g, "");
-        const safeName = (r.memberRealName || "").replace(/[^a-zA-Z0-9가-힣]/g, "_");
         const distNorm = normalizeRaceDistance(r.distance);
-        const safeDist = (distNorm || "").replace(/[^a-zA-Z0-9]/g, "_");
-        const docId = `${safeName}_${safeDist}_${safeDate}`;
-        const ref = db.collection("race_results").doc(docId);
         const netEff = effectiveNetTimeForConfirm(r);
         const finishTrim = String(r.finishTime || "").trim();
-        const row = {
+        const { row, docId } = withRaceResultMemberKey({
           jobId: canonicalJobId,
           eventName: eventName || "",
           eventDate: resolvedDate,
           source: source || r.source || "",
           sourceId: sourceId || r.sourceId || "",
+          memberId: r.memberId || null,
           memberRealName: r.memberRealName,
           memberNickname: r.memberNickname,
           distance: distNorm,
@@ -2299,6 +3335,7 @@ exports.race = onRequest({ cors: true, timeoutSeconds: 540, memory: "512MiB", re
           gunTime: r.gunTime || "",
           bib: r.bib || "",
           overallRank: r.overallRank || null,
+          ...raceResultDetailFields(r),
           gender: r.gender || "",
           pbConfirmed: r.pbConfirmed || false,
           isGuest: r.isGuest || false,
@@ -2306,10 +3343,12 @@ exports.race = onRequest({ cors: true, timeoutSeconds: 540, memory: "512MiB", re
           status: r.dnStatus || "confirmed",
           confirmedAt: now,
           confirmSource: confirmSource || "operator",
-        };
+        }, memberIndex);
+        const ref = db.collection("race_results").doc(docId);
         if (!r.dnStatus && finishTrim && finishTrim !== "-") row.finishTime = finishTrim;
         if (canonicalEventId) row.canonicalEventId = String(canonicalEventId);
         batch.set(ref, row);
+        savedIds.push(docId);
       }
 
       const jobRef = db.collection("scrape_jobs").doc(canonicalJobId);
@@ -2342,10 +3381,20 @@ exports.race = onRequest({ cors: true, timeoutSeconds: 540, memory: "512MiB", re
       }
 
       await batch.commit();
-      return res.json({ ok: true, savedCount: results.length });
+      logRaceAdminEvent("record_confirm", {
+        actor: auth.username,
+        role: auth.role,
+        jobId: canonicalJobId,
+        confirmSource: confirmSource || "operator",
+        savedCount: savedIds.length,
+      });
+      const clubRecords = await tryRefreshClubRecords(savedIds);
+      return res.json({ ok: true, savedCount: results.length, newClubRecords: clubRecords.length });
     }
 
     if (action === "create-job" && req.method === "POST") {
+      const auth = await authorizeAdminRequest(req, "members");
+      if (!auth.ok) return res.status(auth.status).json({ ok: false, error: auth.error });
       const { eventName, eventDate, location } = req.body || {};
       if (!eventName) {
         return res.status(400).json({ ok: false, error: "eventName required" });
@@ -2377,6 +3426,7 @@ exports.race = onRequest({ cors: true, timeoutSeconds: 540, memory: "512MiB", re
         createdAt: now,
       });
       await batch.commit();
+      logRaceAdminEvent("manual_job_create", { actor: auth.username, role: auth.role, jobId: jobRef.id, canonicalEventId });
 
       return res.json({
         ok: true,
@@ -2388,9 +3438,11 @@ exports.race = onRequest({ cors: true, timeoutSeconds: 540, memory: "512MiB", re
     }
 
     if (action === "delete-record" && req.method === "POST") {
-      const { docId, requesterName } = req.body || {};
-      if (!docId || !requesterName) {
-        return res.status(400).json({ ok: false, error: "docId and requesterName required" });
+      const auth = await authorizeAdminRequest(req, "members");
+      if (!auth.ok) return res.status(auth.status).json({ ok: false, error: auth.error });
+      const { docId } = req.body || {};
+      if (!docId) {
+        return res.status(400).json({ ok: false, error: "docId required" });
       }
 
       const ref = db.collection("race_results").doc(docId);
@@ -2400,15 +3452,289 @@ exports.race = onRequest({ cors: true, timeoutSeconds: 540, memory: "512MiB", re
       }
 
       const data = doc.data();
-      if (data.memberRealName !== requesterName) {
-        return res.status(403).json({ ok: false, error: "본인 기록만 삭제할 수 있습니다." });
-      }
-
       await ref.delete();
+      logRaceAdminEvent("record_delete", {
+        actor: auth.username,
+        role: auth.role,
+        docId,
+        memberId: data.memberId || null,
+        jobId: data.jobId || "",
+      });
+      await tryRefreshClubRecords();
 
       return res.json({ ok: true, deletedDocId: docId });
     }
 
+    // ─── 확정 기록 운영진 수정 (revisions 이력) ──────────────
+    if (action === "list-records" && req.method === "GET") {
+      const auth = await authorizeAdminRequest(req, "members");
+      if (!auth.ok) return res.status(auth.status).json({ ok: false, error: auth.error });
+      const [resultsSnap, jobsSnap, exclSnap] = await Promise.all([
+        db.collection("race_results").get(),
+        db.collection("scrape_jobs").select().get(),
+        db.collection("club_record_exclusions").get(),
+      ]);
+      const jobIds = new Set(jobsSnap.docs.map((d) => d.id));
+      const exclusions = new Map(exclSnap.docs.map((d) => [d.id, d.data()]));
+      const records = raceResultGridRows(resultsSnap.docs.map((d) => ({ id: d.id, data: d.data() })), jobIds, exclusions);
+      return res.json({ ok: true, records, orphanCount: records.filter((r) => r.orphan).length });
+    }
+
+    if (action === "record-revisions" && req.method === "GET") {
+      const auth = await authorizeAdminRequest(req, "members");
+      if (!auth.ok) return res.status(auth.status).json({ ok: false, error: auth.error });
+      const docId = String(req.query.docId || "");
+      if (!docId) return res.status(400).json({ ok: false, error: "docId required" });
+      const snap = await db.collection("race_results").doc(docId).collection("revisions").orderBy("at", "desc").get();
+      return res.json({ ok: true, docId, revisions: snap.docs.map((d) => ({ id: d.id, ...d.data() })) });
+    }
+
+    // ─── 클럽 기록판 (club-records.js) ──────────────────────
+    if (action === "club-records" && req.method === "GET") {
+      const [boardDoc, annSnap, exclSnap] = await Promise.all([
+        db.collection("club_records").doc("board").get(),
+        db.collection("announcements").orderBy("createdAt", "desc").limit(30).get(),
+        db.collection("club_record_exclusions").get(),
+      ]);
+      const excluded = new Set(exclSnap.docs.map((d) => d.id));
+      // 처음 한 번은 기존 확정 기록으로 만든다 (이전 기록판이 없으므로 신기록 소식은 남지 않음)
+      if (!boardDoc.exists) await refreshClubRecords();
+      const board = boardDoc.exists ? boardDoc.data() : (await db.collection("club_records").doc("board").get()).data();
+      const announcements = annSnap.docs
+        .map((d) => ({ id: d.id, ...d.data() }))
+        .filter((a) => !(a.type === "club_record" && excluded.has(a.raceResultId)));
+      return res.json({ ok: true, board, announcements });
+    }
+
+    if ((action === "club-record-exclude" || action === "club-record-restore") && req.method === "POST") {
+      const auth = await authorizeAdminRequest(req, "members");
+      if (!auth.ok) return res.status(auth.status).json({ ok: false, error: auth.error });
+      const body = req.body || {};
+      if (!body.docId) return res.status(400).json({ ok: false, error: "docId required" });
+      const exclRef = db.collection("club_record_exclusions").doc(String(body.docId));
+      if (action === "club-record-restore") {
+        await exclRef.delete();
+      } else {
+        const reason = parseClubRecordExcludeReason(body.reason);
+        if (!reason.ok) return res.status(400).json({ ok: false, error: reason.error });
+        const doc = await db.collection("race_results").doc(String(body.docId)).get();
+        if (!doc.exists) return res.status(404).json({ ok: false, error: "record not found" });
+        const r = doc.data();
+        await exclRef.set({
+          reason: reason.reason,
+          actor: auth.username,
+          role: auth.role,
+          at: new Date().toISOString(),
+          memberNickname: r.memberNickname || "",
+          eventName: r.eventName || "",
+          distance: r.distance || "",
+          netTime: r.netTime || "",
+        });
+      }
+      await refreshClubRecords();
+      logRaceAdminEvent(action === "club-record-exclude" ? "club_record_exclude" : "club_record_restore", {
+        actor: auth.username,
+        role: auth.role,
+        docId: String(body.docId),
+      });
+      return res.json({ ok: true, docId: String(body.docId), excluded: action === "club-record-exclude" });
+    }
+
+    // ─── 올해의 달리기 (year-in-running.js) ──────────────────────
+    if (action === "year-in-running" && req.method === "GET") {
+      const year = String(req.query.year || "").trim();
+      const memberId = String(req.query.memberId || "").trim();
+      if (!isValidYear(year)) return res.status(400).json({ ok: false, error: "invalid year (YYYY)" });
+      if (!memberId) return res.status(400).json({ ok: false, error: "memberId required" });
+      const memberDoc = await db.collection("members").doc(memberId).get();
+      if (!memberDoc.exists || isAlreadyAnonymized(memberDoc.data())) {
+        return res.status(404).json({ ok: false, error: "member not found" });
+      }
+      const [attSnap, resultSnap, calendar, chunbaek] = await Promise.all([
+        db.collection(COLLECTION).where("memberId", "==", memberId).where("monthKey", "in", yearMonthKeys(year)).get(),
+        db.collection("race_results").where("memberId", "==", memberId).get(),
+        loadMeetingCalendar(),
+        loadYearChunbaek(memberId),
+      ]);
+      const summary = buildMemberYearSummary({
+        year,
+        member: { id: memberId, ...memberDoc.data() },
+        attendanceDocs: attSnap.docs.map((d) => d.data()),
+        raceResults: resultSnap.docs.map((d) => d.data()),
+        chunbaek,
+        calendar,
+      });
+      return res.json({ ok: true, summary });
+    }
+
+    if (action === "year-in-running-club" && req.method === "GET") {
+      const auth = await authorizeAdminRequest(req, "members");
+      if (!auth.ok) return res.status(auth.status).json({ ok: false, error: auth.error });
+      const year = String(req.query.year || "").trim();
+      if (!isValidYear(year)) return res.status(400).json({ ok: false, error: "invalid year (YYYY)" });
+      const [membersSnap, attSnap, resultSnap, chunbaekSnap, calendar, config, slots] = await Promise.all([
+        db.collection("members").get(),
+        db.collection(COLLECTION).where("monthKey", "in", yearMonthKeys(year)).get(),
+        db.collection("race_results").where("status", "==", "confirmed").get(),
+        db.collection("chunbaek_attendance").get(),
+        loadMeetingCalendar(),
+        loadSeasonConfig(db),
+        loadAllSlots(db),
+      ]);
+      const byMember = (snap) => {
+        const m = new Map();
+        snap.forEach((d) => {
+          const data = d.data();
+          if (!data.memberId) return;
+          if (!m.has(data.memberId)) m.set(data.memberId, []);
+          m.get(data.memberId).push(data);
+        });
+        return m;
+      };
+      const attByMember = byMember(attSnap);
+      const resultsByMember = byMember(resultSnap);
+      const chunbaekByMember = new Map();
+      chunbaekSnap.forEach((d) => {
+        const data = d.data();
+        if (!data.memberId) return;
+        if (!chunbaekByMember.has(data.memberId)) chunbaekByMember.set(data.memberId, {});
+        chunbaekByMember.get(data.memberId)[String(data.slotId)] = data;
+      });
+      const summaries = membersSnap.docs
+        .filter((d) => d.data().hidden !== true && !isAlreadyAnonymized(d.data()))
+        .map((d) =>
+          buildMemberYearSummary({
+            year,
+            member: { id: d.id, ...d.data() },
+            attendanceDocs: attByMember.get(d.id) || [],
+            raceResults: resultsByMember.get(d.id) || [],
+            chunbaek: { slots, config, attendanceMap: chunbaekByMember.get(d.id) || {} },
+            calendar,
+          })
+        );
+      const club = buildClubYearSummary(summaries);
+      return res.json({ ok: true, year, club, members: summaries.filter((s) => s.active) });
+    }
+
+    if (action === "update-record" && req.method === "POST") {
+      const auth = await authorizeAdminRequest(req, "members");
+      if (!auth.ok) return res.status(auth.status).json({ ok: false, error: auth.error });
+      const body = req.body || {};
+      if (!body.docId) return res.status(400).json({ ok: false, error: "docId required" });
+      const reason = parseEditReason(body.reason);
+      if (!reason.ok) return res.status(400).json({ ok: false, error: reason.error });
+
+      const ref = db.collection("race_results").doc(String(body.docId));
+      const doc = await ref.get();
+      if (!doc.exists) return res.status(404).json({ ok: false, error: "record not found" });
+      const before = doc.data();
+
+      let event = null;
+      const wantEventId = String(body.canonicalEventId || "").trim();
+      if (wantEventId) {
+        const evDoc = await db.collection("race_events").doc(wantEventId).get();
+        if (evDoc.exists) event = { id: evDoc.id, ...evDoc.data() };
+      }
+      const built = buildRaceResultUpdate(before, body, { event });
+      if (!built.ok) return res.status(400).json({ ok: false, error: built.error });
+
+      const now = new Date().toISOString();
+      // memberId 없는 이전 문서도 이참에 회원 키로 옮긴다
+      const keyed = withRaceResultMemberKey(built.next, await loadMemberKeyIndex());
+      const next = { ...keyed.row, editedAt: now, editedBy: auth.username };
+      const newId = keyed.docId;
+      const moved = newId !== doc.id;
+      const newRef = moved ? db.collection("race_results").doc(newId) : ref;
+      if (moved && (await newRef.get()).exists) {
+        return res.status(409).json({ ok: false, error: "RECORD_EXISTS", docId: newId });
+      }
+
+      const batch = db.batch();
+      batch.set(newRef, next);
+      if (moved) {
+        // 문서 ID 가 바뀌면 이력도 새 문서 밑으로 옮긴다
+        const oldRevs = await ref.collection("revisions").get();
+        oldRevs.forEach((r) => {
+          batch.set(newRef.collection("revisions").doc(r.id), r.data());
+          batch.delete(r.ref);
+        });
+        batch.delete(ref);
+        // 클럽 기록 제외 표시·신기록 소식도 따라간다
+        const exclRef = db.collection("club_record_exclusions").doc(doc.id);
+        const excl = await exclRef.get();
+        if (excl.exists) {
+          batch.set(db.collection("club_record_exclusions").doc(newId), excl.data());
+          batch.delete(exclRef);
+        }
+        const annSnap = await db.collection("announcements").where("raceResultId", "==", doc.id).get();
+        annSnap.forEach((a) => batch.update(a.ref, { raceResultId: newId }));
+      }
+      batch.set(
+        newRef.collection("revisions").doc(),
+        buildRevisionEntry({
+          before,
+          changed: built.changed,
+          actor: auth.username,
+          role: auth.role,
+          reason: reason.reason,
+          now,
+          movedFrom: moved ? doc.id : null,
+        })
+      );
+
+      // 같은 회원의 바뀐 거리(전·후) PB 재계산 — 직접 지정한 pbConfirmed 는 그대로
+      const memberSnap = await db.collection("race_results")
+        .where(next.memberId ? "memberId" : "memberRealName", "==", next.memberId || before.memberRealName || "")
+        .get();
+      const memberRecords = memberSnap.docs
+        .filter((d) => d.id !== doc.id && d.id !== newId)
+        .map((d) => ({ id: d.id, ...d.data() }));
+      memberRecords.push({ id: newId, ...next });
+      const pbUpdates = recomputePbFlags(memberRecords, {
+        distances: [...new Set([before.distance, next.distance])],
+        pinned: typeof body.pbConfirmed === "boolean" ? { [newId]: body.pbConfirmed } : {},
+      });
+      const byId = new Map(memberRecords.map((r) => [r.id, r]));
+      pbUpdates.forEach((u) => {
+        const r = byId.get(u.id);
+        if (u.id === newId) {
+          batch.update(newRef, { pbConfirmed: u.pbConfirmed });
+          return;
+        }
+        const { id, ...prev } = r;
+        const pbRef = db.collection("race_results").doc(u.id);
+        batch.update(pbRef, { pbConfirmed: u.pbConfirmed, editedAt: now, editedBy: auth.username });
+        batch.set(
+          pbRef.collection("revisions").doc(),
+          buildRevisionEntry({
+            before: prev,
+            changed: ["pbConfirmed"],
+            actor: auth.username,
+            role: auth.role,
+            reason: `PB 재계산 (${newId} 수정)`,
+            now,
+          })
+        );
+      });
+
+      await batch.commit();
+      await tryRefreshClubRecords();
+      logRaceAdminEvent("record_update", {
+        actor: auth.username,
+        role: auth.role,
+        docId: newId,
+        previousDocId: moved ? doc.id : "",
+        changed: built.changed,
+      });
+      return res.json({
+        ok: true,
+        docId: newId,
+        previousDocId: moved ? doc.id : null,
+        changed: built.changed,
+        pbUpdates: pbUpdates.map((u) => ({ docId: u.id, pbConfirmed: u.pbConfirmed })),
+      });
+    }
+
     if (action === "scrape" && req.method === "POST") {
       const {
         source, sourceId, eventName, eventDate, replaceJobId, resume, memberRealNames,
@@ -2422,7 +3748,7 @@ exports.race = onRequest({ cors: true, timeoutSeconds: 540, memory: "512MiB", re
       membersSnap.forEach((doc) => {
         const d = doc.data();
         if (d.hidden === true) return;
-        allMembers.push({ realName: d.realName, nickname: d.nickname, gender: d.gender || "" });
+        allMembers.push({ id: doc.id, realName: d.realName, nickname: d.nickname, gender: d.gender || "" });
       });
 
       let members = allMembers;
@@ -2473,24 +3799,12 @@ exports.race = onRequest({ cors: true, timeoutSeconds: 540, memory: "512MiB", re
         });
       }
 
-      const confirmedSnap = await db.collection("race_results").where("status", "==", "confirmed").get();
-      const confirmedResults = [];
-      confirmedSnap.forEach((doc) => confirmedResults.push(doc.data()));
-      const pbMap = scraper.buildPBMap(confirmedResults);
-
       const canonicalId = `${source}_${sourceId}`;
       const jobRef = db.collection("scrape_jobs").doc(replaceJobId || canonicalId);
 
       const partialRescrape = !!(replaceJobId
         && Array.isArray(memberRealNames)
         && memberRealNames.length > 0);
-      let previousResults = [];
-      if (partialRescrape) {
-        const prev = await jobRef.get();
-        if (prev.exists && Array.isArray(prev.data().results)) {
-          previousResults = prev.data().results;
-        }
-      }
 
       const now = new Date().toISOString();
 
@@ -2510,87 +3824,59 @@ exports.race = onRequest({ cors: true, timeoutSeconds: 540, memory: "512MiB", re
         }
       }
 
+      const active = await db.collection("scrape_tasks")
+        .where("jobId", "==", jobRef.id)
+        .where("status", "in", SCRAPE_TASK_ACTIVE)
+        .limit(1)
+        .get();
+      if (!active.empty) {
+        return res.status(409).json({
+          ok: false,
+          error: "이미 수집 대기·진행 중인 대회입니다.",
+          jobId: jobRef.id,
+          taskId: active.docs[0].id,
+          status: active.docs[0].data().status,
+        });
+      }
+
       const jobData = {
         source, sourceId,
         eventName: eventName || sourceId,
         eventDate: eventDate || "",
         status: "running",
         progress: { searched: 0, total: members.length, found: 0 },
-        results: [],
-        ...(isResume ? { resumedAt: now } : { createdAt: now, results: [] }),
         ...(replaceJobId ? { rescrapedAt: now } : {}),
       };
 
       if (isResume) {
         await jobRef.update({ status: "running", resumedAt: now });
+      } else if (partialRescrape) {
+        // 기존 results 는 남겨 두고 completeScrapeTask 에서 선택 회원만 교체
+        await jobRef.set(jobData, { merge: true });
       } else {
-        await jobRef.set(jobData);
+        await jobRef.set({ ...jobData, results: [], createdAt: now });
       }
 
-      const jobId = jobRef.id;
-
-      // 비동기로 스크래핑 (응답은 바로 반환하지 않고 완료까지 대기)
-      const result = await scraper.scrapeEvent({
-        source, sourceId, members, pbMap,
+      // 검색은 큐 워커가 — 응답은 바로, 진행은 ?action=job 으로 확인
+      const queued = await enqueueScrapeTask({
+        kind: "event",
+        jobId: jobRef.id,
+        source,
+        sourceId,
+        eventName,
+        eventDate,
+        members,
         // resume 시 이미 캐시된 회원 건너뜀 → 중단된 지점부터 재개 효과
         skipCached: isResume,
-        db,
-        serverTimestamp: FieldValue.serverTimestamp(),
-        onProgress: async (p) => {
-          await jobRef.update({ progress: p });
-        },
+        partialRescrape,
       });
 
-      let mergedResults = result.results;
-      if (partialRescrape) {
-        const sel = new Set(
-          memberRealNames.map((n) => String(n || "").trim()).filter(Boolean),
-        );
-        const kept = previousResults.filter((r) => r && !sel.has(r.memberRealName));
-        mergedResults = sortScrapeJobResults([...kept, ...result.results]);
-      }
-
-      const finalStatus = result.jobStatus || "complete";
-      await jobRef.update({
-        status: finalStatus,
-        eventName: result.eventName || eventName || sourceId,
-        eventDate: result.eventDate || eventDate || "",
-        results: mergedResults,
-        progress: {
-          searched: members.length,
-          total: members.length,
-          found: mergedResults.length,
-          failCount: result.failCount || 0,
-          failRate: result.failRate || 0,
-        },
-        completedAt: new Date().toISOString(),
-      });
-
-      // partial_failure 시 event_logs에 경고 기록
-      if (finalStatus === "partial_failure") {
-        await db.collection("event_logs").add({
-          type: "scrape_alert",
-          severity: "warning",
-          code: "partial_failure",
-          message: `스크래핑 실패율 ${result.failRate}% (${result.failCount}명 오류): ${result.eventName || sourceId}`,
-          jobId,
-          source,
-          sourceId,
-          timestamp: FieldValue.serverTimestamp(),
-        });
-      }
-
       return res.json({
         ok: true,
-        jobId,
-        eventName: result.eventName,
-        eventDate: result.eventDate,
-        foundCount: result.results.length,
-        mergedResultCount: mergedResults.length,
+        jobId: jobRef.id,
+        taskId: queued.taskId,
         partialRescrape,
-        failCount: result.failCount || 0,
-        failRate: result.failRate || 0,
-        status: finalStatus,
+        status: "queued",
       });
     }
 
@@ -2628,19 +3914,113 @@ exports.race = onRequest({ cors: true, timeoutSeconds: 540, memory: "512MiB", re
     }
 
     if (action === "verify-admin" && req.method === "POST") {
-      const { pw } = req.body || {};
-      const ownerPw = process.env.DMC_OWNER_PW;
-      const adminPw = process.env.DMC_ADMIN_PW || "dmc2008";
-      if (ownerPw && pw === ownerPw) {
-        return res.json({ ok: true, role: "owner" });
+      // 운영진 로그인 — body: { username, pw } → 서명 세션 토큰 (이후 Authorization: Bearer)
+      const { username, pw } = req.body || {};
+      const login = await loginAdmin(db, {
+        username,
+        password: pw,
+        nowMs: Date.now(),
+        secret: adminSessionSecret(),
+        ua: req.get("user-agent"),
+      });
+      if (!login.ok) {
+        logRaceAdminEvent("admin_login_failed", { username: normalizeUsername(username) });
+        return res.status(login.status).json({ ok: false, error: login.error });
+      }
+      logRaceAdminEvent("admin_login", { actor: login.account.username, role: login.account.role });
+      return res.json({
+        ok: true,
+        token: login.token,
+        expiresAt: login.expiresAt,
+        role: login.account.role,
+        account: login.account,
+      });
+    }
+
+    if (action === "admin-session") {
+      const auth = await authorizeAdminRequest(req, "");
+      if (!auth.ok) return res.status(auth.status).json({ ok: false, error: auth.error });
+      return res.json({
+        ok: true,
+        account: {
+          username: auth.username,
+          displayName: auth.displayName,
+          role: auth.role,
+          roleLabel: ADMIN_ROLE_LABEL[auth.role] || auth.role,
+          team: auth.team,
+        },
+      });
+    }
+
+    if (action === "admin-logout" && req.method === "POST") {
+      const auth = await authorizeAdminRequest(req, "");
+      if (!auth.ok) return res.status(auth.status).json({ ok: false, error: auth.error });
+      await revokeAdminSessions(db, { sessionId: auth.sessionId, revokedBy: auth.username });
+      logRaceAdminEvent("admin_logout", { actor: auth.username, role: auth.role });
+      return res.json({ ok: true });
+    }
+
+    if (action === "admin-accounts") {
+      const auth = await authorizeAdminRequest(req, "accounts");
+      if (!auth.ok) return res.status(auth.status).json({ ok: false, error: auth.error });
+      const snap = await db.collection(ADMIN_ACCOUNTS_COLLECTION).get();
+      const accounts = snap.docs
+        .map((d) => adminAccountSummary(d.id, d.data()))
+        .sort((a, b) => a.username.localeCompare(b.username));
+      return res.json({ ok: true, accounts });
+    }
+
+    if (action === "admin-account-save" && req.method === "POST") {
+      // body: { username, displayName, role, team, password?, disabled? } — 새 계정은 password 필수
+      const auth = await authorizeAdminRequest(req, "accounts");
+      if (!auth.ok) return res.status(auth.status).json({ ok: false, error: auth.error });
+      const ref = db.collection(ADMIN_ACCOUNTS_COLLECTION).doc(normalizeUsername((req.body || {}).username));
+      const existing = await ref.get();
+      const parsed = normalizeAdminAccountInput(req.body, { isNew: !existing.exists });
+      if (!parsed.ok) return res.status(400).json({ ok: false, error: parsed.error });
+      const { account, password } = parsed;
+      if (account.username === auth.username && (account.role !== "owner" || account.disabled)) {
+        return res.status(400).json({ ok: false, error: "cannot demote or disable own account" });
       }
-      if (pw === adminPw) {
-        return res.json({ ok: true, role: "operator" });
+      const nowIso = new Date().toISOString();
+      const payload = { ...account, updatedAt: nowIso, updatedBy: auth.username };
+      delete payload.username;
+      if (password) payload.passwordHash = hashAdminPassword(password);
+      if (!existing.exists) payload.createdAt = nowIso;
+      await ref.set(payload, { merge: true });
+      // 비밀번호·역할·정지 변경은 기존 세션을 끊어 새 권한으로 다시 로그인하게 한다
+      const prev = existing.exists ? existing.data() || {} : {};
+      let revoked = 0;
+      if (existing.exists && (password || prev.role !== account.role || prev.team !== account.team || account.disabled)) {
+        revoked = await revokeAdminSessions(db, { username: account.username, revokedBy: auth.username, nowIso });
       }
-      return res.status(401).json({ ok: false, error: "invalid password" });
+      logRaceAdminEvent("admin_account_save", {
+        actor: auth.username,
+        role: auth.role,
+        username: account.username,
+        accountRole: account.role,
+        created: !existing.exists,
+        passwordChanged: !!password,
+        disabled: account.disabled,
+        revokedSessions: revoked,
+      });
+      return res.json({ ok: true, account: adminAccountSummary(account.username, payload), revokedSessions: revoked });
+    }
+
+    if (action === "admin-account-revoke" && req.method === "POST") {
+      // body: { username } — 해당 계정의 활성 세션 전부 폐기 (강제 로그아웃)
+      const auth = await authorizeAdminRequest(req, "accounts");
+      if (!auth.ok) return res.status(auth.status).json({ ok: false, error: auth.error });
+      const username = normalizeUsername((req.body || {}).username);
+      if (!username) return res.status(400).json({ ok: false, error: "username required" });
+      const revoked = await revokeAdminSessions(db, { username, revokedBy: auth.username });
+      logRaceAdminEvent("admin_sessions_revoke", { actor: auth.username, role: auth.role, username, revoked });
+      return res.json({ ok: true, username, revoked });
     }
 
     if (action === "event-logs") {
+      const auth = await authorizeAdminRequest(req, "ops");
+      if (!auth.ok) return res.status(auth.status).json({ ok: false, error: auth.error });
       const limit = Math.min(parseInt(req.query.limit) || 100, 500);
       const snap = await db.collection("event_logs")
         .orderBy("timestamp", "desc")
@@ -2662,12 +4042,15 @@ exports.race = onRequest({ cors: true, timeoutSeconds: 540, memory: "512MiB", re
 
       rrSnap.forEach((doc) => {
         const d = doc.data();
-        const member = d.memberRealName || "";
-        const createTime = doc.createTime?.toDate?.()?.toISOString?.() || "";
+        // 회원 단위는 memberId (게스트는 회원 통계에서 제외). 시각은 confirmedAt 우선 — memberId 키 마이그레이션으로 문서가 다시 만들어져 createTime 이 바뀐다
+        const member = raceResultMemberKey(d);
+        const createTime = d.confirmedAt || doc.createTime?.toDate?.()?.toISOString?.() || "";
         const src = d.confirmSource || "other";
 
-        allConfirmedMembers.add(member);
-        if (createTime >= LAUNCH_DATE) postLaunchMembers.add(member);
+        if (!d.isGuest) {
+          allConfirmedMembers.add(member);
+          if (createTime >= LAUNCH_DATE) postLaunchMembers.add(member);
+        }
 
         if (src === "personal") confirmSourceCount.personal++;
         else if (src === "operator") confirmSourceCount.operator++;
@@ -2808,6 +4191,109 @@ exports.race = onRequest({ cors: true, timeoutSeconds: 540, memory: "512MiB", re
       return res.json({ ok: true, totalJobs: jobsSnap.size, totalResults: rrSnap.size, issues });
     }
 
+    if (action === "scrape-queue") {
+      const auth = await authorizeAdminRequest(req, "ops");
+      if (!auth.ok) return res.status(auth.status).json({ ok: false, error: auth.status === 403 ? "오너 권한 필요" : auth.error });
+      // 대기·진행 중 전부 + 최근 7일에 만든 태스크
+      const since = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString();
+      const [activeSnap, recentSnap] = await Promise.all([
+        db.collection("scrape_tasks").where("status", "in", SCRAPE_TASK_ACTIVE).get(),
+        db.collection("scrape_tasks").where("createdAt", ">=", since).get(),
+      ]);
+      const byId = new Map();
+      [...activeSnap.docs, ...recentSnap.docs].forEach((d) => byId.set(d.id, { id: d.id, data: d.data() }));
+      return res.json({ ok: true, ...summarizeScrapeQueue([...byId.values()], Date.now()) });
+    }
+
+    if (action === "scrape-rate-limits") {
+      const auth = await authorizeAdminRequest(req, "ops");
+      if (!auth.ok) return res.status(auth.status).json({ ok: false, error: auth.status === 403 ? "오너 권한 필요" : auth.error });
+      const snap = await db.collection("scrape_rate_limits").get();
+      const docs = snap.docs.map((d) => ({ id: d.id, data: d.data() }));
+      return res.json({ ok: true, sources: summarizeScrapeRateLimits(docs, listTimingSources(), Date.now()) });
+    }
+
+    if ((action === "scrape-queue-retry" || action === "scrape-queue-cancel") && req.method === "POST") {
+      const auth = await authorizeAdminRequest(req, "ops");
+      if (!auth.ok) return res.status(auth.status).json({ ok: false, error: auth.status === 403 ? "오너 권한 필요" : auth.error });
+      const taskId = String((req.body && req.body.taskId) || "").trim();
+      if (!taskId) return res.status(400).json({ ok: false, error: "taskId required" });
+      const retry = action === "scrape-queue-retry";
+      const ref = db.collection("scrape_tasks").doc(taskId);
+
+      if (retry) {
+        const current = await ref.get();
+        if (current.exists) {
+          const active = await db.collection("scrape_tasks")
+            .where("jobId", "==", current.data().jobId)
+            .where("status", "in", SCRAPE_TASK_ACTIVE)
+            .limit(1)
+            .get();
+          if (!active.empty) {
+            return res.status(409).json({ ok: false, error: "같은 잡의 다른 태스크가 대기·진행 중입니다", taskId: active.docs[0].id });
+          }
+        }
+      }
+
+      const task = await db.runTransaction(async (tx) => {
+        const snap = await tx.get(ref);
+        if (!snap.exists) return null;
+        const patch = retry
+          ? manualRetryScrapeTaskPatch(snap.data(), Date.now())
+          : cancelScrapeTaskPatch(snap.data(), Date.now());
+        if (!patch) return { ...snap.data(), unchanged: true };
+        tx.update(ref, patch);
+        return { ...snap.data(), ...patch };
+      });
+      if (!task) return res.status(404).json({ ok: false, error: "task not found" });
+      if (task.unchanged) {
+        return res.status(409).json({
+          ok: false,
+          error: retry ? "실패·취소된 태스크만 다시 시도할 수 있습니다" : "대기·진행 중인 태스크만 취소할 수 있습니다",
+          status: task.status,
+        });
+      }
+
+      if (retry) {
+        // 다음 scrapeQueueWorker 실행(1분 이내)에서 cursor 부터 이어서
+        await db.collection("scrape_jobs").doc(task.jobId).update({ status: "running", error: FieldValue.delete() });
+        if (task.kind === "group" && task.canonicalEventId) {
+          await db.collection("race_events").doc(task.canonicalEventId).update({ groupScrapeStatus: "running" });
+        }
+      } else {
+        await markScrapeTaskJobFailed(taskId, task);
+      }
+      logRaceAdminEvent(retry ? "scrape_task_retry" : "scrape_task_cancel", {
+        actor: auth.username, role: auth.role, taskId, jobId: task.jobId,
+      });
+      return res.json({ ok: true, taskId, jobId: task.jobId, status: task.status });
+    }
+
+    if (action === "search-cache-invalidate" && req.method === "POST") {
+      const auth = await authorizeAdminRequest(req, "ops");
+      if (!auth.ok) return res.status(auth.status).json({ ok: false, error: auth.status === 403 ? "오너 권한 필요" : auth.error });
+      const body = req.body || {};
+      const source = String(body.source || "").trim();
+      const sourceId = String(body.sourceId || "").trim();
+      const outdatedOnly = body.outdatedOnly === true;
+      if (!source) return res.status(400).json({ ok: false, error: "source required" });
+      if (!getTimingSource(source)) return res.status(400).json({ ok: false, error: `unknown source: ${source}` });
+      const filter = { source, sourceId, outdatedOnly, parserVersion: timingSourceParserVersion(source) };
+
+      // sourceId 는 예전 항목에 숫자로 남은 것도 있어 소스 단위로 읽고 걸러낸다
+      const snap = await db.collection("search_cache").where("source", "==", source).get();
+      const targets = snap.docs.filter((d) => matchesSearchCacheInvalidation(d.data(), filter));
+      for (let i = 0; i < targets.length; i += 400) {
+        const batch = db.batch();
+        targets.slice(i, i + 400).forEach((d) => batch.delete(d.ref));
+        await batch.commit();
+      }
+      logRaceAdminEvent("search_cache_invalidate", {
+        actor: auth.username, role: auth.role, source, sourceId, outdatedOnly, deleted: targets.length,
+      });
+      return res.json({ ok: true, source, sourceId, outdatedOnly, parserVersion: filter.parserVersion, deleted: targets.length });
+    }
+
     if (action === "ops-scrape-health") {
       const sevenDaysAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString();
 
@@ -2817,43 +4303,13 @@ exports.race = onRequest({ cors: true, timeoutSeconds: 540, memory: "512MiB", re
         .where("createdAt", ">=", sevenDaysAgo)
         .get();
 
-      let totalJobs = 0;
-      let successJobs = 0;
-      let failedJobs = 0;
-      const bySource = {
-        smartchip: { total: 0, success: 0 },
-        myresult: { total: 0, success: 0 },
-        spct: { total: 0, success: 0 },
-        marazone: { total: 0, success: 0 },
-        manual: { total: 0, success: 0 },
-      };
-
-      recentJobsSnap.forEach((doc) => {
-        const d = doc.data();
-        const status = d.status;
-        const source = d.source || "unknown";
-
-        if (status === "queued") return; // 대기중은 제외
-
-        totalJobs++;
-        const isSuccess = status === "complete" || status === "confirmed";
-        if (isSuccess) successJobs++;
-        if (status === "failed") failedJobs++;
-
-        if (bySource[source]) {
-          bySource[source].total++;
-          if (isSuccess) bySource[source].success++;
-        }
-      });
-
-      const overallRate = totalJobs > 0 ? Math.round((successJobs / totalJobs) * 100) : 0;
-
-      // bySource rate 계산
-      for (const src in bySource) {
-        if (src === "manual") continue;
-        const s = bySource[src];
-        s.rate = s.total > 0 ? Math.round((s.success / s.total) * 100) : 0;
-      }
+      // 등록된 타이밍 소스 + 수동 입력(manual, 성공률 표시 안 함)
+      const health = scrapeJobHealthBySource(
+        recentJobsSnap.docs.map((doc) => doc.data()),
+        [...timingSourceIds(), "manual"]
+      );
+      const { bySource } = health;
+      delete bySource.manual.rate;
 
       // Stale jobs: status=complete + completedAt 3일 이상
       const threeDaysAgo = new Date(Date.now() - 3 * 24 * 60 * 60 * 1000).toISOString();
@@ -2909,12 +4365,12 @@ exports.race = onRequest({ cors: true, timeoutSeconds: 540, memory: "512MiB", re
         ok: true,
         period: { start: sevenDaysAgo, end: new Date().toISOString() },
         overall: {
-          total: totalJobs,
-          success: successJobs,
-          failed: failedJobs,
+          total: health.total,
+          success: health.success,
+          failed: health.failed,
           stale: staleJobs.length,
           stuck: stuckJobs.length,
-          rate: overallRate,
+          rate: health.rate,
         },
         bySource,
         upcomingWeekend,
@@ -2922,6 +4378,42 @@ exports.race = onRequest({ cors: true, timeoutSeconds: 540, memory: "512MiB", re
       });
     }
 
+    if (action === "ops-timing-sources") {
+      // 등록된 타이밍 소스 어댑터 + 최근 7일 잡 성공률. probe=1 이면 소스별 연결 점검(8초 제한)
+      const sevenDaysAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString();
+      const recentJobsSnap = await db.collection("scrape_jobs").where("createdAt", ">=", sevenDaysAgo).get();
+      const { bySource } = scrapeJobHealthBySource(recentJobsSnap.docs.map((doc) => doc.data()));
+
+      const probe = req.query.probe === "1" || req.query.probe === "true";
+      const probeSource = async (adapter) => {
+        if (!adapter.health) return null;
+        const start = Date.now();
+        try {
+          const resp = await fetch(adapter.health.url, {
+            signal: AbortSignal.timeout(8000),
+            headers: {
+              "User-Agent": "Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1",
+              Accept: "text/html,application/json,*/*",
+              ...(adapter.health.referer ? { Referer: adapter.health.referer } : {}),
+            },
+          });
+          await resp.arrayBuffer();
+          return { ok: resp.ok, status: resp.status, durationMs: Date.now() - start };
+        } catch (e) {
+          return { ok: false, error: e.message, durationMs: Date.now() - start };
+        }
+      };
+
+      const sources = await Promise.all(
+        listTimingSources().map(async (adapter) => ({
+          ...describeTimingSource(adapter),
+          jobs: bySource[adapter.id],
+          probe: probe ? await probeSource(adapter) : null,
+        }))
+      );
+      return res.json({ ok: true, period: { start: sevenDaysAgo, end: new Date().toISOString() }, sources });
+    }
+
     if (action === "ops-gorunning-events") {
       const forceRefresh = req.query.forceRefresh === "true";
       
@@ -3063,14 +4555,11 @@ exports.race = onRequest({ cors: true, timeoutSeconds: 540, memory: "512MiB", re
 
     if (action === "clear-gorunning-cache" && req.method === "POST") {
       // 고러닝 캐시 무효화 (테스트용)
-      const { secret } = req.body || {};
-      
-      const expectedSecret = process.env.ADMIN_SECRET || "dmc-admin-2026";
-      if (secret !== expectedSecret) {
-        return res.status(403).json({ ok: false, error: "forbidden" });
-      }
+      const auth = await authorizeAdminRequest(req, "ops");
+      if (!auth.ok) return res.status(auth.status).json({ ok: false, error: auth.status === 403 ? "오너 권한 필요" : auth.error });
 
       await db.collection("ops_meta").doc("last_gorunning_crawl").delete();
+      logRaceAdminEvent("gorunning_cache_clear", { actor: auth.username, role: auth.role });
       return res.json({ ok: true, message: "캐시 삭제됨. 다음 ops-gorunning-events 호출 시 재크롤링됩니다." });
     }
 
@@ -3119,15 +4608,11 @@ exports.race = onRequest({ cors: true, timeoutSeconds: 540, memory: "512MiB", re
       const confirmedSnap = await db.collection("race_results")
         .where("canonicalEventId", "==", canonicalEventId)
         .get();
-      const confirmedByName = {};
-      confirmedSnap.forEach((doc) => {
-        const d = doc.data();
-        confirmedByName[d.memberRealName] = d;
-      });
+      const findConfirmed = confirmedResultLookup(confirmedSnap, false);
 
       const gap = participants.map((p) => {
         // 이미 확정된 기록이 있으면 scrape 결과보다 우선
-        const confirmed = confirmedByName[p.realName];
+        const confirmed = findConfirmed(p);
         if (confirmed) {
           return { ...p, gapStatus: "ok", confirmed: true, result: confirmed };
         }
@@ -3145,6 +4630,8 @@ exports.race = onRequest({ cors: true, timeoutSeconds: 540, memory: "512MiB", re
     }
 
     if (action === "group-events" && req.method === "POST" && req.body && req.body.subAction === "promote") {
+      const auth = await authorizeAdminRequest(req, "members");
+      if (!auth.ok) return res.status(auth.status).json({ ok: false, error: auth.error });
       const { gorunningId, eventName, eventDate } = req.body;
       if (!gorunningId || !eventName || !eventDate) {
         return res.status(400).json({ ok: false, error: "gorunningId, eventName, eventDate required" });
@@ -3165,12 +4652,16 @@ exports.race = onRequest({ cors: true, timeoutSeconds: 540, memory: "512MiB", re
         groupScrapeTriggeredAt: null,
         gorunningId,
         promotedAt: new Date().toISOString(),
+        promotedBy: auth.username,
       }, { merge: true });
+      logRaceAdminEvent("group_event_promote", { actor: auth.username, role: auth.role, canonicalEventId, gorunningId });
 
       return res.json({ ok: true, canonicalEventId });
     }
 
     if (action === "group-events" && req.method === "POST" && req.body && req.body.subAction === "participants") {
+      const auth = await authorizeAdminRequest(req, "members");
+      if (!auth.ok) return res.status(auth.status).json({ ok: false, error: auth.error });
       const { canonicalEventId, participants } = req.body;
       if (!canonicalEventId || !Array.isArray(participants)) {
         return res.status(400).json({ ok: false, error: "canonicalEventId and participants[] required" });
@@ -3183,34 +4674,125 @@ exports.race = onRequest({ cors: true, timeoutSeconds: 540, memory: "512MiB", re
         return res.status(400).json({ ok: false, error: `유효하지 않은 memberId: ${invalid.join(", ")}` });
       }
 
-      await db.collection("race_events").doc(canonicalEventId).update({ participants });
+      // 회원이 직접 넣은 거리·배번·카풀은 유지
+      const ref = db.collection("race_events").doc(canonicalEventId);
+      await db.runTransaction(async (tx) => {
+        const snap = await tx.get(ref);
+        const merged = mergeOperatorParticipants(snap.exists ? snap.data().participants : [], participants);
+        tx.update(ref, { participants: merged, carpool: { ...matchCarpools(merged), updatedAt: new Date().toISOString() } });
+      });
+      logRaceAdminEvent("group_event_participants", {
+        actor: auth.username,
+        role: auth.role,
+        canonicalEventId,
+        count: participants.length,
+      });
       return res.json({ ok: true });
     }
 
-    if (action === "group-events" && req.method === "POST" && req.body && req.body.subAction === "source") {
-      const { ownerPw, canonicalEventId, source, sourceId } = req.body;
-
-      const expectedOwnerPw = process.env.DMC_OWNER_PW;
-      if (!expectedOwnerPw || ownerPw !== expectedOwnerPw) {
-        return res.status(403).json({ ok: false, error: "오너 권한 필요" });
+    // ─── 참가 신청 (group-registration.js) — 회원 공개 페이지 group-register.html ──────────────
+    if (
+      action === "group-events" &&
+      req.method === "POST" &&
+      req.body &&
+      (req.body.subAction === "register" || req.body.subAction === "unregister")
+    ) {
+      const body = req.body;
+      const { canonicalEventId } = body;
+      if (!canonicalEventId) return res.status(400).json({ ok: false, error: "canonicalEventId required" });
+      const parsed =
+        body.subAction === "register"
+          ? parseGroupRegistration(body)
+          : body.memberId
+            ? { ok: true, value: { memberId: String(body.memberId).trim() } }
+            : { ok: false, error: "MEMBER_REQUIRED" };
+      if (!parsed.ok) return res.status(400).json({ ok: false, error: parsed.error });
+      const reg = parsed.value;
+
+      const memberDoc = await db.collection("members").doc(reg.memberId).get();
+      if (!memberDoc.exists || memberDoc.data().hidden === true) {
+        return res.status(404).json({ ok: false, error: "member not found" });
+      }
+      const member = { id: memberDoc.id, ...memberDoc.data() };
+      const ref = db.collection("race_events").doc(canonicalEventId);
+      const now = new Date().toISOString();
+      const todayIso = kstTodayKey().replace(/\//g, "-");
+
+      const outcome = await db.runTransaction(async (tx) => {
+        const snap = await tx.get(ref);
+        if (!snap.exists || snap.data().isGroupEvent !== true) return { status: 404, error: "대회 없음" };
+        const event = snap.data();
+        const state = groupRegistrationState(event, todayIso);
+        if (!state.open) return { status: 409, error: "REGISTRATION_CLOSED", reason: state.reason };
+
+        let next;
+        let created = false;
+        if (body.subAction === "register") {
+          const conflict = findBibConflict(event.participants, member.id, reg.bib);
+          if (conflict) return { status: 409, error: "BIB_TAKEN", nickname: conflict.nickname || "" };
+          ({ participants: next, created } = applyGroupRegistration(event.participants, member, reg, now));
+        } else {
+          // 공개 경로 — 회원이 직접 신청한 항목만 지운다 (운영진이 넣은 참가자는 subAction=participants)
+          const removed = removeGroupRegistration(event.participants, member.id);
+          if (removed.error === "OPERATOR_ADDED") return { status: 403, error: "OPERATOR_ADDED" };
+          if (!removed.removed) return { status: 404, error: "not a participant" };
+          next = removed.participants;
+        }
+        const carpool = { ...matchCarpools(next), updatedAt: now };
+        tx.update(ref, { participants: next, carpool });
+        return { ok: true, created, participants: next, carpool };
+      });
+      if (!outcome.ok) {
+        const { status, ...rest } = outcome;
+        return res.status(status).json({ ok: false, ...rest });
       }
+      logRaceAdminEvent(body.subAction === "register" ? "group_event_register" : "group_event_unregister", {
+        canonicalEventId,
+        memberId: member.id,
+        created: outcome.created,
+      });
+      return res.json({ ok: true, created: outcome.created, participants: outcome.participants, carpool: outcome.carpool });
+    }
+
+    if (action === "group-events" && req.method === "POST" && req.body && req.body.subAction === "registration-settings") {
+      const auth = await authorizeAdminRequest(req, "members");
+      if (!auth.ok) return res.status(auth.status).json({ ok: false, error: auth.error });
+      const { canonicalEventId, registrationCutoff, registrationLocked } = req.body;
+      if (!canonicalEventId) return res.status(400).json({ ok: false, error: "canonicalEventId required" });
+      const ref = db.collection("race_events").doc(canonicalEventId);
+      const eventDoc = await ref.get();
+      if (!eventDoc.exists) return res.status(404).json({ ok: false, error: "대회 없음" });
+      const cutoff = parseRegistrationCutoff(registrationCutoff, eventDoc.data().eventDate);
+      if (!cutoff.ok) return res.status(400).json({ ok: false, error: cutoff.error });
+      const patch = { registrationCutoff: cutoff.cutoff, registrationLocked: registrationLocked === true };
+      await ref.update(patch);
+      logRaceAdminEvent("group_event_registration_settings", { actor: auth.username, role: auth.role, canonicalEventId, ...patch });
+      return res.json({
+        ok: true,
+        ...patch,
+        registration: groupRegistrationState({ ...eventDoc.data(), ...patch }, kstTodayKey().replace(/\//g, "-")),
+      });
+    }
+
+    if (action === "group-events" && req.method === "POST" && req.body && req.body.subAction === "source") {
+      const auth = await authorizeAdminRequest(req, "ops");
+      if (!auth.ok) return res.status(auth.status).json({ ok: false, error: auth.status === 403 ? "오너 권한 필요" : auth.error });
+      const { canonicalEventId, source, sourceId } = req.body;
       if (!canonicalEventId || !source || !sourceId) {
         return res.status(400).json({ ok: false, error: "canonicalEventId, source, sourceId required" });
       }
 
       await db.collection("race_events").doc(canonicalEventId).update({
-        groupSource: { source, sourceId },
+        groupSource: { source, sourceId, updatedBy: auth.username },
       });
+      logRaceAdminEvent("group_event_source", { actor: auth.username, role: auth.role, canonicalEventId, source, sourceId });
       return res.json({ ok: true });
     }
 
     if (action === "group-events" && req.method === "POST" && req.body && req.body.subAction === "scrape") {
-      const { ownerPw, canonicalEventId } = req.body;
-
-      const expectedOwnerPw = process.env.DMC_OWNER_PW;
-      if (!expectedOwnerPw || ownerPw !== expectedOwnerPw) {
-        return res.status(403).json({ ok: false, error: "오너 권한 필요" });
-      }
+      const auth = await authorizeAdminRequest(req, "ops");
+      if (!auth.ok) return res.status(auth.status).json({ ok: false, error: auth.status === 403 ? "오너 권한 필요" : auth.error });
+      const { canonicalEventId } = req.body;
 
       const eventDoc = await db.collection("race_events").doc(canonicalEventId).get();
       if (!eventDoc.exists) return res.status(404).json({ ok: false, error: "대회 없음" });
@@ -3227,28 +4809,19 @@ exports.race = onRequest({ cors: true, timeoutSeconds: 540, memory: "512MiB", re
         return res.status(400).json({ ok: false, error: "이미 스크랩이 진행 중입니다" });
       }
 
-      const { source: src, sourceId: sid } = eventRow.groupSource;
-      const memberRealNames = eventRow.participants.map((p) => p.realName);
-
-      await db.collection("race_events").doc(canonicalEventId).update({
-        groupScrapeStatus: "running",
-        groupScrapeTriggeredAt: new Date().toISOString(),
-      });
-
-      triggerGroupScrape({
-        canonicalEventId,
-        source: src,
-        sourceId: sid,
-        memberRealNames,
-        event: eventRow,
-        db,
-        scraper,
-      }).catch((err) => console.error("[group-events scrape]", err));
+      let queued;
+      try {
+        queued = await enqueueGroupScrape({ canonicalEventId, event: eventRow, enqueuedBy: auth.username });
+      } catch (err) {
+        return res.status(400).json({ ok: false, error: err.message });
+      }
 
-      return res.json({ ok: true, message: "스크랩 시작됨" });
+      return res.json({ ok: true, message: "스크랩 대기열에 등록됨", jobId: queued.jobId, taskId: queued.taskId });
     }
 
     if (action === "group-events" && req.method === "POST" && req.body && req.body.subAction === "confirm-one") {
+      const auth = await authorizeAdminRequest(req, "members");
+      if (!auth.ok) return res.status(auth.status).json({ ok: false, error: auth.error });
       const { canonicalEventId, participant, confirmSource: cs } = req.body;
       if (!canonicalEventId || !participant || !participant.realName) {
         return res.status(400).json({ ok: false, error: "canonicalEventId and participant.realName required" });
@@ -3260,23 +4833,18 @@ exports.race = onRequest({ cors: true, timeoutSeconds: 540, memory: "512MiB", re
 
       const now = new Date().toISOString();
       const resolvedDate = ev.eventDate || "";
-      const safeDate = resolvedDate.replace(/[^0-9\-]/g, "");
-      const safeName = (participant.realName || "").replace(/[^a-zA-Z0-9가-힣]/g, "_");
       const distNorm = normalizeRaceDistance(participant.distance);
-      const safeDist = (distNorm || "").replace(/[^a-zA-Z0-9]/g, "_");
-      const docId = `${safeName}_${safeDist}_${safeDate}`;
-      const ref = db.collection("race_results").doc(docId);
-
       const finishTrim = String(participant.finishTime || "").trim();
       const netEff = effectiveNetTimeForConfirm(participant);
 
-      const row = {
+      const { row, docId } = withRaceResultMemberKey({
         jobId: ev.groupScrapeJobId || canonicalEventId,
         canonicalEventId,
         eventName: ev.eventName || "",
         eventDate: resolvedDate,
         source: ev.groupSource?.source || "manual",
         sourceId: ev.groupSource?.sourceId || "",
+        memberId: participant.memberId || null,
         memberRealName: participant.realName,
         memberNickname: participant.nickname || participant.realName,
         distance: distNorm,
@@ -3284,6 +4852,7 @@ exports.race = onRequest({ cors: true, timeoutSeconds: 540, memory: "512MiB", re
         gunTime: participant.gunTime || "",
         bib: participant.bib || "",
         overallRank: participant.overallRank || null,
+        ...raceResultDetailFields(participant),
         gender: participant.gender || "",
         pbConfirmed: participant.pbConfirmed != null ? participant.pbConfirmed : false,
         isGuest: false,
@@ -3291,14 +4860,18 @@ exports.race = onRequest({ cors: true, timeoutSeconds: 540, memory: "512MiB", re
         status: participant.dnStatus ? participant.dnStatus.toLowerCase() : "confirmed",
         confirmedAt: now,
         confirmSource: cs || "operator",
-      };
+      }, await loadMemberKeyIndex());
       if (!participant.dnStatus && finishTrim && finishTrim !== "-") row.finishTime = finishTrim;
 
-      await ref.set(row);
-      return res.json({ ok: true, docId });
+      await db.collection("race_results").doc(docId).set(row);
+      logRaceAdminEvent("group_event_confirm_one", { actor: auth.username, role: auth.role, canonicalEventId, docId });
+      const clubRecords = await tryRefreshClubRecords([docId]);
+      return res.json({ ok: true, docId, newClubRecords: clubRecords.length });
     }
 
     if (action === "group-events" && req.method === "POST" && req.body && req.body.subAction === "delete") {
+      const auth = await authorizeAdminRequest(req, "members");
+      if (!auth.ok) return res.status(auth.status).json({ ok: false, error: auth.error });
       const { canonicalEventId } = req.body;
       if (!canonicalEventId) {
         return res.status(400).json({ ok: false, error: "canonicalEventId required" });
@@ -3310,6 +4883,7 @@ exports.race = onRequest({ cors: true, timeoutSeconds: 540, memory: "512MiB", re
       }
 
       await db.collection("race_events").doc(canonicalEventId).delete();
+      logRaceAdminEvent("group_event_delete", { actor: auth.username, role: auth.role, canonicalEventId });
       return res.json({ ok: true, message: "대회가 삭제되었습니다" });
     }
 
@@ -3329,13 +4903,7 @@ exports.race = onRequest({ cors: true, timeoutSeconds: 540, memory: "512MiB", re
       const confirmedSnap = await db.collection("race_results")
         .where("canonicalEventId", "==", eventId)
         .get();
-      const confirmedByName = {};
-      confirmedSnap.forEach((doc) => {
-        const d = doc.data();
-        const normDist = normalizeRaceDistance(d.distance);
-        const key = `${d.memberRealName}_${normDist}`;
-        confirmedByName[key] = d;
-      });
+      const findConfirmed = confirmedResultLookup(confirmedSnap, true);
 
       let gap = [];
       if (event.groupScrapeJobId) {
@@ -3351,10 +4919,9 @@ exports.race = onRequest({ cors: true, timeoutSeconds: 540, memory: "512MiB", re
         gap = (event.participants || []).map((p) => {
           const matches = resultsByName[p.realName] || [];
 
-          const normDist = normalizeRaceDistance(p.distance);
-          const key = `${p.realName}_${normDist}`;
-          if (confirmedByName[key]) {
-            return { ...p, gapStatus: "confirmed", confirmedResult: confirmedByName[key] };
+          const confirmedResult = findConfirmed(p);
+          if (confirmedResult) {
+            return { ...p, gapStatus: "confirmed", confirmedResult };
           } else if (matches.length === 1) {
             return { ...p, gapStatus: "ok", result: matches[0] };
           } else if (matches.length > 1) {
@@ -3364,13 +4931,12 @@ exports.race = onRequest({ cors: true, timeoutSeconds: 540, memory: "512MiB", re
         });
       } else {
         gap = (event.participants || []).map((p, idx) => {
-          const normDist = normalizeRaceDistance(p.distance);
-          const key = `${p.realName}_${normDist}`;
+          const confirmedResult = findConfirmed(p);
           return {
             ...p,
             memberId: p.memberId || `temp-${idx}`,
-            gapStatus: confirmedByName[key] ? "confirmed" : "missing",
-            confirmedResult: confirmedByName[key] || null,
+            gapStatus: confirmedResult ? "confirmed" : "missing",
+            confirmedResult: confirmedResult || null,
             result: null,
             candidates: [],
             confirmed: false,
@@ -3382,10 +4948,13 @@ exports.race = onRequest({ cors: true, timeoutSeconds: 540, memory: "512MiB", re
       const stats = null;
       // stats 계산 생략 (Phase 2)
 
-      return res.json({ ok: true, event, gap, confirmedCount, stats });
+      const registration = groupRegistrationState(event, kstTodayKey().replace(/\//g, "-"));
+      return res.json({ ok: true, event, gap, confirmedCount, stats, registration });
     }
 
     if (action === "group-events" && req.method === "POST" && req.body && req.body.subAction === "bulk-confirm") {
+      const auth = await authorizeAdminRequest(req, "members");
+      if (!auth.ok) return res.status(auth.status).json({ ok: false, error: auth.error });
       const { eventId, confirmSource, results } = req.body;
 
       if (!eventId || !Array.isArray(results) || results.length === 0) {
@@ -3423,6 +4992,8 @@ exports.race = onRequest({ cors: true, timeoutSeconds: 540, memory: "512MiB", re
 
       console.log(`[bulk-confirm] 기존 기록 삭제 완료: ${oldDocs.length}건`);
 
+      const memberIndex = await loadMemberKeyIndex();
+      const savedIds = [];
       for (let i = 0; i < results.length; i += BATCH_SIZE) {
         const batch = db.batch();
         const chunk = results.slice(i, i + BATCH_SIZE);
@@ -3436,21 +5007,17 @@ exports.race = onRequest({ cors: true, timeoutSeconds: 540, memory: "512MiB", re
               continue;
             }
 
-            const safeDate = (event.eventDate || "").replace(/[^0-9\-]/g, "");
-            const safeName = realName.replace(/[^a-zA-Z0-9가-힣]/g, "_");
             const distNorm = normalizeRaceDistance(distance);
-            const safeDist = (distNorm || "").replace(/[^a-zA-Z0-9]/g, "_");
-            const docId = `${safeName}_${safeDist}_${safeDate}`;
-
             const finishTrim = String(finishTime || "").trim();
             const netEff = effectiveNetTimeForConfirm(participant);
-            const row = {
+            const { row, docId } = withRaceResultMemberKey({
               jobId: event.groupScrapeJobId || eventId,
               canonicalEventId: eventId,
               eventName: event.eventName || "",
               eventDate: event.eventDate || "",
               source: event.groupSource?.source || "manual",
               sourceId: event.groupSource?.sourceId || "",
+              memberId: participant.memberId || null,
               memberRealName: realName,
               memberNickname: nickname || realName,
               distance: distNorm,
@@ -3458,6 +5025,7 @@ exports.race = onRequest({ cors: true, timeoutSeconds: 540, memory: "512MiB", re
               gunTime: participant.gunTime || "",
               bib: participant.bib || "",
               overallRank: participant.overallRank || null,
+              ...raceResultDetailFields(participant),
               gender: participant.gender || "",
               pbConfirmed: false,
               isGuest: false,
@@ -3465,10 +5033,11 @@ exports.race = onRequest({ cors: true, timeoutSeconds: 540, memory: "512MiB", re
               status: dnStatus ? dnStatus.toLowerCase() : "confirmed",
               confirmedAt: new Date().toISOString(),
               confirmSource: confirmSource || "operator",
-            };
+            }, memberIndex);
             if (!dnStatus && finishTrim && finishTrim !== "-") row.finishTime = finishTrim;
 
             batch.set(db.collection("race_results").doc(docId), row);
+            savedIds.push(docId);
             pendingWrites++;
             saved++;
           } catch (err) {
@@ -3480,6 +5049,7 @@ exports.race = onRequest({ cors: true, timeoutSeconds: 540, memory: "512MiB", re
           await batch.commit();
         }
       }
+      const clubRecords = savedIds.length ? await tryRefreshClubRecords(savedIds) : [];
 
       const jobRef = event.groupScrapeJobId
         ? db.collection("scrape_jobs").doc(event.groupScrapeJobId)
@@ -3515,10 +5085,13 @@ exports.race = onRequest({ cors: true, timeoutSeconds: 540, memory: "512MiB", re
         });
       }
 
-      return res.json({ ok: true, saved });
+      logRaceAdminEvent("group_event_bulk_confirm", { actor: auth.username, role: auth.role, eventId, saved });
+      return res.json({ ok: true, saved, newClubRecords: clubRecords.length });
     }
 
     if (action === "group-events" && req.method === "POST" && req.body && req.body.subAction === "update-bib") {
+      const auth = await authorizeAdminRequest(req, "members");
+      if (!auth.ok) return res.status(auth.status).json({ ok: false, error: auth.error });
       const { eventId, nickname, bib } = req.body;
       
       // 1. 필수 파라미터 검증
@@ -3577,6 +5150,7 @@ exports.race = onRequest({ cors: true, timeoutSeconds: 540, memory: "512MiB", re
         await db.collection("race_events").doc(eventId).update({
           participants: event.participants
         });
+        logRaceAdminEvent("group_event_bib", { actor: auth.username, role: auth.role, eventId, nickname });
         
         // 6. 성공 응답
         return res.json({ 
@@ -3595,13 +5169,9 @@ exports.race = onRequest({ cors: true, timeoutSeconds: 540, memory: "512MiB", re
 
     if (action === "fix-phantom-jobs" && req.method === "POST") {
       // Phantom Jobs 일괄 다운그레이드 (confirmed → complete)
-      const { jobIds, secret } = req.body || {};
-      
-      // 간단한 시크릿 체크 (옵션)
-      const expectedSecret = process.env.ADMIN_SECRET || "dmc-admin-2026";
-      if (secret !== expectedSecret) {
-        return res.status(403).json({ ok: false, error: "forbidden" });
-      }
+      const auth = await authorizeAdminRequest(req, "ops");
+      if (!auth.ok) return res.status(auth.status).json({ ok: false, error: auth.status === 403 ? "오너 권한 필요" : auth.error });
+      const { jobIds } = req.body || {};
 
       if (!Array.isArray(jobIds) || jobIds.length === 0) {
         return res.status(400).json({ ok: false, error: "jobIds required" });
@@ -3636,6 +5206,7 @@ exports.race = onRequest({ cors: true, timeoutSeconds: 540, memory: "512MiB", re
       if (updated.length > 0) {
         await batch.commit();
       }
+      logRaceAdminEvent("phantom_jobs_fix", { actor: auth.username, role: auth.role, updated: updated.map((u) => u.jobId) });
 
       return res.json({
         ok: true,
@@ -3670,9 +5241,10 @@ exports.race = onRequest({ cors: true, timeoutSeconds: 540, memory: "512MiB", re
 // ==================== Attendance ====================
 
 /**
- * SmartChip 프록시 API (개발자 전용)
- * 로컬 IP가 SmartChip에 차단된 경우 Cloud Functions IP로 우회
+ * 스크래핑 프록시 API (개발자 전용)
+ * 로컬 IP가 SmartChip 등에 차단된 경우 Cloud Functions IP로 우회
  * GET /scrapeProxy?secret=XXX&source=smartchip&sourceId=202650000016&name=임기빈
+ * GET /scrapeProxy?secret=XXX&source=myresult&sourceId=1187&bib=10234 (배번 검색 지원 소스만)
  */
 exports.scrapeProxy = onRequest(
   { cors: false, timeoutSeconds: 60, memory: "256MiB", region: "asia-northeast3", invoker: "public" },
@@ -3682,19 +5254,23 @@ exports.scrapeProxy = onRequest(
       return res.status(403).json({ ok: false, error: "forbidden" });
     }
 
-    const { source, sourceId, name } = req.query;
-    if (!source || !sourceId || !name) {
-      return res.status(400).json({ ok: false, error: "source, sourceId, name required" });
+    const { source, sourceId, name, bib } = req.query;
+    if (!source || !sourceId || (!name && !bib)) {
+      return res.status(400).json({ ok: false, error: "source, sourceId, name or bib required" });
+    }
+    const adapter = getTimingSource(source);
+    if (!adapter) {
+      return res.status(400).json({ ok: false, error: `unknown source: ${source}` });
+    }
+    if (bib && !adapter.capabilities.searchByBib) {
+      return res.status(400).json({ ok: false, error: `${source} does not support bib search` });
     }
 
     try {
-      const scraper = require("./lib/scraper");
-      let opts = {};
-      if (source === "smartchip") {
-        const session = await scraper.getSmartChipSession();
-        opts = { session };
-      }
-      const results = await scraper.searchMember(source, sourceId, name, opts);
+      const session = await scraper.createSourceSession(source);
+      const results = bib
+        ? await scraper.searchMemberByBib(source, sourceId, bib, { session })
+        : await scraper.searchMember(source, sourceId, name, { session });
       return res.json({ ok: true, results: results || [] });
     } catch (e) {
       return res.status(500).json({ ok: false, error: e.message });
@@ -3724,6 +5300,107 @@ exports.chunbaek = onRequest(
   }
 );
 
+const CALENDAR_FEED_NAME = { meetings: "정모", races: "단체 대회", chunbaek: "춘백" };
+
+/** 피드 범위 meeting_training — docId(YYYY-MM-DD_TYPE) → 문서 */
+async function loadTrainingForFeed(fromKey, toKey) {
+  const snap = await db
+    .collection(MEETING_TRAINING_COLLECTION)
+    .where("meetingDateKey", ">=", fromKey)
+    .where("meetingDateKey", "<=", toKey)
+    .get();
+  return new Map(snap.docs.map((doc) => [doc.id, doc.data()]));
+}
+
+/** 춘백 시즌 슬롯 — 날짜 확정·휴무 아님만 */
+async function loadChunbaekFeedSlots() {
+  const [config, slots] = await Promise.all([loadSeasonConfig(db), loadAllSlots(db)]);
+  return seasonSlotsOnly(slots)
+    .filter((slot) => !slot.isProgramOff)
+    .map((slot) => ({
+      key: getSlotKey(slot),
+      date: deriveSlotDate(slot, config, slots),
+      dayIndex: displayDayIndex(slot),
+      title: slotTrainingTitle(slot),
+      content: slotTrainingContent(slot),
+    }));
+}
+
+/**
+ * 구독용 캘린더 피드 — GET /calendar.ics (hosting rewrite) · 인증 없음 (공개 일정만)
+ * query: feed=meetings,races,chunbaek · type=TUE,THU,SAT,ETC · team=T1 · memberId · mine=1
+ * mine=1 은 단체 대회(내 참가)·춘백(참가자일 때만)에 적용, 정모는 type 필터만.
+ */
+exports.calendarFeed = onRequest(
+  { cors: true, timeoutSeconds: 60, memory: "256MiB", region: "asia-northeast3" },
+  async (req, res) => {
+    if (req.method !== "GET") {
+      return res.status(405).json({ ok: false, error: "Method not allowed" });
+    }
+    const q = parseFeedQuery(req.query);
+    if (!q.ok) {
+      return res.status(400).json({ ok: false, error: q.error });
+    }
+    try {
+      const todayKey = kstTodayKey();
+      const fromKey = shiftDateKey(todayKey, -FEED_PAST_DAYS);
+      const toKey = shiftDateKey(todayKey, FEED_FUTURE_DAYS);
+      const member = q.memberId ? await db.collection("members").doc(q.memberId).get() : null;
+      const memberData = member && member.exists ? member.data() || {} : null;
+      const events = [];
+
+      if (q.kinds.includes("meetings")) {
+        const [calendar, trainingById] = await Promise.all([loadMeetingCalendar(), loadTrainingForFeed(fromKey, toKey)]);
+        events.push(...meetingFeedEvents({ fromKey, toKey, calendar, trainingById, types: q.types }));
+      }
+      if (q.kinds.includes("races")) {
+        const snap = await db.collection("race_events").where("isGroupEvent", "==", true).get();
+        const raceEvents = snap.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+        let memberTeams = null;
+        if (q.team) {
+          const membersSnap = await db.collection("members").get();
+          memberTeams = new Map(membersSnap.docs.map((doc) => [doc.id, doc.data().team || ""]));
+        }
+        events.push(
+          ...groupRaceFeedEvents({ events: raceEvents, fromKey, team: q.team, memberTeams, memberId: q.memberId, mine: q.mine })
+        );
+      }
+      const isChunbaekParticipant = !!(memberData && memberData.chunbaekS3 && memberData.chunbaekS3.participant);
+      if (q.kinds.includes("chunbaek") && (!q.mine || isChunbaekParticipant)) {
+        const slots = await loadChunbaekFeedSlots();
+        events.push(...chunbaekFeedEvents({ seasonId: "chunbaek-s3", slots, fromKey, toKey }));
+      }
+
+      const name = ["동마클", q.kinds.map((k) => CALENDAR_FEED_NAME[k]).join("·"), q.team, memberData && q.mine ? memberData.nickname : ""]
+        .filter(Boolean)
+        .join(" ");
+      res.set("Content-Type", "text/calendar; charset=utf-8");
+      res.set("Content-Disposition", 'inline; filename="dmc.ics"');
+      res.set("Cache-Control", "public, max-age=900");
+      return res.status(200).send(buildIcsCalendar({ name, events, stampMs: Date.now() }));
+    } catch (err) {
+      console.error("[calendarFeed]", err);
+      return res.status(500).json({ ok: false, error: String(err.message || err) });
+    }
+  }
+);
+
+/**
+ * 출석 소프트 삭제 — attendance 문서를 attendance_tombstones 로 옮긴다 (트랜잭션). 이미 없으면 null.
+ * @param {{ via: "kiosk"|"self"|"admin", role?: string, actor?: string, memberId?: string, reason?: string }} meta
+ */
+async function tombstoneAttendanceDoc(ref, meta) {
+  const tombRef = db.collection(TOMBSTONE_COLLECTION).doc();
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists) return null;
+    const data = snap.data() || {};
+    tx.set(tombRef, buildTombstone(data, { ...meta, originalId: ref.id, nowIso: new Date().toISOString() }));
+    tx.delete(ref);
+    return { tombstoneId: tombRef.id, data };
+  });
+}
+
 /**
  * 개인 출석 취소 — 활성 세션 + memberId
  * POST /attendance?action=delete-attendance
@@ -3739,7 +5416,7 @@ async function handleDeleteAttendance(req, res) {
       }
     }
 
-    const active = resolveDefaultMeeting(new Date());
+    const active = resolveDefaultMeeting(new Date(), await loadMeetingCalendar());
     const gate = assertSelfDeleteAllowed(body, active);
     if (gate === "MEMBER_ID_REQUIRED") {
       return res.status(400).json({ ok: false, error: gate, message: "memberId is required" });
@@ -3781,24 +5458,31 @@ async function handleDeleteAttendance(req, res) {
       return res.status(404).json({ ok: false, error: "NOT_FOUND", message: "출석 기록을 찾을 수 없습니다" });
     }
 
+    const via = normalizeSelfDeleteVia(body.via);
     const deletedIds = [];
+    const tombstoneIds = [];
     for (const doc of matches) {
-      await doc.ref.delete();
+      const moved = await tombstoneAttendanceDoc(doc.ref, { via, memberId, reason: body.reason });
+      if (!moved) continue;
       deletedIds.push(doc.id);
+      tombstoneIds.push(moved.tombstoneId);
     }
 
     logAttendanceServerEvent("attendance_delete", {
       mode: "self",
+      via,
       memberId,
       meetingDate: meetingDateKey,
       meetingType,
       deletedIds,
+      tombstoneIds,
       deletedCount: deletedIds.length,
     });
 
     return res.json({
       ok: true,
       deletedIds,
+      tombstoneIds,
       deletedCount: deletedIds.length,
       meetingDate: meetingDateKey,
       meetingType,
@@ -3814,18 +5498,60 @@ async function handleDeleteAttendance(req, res) {
   }
 }
 
-function verifyAdminPassword(pw) {
-  const ownerPw = process.env.DMC_OWNER_PW;
-  const adminPw = process.env.DMC_ADMIN_PW || "dmc2008";
-  if (ownerPw && pw === ownerPw) return { ok: true, role: "owner" };
-  if (pw === adminPw) return { ok: true, role: "operator" };
-  return { ok: false };
+/**
+ * 운영진 세션 검사 — race · attendance 공통 (lib/admin-auth).
+ * @param {string} capability - ROLE_CAPABILITIES 권한 키 (빈 값이면 로그인 여부만 확인)
+ */
+function authorizeAdminRequest(req, capability) {
+  return authorizeAdmin(db, req, capability, { secret: adminSessionSecret(), nowMs: Date.now() });
+}
+
+/**
+ * 팀장 update-member(team) → team_move_requests 대기 신청. 운영진이 admin-review-team-move 로 반영.
+ * 응답 202 { ok, pending: true, requestId, fromTeam, toTeam }
+ */
+async function createTeamMoveRequest(res, auth, memberDoc, toTeam, reason) {
+  const member = memberDoc.data() || {};
+  const check = validateTeamMoveRequest({ auth, member, toTeam, reason });
+  if (!check.ok) {
+    return res.status(check.status).json({ ok: false, error: check.error });
+  }
+  const pendingSnap = await db
+    .collection(TEAM_MOVE_REQUESTS_COLLECTION)
+    .where("memberId", "==", memberDoc.id)
+    .get();
+  if (hasPendingTeamMove(pendingSnap.docs.map((d) => d.data()), memberDoc.id)) {
+    return res.status(409).json({ ok: false, error: "TEAM_MOVE_PENDING" });
+  }
+  const nowIso = new Date().toISOString();
+  const ref = await db.collection(TEAM_MOVE_REQUESTS_COLLECTION).add({
+    memberId: memberDoc.id,
+    nickname: member.nickname || "",
+    fromTeam: check.fromTeam,
+    toTeam: check.toTeam,
+    reason: check.reason,
+    status: "pending",
+    requestedBy: auth.username,
+    requestedTeam: auth.team,
+    createdAt: nowIso,
+    updatedAt: nowIso,
+  });
+  logRaceAdminEvent("member_team_move_request", {
+    actor: auth.username,
+    role: auth.role,
+    memberId: memberDoc.id,
+    requestId: ref.id,
+    fromTeam: check.fromTeam,
+    toTeam: check.toTeam,
+  });
+  return res.status(202).json({ ok: true, pending: true, requestId: ref.id, fromTeam: check.fromTeam, toTeam: check.toTeam });
 }
 
 /**
  * 운영진 출석 삭제
  * POST /attendance?action=admin-delete-attendance
- * body: { pw, docId } 또는 { pw, meetingDate, meetingType, nickname }
+ * body: { docId } 또는 { meetingDate, meetingType, nickname }
+ * 운영진 세션 토큰(Authorization: Bearer 또는 body.adminToken) 필요
  */
 async function handleAdminDeleteAttendance(req, res) {
   try {
@@ -3838,9 +5564,9 @@ async function handleAdminDeleteAttendance(req, res) {
       }
     }
 
-    const auth = verifyAdminPassword(body.pw);
+    const auth = await authorizeAdminRequest(req, "attendance");
     if (!auth.ok) {
-      return res.status(401).json({ ok: false, error: "invalid password" });
+      return res.status(auth.status).json({ ok: false, error: auth.error });
     }
 
     const docId = str(body.docId).trim();
@@ -3878,11 +5604,14 @@ async function handleAdminDeleteAttendance(req, res) {
     }
 
     const deleted = [];
+    const reason = normalizeDeleteReason(body.reason);
     for (const doc of docsToDelete) {
-      const data = doc.data() || {};
-      await doc.ref.delete();
+      const moved = await tombstoneAttendanceDoc(doc.ref, { via: "admin", role: auth.role, actor: auth.username, reason });
+      if (!moved) continue;
+      const data = moved.data;
       deleted.push({
         id: doc.id,
+        tombstoneId: moved.tombstoneId,
         nickname: data.nickname || null,
         meetingDate: data.meetingDateKey || null,
         meetingType: data.meetingType || null,
@@ -3893,6 +5622,8 @@ async function handleAdminDeleteAttendance(req, res) {
     logAttendanceServerEvent("attendance_admin_delete", {
       mode: "admin",
       role: auth.role,
+      actor: auth.username,
+      reason,
       deleted,
       deletedCount: deleted.length,
     });
@@ -3909,6 +5640,100 @@ async function handleAdminDeleteAttendance(req, res) {
   }
 }
 
+/**
+ * 운영진 최근 삭제 출석 (복원 가능분)
+ * POST /attendance?action=admin-deleted-attendance
+ * body: { days? (기본 30) }
+ * 운영진 세션 토큰(Authorization: Bearer 또는 body.adminToken) 필요
+ */
+async function handleAdminDeletedAttendance(req, res) {
+  try {
+    const body = parseJsonBody(req);
+    const auth = await authorizeAdminRequest(req, "attendance");
+    if (!auth.ok) {
+      return res.status(auth.status).json({ ok: false, error: auth.error });
+    }
+    const days = Math.min(90, Math.max(1, parseInt(body.days, 10) || TOMBSTONE_LIST_DAYS));
+    const sinceIso = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+    const snap = await db.collection(TOMBSTONE_COLLECTION).where("deletedAt", ">=", sinceIso).get();
+    const items = listRestorableTombstones(
+      snap.docs.map((doc) => ({ id: doc.id, data: doc.data() })),
+      sinceIso
+    );
+    return res.json({ ok: true, days, items: items.slice(0, 200) });
+  } catch (err) {
+    console.error("[admin-deleted-attendance]", err);
+    return res.status(500).json({ ok: false, error: String(err.message || err) });
+  }
+}
+
+/**
+ * 운영진 삭제 출석 복원 — 원래 doc ID 로 되돌리고 tombstone 에 복원 기록 (감사용으로 남김)
+ * POST /attendance?action=admin-restore-attendance
+ * body: { tombstoneId }
+ * 운영진 세션 토큰(Authorization: Bearer 또는 body.adminToken) 필요
+ */
+async function handleAdminRestoreAttendance(req, res) {
+  try {
+    const body = parseJsonBody(req);
+    const auth = await authorizeAdminRequest(req, "attendance");
+    if (!auth.ok) {
+      return res.status(auth.status).json({ ok: false, error: auth.error });
+    }
+    const tombstoneId = str(body.tombstoneId).trim();
+    if (!tombstoneId) {
+      return res.status(400).json({ ok: false, error: "tombstoneId required" });
+    }
+    const tombRef = db.collection(TOMBSTONE_COLLECTION).doc(tombstoneId);
+    const result = await db.runTransaction(async (tx) => {
+      const tomb = await tx.get(tombRef);
+      if (!tomb.exists) return { status: 404, error: "NOT_FOUND" };
+      const t = tomb.data() || {};
+      if (t.restoredAt) return { status: 409, error: "ALREADY_RESTORED" };
+      const ref = db.collection(COLLECTION).doc(t.originalId || tombstoneId);
+      // 삭제 후 같은 날 다시 출석했으면(다른 유형 포함) 복원하지 않는다 — handlePost 의 하루 한 건 규칙
+      const existing = await tx.get(ref);
+      const sameDayRecords = [];
+      for (const [field, value] of restoreDuplicateKeys(t)) {
+        const snap = await tx.get(
+          db.collection(COLLECTION).where(field, "==", value).where("meetingDateKey", "==", t.meetingDateKey || "")
+        );
+        snap.docs.forEach((d) => sameDayRecords.push(d.data()));
+      }
+      if (existing.exists || hasRestoreConflict(t, sameDayRecords)) {
+        return { status: 409, error: "ALREADY_CHECKED_IN" };
+      }
+      const nowIso = new Date().toISOString();
+      tx.set(ref, attendanceDataFromTombstone(t, { nowIso, role: auth.role, actor: auth.username }));
+      tx.update(tombRef, { restoredAt: nowIso, restoredByRole: auth.role, restoredBy: auth.username });
+      return { attendanceId: ref.id, data: t };
+    });
+    if (result.error) {
+      return res.status(result.status).json({ ok: false, error: result.error });
+    }
+    logAttendanceServerEvent("attendance_restore", {
+      role: auth.role,
+      actor: auth.username,
+      tombstoneId,
+      attendanceId: result.attendanceId,
+      nickname: result.data.nickname || null,
+      memberId: result.data.memberId || null,
+      meetingDate: result.data.meetingDateKey || null,
+      meetingType: result.data.meetingType || null,
+      deletedVia: result.data.deletedVia || null,
+    });
+    return res.json({
+      ok: true,
+      attendanceId: result.attendanceId,
+      meetingDate: result.data.meetingDateKey || "",
+      meetingType: result.data.meetingType || "",
+    });
+  } catch (err) {
+    console.error("[admin-restore-attendance]", err);
+    return res.status(500).json({ ok: false, error: String(err.message || err) });
+  }
+}
+
 /**
  * GET meeting-training — single session or week board
  * ?action=meeting-training&meetingDate=&meetingType=
@@ -3973,7 +5798,8 @@ async function handleGetMeetingTraining(req, res) {
 
 /**
  * POST meeting-training — admin save rows
- * body: { pw, rows: [{ meetingDate, meetingType, time, place, ... }] }
+ * body: { rows: [{ meetingDate, meetingType, time, place, ... }] }
+ * 운영진 세션 토큰(Authorization: Bearer 또는 body.adminToken) 필요
  */
 async function handlePostMeetingTraining(req, res) {
   try {
@@ -3986,9 +5812,9 @@ async function handlePostMeetingTraining(req, res) {
       }
     }
 
-    const auth = verifyAdminPassword(body.pw);
+    const auth = await authorizeAdminRequest(req, "attendance");
     if (!auth.ok) {
-      return res.status(401).json({ ok: false, error: "invalid password" });
+      return res.status(auth.status).json({ ok: false, error: auth.error });
     }
 
     const gate = assertSaveRows(body.rows);
@@ -4006,6 +5832,7 @@ async function handlePostMeetingTraining(req, res) {
         ...row,
         updatedAt: now,
         updatedByRole: auth.role,
+        updatedBy: auth.username,
       };
       await db.collection(MEETING_TRAINING_COLLECTION).doc(id).set(payload, { merge: true });
       saved.push({ id, ...payload });
@@ -4013,6 +5840,7 @@ async function handlePostMeetingTraining(req, res) {
 
     logAttendanceServerEvent("meeting_training_save", {
       role: auth.role,
+      actor: auth.username,
       savedCount: saved.length,
       ids: saved.map((s) => s.id),
     });
@@ -4024,33 +5852,1176 @@ async function handlePostMeetingTraining(req, res) {
   }
 }
 
-exports.attendance = onRequest({ cors: true }, async (req, res) => {
-  // CORS 헤더 설정
-  res.set("Access-Control-Allow-Origin", "*");
-  res.set("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
-  res.set("Access-Control-Allow-Headers", "Content-Type");
-
-  if (req.method === "OPTIONS") {
-    return res.status(204).send("");
+function parseJsonBody(req) {
+  let body = req.body || {};
+  if (typeof body === "string") {
+    try {
+      body = JSON.parse(body);
+    } catch (_) {
+      body = {};
+    }
   }
+  return body;
+}
 
-  if (req.method === "POST") {
-    const action = str(req.query.action || "").trim();
-    if (action === "delete-attendance") {
-      return handleDeleteAttendance(req, res);
+function correctionRowForResponse(doc) {
+  const d = doc.data() || {};
+  const iso = (v) => (v && typeof v.toDate === "function" ? v.toDate().toISOString() : v || null);
+  return {
+    requestId: doc.id,
+    memberId: d.memberId || "",
+    nickname: d.nickname || "",
+    team: d.team || "",
+    meetingDateKey: d.meetingDateKey || "",
+    meetingType: d.meetingType || "",
+    reason: d.reason || "",
+    status: d.status || "",
+    createdAt: iso(d.createdAt),
+    reviewedAt: iso(d.reviewedAt),
+    reviewedByRole: d.reviewedByRole || null,
+    reviewNote: d.reviewNote || "",
+    attendanceId: d.attendanceId || null,
+    alreadyRecorded: d.alreadyRecorded === true,
+  };
+}
+
+/**
+ * POST correction-request — 회원 출석 누락 정정 신청 (pending)
+ * body: { memberId, meetingDate, meetingType, reason }
+ */
+async function handlePostCorrectionRequest(req, res) {
+  try {
+    const body = parseJsonBody(req);
+    const memberId = str(body.memberId).trim();
+    if (!memberId) {
+      return res.status(400).json({ ok: false, error: "MEMBER_ID_REQUIRED", message: "memberId is required" });
     }
-    if (action === "admin-delete-attendance") {
-      return handleAdminDeleteAttendance(req, res);
+    const parsed = validateCorrectionRequestInput({
+      meetingDate: body.meetingDate,
+      meetingType: body.meetingType,
+      reason: body.reason,
+      todayKey: kstTodayKey(),
+      calendar: await loadMeetingCalendar(),
+    });
+    if (!parsed.ok) {
+      return res.status(400).json({ ok: false, error: parsed.error });
     }
-    if (action === "meeting-training") {
-      return handlePostMeetingTraining(req, res);
+
+    const mdoc = await db.collection("members").doc(memberId).get();
+    if (!mdoc.exists || mdoc.data().hidden === true) {
+      return res.status(400).json({ ok: false, error: "MEMBER_NOT_FOUND", message: "회원 정보를 찾을 수 없습니다" });
     }
-    return handlePost(req, res);
-  }
+    const member = mdoc.data() || {};
+    const memberTeam = normalizeMemberTeam(member.team) || normalizeMemberTeam(body.team);
+    const nickname = str(member.nickname).trim();
 
-  if (req.method === "GET") {
-    return handleGet(req, res);
-  }
+    const existing = await db
+      .collection(COLLECTION)
+      .where("memberId", "==", memberId)
+      .where("meetingDateKey", "==", parsed.meetingDateKey)
+      .limit(1)
+      .get();
+    if (!existing.empty) {
+      return res.status(400).json({
+        ok: false,
+        error: "ALREADY_CHECKED_IN",
+        message: `이미 ${parsed.meetingDateKey} 모임에 출석 기록이 있습니다`,
+      });
+    }
 
-  return res.status(405).json({ ok: false, error: "Method not allowed" });
-});
+    const ref = db.collection(CORRECTION_COLLECTION).doc();
+    try {
+      await db.runTransaction(async (tx) => {
+        // memberId 동등 조건만 — 복합 인덱스 없이 메모리 필터 (회원별 건수 적음)
+        const mine = await tx.get(db.collection(CORRECTION_COLLECTION).where("memberId", "==", memberId));
+        const rows = mine.docs.map((doc) => doc.data());
+        if (hasPendingCorrection(rows, parsed.meetingDateKey, parsed.meetingType)) {
+          const err = new Error("pending request exists");
+          err.status = 400;
+          throw err;
+        }
+        tx.create(ref, {
+          memberId,
+          nickname,
+          team: memberTeam || "",
+          meetingDateKey: parsed.meetingDateKey,
+          meetingType: parsed.meetingType,
+          reason: parsed.reason,
+          status: "pending",
+          createdAt: FieldValue.serverTimestamp(),
+          updatedAt: FieldValue.serverTimestamp(),
+          reviewedAt: null,
+          reviewedByRole: null,
+          reviewNote: "",
+          attendanceId: null,
+        });
+      });
+    } catch (err) {
+      if (err && err.status === 400 && err.message === "pending request exists") {
+        return res.status(400).json({ ok: false, error: "PENDING_REQUEST_EXISTS", message: "이미 검토 대기 중인 신청이 있습니다" });
+      }
+      throw err;
+    }
+
+    logAttendanceServerEvent("attendance_correction_request", {
+      requestId: ref.id,
+      memberId,
+      nickname,
+      meetingDate: parsed.meetingDateKey,
+      meetingType: parsed.meetingType,
+    });
+    return res.json({ ok: true, requestId: ref.id, status: "pending" });
+  } catch (err) {
+    console.error("[correction-request POST]", err);
+    return res.status(500).json({ ok: false, error: String(err.message || err) });
+  }
+}
+
+/** GET my-correction-requests — memberId 본인 신청 목록 (최신순) */
+async function handleGetMyCorrectionRequests(req, res) {
+  try {
+    const memberId = str(req.query.memberId).trim();
+    if (!memberId) {
+      return res.status(400).json({ ok: false, error: "MEMBER_ID_REQUIRED", message: "memberId is required" });
+    }
+    const snap = await db.collection(CORRECTION_COLLECTION).where("memberId", "==", memberId).get();
+    const requests = sortCorrectionsNewestFirst(snap.docs.map(correctionRowForResponse)).slice(0, 20);
+    return res.json({ ok: true, requests });
+  } catch (err) {
+    console.error("[my-correction-requests GET]", err);
+    return res.status(500).json({ ok: false, error: String(err.message || err) });
+  }
+}
+
+/**
+ * POST admin-correction-requests — 운영진 정정 신청 큐
+ * body: { status?: pending|approved|rejected }
+ * 운영진 세션 토큰(Authorization: Bearer 또는 body.adminToken) 필요
+ */
+async function handleAdminListCorrections(req, res) {
+  try {
+    const body = parseJsonBody(req);
+    const auth = await authorizeAdminRequest(req, "attendance");
+    if (!auth.ok) {
+      return res.status(auth.status).json({ ok: false, error: auth.error });
+    }
+    const filter = parseCorrectionStatusFilter(body.status);
+    if (!filter.ok) {
+      return res.status(400).json({ ok: false, error: filter.error });
+    }
+    // status 동등 조건만 — 정렬·limit 은 메모리
+    const snap = await db.collection(CORRECTION_COLLECTION).where("status", "==", filter.status).get();
+    const requests = sortCorrectionsNewestFirst(snap.docs.map(correctionRowForResponse)).slice(0, 100);
+    return res.json({ ok: true, status: filter.status, requests });
+  } catch (err) {
+    console.error("[admin-correction-requests]", err);
+    return res.status(500).json({ ok: false, error: String(err.message || err) });
+  }
+}
+
+/**
+ * POST admin-review-correction — 승인 시 attendance 문서 생성(source: "correction"), 반려 시 메모
+ * body: { requestId, decision: approve|reject, reviewNote? }
+ * 운영진 세션 토큰(Authorization: Bearer 또는 body.adminToken) 필요
+ */
+async function handleAdminReviewCorrection(req, res) {
+  try {
+    const body = parseJsonBody(req);
+    const auth = await authorizeAdminRequest(req, "attendance");
+    if (!auth.ok) {
+      return res.status(auth.status).json({ ok: false, error: auth.error });
+    }
+    const requestId = str(body.requestId).trim();
+    if (!requestId) {
+      return res.status(400).json({ ok: false, error: "requestId required" });
+    }
+    const review = normalizeCorrectionReview(body);
+    if (!review.ok) {
+      return res.status(400).json({ ok: false, error: review.error });
+    }
+
+    const ref = db.collection(CORRECTION_COLLECTION).doc(requestId);
+    const now = new Date();
+    const result = await db.runTransaction(async (tx) => {
+      const snap = await tx.get(ref);
+      if (!snap.exists) return { status: 404, error: "request not found" };
+      const request = snap.data() || {};
+      if (request.status !== "pending") return { status: 400, error: "already reviewed" };
+
+      const reviewed = {
+        reviewedAt: FieldValue.serverTimestamp(),
+        reviewedByRole: auth.role,
+        reviewedBy: auth.username,
+        reviewNote: review.reviewNote,
+        updatedAt: FieldValue.serverTimestamp(),
+      };
+      if (review.decision === "reject") {
+        tx.update(ref, { ...reviewed, status: "rejected" });
+        return { request, status: "rejected" };
+      }
+
+      const memberId = str(request.memberId).trim();
+      const meetingDateKey = request.meetingDateKey;
+      const typeCode = str(request.meetingType).toUpperCase();
+      const mref = db.collection("members").doc(memberId);
+      const msnap = await tx.get(mref);
+      const member = msnap.exists ? msnap.data() || {} : {};
+      const teamCode = normalizeMemberTeam(member.team) || normalizeMemberTeam(request.team);
+      if (!teamCode || !TEAM_LABEL[teamCode]) return { status: 400, error: "member team missing" };
+      const nickname = str(member.nickname || request.nickname).trim();
+      const nicknameKey = nickname.toLowerCase();
+
+      // handlePost 와 같은 결정적 ID + 같은 날 중복 확인
+      const attendanceRef = db
+        .collection(COLLECTION)
+        .doc(attendanceDocId({ memberId, nicknameKey, meetingDateKey, meetingType: typeCode, isGuest: false }));
+      const detSnap = await tx.get(attendanceRef);
+      const dupSnap = detSnap.exists
+        ? null
+        : await tx.get(
+            db
+              .collection(COLLECTION)
+              .where("memberId", "==", memberId)
+              .where("meetingDateKey", "==", meetingDateKey)
+              .limit(1)
+          );
+      const existingId = detSnap.exists ? detSnap.id : dupSnap && !dupSnap.empty ? dupSnap.docs[0].id : "";
+      if (existingId) {
+        tx.update(ref, { ...reviewed, status: "approved", attendanceId: existingId, alreadyRecorded: true });
+        return { request, status: "approved", attendanceId: existingId, alreadyRecorded: true };
+      }
+
+      tx.create(attendanceRef, {
+        nickname,
+        nicknameKey,
+        memberId,
+        team: teamCode,
+        teamLabel: TEAM_LABEL[teamCode],
+        meetingType: typeCode,
+        meetingTypeLabel: MEETING_TYPE_LABEL[typeCode],
+        meetingDateKey,
+        monthKey: dateKeyToMonthKey(meetingDateKey),
+        isGuest: false,
+        source: "correction",
+        correctionRequestId: requestId,
+        timestamp: FieldValue.serverTimestamp(),
+        ts: now.getTime(),
+      });
+      tx.update(ref, { ...reviewed, status: "approved", attendanceId: attendanceRef.id });
+      return { request, status: "approved", attendanceId: attendanceRef.id, alreadyRecorded: false };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ ok: false, error: result.error });
+    }
+    logAttendanceServerEvent("attendance_correction_review", {
+      role: auth.role,
+      actor: auth.username,
+      requestId,
+      decision: review.decision,
+      attendanceId: result.attendanceId || null,
+      alreadyRecorded: result.alreadyRecorded === true,
+      memberId: result.request.memberId || null,
+      meetingDate: result.request.meetingDateKey,
+      meetingType: result.request.meetingType,
+    });
+    return res.json({
+      ok: true,
+      requestId,
+      status: result.status,
+      attendanceId: result.attendanceId || null,
+      alreadyRecorded: result.alreadyRecorded === true,
+    });
+  } catch (err) {
+    console.error("[admin-review-correction]", err);
+    return res.status(500).json({ ok: false, error: String(err.message || err) });
+  }
+}
+
+/**
+ * POST admin-guest-visits — 최근 게스트(출석 명부 외) 닉네임별 방문 수
+ * body: { days? (기본 180) }
+ * 운영진 세션 토큰(Authorization: Bearer 또는 body.adminToken) 필요
+ */
+async function handleAdminGuestVisits(req, res) {
+  try {
+    const body = parseJsonBody(req);
+    const auth = await authorizeAdminRequest(req, "attendance");
+    if (!auth.ok) {
+      return res.status(auth.status).json({ ok: false, error: auth.error });
+    }
+    const days = Math.min(730, Math.max(1, parseInt(body.days, 10) || GUEST_LOOKBACK_DAYS));
+    const sinceMs = Date.now() - days * 86400000;
+    // isGuest 동등 조건만 — 기간은 메모리 필터
+    const snap = await db.collection(COLLECTION).where("isGuest", "==", true).get();
+    const docs = snap.docs
+      .map((doc) => ({ id: doc.id, data: doc.data() }))
+      .filter((d) => (Number(d.data.ts) || 0) >= sinceMs);
+    return res.json({ ok: true, days, guests: summarizeGuestVisits(docs) });
+  } catch (err) {
+    console.error("[admin-guest-visits]", err);
+    return res.status(500).json({ ok: false, error: String(err.message || err) });
+  }
+}
+
+/**
+ * POST admin-convert-guest — 게스트 출석을 회원(memberId)으로 재연결
+ * body: { guestNicknameKey, memberId, dryRun? }
+ * 운영진 세션 토큰(Authorization: Bearer 또는 body.adminToken) 필요
+ * 회원 문서는 먼저 add-member 로 만든다. 게스트 문서는 결정적 ID 로 옮기고 원본 삭제.
+ */
+async function handleAdminConvertGuest(req, res) {
+  try {
+    const body = parseJsonBody(req);
+    const auth = await authorizeAdminRequest(req, "attendance");
+    if (!auth.ok) {
+      return res.status(auth.status).json({ ok: false, error: auth.error });
+    }
+    const guestNicknameKey = str(body.guestNicknameKey).trim().toLowerCase();
+    const memberId = str(body.memberId).trim();
+    if (!guestNicknameKey || !memberId) {
+      return res.status(400).json({ ok: false, error: "guestNicknameKey and memberId required" });
+    }
+
+    const mdoc = await db.collection("members").doc(memberId).get();
+    if (!mdoc.exists) {
+      return res.status(404).json({ ok: false, error: "MEMBER_NOT_FOUND" });
+    }
+    const memberData = mdoc.data() || {};
+    const teamCode = normalizeMemberTeam(memberData.team);
+    if (!teamCode || !TEAM_LABEL[teamCode]) {
+      return res.status(400).json({ ok: false, error: "member team required", message: "회원 팀을 먼저 지정하세요" });
+    }
+    const member = {
+      memberId,
+      nickname: str(memberData.nickname).trim(),
+      team: teamCode,
+      teamLabel: TEAM_LABEL[teamCode],
+    };
+
+    const [guestSnap, memberSnap] = await Promise.all([
+      db.collection(COLLECTION).where("nicknameKey", "==", guestNicknameKey).get(),
+      db.collection(COLLECTION).where("memberId", "==", memberId).get(),
+    ]);
+    const guestDocs = guestSnap.docs
+      .filter((doc) => doc.data().isGuest === true && !doc.data().memberId)
+      .map((doc) => ({ id: doc.id, data: doc.data() }));
+    if (!guestDocs.length) {
+      return res.status(404).json({ ok: false, error: "GUEST_NOT_FOUND" });
+    }
+    const memberDateKeys = memberSnap.docs.map((doc) => doc.data().meetingDateKey);
+    const plan = buildGuestRelinkPlan(guestDocs, member, memberDateKeys);
+    const summary = {
+      moved: plan.moves.map((m) => ({ fromId: m.fromId, toId: m.toId, meetingDateKey: m.data.meetingDateKey })),
+      skipped: plan.skipped,
+    };
+    if (body.dryRun === true || body.dryRun === "true") {
+      return res.json({ ok: true, dryRun: true, member, ...summary });
+    }
+
+    // 키오스크 오프라인 큐 키도 새 문서 ID 로 (attendance_checkin_keys.attendanceId)
+    const fromIds = plan.moves.map((m) => m.fromId);
+    const keyDocs = [];
+    for (let i = 0; i < fromIds.length; i += 30) {
+      const ks = await db
+        .collection(CHECKIN_KEY_COLLECTION)
+        .where("attendanceId", "in", fromIds.slice(i, i + 30))
+        .get();
+      keyDocs.push(...ks.docs);
+    }
+    const toIdByFrom = new Map(plan.moves.map((m) => [m.fromId, m.toId]));
+
+    await db.runTransaction(async (tx) => {
+      const reads = await Promise.all(
+        plan.moves.map((m) =>
+          Promise.all([
+            tx.get(db.collection(COLLECTION).doc(m.fromId)),
+            tx.get(db.collection(COLLECTION).doc(m.toId)),
+          ])
+        )
+      );
+      reads.forEach(([fromSnap, toSnap], i) => {
+        if (!fromSnap.exists || toSnap.exists) {
+          const err = new Error("attendance changed during conversion — retry");
+          err.status = 409;
+          throw err;
+        }
+        const m = plan.moves[i];
+        tx.create(toSnap.ref, m.data);
+        tx.delete(fromSnap.ref);
+      });
+      keyDocs.forEach((k) => tx.update(k.ref, { attendanceId: toIdByFrom.get(k.data().attendanceId) }));
+    });
+
+    logAttendanceServerEvent("attendance_guest_converted", {
+      role: auth.role,
+      actor: auth.username,
+      memberId,
+      nickname: member.nickname,
+      guestNicknameKey,
+      moved: plan.moves.length,
+      skipped: plan.skipped.length,
+    });
+    return res.json({ ok: true, dryRun: false, member, ...summary });
+  } catch (err) {
+    if (err && err.status === 409) {
+      return res.status(409).json({ ok: false, error: err.message });
+    }
+    console.error("[admin-convert-guest]", err);
+    return res.status(500).json({ ok: false, error: String(err.message || err) });
+  }
+}
+
+/**
+ * POST retention — 운영진: 회원별 최근 4/8/12주 출석률·이탈 위험·가입월 코호트 리텐션
+ * body: { months? (코호트 개월 수, 기본 12) }
+ * 운영진 세션 토큰(Authorization: Bearer 또는 body.adminToken) 필요
+ * attendance_member_stats(트리거 집계)만 읽는다.
+ */
+async function handleAttendanceRetention(req, res) {
+  try {
+    const body = parseJsonBody(req);
+    const auth = await authorizeAdminRequest(req, "attendance");
+    if (!auth.ok) {
+      return res.status(auth.status).json({ ok: false, error: auth.error });
+    }
+    const months = Math.min(24, Math.max(1, parseInt(body.months, 10) || 12));
+    const [statsSnap, membersSnap, calendar] = await Promise.all([
+      db.collection(MEMBER_STATS_COLLECTION).get(),
+      db.collection("members").get(),
+      loadMeetingCalendar(),
+    ]);
+    const hiddenIds = new Set();
+    const memberMeta = new Map();
+    membersSnap.docs.forEach((doc) => {
+      const d = doc.data() || {};
+      if (d.hidden === true) hiddenIds.add(doc.id);
+      memberMeta.set(doc.id, { nickname: d.nickname || "", team: d.team || "" });
+    });
+    // 닉네임·팀은 members 최신값 우선 (집계 문서는 마지막 출석 시점 값)
+    const statsList = statsSnap.docs.map((doc) => {
+      const d = doc.data() || {};
+      const meta = memberMeta.get(doc.id) || {};
+      return { ...d, memberId: doc.id, nickname: meta.nickname || d.nickname, team: meta.team || d.team };
+    });
+    const report = computeRetentionReport({
+      statsList,
+      hiddenIds,
+      todayKey: kstTodayKey(),
+      calendar,
+      months,
+    });
+    return res.json({ ok: true, ...report });
+  } catch (err) {
+    console.error("[retention]", err);
+    return res.status(500).json({ ok: false, error: String(err.message || err) });
+  }
+}
+
+/**
+ * 팀장 다이제스트 입력 — members · attendance_member_stats · 정모 일정 · 팀별 설정을 한 번에 읽는다.
+ */
+async function loadTeamDigestInputs() {
+  const [membersSnap, statsSnap, settingsSnap, calendar] = await Promise.all([
+    db.collection("members").get(),
+    db.collection(MEMBER_STATS_COLLECTION).get(),
+    db.collection(TEAM_DIGEST_SETTINGS_COLLECTION).get(),
+    loadMeetingCalendar(),
+  ]);
+  const members = membersSnap.docs.map((doc) => {
+    const d = doc.data() || {};
+    return { id: doc.id, nickname: d.nickname || "", team: normalizeMemberTeam(d.team), hidden: d.hidden === true };
+  });
+  const statsById = new Map(statsSnap.docs.map((doc) => [doc.id, doc.data() || {}]));
+  const settingsDocs = new Map(settingsSnap.docs.map((doc) => [doc.id, doc.data()]));
+  const settings = DIGEST_TEAM_CODES.map((team) => digestSettingsFromDoc(team, settingsDocs.get(team)));
+  return { members, statsById, settings, calendar, todayKey: kstTodayKey() };
+}
+
+function teamDigestFor(inputs, teamSettings) {
+  const digest = buildTeamDigest({
+    team: teamSettings.team,
+    members: inputs.members,
+    statsById: inputs.statsById,
+    todayKey: inputs.todayKey,
+    calendar: inputs.calendar,
+    inactiveWeeks: teamSettings.inactiveWeeks,
+  });
+  const email = buildTeamDigestEmail(digest, { teamLabel: TEAM_LABEL[teamSettings.team] });
+  return { digest, email };
+}
+
+/**
+ * 월요일 팀장 다이제스트 발송. 팀마다 event_logs(team_digest_email) 1건 기록.
+ * @returns {Promise<Array<{ team: string, emailSent: boolean, skipped?: string, error?: string }>>}
+ */
+async function runWeeklyTeamDigest() {
+  const inputs = await loadTeamDigestInputs();
+  const results = [];
+  for (const teamSettings of inputs.settings) {
+    const { team, recipients } = teamSettings;
+    if (!teamSettings.enabled || !recipients.length) {
+      results.push({ team, emailSent: false, skipped: "disabled" });
+      continue;
+    }
+    const { digest, email } = teamDigestFor(inputs, teamSettings);
+    const logData = {
+      logSource: "server",
+      page: "attendance-api",
+      team,
+      todayKey: inputs.todayKey,
+      emailRecipients: recipients,
+      inactiveCount: digest.inactive.length,
+      newMemberCount: digest.newMembers.length,
+      rate: digest.rate.current,
+      prevRate: digest.rate.previous,
+    };
+    try {
+      if (!process.env.GMAIL_USER || !process.env.GMAIL_APP_PASSWORD) throw new Error("GMAIL not set");
+      await sendEmail({ to: recipients.join(", "), subject: email.subject, html: email.html });
+      results.push({ team, emailSent: true });
+      logData.emailSent = true;
+    } catch (err) {
+      console.error(`[weeklyTeamDigest] ${team} 발송 실패:`, err.message);
+      results.push({ team, emailSent: false, error: String(err.message || err) });
+      logData.emailSent = false;
+      logData.emailError = String(err.message || err);
+    }
+    await db.collection("event_logs").add({
+      event: "team_digest_email",
+      data: logData,
+      timestamp: new Date().toISOString(),
+      ua: "cloud-functions",
+    }).catch(() => {});
+  }
+  return results;
+}
+
+/**
+ * POST team-digest-settings — 운영진: 팀별 다이제스트 수신자 조회·저장
+ * body: {} → 전체 / { team, recipients, enabled, inactiveWeeks } → 저장
+ * 운영진 세션 토큰(Authorization: Bearer 또는 body.adminToken) 필요
+ */
+async function handleTeamDigestSettings(req, res) {
+  try {
+    const body = parseJsonBody(req);
+    const auth = await authorizeAdminRequest(req, "attendance");
+    if (!auth.ok) {
+      return res.status(auth.status).json({ ok: false, error: auth.error });
+    }
+    if (!body.team) {
+      const snap = await db.collection(TEAM_DIGEST_SETTINGS_COLLECTION).get();
+      const docs = new Map(snap.docs.map((doc) => [doc.id, doc.data()]));
+      return res.json({
+        ok: true,
+        settings: DIGEST_TEAM_CODES.map((team) => digestSettingsFromDoc(team, docs.get(team))),
+      });
+    }
+    const parsed = normalizeDigestSettings(body);
+    if (!parsed.ok) {
+      return res.status(400).json({ ok: false, error: parsed.error });
+    }
+    const payload = {
+      ...parsed.settings,
+      updatedAt: new Date().toISOString(),
+      updatedByRole: auth.role,
+      updatedBy: auth.username,
+    };
+    await db.collection(TEAM_DIGEST_SETTINGS_COLLECTION).doc(parsed.team).set(payload);
+    logAttendanceServerEvent("team_digest_settings_save", {
+      role: auth.role,
+      actor: auth.username,
+      team: parsed.team,
+      recipientCount: parsed.settings.recipients.length,
+      enabled: parsed.settings.enabled,
+    });
+    return res.json({ ok: true, team: parsed.team, ...payload });
+  } catch (err) {
+    console.error("[team-digest-settings]", err);
+    return res.status(500).json({ ok: false, error: String(err.message || err) });
+  }
+}
+
+/**
+ * POST team-digest-preview — 운영진: 발송 없이 이번 주 다이제스트 메일 미리보기
+ * body: { team }
+ * 운영진 세션 토큰(Authorization: Bearer 또는 body.adminToken) 필요
+ */
+async function handleTeamDigestPreview(req, res) {
+  try {
+    const body = parseJsonBody(req);
+    const auth = await authorizeAdminRequest(req, "attendance");
+    if (!auth.ok) {
+      return res.status(auth.status).json({ ok: false, error: auth.error });
+    }
+    const team = str(body.team).trim().toUpperCase();
+    if (!DIGEST_TEAM_CODES.includes(team)) {
+      return res.status(400).json({ ok: false, error: `invalid team: ${team}` });
+    }
+    const inputs = await loadTeamDigestInputs();
+    const teamSettings = inputs.settings.find((s) => s.team === team);
+    const { digest, email } = teamDigestFor(inputs, teamSettings);
+    return res.json({
+      ok: true,
+      team,
+      recipients: teamSettings.recipients,
+      enabled: teamSettings.enabled,
+      subject: email.subject,
+      html: email.html,
+      digest,
+    });
+  } catch (err) {
+    console.error("[team-digest-preview]", err);
+    return res.status(500).json({ ok: false, error: String(err.message || err) });
+  }
+}
+
+/**
+ * POST team-portal — 팀장(본인 팀만) · 오너·운영진(팀 지정): 팀 명단 · 최근 8주 정모별 출석 · 연속 출석 · 연락 메모 · 팀 이동 신청
+ * body: { team? }
+ */
+async function handleTeamPortal(req, res) {
+  try {
+    const body = parseJsonBody(req);
+    const auth = await authorizeAdminRequest(req, "team");
+    if (!auth.ok) {
+      return res.status(auth.status).json({ ok: false, error: auth.error });
+    }
+    const scope = resolveTeamScope(auth, body.team);
+    if (!scope.ok) {
+      return res.status(scope.status).json({ ok: false, error: scope.error });
+    }
+    const team = scope.team;
+    const membersSnap = await db.collection("members").where("team", "==", team).get();
+    const members = membersSnap.docs.map((doc) => {
+      const d = doc.data() || {};
+      return { id: doc.id, nickname: d.nickname || "", team: d.team || "", hidden: d.hidden === true };
+    });
+    const ids = members.filter((m) => !m.hidden).map((m) => m.id);
+    const refsOf = (col) => ids.map((id) => db.collection(col).doc(id));
+    const [statsDocs, noteDocs, fromSnap, toSnap, calendar] = await Promise.all([
+      ids.length ? db.getAll(...refsOf(MEMBER_STATS_COLLECTION)) : [],
+      ids.length ? db.getAll(...refsOf(TEAM_MEMBER_NOTES_COLLECTION)) : [],
+      db.collection(TEAM_MOVE_REQUESTS_COLLECTION).where("fromTeam", "==", team).get(),
+      db.collection(TEAM_MOVE_REQUESTS_COLLECTION).where("toTeam", "==", team).get(),
+      loadMeetingCalendar(),
+    ]);
+    const portal = buildTeamPortal({
+      team,
+      members,
+      statsById: new Map(statsDocs.filter((d) => d.exists).map((d) => [d.id, d.data()])),
+      notesById: new Map(noteDocs.filter((d) => d.exists).map((d) => [d.id, d.data()])),
+      todayKey: kstTodayKey(),
+      calendar,
+    });
+    const byId = new Map();
+    [...fromSnap.docs, ...toSnap.docs].forEach((doc) => byId.set(doc.id, teamMoveRowForResponse(doc)));
+    const moves = teamMovesForTeam([...byId.values()], team)
+      .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)))
+      .slice(0, 30);
+    return res.json({ ok: true, ...portal, teamLabel: TEAM_LABEL[team] || team, moves });
+  } catch (err) {
+    console.error("[team-portal]", err);
+    return res.status(500).json({ ok: false, error: String(err.message || err) });
+  }
+}
+
+/**
+ * POST team-member-note — 팀 회원 연락 메모 저장 (빈 값이면 삭제). 팀장은 본인 팀 회원만.
+ * body: { memberId, note }
+ */
+async function handleTeamMemberNote(req, res) {
+  try {
+    const body = parseJsonBody(req);
+    const auth = await authorizeAdminRequest(req, "team");
+    if (!auth.ok) {
+      return res.status(auth.status).json({ ok: false, error: auth.error });
+    }
+    const memberId = str(body.memberId).trim();
+    if (!memberId) {
+      return res.status(400).json({ ok: false, error: "memberId required" });
+    }
+    const parsed = normalizeTeamNote(body.note);
+    if (!parsed.ok) {
+      return res.status(400).json({ ok: false, error: parsed.error });
+    }
+    const mdoc = await db.collection("members").doc(memberId).get();
+    if (!mdoc.exists || mdoc.data().hidden === true) {
+      return res.status(404).json({ ok: false, error: "MEMBER_NOT_FOUND" });
+    }
+    const memberTeam = normalizeMemberTeam(mdoc.data().team);
+    // 팀 범위: 팀장은 회원의 현재 팀이 본인 팀일 때만
+    const scope = resolveTeamScope(auth, memberTeam);
+    if (!scope.ok) {
+      return res.status(scope.status).json({ ok: false, error: scope.error });
+    }
+    const ref = db.collection(TEAM_MEMBER_NOTES_COLLECTION).doc(memberId);
+    if (!parsed.note) {
+      await ref.delete();
+    } else {
+      await ref.set({
+        note: parsed.note,
+        team: memberTeam,
+        updatedAt: new Date().toISOString(),
+        updatedByRole: auth.role,
+        updatedBy: auth.username,
+      });
+    }
+    logAttendanceServerEvent("team_member_note_save", {
+      role: auth.role,
+      actor: auth.username,
+      memberId,
+      team: memberTeam,
+      cleared: !parsed.note,
+    });
+    return res.json({ ok: true, memberId, note: parsed.note });
+  } catch (err) {
+    console.error("[team-member-note]", err);
+    return res.status(500).json({ ok: false, error: String(err.message || err) });
+  }
+}
+
+function teamMoveRowForResponse(doc) {
+  const d = doc.data() || {};
+  return {
+    requestId: doc.id,
+    memberId: d.memberId || "",
+    nickname: d.nickname || "",
+    fromTeam: d.fromTeam || "",
+    toTeam: d.toTeam || "",
+    reason: d.reason || "",
+    status: d.status || "",
+    requestedBy: d.requestedBy || "",
+    createdAt: d.createdAt || null,
+    reviewedAt: d.reviewedAt || null,
+    reviewedBy: d.reviewedBy || "",
+    reviewNote: d.reviewNote || "",
+  };
+}
+
+/**
+ * POST admin-team-moves — 운영진: 팀장 팀 이동 신청 큐
+ * body: { status?: pending|approved|rejected }
+ */
+async function handleAdminTeamMoves(req, res) {
+  try {
+    const body = parseJsonBody(req);
+    const auth = await authorizeAdminRequest(req, "members");
+    if (!auth.ok) {
+      return res.status(auth.status).json({ ok: false, error: auth.error });
+    }
+    const filter = parseTeamMoveStatusFilter(body.status);
+    if (!filter.ok) {
+      return res.status(400).json({ ok: false, error: filter.error });
+    }
+    const snap = await db.collection(TEAM_MOVE_REQUESTS_COLLECTION).where("status", "==", filter.status).get();
+    const requests = snap.docs
+      .map(teamMoveRowForResponse)
+      .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)))
+      .slice(0, 100);
+    return res.json({ ok: true, status: filter.status, requests });
+  } catch (err) {
+    console.error("[admin-team-moves]", err);
+    return res.status(500).json({ ok: false, error: String(err.message || err) });
+  }
+}
+
+/**
+ * POST admin-review-team-move — 승인 시 members.team 변경(신청 이후 팀이 바뀌었으면 409), 반려 시 메모
+ * body: { requestId, decision: approve|reject, reviewNote? }
+ */
+async function handleAdminReviewTeamMove(req, res) {
+  try {
+    const body = parseJsonBody(req);
+    const auth = await authorizeAdminRequest(req, "members");
+    if (!auth.ok) {
+      return res.status(auth.status).json({ ok: false, error: auth.error });
+    }
+    const requestId = str(body.requestId).trim();
+    if (!requestId) {
+      return res.status(400).json({ ok: false, error: "requestId required" });
+    }
+    const review = normalizeCorrectionReview(body);
+    if (!review.ok) {
+      return res.status(400).json({ ok: false, error: review.error });
+    }
+
+    const ref = db.collection(TEAM_MOVE_REQUESTS_COLLECTION).doc(requestId);
+    const nowIso = new Date().toISOString();
+    const result = await db.runTransaction(async (tx) => {
+      const snap = await tx.get(ref);
+      if (!snap.exists) return { status: 404, error: "request not found" };
+      const request = snap.data() || {};
+      if (request.status !== "pending") return { status: 400, error: "already reviewed" };
+      const reviewed = {
+        reviewedAt: nowIso,
+        reviewedByRole: auth.role,
+        reviewedBy: auth.username,
+        reviewNote: review.reviewNote,
+        updatedAt: nowIso,
+      };
+      if (review.decision === "reject") {
+        tx.update(ref, { ...reviewed, status: "rejected" });
+        return { request, status: "rejected" };
+      }
+      const mref = db.collection("members").doc(request.memberId);
+      const msnap = await tx.get(mref);
+      if (!msnap.exists) return { status: 404, error: "MEMBER_NOT_FOUND" };
+      if (normalizeMemberTeam(msnap.data().team) !== request.fromTeam) {
+        return { status: 409, error: "member team changed since request" };
+      }
+      tx.update(mref, { team: request.toTeam });
+      tx.update(ref, { ...reviewed, status: "approved" });
+      return { request, status: "approved" };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ ok: false, error: result.error });
+    }
+    logAttendanceServerEvent("team_move_review", {
+      role: auth.role,
+      actor: auth.username,
+      requestId,
+      decision: review.decision,
+      memberId: result.request.memberId,
+      fromTeam: result.request.fromTeam,
+      toTeam: result.request.toTeam,
+      requestedBy: result.request.requestedBy || "",
+    });
+    return res.json({ ok: true, requestId, status: result.status, memberId: result.request.memberId, toTeam: result.request.toTeam });
+  } catch (err) {
+    console.error("[admin-review-team-move]", err);
+    return res.status(500).json({ ok: false, error: String(err.message || err) });
+  }
+}
+
+/**
+ * 회원: 정모 후 달린 기록 — 본인 출석 문서에 runLog 저장 (모든 값이 비면 삭제)
+ * POST /attendance?action=run-log
+ */
+async function handlePostRunLog(req, res) {
+  try {
+    const body = parseJsonBody(req);
+    const parsed = validateRunLogInput({
+      memberId: body.memberId,
+      meetingDate: body.meetingDate,
+      meetingType: body.meetingType,
+      distanceKm: body.distanceKm,
+      duration: body.duration,
+      rpe: body.rpe,
+      group: body.group,
+      completed: body.completed,
+      todayKey: kstTodayKey(),
+    });
+    if (!parsed.ok) {
+      return res.status(400).json({ ok: false, error: parsed.error });
+    }
+    // 예전 랜덤 ID 문서도 있으므로 결정적 ID 대신 memberId + 모임일 조회 후 유형 필터
+    const snap = await db
+      .collection(COLLECTION)
+      .where("memberId", "==", parsed.memberId)
+      .where("meetingDateKey", "==", parsed.meetingDateKey)
+      .get();
+    const doc = snap.docs.find(
+      (d) => str(d.data().meetingType).toUpperCase() === parsed.meetingType && d.data().isGuest !== true
+    );
+    if (!doc) {
+      return res.status(404).json({ ok: false, error: "ATTENDANCE_NOT_FOUND", message: "해당 모임 출석 기록이 없습니다" });
+    }
+    const runLog = parsed.runLog ? { ...parsed.runLog, updatedAt: new Date().toISOString() } : null;
+    await doc.ref.update({ runLog: runLog || FieldValue.delete() });
+    logAttendanceServerEvent("attendance_run_log", {
+      memberId: parsed.memberId,
+      meetingDate: parsed.meetingDateKey,
+      meetingType: parsed.meetingType,
+      cleared: !runLog,
+      distanceKm: runLog ? runLog.distanceKm : 0,
+    });
+    return res.json({ ok: true, attendanceId: doc.id, runLog: runLogForResponse({ runLog }) });
+  } catch (err) {
+    console.error("[run-log]", err);
+    return res.status(500).json({ ok: false, error: String(err.message || err) });
+  }
+}
+
+/**
+ * 운영진: 주간 훈련 수행 현황 — 화·목·토 훈련 계획(meeting_training) + 출석 runLog 집계
+ * POST /attendance?action=admin-training-completion · body: { week: YYYY-MM-DD }
+ */
+async function handleAdminTrainingCompletion(req, res) {
+  try {
+    const body = parseJsonBody(req);
+    const auth = await authorizeAdminRequest(req, "attendance");
+    if (!auth.ok) {
+      return res.status(auth.status).json({ ok: false, error: auth.error });
+    }
+    const weekDates = resolveWeekMeetingDates(str(body.week).trim() || kstTodayKey());
+    if (!weekDates.TUE) {
+      return res.status(400).json({ ok: false, error: "invalid week (YYYY-MM-DD)" });
+    }
+    const sessions = await Promise.all(
+      TRAINING_TYPES.map(async (type) => {
+        const dateKey = weekDates[type];
+        const [trainingDoc, snap] = await Promise.all([
+          db.collection(MEETING_TRAINING_COLLECTION).doc(trainingDocId(dateKey, type)).get(),
+          fetchAttendanceSnapshotForMeetingDateKey(dateKey),
+        ]);
+        const docs = snap.docs.map((d) => d.data()).filter((d) => str(d.meetingType).toUpperCase() === type);
+        return {
+          meetingDateKey: dateKey,
+          meetingType: type,
+          training: trainingDoc.exists ? normalizeTrainingRow(trainingDoc.data()) : emptyTrainingRow(dateKey, type),
+          ...summarizeTrainingCompletion(docs),
+        };
+      })
+    );
+    return res.json({ ok: true, week: weekDates, sessions });
+  } catch (err) {
+    console.error("[admin-training-completion]", err);
+    return res.status(500).json({ ok: false, error: String(err.message || err) });
+  }
+}
+
+/** meeting_calendar 전체 (소량) — 인스턴스 메모리 캐시, 저장 시 무효화 */
+const MEETING_CALENDAR_CACHE_MS = 60000;
+let meetingCalendarCache = null;
+
+async function loadMeetingCalendarEntries() {
+  if (meetingCalendarCache && Date.now() - meetingCalendarCache.at < MEETING_CALENDAR_CACHE_MS) {
+    return meetingCalendarCache.entries;
+  }
+  const snap = await db.collection(MEETING_CALENDAR_COLLECTION).get();
+  const entries = snap.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+  meetingCalendarCache = { at: Date.now(), entries };
+  return entries;
+}
+
+async function loadMeetingCalendar() {
+  return buildMeetingCalendar(await loadMeetingCalendarEntries());
+}
+
+/**
+ * GET meeting-calendar — 정모 취소·이동·추가 일정 + 현재 활성 모임
+ * query: month=YYYY-MM (생략 시 목록 없이 active 만)
+ */
+async function handleGetMeetingCalendar(req, res) {
+  try {
+    const monthKey = str(req.query.month).trim();
+    if (monthKey && !isValidMonthKey(monthKey)) {
+      return res.status(400).json({ ok: false, error: `invalid month (YYYY-MM): ${monthKey}` });
+    }
+    const entries = await loadMeetingCalendarEntries();
+    const calendar = buildMeetingCalendar(entries);
+    const active = resolveDefaultMeeting(new Date(), calendar);
+    const prefix = monthKey ? monthKey.replace("-", "/") + "/" : "";
+    const items = prefix
+      ? entries
+          .filter(
+            (e) =>
+              String(e.meetingDateKey || "").startsWith(prefix) ||
+              String(e.movedToDateKey || "").startsWith(prefix)
+          )
+          .sort((a, b) => String(a.meetingDateKey).localeCompare(String(b.meetingDateKey)))
+      : [];
+    return res.json({
+      ok: true,
+      month: monthKey || null,
+      items,
+      active,
+      possibleCount: monthKey ? countHeldMeetingsForMonth(calendar, monthKey) : null,
+    });
+  } catch (err) {
+    console.error("[meeting-calendar GET]", err);
+    return res.status(500).json({ ok: false, error: String(err.message || err) });
+  }
+}
+
+/**
+ * POST meeting-calendar — admin
+ * body: { entry: { meetingDate, meetingType, status, movedToDate?, label?, note? } } 또는 { deleteId }
+ * 운영진 세션 토큰(Authorization: Bearer 또는 body.adminToken) 필요
+ */
+async function handlePostMeetingCalendar(req, res) {
+  try {
+    let body = req.body || {};
+    if (typeof body === "string") {
+      try {
+        body = JSON.parse(body);
+      } catch (_) {
+        body = {};
+      }
+    }
+
+    const auth = await authorizeAdminRequest(req, "attendance");
+    if (!auth.ok) {
+      return res.status(auth.status).json({ ok: false, error: auth.error });
+    }
+
+    const deleteId = str(body.deleteId).trim();
+    if (deleteId) {
+      if (!/^\d{4}-\d{2}-\d{2}_(TUE|THU|SAT|ETC)$/.test(deleteId)) {
+        return res.status(400).json({ ok: false, error: `invalid deleteId: ${deleteId}` });
+      }
+      await db.collection(MEETING_CALENDAR_COLLECTION).doc(deleteId).delete();
+      meetingCalendarCache = null;
+      logAttendanceServerEvent("meeting_calendar_delete", { role: auth.role, actor: auth.username, id: deleteId });
+      return res.json({ ok: true, deleted: deleteId });
+    }
+
+    const normalized = normalizeCalendarEntry(body.entry);
+    if (normalized.error) {
+      return res.status(400).json({ ok: false, error: normalized.error });
+    }
+    const id = calendarDocId(normalized.entry.meetingDateKey, normalized.entry.meetingType);
+    const payload = {
+      ...normalized.entry,
+      updatedAt: new Date().toISOString(),
+      updatedByRole: auth.role,
+      updatedBy: auth.username,
+    };
+    await db.collection(MEETING_CALENDAR_COLLECTION).doc(id).set(payload);
+    meetingCalendarCache = null;
+    logAttendanceServerEvent("meeting_calendar_save", {
+      role: auth.role,
+      actor: auth.username,
+      id,
+      status: payload.status,
+      movedToDateKey: payload.movedToDateKey || null,
+    });
+    return res.json({ ok: true, item: { id, ...payload } });
+  } catch (err) {
+    console.error("[meeting-calendar POST]", err);
+    return res.status(500).json({ ok: false, error: String(err.message || err) });
+  }
+}
+
+exports.attendance = onRequest({ cors: true }, async (req, res) => {
+  // CORS 헤더 설정
+  res.set("Access-Control-Allow-Origin", "*");
+  res.set("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+  res.set("Access-Control-Allow-Headers", "Content-Type, Authorization");
+
+  if (req.method === "OPTIONS") {
+    return res.status(204).send("");
+  }
+
+  if (req.method === "POST") {
+    const action = str(req.query.action || "").trim();
+    if (action === "delete-attendance") {
+      return handleDeleteAttendance(req, res);
+    }
+    if (action === "admin-delete-attendance") {
+      return handleAdminDeleteAttendance(req, res);
+    }
+    if (action === "admin-deleted-attendance") {
+      return handleAdminDeletedAttendance(req, res);
+    }
+    if (action === "admin-restore-attendance") {
+      return handleAdminRestoreAttendance(req, res);
+    }
+    if (action === "meeting-training") {
+      return handlePostMeetingTraining(req, res);
+    }
+    if (action === "meeting-calendar") {
+      return handlePostMeetingCalendar(req, res);
+    }
+    if (action === "correction-request") {
+      return handlePostCorrectionRequest(req, res);
+    }
+    if (action === "run-log") {
+      return handlePostRunLog(req, res);
+    }
+    if (action === "admin-training-completion") {
+      return handleAdminTrainingCompletion(req, res);
+    }
+    if (action === "admin-correction-requests") {
+      return handleAdminListCorrections(req, res);
+    }
+    if (action === "admin-review-correction") {
+      return handleAdminReviewCorrection(req, res);
+    }
+    if (action === "retention") {
+      return handleAttendanceRetention(req, res);
+    }
+    if (action === "team-digest-settings") {
+      return handleTeamDigestSettings(req, res);
+    }
+    if (action === "team-digest-preview") {
+      return handleTeamDigestPreview(req, res);
+    }
+    if (action === "team-portal") {
+      return handleTeamPortal(req, res);
+    }
+    if (action === "team-member-note") {
+      return handleTeamMemberNote(req, res);
+    }
+    if (action === "admin-team-moves") {
+      return handleAdminTeamMoves(req, res);
+    }
+    if (action === "admin-review-team-move") {
+      return handleAdminReviewTeamMove(req, res);
+    }
+    if (action === "admin-guest-visits") {
+      return handleAdminGuestVisits(req, res);
+    }
+    if (action === "admin-convert-guest") {
+      return handleAdminConvertGuest(req, res);
+    }
+    if (action === "qr-settings" || action === "kiosk-pair") {
+      return handlePostAttendanceQr(req, res, action);
+    }
+    return handlePost(req, res);
+  }
+
+  if (req.method === "GET") {
+    return handleGet(req, res);
+  }
+
+  return res.status(405).json({ ok: false, error: "Method not allowed" });
+});
+
+/**
+ * attendance 쓰기 → attendance_member_stats/{memberId} 증감 (retention 사전 집계).
+ * 전체 재구축: scripts/rebuild-attendance-member-stats.js
+ */
+exports.attendanceMemberStats = onDocumentWritten(
+  { document: `${COLLECTION}/{docId}`, region: "asia-northeast3" },
+  async (event) => {
+    const before = event.data && event.data.before.exists ? event.data.before.data() : null;
+    const after = event.data && event.data.after.exists ? event.data.after.data() : null;
+    // 회원별로 묶어 한 트랜잭션에 — 재전달된 이벤트(event.id 이미 반영)는 applyMemberStatsEvent 가 건너뛴다
+    const byMember = new Map();
+    attendanceWriteDeltas(before, after).forEach((d) => {
+      byMember.set(d.memberId, [...(byMember.get(d.memberId) || []), d]);
+    });
+    for (const [memberId, deltas] of byMember) {
+      const ref = db.collection(MEMBER_STATS_COLLECTION).doc(memberId);
+      await db.runTransaction(async (tx) => {
+        const snap = await tx.get(ref);
+        const next = applyMemberStatsEvent(snap.exists ? snap.data() : null, memberId, event.id, deltas);
+        if (next) tx.set(ref, { ...next, updatedAt: new Date().toISOString() });
+      });
+    }
+  }
+);
+
+/**
+ * 팀장 주간 다이제스트 (월 09:00 KST) — team_digest_settings 수신자에게 팀별 메일
+ */
+exports.weeklyTeamDigest = onSchedule(
+  {
+    schedule: "0 9 * * 1",
+    timeZone: "Asia/Seoul",
+    timeoutSeconds: 120,
+    memory: "512MiB",
+    region: "asia-northeast3",
+  },
+  async () => {
+    try {
+      const results = await runWeeklyTeamDigest();
+      console.log(`[weeklyTeamDigest] 완료: 발송 ${results.filter((r) => r.emailSent).length}/${results.length}팀`);
+    } catch (err) {
+      console.error("[weeklyTeamDigest] error:", err);
+    }
+  }
+);
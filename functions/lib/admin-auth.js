@@ -0,0 +1,292 @@
+/**
+ * 운영진 계정·세션 — 공용 비밀번호 대신 이름 있는 계정(scrypt 해시) + 짧은 HMAC 서명 세션 토큰.
+ * race · attendance · chunbaek 운영진 액션은 모두 authorizeAdmin(db, req, capability) 하나로 검사한다.
+ *
+ * Collections
+ *  - admin_accounts/{username} → displayName, role, team, passwordHash, disabled, createdAt, updatedAt, updatedBy, lastLoginAt
+ *  - admin_sessions/{sessionId} → username, role, team, displayName, issuedAt, expiresAt, revokedAt, revokedBy, ua
+ *
+ * 토큰: a1.{sessionId}.{expiresAtMs}.{sig} — 서명·만료는 순수 검증, 폐기·계정 정지는 세션 문서로 판정.
+ * 역할·권한 매트릭스는 ROLE_CAPABILITIES 가 SSOT. 비밀키 ADMIN_SESSION_SECRET.
+ */
+
+const crypto = require("crypto");
+const { normalizeMemberTeam } = require("./member-team");
+
+const ADMIN_ACCOUNTS_COLLECTION = "admin_accounts";
+const ADMIN_SESSIONS_COLLECTION = "admin_sessions";
+const ADMIN_SESSION_TTL_MS = 12 * 3600000;
+const ADMIN_PASSWORD_MIN = 8;
+const ADMIN_ROLES = ["owner", "operator", "team_leader", "chunbaek_coach"];
+const ADMIN_ROLE_LABEL = {
+  owner: "오너",
+  operator: "운영진",
+  team_leader: "팀장",
+  chunbaek_coach: "춘백 코치",
+};
+
+/**
+ * capability
+ *  - ops: ops.html·단체 대회 소스/스크랩·데이터 정리 (오너 전용)
+ *  - accounts: 운영진 계정·세션 관리
+ *  - members: race 회원 추가·수정·퇴회, 대회 기록 입력 화면
+ *  - attendance: 출석 운영(삭제·복원·QR·정정·정모 일정·리텐션·다이제스트 등)
+ *  - team: 팀 단위 조회 (팀장은 자기 팀만)
+ *  - chunbaek: 춘백 운영
+ */
+const ROLE_CAPABILITIES = {
+  owner: ["ops", "accounts", "members", "attendance", "team", "chunbaek"],
+  operator: ["members", "attendance", "team", "chunbaek"],
+  team_leader: ["team"],
+  chunbaek_coach: ["chunbaek"],
+};
+
+const USERNAME_RE = /^[a-z0-9][a-z0-9._-]{2,31}$/;
+const SCRYPT_KEYLEN = 32;
+
+function b64url(buf) {
+  return Buffer.from(buf)
+    .toString("base64")
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
+
+function hmac(secret, payload) {
+  return b64url(crypto.createHmac("sha256", String(secret)).update(payload).digest()).slice(0, 32);
+}
+
+function safeEqual(a, b) {
+  const ba = Buffer.from(String(a));
+  const bb = Buffer.from(String(b));
+  return ba.length === bb.length && crypto.timingSafeEqual(ba, bb);
+}
+
+/** 서명 비밀키 — 운영은 ADMIN_SESSION_SECRET 필수, Functions 에뮬만 고정 키 허용 */
+function adminSessionSecret() {
+  if (process.env.ADMIN_SESSION_SECRET) return process.env.ADMIN_SESSION_SECRET;
+  return process.env.FUNCTIONS_EMULATOR === "true" ? "dmc-admin-session-emulator" : "";
+}
+
+function roleAllows(role, capability) {
+  return (ROLE_CAPABILITIES[role] || []).includes(capability);
+}
+
+function normalizeUsername(raw) {
+  return String(raw == null ? "" : raw).trim().toLowerCase();
+}
+
+/** scrypt 해시: s1${salt}${hash} */
+function hashAdminPassword(password, salt) {
+  const s = salt || b64url(crypto.randomBytes(16));
+  const hash = crypto.scryptSync(String(password), s, SCRYPT_KEYLEN);
+  return `s1$${s}$${b64url(hash)}`;
+}
+
+function verifyAdminPasswordHash(password, stored) {
+  const parts = String(stored || "").split("$");
+  if (parts.length !== 3 || parts[0] !== "s1" || !parts[1]) return false;
+  return safeEqual(hashAdminPassword(password, parts[1]), stored);
+}
+
+/**
+ * 계정 생성·수정 입력 검증. 새 계정은 비밀번호 필수, 수정 시 비밀번호는 바꿀 때만.
+ * @returns {{ ok: true, account: object, password: string }|{ ok: false, error: string }}
+ */
+function normalizeAdminAccountInput(raw, opts) {
+  const src = raw && typeof raw === "object" ? raw : {};
+  const isNew = !!(opts && opts.isNew);
+  const username = normalizeUsername(src.username);
+  if (!USERNAME_RE.test(username)) {
+    return { ok: false, error: "invalid username (3-32 chars, a-z 0-9 . _ -)" };
+  }
+  const role = String(src.role || "").trim().toLowerCase();
+  if (!ADMIN_ROLES.includes(role)) return { ok: false, error: `invalid role: ${role}` };
+  const team = role === "team_leader" ? normalizeMemberTeam(src.team) : "";
+  if (role === "team_leader" && !team) return { ok: false, error: "team required for team_leader" };
+  const password = src.password == null ? "" : String(src.password);
+  if ((isNew || password) && password.length < ADMIN_PASSWORD_MIN) {
+    return { ok: false, error: `password min ${ADMIN_PASSWORD_MIN} chars` };
+  }
+  return {
+    ok: true,
+    password,
+    account: {
+      username,
+      displayName: String(src.displayName == null ? "" : src.displayName).trim().slice(0, 40) || username,
+      role,
+      team,
+      disabled: src.disabled === true || src.disabled === "true",
+    },
+  };
+}
+
+function newAdminSessionId() {
+  return b64url(crypto.randomBytes(15));
+}
+
+/**
+ * @param {{ sessionId: string, nowMs: number, secret: string, ttlMs?: number }} p
+ */
+function issueAdminSessionToken(p) {
+  const expiresAtMs = Number(p.nowMs) + (p.ttlMs || ADMIN_SESSION_TTL_MS);
+  const payload = `a1.${p.sessionId}.${expiresAtMs}`;
+  return { token: `${payload}.${hmac(p.secret, payload)}`, expiresAtMs };
+}
+
+/**
+ * @returns {{ ok: true, sessionId: string, expiresAtMs: number }|{ ok: false, reason: "TOKEN_INVALID"|"TOKEN_EXPIRED" }}
+ */
+function verifyAdminSessionToken(token, opts) {
+  const m = String(token || "").match(/^a1\.([A-Za-z0-9_-]{8,64})\.(\d{10,16})\.([A-Za-z0-9_-]+)$/);
+  if (!m || !opts || !opts.secret) return { ok: false, reason: "TOKEN_INVALID" };
+  const payload = `a1.${m[1]}.${m[2]}`;
+  if (!safeEqual(hmac(opts.secret, payload), m[3])) return { ok: false, reason: "TOKEN_INVALID" };
+  const expiresAtMs = Number(m[2]);
+  if (Number(opts.nowMs) >= expiresAtMs) return { ok: false, reason: "TOKEN_EXPIRED" };
+  return { ok: true, sessionId: m[1], expiresAtMs };
+}
+
+/** Authorization: Bearer a1.… → body.adminToken (쿼리는 받지 않음 — URL 은 접속 로그·Referer 에 남는다) */
+function extractAdminToken(req) {
+  const header = String((req && req.headers && (req.headers.authorization || req.headers.Authorization)) || "");
+  const bearer = header.match(/^Bearer\s+(a1\.\S+)$/i);
+  if (bearer) return bearer[1];
+  let body = (req && req.body) || {};
+  if (typeof body === "string") {
+    try {
+      body = JSON.parse(body);
+    } catch (_) {
+      body = {};
+    }
+  }
+  return String(body.adminToken || "").trim();
+}
+
+/** 응답·로그용 계정 요약 (해시 제외) */
+function adminAccountSummary(username, data) {
+  const d = data || {};
+  return {
+    username,
+    displayName: d.displayName || username,
+    role: d.role || "",
+    roleLabel: ADMIN_ROLE_LABEL[d.role] || d.role || "",
+    team: d.team || "",
+    disabled: d.disabled === true,
+    lastLoginAt: d.lastLoginAt || "",
+    updatedAt: d.updatedAt || "",
+    updatedBy: d.updatedBy || "",
+  };
+}
+
+/**
+ * 로그인 — 계정 확인 후 세션 문서 생성.
+ * @returns {Promise<{ ok: true, token: string, expiresAt: string, account: object }|{ ok: false, status: number, error: string }>}
+ */
+async function loginAdmin(db, p) {
+  if (!p.secret) return { ok: false, status: 503, error: "ADMIN_SESSION_SECRET not set" };
+  const username = normalizeUsername(p.username);
+  const fail = { ok: false, status: 401, error: "invalid credentials" };
+  if (!USERNAME_RE.test(username) || !p.password) return fail;
+  const ref = db.collection(ADMIN_ACCOUNTS_COLLECTION).doc(username);
+  const snap = await ref.get();
+  const data = snap.exists ? snap.data() || {} : null;
+  if (!data || data.disabled === true || !verifyAdminPasswordHash(p.password, data.passwordHash)) return fail;
+
+  const nowMs = p.nowMs;
+  const sessionId = newAdminSessionId();
+  const issued = issueAdminSessionToken({ sessionId, nowMs, secret: p.secret });
+  const nowIso = new Date(nowMs).toISOString();
+  await db.collection(ADMIN_SESSIONS_COLLECTION).doc(sessionId).set({
+    username,
+    role: data.role,
+    team: data.team || "",
+    displayName: data.displayName || username,
+    issuedAt: nowIso,
+    expiresAt: new Date(issued.expiresAtMs).toISOString(),
+    revokedAt: "",
+    revokedBy: "",
+    ua: String(p.ua || "").slice(0, 200),
+  });
+  await ref.set({ lastLoginAt: nowIso }, { merge: true });
+  return {
+    ok: true,
+    token: issued.token,
+    expiresAt: new Date(issued.expiresAtMs).toISOString(),
+    account: adminAccountSummary(username, data),
+  };
+}
+
+/**
+ * 운영진 요청 검사 (미들웨어). 토큰 서명·만료 → 세션 문서(폐기 여부) → 역할 권한.
+ * @param {string} capability - ROLE_CAPABILITIES 값
+ * @returns {Promise<{ ok: true, username: string, role: string, team: string, displayName: string, sessionId: string }|{ ok: false, status: number, error: string }>}
+ */
+async function authorizeAdmin(db, req, capability, opts) {
+  const token = extractAdminToken(req);
+  if (!token) return { ok: false, status: 401, error: "ADMIN_SESSION_REQUIRED" };
+  const verified = verifyAdminSessionToken(token, opts);
+  if (!verified.ok) return { ok: false, status: 401, error: verified.reason };
+  const snap = await db.collection(ADMIN_SESSIONS_COLLECTION).doc(verified.sessionId).get();
+  const s = snap.exists ? snap.data() || {} : null;
+  if (!s || s.revokedAt) return { ok: false, status: 401, error: "SESSION_REVOKED" };
+  if (capability && !roleAllows(s.role, capability)) {
+    return { ok: false, status: 403, error: "FORBIDDEN_ROLE" };
+  }
+  return {
+    ok: true,
+    username: s.username,
+    role: s.role,
+    team: s.team || "",
+    displayName: s.displayName || s.username,
+    sessionId: verified.sessionId,
+  };
+}
+
+/**
+ * 세션 폐기 — sessionId 하나 또는 username 의 활성 세션 전부.
+ * @returns {Promise<number>} 폐기한 세션 수
+ */
+async function revokeAdminSessions(db, p) {
+  const nowIso = p.nowIso || new Date().toISOString();
+  const patch = { revokedAt: nowIso, revokedBy: p.revokedBy || "" };
+  if (p.sessionId) {
+    const ref = db.collection(ADMIN_SESSIONS_COLLECTION).doc(p.sessionId);
+    const snap = await ref.get();
+    if (!snap.exists || (snap.data() || {}).revokedAt) return 0;
+    await ref.set(patch, { merge: true });
+    return 1;
+  }
+  const snap = await db.collection(ADMIN_SESSIONS_COLLECTION).where("username", "==", normalizeUsername(p.username)).get();
+  const live = snap.docs.filter((doc) => !(doc.data() || {}).revokedAt && String(doc.data().expiresAt || "") > nowIso);
+  for (const doc of live) await doc.ref.set(patch, { merge: true });
+  return live.length;
+}
+
+/** 감사 로그·저장 필드용 행위자 */
+function adminActor(auth) {
+  return { actor: auth.username, role: auth.role };
+}
+
+module.exports = {
+  ADMIN_ACCOUNTS_COLLECTION,
+  ADMIN_SESSIONS_COLLECTION,
+  ADMIN_SESSION_TTL_MS,
+  ADMIN_ROLES,
+  ADMIN_ROLE_LABEL,
+  ROLE_CAPABILITIES,
+  adminSessionSecret,
+  roleAllows,
+  normalizeUsername,
+  hashAdminPassword,
+  verifyAdminPasswordHash,
+  normalizeAdminAccountInput,
+  issueAdminSessionToken,
+  verifyAdminSessionToken,
+  extractAdminToken,
+  adminAccountSummary,
+  loginAdmin,
+  authorizeAdmin,
+  revokeAdminSessions,
+  adminActor,
+};
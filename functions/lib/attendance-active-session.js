@@ -3,6 +3,8 @@
  * Pure functions — node --test friendly.
  */
 
+const { applyMeetingCalendar } = require("./meeting-calendar");
+
 function normalizeMeetingDateKey(raw) {
   const s = String(raw == null ? "" : raw).trim();
   if (/^\d{4}\/\d{2}\/\d{2}$/.test(s)) return s;
@@ -30,10 +32,13 @@ function meetingTypeForDateKey(dateKey) {
 }
 
 /**
+ * 요일 규칙 기본 모임. calendar(lib/meeting-calendar) 를 주면 취소·이동·추가 모임 반영 —
+ * 이때 반환값에 status(regular|moved|extra|cancelled)·label·note 가 붙는다.
  * @param {Date} [now]
- * @returns {{ dateKey: string, meetingType: string }}
+ * @param {object} [calendar]
+ * @returns {{ dateKey: string, meetingType: string, status?: string, label?: string, note?: string }}
  */
-function resolveDefaultMeeting(now) {
+function resolveDefaultMeeting(now, calendar) {
   now = now || new Date();
   const dow = new Intl.DateTimeFormat("en-US", {
     timeZone: "Asia/Seoul",
@@ -78,7 +83,17 @@ function resolveDefaultMeeting(now) {
   const y = kstDate.getFullYear();
   const mo = String(kstDate.getMonth() + 1).padStart(2, "0");
   const d = String(kstDate.getDate()).padStart(2, "0");
-  return { dateKey: `${y}/${mo}/${d}`, meetingType };
+  const base = { dateKey: `${y}/${mo}/${d}`, meetingType };
+  if (!calendar) return base;
+  const today = new Intl.DateTimeFormat("en-CA", {
+    timeZone: "Asia/Seoul",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  })
+    .format(now)
+    .replace(/-/g, "/");
+  return applyMeetingCalendar(base, calendar, today);
 }
 
 function isActiveSessionMatch(row, active) {
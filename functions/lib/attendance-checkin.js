@@ -0,0 +1,102 @@
+/**
+ * 출석 체크인(POST /attendance) 쓰기 헬퍼.
+ * 순수 함수 — node --test 친화적.
+ *
+ * clientRequestId: 키오스크 오프라인 큐가 생성하는 idempotency key.
+ * 같은 키로 재전송(replay)되면 attendance 문서를 새로 만들지 않는다.
+ *
+ * attendanceDocId: 정회원 출석 문서 ID를 (memberId|nicknameKey, 모임일, 유형)으로 고정.
+ * 빠른 연속 탭·키오스크+개인폰 동시 제출도 같은 문서 create 경합이 되어 하나만 저장된다.
+ */
+
+const crypto = require("crypto");
+
+const CHECKIN_KEY_COLLECTION = "attendance_checkin_keys";
+const CLIENT_REQUEST_ID_RE = /^[A-Za-z0-9_-]{8,64}$/;
+/** 오프라인 대기 시각 허용 범위 (과거 7일 ~ 미래 1분) */
+const QUEUED_AT_MAX_AGE_MS = 7 * 86400000;
+const QUEUED_AT_MAX_SKEW_MS = 60000;
+
+/**
+ * @param {unknown} raw
+ * @returns {string} 유효하면 키, 아니면 ""
+ */
+function normalizeClientRequestId(raw) {
+  const s = String(raw == null ? "" : raw).trim();
+  return CLIENT_REQUEST_ID_RE.test(s) ? s : "";
+}
+
+/**
+ * 키오스크가 큐에 넣은 시각(ms). 범위 밖이거나 숫자가 아니면 null.
+ * @param {unknown} raw
+ * @param {number} nowMs
+ * @returns {number|null}
+ */
+function normalizeQueuedAt(raw, nowMs) {
+  if (raw === undefined || raw === null || raw === "") return null;
+  const n = Number(raw);
+  if (!Number.isFinite(n)) return null;
+  if (n > nowMs + QUEUED_AT_MAX_SKEW_MS) return null;
+  if (n < nowMs - QUEUED_AT_MAX_AGE_MS) return null;
+  return Math.floor(n);
+}
+
+/**
+ * attendance_checkin_keys 문서 → POST 응답 written 재구성 (replay 응답용).
+ */
+function writtenFromCheckinKey(keyData) {
+  const d = keyData || {};
+  const w = d.written || {};
+  return {
+    nicknameStored: w.nicknameStored || "",
+    team: w.team || "",
+    teamLabel: w.teamLabel || "",
+    meetingType: w.meetingType || "",
+    meetingTypeLabel: w.meetingTypeLabel || "",
+    meetingDate: w.meetingDate || "",
+    timeText: w.timeText || "",
+  };
+}
+
+const MEMBER_ID_SAFE_RE = /^[A-Za-z0-9_-]{1,100}$/;
+
+/**
+ * 결정적 attendance 문서 ID.
+ * - memberId 있음: m_{memberId}_{YYYYMMDD}_{TYPE}
+ * - 없음: n_{sha256(nicknameKey) 앞 16자}_{YYYYMMDD}_{TYPE}
+ * 게스트·test_ 닉네임은 같은 날 중복 허용이므로 null (랜덤 ID 사용).
+ * memberId 에 '/' 등 문서 ID로 쓸 수 없는 문자가 있으면 해시로 대체.
+ *
+ * @param {{ memberId?: string|null, nicknameKey?: string, meetingDateKey: string, meetingType: string, isGuest?: boolean }} p
+ * @returns {string|null}
+ */
+function attendanceDocId(p) {
+  const o = p || {};
+  if (o.isGuest === true) return null;
+  const nicknameKey = String(o.nicknameKey || "").trim().toLowerCase();
+  if (nicknameKey.startsWith("test_")) return null;
+  const dateCompact = String(o.meetingDateKey || "").replace(/\//g, "");
+  const type = String(o.meetingType || "").trim().toUpperCase();
+  if (!/^\d{8}$/.test(dateCompact) || !type) return null;
+
+  const memberId = String(o.memberId || "").trim();
+  if (memberId) {
+    const idPart = MEMBER_ID_SAFE_RE.test(memberId) ? memberId : shortHash(memberId);
+    return `m_${idPart}_${dateCompact}_${type}`;
+  }
+  if (!nicknameKey) return null;
+  return `n_${shortHash(nicknameKey)}_${dateCompact}_${type}`;
+}
+
+function shortHash(s) {
+  return crypto.createHash("sha256").update(String(s)).digest("hex").slice(0, 16);
+}
+
+module.exports = {
+  CHECKIN_KEY_COLLECTION,
+  QUEUED_AT_MAX_AGE_MS,
+  normalizeClientRequestId,
+  normalizeQueuedAt,
+  writtenFromCheckinKey,
+  attendanceDocId,
+};
@@ -0,0 +1,116 @@
+/**
+ * 출석 누락 정정 신청 — 회원이 개인 화면에서 "출석 체크를 못 했다"고 상신,
+ * 운영진 승인 시 attendance 문서(source: "correction") 생성 / 반려 시 메모.
+ * chunbaek-exception-requests 와 같은 pending → approved|rejected 흐름 (정모용).
+ * 순수 함수 — node --test 친화적.
+ */
+
+const { isSessionHeld, shiftDateKey } = require("./meeting-calendar");
+
+const CORRECTION_COLLECTION = "attendance_correction_requests";
+const CORRECTION_REASON_MAX = 200;
+const CORRECTION_NOTE_MAX = 200;
+/** 오늘 포함 14일 이내 모임만 신청 가능 */
+const CORRECTION_LOOKBACK_DAYS = 14;
+const CORRECTION_STATUSES = ["pending", "approved", "rejected"];
+const CORRECTION_TYPES = ["TUE", "THU", "SAT", "ETC"];
+
+function normalizeDateKey(raw) {
+  const s = String(raw == null ? "" : raw).trim();
+  if (/^\d{4}\/\d{2}\/\d{2}$/.test(s)) return s;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(s)) return s.replace(/-/g, "/");
+  return "";
+}
+
+/**
+ * @param {{ meetingDate: string, meetingType: string, reason: string, todayKey: string, calendar?: object }} opts
+ *   todayKey: KST 오늘 YYYY/MM/DD, calendar: buildMeetingCalendar 결과(없으면 요일 정모만)
+ * @returns {{ ok: true, meetingDateKey: string, meetingType: string, reason: string }|{ ok: false, error: string }}
+ */
+function validateCorrectionRequestInput(opts) {
+  const reason = String(opts.reason == null ? "" : opts.reason).trim();
+  const meetingDateKey = normalizeDateKey(opts.meetingDate);
+  const meetingType = String(opts.meetingType || "").trim().toUpperCase();
+  const todayKey = normalizeDateKey(opts.todayKey);
+  if (!reason || reason.length > CORRECTION_REASON_MAX) {
+    return { ok: false, error: "reason required (1-200 chars)" };
+  }
+  if (!meetingDateKey || !shiftDateKey(meetingDateKey, 0)) {
+    return { ok: false, error: "invalid meetingDate (YYYY/MM/DD)" };
+  }
+  if (!CORRECTION_TYPES.includes(meetingType)) {
+    return { ok: false, error: `invalid meetingType: ${meetingType}` };
+  }
+  if (!todayKey) return { ok: false, error: "invalid today" };
+  if (meetingDateKey > todayKey) {
+    return { ok: false, error: "meetingDate in the future" };
+  }
+  if (meetingDateKey < shiftDateKey(todayKey, -(CORRECTION_LOOKBACK_DAYS - 1))) {
+    return { ok: false, error: "meetingDate outside 14-day lookback" };
+  }
+  if (!isSessionHeld(opts.calendar || null, meetingDateKey, meetingType)) {
+    return { ok: false, error: "no meeting held on that date" };
+  }
+  return { ok: true, meetingDateKey, meetingType, reason };
+}
+
+/** 같은 회원·같은 모임에 대기 중 신청이 있는가 */
+function hasPendingCorrection(requests, meetingDateKey, meetingType) {
+  return (requests || []).some(
+    (r) =>
+      r &&
+      r.status === "pending" &&
+      r.meetingDateKey === meetingDateKey &&
+      String(r.meetingType || "").toUpperCase() === meetingType
+  );
+}
+
+/**
+ * @returns {{ ok: true, decision: "approve"|"reject", reviewNote: string }|{ ok: false, error: string }}
+ */
+function normalizeCorrectionReview(body) {
+  const src = body || {};
+  const decision = String(src.decision || "").trim().toLowerCase();
+  if (decision !== "approve" && decision !== "reject") {
+    return { ok: false, error: "invalid decision" };
+  }
+  return {
+    ok: true,
+    decision,
+    reviewNote: String(src.reviewNote == null ? "" : src.reviewNote).trim().slice(0, CORRECTION_NOTE_MAX),
+  };
+}
+
+function parseCorrectionStatusFilter(raw) {
+  const status = String(raw || "pending").trim().toLowerCase();
+  if (!CORRECTION_STATUSES.includes(status)) {
+    return { ok: false, error: `invalid status: ${status}` };
+  }
+  return { ok: true, status };
+}
+
+function createdAtMs(v) {
+  if (!v) return 0;
+  if (typeof v.toMillis === "function") return v.toMillis();
+  if (typeof v.toDate === "function") return v.toDate().getTime();
+  const parsed = Date.parse(String(v));
+  return Number.isFinite(parsed) ? parsed : 0;
+}
+
+/** 최신 신청 먼저 — 인덱스 없이 메모리 정렬 (건수 적음) */
+function sortCorrectionsNewestFirst(rows) {
+  return (rows || []).slice().sort((a, b) => createdAtMs(b.createdAt) - createdAtMs(a.createdAt));
+}
+
+module.exports = {
+  CORRECTION_COLLECTION,
+  CORRECTION_REASON_MAX,
+  CORRECTION_NOTE_MAX,
+  CORRECTION_LOOKBACK_DAYS,
+  CORRECTION_STATUSES,
+  validateCorrectionRequestInput,
+  hasPendingCorrection,
+  normalizeCorrectionReview,
+  parseCorrectionStatusFilter,
+  sortCorrectionsNewestFirst,
+};
@@ -0,0 +1,105 @@
+/**
+ * 게스트 → 정회원 전환 — 출석 명부 외(GUEST) 출석을 새 회원 memberId 로 재연결.
+ * 게스트 문서는 랜덤 ID 라서 전환 시 결정적 ID(attendanceDocId)로 옮기고 원본은 삭제한다.
+ * 순수 함수 — node --test 친화적.
+ */
+
+const { attendanceDocId } = require("./attendance-checkin");
+
+/** 최근 게스트 목록 조회 기간 기본값 */
+const GUEST_LOOKBACK_DAYS = 180;
+
+function guestKey(d) {
+  return String(d.nicknameKey || d.nickname || "").trim().toLowerCase();
+}
+
+/**
+ * 게스트 출석 문서들 → 닉네임별 방문 요약 (최근 방문순).
+ * @param {Array<{ id: string, data: object }>} docs - isGuest: true 출석 문서
+ * @returns {Array<{ nickname: string, nicknameKey: string, visits: number, firstDateKey: string, lastDateKey: string }>}
+ */
+function summarizeGuestVisits(docs) {
+  const byKey = new Map();
+  (docs || []).forEach(({ data }) => {
+    const d = data || {};
+    const key = guestKey(d);
+    if (!key || key.startsWith("test_") || d.memberId) return;
+    const dateKey = String(d.meetingDateKey || "");
+    const row = byKey.get(key) || {
+      nickname: String(d.nickname || "").trim(),
+      nicknameKey: key,
+      visits: 0,
+      firstDateKey: dateKey,
+      lastDateKey: dateKey,
+    };
+    row.visits++;
+    if (dateKey && (!row.firstDateKey || dateKey < row.firstDateKey)) row.firstDateKey = dateKey;
+    if (dateKey > row.lastDateKey) {
+      row.lastDateKey = dateKey;
+      row.nickname = String(d.nickname || row.nickname).trim();
+    }
+    byKey.set(key, row);
+  });
+  return [...byKey.values()].sort(
+    (a, b) => b.lastDateKey.localeCompare(a.lastDateKey) || b.visits - a.visits || a.nickname.localeCompare(b.nickname)
+  );
+}
+
+/**
+ * 재연결 계획. 같은 날 이미 회원 출석이 있거나 게스트 방문이 같은 날 2건 이상이면 그 건은 건너뜀.
+ * @param {Array<{ id: string, data: object }>} guestDocs - 해당 게스트 닉네임의 출석 문서
+ * @param {{ memberId: string, nickname: string, team: string, teamLabel: string }} member
+ * @param {Set<string>|Array<string>} memberDateKeys - 이 회원이 이미 출석한 meetingDateKey
+ * @returns {{ moves: Array<{ fromId: string, toId: string, data: object }>, skipped: Array<{ id: string, meetingDateKey: string, reason: string }> }}
+ */
+function buildGuestRelinkPlan(guestDocs, member, memberDateKeys) {
+  const taken = new Set(memberDateKeys || []);
+  const nicknameKey = String(member.nickname || "").trim().toLowerCase();
+  const moves = [];
+  const skipped = [];
+  (guestDocs || [])
+    .slice()
+    .sort((a, b) => (Number(a.data.ts) || 0) - (Number(b.data.ts) || 0))
+    .forEach(({ id, data }) => {
+      const d = data || {};
+      const meetingDateKey = String(d.meetingDateKey || "");
+      if (taken.has(meetingDateKey)) {
+        skipped.push({ id, meetingDateKey, reason: "MEMBER_ALREADY_CHECKED_IN" });
+        return;
+      }
+      const toId = attendanceDocId({
+        memberId: member.memberId,
+        nicknameKey,
+        meetingDateKey,
+        meetingType: d.meetingType,
+        isGuest: false,
+      });
+      if (!toId) {
+        skipped.push({ id, meetingDateKey, reason: "INVALID_ATTENDANCE" });
+        return;
+      }
+      taken.add(meetingDateKey);
+      moves.push({
+        fromId: id,
+        toId,
+        data: {
+          ...d,
+          nickname: member.nickname,
+          nicknameKey,
+          memberId: member.memberId,
+          team: member.team,
+          teamLabel: member.teamLabel,
+          isGuest: false,
+          guestNickname: d.nickname || "",
+          convertedFromGuest: true,
+        },
+      });
+    });
+  return { moves, skipped };
+}
+
+module.exports = {
+  GUEST_LOOKBACK_DAYS,
+  summarizeGuestVisits,
+  buildGuestRelinkPlan,
+};
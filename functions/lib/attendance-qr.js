@@ -0,0 +1,186 @@
+/**
+ * 출석 QR 토큰 — 키오스크 화면에 1분마다 바뀌는 HMAC 서명 토큰을 띄우고,
+ * QR 필수 정모에서는 handlePost 가 유효 토큰(또는 운영진 예외)만 받는다.
+ * 순수 함수 — node --test 친화적.
+ *
+ * 토큰: q1.{YYYYMMDD}.{TYPE}.{windowIndex}.{sig}
+ * 키오스크 키: k1.{issuedAtMs}.{sig} — 운영진 비밀번호로 기기 등록 시 발급, 토큰 발급 API 인증용.
+ *
+ * QR 필수 설정 (attendance_qr_settings): {TYPE} = 정모 유형 기본, {YYYYMMDD}_{TYPE} = 그 정모 한 번만 (유형 기본보다 우선).
+ */
+
+const crypto = require("crypto");
+
+const QR_SETTINGS_COLLECTION = "attendance_qr_settings";
+const QR_WINDOW_MS = 60000;
+/** 스캔 후 이름 선택까지 여유: 직전 2개 창 + 시계 오차로 다음 1개 창 */
+const QR_GRACE_WINDOWS = 2;
+const QR_FUTURE_WINDOWS = 1;
+const KIOSK_KEY_TTL_MS = 180 * 86400000;
+const QR_TYPES = ["TUE", "THU", "SAT", "ETC"];
+
+function hmac(secret, payload) {
+  return crypto
+    .createHmac("sha256", String(secret))
+    .update(payload)
+    .digest("base64")
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "")
+    .slice(0, 22);
+}
+
+function safeEqual(a, b) {
+  const ba = Buffer.from(String(a));
+  const bb = Buffer.from(String(b));
+  return ba.length === bb.length && crypto.timingSafeEqual(ba, bb);
+}
+
+function compactDate(meetingDateKey) {
+  const s = String(meetingDateKey || "").replace(/\//g, "");
+  return /^\d{8}$/.test(s) ? s : "";
+}
+
+function qrWindowIndex(nowMs) {
+  return Math.floor(Number(nowMs) / QR_WINDOW_MS);
+}
+
+/**
+ * @param {{ meetingDateKey: string, meetingType: string, nowMs: number, secret: string }} p
+ * @returns {{ token: string, windowIndex: number, expiresAtMs: number }|null}
+ */
+function issueQrToken(p) {
+  const date = compactDate(p.meetingDateKey);
+  const type = String(p.meetingType || "").trim().toUpperCase();
+  if (!date || !QR_TYPES.includes(type)) return null;
+  const windowIndex = qrWindowIndex(p.nowMs);
+  const payload = `q1.${date}.${type}.${windowIndex}`;
+  return {
+    token: `${payload}.${hmac(p.secret, payload)}`,
+    windowIndex,
+    expiresAtMs: (windowIndex + 1) * QR_WINDOW_MS,
+  };
+}
+
+/**
+ * @param {string} token
+ * @param {{ meetingDateKey: string, meetingType: string, atMs: number, secret: string }} p
+ * @returns {{ ok: true }|{ ok: false, reason: string }}
+ *   reason: QR_TOKEN_REQUIRED | QR_TOKEN_MALFORMED | QR_TOKEN_INVALID | QR_TOKEN_MISMATCH | QR_TOKEN_EXPIRED
+ */
+function verifyQrToken(token, p) {
+  const raw = String(token == null ? "" : token).trim();
+  if (!raw) return { ok: false, reason: "QR_TOKEN_REQUIRED" };
+  const m = raw.match(/^q1\.(\d{8})\.([A-Z]{3})\.(\d{1,12})\.([A-Za-z0-9_-]{22})$/);
+  if (!m) return { ok: false, reason: "QR_TOKEN_MALFORMED" };
+  if (!p.secret) return { ok: false, reason: "QR_TOKEN_INVALID" };
+  const payload = `q1.${m[1]}.${m[2]}.${m[3]}`;
+  if (!safeEqual(hmac(p.secret, payload), m[4])) return { ok: false, reason: "QR_TOKEN_INVALID" };
+  const type = String(p.meetingType || "").trim().toUpperCase();
+  if (m[1] !== compactDate(p.meetingDateKey) || m[2] !== type) {
+    return { ok: false, reason: "QR_TOKEN_MISMATCH" };
+  }
+  const diff = qrWindowIndex(p.atMs) - Number(m[3]);
+  if (diff > QR_GRACE_WINDOWS || diff < -QR_FUTURE_WINDOWS) {
+    return { ok: false, reason: "QR_TOKEN_EXPIRED" };
+  }
+  return { ok: true };
+}
+
+function issueKioskKey(p) {
+  const issuedAt = Math.floor(Number(p.nowMs));
+  const payload = `k1.${issuedAt}`;
+  return {
+    kioskKey: `${payload}.${hmac(p.secret, payload)}`,
+    expiresAtMs: issuedAt + KIOSK_KEY_TTL_MS,
+  };
+}
+
+/**
+ * @returns {{ ok: true, issuedAtMs: number }|{ ok: false, reason: string }}
+ */
+function verifyKioskKey(kioskKey, p) {
+  const m = String(kioskKey == null ? "" : kioskKey)
+    .trim()
+    .match(/^k1\.(\d{1,15})\.([A-Za-z0-9_-]{22})$/);
+  if (!m) return { ok: false, reason: "KIOSK_KEY_REQUIRED" };
+  if (!p.secret) return { ok: false, reason: "KIOSK_KEY_INVALID" };
+  if (!safeEqual(hmac(p.secret, `k1.${m[1]}`), m[2])) return { ok: false, reason: "KIOSK_KEY_INVALID" };
+  const issuedAtMs = Number(m[1]);
+  if (issuedAtMs > p.nowMs + 60000 || p.nowMs - issuedAtMs > KIOSK_KEY_TTL_MS) {
+    return { ok: false, reason: "KIOSK_KEY_EXPIRED" };
+  }
+  return { ok: true, issuedAtMs };
+}
+
+/**
+ * QR 토큰 유효기간을 볼 시각 — 기본은 서버 시각.
+ * 오프라인 큐 재전송(clientRequestId + queuedAt)은 유효한 키오스크 키를 함께 보낸 경우에만 queuedAt 기준
+ * (그 시각 ± 유예 창은 verifyQrToken 이 본다). 키 발급 전 시각은 받지 않는다.
+ * @param {{ nowMs: number, queuedAt: number|null, replay: boolean, kioskKey?: string, secret: string }} p
+ * @returns {number}
+ */
+function qrTokenCheckTime(p) {
+  if (!p.replay || !p.queuedAt || p.queuedAt >= p.nowMs) return p.nowMs;
+  const key = verifyKioskKey(p.kioskKey, { nowMs: p.nowMs, secret: p.secret });
+  if (!key.ok || p.queuedAt < key.issuedAtMs) return p.nowMs;
+  return p.queuedAt;
+}
+
+/** 정모 한 번 설정 문서 ID — {YYYYMMDD}_{TYPE}, 날짜·유형이 잘못되면 "" */
+function qrMeetingSettingsId(meetingDateKey, meetingType) {
+  const date = compactDate(meetingDateKey);
+  const type = String(meetingType || "").trim().toUpperCase();
+  return date && QR_TYPES.includes(type) ? `${date}_${type}` : "";
+}
+
+/**
+ * 이 정모가 QR 필수인지 — 정모 한 번 설정이 있으면 그것, 없으면 유형 기본
+ * @param {object|null} typeData - attendance_qr_settings/{TYPE}
+ * @param {object|null} meetingData - attendance_qr_settings/{YYYYMMDD}_{TYPE}
+ * @returns {{ required: boolean, source: "meeting"|"type" }}
+ */
+function resolveQrRequired(typeData, meetingData) {
+  if (meetingData && typeof meetingData.required === "boolean") {
+    return { required: meetingData.required, source: "meeting" };
+  }
+  return { required: !!typeData && typeData.required === true, source: "type" };
+}
+
+/**
+ * attendance_qr_settings/{TYPE} 문서들 → { TUE: { required }, ... } (없으면 false)
+ * @param {Array<{ id: string, data: object }>} docs
+ */
+function normalizeQrSettings(docs) {
+  const out = {};
+  QR_TYPES.forEach((t) => {
+    out[t] = { required: false, updatedAt: null, updatedByRole: null };
+  });
+  (docs || []).forEach((d) => {
+    const type = String(d && d.id).toUpperCase();
+    if (!out[type]) return;
+    const data = (d && d.data) || {};
+    out[type] = {
+      required: data.required === true,
+      updatedAt: data.updatedAt || null,
+      updatedByRole: data.updatedByRole || null,
+    };
+  });
+  return out;
+}
+
+module.exports = {
+  QR_SETTINGS_COLLECTION,
+  QR_WINDOW_MS,
+  QR_TYPES,
+  KIOSK_KEY_TTL_MS,
+  qrWindowIndex,
+  issueQrToken,
+  verifyQrToken,
+  issueKioskKey,
+  verifyKioskKey,
+  qrTokenCheckTime,
+  qrMeetingSettingsId,
+  resolveQrRequired,
+  normalizeQrSettings,
+};
@@ -0,0 +1,282 @@
+/**
+ * 출석 리텐션·이탈 분석 — 회원별 사전 집계(attendance_member_stats)에서 계산.
+ * 집계 문서: { memberId, nickname, team, dates: { YYYYMMDD: 출석 수 }, firstDateKey, lastDateKey, total }
+ * attendance 쓰기 트리거가 dates 를 증감하므로 조회 시 attendance 전체 스캔이 없다 (재전달 중복은 eventIds 로 거른다).
+ * 순수 함수 — node --test 친화적.
+ */
+
+const { isClubMeetingDate, shiftDateKey } = require("./meeting-calendar");
+
+const MEMBER_STATS_COLLECTION = "attendance_member_stats";
+const RATE_WINDOWS_WEEKS = [4, 8, 12];
+/** 3주 이상 결석 → 이탈 위험, 12주 이상 → 이탈 */
+const AT_RISK_ABSENT_DAYS = 21;
+const CHURNED_ABSENT_DAYS = 84;
+/** 마지막 출석 전 12주 안에 6회 이상 출석했으면 "꾸준히 오던 회원" */
+const REGULAR_WINDOW_DAYS = 84;
+const REGULAR_MIN_SESSIONS = 6;
+/** 이탈 위험 목록에서 1년 넘게 안 온 회원은 제외 */
+const AT_RISK_MAX_ABSENT_DAYS = 365;
+/** 트리거 재전달 중복 반영 방지 — 회원 집계에 남기는 최근 이벤트 ID 수 */
+const MEMBER_STATS_EVENT_IDS_KEPT = 50;
+
+function isDateKey(dateKey) {
+  return /^\d{4}\/\d{2}\/\d{2}$/.test(String(dateKey || ""));
+}
+
+function compactDateKey(dateKey) {
+  return isDateKey(dateKey) ? String(dateKey).replace(/\//g, "") : "";
+}
+
+function expandDateKey(compact) {
+  const m = String(compact || "").match(/^(\d{4})(\d{2})(\d{2})$/);
+  return m ? `${m[1]}/${m[2]}/${m[3]}` : "";
+}
+
+function daysBetween(fromKey, toKey) {
+  const [fy, fm, fd] = fromKey.split("/").map(Number);
+  const [ty, tm, td] = toKey.split("/").map(Number);
+  return Math.round((Date.UTC(ty, tm - 1, td) - Date.UTC(fy, fm - 1, fd)) / 86400000);
+}
+
+function monthKeyOf(dateKey) {
+  return String(dateKey).slice(0, 7).replace("/", "-");
+}
+
+function shiftMonthKey(monthKey, delta) {
+  const [y, m] = monthKey.split("-").map(Number);
+  const d = new Date(Date.UTC(y, m - 1 + delta, 1));
+  return `${d.getUTCFullYear()}-${String(d.getUTCMonth() + 1).padStart(2, "0")}`;
+}
+
+/** 집계 대상 출석인가 — 정회원(memberId, 게스트 아님)·유효 날짜만 */
+function memberAttendanceKey(data) {
+  if (!data || data.isGuest === true) return null;
+  const memberId = String(data.memberId || "").trim();
+  const dateKey = String(data.meetingDateKey || "");
+  if (!memberId || !isDateKey(dateKey)) return null;
+  return { memberId, dateKey };
+}
+
+function emptyMemberStats(memberId) {
+  return { memberId, nickname: "", team: "", dates: {}, firstDateKey: "", lastDateKey: "", total: 0 };
+}
+
+/**
+ * 회원 집계에 출석 1건 증감.
+ * @param {object|null} stats - 기존 집계 (없으면 새로)
+ * @param {string} dateKey - YYYY/MM/DD
+ * @param {number} delta - +1 | -1
+ * @param {{ nickname?: string, team?: string }} [meta] - 최신 닉네임·팀 (추가 시)
+ */
+function adjustMemberStats(stats, memberId, dateKey, delta, meta) {
+  const base = stats ? { ...emptyMemberStats(memberId), ...stats } : emptyMemberStats(memberId);
+  const dates = { ...(base.dates || {}) };
+  const key = compactDateKey(dateKey);
+  if (key) {
+    const next = (Number(dates[key]) || 0) + delta;
+    if (next > 0) dates[key] = next;
+    else delete dates[key];
+  }
+  const keys = Object.keys(dates).sort();
+  const out = {
+    ...base,
+    dates,
+    firstDateKey: keys.length ? expandDateKey(keys[0]) : "",
+    lastDateKey: keys.length ? expandDateKey(keys[keys.length - 1]) : "",
+    total: keys.reduce((sum, k) => sum + (Number(dates[k]) || 0), 0),
+  };
+  if (meta && meta.nickname) out.nickname = meta.nickname;
+  if (meta && meta.team) out.team = meta.team;
+  return out;
+}
+
+/**
+ * attendance 문서 변경(before → after) → 회원별 증감 목록.
+ * @returns {Array<{ memberId: string, dateKey: string, delta: number, meta?: object }>}
+ */
+function attendanceWriteDeltas(before, after) {
+  const b = memberAttendanceKey(before);
+  const a = memberAttendanceKey(after);
+  if (b && a && b.memberId === a.memberId && b.dateKey === a.dateKey) {
+    return [{ memberId: a.memberId, dateKey: a.dateKey, delta: 0, meta: { nickname: after.nickname, team: after.team } }];
+  }
+  const out = [];
+  if (b) out.push({ memberId: b.memberId, dateKey: b.dateKey, delta: -1 });
+  if (a) out.push({ memberId: a.memberId, dateKey: a.dateKey, delta: 1, meta: { nickname: after.nickname, team: after.team } });
+  return out;
+}
+
+/**
+ * 트리거 이벤트 한 건의 한 회원 증감 반영. Firestore 트리거는 최소 1회 전달이라
+ * 반영한 event.id 를 집계 문서(eventIds, 최근 MEMBER_STATS_EVENT_IDS_KEPT 개)에 남기고 같은 ID 는 건너뛴다.
+ * @param {object|null} stats
+ * @param {string} memberId
+ * @param {string} eventId - 트리거 event.id
+ * @param {Array<{ dateKey: string, delta: number, meta?: object }>} deltas - 이 회원 몫 (attendanceWriteDeltas)
+ * @returns {object|null} 새 집계, 이미 반영한 이벤트면 null
+ */
+function applyMemberStatsEvent(stats, memberId, eventId, deltas) {
+  const seen = stats && Array.isArray(stats.eventIds) ? stats.eventIds : [];
+  if (seen.includes(eventId)) return null;
+  const next = (deltas || []).reduce(
+    (acc, d) => adjustMemberStats(acc, memberId, d.dateKey, d.delta, d.meta),
+    stats
+  ) || emptyMemberStats(memberId);
+  return { ...next, eventIds: [...seen, eventId].slice(-MEMBER_STATS_EVENT_IDS_KEPT) };
+}
+
+/** 전체 attendance 데이터 → memberId → 집계 (재구축 스크립트용) */
+function buildMemberStatsFromAttendance(rows) {
+  const byMember = new Map();
+  (rows || [])
+    .slice()
+    .sort((x, y) => (Number(x.ts) || 0) - (Number(y.ts) || 0))
+    .forEach((data) => {
+      const ref = memberAttendanceKey(data);
+      if (!ref) return;
+      byMember.set(
+        ref.memberId,
+        adjustMemberStats(byMember.get(ref.memberId), ref.memberId, ref.dateKey, 1, {
+          nickname: data.nickname,
+          team: data.team,
+        })
+      );
+    });
+  return byMember;
+}
+
+function attendedDateKeys(stats) {
+  return Object.keys((stats && stats.dates) || {})
+    .filter((k) => Number(stats.dates[k]) > 0)
+    .map(expandDateKey)
+    .filter(Boolean)
+    .sort();
+}
+
+/** todayKey 포함 최근 days 일 중 정모일(취소 제외·이동 포함) 수 */
+function heldClubMeetingsInWindow(todayKey, days, calendar) {
+  let cnt = 0;
+  for (let i = 0; i < days; i++) {
+    if (isClubMeetingDate(calendar || null, shiftDateKey(todayKey, -i))) cnt++;
+  }
+  return cnt;
+}
+
+/**
+ * 회원 1명 리텐션 행.
+ * @param {object} stats - attendance_member_stats 문서
+ * @param {string} todayKey - KST 오늘 YYYY/MM/DD
+ * @param {Record<number, number>} heldByWeeks - { 4: 정모 수, 8: ..., 12: ... }
+ */
+function memberRetentionRow(stats, todayKey, heldByWeeks) {
+  const dates = attendedDateKeys(stats);
+  const last = dates.length ? dates[dates.length - 1] : "";
+  const rates = {};
+  RATE_WINDOWS_WEEKS.forEach((weeks) => {
+    const from = shiftDateKey(todayKey, -(weeks * 7 - 1));
+    const attended = dates.filter((d) => d >= from && d <= todayKey).length;
+    const held = heldByWeeks[weeks] || 0;
+    rates[`rate${weeks}w`] = held > 0 ? Math.min(100, Math.round((attended / held) * 100)) : 0;
+  });
+  const daysSinceLast = last ? daysBetween(last, todayKey) : null;
+  const regularFrom = last ? shiftDateKey(last, -(REGULAR_WINDOW_DAYS - 1)) : "";
+  const regular = !!last && dates.filter((d) => d >= regularFrom && d <= last).length >= REGULAR_MIN_SESSIONS;
+  let status = "none";
+  if (daysSinceLast != null) {
+    status = daysSinceLast >= CHURNED_ABSENT_DAYS ? "churned" : daysSinceLast >= AT_RISK_ABSENT_DAYS ? "at_risk" : "active";
+  }
+  return {
+    memberId: stats.memberId,
+    nickname: stats.nickname || "",
+    team: stats.team || "",
+    firstDateKey: dates[0] || "",
+    lastDateKey: last,
+    total: dates.length,
+    daysSinceLast,
+    regular,
+    status,
+    ...rates,
+  };
+}
+
+/**
+ * 가입(첫 출석) 월 코호트별 월 리텐션 — retention[k] = 코호트 중 k개월 뒤 1회 이상 출석 비율(%).
+ * @param {Array<object>} statsList
+ * @param {string} todayKey
+ * @param {number} months - 최근 몇 개 코호트
+ */
+function computeCohortRetention(statsList, todayKey, months) {
+  const currentMonth = monthKeyOf(todayKey);
+  const oldest = shiftMonthKey(currentMonth, -(months - 1));
+  const cohorts = new Map();
+  (statsList || []).forEach((stats) => {
+    const dates = attendedDateKeys(stats);
+    if (!dates.length) return;
+    const cohort = monthKeyOf(dates[0]);
+    if (cohort < oldest || cohort > currentMonth) return;
+    const active = new Set(dates.map(monthKeyOf));
+    if (!cohorts.has(cohort)) cohorts.set(cohort, []);
+    cohorts.get(cohort).push(active);
+  });
+  return [...cohorts.keys()].sort().map((cohort) => {
+    const members = cohorts.get(cohort);
+    const retention = [];
+    for (let k = 0, m = cohort; m <= currentMonth; k++, m = shiftMonthKey(cohort, k)) {
+      const cnt = members.filter((active) => active.has(m)).length;
+      retention.push(Math.round((cnt / members.length) * 100));
+    }
+    return { month: cohort, size: members.length, retention };
+  });
+}
+
+/**
+ * retention 응답 본문.
+ * @param {{ statsList: Array<object>, hiddenIds?: Set<string>, todayKey: string, calendar?: object, months?: number }} p
+ */
+function computeRetentionReport(p) {
+  const hidden = p.hiddenIds || new Set();
+  const statsList = (p.statsList || []).filter((s) => s && s.memberId && !hidden.has(s.memberId));
+  const heldByWeeks = {};
+  RATE_WINDOWS_WEEKS.forEach((weeks) => {
+    heldByWeeks[weeks] = heldClubMeetingsInWindow(p.todayKey, weeks * 7, p.calendar);
+  });
+  const members = statsList
+    .map((s) => memberRetentionRow(s, p.todayKey, heldByWeeks))
+    .filter((r) => r.lastDateKey)
+    .sort((a, b) => a.nickname.localeCompare(b.nickname));
+  const atRisk = members
+    .filter((r) => r.regular && r.daysSinceLast >= AT_RISK_ABSENT_DAYS && r.daysSinceLast <= AT_RISK_MAX_ABSENT_DAYS)
+    .sort((a, b) => a.daysSinceLast - b.daysSinceLast);
+  const counts = { active: 0, at_risk: 0, churned: 0 };
+  members.forEach((r) => {
+    if (counts[r.status] != null) counts[r.status]++;
+  });
+  return {
+    todayKey: p.todayKey,
+    heldByWeeks,
+    counts,
+    members,
+    atRisk,
+    cohorts: computeCohortRetention(statsList, p.todayKey, p.months || 12),
+  };
+}
+
+module.exports = {
+  MEMBER_STATS_COLLECTION,
+  RATE_WINDOWS_WEEKS,
+  AT_RISK_ABSENT_DAYS,
+  CHURNED_ABSENT_DAYS,
+  AT_RISK_MAX_ABSENT_DAYS,
+  daysBetween,
+  attendedDateKeys,
+  memberAttendanceKey,
+  adjustMemberStats,
+  attendanceWriteDeltas,
+  applyMemberStatsEvent,
+  buildMemberStatsFromAttendance,
+  heldClubMeetingsInWindow,
+  memberRetentionRow,
+  computeCohortRetention,
+  computeRetentionReport,
+};
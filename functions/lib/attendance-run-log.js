@@ -0,0 +1,201 @@
+/**
+ * 정모 후 달린 기록 — 출석 문서(attendance)에 runLog 필드로 붙인다 (별도 컬렉션 없음).
+ * runLog: { distanceKm, durationSec, rpe(1~10), group, completed[](meeting_training 전·본·후), updatedAt }
+ * 월 거리·평균 페이스(stats)·팀 월간 화면·운영진 훈련 수행 현황이 같은 필드를 읽는다.
+ * 순수 함수 — node --test 친화적.
+ */
+
+const { shiftDateKey } = require("./meeting-calendar");
+
+/** 오늘 포함 14일 이내 출석만 기록·수정 (출석 누락 신청과 같은 창) */
+const RUN_LOG_LOOKBACK_DAYS = 14;
+const RUN_LOG_PARTS = ["trainBefore", "trainMain", "trainAfter"];
+const RUN_LOG_GROUP_MAX = 20;
+const RUN_LOG_MAX_KM = 100;
+const RUN_LOG_MAX_SEC = 8 * 3600;
+/** 1km 2분보다 빠르면 입력 실수로 본다 */
+const RUN_LOG_MIN_PACE_SEC = 120;
+
+function normalizeDateKey(raw) {
+  const s = String(raw == null ? "" : raw).trim();
+  if (/^\d{4}\/\d{2}\/\d{2}$/.test(s)) return s;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(s)) return s.replace(/-/g, "/");
+  return "";
+}
+
+function isBlank(v) {
+  return v === undefined || v === null || String(v).trim() === "";
+}
+
+/**
+ * "45:30" · "1:05:00" · 초(숫자) → 초. 빈 값 0, 형식 오류 null.
+ * @returns {number|null}
+ */
+function parseRunDuration(raw) {
+  if (isBlank(raw)) return 0;
+  if (typeof raw === "number") return Number.isInteger(raw) && raw > 0 ? raw : null;
+  const s = String(raw).trim();
+  if (/^\d+$/.test(s)) return Number(s) > 0 ? Number(s) : null;
+  const m = s.match(/^(?:(\d{1,2}):)?(\d{1,3}):(\d{2})$/);
+  if (!m) return null;
+  const sec = Number(m[3]);
+  const min = Number(m[2]);
+  if (sec > 59 || (m[1] !== undefined && min > 59)) return null;
+  const total = Number(m[1] || 0) * 3600 + min * 60 + sec;
+  return total > 0 ? total : null;
+}
+
+/**
+ * @param {{ memberId: any, meetingDate: any, meetingType: any, distanceKm?: any, duration?: any, rpe?: any,
+ *   group?: any, completed?: any, todayKey: string }} opts
+ * @returns {{ ok: true, memberId: string, meetingDateKey: string, meetingType: string, runLog: object|null }
+ *   |{ ok: false, error: string }} runLog null = 기록 지우기 (모든 값이 비었을 때)
+ */
+function validateRunLogInput(opts) {
+  const memberId = String(opts.memberId == null ? "" : opts.memberId).trim();
+  const meetingDateKey = normalizeDateKey(opts.meetingDate);
+  const meetingType = String(opts.meetingType || "").trim().toUpperCase();
+  const todayKey = normalizeDateKey(opts.todayKey);
+  if (!memberId) return { ok: false, error: "memberId is required" };
+  if (!meetingDateKey || !shiftDateKey(meetingDateKey, 0)) {
+    return { ok: false, error: "invalid meetingDate (YYYY/MM/DD)" };
+  }
+  if (!["TUE", "THU", "SAT", "ETC"].includes(meetingType)) {
+    return { ok: false, error: `invalid meetingType: ${meetingType}` };
+  }
+  if (!todayKey) return { ok: false, error: "invalid today" };
+  if (meetingDateKey > todayKey) return { ok: false, error: "meetingDate in the future" };
+  if (meetingDateKey < shiftDateKey(todayKey, -(RUN_LOG_LOOKBACK_DAYS - 1))) {
+    return { ok: false, error: "meetingDate outside 14-day lookback" };
+  }
+
+  let distanceKm = 0;
+  if (!isBlank(opts.distanceKm)) {
+    distanceKm = Number(opts.distanceKm);
+    if (!Number.isFinite(distanceKm) || distanceKm <= 0 || distanceKm > RUN_LOG_MAX_KM) {
+      return { ok: false, error: `distanceKm must be 0-${RUN_LOG_MAX_KM}` };
+    }
+    distanceKm = Math.round(distanceKm * 100) / 100;
+  }
+  const durationSec = parseRunDuration(opts.duration);
+  if (durationSec === null || durationSec > RUN_LOG_MAX_SEC) {
+    return { ok: false, error: "invalid duration (mm:ss or h:mm:ss, max 8h)" };
+  }
+  if (distanceKm && durationSec && durationSec / distanceKm < RUN_LOG_MIN_PACE_SEC) {
+    return { ok: false, error: "pace too fast — check distance and duration" };
+  }
+  let rpe = 0;
+  if (!isBlank(opts.rpe)) {
+    rpe = Number(opts.rpe);
+    if (!Number.isInteger(rpe) || rpe < 1 || rpe > 10) return { ok: false, error: "rpe must be 1-10" };
+  }
+  const group = String(opts.group == null ? "" : opts.group).trim();
+  if (group.length > RUN_LOG_GROUP_MAX) return { ok: false, error: `group max ${RUN_LOG_GROUP_MAX} chars` };
+  const completedRaw = Array.isArray(opts.completed) ? opts.completed : isBlank(opts.completed) ? [] : null;
+  if (!completedRaw) return { ok: false, error: "completed must be an array" };
+  const badPart = completedRaw.find((p) => !RUN_LOG_PARTS.includes(p));
+  if (badPart !== undefined) return { ok: false, error: `invalid completed part: ${badPart}` };
+  const completed = RUN_LOG_PARTS.filter((p) => completedRaw.includes(p));
+
+  const empty = !distanceKm && !durationSec && !rpe && !group && !completed.length;
+  return {
+    ok: true,
+    memberId,
+    meetingDateKey,
+    meetingType,
+    runLog: empty ? null : { distanceKm, durationSec, rpe, group, completed },
+  };
+}
+
+/** 출석 문서 → 응답용 runLog (없으면 null) */
+function runLogForResponse(data) {
+  const r = data && data.runLog;
+  if (!r || typeof r !== "object") return null;
+  return {
+    distanceKm: Number(r.distanceKm) || 0,
+    durationSec: Number(r.durationSec) || 0,
+    rpe: Number(r.rpe) || 0,
+    group: String(r.group || ""),
+    completed: Array.isArray(r.completed) ? r.completed.filter((p) => RUN_LOG_PARTS.includes(p)) : [],
+  };
+}
+
+/**
+ * 월 거리·시간·평균 페이스. 페이스는 거리·시간이 둘 다 있는 기록만 (총 시간 / 총 거리).
+ * @param {object[]} docs - attendance 문서 data (게스트 제외는 호출 측)
+ */
+function summarizeRunLogs(docs) {
+  let runLogCount = 0;
+  let distanceKm = 0;
+  let durationSec = 0;
+  let paceKm = 0;
+  let paceSec = 0;
+  (docs || []).forEach((d) => {
+    const r = runLogForResponse(d);
+    if (!r) return;
+    runLogCount += 1;
+    distanceKm += r.distanceKm;
+    durationSec += r.durationSec;
+    if (r.distanceKm && r.durationSec) {
+      paceKm += r.distanceKm;
+      paceSec += r.durationSec;
+    }
+  });
+  return {
+    runLogCount,
+    distanceKm: Math.round(distanceKm * 100) / 100,
+    durationSec,
+    avgPaceSecPerKm: paceKm ? Math.round(paceSec / paceKm) : 0,
+  };
+}
+
+/**
+ * 운영진 훈련 수행 현황 — 한 모임(날짜·유형)의 출석 문서들.
+ * @returns {{ attended: number, logged: number, completed: Record<string, number>, avgRpe: number,
+ *   distanceKm: number, avgPaceSecPerKm: number, groups: Array<{ group: string, count: number }>, logs: object[] }}
+ */
+function summarizeTrainingCompletion(docs) {
+  const members = (docs || []).filter((d) => d && d.isGuest !== true);
+  const logs = [];
+  const completed = Object.fromEntries(RUN_LOG_PARTS.map((p) => [p, 0]));
+  const groups = new Map();
+  let rpeSum = 0;
+  let rpeCount = 0;
+  members.forEach((d) => {
+    const r = runLogForResponse(d);
+    if (!r) return;
+    logs.push({ nickname: d.nickname || "", team: d.team || "", ...r });
+    r.completed.forEach((p) => {
+      completed[p] += 1;
+    });
+    if (r.rpe) {
+      rpeSum += r.rpe;
+      rpeCount += 1;
+    }
+    if (r.group) groups.set(r.group, (groups.get(r.group) || 0) + 1);
+  });
+  const totals = summarizeRunLogs(members);
+  return {
+    attended: members.length,
+    logged: logs.length,
+    completed,
+    avgRpe: rpeCount ? Math.round((rpeSum / rpeCount) * 10) / 10 : 0,
+    distanceKm: totals.distanceKm,
+    avgPaceSecPerKm: totals.avgPaceSecPerKm,
+    groups: [...groups.entries()]
+      .map(([group, count]) => ({ group, count }))
+      .sort((a, b) => b.count - a.count || a.group.localeCompare(b.group)),
+    logs: logs.sort((a, b) => a.nickname.localeCompare(b.nickname)),
+  };
+}
+
+module.exports = {
+  RUN_LOG_LOOKBACK_DAYS,
+  RUN_LOG_PARTS,
+  RUN_LOG_GROUP_MAX,
+  parseRunDuration,
+  validateRunLogInput,
+  runLogForResponse,
+  summarizeRunLogs,
+  summarizeTrainingCompletion,
+};
@@ -3,9 +3,17 @@
  * 순수 함수 — node --test 친화적.
  *
  * DEFAULT_TZ: Asia/Seoul
+ *
+ * calendar(선택): lib/meeting-calendar buildMeetingCalendar 결과.
+ * 주면 취소된 정모는 건너뛰고 이동된 정모는 새 날짜로 본다.
  */
 
+const { isClubMeetingDate, isExtraOnlyDate, shiftDateKey } = require("./meeting-calendar");
+
 const DEFAULT_TZ = "Asia/Seoul";
+/** 캘린더 사용 시 장기 휴식(연속 취소)도 넘도록 역방향 탐색 폭을 넓힘 */
+const PREV_SEARCH_DAYS = 14;
+const PREV_SEARCH_DAYS_WITH_CALENDAR = 62;
 
 function isValidDateKey(dateKey) {
   return typeof dateKey === "string" && /^\d{4}\/\d{2}\/\d{2}$/.test(dateKey);
@@ -38,9 +46,10 @@ function prevCalendarDayKst(dateKey) {
     .replace(/-/g, "/");
 }
 
-/** 화·목·토 정모일(KST 달력) 여부 */
-function isRegularClubMeetingDateKey(dateKey) {
+/** 화·목·토 정모일(KST 달력) 여부 — calendar 있으면 취소 제외·이동 포함 */
+function isRegularClubMeetingDateKey(dateKey, calendar) {
   if (!isValidDateKey(dateKey)) return false;
+  if (calendar) return isClubMeetingDate(calendar, dateKey);
   const [y, m, d] = dateKey.split("/").map((x) => parseInt(x, 10));
   const inst = Date.UTC(y, m - 1, d, 3, 0, 0);
   const wd = new Intl.DateTimeFormat("en-US", {
@@ -51,12 +60,13 @@ function isRegularClubMeetingDateKey(dateKey) {
 }
 
 /** dateKey 이전의 가장 가까운 화/목/토 정모일 (없으면 null) */
-function prevRegularClubMeetingDateKey(dateKey) {
+function prevRegularClubMeetingDateKey(dateKey, calendar) {
   let cur = dateKey;
-  for (let i = 0; i < 14; i++) {
+  const limit = calendar ? PREV_SEARCH_DAYS_WITH_CALENDAR : PREV_SEARCH_DAYS;
+  for (let i = 0; i < limit; i++) {
     cur = prevCalendarDayKst(cur);
     if (!cur) return null;
-    if (isRegularClubMeetingDateKey(cur)) return cur;
+    if (isRegularClubMeetingDateKey(cur, calendar)) return cur;
   }
   return null;
 }
@@ -69,26 +79,41 @@ function prevRegularClubMeetingDateKey(dateKey) {
  *  - 오늘이 정모일인데 아직 미출석이면 → 직전 정모일부터 계산 (오늘 기회 유지)
  *  - 오늘이 정모일이 아니면 → 가장 최근 정모일부터 계산
  *
+ * calendar 가 있으면 추가(특별) 모임만 있는 날은 출석했을 때만 가산한다
+ * (끊긴 정모일 이후 ~ 오늘 범위, 장기 휴식으로 탐색이 끝나면 마지막으로 센 정모일부터).
+ *
  * @param {Set<string>} attendedDateSet - 출석한 날짜 키(YYYY/MM/DD) 집합
  * @param {Date} [todayOverride] - 테스트용 날짜 고정
+ * @param {object} [calendar] - buildMeetingCalendar 결과
  * @returns {number}
  */
-function computeClubStreakFromDateSet(attendedDateSet, todayOverride) {
+function computeClubStreakFromDateSet(attendedDateSet, todayOverride, calendar) {
   const today = kstTodayKey(todayOverride);
 
   // 오늘 출석했으면 오늘 포함, 아니면 직전 정모일부터 계산
   const startDate =
-    isRegularClubMeetingDateKey(today) && attendedDateSet.has(today)
+    isRegularClubMeetingDateKey(today, calendar) && attendedDateSet.has(today)
       ? today
-      : prevRegularClubMeetingDateKey(today);
-
-  if (!startDate) return 0;
+      : prevRegularClubMeetingDateKey(today, calendar);
 
   let streak = 0;
   let cur = startDate;
+  let lastCounted = null;
   while (cur && attendedDateSet.has(cur)) {
     streak++;
-    cur = prevRegularClubMeetingDateKey(cur);
+    lastCounted = cur;
+    cur = prevRegularClubMeetingDateKey(cur, calendar);
+  }
+
+  if (calendar) {
+    // cur = 처음 놓친 정모일 — 그 이후 출석한 추가 모임만 가산.
+    // 탐색 한계로 cur 가 없으면 마지막으로 센 정모일(없으면 탐색 범위 시작)부터
+    const floor = lastCounted || shiftDateKey(today, -PREV_SEARCH_DAYS_WITH_CALENDAR);
+    attendedDateSet.forEach((dateKey) => {
+      if (dateKey > today) return;
+      if (cur ? dateKey <= cur : dateKey < floor) return;
+      if (isExtraOnlyDate(calendar, dateKey)) streak++;
+    });
   }
   return streak;
 }
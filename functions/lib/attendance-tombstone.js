@@ -0,0 +1,130 @@
+/**
+ * 출석 소프트 삭제 — 삭제 시 attendance 문서를 attendance_tombstones 로 옮기고(누가·언제·왜·경로), 복원 시 되돌린다.
+ * attendance 컬렉션에서는 빠지므로 status·history·stats·집계 트리거는 별도 필터 없이 삭제분을 제외한다.
+ * Collection: attendance_tombstones / docId: 자동 생성 (같은 결정적 ID 가 여러 번 삭제돼도 이력 보존)
+ * 순수 함수 — node --test 친화적.
+ */
+
+const TOMBSTONE_COLLECTION = "attendance_tombstones";
+const DELETE_VIAS = ["kiosk", "self", "admin"];
+const DELETE_REASON_MAX = 200;
+/** 운영진 "최근 삭제" 기본 조회 기간 */
+const TOMBSTONE_LIST_DAYS = 30;
+
+const TOMBSTONE_FIELDS = [
+  "originalId",
+  "deletedAt",
+  "deletedVia",
+  "deletedByRole",
+  "deletedBy",
+  "deletedByMemberId",
+  "deleteReason",
+  "restoredAt",
+  "restoredByRole",
+  "restoredBy",
+];
+
+/** 클라이언트 via → kiosk|self (운영진 삭제는 서버가 admin 지정) */
+function normalizeSelfDeleteVia(raw) {
+  return String(raw || "").trim().toLowerCase() === "kiosk" ? "kiosk" : "self";
+}
+
+function normalizeDeleteReason(raw) {
+  return String(raw == null ? "" : raw).trim().slice(0, DELETE_REASON_MAX);
+}
+
+/**
+ * attendance 문서 → tombstone 문서.
+ * @param {object} data - 원본 attendance 데이터
+ * @param {{ originalId: string, via: string, role?: string, actor?: string, memberId?: string, reason?: string, nowIso: string }} meta
+ */
+function buildTombstone(data, meta) {
+  const via = DELETE_VIAS.includes(meta.via) ? meta.via : "self";
+  return {
+    ...(data || {}),
+    originalId: meta.originalId,
+    deletedAt: meta.nowIso,
+    deletedVia: via,
+    deletedByRole: via === "admin" ? meta.role || "" : "",
+    deletedBy: via === "admin" ? meta.actor || "" : "",
+    deletedByMemberId: via === "admin" ? "" : String(meta.memberId || ""),
+    deleteReason: normalizeDeleteReason(meta.reason),
+    restoredAt: "",
+    restoredByRole: "",
+    restoredBy: "",
+  };
+}
+
+/** tombstone → 복원할 attendance 데이터 (삭제 메타 제거 + 복원 표시) */
+function attendanceDataFromTombstone(tombstone, meta) {
+  const out = { ...(tombstone || {}) };
+  TOMBSTONE_FIELDS.forEach((k) => delete out[k]);
+  out.restoredAt = meta.nowIso;
+  out.restoredByRole = meta.role || "";
+  out.restoredBy = meta.actor || "";
+  return out;
+}
+
+/**
+ * 복원 전 중복 확인 키 — 출석 저장(handlePost)과 같은 규칙: 같은 모임일의 같은 닉네임 키·회원 ID 출석은 유형과 무관하게 막는다.
+ * 게스트·TEST 닉네임은 handlePost 처럼 확인하지 않는다 (빈 배열).
+ * @returns {Array<[string, string]>} [필드, 값] — meetingDateKey 와 함께 조회
+ */
+function restoreDuplicateKeys(tombstone) {
+  const t = tombstone || {};
+  const nicknameKey = String(t.nicknameKey || t.nickname || "").toLowerCase();
+  if (t.isGuest === true || nicknameKey.startsWith("test_")) return [];
+  const keys = [];
+  if (nicknameKey) keys.push(["nicknameKey", nicknameKey]);
+  if (t.memberId) keys.push(["memberId", t.memberId]);
+  return keys;
+}
+
+/** 그 모임일에 이미 출석(다른 유형 포함)이 있어 복원하면 하루 두 건이 되는지 */
+function hasRestoreConflict(tombstone, sameDayRecords) {
+  const t = tombstone || {};
+  const keys = restoreDuplicateKeys(t);
+  return (sameDayRecords || []).some(
+    (r) => r && r.meetingDateKey === t.meetingDateKey && keys.some(([field, value]) => r[field] === value)
+  );
+}
+
+/**
+ * 최근 삭제 목록 — 복원 안 된 것만, 최신 삭제 먼저.
+ * @param {Array<{ id: string, data: object }>} docs
+ */
+function listRestorableTombstones(docs, sinceIso) {
+  return (docs || [])
+    .filter(({ data }) => data && !data.restoredAt && String(data.deletedAt || "") >= String(sinceIso || ""))
+    .sort((a, b) => String(b.data.deletedAt).localeCompare(String(a.data.deletedAt)))
+    .map(({ id, data }) => ({
+      tombstoneId: id,
+      originalId: data.originalId || "",
+      nickname: data.nickname || "",
+      team: data.team || "",
+      memberId: data.memberId || null,
+      isGuest: data.isGuest === true,
+      meetingDateKey: data.meetingDateKey || "",
+      meetingType: data.meetingType || "",
+      timeText: data.timeText || "",
+      deletedAt: data.deletedAt || "",
+      deletedVia: data.deletedVia || "",
+      deletedByRole: data.deletedByRole || "",
+      deletedBy: data.deletedBy || "",
+      deleteReason: data.deleteReason || "",
+    }));
+}
+
+module.exports = {
+  TOMBSTONE_COLLECTION,
+  DELETE_VIAS,
+  DELETE_REASON_MAX,
+  TOMBSTONE_LIST_DAYS,
+  normalizeSelfDeleteVia,
+  normalizeDeleteReason,
+  buildTombstone,
+  attendanceDataFromTombstone,
+  restoreDuplicateKeys,
+  hasRestoreConflict,
+  listRestorableTombstones,
+};
@@ -32,6 +32,8 @@ const {
   trainingSlotsInDateRange,
 } = require("./chunbaek-exception-requests");
 
+const { adminSessionSecret, loginAdmin, authorizeAdmin, roleAllows } = require("./admin-auth");
+
 const MS_PER_DAY = 86400000;
 const TITLE_MAX = 80;
 const CONTENT_MAX = 500;
@@ -106,22 +108,16 @@ function timestampToIso(value) {
   return null;
 }
 
-function requireAdmin(req) {
-  const adminPw = req.method === "GET"
-    ? req.query.adminPw
-    : (req.body || {}).adminPw;
-  if (!adminPw) {
-    return { ok: false, status: 401, error: "adminPw required" };
-  }
-  const ownerPw = process.env.DMC_OWNER_PW;
-  const expected = process.env.DMC_ADMIN_PW || "dmc2008";
-  if (ownerPw && adminPw === ownerPw) return { ok: true, role: "owner" };
-  if (adminPw === expected) return { ok: true, role: "operator" };
-  return { ok: false, status: 401, error: "invalid password" };
+/** 운영진 세션(Authorization: Bearer / adminToken) + chunbaek 권한 — lib/admin-auth */
+function requireAdmin(req, db) {
+  return authorizeAdmin(db, req, "chunbaek", {
+    secret: adminSessionSecret(),
+    nowMs: Date.now(),
+  });
 }
 
-function adminGate(req, res) {
-  const auth = requireAdmin(req);
+async function adminGate(req, res, db) {
+  const auth = await requireAdmin(req, db);
   if (!auth.ok) {
     res.status(auth.status).json({ ok: false, error: auth.error });
     return null;
@@ -328,27 +324,39 @@ function computeImportWarnings(slots) {
   return warnings;
 }
 
-async function handleVerifyAdmin(req, res) {
+async function handleVerifyAdmin(req, res, db) {
   if (req.method !== "POST") {
     return res.status(405).json({ ok: false, error: "POST only" });
   }
-  const { pw } = req.body || {};
-  const ownerPw = process.env.DMC_OWNER_PW;
-  const expected = process.env.DMC_ADMIN_PW || "dmc2008";
-  if (ownerPw && pw === ownerPw) {
-    return res.json({ ok: true, role: "owner" });
+  const { username, pw } = req.body || {};
+  const login = await loginAdmin(db, {
+    username,
+    password: pw,
+    nowMs: Date.now(),
+    secret: adminSessionSecret(),
+    ua: req.get ? req.get("user-agent") : "",
+  });
+  if (!login.ok) {
+    return res.status(login.status).json({ ok: false, error: login.error });
   }
-  if (pw === expected) {
-    return res.json({ ok: true, role: "operator" });
+  if (!roleAllows(login.account.role, "chunbaek")) {
+    return res.status(403).json({ ok: false, error: "FORBIDDEN_ROLE" });
   }
-  return res.status(401).json({ ok: false, error: "invalid password" });
+  return res.json({
+    ok: true,
+    token: login.token,
+    expiresAt: login.expiresAt,
+    role: login.account.role,
+    account: login.account,
+  });
 }
 
 async function handleAdminGrid(req, res, db) {
   if (req.method !== "GET") {
     return res.status(405).json({ ok: false, error: "GET only" });
   }
-  if (!adminGate(req, res)) return undefined;
+  const auth = await adminGate(req, res, db);
+  if (!auth) return undefined;
 
   const [config, slots, participants] = await Promise.all([
     loadSeasonConfig(db),
@@ -482,7 +490,8 @@ async function handleAdminSetAttendance(req, res, db) {
   if (req.method !== "POST") {
     return res.status(405).json({ ok: false, error: "POST only" });
   }
-  if (!adminGate(req, res)) return undefined;
+  const auth = await adminGate(req, res, db);
+  if (!auth) return undefined;
 
   const body = req.body || {};
   const memberId = String(body.memberId || "").trim();
@@ -530,7 +539,7 @@ async function handleAdminSetAttendance(req, res, db) {
     note,
     photoUrl,
     updatedAt: FieldValue.serverTimestamp(),
-    updatedBy: "admin",
+    updatedBy: auth.username,
   }, { merge: true });
 
   const attendanceMap = await loadMemberAttendance(db, memberId);
@@ -559,7 +568,8 @@ async function handleAdminWeekSlots(req, res, db) {
   if (req.method !== "GET") {
     return res.status(405).json({ ok: false, error: "GET only" });
   }
-  if (!adminGate(req, res)) return undefined;
+  const auth = await adminGate(req, res, db);
+  if (!auth) return undefined;
 
   const [config, slots] = await Promise.all([
     loadSeasonConfig(db),
@@ -636,7 +646,8 @@ async function handleAdminSaveWeekSlots(req, res, db) {
   if (req.method !== "POST") {
     return res.status(405).json({ ok: false, error: "POST only" });
   }
-  if (!adminGate(req, res)) return undefined;
+  const auth = await adminGate(req, res, db);
+  if (!auth) return undefined;
 
   const body = req.body || {};
   const week = parseWeekParam(body.week, null);
@@ -736,7 +747,8 @@ async function handleAdminImportSlots(req, res, db) {
   if (req.method !== "POST") {
     return res.status(405).json({ ok: false, error: "POST only" });
   }
-  if (!adminGate(req, res)) return undefined;
+  const auth = await adminGate(req, res, db);
+  if (!auth) return undefined;
 
   const body = req.body || {};
   const mode = body.mode === "merge" ? "merge" : "replace";
@@ -813,7 +825,8 @@ async function handleAdminMemberDirectory(req, res, db) {
   if (req.method !== "GET") {
     return res.status(405).json({ ok: false, error: "GET only" });
   }
-  if (!adminGate(req, res)) return undefined;
+  const auth = await adminGate(req, res, db);
+  if (!auth) return undefined;
 
   const snap = await db.collection("members").get();
   const members = [];
@@ -840,7 +853,8 @@ async function handleAdminMemberDirectory(req, res, db) {
 }
 
 async function handleAdminSetParticipant(req, res, db) {
-  if (!adminGate(req, res)) return;
+  const auth = await adminGate(req, res, db);
+  if (!auth) return;
   const body = req.body || {};
   const memberId = String(body.memberId || "").trim();
   const participant = body.participant;
@@ -886,7 +900,8 @@ async function handleAdminListExceptionRequests(req, res, db) {
   if (req.method !== "GET") {
     return res.status(405).json({ ok: false, error: "GET only" });
   }
-  if (!adminGate(req, res)) return undefined;
+  const auth = await adminGate(req, res, db);
+  if (!auth) return undefined;
 
   const statusFilter = parseAdminExceptionRequestStatusFilter(req.query.status);
   if (!statusFilter.ok) {
@@ -958,7 +973,8 @@ async function handleAdminReviewExceptionRequest(req, res, db) {
   if (req.method !== "POST") {
     return res.status(405).json({ ok: false, error: "POST only" });
   }
-  if (!adminGate(req, res)) return undefined;
+  const auth = await adminGate(req, res, db);
+  if (!auth) return undefined;
 
   const body = req.body || {};
   const requestId = String(body.requestId || "").trim();
@@ -1002,7 +1018,7 @@ async function handleAdminReviewExceptionRequest(req, res, db) {
       if (decision === "reject") {
         tx.update(ref, {
           status: "rejected",
-          reviewedBy: "admin",
+          reviewedBy: auth.username,
           reviewedAt: FieldValue.serverTimestamp(),
           reviewNote,
           updatedAt: FieldValue.serverTimestamp(),
@@ -1052,7 +1068,7 @@ async function handleAdminReviewExceptionRequest(req, res, db) {
           slot: row.slot,
           exception: true,
           exceptionNote,
-          updatedBy: "admin",
+          updatedBy: auth.username,
         });
         tx.set(row.attRef, {
           ...patch,
@@ -1065,7 +1081,7 @@ async function handleAdminReviewExceptionRequest(req, res, db) {
         status: "approved",
         appliedSlotIds,
         skippedSlotIds,
-        reviewedBy: "admin",
+        reviewedBy: auth.username,
         reviewedAt: FieldValue.serverTimestamp(),
         reviewNote,
         updatedAt: FieldValue.serverTimestamp(),
@@ -1113,7 +1129,7 @@ const ADMIN_ACTIONS = new Set([
 async function handleAdminRequest(req, res, db, action) {
   if (!ADMIN_ACTIONS.has(action)) return false;
   if (action === "verify-admin") {
-    await handleVerifyAdmin(req, res);
+    await handleVerifyAdmin(req, res, db);
     return true;
   }
   if (action === "admin-grid") {
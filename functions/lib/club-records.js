@@ -0,0 +1,209 @@
+/**
+ * 클럽 기록판 — race_results 에서 거리 · 성별 · 연령대별 역대 TOP 10 과 연도별 최고 기록을 만든다.
+ * 순수 함수 — node --test 친화적. Firestore 읽기·쓰기는 index.js refreshClubRecords 에서.
+ *
+ * 저장: club_records/board { categories[], yearBests[], updatedAt, excludedCount }
+ *   categories: { key: "{distance}|{M|F}|{연령대|all}", distance, gender, ageGroup, top[] }
+ * 대상: 확정(confirmed) · 회원(memberId 있음) · CLUB_RECORD_DISTANCES · 기록·성별 있음 · 운영진 제외 아님.
+ * 순위는 회원당 최고 기록 하나. 연령대는 members.birthYear 와 대회 연도로 계산 (출생연도 없으면 전체 순위만).
+ * 신기록: 이번에 확정된 기록이 기존 1위보다 빠르면 (기존 1위가 없던 분류는 알리지 않는다 — 초기 구축·첫 기록 소음 방지).
+ */
+
+const { normalizeRaceDistance } = require("./raceDistance");
+const { splitTimeToSeconds } = require("./race-splits");
+const { normalizeGender } = require("./homonym-score");
+
+const CLUB_RECORD_DISTANCES = Object.freeze(["full", "half", "10K", "5K"]);
+const CLUB_RECORD_TOP_N = 10;
+const ALL_AGES = "all";
+const DIST_LABELS = { full: "풀", half: "하프", "10K": "10K", "5K": "5K" };
+const GENDER_LABELS = { M: "남자", F: "여자" };
+const MAX_EXCLUDE_REASON = 200;
+
+/** 연령대 — "20"(29세 이하) · "30" · "40" · "50" · "60"(60세 이상), 모르면 "" */
+function clubRecordAgeGroup(birthYear, eventDate) {
+  const by = Number(birthYear);
+  const year = Number(String(eventDate || "").slice(0, 4));
+  if (!(by >= 1900) || !year) return "";
+  const decade = Math.floor((year - by) / 10) * 10;
+  return String(Math.min(60, Math.max(20, decade)));
+}
+
+function clubRecordAgeLabel(ageGroup) {
+  if (!ageGroup || ageGroup === ALL_AGES) return "";
+  if (ageGroup === "20") return "20대 이하";
+  if (ageGroup === "60") return "60대 이상";
+  return `${ageGroup}대`;
+}
+
+/** "풀 남자" · "하프 여자 40대" */
+function clubRecordCategoryLabel({ distance, gender, ageGroup }) {
+  return [DIST_LABELS[distance] || distance, GENDER_LABELS[gender] || gender, clubRecordAgeLabel(ageGroup)]
+    .filter(Boolean)
+    .join(" ");
+}
+
+function categoryKey(distance, gender, ageGroup) {
+  return `${distance}|${gender}|${ageGroup}`;
+}
+
+/** 운영진 제외 사유 — 필수, MAX_EXCLUDE_REASON 자 */
+function parseClubRecordExcludeReason(v) {
+  const reason = String(v == null ? "" : v).trim();
+  if (!reason) return { ok: false, error: "REASON_REQUIRED" };
+  if (reason.length > MAX_EXCLUDE_REASON) return { ok: false, error: "REASON_TOO_LONG" };
+  return { ok: true, reason };
+}
+
+/**
+ * race_results 문서 → 기록판 항목 (대상 아니면 null)
+ * @param {{ id: string, data: object }} doc
+ * @param {Map<string, object>} membersById
+ */
+function clubRecordEntry({ id, data }, membersById) {
+  const r = data || {};
+  if ((r.status || "confirmed") !== "confirmed" || !r.memberId || r.isGuest) return null;
+  const distance = normalizeRaceDistance(r.distance);
+  if (!CLUB_RECORD_DISTANCES.includes(distance)) return null;
+  const seconds = splitTimeToSeconds(r.netTime);
+  if (!seconds) return null;
+  const member = membersById.get(r.memberId) || {};
+  const gender = normalizeGender(member.gender) || normalizeGender(r.gender);
+  if (!gender) return null;
+  return {
+    docId: id,
+    memberId: r.memberId,
+    nickname: member.nickname || r.memberNickname || "",
+    distance,
+    gender,
+    ageGroup: clubRecordAgeGroup(member.birthYear, r.eventDate),
+    netTime: r.netTime,
+    seconds,
+    eventName: r.eventName || "",
+    eventDate: r.eventDate || "",
+    jobId: r.jobId || "",
+    canonicalEventId: r.canonicalEventId || "",
+  };
+}
+
+function byTime(a, b) {
+  return a.seconds - b.seconds || a.eventDate.localeCompare(b.eventDate) || a.docId.localeCompare(b.docId);
+}
+
+/**
+ * @param {{ id: string, data: object }[]} resultDocs - race_results
+ * @param {{ membersById: Map<string, object>, excludedIds?: Set<string>, topN?: number }} opts
+ * @returns {{ categories: object[], yearBests: object[], excludedCount: number }}
+ */
+function buildClubRecordBoard(resultDocs, opts) {
+  const membersById = opts.membersById;
+  const excluded = opts.excludedIds || new Set();
+  const topN = opts.topN || CLUB_RECORD_TOP_N;
+
+  const entries = [];
+  let excludedCount = 0;
+  (resultDocs || []).forEach((doc) => {
+    const e = clubRecordEntry(doc, membersById);
+    if (!e) return;
+    if (excluded.has(doc.id)) {
+      excludedCount++;
+      return;
+    }
+    entries.push(e);
+  });
+  entries.sort(byTime);
+
+  // 분류별 회원당 최고 기록 (정렬돼 있으므로 처음 나온 것이 최고)
+  const groups = new Map();
+  const yearBest = new Map();
+  const push = (key, distance, gender, ageGroup, e) => {
+    if (!groups.has(key)) groups.set(key, { key, distance, gender, ageGroup, top: [], members: new Set() });
+    const g = groups.get(key);
+    if (g.members.has(e.memberId) || g.top.length >= topN) return;
+    g.members.add(e.memberId);
+    g.top.push({ ...e, rank: g.top.length + 1 });
+  };
+  entries.forEach((e) => {
+    push(categoryKey(e.distance, e.gender, ALL_AGES), e.distance, e.gender, ALL_AGES, e);
+    if (e.ageGroup) push(categoryKey(e.distance, e.gender, e.ageGroup), e.distance, e.gender, e.ageGroup, e);
+    const year = e.eventDate.slice(0, 4);
+    const yKey = `${year}|${e.distance}|${e.gender}`;
+    if (year && !yearBest.has(yKey)) yearBest.set(yKey, { year, distance: e.distance, gender: e.gender, entry: e });
+  });
+
+  const order = (d) => CLUB_RECORD_DISTANCES.indexOf(d);
+  const categories = [...groups.values()]
+    .map(({ members, ...g }) => g)
+    .sort(
+      (a, b) =>
+        order(a.distance) - order(b.distance) ||
+        a.gender.localeCompare(b.gender) ||
+        (a.ageGroup === ALL_AGES ? -1 : b.ageGroup === ALL_AGES ? 1 : a.ageGroup.localeCompare(b.ageGroup))
+    );
+  const yearBests = [...yearBest.values()].sort(
+    (a, b) => b.year.localeCompare(a.year) || order(a.distance) - order(b.distance) || a.gender.localeCompare(b.gender)
+  );
+  return { categories, yearBests, excludedCount };
+}
+
+/**
+ * 이번 확정으로 생긴 클럽 신기록 — 기록(docId)별로 묶는다.
+ * @param {{ categories: object[] } | null} prevBoard - 확정 전 club_records/board (없으면 초기 구축 — 알리지 않음)
+ * @param {{ categories: object[] }} nextBoard
+ * @param {Set<string>} confirmedIds - 이번에 저장한 race_results ID
+ * @returns {{ entry: object, categories: { key: string, label: string, previous: object|null }[] }[]}
+ */
+function detectNewClubRecords(prevBoard, nextBoard, confirmedIds) {
+  if (!prevBoard || !Array.isArray(prevBoard.categories)) return [];
+  const prevHolder = new Map(prevBoard.categories.map((c) => [c.key, c.top && c.top[0]]));
+  const byDoc = new Map();
+  (nextBoard.categories || []).forEach((c) => {
+    const holder = c.top[0];
+    if (!holder || !confirmedIds.has(holder.docId)) return;
+    const prev = prevHolder.get(c.key);
+    if (!prev || !(holder.seconds < prev.seconds)) return;
+    if (!byDoc.has(holder.docId)) byDoc.set(holder.docId, { entry: holder, categories: [] });
+    byDoc.get(holder.docId).categories.push({
+      key: c.key,
+      label: clubRecordCategoryLabel(c),
+      previous: { docId: prev.docId, nickname: prev.nickname, netTime: prev.netTime, eventDate: prev.eventDate },
+    });
+  });
+  return [...byDoc.values()];
+}
+
+/** announcements 문서 (type club_record) */
+function buildClubRecordAnnouncement({ entry, categories }, now) {
+  const labels = categories.map((c) => c.label);
+  const first = categories[0].previous;
+  return {
+    type: "club_record",
+    title: `🏆 클럽 신기록 — ${labels[0]}`,
+    body: `${entry.nickname} ${entry.netTime} (${entry.eventName})${first ? ` · 이전 ${first.nickname} ${first.netTime}` : ""}`,
+    createdAt: now,
+    raceResultId: entry.docId,
+    memberId: entry.memberId,
+    nickname: entry.nickname,
+    distance: entry.distance,
+    netTime: entry.netTime,
+    eventName: entry.eventName,
+    eventDate: entry.eventDate,
+    jobId: entry.jobId,
+    canonicalEventId: entry.canonicalEventId,
+    categories: categories.map((c) => c.key),
+    labels,
+    previous: categories.map((c) => c.previous),
+  };
+}
+
+module.exports = {
+  CLUB_RECORD_DISTANCES,
+  CLUB_RECORD_TOP_N,
+  clubRecordAgeGroup,
+  clubRecordCategoryLabel,
+  parseClubRecordExcludeReason,
+  clubRecordEntry,
+  buildClubRecordBoard,
+  detectNewClubRecords,
+  buildClubRecordAnnouncement,
+};
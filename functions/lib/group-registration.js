@@ -0,0 +1,200 @@
+/**
+ * 단체 대회 참가 신청 — 회원이 group-register.html 에서 직접 거리·배번·카풀을 등록한다.
+ * 순수 함수 — node --test 친화적. Firestore 읽기·쓰기는 index.js group-events register · unregister · registration-settings 에서.
+ *
+ * 저장: race_events/{canonicalEventId}
+ *   participants[]      : { memberId, realName, nickname, distance, bib, carpool?, selfRegistered?, registeredAt? }
+ *   registrationCutoff  : "YYYY-MM-DD" | null — 이 날까지 신청·수정 가능 (운영진 설정)
+ *   registrationLocked  : true 면 마감일과 관계없이 명단 잠금
+ *   carpool             : { groups[], unmatched[], updatedAt } — 신청이 바뀔 때마다 다시 짝짓기
+ * 명단은 그대로 enqueueGroupScrape · subAction=gap 에 쓰인다 (실명은 members 문서에서 채운다).
+ */
+
+const { normalizeRaceDistance, RACE_DISTANCE_CANONICAL } = require("./raceDistance");
+
+const GROUP_REGISTRATION_DISTANCES = Object.freeze([...RACE_DISTANCE_CANONICAL.filter((d) => d !== "unknown"), "20K"]);
+const CARPOOL_ROLES = Object.freeze(["none", "offer", "request"]);
+const MAX_BIB_LENGTH = 10;
+const MAX_AREA_LENGTH = 30;
+const MAX_CARPOOL_SEATS = 8;
+
+function isIsoDate(v) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(String(v || ""));
+}
+
+/** 출발 지역 비교 키 — 공백·대소문자 무시 ("동탄 2동" = "동탄2동") */
+function carpoolAreaKey(area) {
+  return String(area || "").replace(/\s+/g, "").toLowerCase();
+}
+
+/**
+ * 신청 본문 검증
+ * @param {{ memberId?: string, distance?: string, bib?: string, carpool?: { role?: string, area?: string, seats?: number } }} body
+ * @returns {{ ok: true, value: { memberId: string, distance: string, bib: string|null, carpool: object|null } } | { ok: false, error: string }}
+ */
+function parseGroupRegistration(body) {
+  const b = body || {};
+  const memberId = String(b.memberId || "").trim();
+  if (!memberId) return { ok: false, error: "MEMBER_REQUIRED" };
+  if (!String(b.distance || "").trim()) return { ok: false, error: "DISTANCE_REQUIRED" };
+  const distance = normalizeRaceDistance(b.distance);
+  if (!GROUP_REGISTRATION_DISTANCES.includes(distance)) return { ok: false, error: "INVALID_DISTANCE" };
+  const bib = String(b.bib == null ? "" : b.bib).trim();
+  if (bib.length > MAX_BIB_LENGTH) return { ok: false, error: "BIB_TOO_LONG" };
+
+  const c = b.carpool || {};
+  const role = String(c.role || "none");
+  if (!CARPOOL_ROLES.includes(role)) return { ok: false, error: "INVALID_CARPOOL_ROLE" };
+  let carpool = null;
+  if (role !== "none") {
+    const area = String(c.area || "").trim();
+    if (!area) return { ok: false, error: "CARPOOL_AREA_REQUIRED" };
+    if (area.length > MAX_AREA_LENGTH) return { ok: false, error: "CARPOOL_AREA_TOO_LONG" };
+    if (role === "offer") {
+      const seats = Number(c.seats);
+      if (!Number.isInteger(seats) || seats < 1 || seats > MAX_CARPOOL_SEATS) return { ok: false, error: "INVALID_SEATS" };
+      carpool = { role, area, seats };
+    } else {
+      carpool = { role, area };
+    }
+  }
+  return { ok: true, value: { memberId, distance, bib: bib || null, carpool } };
+}
+
+/**
+ * 운영진 마감일 — 빈 값은 해제(null), 대회일 이후는 안 됨
+ * @returns {{ ok: true, cutoff: string|null } | { ok: false, error: string }}
+ */
+function parseRegistrationCutoff(v, eventDate) {
+  const s = String(v == null ? "" : v).trim();
+  if (!s) return { ok: true, cutoff: null };
+  if (!isIsoDate(s)) return { ok: false, error: "INVALID_CUTOFF" };
+  if (isIsoDate(eventDate) && s > eventDate) return { ok: false, error: "CUTOFF_AFTER_EVENT" };
+  return { ok: true, cutoff: s };
+}
+
+/**
+ * 지금 신청·수정할 수 있는지 — 잠금 · 마감일 지남 · 대회일 지남이면 닫힘
+ * @param {object} event - race_events data
+ * @param {string} todayIso - KST 오늘 YYYY-MM-DD
+ * @returns {{ open: boolean, reason: "locked"|"cutoff"|"past"|null, cutoff: string|null }}
+ */
+function groupRegistrationState(event, todayIso) {
+  const e = event || {};
+  const cutoff = isIsoDate(e.registrationCutoff) ? e.registrationCutoff : null;
+  let reason = null;
+  if (e.registrationLocked === true) reason = "locked";
+  else if (isIsoDate(e.eventDate) && todayIso > e.eventDate) reason = "past";
+  else if (cutoff && todayIso > cutoff) reason = "cutoff";
+  return { open: !reason, reason, cutoff };
+}
+
+/** 같은 대회 안 배번 중복 — 자기 자신은 제외 */
+function findBibConflict(participants, memberId, bib) {
+  if (!bib) return null;
+  return (participants || []).find((p) => p.memberId !== memberId && p.bib && String(p.bib).trim() === bib) || null;
+}
+
+/**
+ * 신청 반영 — 있으면 거리·배번·카풀만 바꾸고(운영진이 넣은 다른 필드 유지), 없으면 명단 끝에 추가
+ * @param {object[]} participants
+ * @param {{ id: string, realName?: string, nickname?: string }} member - members 문서
+ * @param {{ distance: string, bib: string|null, carpool: object|null }} reg - parseGroupRegistration value
+ * @param {string} now - ISO
+ * @returns {{ participants: object[], created: boolean }}
+ */
+function applyGroupRegistration(participants, member, reg, now) {
+  const list = Array.isArray(participants) ? participants : [];
+  const idx = list.findIndex((p) => p.memberId === member.id);
+  const patch = { distance: reg.distance, bib: reg.bib, carpool: reg.carpool, updatedAt: now };
+  if (idx >= 0) {
+    const next = list.slice();
+    next[idx] = { ...list[idx], ...patch };
+    return { participants: next, created: false };
+  }
+  const entry = {
+    memberId: member.id,
+    realName: member.realName || "",
+    nickname: member.nickname || "",
+    ...patch,
+    selfRegistered: true,
+    registeredAt: now,
+  };
+  return { participants: [...list, entry], created: true };
+}
+
+/**
+ * 신청 취소 — 회원이 직접 신청한 항목(selfRegistered)만. 운영진이 넣은 참가자는 운영진 명단 저장(subAction=participants)으로만 뺀다
+ * @returns {{ participants: object[], removed: boolean, error?: "NOT_REGISTERED"|"OPERATOR_ADDED" }}
+ */
+function removeGroupRegistration(participants, memberId) {
+  const list = Array.isArray(participants) ? participants : [];
+  const entry = list.find((p) => p.memberId === memberId);
+  if (!entry) return { participants: list, removed: false, error: "NOT_REGISTERED" };
+  if (entry.selfRegistered !== true) return { participants: list, removed: false, error: "OPERATOR_ADDED" };
+  return { participants: list.filter((p) => p.memberId !== memberId), removed: true };
+}
+
+/**
+ * 운영진 명단 저장(subAction=participants) — 남는 회원은 기존 거리·배번·카풀을 유지한다
+ * @param {object[]} existing
+ * @param {{ memberId: string, realName?: string, nickname?: string }[]} incoming
+ */
+function mergeOperatorParticipants(existing, incoming) {
+  const byId = new Map((existing || []).map((p) => [p.memberId, p]));
+  return (incoming || []).map((p) => {
+    const prev = byId.get(p.memberId);
+    return prev ? { ...prev, ...p, distance: p.distance || prev.distance, bib: p.bib || prev.bib || null } : p;
+  });
+}
+
+/**
+ * 카풀 짝짓기 — 같은 출발 지역 안에서 신청 순서대로, 빈자리가 가장 많은 차에 태운다.
+ * @param {object[]} participants
+ * @returns {{ groups: { area: string, driver: object, seats: number, riders: object[] }[], unmatched: object[] }}
+ */
+function matchCarpools(participants) {
+  const who = (p) => ({ memberId: p.memberId, nickname: p.nickname || "" });
+  const byOrder = (a, b) => String(a.registeredAt || "").localeCompare(String(b.registeredAt || ""));
+  const withCarpool = (participants || []).filter((p) => p.carpool && p.carpool.role && p.carpool.role !== "none");
+
+  const groups = withCarpool
+    .filter((p) => p.carpool.role === "offer")
+    .sort((a, b) => b.carpool.seats - a.carpool.seats || byOrder(a, b))
+    .map((p) => ({ area: p.carpool.area, areaKey: carpoolAreaKey(p.carpool.area), driver: who(p), seats: p.carpool.seats, riders: [] }));
+
+  const unmatched = [];
+  withCarpool
+    .filter((p) => p.carpool.role === "request")
+    .sort(byOrder)
+    .forEach((p) => {
+      const key = carpoolAreaKey(p.carpool.area);
+      let best = null;
+      groups.forEach((g) => {
+        if (g.areaKey !== key || g.riders.length >= g.seats) return;
+        if (!best || g.seats - g.riders.length > best.seats - best.riders.length) best = g;
+      });
+      if (best) best.riders.push(who(p));
+      else unmatched.push({ ...who(p), area: p.carpool.area });
+    });
+
+  return {
+    groups: groups.map(({ areaKey, ...g }) => g),
+    unmatched,
+  };
+}
+
+module.exports = {
+  GROUP_REGISTRATION_DISTANCES,
+  CARPOOL_ROLES,
+  MAX_CARPOOL_SEATS,
+  carpoolAreaKey,
+  parseGroupRegistration,
+  parseRegistrationCutoff,
+  groupRegistrationState,
+  findBibConflict,
+  applyGroupRegistration,
+  removeGroupRegistration,
+  mergeOperatorParticipants,
+  matchCarpools,
+};
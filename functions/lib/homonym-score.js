@@ -0,0 +1,231 @@
+/**
+ * 동명이인 딤아웃 — 회원 검색 후보마다 "본인일 가능성" 점수 (BACKLOG P2.5).
+ * 순수 함수 — node --test 친화적.
+ *
+ * 점수는 50 에서 시작해 피처별로 더하고 빼며 0~100 으로 자른다. DIMOUT_SCORE 미만이면 dimout.
+ *   성별       : 일치 +15, 불일치 -60
+ *   연령대     : 후보 연령대(ageGroup·age·birthYear 를 소스가 줄 때만)와 회원 출생연도 비교 — 같은 10년대 +10, 2단계 이상 -40
+ *   페이스     : 같은 거리 과거 기록 범위(±10%) 안 +20 / 기록 기반 예상 페이스(Riegel)와
+ *                차이가 거리별 허용치 초과 -40 (5K 무제한 · 10K 100% · 그 외 50% — 벤치마크 FNR 1.5% 기준)
+ *   클럽 참가  : 회원이 그 대회 단체 참가자 명단에 있음 +25, 다른 클럽원만 있음 +5
+ * 피처 값을 모르면 0 — 정보 없는 후보는 기본 50 으로 남아 딤아웃되지 않는다.
+ */
+
+const DIMOUT_SCORE = 35;
+const BASE_SCORE = 50;
+const DIST_KM = { full: 42.195, half: 21.0975, "10K": 10, "30K": 30, "32K": 32, "5K": 5, "3K": 3, "20K": 20 };
+/** 예상 페이스 대비 허용 오차 (비율) */
+const PACE_TOLERANCE = { "5K": Infinity, "3K": Infinity, "10K": 1.0 };
+const DEFAULT_PACE_TOLERANCE = 0.5;
+/** 과거 기록 범위를 이만큼 넓혀서 "범위 안" 판정 */
+const RANGE_SLACK = 0.1;
+const RIEGEL_EXPONENT = 1.06;
+
+const WEIGHTS = {
+  genderMatch: 15,
+  genderMismatch: -60,
+  ageMatch: 10,
+  ageMismatch: -40,
+  paceInRange: 20,
+  paceOff: -40,
+  clubRegistered: 25,
+  clubEvent: 5,
+};
+
+/**
+ * members.birthYear 입력 검사 — 빈 값은 지우기(null)
+ * @returns {{ ok: true, birthYear: number|null } | { ok: false, error: string }}
+ */
+function parseMemberBirthYear(v, nowYear = new Date().getFullYear()) {
+  if (v === null || v === undefined || String(v).trim() === "") return { ok: true, birthYear: null };
+  const n = Number(String(v).trim());
+  if (!Number.isInteger(n) || n < 1930 || n > nowYear - 10) return { ok: false, error: "INVALID_BIRTH_YEAR" };
+  return { ok: true, birthYear: n };
+}
+
+/** "M"·"남"·"male" → "M", "F"·"여"·"female" → "F", 그 외 null */
+function normalizeGender(v) {
+  const s = String(v == null ? "" : v).trim().toLowerCase();
+  if (!s) return null;
+  if (s === "m" || s === "남" || s === "남자" || s === "male") return "M";
+  if (s === "f" || s === "여" || s === "여자" || s === "female") return "F";
+  return null;
+}
+
+function timeToSeconds(t) {
+  const parts = String(t == null ? "" : t).trim().split(":").map(Number);
+  if (parts.length < 2 || parts.some((n) => !Number.isFinite(n))) return null;
+  const sec = parts.length === 3 ? parts[0] * 3600 + parts[1] * 60 + parts[2] : parts[0] * 60 + parts[1];
+  return sec > 0 ? sec : null;
+}
+
+/** 초/km (거리 모르거나 기록 없으면 null) */
+function paceOf(distance, netTime) {
+  const km = DIST_KM[distance];
+  const sec = timeToSeconds(netTime);
+  return km && sec ? sec / km : null;
+}
+
+/**
+ * 연령대 10년 단위 (30 = 30대). 후보의 ageGroup("40대"·"M40"·"40-49"·"F50") · age · birthYear 중 있는 것.
+ * @param {object} c - 후보 기록
+ * @param {number} eventYear
+ */
+function candidateAgeDecade(c, eventYear) {
+  if (!c) return null;
+  const by = Number(c.birthYear);
+  if (by >= 1900 && eventYear) return Math.floor((eventYear - by) / 10) * 10;
+  const age = Number(c.age);
+  if (age > 0 && age < 120) return Math.floor(age / 10) * 10;
+  const m = String(c.ageGroup || "").match(/(\d{2})/);
+  return m ? Number(m[1]) - (Number(m[1]) % 10) : null;
+}
+
+/**
+ * 회원 프로필 — members 문서 + 확정 race_results
+ * @param {{ gender?: string, birthYear?: number }} member
+ * @param {object[]} results - race_results data (status confirmed)
+ * @param {(d: string) => string} [normDist]
+ */
+function buildHomonymProfile(member, results, normDist = (d) => String(d || "")) {
+  const m = member || {};
+  const ranges = {};
+  (results || []).forEach((r) => {
+    const dist = normDist(r.distance);
+    const pace = paceOf(dist, r.netTime);
+    if (!pace) return;
+    const cur = ranges[dist];
+    if (!cur) ranges[dist] = { min: pace, max: pace, n: 1 };
+    else {
+      cur.min = Math.min(cur.min, pace);
+      cur.max = Math.max(cur.max, pace);
+      cur.n++;
+    }
+  });
+
+  // 가장 빠른 기록에서 다른 거리 예상 페이스 (suggestions 기존 방식)
+  const predicted = {};
+  Object.entries(ranges).forEach(([dist, range]) => {
+    const knownSecs = range.min * DIST_KM[dist];
+    Object.entries(DIST_KM).forEach(([td, tk]) => {
+      const predPace = (knownSecs * Math.pow(tk / DIST_KM[dist], RIEGEL_EXPONENT)) / tk;
+      if (!predicted[td] || predPace < predicted[td]) predicted[td] = predPace;
+    });
+  });
+
+  const birthYear = Number(m.birthYear);
+  return {
+    gender: normalizeGender(m.gender),
+    birthYear: birthYear >= 1900 ? birthYear : null,
+    paceRanges: ranges,
+    predictedPaces: predicted,
+  };
+}
+
+/**
+ * @param {object} candidate - 스크래퍼 기록 ({ distance, netTime, gender, ageGroup?, ... })
+ * @param {ReturnType<typeof buildHomonymProfile>} profile
+ * @param {{ eventDate?: string, memberRegistered?: boolean, clubParticipants?: number }} [ctx]
+ * @param {(d: string) => string} [normDist]
+ * @returns {{ score: number, dimout: boolean, reasons: string[] }}
+ */
+function scoreHomonymCandidate(candidate, profile, ctx = {}, normDist = (d) => String(d || "")) {
+  const c = candidate || {};
+  const p = profile || { paceRanges: {}, predictedPaces: {} };
+  let score = BASE_SCORE;
+  const reasons = [];
+
+  const g = normalizeGender(c.gender);
+  if (p.gender && g) {
+    if (g === p.gender) score += WEIGHTS.genderMatch;
+    else {
+      score += WEIGHTS.genderMismatch;
+      reasons.push("gender");
+    }
+  }
+
+  const eventYear = Number(String(ctx.eventDate || "").slice(0, 4)) || null;
+  const decade = candidateAgeDecade(c, eventYear);
+  if (p.birthYear && decade != null && eventYear) {
+    const memberDecade = Math.floor((eventYear - p.birthYear) / 10) * 10;
+    const gap = Math.abs(memberDecade - decade);
+    if (gap === 0) score += WEIGHTS.ageMatch;
+    else if (gap >= 20) {
+      score += WEIGHTS.ageMismatch;
+      reasons.push("age");
+    }
+  }
+
+  const dist = normDist(c.distance);
+  const pace = paceOf(dist, c.netTime);
+  const range = p.paceRanges[dist];
+  const predicted = p.predictedPaces[dist];
+  if (pace && range && pace >= range.min * (1 - RANGE_SLACK) && pace <= range.max * (1 + RANGE_SLACK)) {
+    score += WEIGHTS.paceInRange;
+  } else if (pace && predicted) {
+    const tol = PACE_TOLERANCE[dist] != null ? PACE_TOLERANCE[dist] : DEFAULT_PACE_TOLERANCE;
+    if (Math.abs(pace - predicted) / predicted > tol) {
+      score += WEIGHTS.paceOff;
+      reasons.push("pace");
+    }
+  }
+
+  if (ctx.memberRegistered) score += WEIGHTS.clubRegistered;
+  else if (ctx.clubParticipants > 0) score += WEIGHTS.clubEvent;
+
+  score = Math.max(0, Math.min(100, score));
+  return { score, dimout: score < DIMOUT_SCORE, reasons };
+}
+
+/**
+ * 정답셋 벤치마크 — 본인 기록이 딤아웃되는 비율(FNR)과 타인 후보 감소율.
+ * 케이스마다 평가 대상 대회의 확정 기록은 history 에서 뺀다 (정답 누출 방지).
+ * @param {{ member: object, history: object[], source?: string, sourceId?: string, eventDate?: string,
+ *   memberRegistered?: boolean, clubParticipants?: number, candidates: (object & { isTrue: boolean })[] }[]} cases
+ * @param {{ threshold?: number, normDist?: Function }} [opts]
+ */
+function benchmarkHomonymDimout(cases, opts = {}) {
+  const threshold = opts.threshold != null ? opts.threshold : DIMOUT_SCORE;
+  const normDist = opts.normDist;
+  const out = { cases: 0, candidates: 0, truePositives: 0, falseNegatives: 0, others: 0, othersDimmed: 0, misses: [] };
+  (cases || []).forEach((k) => {
+    const key = `${k.source || ""}_${k.sourceId || ""}`;
+    const history = (k.history || []).filter((h) => `${h.source || ""}_${h.sourceId || ""}` !== key);
+    const profile = buildHomonymProfile(k.member, history, normDist);
+    const ctx = { eventDate: k.eventDate, memberRegistered: k.memberRegistered, clubParticipants: k.clubParticipants };
+    out.cases++;
+    (k.candidates || []).forEach((c) => {
+      out.candidates++;
+      const { score } = scoreHomonymCandidate(c, profile, ctx, normDist);
+      const dimmed = score < threshold;
+      if (c.isTrue) {
+        out.truePositives++;
+        if (dimmed) {
+          out.falseNegatives++;
+          out.misses.push({ realName: (k.member && k.member.realName) || "", source: k.source || "", sourceId: k.sourceId || "", distance: c.distance, netTime: c.netTime, score });
+        }
+      } else {
+        out.others++;
+        if (dimmed) out.othersDimmed++;
+      }
+    });
+  });
+  const pct = (a, b) => (b ? Math.round((a / b) * 1000) / 10 : 0);
+  return {
+    ...out,
+    threshold,
+    falseNegativeRate: pct(out.falseNegatives, out.truePositives),
+    reductionRate: pct(out.othersDimmed, out.others),
+  };
+}
+
+module.exports = {
+  DIMOUT_SCORE,
+  WEIGHTS,
+  parseMemberBirthYear,
+  normalizeGender,
+  candidateAgeDecade,
+  buildHomonymProfile,
+  scoreHomonymCandidate,
+  benchmarkHomonymDimout,
+};
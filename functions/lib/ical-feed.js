@@ -0,0 +1,310 @@
+/**
+ * 구독용 iCalendar(.ics) 피드 — 정모(meeting_training + meeting_calendar), 단체 대회(race_events), 춘백 슬롯.
+ * UID 는 문서 키에서 만들어 고정 — 내용이 바뀌어도 캘린더 앱이 같은 일정을 갱신한다.
+ *  - 정모: meeting-{원래 모임일 YYYYMMDD}-{TYPE} (이동된 정모도 원래 날짜 UID 유지, 취소는 STATUS:CANCELLED)
+ *  - 단체 대회: race-{canonicalEventId}
+ *  - 춘백: chunbaek-{seasonId}-{slotKey}
+ * 순수 함수 — node --test 친화적.
+ */
+
+const { normalizeRaceDistance } = require("./raceDistance");
+const {
+  CALENDAR_TYPES,
+  normalizeCalendarDateKey,
+  regularTypeForDateKey,
+  sessionsForDate,
+  shiftDateKey,
+} = require("./meeting-calendar");
+const { normalizeMemberTeam } = require("./member-team");
+
+const ICAL_PRODID = "-//DMC//dmc-attendance calendar//KO";
+const ICAL_UID_DOMAIN = "dmc-attendance.web.app";
+const ICAL_TZID = "Asia/Seoul";
+const FEED_KINDS = ["meetings", "races", "chunbaek"];
+/** docs/MEETING_INFO.md — 훈련 문서에 시간이 없을 때 */
+const DEFAULT_MEETING_TIME = { TUE: "18:30", THU: "18:30", SAT: "06:00", ETC: "18:30" };
+const MEETING_DURATION_MIN = 60;
+const FEED_PAST_DAYS = 14;
+const FEED_FUTURE_DAYS = 90;
+const MEETING_TYPE_NAME = { TUE: "화요 정모", THU: "목요 정모", SAT: "토요 정모", ETC: "특별 모임" };
+const DISTANCE_LABEL = { full: "풀", half: "하프", ultra: "울트라" };
+
+function escapeIcalText(s) {
+  return String(s == null ? "" : s)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+/** RFC 5545 3.1 — 75 octet 초과 줄은 CRLF + 공백으로 접는다 (UTF-8 글자 중간에서 끊지 않음) */
+function foldIcalLine(line) {
+  const out = [];
+  let cur = "";
+  let bytes = 0;
+  for (const ch of String(line)) {
+    const len = Buffer.byteLength(ch, "utf8");
+    const limit = out.length ? 74 : 75;
+    if (bytes + len > limit) {
+      out.push(cur);
+      cur = "";
+      bytes = 0;
+    }
+    cur += ch;
+    bytes += len;
+  }
+  out.push(cur);
+  return out.join("\r\n ");
+}
+
+/** YYYY/MM/DD · YYYY-MM-DD → YYYYMMDD */
+function icalDate(dateKey) {
+  const key = normalizeCalendarDateKey(dateKey);
+  return key ? key.replace(/\//g, "") : "";
+}
+
+/** "7:30" · "19:30~20:30" 처럼 앞의 HH:MM 만 → "HH:MM", 없으면 "" */
+function parseStartTime(raw) {
+  const m = String(raw == null ? "" : raw).match(/(\d{1,2}):(\d{2})/);
+  if (!m) return "";
+  const h = Number(m[1]);
+  const min = Number(m[2]);
+  if (h > 23 || min > 59) return "";
+  return `${String(h).padStart(2, "0")}:${m[2]}`;
+}
+
+/** dateKey + HH:MM + 분 → { dateKey, time } (자정 넘김 처리) */
+function addMinutes(dateKey, time, minutes) {
+  const [h, m] = time.split(":").map(Number);
+  const total = h * 60 + m + minutes;
+  const dayShift = Math.floor(total / 1440);
+  const rest = ((total % 1440) + 1440) % 1440;
+  return {
+    dateKey: dayShift ? shiftDateKey(dateKey, dayShift) : dateKey,
+    time: `${String(Math.floor(rest / 60)).padStart(2, "0")}:${String(rest % 60).padStart(2, "0")}`,
+  };
+}
+
+function utcStamp(ms) {
+  return new Date(ms).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}Z$/, "Z");
+}
+
+function distanceLabel(distance) {
+  const d = normalizeRaceDistance(distance);
+  return DISTANCE_LABEL[d] || d || "";
+}
+
+/**
+ * 쿼리 → 피드 옵션.
+ * feed=meetings,races,chunbaek (생략 시 전부) · type=TUE,THU,SAT,ETC · team=T1 · memberId + mine=1
+ * @returns {{ ok: true, kinds: string[], types: string[], team: string, memberId: string, mine: boolean }|{ ok: false, error: string }}
+ */
+function parseFeedQuery(query) {
+  const q = query || {};
+  const list = (v) =>
+    String(v == null ? "" : v)
+      .split(",")
+      .map((x) => x.trim())
+      .filter(Boolean);
+  const kinds = list(q.feed).map((k) => k.toLowerCase());
+  const badKind = kinds.find((k) => !FEED_KINDS.includes(k));
+  if (badKind) return { ok: false, error: `invalid feed: ${badKind}` };
+  const types = list(q.type).map((t) => t.toUpperCase());
+  const badType = types.find((t) => !CALENDAR_TYPES.includes(t));
+  if (badType) return { ok: false, error: `invalid type: ${badType}` };
+  const teamRaw = String(q.team == null ? "" : q.team).trim();
+  const team = normalizeMemberTeam(teamRaw);
+  if (teamRaw && !team) return { ok: false, error: `invalid team: ${teamRaw}` };
+  const memberId = String(q.memberId == null ? "" : q.memberId).trim();
+  if (memberId && !/^[A-Za-z0-9_-]{1,64}$/.test(memberId)) return { ok: false, error: "invalid memberId" };
+  const mine = q.mine === "1" || q.mine === "true";
+  if (mine && !memberId) return { ok: false, error: "mine=1 requires memberId" };
+  return { ok: true, kinds: kinds.length ? kinds : FEED_KINDS.slice(), types, team, memberId, mine };
+}
+
+/** 이동된 정모의 원래 날짜 (UID 고정용) */
+function movedFromDateKey(calendar, dateKey, meetingType) {
+  const hit = (calendar && calendar.held[dateKey]) || [];
+  const found = hit.find((h) => h.status === "moved" && h.meetingType === meetingType);
+  return found ? found.fromDateKey : "";
+}
+
+/**
+ * 정모 일정.
+ * @param {{ fromKey: string, toKey: string, calendar?: object, trainingById: Map<string, object>, types?: string[] }} p
+ *   trainingById: meeting_training doc ID(YYYY-MM-DD_TYPE) → 문서
+ */
+function meetingFeedEvents(p) {
+  const types = p.types && p.types.length ? p.types : CALENDAR_TYPES;
+  const calendar = p.calendar || null;
+  const events = [];
+  for (let key = p.fromKey; key && key <= p.toKey; key = shiftDateKey(key, 1)) {
+    sessionsForDate(calendar, key).forEach((s) => {
+      if (!types.includes(s.meetingType)) return;
+      const training = p.trainingById.get(`${key.replace(/\//g, "-")}_${s.meetingType}`) || {};
+      const start = parseStartTime(training.time) || DEFAULT_MEETING_TIME[s.meetingType];
+      const end = addMinutes(key, start, MEETING_DURATION_MIN);
+      const origin = s.status === "moved" ? movedFromDateKey(calendar, key, s.meetingType) || key : key;
+      const name = s.label || MEETING_TYPE_NAME[s.meetingType];
+      events.push({
+        uid: `meeting-${icalDate(origin)}-${s.meetingType}`,
+        summary: `동마클 ${name}${s.status === "moved" ? " (일정 변경)" : ""}`,
+        description: [training.trainMain, s.note].filter(Boolean).join("\n"),
+        location: training.place || "",
+        dateKey: key,
+        startTime: start,
+        endDateKey: end.dateKey,
+        endTime: end.time,
+      });
+    });
+    // 취소된 정규 정모 — 같은 UID 로 CANCELLED 를 내보내 구독 캘린더에서 지워지게
+    const regular = regularTypeForDateKey(key);
+    const cancelled = regular && calendar ? calendar.cancelled[`${key}|${regular}`] : null;
+    if (cancelled && cancelled.status === "cancelled" && types.includes(regular)) {
+      const start = DEFAULT_MEETING_TIME[regular];
+      const end = addMinutes(key, start, MEETING_DURATION_MIN);
+      events.push({
+        uid: `meeting-${icalDate(key)}-${regular}`,
+        summary: `[취소] 동마클 ${MEETING_TYPE_NAME[regular]}`,
+        description: cancelled.note || "",
+        location: "",
+        dateKey: key,
+        startTime: start,
+        endDateKey: end.dateKey,
+        endTime: end.time,
+        status: "CANCELLED",
+      });
+    }
+  }
+  return events;
+}
+
+/**
+ * 다가오는 단체 대회 (하루 종일).
+ * @param {{ events: Array<{ id: string, eventName?: string, primaryName?: string, eventDate: string, participants?: object[] }>,
+ *   fromKey: string, team?: string, memberTeams?: Map<string, string>, memberId?: string, mine?: boolean }} p
+ */
+function groupRaceFeedEvents(p) {
+  const fromDate = String(p.fromKey || "").replace(/\//g, "-");
+  const memberTeams = p.memberTeams || new Map();
+  return (p.events || [])
+    .filter((ev) => ev && /^\d{4}-\d{2}-\d{2}$/.test(String(ev.eventDate || "")) && ev.eventDate >= fromDate)
+    .map((ev) => {
+      const participants = Array.isArray(ev.participants) ? ev.participants : [];
+      const teamParticipants = p.team
+        ? participants.filter((x) => normalizeMemberTeam(memberTeams.get(x.memberId)) === p.team)
+        : participants;
+      const me = p.memberId ? participants.find((x) => x.memberId === p.memberId) : null;
+      if (p.mine && !me) return null;
+      if (p.team && !teamParticipants.length) return null;
+      const name = ev.primaryName || ev.eventName || "";
+      const lines = teamParticipants.map((x) => {
+        const dist = distanceLabel(x.distance);
+        return `${x.nickname || x.realName || ""}${dist ? ` ${dist}` : ""}`;
+      });
+      const myDistance = me ? distanceLabel(me.distance) : "";
+      return {
+        uid: `race-${ev.id}`,
+        summary: `동마클 단체: ${name}${myDistance ? ` (${myDistance})` : ""}`,
+        description: [
+          me ? `내 종목: ${myDistance || "미정"}` : "",
+          `참가 ${teamParticipants.length}명${p.team ? ` (${p.team})` : ""}`,
+          lines.join(", "),
+        ]
+          .filter(Boolean)
+          .join("\n"),
+        location: ev.location || "",
+        allDay: true,
+        dateKey: ev.eventDate,
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * 춘백 슬롯 (하루 종일). slots 는 date(YYYY-MM-DD) 가 확정된 시즌 슬롯.
+ * @param {{ seasonId: string, slots: Array<{ key: string, date: string, dayIndex?: number, title?: string, content?: string }>, fromKey: string, toKey: string }} p
+ */
+function chunbaekFeedEvents(p) {
+  const from = String(p.fromKey || "").replace(/\//g, "-");
+  const to = String(p.toKey || "").replace(/\//g, "-");
+  return (p.slots || [])
+    .filter((s) => s && s.date && s.date >= from && s.date <= to)
+    .map((s) => ({
+      uid: `chunbaek-${p.seasonId}-${s.key}`,
+      summary: ["춘백", s.dayIndex ? `Day ${s.dayIndex}` : "", s.title].filter(Boolean).join(" · "),
+      description: s.content || "",
+      location: "",
+      allDay: true,
+      dateKey: s.date,
+    }));
+}
+
+const VTIMEZONE_SEOUL = [
+  "BEGIN:VTIMEZONE",
+  `TZID:${ICAL_TZID}`,
+  "BEGIN:STANDARD",
+  "DTSTART:19700101T000000",
+  "TZOFFSETFROM:+0900",
+  "TZOFFSETTO:+0900",
+  "TZNAME:KST",
+  "END:STANDARD",
+  "END:VTIMEZONE",
+];
+
+/**
+ * @param {{ name: string, events: object[], stampMs: number }} p
+ * @returns {string} text/calendar 본문 (CRLF)
+ */
+function buildIcsCalendar(p) {
+  const stamp = utcStamp(p.stampMs);
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${ICAL_PRODID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeIcalText(p.name)}`,
+    `X-WR-TIMEZONE:${ICAL_TZID}`,
+    "REFRESH-INTERVAL;VALUE=DURATION:PT6H",
+    ...VTIMEZONE_SEOUL,
+  ];
+  (p.events || [])
+    .slice()
+    .sort((a, b) => `${icalDate(a.dateKey)}${a.startTime || ""}`.localeCompare(`${icalDate(b.dateKey)}${b.startTime || ""}`))
+    .forEach((ev) => {
+      lines.push("BEGIN:VEVENT", `UID:${ev.uid}@${ICAL_UID_DOMAIN}`, `DTSTAMP:${stamp}`);
+      if (ev.allDay) {
+        lines.push(`DTSTART;VALUE=DATE:${icalDate(ev.dateKey)}`, `DTEND;VALUE=DATE:${icalDate(shiftDateKey(normalizeCalendarDateKey(ev.dateKey), 1))}`);
+      } else {
+        lines.push(
+          `DTSTART;TZID=${ICAL_TZID}:${icalDate(ev.dateKey)}T${ev.startTime.replace(":", "")}00`,
+          `DTEND;TZID=${ICAL_TZID}:${icalDate(ev.endDateKey)}T${ev.endTime.replace(":", "")}00`
+        );
+      }
+      lines.push(`SUMMARY:${escapeIcalText(ev.summary)}`);
+      if (ev.description) lines.push(`DESCRIPTION:${escapeIcalText(ev.description)}`);
+      if (ev.location) lines.push(`LOCATION:${escapeIcalText(ev.location)}`);
+      lines.push(`STATUS:${ev.status || "CONFIRMED"}`, "END:VEVENT");
+    });
+  lines.push("END:VCALENDAR");
+  return lines.map(foldIcalLine).join("\r\n") + "\r\n";
+}
+
+module.exports = {
+  ICAL_UID_DOMAIN,
+  FEED_KINDS,
+  DEFAULT_MEETING_TIME,
+  MEETING_DURATION_MIN,
+  FEED_PAST_DAYS,
+  FEED_FUTURE_DAYS,
+  escapeIcalText,
+  foldIcalLine,
+  parseStartTime,
+  addMinutes,
+  parseFeedQuery,
+  meetingFeedEvents,
+  groupRaceFeedEvents,
+  chunbaekFeedEvents,
+  buildIcsCalendar,
+};
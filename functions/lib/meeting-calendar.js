@@ -0,0 +1,235 @@
+/**
+ * Meeting calendar (정모 일정 예외) — 취소·이동·추가(특별) 모임.
+ * Collection: meeting_calendar / docId: YYYY-MM-DD_TUE|THU|SAT|ETC (원래 모임일·유형)
+ * 순수 함수 — node --test 친화적. 브라우저용 assets/meeting-calendar.js 와 동기화 유지.
+ *
+ * status
+ *  - cancelled: 해당 정모 없음 (우천 등) — streak·가능 모임 수에서 제외
+ *  - moved: movedToDateKey 로 이동 — 원래 날짜는 취소, 이동 날짜에 같은 유형 정모
+ *  - extra: 추가 모임 (기본 ETC) — 가능 모임 수에 포함, streak 은 출석 시 가산만
+ */
+
+const MEETING_CALENDAR_COLLECTION = "meeting_calendar";
+const CALENDAR_TYPES = ["TUE", "THU", "SAT", "ETC"];
+const CALENDAR_STATUSES = ["cancelled", "moved", "extra"];
+const REGULAR_BY_DOW = { 2: "TUE", 4: "THU", 6: "SAT" };
+
+function normalizeCalendarDateKey(raw) {
+  const s = String(raw == null ? "" : raw).trim();
+  if (/^\d{4}\/\d{2}\/\d{2}$/.test(s)) return s;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(s)) return s.replace(/-/g, "/");
+  return "";
+}
+
+function parseDateKey(dateKey) {
+  const m = String(dateKey || "").match(/^(\d{4})\/(\d{2})\/(\d{2})$/);
+  if (!m) return null;
+  const d = new Date(Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3]), 12));
+  if (Number.isNaN(d.getTime()) || d.getUTCDate() !== Number(m[3])) return null;
+  return d;
+}
+
+function formatDateKey(d) {
+  return (
+    d.getUTCFullYear() +
+    "/" +
+    String(d.getUTCMonth() + 1).padStart(2, "0") +
+    "/" +
+    String(d.getUTCDate()).padStart(2, "0")
+  );
+}
+
+function shiftDateKey(dateKey, days) {
+  const d = parseDateKey(dateKey);
+  if (!d) return "";
+  d.setUTCDate(d.getUTCDate() + days);
+  return formatDateKey(d);
+}
+
+/** 화·목·토 → 정모 유형, 그 외 "" */
+function regularTypeForDateKey(dateKey) {
+  const d = parseDateKey(normalizeCalendarDateKey(dateKey));
+  if (!d) return "";
+  return REGULAR_BY_DOW[d.getUTCDay()] || "";
+}
+
+function calendarDocId(meetingDate, meetingType) {
+  const key = normalizeCalendarDateKey(meetingDate);
+  const type = String(meetingType || "").trim().toUpperCase();
+  if (!key || !CALENDAR_TYPES.includes(type)) return "";
+  return `${key.replace(/\//g, "-")}_${type}`;
+}
+
+/**
+ * 관리자 입력 → 저장용 entry. 잘못되면 { error }.
+ * @returns {{ entry: object }|{ error: string }}
+ */
+function normalizeCalendarEntry(raw) {
+  const src = raw && typeof raw === "object" ? raw : {};
+  const meetingDateKey = normalizeCalendarDateKey(src.meetingDateKey || src.meetingDate);
+  const status = String(src.status || "").trim().toLowerCase();
+  let meetingType = String(src.meetingType || "").trim().toUpperCase();
+  if (!meetingDateKey || !parseDateKey(meetingDateKey)) return { error: "invalid meetingDate (YYYY/MM/DD)" };
+  if (!CALENDAR_STATUSES.includes(status)) return { error: `invalid status: ${status}` };
+  if (status === "extra" && !meetingType) meetingType = "ETC";
+  if (!CALENDAR_TYPES.includes(meetingType)) return { error: `invalid meetingType: ${meetingType}` };
+
+  const entry = {
+    meetingDateKey,
+    meetingType,
+    status,
+    movedToDateKey: "",
+    label: String(src.label == null ? "" : src.label).trim().slice(0, 40),
+    note: String(src.note == null ? "" : src.note).trim().slice(0, 200),
+  };
+
+  if (status === "cancelled" || status === "moved") {
+    if (regularTypeForDateKey(meetingDateKey) !== meetingType) {
+      return { error: `${meetingDateKey} is not a regular ${meetingType} meeting` };
+    }
+  }
+  if (status === "moved") {
+    const to = normalizeCalendarDateKey(src.movedToDateKey || src.movedToDate);
+    if (!to || !parseDateKey(to)) return { error: "invalid movedToDate (YYYY/MM/DD)" };
+    if (to === meetingDateKey) return { error: "movedToDate must differ from meetingDate" };
+    entry.movedToDateKey = to;
+  }
+  return { entry };
+}
+
+/**
+ * meeting_calendar 문서들 → 조회용 캘린더.
+ * @param {Array<object>} entries - normalizeCalendarEntry 결과 형태 (meetingDateKey, meetingType, status, ...)
+ */
+function buildMeetingCalendar(entries) {
+  const cancelled = {};
+  const held = {};
+  (entries || []).forEach((e) => {
+    if (!e || !e.meetingDateKey || !e.meetingType) return;
+    const info = {
+      meetingType: e.meetingType,
+      label: e.label || "",
+      note: e.note || "",
+    };
+    if (e.status === "cancelled" || e.status === "moved") {
+      cancelled[`${e.meetingDateKey}|${e.meetingType}`] = {
+        ...info,
+        status: e.status,
+        movedToDateKey: e.movedToDateKey || "",
+      };
+    }
+    const heldDate = e.status === "moved" ? e.movedToDateKey : e.status === "extra" ? e.meetingDateKey : "";
+    if (heldDate) {
+      if (!held[heldDate]) held[heldDate] = [];
+      held[heldDate].push({
+        ...info,
+        status: e.status,
+        fromDateKey: e.status === "moved" ? e.meetingDateKey : "",
+      });
+    }
+  });
+  return { cancelled, held };
+}
+
+function cancellationFor(calendar, dateKey, meetingType) {
+  if (!calendar) return null;
+  return calendar.cancelled[`${dateKey}|${String(meetingType || "").toUpperCase()}`] || null;
+}
+
+/**
+ * 해당 날짜에 실제 열리는 모임 목록 (정규 → 이동 → 추가 순).
+ * @returns {Array<{ dateKey: string, meetingType: string, status: "regular"|"moved"|"extra", label: string, note: string }>}
+ */
+function sessionsForDate(calendar, dateKey) {
+  const out = [];
+  const regular = regularTypeForDateKey(dateKey);
+  if (regular && !cancellationFor(calendar, dateKey, regular)) {
+    out.push({ dateKey, meetingType: regular, status: "regular", label: "", note: "" });
+  }
+  const extras = (calendar && calendar.held[dateKey]) || [];
+  extras
+    .slice()
+    .sort((a, b) => (a.status === b.status ? 0 : a.status === "moved" ? -1 : 1))
+    .forEach((h) => {
+      out.push({ dateKey, meetingType: h.meetingType, status: h.status, label: h.label, note: h.note });
+    });
+  return out;
+}
+
+/** 세션이 열리는가 (정규 미취소 또는 이동·추가) */
+function isSessionHeld(calendar, dateKey, meetingType) {
+  const type = String(meetingType || "").toUpperCase();
+  return sessionsForDate(calendar, dateKey).some((s) => s.meetingType === type);
+}
+
+/** streak 기준 정모일: 취소되지 않은 화·목·토 + 이동해 온 정모 */
+function isClubMeetingDate(calendar, dateKey) {
+  return sessionsForDate(calendar, dateKey).some((s) => s.status === "regular" || s.status === "moved");
+}
+
+/** 추가(특별) 모임만 있는 날 — streak 은 출석 시 가산, 불참해도 끊기지 않음 */
+function isExtraOnlyDate(calendar, dateKey) {
+  const sessions = sessionsForDate(calendar, dateKey);
+  return sessions.length > 0 && sessions.every((s) => s.status === "extra");
+}
+
+/** 해당 월(YYYY-MM)에 열리는 모임 수 (정규 미취소 + 이동 + 추가) */
+function countHeldMeetingsForMonth(calendar, monthKey) {
+  const m = String(monthKey || "").match(/^(\d{4})-(\d{2})$/);
+  if (!m) return 0;
+  const y = Number(m[1]);
+  const mo = Number(m[2]);
+  const days = new Date(Date.UTC(y, mo, 0)).getUTCDate();
+  let cnt = 0;
+  for (let d = 1; d <= days; d++) {
+    const key = `${m[1]}/${m[2]}/${String(d).padStart(2, "0")}`;
+    cnt += sessionsForDate(calendar, key).length;
+  }
+  return cnt;
+}
+
+/**
+ * 요일 규칙으로 고른 기본 모임(base)에 캘린더 반영.
+ * base.dateKey ~ todayKey 사이에 열리는 가장 최근 모임을 고르고, 없으면 base 에 cancelled 표시.
+ * @param {{ dateKey: string, meetingType: string }} base
+ * @returns {{ dateKey: string, meetingType: string, status: string, label: string, note: string }}
+ */
+function applyMeetingCalendar(base, calendar, todayKey) {
+  const from = normalizeCalendarDateKey(base && base.dateKey);
+  const to = normalizeCalendarDateKey(todayKey) || from;
+  if (from && to >= from) {
+    for (let cur = to; cur && cur >= from; cur = shiftDateKey(cur, -1)) {
+      const sessions = sessionsForDate(calendar, cur);
+      if (sessions.length) {
+        const s = sessions[0];
+        return { dateKey: cur, meetingType: s.meetingType, status: s.status, label: s.label, note: s.note };
+      }
+    }
+  }
+  const c = cancellationFor(calendar, from, base && base.meetingType);
+  return {
+    dateKey: from,
+    meetingType: String((base && base.meetingType) || "").toUpperCase(),
+    status: c ? "cancelled" : "regular",
+    label: c ? c.label : "",
+    note: c ? c.note : "",
+  };
+}
+
+module.exports = {
+  MEETING_CALENDAR_COLLECTION,
+  CALENDAR_TYPES,
+  CALENDAR_STATUSES,
+  normalizeCalendarDateKey,
+  regularTypeForDateKey,
+  shiftDateKey,
+  calendarDocId,
+  normalizeCalendarEntry,
+  buildMeetingCalendar,
+  sessionsForDate,
+  isSessionHeld,
+  isClubMeetingDate,
+  isExtraOnlyDate,
+  countHeldMeetingsForMonth,
+  applyMeetingCalendar,
+};
@@ -46,11 +46,25 @@ async function collectAttendanceDocs(db, memberId, memberData) {
   return [...docIds.values()];
 }
 
-async function collectRaceResultDocs(db, archivedRealName) {
+/**
+ * race_results 는 memberId 로 연결된다 (race-result-key.js).
+ * 마이그레이션이 건너뛴 예전 문서(미실행·동명이인·이름 불일치)는 memberId 가 없으니 실명으로도 찾는다 — memberId 없는 문서만.
+ */
+async function collectRaceResultDocs(db, memberId, archivedRealName) {
+  const id = String(memberId || "").trim();
+  if (!id) return [];
+  const docs = new Map();
+  const byMemberId = await db.collection("race_results").where("memberId", "==", id).get();
+  byMemberId.docs.forEach((doc) => docs.set(doc.id, doc));
+
   const real = String(archivedRealName || "").trim();
-  if (!real) return [];
-  const snap = await db.collection("race_results").where("memberRealName", "==", real).get();
-  return snap.docs;
+  if (real) {
+    const byRealName = await db.collection("race_results").where("memberRealName", "==", real).get();
+    byRealName.docs.forEach((doc) => {
+      if (!doc.data().memberId && !docs.has(doc.id)) docs.set(doc.id, doc);
+    });
+  }
+  return [...docs.values()];
 }
 
 async function commitBatches(db, ops) {
@@ -117,7 +131,7 @@ async function applyMemberLeave(db, options) {
   };
 
   const attendanceDocs = await collectAttendanceDocs(db, memberId, data);
-  const raceDocs = await collectRaceResultDocs(db, archivedRealName);
+  const raceDocs = await collectRaceResultDocs(db, memberId, archivedRealName);
 
   const preview = {
     memberId,
@@ -148,7 +162,7 @@ async function applyMemberLeave(db, options) {
     ref: doc.ref,
     data: {
       memberRealName: labels.realName,
-      memberNickName: labels.nickname,
+      memberNickname: labels.nickname,
     },
   }));
   if (raceOps.length) await commitBatches(db, raceOps);
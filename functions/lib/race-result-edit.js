@@ -0,0 +1,197 @@
+/**
+ * 확정 기록(race_results) 운영진 수정 — 입력 검사 · PB 재계산 · 수정 이력(revisions).
+ * 순수 함수 — node --test 친화적. Firestore 읽기·쓰기는 index.js update-record 에서.
+ *
+ * 이력: race_results/{docId}/revisions/{autoId}
+ *   { at, actor, role, reason, changed[], before (수정 전 문서 전체), movedFrom? }
+ * 거리·날짜가 바뀌면 문서 ID({memberId}_{거리}_{날짜}, race-result-key.js)도 바뀌므로 새 문서로 옮기고 이력도 함께 옮긴다.
+ */
+
+const { normalizeRaceDistance, isCanonicalRaceDistance } = require("./raceDistance");
+const { splitTimeToSeconds, secondsToTime, RACE_DISTANCE_KM } = require("./race-splits");
+
+const RACE_RESULT_EDITABLE_FIELDS = Object.freeze([
+  "netTime",
+  "gunTime",
+  "distance",
+  "bib",
+  "note",
+  "pbConfirmed",
+  "canonicalEventId",
+]);
+const MAX_BIB = 20;
+const MAX_NOTE = 200;
+const MAX_REASON = 200;
+
+function isEditableDistance(d) {
+  return (isCanonicalRaceDistance(d) && d !== "unknown") || !!RACE_DISTANCE_KM[d];
+}
+
+/** "3:05:09" · "03:05:09.12" → "03:05:09", 형식 아니면 null */
+function normalizeRecordTime(v) {
+  const sec = splitTimeToSeconds(v);
+  return sec == null ? null : secondsToTime(sec);
+}
+
+/**
+ * update-record 입력 → 다음 문서.
+ * @param {object} current - 현재 race_results data
+ * @param {object} input - 요청 body (RACE_RESULT_EDITABLE_FIELDS 중 보낸 것만 반영)
+ * @param {{ event?: { id: string, primaryName?: string, eventDate?: string } | null }} [opts]
+ *   input.canonicalEventId 를 보냈을 때 서버가 읽은 race_events 문서 (없는 ID 면 null)
+ * @returns {{ ok: true, next: object, changed: string[] } | { ok: false, error: string }}
+ */
+function buildRaceResultUpdate(current, input, opts = {}) {
+  const cur = current || {};
+  const body = input || {};
+  const next = { ...cur };
+  const has = (k) => Object.prototype.hasOwnProperty.call(body, k) && body[k] !== undefined;
+
+  if (has("netTime")) {
+    const raw = String(body.netTime == null ? "" : body.netTime).trim();
+    if (!raw && (cur.status || "confirmed") !== "confirmed") next.netTime = "";
+    else {
+      const t = normalizeRecordTime(raw);
+      if (!t) return { ok: false, error: "INVALID_NET_TIME" };
+      next.netTime = t;
+    }
+  }
+  if (has("gunTime")) {
+    const raw = String(body.gunTime == null ? "" : body.gunTime).trim();
+    const t = raw ? normalizeRecordTime(raw) : "";
+    if (t == null) return { ok: false, error: "INVALID_GUN_TIME" };
+    next.gunTime = t;
+  }
+  if (has("distance")) {
+    const d = normalizeRaceDistance(body.distance);
+    if (!isEditableDistance(d)) return { ok: false, error: "INVALID_DISTANCE" };
+    next.distance = d;
+  }
+  if (has("bib")) {
+    const bib = String(body.bib == null ? "" : body.bib).trim();
+    if (bib.length > MAX_BIB) return { ok: false, error: "INVALID_BIB" };
+    next.bib = bib;
+  }
+  if (has("note")) {
+    const note = String(body.note == null ? "" : body.note).trim();
+    if (note.length > MAX_NOTE) return { ok: false, error: "NOTE_TOO_LONG" };
+    next.note = note;
+  }
+  if (has("pbConfirmed")) {
+    if (typeof body.pbConfirmed !== "boolean") return { ok: false, error: "INVALID_PB_CONFIRMED" };
+    next.pbConfirmed = body.pbConfirmed;
+  }
+  if (has("canonicalEventId")) {
+    const id = String(body.canonicalEventId == null ? "" : body.canonicalEventId).trim();
+    if (!id) delete next.canonicalEventId;
+    else {
+      const ev = opts.event;
+      if (!ev || ev.id !== id) return { ok: false, error: "INVALID_CANONICAL_EVENT_ID" };
+      next.canonicalEventId = id;
+      if (ev.primaryName) next.eventName = ev.primaryName;
+      if (ev.eventDate) next.eventDate = ev.eventDate;
+    }
+  }
+
+  const changed = Object.keys({ ...cur, ...next }).filter((k) => JSON.stringify(cur[k]) !== JSON.stringify(next[k]));
+  if (!changed.length) return { ok: false, error: "NO_CHANGES" };
+  return { ok: true, next, changed: changed.sort() };
+}
+
+/** 수정 사유 — 필수, MAX_REASON 자 */
+function parseEditReason(v) {
+  const reason = String(v == null ? "" : v).trim();
+  if (!reason) return { ok: false, error: "REASON_REQUIRED" };
+  if (reason.length > MAX_REASON) return { ok: false, error: "REASON_TOO_LONG" };
+  return { ok: true, reason };
+}
+
+/**
+ * 한 회원의 PB 플래그 재계산 — scraper.isPB 와 같은 기준:
+ * 날짜순으로 같은 거리 이전 기록보다 빠르면 PB (그 거리 첫 완주도 PB). 완주(confirmed)·기록 있는 것만.
+ * @param {{ id: string, eventDate?: string, distance?: string, netTime?: string, status?: string, pbConfirmed?: boolean }[]} records
+ * @param {{ distances?: string[], pinned?: Record<string, boolean> }} [opts]
+ *   distances: 이 거리만 다시 계산 (기본 전체) · pinned: 운영진이 직접 지정한 문서 플래그 (계산값 대신)
+ * @returns {{ id: string, pbConfirmed: boolean }[]} 값이 바뀌는 문서만
+ */
+function recomputePbFlags(records, opts = {}) {
+  const only = opts.distances ? new Set(opts.distances) : null;
+  const pinned = opts.pinned || {};
+  const sorted = (records || [])
+    .filter((r) => r && (!only || only.has(r.distance)))
+    .slice()
+    .sort((a, b) => String(a.eventDate || "").localeCompare(String(b.eventDate || "")) || String(a.id).localeCompare(String(b.id)));
+  const best = {};
+  const out = [];
+  sorted.forEach((r) => {
+    const sec = (r.status || "confirmed") === "confirmed" ? splitTimeToSeconds(r.netTime) : null;
+    let pb = false;
+    if (sec != null) {
+      pb = best[r.distance] == null || sec < best[r.distance];
+      if (pb) best[r.distance] = sec;
+    }
+    if (Object.prototype.hasOwnProperty.call(pinned, r.id)) pb = pinned[r.id];
+    if (!!r.pbConfirmed !== pb) out.push({ id: r.id, pbConfirmed: pb });
+  });
+  return out;
+}
+
+/** revisions 문서 */
+function buildRevisionEntry({ before, changed, actor, role, reason, now, movedFrom }) {
+  const entry = {
+    at: now,
+    actor: actor || "",
+    role: role || "",
+    reason: reason || "",
+    changed: changed || [],
+    before: before || {},
+  };
+  if (movedFrom) entry.movedFrom = movedFrom;
+  return entry;
+}
+
+/**
+ * report.html 전체 기록 그리드 — race_results 행 요약 (scrape_jobs 없는 기록은 orphan)
+ * @param {{ id: string, data: object }[]} docs
+ * @param {Set<string>} jobIds - 존재하는 scrape_jobs ID
+ * @param {Map<string, { reason?: string }>} [exclusions] - club_record_exclusions (클럽 기록판에서 뺀 기록)
+ */
+function raceResultGridRows(docs, jobIds, exclusions = new Map()) {
+  return (docs || [])
+    .map(({ id, data }) => {
+      const r = data || {};
+      return {
+        docId: id,
+        eventName: r.eventName || "",
+        eventDate: r.eventDate || "",
+        source: r.source || "",
+        jobId: r.jobId || "",
+        canonicalEventId: r.canonicalEventId || "",
+        memberId: r.memberId || null,
+        memberRealName: r.memberRealName || "",
+        memberNickname: r.memberNickname || "",
+        distance: r.distance || "",
+        netTime: r.netTime || "",
+        gunTime: r.gunTime || "",
+        bib: r.bib || "",
+        note: r.note || "",
+        pbConfirmed: !!r.pbConfirmed,
+        status: r.status || "confirmed",
+        orphan: !r.jobId || !jobIds.has(r.jobId),
+        editedAt: r.editedAt || "",
+        clubRecordExcluded: exclusions.has(id),
+        clubRecordExcludeReason: exclusions.has(id) ? exclusions.get(id).reason || "" : "",
+      };
+    })
+    .sort((a, b) => b.eventDate.localeCompare(a.eventDate) || a.memberRealName.localeCompare(b.memberRealName));
+}
+
+module.exports = {
+  RACE_RESULT_EDITABLE_FIELDS,
+  normalizeRecordTime,
+  buildRaceResultUpdate,
+  parseEditReason,
+  recomputePbFlags,
+  buildRevisionEntry,
+  raceResultGridRows,
+};
@@ -0,0 +1,163 @@
+/**
+ * race_results 식별 — 실명 대신 members 문서 ID(memberId) 기준.
+ * 순수 함수 — node --test 친화적.
+ *
+ *   Doc ID  : {memberKey}_{distance}_{eventDate}
+ *   memberKey: 회원이면 memberId, 게스트(비회원)면 guest_{실명}
+ * memberRealName·memberNickname 은 표시용으로 계속 저장한다 (개명·퇴회 익명화 시 갱신만).
+ * 기존 {실명}_{거리}_{날짜} 문서는 scripts/migrate-race-results-member-key.js 로 옮긴다.
+ */
+
+const GUEST_KEY_PREFIX = "guest_";
+
+function safeIdPart(s, re) {
+  return String(s == null ? "" : s).trim().replace(re, "_");
+}
+
+/** memberId 가 있으면 그대로, 없으면 guest_{실명} */
+function raceResultMemberKey(r) {
+  const row = r || {};
+  const memberId = String(row.memberId || "").trim();
+  if (memberId) return memberId;
+  return `${GUEST_KEY_PREFIX}${safeIdPart(row.memberRealName, /[^a-zA-Z0-9가-힣]/g)}`;
+}
+
+/** {memberKey}_{distance}_{eventDate} — 거리는 정규화된 값이어야 한다 */
+function raceResultDocId(r) {
+  const row = r || {};
+  const safeDist = safeIdPart(row.distance, /[^a-zA-Z0-9]/g);
+  const safeDate = String(row.eventDate || "").replace(/[^0-9\-]/g, "");
+  return `${raceResultMemberKey(row)}_${safeDist}_${safeDate}`;
+}
+
+/** 구 형식 {실명}_{거리}_{날짜} (마이그레이션 대조용) */
+function legacyRaceResultDocId(r) {
+  const row = r || {};
+  const safeName = String(row.memberRealName || "").replace(/[^a-zA-Z0-9가-힣]/g, "_");
+  const safeDist = String(row.distance || "").replace(/[^a-zA-Z0-9]/g, "_");
+  const safeDate = String(row.eventDate || "").replace(/[^0-9\-]/g, "");
+  return `${safeName}_${safeDist}_${safeDate}`;
+}
+
+/**
+ * members 문서 → 조회 색인. 퇴회 익명화 회원은 _archivedRealName·_archivedNickname 으로도 찾는다.
+ * @param {{ id: string, data: object }[]} memberDocs
+ */
+function buildMemberKeyIndex(memberDocs) {
+  const byId = new Map();
+  const byRealName = new Map();
+  const byNickname = new Map();
+  const add = (map, key, id) => {
+    const k = String(key || "").trim();
+    if (!k) return;
+    if (!map.has(k)) map.set(k, []);
+    if (!map.get(k).includes(id)) map.get(k).push(id);
+  };
+  (memberDocs || []).forEach(({ id, data }) => {
+    const d = data || {};
+    byId.set(id, d);
+    add(byRealName, d.realName, id);
+    add(byRealName, d._archivedRealName, id);
+    add(byNickname, d.nickname, id);
+    add(byNickname, d._archivedNickname, id);
+  });
+  return { byId, byRealName, byNickname };
+}
+
+/**
+ * 기록 행의 회원 찾기. 우선순위: 유효한 memberId → 실명+닉네임 → 실명 유일 → (게스트) 없음.
+ * 실명이 같은 회원이 둘 이상이고 닉네임으로도 못 가르면 ambiguous.
+ * @param {{ memberId?: string, memberRealName?: string, realName?: string, memberNickname?: string, nickname?: string, isGuest?: boolean }} row
+ * @param {ReturnType<typeof buildMemberKeyIndex>} index
+ * @returns {{ memberId: string|null, status: "member"|"guest"|"ambiguous"|"unmatched", candidates?: string[] }}
+ */
+function resolveRaceResultMember(row, index) {
+  const r = row || {};
+  const given = String(r.memberId || "").trim();
+  if (given && index.byId.has(given)) return { memberId: given, status: "member" };
+  if (r.isGuest) return { memberId: null, status: "guest" };
+
+  const realName = String(r.memberRealName || r.realName || "").trim();
+  const nickname = String(r.memberNickname || r.nickname || "").trim();
+  const byName = index.byRealName.get(realName) || [];
+  if (byName.length === 1) return { memberId: byName[0], status: "member" };
+  if (byName.length > 1) {
+    const byNick = byName.filter((id) => (index.byNickname.get(nickname) || []).includes(id));
+    if (byNick.length === 1) return { memberId: byNick[0], status: "member" };
+    return { memberId: null, status: "ambiguous", candidates: byName };
+  }
+  return { memberId: null, status: "unmatched" };
+}
+
+/**
+ * 저장 직전 행에 memberId 채우기 — confirm·confirm-one·bulk-confirm 공통.
+ * 회원을 못 찾으면 memberId null (Doc ID 는 guest_ 키).
+ * @returns {{ row: object, docId: string, resolution: ReturnType<typeof resolveRaceResultMember> }}
+ */
+function withRaceResultMemberKey(row, index) {
+  const resolution = resolveRaceResultMember(row, index);
+  const out = { ...row, memberId: resolution.memberId };
+  return { row: out, docId: raceResultDocId(out), resolution };
+}
+
+/**
+ * 기존 race_results → memberId 키 마이그레이션 계획.
+ * @param {{ id: string, data: object }[]} resultDocs
+ * @param {ReturnType<typeof buildMemberKeyIndex>} index
+ * @returns {{
+ *   moves: { fromId: string, toId: string, memberId: string|null }[],
+ *   patches: { id: string, memberId: string|null }[],
+ *   unchanged: number,
+ *   unresolved: { id: string, status: string, memberRealName: string, candidates?: string[] }[],
+ *   collisions: { toId: string, fromIds: string[] }[],
+ * }}
+ *   patches: ID 는 이미 맞고 memberId 필드만 채우면 되는 문서
+ *   unresolved: ambiguous(동명이인)·unmatched(회원 없음, 게스트 아님) — 옮기지 않는다
+ *   collisions: 같은 새 ID 로 가는 문서가 둘 이상 (기존 문서 포함) — 옮기지 않는다
+ */
+function planRaceResultKeyMigration(resultDocs, index) {
+  const existing = new Set((resultDocs || []).map((d) => d.id));
+  const targets = new Map();
+  const unresolved = [];
+  const patches = [];
+  let unchanged = 0;
+
+  (resultDocs || []).forEach(({ id, data }) => {
+    const d = data || {};
+    const resolution = resolveRaceResultMember(d, index);
+    if (resolution.status === "ambiguous" || resolution.status === "unmatched") {
+      const item = { id, status: resolution.status, memberRealName: d.memberRealName || "" };
+      if (resolution.candidates) item.candidates = resolution.candidates;
+      unresolved.push(item);
+      return;
+    }
+    const toId = raceResultDocId({ ...d, memberId: resolution.memberId });
+    if (toId === id) {
+      if ((d.memberId || null) !== resolution.memberId) patches.push({ id, memberId: resolution.memberId });
+      else unchanged++;
+      return;
+    }
+    if (!targets.has(toId)) targets.set(toId, []);
+    targets.get(toId).push({ fromId: id, toId, memberId: resolution.memberId });
+  });
+
+  const moves = [];
+  const collisions = [];
+  targets.forEach((list, toId) => {
+    if (list.length > 1 || existing.has(toId)) {
+      collisions.push({ toId, fromIds: list.map((m) => m.fromId).concat(existing.has(toId) ? [toId] : []) });
+    } else moves.push(list[0]);
+  });
+  return { moves, patches, unchanged, unresolved, collisions };
+}
+
+module.exports = {
+  GUEST_KEY_PREFIX,
+  raceResultMemberKey,
+  raceResultDocId,
+  legacyRaceResultDocId,
+  buildMemberKeyIndex,
+  resolveRaceResultMember,
+  withRaceResultMemberKey,
+  planRaceResultKeyMigration,
+};
@@ -0,0 +1,217 @@
+/**
+ * 대회 기록 상세 — 구간 기록(splits)·성별/연령대 순위 정규화 + 페이스 분석.
+ * 순수 함수 — node --test 친화적. 브라우저용 assets/race-splits.js 와 동일하게 유지할 것.
+ *
+ * race_results 필드:
+ *   genderRank   : number | null
+ *   ageGroupRank : "순위/전체" | "순위" | null (스크래퍼 원본 형식 유지)
+ *   splits       : [{ label, time }] — time 은 출발 후 누적(경과) HH:MM:SS, label 은 소스 원본
+ */
+
+const RACE_DISTANCE_KM = {
+  full: 42.195, half: 21.0975, "10K": 10, "20K": 20, "30K": 30, "32K": 32, "5K": 5, "3K": 3,
+};
+const MAX_SPLITS = 30;
+const MAX_SPLIT_LABEL = 40;
+/** 전·후반 차이가 전체의 이 비율 이하면 even */
+const EVEN_SPLIT_RATIO = 0.01;
+/** 마지막 10K 페이스가 그 전보다 이 비율 이상 느리면 fade */
+const FADE_RATIO = 0.03;
+
+function splitTimeToSeconds(t) {
+  const m = String(t == null ? "" : t).trim().match(/^(?:(\d{1,2}):)?(\d{1,2}):(\d{2})(?:\.\d+)?$/);
+  if (!m) return null;
+  const sec = Number(m[1] || 0) * 3600 + Number(m[2]) * 60 + Number(m[3]);
+  return sec > 0 ? sec : null;
+}
+
+function secondsToTime(sec) {
+  const s = Math.max(0, Math.round(sec));
+  const h = Math.floor(s / 3600);
+  const m = Math.floor((s % 3600) / 60);
+  return `${String(h).padStart(2, "0")}:${String(m).padStart(2, "0")}:${String(s % 60).padStart(2, "0")}`;
+}
+
+/** 초/km → "m:ss" */
+function formatPace(secPerKm) {
+  if (!Number.isFinite(secPerKm) || secPerKm <= 0) return "";
+  const s = Math.round(secPerKm);
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, "0")}`;
+}
+
+/**
+ * 스크래퍼 splits → 저장용. { label|section, time } 모두 받고, 시간 형식이 아니면 버린다.
+ * @returns {{ label: string, time: string }[]}
+ */
+function normalizeRaceSplits(raw) {
+  if (!Array.isArray(raw)) return [];
+  const out = [];
+  raw.forEach((s) => {
+    if (!s || out.length >= MAX_SPLITS) return;
+    const sec = splitTimeToSeconds(s.time);
+    if (sec == null) return;
+    const label = String(s.label != null ? s.label : s.section || "").trim().slice(0, MAX_SPLIT_LABEL);
+    out.push({ label: label || `CP${out.length + 1}`, time: secondsToTime(sec) });
+  });
+  return out;
+}
+
+/** 7 · "7" · "7/30" → { rank, total } (total 모르면 null) */
+function parseRankFraction(v) {
+  if (v == null || v === "") return null;
+  const m = String(v).trim().match(/^(\d+)(?:\s*\/\s*(\d+))?$/);
+  if (!m) return null;
+  const rank = Number(m[1]);
+  const total = m[2] ? Number(m[2]) : null;
+  if (rank <= 0 || (total != null && total < rank)) return null;
+  return { rank, total };
+}
+
+/** 상위 몇 % (1 미만은 1) — total 없으면 null */
+function rankPercentile(rank, total) {
+  if (!rank || !total) return null;
+  return Math.max(1, Math.round((rank / total) * 100));
+}
+
+/**
+ * confirm·백필 공통 — 스크랩 결과 행에서 race_results 에 넣을 상세 필드만 골라 정규화
+ * @returns {{ genderRank: number|null, ageGroupRank: string|null, splits: object[] }}
+ */
+function raceResultDetailFields(r) {
+  const src = r || {};
+  const g = parseRankFraction(src.genderRank);
+  const a = parseRankFraction(src.ageGroupRank);
+  return {
+    genderRank: g ? g.rank : null,
+    ageGroupRank: a ? (a.total ? `${a.rank}/${a.total}` : String(a.rank)) : null,
+    splits: normalizeRaceSplits(src.splits),
+  };
+}
+
+/**
+ * race_results 문서에 빠진 상세 필드를 scrape_jobs.results 에서 찾아 채울 패치.
+ * 같은 회원(memberRealName)·같은 거리 행만 보고, 배번이 둘 다 있으면 배번까지 맞아야 한다.
+ * 이미 값이 있는 필드는 건드리지 않는다.
+ * @param {object} result - race_results data
+ * @param {object[]} jobResults - scrape_jobs.results
+ * @param {(d: string) => string} [normDist] - 거리 정규화 (기본: 그대로)
+ * @returns {object|null} 채울 필드 (없으면 null)
+ */
+function raceDetailBackfillPatch(result, jobResults, normDist = (d) => String(d || "")) {
+  if (!result || !Array.isArray(jobResults)) return null;
+  const dist = normDist(result.distance);
+  const bib = String(result.bib || "").trim();
+  const candidates = jobResults.filter((j) => {
+    if (!j || j.memberRealName !== result.memberRealName) return false;
+    if (normDist(j.distance) !== dist) return false;
+    const jBib = String(j.bib || "").trim();
+    return !bib || !jBib || jBib === bib;
+  });
+  if (candidates.length !== 1) return null;
+  const detail = raceResultDetailFields(candidates[0]);
+  const patch = {};
+  if (result.genderRank == null && detail.genderRank != null) patch.genderRank = detail.genderRank;
+  if (result.ageGroupRank == null && detail.ageGroupRank != null) patch.ageGroupRank = detail.ageGroupRank;
+  if (!(Array.isArray(result.splits) && result.splits.length) && detail.splits.length) patch.splits = detail.splits;
+  return Object.keys(patch).length ? patch : null;
+}
+
+/**
+ * 구간 라벨 → 출발 후 km. "10K"·"5km"·"21.1K"·"Half"/"하프" ·"Finish"/"골인"(= 종목 거리).
+ * "Section 1"·"CP01" 처럼 위치를 알 수 없으면 null.
+ */
+function splitLabelKm(label, distance) {
+  const t = String(label || "").trim();
+  const num = t.match(/(\d+(?:\.\d+)?)\s*(?:k|km)\b/i);
+  if (num) return Number(num[1]);
+  if (/half|하프|중간/i.test(t)) return RACE_DISTANCE_KM.half;
+  if (/finish|goal|골인|도착|결승/i.test(t)) return RACE_DISTANCE_KM[distance] || null;
+  return null;
+}
+
+/** 누적 지점 [{km, sec}] (0 포함, km 오름차순) 에서 km 지점 경과 시간 — 선형 보간 */
+function elapsedAt(points, km) {
+  for (let i = 1; i < points.length; i++) {
+    const a = points[i - 1];
+    const b = points[i];
+    if (km <= b.km) return a.sec + ((b.sec - a.sec) * (km - a.km)) / (b.km - a.km);
+  }
+  return null;
+}
+
+/**
+ * 구간 기록 → 차트·페이스 분석.
+ * @param {{ splits?: object[], distance?: string, netTime?: string }} record
+ * @returns {{
+ *   segments: { label, km, elapsedSec, segmentSec, segmentKm, paceSec }[],
+ *   finishKm: number|null,
+ *   split: { type: "negative"|"positive"|"even", firstHalfSec, secondHalfSec, diffSec } | null,
+ *   last10k: { paceSec, beforePaceSec, fadePct, fade: boolean } | null,
+ * }}
+ */
+function analyzeRacePacing(record) {
+  const r = record || {};
+  const finishKm = RACE_DISTANCE_KM[r.distance] || null;
+  const finishSec = splitTimeToSeconds(r.netTime);
+  const splits = normalizeRaceSplits(r.splits);
+
+  const rows = splits.map((s) => ({ label: s.label, km: splitLabelKm(s.label, r.distance), elapsedSec: splitTimeToSeconds(s.time) }));
+  const hasFinish = rows.some((x) => finishKm && x.km === finishKm);
+  if (rows.length && finishSec && finishKm && !hasFinish) rows.push({ label: "Finish", km: finishKm, elapsedSec: finishSec });
+  rows.sort((a, b) => a.elapsedSec - b.elapsedSec);
+
+  let prevSec = 0;
+  let prevKm = 0;
+  const segments = rows.map((x) => {
+    const segmentSec = x.elapsedSec - prevSec;
+    const segmentKm = x.km != null && prevKm != null && x.km > prevKm ? x.km - prevKm : null;
+    prevSec = x.elapsedSec;
+    prevKm = x.km;
+    return { ...x, segmentSec, segmentKm, paceSec: segmentKm ? segmentSec / segmentKm : null };
+  });
+
+  // 위치를 아는 지점만으로 보간 — 출발·결승 사이에 실측 지점이 하나는 있어야 의미가 있다
+  const points = [{ km: 0, sec: 0 }];
+  segments.forEach((s) => {
+    if (s.km != null && s.km > points[points.length - 1].km) points.push({ km: s.km, sec: s.elapsedSec });
+  });
+  const last = points[points.length - 1];
+  const complete = !!finishKm && last.km === finishKm;
+  const inner = points.filter((p) => p.km > 0 && p.km < (finishKm || 0));
+
+  let split = null;
+  if (complete && inner.length) {
+    const firstHalfSec = Math.round(elapsedAt(points, finishKm / 2));
+    const secondHalfSec = last.sec - firstHalfSec;
+    const diffSec = secondHalfSec - firstHalfSec;
+    const type = Math.abs(diffSec) <= last.sec * EVEN_SPLIT_RATIO ? "even" : diffSec > 0 ? "positive" : "negative";
+    split = { type, firstHalfSec, secondHalfSec, diffSec };
+  }
+
+  let last10k = null;
+  const fromKm = finishKm ? finishKm - 10 : 0;
+  if (complete && fromKm >= 10 && inner.some((p) => p.km >= fromKm - 5)) {
+    const atSec = elapsedAt(points, fromKm);
+    const paceSec = (last.sec - atSec) / 10;
+    const beforePaceSec = atSec / fromKm;
+    const fadePct = Math.round((paceSec / beforePaceSec - 1) * 1000) / 10;
+    last10k = { paceSec, beforePaceSec, fadePct, fade: paceSec / beforePaceSec - 1 >= FADE_RATIO };
+  }
+
+  return { segments, finishKm, split, last10k };
+}
+
+module.exports = {
+  RACE_DISTANCE_KM,
+  MAX_SPLITS,
+  splitTimeToSeconds,
+  secondsToTime,
+  formatPace,
+  normalizeRaceSplits,
+  parseRankFraction,
+  rankPercentile,
+  raceResultDetailFields,
+  raceDetailBackfillPatch,
+  splitLabelKm,
+  analyzeRacePacing,
+};
@@ -0,0 +1,94 @@
+/**
+ * 스크래핑 공통 유틸 — 타이밍 소스 어댑터(./timing-sources/*)와 scraper.js 가 같이 쓴다.
+ * 요청 딜레이·브라우저 헤더, 거리/시간 정규화.
+ */
+
+const { normalizeRaceDistance } = require("./raceDistance");
+const { scrapeReplayMode } = require("./scrape-replay");
+
+const DELAY_MS = 200;
+// 녹화 재생(replay) 중에는 차단 회피용 딜레이가 의미 없으므로 0
+const sleep = (ms) => new Promise((r) => setTimeout(r, scrapeReplayMode() === "replay" ? 0 : ms));
+
+// ─── 봇 감지 우회 유틸리티 ───────────────────────────────────
+
+// 랜덤 지터: base ± jitter 범위에서 무작위 딜레이 (기계적 고정 패턴 제거)
+function randomDelay(baseMs, jitterMs = baseMs * 0.4) {
+  const delta = (Math.random() * 2 - 1) * jitterMs;
+  return Math.max(100, Math.round(baseMs + delta));
+}
+
+// User-Agent 풀: 실제 브라우저 UA 로테이션
+const USER_AGENTS = [
+  "Mozilla/5.0 (iPhone; CPU iPhone OS 17_3 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.3 Mobile/15E148 Safari/604.1",
+  "Mozilla/5.0 (iPhone; CPU iPhone OS 16_6 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/16.6 Mobile/15E148 Safari/604.1",
+  "Mozilla/5.0 (Linux; Android 14; SM-S918B) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Mobile Safari/537.36",
+  "Mozilla/5.0 (Linux; Android 13; Pixel 7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/119.0.0.0 Mobile Safari/537.36",
+  "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
+  "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.2 Safari/605.1.15",
+];
+
+function randomUA() {
+  return USER_AGENTS[Math.floor(Math.random() * USER_AGENTS.length)];
+}
+
+// 소스별 브라우저처럼 보이는 헤더 세트
+function browserHeaders(source) {
+  const ua = randomUA();
+  const base = {
+    "User-Agent": ua,
+    "Accept-Language": "ko-KR,ko;q=0.9,en-US;q=0.8,en;q=0.7",
+    "Accept-Encoding": "gzip, deflate, br",
+    "Connection": "keep-alive",
+  };
+  const sourceReferers = {
+    smartchip: "https://smartchip.co.kr/",
+    myresult: "https://myresult.co.kr/",
+    spct: "https://time.spct.kr/",
+    marazone: "https://raceresult.co.kr/",
+    gorunning: "https://gorunning.kr/",
+  };
+  if (sourceReferers[source]) base["Referer"] = sourceReferers[source];
+  return base;
+}
+
+// ─── 거리/시간 유틸리티 ──────────────────────────────────────
+
+/** @deprecated use normalizeRaceDistance from ./raceDistance */
+function normDist(raw) {
+  return normalizeRaceDistance(raw);
+}
+
+function normTime(raw) {
+  const t = String(raw || "").trim();
+  const m3 = t.match(/^(\d{1,2}):(\d{2}):(\d{2})(?:\.\d+)?$/);
+  if (m3) return `${m3[1].padStart(2, "0")}:${m3[2]}:${m3[3]}`;
+  const m2 = t.match(/^(\d{1,2}):(\d{2})(?:\.\d+)?$/);
+  if (m2) return `00:${m2[1].padStart(2, "0")}:${m2[2]}`;
+  return t;
+}
+
+function timeToSeconds(t) {
+  const m = String(t).match(/^(\d+):(\d{2}):(\d{2})/);
+  if (!m) return Infinity;
+  return parseInt(m[1]) * 3600 + parseInt(m[2]) * 60 + parseInt(m[3]);
+}
+
+function inferGender(text) {
+  const t = String(text || "").toLowerCase();
+  if (t.includes("남") || t.includes("male") || t === "m") return "M";
+  if (t.includes("여") || t.includes("female") || t === "f") return "F";
+  return null;
+}
+
+module.exports = {
+  DELAY_MS,
+  sleep,
+  randomDelay,
+  randomUA,
+  browserHeaders,
+  normDist,
+  normTime,
+  timeToSeconds,
+  inferGender,
+};
@@ -0,0 +1,343 @@
+/**
+ * 스크래핑 작업 큐 — API·스케줄러는 scrape_tasks 에 넣기만 하고, 워커가 lease 를 잡아 회원 단위로 이어서 처리한다.
+ * 순수 함수 — node --test 친화적. Firestore 트랜잭션·검색은 index.js runScrapeQueue 에서.
+ *
+ * 저장: scrape_tasks/{자동 ID}
+ *   kind        : "event" (race?action=scrape) | "group" (group-events scrape · groupEventAutoScrape)
+ *   jobId       : 결과를 쓰는 scrape_jobs 문서 — 잡당 queued·running 태스크는 하나
+ *   status      : queued → running → done | failed | cancelled (lease 만료·재시도는 queued 로 돌아간다)
+ *   members[]   : 넣을 때 고정한 검색 대상 { id, realName, nickname, gender, distance }
+ *   cursor      : 다음에 검색할 members 인덱스 — 회원 한 명마다 checkpoint
+ *   results[] · searched · failCount : 지금까지 누적
+ *   attempts · nextRunAt · lastError  : 실패 재시도 (지수 백오프, MAX_SCRAPE_TASK_ATTEMPTS 회)
+ *   lease       : { owner, until } — 워커가 죽으면 until 이 지나 다른 워커가 이어받는다.
+ *                 checkpoint 와 느린 단계(대회 정보·세션·회원 검색·소스 요청) 앞에서 연장
+ */
+
+const SCRAPE_TASK_KINDS = Object.freeze(["event", "group"]);
+const SCRAPE_TASK_ACTIVE = Object.freeze(["queued", "running"]);
+const SCRAPE_TASK_LEASE_MS = 2 * 60 * 1000;
+/** 느린 단계(대회 정보·세션·회원 검색·요청) 앞에서 lease 를 다시 늘리는 간격 — 이보다 최근에 늘렸으면 쓰지 않는다 */
+const SCRAPE_LEASE_RENEW_AFTER_MS = 15 * 1000;
+const MAX_SCRAPE_TASK_ATTEMPTS = 5;
+const SCRAPE_RETRY_BASE_MS = 60 * 1000;
+const SCRAPE_RETRY_MAX_MS = 30 * 60 * 1000;
+
+/** 재시도해도 소용없는 오류 — 바로 failed */
+const FATAL_SCRAPE_ERRORS = Object.freeze(["UNKNOWN_SOURCE", "NO_MEMBERS"]);
+
+/** 소스 요청 한도(scrape-rate-limit.js)에 막힌 것 — 실패로 세지 않고 error.retryAfterMs 뒤 다시 */
+const DEFERRED_SCRAPE_ERRORS = Object.freeze(["RATE_LIMITED"]);
+
+function iso(ms) {
+  return new Date(ms).toISOString();
+}
+
+function ms(v) {
+  const t = Date.parse(v || "");
+  return Number.isFinite(t) ? t : 0;
+}
+
+/**
+ * 새 태스크 문서
+ * @param {{ kind: string, jobId: string, source: string, sourceId: string, eventName?: string, eventDate?: string,
+ *   members: object[], skipCached?: boolean, partialRescrape?: boolean, canonicalEventId?: string|null, enqueuedBy?: string }} spec
+ * @param {number} nowMs
+ */
+function buildScrapeTask(spec, nowMs) {
+  const s = spec || {};
+  const now = iso(nowMs);
+  return {
+    kind: SCRAPE_TASK_KINDS.includes(s.kind) ? s.kind : "event",
+    jobId: s.jobId,
+    source: s.source,
+    sourceId: s.sourceId,
+    eventName: s.eventName || s.sourceId || "",
+    eventDate: s.eventDate || "",
+    canonicalEventId: s.canonicalEventId || null,
+    members: (s.members || []).map((m) => ({
+      id: m.id || null,
+      realName: m.realName,
+      nickname: m.nickname || "",
+      gender: m.gender || "",
+      distance: m.distance || null,
+    })),
+    skipCached: !!s.skipCached,
+    partialRescrape: !!s.partialRescrape,
+    status: "queued",
+    cursor: 0,
+    searched: 0,
+    failCount: 0,
+    results: [],
+    attempts: 0,
+    nextRunAt: now,
+    lease: null,
+    lastError: null,
+    enqueuedBy: s.enqueuedBy || "",
+    createdAt: now,
+    updatedAt: now,
+  };
+}
+
+/** 재시도 대기 — 60초 · 2분 · 4분 … 최대 30분 */
+function scrapeRetryDelayMs(attempts) {
+  const n = Math.max(1, Number(attempts) || 1);
+  return Math.min(SCRAPE_RETRY_BASE_MS * 2 ** (n - 1), SCRAPE_RETRY_MAX_MS);
+}
+
+function leaseExpired(task, nowMs) {
+  return !task.lease || ms(task.lease.until) <= nowMs;
+}
+
+/** 워커가 지금 잡을 수 있는지 — 대기 시간이 지난 queued, 또는 lease 가 끊긴 running */
+function isScrapeTaskClaimable(task, nowMs) {
+  if (!task) return false;
+  if (task.status === "queued") return ms(task.nextRunAt) <= nowMs;
+  if (task.status === "running") return leaseExpired(task, nowMs);
+  return false;
+}
+
+/**
+ * 다음에 잡을 태스크 — 같은 소스를 이미 다른 워커가 돌리고 있으면 건너뛴다 (politeness 딜레이를 지키려고)
+ * @param {{ id: string, data: object }[]} docs - queued·running 태스크
+ * @returns {string|null} taskId
+ */
+function pickNextScrapeTask(docs, nowMs, skipIds) {
+  const skip = skipIds || new Set();
+  const busy = new Set(
+    (docs || []).filter(({ data }) => data.status === "running" && !leaseExpired(data, nowMs)).map(({ data }) => data.source)
+  );
+  const next = (docs || [])
+    .filter(({ id, data }) => !skip.has(id) && !busy.has(data.source) && isScrapeTaskClaimable(data, nowMs))
+    .sort((a, b) => ms(a.data.nextRunAt) - ms(b.data.nextRunAt) || String(a.data.createdAt || "").localeCompare(String(b.data.createdAt || "")))[0];
+  return next ? next.id : null;
+}
+
+/**
+ * 같은 소스를 다른 태스크가 lease 를 쥐고 돌리고 있는지 — claim 트랜잭션 안에서 다시 확인한다
+ * @param {{ id: string, data: object }[]} docs - 같은 소스의 running 태스크
+ * @param {string} taskId - 잡으려는 태스크 (자기 자신은 빼고)
+ */
+function isScrapeSourceBusy(docs, taskId, nowMs) {
+  return (docs || []).some(({ id, data }) => id !== taskId && data.status === "running" && !leaseExpired(data, nowMs));
+}
+
+/** 이 워커가 아직 lease 를 쥐고 있는지 — checkpoint 는 이게 참일 때만 쓴다 */
+function holdsScrapeLease(task, owner, nowMs) {
+  return !!task && task.status === "running" && !!task.lease && task.lease.owner === owner && !leaseExpired(task, nowMs);
+}
+
+/**
+ * 실패 반영 — 횟수가 남으면 백오프 뒤 queued, 아니면 failed. 요청 한도 대기는 횟수를 늘리지 않는다
+ * @param {object} task
+ * @param {{ code?: string, message?: string, retryAfterMs?: number }} error
+ * @param {number} nowMs
+ */
+function retryScrapeTaskPatch(task, error, nowMs) {
+  const code = (error && error.code) || "SCRAPE_ERROR";
+  const lastError = { code, message: String((error && error.message) || code).slice(0, 500), at: iso(nowMs) };
+  if (DEFERRED_SCRAPE_ERRORS.includes(code)) {
+    const after = Math.min(Math.max(Number(error.retryAfterMs) || 0, SCRAPE_RETRY_BASE_MS), SCRAPE_RETRY_MAX_MS);
+    return {
+      status: "queued",
+      attempts: task.attempts || 0,
+      lastError,
+      lease: null,
+      nextRunAt: iso(nowMs + after),
+      updatedAt: iso(nowMs),
+    };
+  }
+  const attempts = (task.attempts || 0) + 1;
+  if (FATAL_SCRAPE_ERRORS.includes(code) || attempts >= MAX_SCRAPE_TASK_ATTEMPTS) {
+    return { status: "failed", attempts, lastError, lease: null, finishedAt: iso(nowMs), updatedAt: iso(nowMs) };
+  }
+  return {
+    status: "queued",
+    attempts,
+    lastError,
+    lease: null,
+    nextRunAt: iso(nowMs + scrapeRetryDelayMs(attempts)),
+    updatedAt: iso(nowMs),
+  };
+}
+
+/**
+ * lease 잡기 — 이전 워커의 lease 가 끊긴 채 running 이면 죽은 것으로 보고 실패 1회로 센다
+ * @returns {object} patch — status 가 "failed" 면 재시도 한도를 넘긴 것
+ */
+function claimScrapeTaskPatch(task, owner, nowMs) {
+  if (task.status === "running") {
+    const failed = retryScrapeTaskPatch(task, { code: "LEASE_EXPIRED", message: "워커가 lease 갱신 없이 중단됨" }, nowMs);
+    if (failed.status === "failed") return failed;
+    return {
+      status: "running",
+      attempts: failed.attempts,
+      lastError: failed.lastError,
+      lease: { owner, until: iso(nowMs + SCRAPE_TASK_LEASE_MS) },
+      updatedAt: iso(nowMs),
+    };
+  }
+  return {
+    status: "running",
+    lease: { owner, until: iso(nowMs + SCRAPE_TASK_LEASE_MS) },
+    ...(task.startedAt ? {} : { startedAt: iso(nowMs) }),
+    updatedAt: iso(nowMs),
+  };
+}
+
+/**
+ * 회원 한 명 처리 후 checkpoint — cursor 를 넘기고 결과를 누적, lease 연장
+ * @param {object} task
+ * @param {{ rows?: object[], failed?: boolean, skipped?: boolean }} step
+ */
+function checkpointScrapeTaskPatch(task, step, nowMs) {
+  const s = step || {};
+  return {
+    cursor: (task.cursor || 0) + 1,
+    searched: (task.searched || 0) + (s.skipped ? 0 : 1),
+    failCount: (task.failCount || 0) + (s.failed ? 1 : 0),
+    results: [...(task.results || []), ...(s.rows || [])],
+    lease: { ...task.lease, until: iso(nowMs + SCRAPE_TASK_LEASE_MS) },
+    updatedAt: iso(nowMs),
+  };
+}
+
+/** 느린 단계 앞에서 lease 를 늘릴 때가 됐는지 — 마지막 연장 후 SCRAPE_LEASE_RENEW_AFTER_MS 가 지났으면 */
+function scrapeLeaseNeedsRenewal(leaseUntilMs, nowMs) {
+  return leaseUntilMs - nowMs < SCRAPE_TASK_LEASE_MS - SCRAPE_LEASE_RENEW_AFTER_MS;
+}
+
+/** lease 만 연장 (checkpoint 없이) */
+function renewScrapeLeasePatch(task, nowMs) {
+  return { lease: { ...task.lease, until: iso(nowMs + SCRAPE_TASK_LEASE_MS) }, updatedAt: iso(nowMs) };
+}
+
+/** 시간 예산 소진 — 실패로 세지 않고 바로 다음 워커에게 넘긴다 */
+function releaseScrapeTaskPatch(nowMs) {
+  return { status: "queued", lease: null, nextRunAt: iso(nowMs), updatedAt: iso(nowMs) };
+}
+
+function finishScrapeTaskPatch(nowMs) {
+  return { status: "done", lease: null, finishedAt: iso(nowMs), updatedAt: iso(nowMs) };
+}
+
+/** ops 수동 재시도 — failed · cancelled 만, checkpoint 는 유지하고 횟수만 초기화 */
+function manualRetryScrapeTaskPatch(task, nowMs) {
+  if (!task || !["failed", "cancelled"].includes(task.status)) return null;
+  return { status: "queued", attempts: 0, lease: null, nextRunAt: iso(nowMs), finishedAt: null, updatedAt: iso(nowMs) };
+}
+
+/** ops 취소 — running 이면 워커가 다음 checkpoint 에서 lease 를 잃고 멈춘다 */
+function cancelScrapeTaskPatch(task, nowMs) {
+  if (!task || !SCRAPE_TASK_ACTIVE.includes(task.status)) return null;
+  return {
+    status: "cancelled",
+    lease: null,
+    lastError: { code: "CANCELLED", message: "운영자 취소", at: iso(nowMs) },
+    finishedAt: iso(nowMs),
+    updatedAt: iso(nowMs),
+  };
+}
+
+/** scrape_jobs.progress 형태 */
+function scrapeTaskJobProgress(task) {
+  const total = (task.members || []).length;
+  return {
+    searched: task.cursor || 0,
+    total,
+    found: (task.results || []).length,
+    failCount: task.failCount || 0,
+  };
+}
+
+/** ops.html 한 줄 — members·results 본문은 빼고 */
+function scrapeTaskView(id, task, nowMs) {
+  const t = task || {};
+  return {
+    taskId: id,
+    kind: t.kind,
+    jobId: t.jobId,
+    source: t.source,
+    sourceId: t.sourceId,
+    eventName: t.eventName || "",
+    canonicalEventId: t.canonicalEventId || null,
+    status: t.status,
+    progress: scrapeTaskJobProgress(t),
+    attempts: t.attempts || 0,
+    nextRunAt: t.nextRunAt || null,
+    waitingRetry: t.status === "queued" && ms(t.nextRunAt) > nowMs,
+    leaseOwner: t.lease ? t.lease.owner : null,
+    leaseUntil: t.lease ? t.lease.until : null,
+    staleLease: t.status === "running" && leaseExpired(t, nowMs),
+    lastError: t.lastError || null,
+    createdAt: t.createdAt || null,
+    finishedAt: t.finishedAt || null,
+  };
+}
+
+/**
+ * race?action=job 응답의 queue — 화면이 running 잡을 기다리는 동안 보여 주고, deferred 면 기다리기를 멈춘다
+ *   queued   : 곧 워커가 잡는다
+ *   deferred : 재시도 백오프·소스 요청 한도(RATE_LIMITED) 때문에 nextAttemptAt 까지 쉰다
+ *   running  : 워커가 처리 중 (stalled — lease 가 끊겨 다음 워커를 기다림)
+ * @returns {{ state: string, nextAttemptAt: string|null, attempts: number, error: object|null }|null}
+ */
+function scrapeJobQueueState(task, nowMs) {
+  if (!task || !SCRAPE_TASK_ACTIVE.includes(task.status)) return null;
+  let state = task.status;
+  if (state === "queued" && ms(task.nextRunAt) > nowMs) state = "deferred";
+  if (state === "running" && leaseExpired(task, nowMs)) state = "stalled";
+  return {
+    state,
+    nextAttemptAt: state === "deferred" ? task.nextRunAt : null,
+    attempts: task.attempts || 0,
+    error: task.lastError || null,
+  };
+}
+
+/**
+ * 큐 요약 — 상태별 개수, 재시도 대기, 끊긴 lease, 가장 오래 기다린 태스크
+ * @param {{ id: string, data: object }[]} docs
+ * @param {number} nowMs
+ */
+function summarizeScrapeQueue(docs, nowMs) {
+  const counts = { queued: 0, running: 0, done: 0, failed: 0, cancelled: 0 };
+  let waitingRetry = 0;
+  let staleLeases = 0;
+  let oldestQueuedAt = null;
+  const tasks = (docs || []).map(({ id, data }) => scrapeTaskView(id, data, nowMs));
+  tasks.forEach((t) => {
+    if (counts[t.status] !== undefined) counts[t.status]++;
+    if (t.waitingRetry) waitingRetry++;
+    if (t.staleLease) staleLeases++;
+    if (t.status === "queued" && t.createdAt && (!oldestQueuedAt || t.createdAt < oldestQueuedAt)) oldestQueuedAt = t.createdAt;
+  });
+  tasks.sort((a, b) => String(b.createdAt || "").localeCompare(String(a.createdAt || "")));
+  return { counts, waitingRetry, staleLeases, oldestQueuedAt, tasks };
+}
+
+module.exports = {
+  SCRAPE_TASK_KINDS,
+  SCRAPE_TASK_ACTIVE,
+  SCRAPE_TASK_LEASE_MS,
+  MAX_SCRAPE_TASK_ATTEMPTS,
+  buildScrapeTask,
+  scrapeRetryDelayMs,
+  isScrapeTaskClaimable,
+  pickNextScrapeTask,
+  isScrapeSourceBusy,
+  holdsScrapeLease,
+  claimScrapeTaskPatch,
+  checkpointScrapeTaskPatch,
+  scrapeLeaseNeedsRenewal,
+  renewScrapeLeasePatch,
+  releaseScrapeTaskPatch,
+  retryScrapeTaskPatch,
+  finishScrapeTaskPatch,
+  manualRetryScrapeTaskPatch,
+  cancelScrapeTaskPatch,
+  scrapeTaskJobProgress,
+  scrapeTaskView,
+  scrapeJobQueueState,
+  summarizeScrapeQueue,
+};
@@ -0,0 +1,241 @@
+/**
+ * 타이밍 소스별 요청 한도 — Firestore 에 둔 토큰 버킷을 모든 함수 실행(주간 발견·단체 자동 스크랩·회원 검색·큐 워커)이 같이 쓴다.
+ * 순수 함수 — node --test 친화적. 트랜잭션은 index.js createFirestoreScrapeLimiter, 연결은 scrape-replay.js setScrapeRateLimiter.
+ *
+ * 저장: scrape_rate_limits/{source}
+ *   tokens · refilledAt(ms)  : 버킷 — 예산은 어댑터 politeness { perMinute, burst }
+ *   strikes · blockedUntil   : 오류·차단(캡차) 응답마다 지수 백오프로 소스 전체를 멈춘다, 정상 응답이면 strikes 초기화
+ *                              2xx 본문은 차단 페이지 전용 문구·어댑터 blockMarkers 만 본다 (정상 페이지의 reCAPTCHA 스크립트로 멈추지 않게)
+ *   lastPenalty              : { kind, status, at }
+ *   metrics                  : 누적 { granted, throttled, throttledMs, gaveUp, penalties }, daily[YYYY-MM-DD] 같은 모양 (14일 보관)
+ */
+
+const SCRAPE_PENALTY_BASE_MS = 30 * 1000;
+const SCRAPE_PENALTY_MAX_MS = 15 * 60 * 1000;
+const RATE_METRIC_KEYS = Object.freeze(["granted", "throttled", "throttledMs", "gaveUp", "penalties"]);
+const RATE_METRIC_DAYS = 14;
+/** 큐 워커 lease 안에서 기다릴 때 남겨 둘 여유 — 요청 한 번 + checkpoint 쓰기 */
+const SCRAPE_LEASE_WAIT_MARGIN_MS = 30 * 1000;
+
+/** 차단·캡차 페이지에만 나오는 문구 — 2xx 본문에도 본다. 소스마다 다른 차단 페이지는 어댑터 blockMarkers */
+const BLOCK_PAGE_PATTERNS = [
+  /cf-challenge|cf_chl_|Attention Required! \| Cloudflare/i,
+  /자동\s*입력\s*방지/,
+  /비정상적인\s*(접근|요청|트래픽)/,
+  /접근이\s*(차단|제한)/,
+  /Too Many Requests/i,
+];
+/** 정상 페이지에도 나올 수 있는 문구(reCAPTCHA 스크립트·폼 라벨 등) — 2xx 가 아닌 응답에서만 차단으로 본다 */
+const NON_2XX_BLOCK_PATTERNS = [/captcha/i, /Access Denied/i];
+
+function hostKey(host) {
+  return String(host || "").toLowerCase().replace(/^www\./, "");
+}
+
+/**
+ * 요청 URL → 타이밍 소스 id (어댑터 origin 호스트, www 무시). 모르는 호스트면 null — 한도 밖
+ * @param {string} url
+ * @param {{ id: string, origin?: string }[]} adapters
+ */
+function sourceForUrl(url, adapters) {
+  let host;
+  try {
+    host = hostKey(new URL(String(url)).hostname);
+  } catch {
+    return null;
+  }
+  const hit = (adapters || []).find((a) => {
+    try {
+      return a.origin && hostKey(new URL(a.origin).hostname) === host;
+    } catch {
+      return false;
+    }
+  });
+  return hit ? hit.id : null;
+}
+
+/** @returns {{ perMinute: number, burst: number }} */
+function rateBudget(adapter) {
+  const p = (adapter && adapter.politeness) || {};
+  return { perMinute: p.perMinute || 30, burst: p.burst || 3 };
+}
+
+function emptyMetrics() {
+  return Object.fromEntries(RATE_METRIC_KEYS.map((k) => [k, 0]));
+}
+
+/**
+ * 누적·일별 지표 더하기 — 14일 지난 일별 항목은 버린다
+ * @param {object} metrics
+ * @param {string} dayKey - YYYY-MM-DD (KST)
+ * @param {Partial<Record<string, number>>} delta
+ */
+function bumpRateMetrics(metrics, dayKey, delta) {
+  const m = metrics || {};
+  const add = (base) => {
+    const out = { ...emptyMetrics(), ...(base || {}) };
+    RATE_METRIC_KEYS.forEach((k) => {
+      out[k] += Number(delta[k]) || 0;
+    });
+    return out;
+  };
+  const daily = { ...(m.daily || {}), [dayKey]: add((m.daily || {})[dayKey]) };
+  const keep = Object.keys(daily).sort().slice(-RATE_METRIC_DAYS);
+  return {
+    ...add(m),
+    daily: Object.fromEntries(keep.map((k) => [k, daily[k]])),
+  };
+}
+
+function kstDayKey(nowMs) {
+  return new Date(nowMs).toLocaleDateString("sv-SE", { timeZone: "Asia/Seoul" });
+}
+
+/** 마지막 갱신 이후 흐른 시간만큼 토큰 채우기 (burst 상한) */
+function refillBucket(state, budget, nowMs) {
+  const s = state || {};
+  const last = Number(s.refilledAt) || nowMs;
+  const tokens = s.tokens == null ? budget.burst : Number(s.tokens);
+  const refill = (Math.max(0, nowMs - last) * budget.perMinute) / 60000;
+  return { ...s, tokens: Math.min(budget.burst, tokens + refill), refilledAt: nowMs };
+}
+
+/**
+ * 토큰 한 개 요청
+ * @param {object|null} state - scrape_rate_limits 문서
+ * @param {{ perMinute: number, burst: number }} budget
+ * @param {number} nowMs
+ * @param {number} [waitedMs] - 이 요청이 지금까지 기다린 시간 (받으면 지표에 남긴다)
+ * @returns {{ granted: boolean, waitMs: number, state: object }} granted 일 때만 state 를 저장한다
+ */
+function takeScrapeToken(state, budget, nowMs, waitedMs = 0) {
+  const s = refillBucket(state, budget, nowMs);
+  const blockedFor = (Number(s.blockedUntil) || 0) - nowMs;
+  if (blockedFor > 0) return { granted: false, waitMs: blockedFor, state: s };
+  if (s.tokens < 1) {
+    return { granted: false, waitMs: Math.ceil(((1 - s.tokens) * 60000) / budget.perMinute), state: s };
+  }
+  const waited = Math.max(0, Math.round(waitedMs));
+  return {
+    granted: true,
+    waitMs: 0,
+    state: {
+      ...s,
+      tokens: s.tokens - 1,
+      metrics: bumpRateMetrics(s.metrics, kstDayKey(nowMs), { granted: 1, throttled: waited > 0 ? 1 : 0, throttledMs: waited }),
+    },
+  };
+}
+
+/**
+ * lease 를 쥔 큐 워커가 토큰을 더 기다려도 되는 시간 — lease 가 끝나기 전에 요청·checkpoint 까지 마쳐야 한다.
+ * lease 밖(발견·회원 검색 등)은 Infinity
+ * @param {number|null} leaseUntilMs
+ * @param {number} nowMs
+ */
+function scrapeLeaseWaitRoomMs(leaseUntilMs, nowMs) {
+  if (!leaseUntilMs) return Infinity;
+  return Math.max(0, leaseUntilMs - nowMs - SCRAPE_LEASE_WAIT_MARGIN_MS);
+}
+
+/** 기다리다 포기한 요청 — 기다린 시간은 지표에 남긴다 */
+function recordScrapeGiveUp(state, waitedMs, nowMs) {
+  const s = state || {};
+  return {
+    ...s,
+    metrics: bumpRateMetrics(s.metrics, kstDayKey(nowMs), { throttled: 1, throttledMs: Math.round(waitedMs), gaveUp: 1 }),
+  };
+}
+
+/**
+ * 응답이 차단·과부하 신호인지
+ * @param {number} status
+ * @param {string} text
+ * @param {RegExp[]} [blockMarkers] - 어댑터 blockMarkers (그 소스 차단 페이지에만 나오는 문구)
+ * @returns {"rate_limited"|"forbidden"|"server_error"|"captcha"|null}
+ */
+function classifyScrapeResponse(status, text, blockMarkers = []) {
+  if (status === 429) return "rate_limited";
+  if (status === 403) return "forbidden";
+  if (status >= 500) return "server_error";
+  const body = String(text || "").slice(0, 20000);
+  const patterns = [...BLOCK_PAGE_PATTERNS, ...blockMarkers];
+  if (!(status >= 200 && status < 300)) patterns.push(...NON_2XX_BLOCK_PATTERNS);
+  if (patterns.some((re) => re.test(body))) return "captcha";
+  return null;
+}
+
+/** 벌점 대기 — 30초 · 1분 · 2분 … 최대 15분 */
+function scrapePenaltyDelayMs(strikes) {
+  const n = Math.max(1, Number(strikes) || 1);
+  return Math.min(SCRAPE_PENALTY_BASE_MS * 2 ** (n - 1), SCRAPE_PENALTY_MAX_MS);
+}
+
+/**
+ * 오류·차단 응답 → 소스 전체 일시 정지, 버킷 비움
+ * @param {object|null} state
+ * @param {{ kind: string, status?: number }} penalty
+ */
+function penalizeScrapeSource(state, penalty, nowMs) {
+  const s = state || {};
+  const strikes = (Number(s.strikes) || 0) + 1;
+  return {
+    ...s,
+    tokens: 0,
+    refilledAt: nowMs,
+    strikes,
+    blockedUntil: nowMs + scrapePenaltyDelayMs(strikes),
+    lastPenalty: { kind: penalty.kind, status: penalty.status || null, at: new Date(nowMs).toISOString() },
+    metrics: bumpRateMetrics(s.metrics, kstDayKey(nowMs), { penalties: 1 }),
+  };
+}
+
+/**
+ * ops 카드 한 줄 — 지금 버킷·정지 상태와 최근 7일 지표
+ * @param {{ id: string, data: object }[]} docs
+ * @param {{ id: string, label?: string, politeness?: object }[]} adapters
+ */
+function summarizeScrapeRateLimits(docs, adapters, nowMs) {
+  const byId = new Map((docs || []).map(({ id, data }) => [id, data || {}]));
+  const since = kstDayKey(nowMs - 6 * 24 * 60 * 60 * 1000);
+  return (adapters || []).map((a) => {
+    const budget = rateBudget(a);
+    const d = byId.get(a.id) || {};
+    const s = refillBucket(d, budget, nowMs);
+    const blockedUntil = Number(d.blockedUntil) || 0;
+    const last7 = emptyMetrics();
+    Object.entries((d.metrics && d.metrics.daily) || {}).forEach(([day, m]) => {
+      if (day < since) return;
+      RATE_METRIC_KEYS.forEach((k) => {
+        last7[k] += Number(m[k]) || 0;
+      });
+    });
+    return {
+      source: a.id,
+      label: a.label || a.id,
+      budget,
+      tokens: Math.floor(s.tokens * 10) / 10,
+      blocked: blockedUntil > nowMs,
+      blockedUntil: blockedUntil ? new Date(blockedUntil).toISOString() : null,
+      strikes: Number(d.strikes) || 0,
+      lastPenalty: d.lastPenalty || null,
+      today: { ...emptyMetrics(), ...((d.metrics && d.metrics.daily && d.metrics.daily[kstDayKey(nowMs)]) || {}) },
+      last7,
+    };
+  });
+}
+
+module.exports = {
+  SCRAPE_PENALTY_MAX_MS,
+  SCRAPE_LEASE_WAIT_MARGIN_MS,
+  sourceForUrl,
+  rateBudget,
+  bumpRateMetrics,
+  takeScrapeToken,
+  recordScrapeGiveUp,
+  scrapeLeaseWaitRoomMs,
+  classifyScrapeResponse,
+  scrapePenaltyDelayMs,
+  penalizeScrapeSource,
+  summarizeScrapeRateLimits,
+};
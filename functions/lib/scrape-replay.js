@@ -0,0 +1,193 @@
+/**
+ * 스크래퍼 녹화·재생 — scraper.js·timing-sources/* 의 모든 HTTP 요청이 scrapeFetch 를 거친다.
+ *
+ *   live   : 그대로 fetch (기본)
+ *   record : fetch 하면서 요청·응답 쌍을 모아 두고 saveScrapeRecording 으로 JSON 저장
+ *   replay : 저장한 JSON 에서만 응답 — 네트워크 없이 scrapeEvent 한 바퀴를 그대로 재현
+ *
+ * 요청 키는 method + URL + body (헤더는 UA 로테이션이 있어 제외).
+ * 같은 키가 여러 번 녹화됐으면 녹화 순서대로, 다 쓰면 마지막 응답을 반복한다.
+ * 환경 변수 SCRAPE_REPLAY_MODE · SCRAPE_REPLAY_FILE 로도 켤 수 있다 (에뮬레이터 점검용).
+ *
+ * live·record 요청은 setScrapeRateLimiter 로 건 소스별 요청 한도(index.js — scrape_rate_limits 토큰 버킷)를 거친다.
+ * replay 는 네트워크를 쓰지 않으니 한도 밖. runWithScrapeContext 로 감싼 호출의 요청은 acquire 에 그 컨텍스트(큐 lease 등)를 넘긴다.
+ */
+
+const { AsyncLocalStorage } = require("async_hooks");
+const fs = require("fs");
+const path = require("path");
+
+const SCRAPE_REPLAY_MODES = ["live", "record", "replay"];
+/** 녹화에 남기는 응답 헤더 (세션 쿠키·JSON 판별용) */
+const RECORDED_HEADERS = ["content-type", "set-cookie", "location"];
+
+let mode = "live";
+let replayFile = "";
+let liveFetch = null;
+/** replay: key → { entries, next } */
+let replayIndex = new Map();
+/** record: 녹화 순서대로 */
+let recorded = [];
+/** { sourceFor(url), acquire(source, context), report(source, outcome) } | null */
+let rateLimiter = null;
+const scrapeContext = new AsyncLocalStorage();
+
+function requestKey(method, url, body) {
+  const m = String(method || "GET").toUpperCase();
+  const b = body == null ? "" : String(body);
+  return b ? `${m} ${url}\n${b}` : `${m} ${url}`;
+}
+
+function buildReplayIndex(entries) {
+  const index = new Map();
+  (entries || []).forEach((e) => {
+    const key = requestKey(e.method, e.url, e.body);
+    if (!index.has(key)) index.set(key, { entries: [], next: 0 });
+    index.get(key).entries.push(e);
+  });
+  return index;
+}
+
+/** 녹화 JSON 읽기 — { entries: [{ method, url, body, status, headers, text }] } */
+function loadScrapeRecording(file) {
+  const data = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!data || !Array.isArray(data.entries)) throw new Error(`[scrape-replay] entries 없음: ${file}`);
+  return data;
+}
+
+/**
+ * @param {{ mode?: "live"|"record"|"replay", file?: string, entries?: object[], fetch?: Function }} opts
+ *   replay 는 file 또는 entries, record 의 fetch 는 실제 요청에 쓸 함수 (기본 전역 fetch)
+ */
+function configureScrapeReplay(opts = {}) {
+  const next = opts.mode || "live";
+  if (!SCRAPE_REPLAY_MODES.includes(next)) throw new Error(`[scrape-replay] 알 수 없는 모드: ${next}`);
+  mode = next;
+  replayFile = opts.file || "";
+  liveFetch = opts.fetch || null;
+  recorded = [];
+  replayIndex = new Map();
+  if (mode === "replay") {
+    const entries = opts.entries || (replayFile ? loadScrapeRecording(replayFile).entries : null);
+    if (!entries) throw new Error("[scrape-replay] replay 에는 file 또는 entries 가 필요합니다");
+    replayIndex = buildReplayIndex(entries);
+  }
+}
+
+function scrapeReplayMode() {
+  return mode;
+}
+
+function toResponse(entry) {
+  return new Response(entry.text == null ? "" : entry.text, {
+    status: entry.status || 200,
+    headers: entry.headers || {},
+  });
+}
+
+async function recordFetch(url, init) {
+  const doFetch = liveFetch || globalThis.fetch;
+  const res = await doFetch(url, init);
+  const text = await res.clone().text();
+  const headers = {};
+  RECORDED_HEADERS.forEach((h) => {
+    const v = res.headers.get(h);
+    if (v) headers[h] = v;
+  });
+  const entry = { method: String(init.method || "GET").toUpperCase(), url: String(url), status: res.status, headers, text };
+  if (init.body != null) entry.body = String(init.body);
+  recorded.push(entry);
+  return res;
+}
+
+function replayFetch(url, init) {
+  const key = requestKey(init.method, String(url), init.body);
+  const slot = replayIndex.get(key);
+  if (!slot) {
+    const err = new Error(`[scrape-replay] 녹화 없음: ${key.replace("\n", " ")}`);
+    err.code = "SCRAPE_REPLAY_MISS";
+    throw err;
+  }
+  const entry = slot.entries[Math.min(slot.next, slot.entries.length - 1)];
+  slot.next += 1;
+  return toResponse(entry);
+}
+
+/**
+ * 소스별 요청 한도 연결 — null 이면 해제
+ * @param {{ sourceFor: (url: string) => string|null, acquire: (source: string, context: object|null) => Promise<void>,
+ *   report: (source: string, outcome: { status?: number, text?: string, error?: Error }) => Promise<void> }|null} limiter
+ *   acquire 는 토큰을 받을 때까지 기다리고(못 받으면 code RATE_LIMITED 로 던짐), report 는 응답으로 차단 여부를 판정
+ */
+function setScrapeRateLimiter(limiter) {
+  rateLimiter = limiter || null;
+}
+
+/**
+ * fn 안(비동기 포함)의 scrapeFetch 가 acquire 에 context 를 넘긴다 — 큐 워커는 { leaseUntilMs, renew } (갱신하면 같은 객체를 고친다)
+ * @template T
+ * @param {object} context
+ * @param {() => Promise<T>} fn
+ * @returns {Promise<T>}
+ */
+function runWithScrapeContext(context, fn) {
+  return scrapeContext.run(context, fn);
+}
+
+async function networkFetch(url, init) {
+  if (mode === "record") return recordFetch(url, init);
+  return (liveFetch || globalThis.fetch)(url, init);
+}
+
+/** scraper.js 전용 fetch — 모드에 따라 live·record·replay */
+async function scrapeFetch(url, init = {}) {
+  if (mode === "replay") return replayFetch(url, init);
+  const source = rateLimiter ? rateLimiter.sourceFor(String(url)) : null;
+  if (!source) return networkFetch(url, init);
+  await rateLimiter.acquire(source, scrapeContext.getStore() || null);
+  let res;
+  try {
+    res = await networkFetch(url, init);
+  } catch (err) {
+    await rateLimiter.report(source, { error: err }).catch(() => {});
+    throw err;
+  }
+  const text = await res.clone().text().catch(() => "");
+  await rateLimiter.report(source, { status: res.status, text }).catch(() => {});
+  return res;
+}
+
+/** 지금까지 녹화한 요청·응답 (record 모드) */
+function recordedScrapeEntries() {
+  return recorded.slice();
+}
+
+/**
+ * 녹화 내용을 JSON 으로 저장. meta 는 파일 머리에 그대로 (source·sourceId 등 재생 테스트 메모)
+ * @returns {string} 저장한 경로
+ */
+function saveScrapeRecording(file, meta = {}) {
+  const out = file || replayFile;
+  if (!out) throw new Error("[scrape-replay] 저장 경로가 없습니다");
+  fs.mkdirSync(path.dirname(out), { recursive: true });
+  const data = { ...meta, recordedAt: new Date().toISOString(), entries: recorded };
+  fs.writeFileSync(out, JSON.stringify(data, null, 2) + "\n");
+  return out;
+}
+
+if (process.env.SCRAPE_REPLAY_MODE && process.env.SCRAPE_REPLAY_MODE !== "live") {
+  configureScrapeReplay({ mode: process.env.SCRAPE_REPLAY_MODE, file: process.env.SCRAPE_REPLAY_FILE || "" });
+}
+
+module.exports = {
+  SCRAPE_REPLAY_MODES,
+  requestKey,
+  configureScrapeReplay,
+  scrapeReplayMode,
+  scrapeFetch,
+  setScrapeRateLimiter,
+  runWithScrapeContext,
+  loadScrapeRecording,
+  recordedScrapeEntries,
+  saveScrapeRecording,
+};
@@ -0,0 +1,163 @@
+/**
+ * 개인 기록 검색 캐시(search_cache) — 키·TTL·신선도 규칙.
+ * 순수 함수 — node --test 친화적. 읽기·쓰기는 index.js(search-member-events 등)·scraper.js scrapeMember·prewarm 스크립트.
+ *
+ * 키: {source}_{sourceId}_{realName}_v{parserVersion}
+ *   parserVersion 은 어댑터 값 (timing-sources/*.js) — 파서를 고치면 올린다. 이전 버전 항목은 읽지 않는다(miss).
+ * TTL: 대회 날짜가 가까울수록 짧게 (이번 주 3시간 … 작년 90일) — 기록 업로드·정정이 대회 직후에 몰린다.
+ * TTL 이 지난 같은 버전 항목은 stale — 바로 쓰고 뒤에서 다시 검색 (stale-while-revalidate).
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/** [대회 후 경과 일수 상한, TTL] — 위에서부터 첫 번째로 맞는 것 */
+const SEARCH_CACHE_TTL_TIERS = Object.freeze([
+  [7, 3 * HOUR_MS],
+  [30, DAY_MS],
+  [365, 7 * DAY_MS],
+  [Infinity, 90 * DAY_MS],
+]);
+/** 날짜를 모르는 대회 */
+const SEARCH_CACHE_UNKNOWN_DATE_TTL_MS = DAY_MS;
+/** 다른 실행이 이미 다시 검색 중이면 이 시간 동안은 또 하지 않는다 */
+const SEARCH_CACHE_REFRESH_CLAIM_MS = 5 * 60 * 1000;
+
+/**
+ * @param {string} source
+ * @param {string} sourceId
+ * @param {string} realName
+ * @param {number} parserVersion
+ */
+function searchCacheKey(source, sourceId, realName, parserVersion) {
+  return `${`${source}_${sourceId}_${realName}`.substring(0, 1500)}_v${parserVersion}`;
+}
+
+/** "2026-10-18" · "2026.10.18" · "2026/10/18 (토)" → KST 자정 ms, 못 읽으면 null */
+function eventDateMs(eventDate) {
+  const m = String(eventDate || "").match(/(\d{4})[-./](\d{1,2})[-./](\d{1,2})/);
+  if (!m) return null;
+  const t = Date.parse(`${m[1]}-${m[2].padStart(2, "0")}-${m[3].padStart(2, "0")}T00:00:00+09:00`);
+  return Number.isFinite(t) ? t : null;
+}
+
+/** 대회 날짜 기준 TTL — 앞으로 열릴 대회도 이번 주로 본다 */
+function searchCacheTtlMs(eventDate, nowMs) {
+  const t = eventDateMs(eventDate);
+  if (t == null) return SEARCH_CACHE_UNKNOWN_DATE_TTL_MS;
+  const ageDays = (nowMs - t) / DAY_MS;
+  return SEARCH_CACHE_TTL_TIERS.find(([maxDays]) => ageDays <= maxDays)[1];
+}
+
+/** cachedAt — Firestore Timestamp · Date · ISO 문자열 · ms 모두 */
+function cachedAtMs(entry) {
+  const v = entry && entry.cachedAt;
+  if (!v) return null;
+  if (typeof v.toMillis === "function") return v.toMillis();
+  if (v instanceof Date) return v.getTime();
+  const t = typeof v === "number" ? v : Date.parse(v);
+  return Number.isFinite(t) ? t : null;
+}
+
+/** 항목의 대회 날짜 — 최상위 eventDate, 예전 항목은 result.eventDate */
+function entryEventDate(entry) {
+  return (entry && (entry.eventDate || (entry.result && entry.result.eventDate))) || "";
+}
+
+/**
+ * @param {object|null} entry - search_cache 문서
+ * @param {{ parserVersion: number, nowMs: number }} opts
+ * @returns {"fresh"|"stale"|"miss"}
+ */
+function searchCacheState(entry, { parserVersion, nowMs }) {
+  if (!entry || entry.parserVersion !== parserVersion) return "miss";
+  const at = cachedAtMs(entry);
+  if (at == null) return "miss";
+  return nowMs - at < searchCacheTtlMs(entryEventDate(entry), nowMs) ? "fresh" : "stale";
+}
+
+/**
+ * 새 항목 — cachedAt 은 호출부가 (serverTimestamp)
+ * @param {{ realName: string, source: string, sourceId: string, parserVersion: number, eventDate?: string, result: object|null }} p
+ */
+function buildSearchCacheEntry({ realName, source, sourceId, parserVersion, eventDate, result }) {
+  return {
+    realName,
+    source,
+    sourceId,
+    parserVersion,
+    eventDate: eventDate || (result && result.eventDate) || "",
+    found: !!result,
+    result: result || null,
+  };
+}
+
+/** stale 항목을 이 실행이 다시 검색해도 되는지 — 최근에 다른 실행이 잡았으면 false */
+function canClaimSearchCacheRefresh(entry, nowMs) {
+  const at = Number(entry && entry.refreshingAt) || 0;
+  return nowMs - at >= SEARCH_CACHE_REFRESH_CLAIM_MS;
+}
+
+/**
+ * ops 무효화 대상인지
+ * @param {object} entry
+ * @param {{ source: string, sourceId?: string, outdatedOnly?: boolean, parserVersion?: number }} filter
+ *   outdatedOnly 면 현재 parserVersion 이 아닌(버전 없는 예전 항목 포함) 것만
+ */
+function matchesSearchCacheInvalidation(entry, { source, sourceId, outdatedOnly, parserVersion }) {
+  if (!entry || entry.source !== source) return false;
+  if (sourceId && String(entry.sourceId) !== String(sourceId)) return false;
+  if (outdatedOnly) return entry.parserVersion !== parserVersion;
+  return true;
+}
+
+/**
+ * 버전 없는 예전 키({source}_{sourceId}_{realName}) → 버전 키 이동 계획 (scripts/migrate-search-cache-keys.js)
+ * 예전 항목은 파서 v1 이 만든 것 — 소스가 이미 v2 이상이면 옮기지 않는다(outdated, ops 정리 대상).
+ * @param {{ id: string, data: object }[]} docs - search_cache 전체
+ * @param {(source: string) => number} parserVersionOf
+ * @returns {{ moves: { fromId: string, toId: string, superseded: boolean, data: object }[], outdated: string[], unchanged: number }}
+ *   superseded — 버전 키 문서가 이미 있음(더 새 검색), 예전 문서만 지운다
+ */
+function planSearchCacheKeyMigration(docs, parserVersionOf) {
+  const ids = new Set((docs || []).map((d) => d.id));
+  const moves = [];
+  const outdated = [];
+  let unchanged = 0;
+  (docs || []).forEach(({ id, data }) => {
+    // discover-all 연도 캐시 등 개인 검색이 아닌 문서, 이미 버전 키인 문서
+    if (!data || !data.source || !data.realName || data.parserVersion != null) {
+      unchanged++;
+      return;
+    }
+    if (parserVersionOf(data.source) !== 1) {
+      outdated.push(id);
+      return;
+    }
+    const toId = searchCacheKey(data.source, data.sourceId, data.realName, 1);
+    moves.push({
+      fromId: id,
+      toId,
+      superseded: ids.has(toId),
+      data: {
+        ...data,
+        ...buildSearchCacheEntry({ ...data, parserVersion: 1, eventDate: entryEventDate(data) }),
+      },
+    });
+  });
+  return { moves, outdated, unchanged };
+}
+
+module.exports = {
+  SEARCH_CACHE_TTL_TIERS,
+  SEARCH_CACHE_REFRESH_CLAIM_MS,
+  searchCacheKey,
+  eventDateMs,
+  searchCacheTtlMs,
+  cachedAtMs,
+  searchCacheState,
+  buildSearchCacheEntry,
+  canClaimSearchCacheRefresh,
+  matchesSearchCacheInvalidation,
+  planSearchCacheKeyMigration,
+};
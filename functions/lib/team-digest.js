@@ -0,0 +1,241 @@
+/**
+ * 팀장 주간 다이제스트 — 매주 월요일 팀별 메일 (장기 결석 회원 · 신규 회원 첫 달 출석 · 팀 출석률 전월 대비).
+ * Collection: team_digest_settings / docId: 팀 코드(T1~T5·S) → recipients[], enabled, inactiveWeeks
+ * 출석 데이터는 attendance_member_stats(리텐션 집계)만 사용.
+ * 순수 함수 — node --test 친화적.
+ */
+
+const { isClubMeetingDate, shiftDateKey } = require("./meeting-calendar");
+const { AT_RISK_MAX_ABSENT_DAYS, daysBetween, attendedDateKeys } = require("./attendance-retention");
+
+const TEAM_DIGEST_SETTINGS_COLLECTION = "team_digest_settings";
+const DIGEST_TEAM_CODES = ["T1", "T2", "T3", "T4", "T5", "S"];
+const DEFAULT_INACTIVE_WEEKS = 3;
+const MAX_INACTIVE_WEEKS = 12;
+const MAX_RECIPIENTS = 5;
+/** 첫 출석 후 30일 이내 회원을 신규로 본다 */
+const NEW_MEMBER_DAYS = 30;
+const ADMIN_PAGE_URL = "https://dmc-attendance.web.app/attendance-admin.html#retention";
+
+const EMAIL_RE = /^[^\s@<>,;"]+@[^\s@<>,;"]+\.[^\s@<>,;"]+$/;
+
+function escapeHtmlForEmail(s) {
+  return String(s == null ? "" : s)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/** "a@x.com, b@y.com" 또는 배열 → 중복 제거한 이메일 배열 */
+function parseDigestRecipients(raw) {
+  const list = Array.isArray(raw) ? raw : String(raw == null ? "" : raw).split(/[\s,;]+/);
+  const out = [];
+  list.forEach((v) => {
+    const email = String(v == null ? "" : v).trim().toLowerCase();
+    if (email && !out.includes(email)) out.push(email);
+  });
+  return out;
+}
+
+/**
+ * 관리자 입력 → 저장용 설정.
+ * @returns {{ ok: true, team: string, settings: { recipients: string[], enabled: boolean, inactiveWeeks: number } }|{ ok: false, error: string }}
+ */
+function normalizeDigestSettings(raw) {
+  const src = raw && typeof raw === "object" ? raw : {};
+  const team = String(src.team || "").trim().toUpperCase();
+  if (!DIGEST_TEAM_CODES.includes(team)) return { ok: false, error: `invalid team: ${team}` };
+  const recipients = parseDigestRecipients(src.recipients);
+  const bad = recipients.find((r) => !EMAIL_RE.test(r));
+  if (bad) return { ok: false, error: `invalid email: ${bad}` };
+  if (recipients.length > MAX_RECIPIENTS) return { ok: false, error: `recipients max ${MAX_RECIPIENTS}` };
+  const weeks = src.inactiveWeeks == null || src.inactiveWeeks === "" ? DEFAULT_INACTIVE_WEEKS : Number(src.inactiveWeeks);
+  if (!Number.isInteger(weeks) || weeks < 1 || weeks > MAX_INACTIVE_WEEKS) {
+    return { ok: false, error: `inactiveWeeks must be 1-${MAX_INACTIVE_WEEKS}` };
+  }
+  const enabled = src.enabled === undefined ? recipients.length > 0 : src.enabled === true || src.enabled === "true";
+  return { ok: true, team, settings: { recipients, enabled, inactiveWeeks: weeks } };
+}
+
+/** 저장된 문서 → 설정 (없거나 깨진 값은 기본) */
+function digestSettingsFromDoc(team, data) {
+  const d = data || {};
+  const weeks = Number(d.inactiveWeeks);
+  return {
+    team,
+    recipients: parseDigestRecipients(d.recipients).filter((r) => EMAIL_RE.test(r)),
+    enabled: d.enabled === true,
+    inactiveWeeks: Number.isInteger(weeks) && weeks >= 1 && weeks <= MAX_INACTIVE_WEEKS ? weeks : DEFAULT_INACTIVE_WEEKS,
+  };
+}
+
+function monthKeyOf(dateKey) {
+  return String(dateKey).slice(0, 7).replace("/", "-");
+}
+
+function prevMonthKey(monthKey) {
+  const [y, m] = monthKey.split("-").map(Number);
+  return m === 1 ? `${y - 1}-12` : `${y}-${String(m - 1).padStart(2, "0")}`;
+}
+
+function lastDateKeyOfMonth(monthKey) {
+  const [y, m] = monthKey.split("-").map(Number);
+  const days = new Date(Date.UTC(y, m, 0)).getUTCDate();
+  return `${y}/${String(m).padStart(2, "0")}/${String(days).padStart(2, "0")}`;
+}
+
+function clubMeetingDatesInRange(fromKey, toKey, calendar) {
+  const out = [];
+  for (let cur = fromKey; cur && cur <= toKey; cur = shiftDateKey(cur, 1)) {
+    if (isClubMeetingDate(calendar || null, cur)) out.push(cur);
+  }
+  return out;
+}
+
+/**
+ * 기간 팀 출석률 = 팀원 정모 출석 수 / (팀원 수 × 정모 수). 정모가 없으면 null.
+ * @param {Array<string[]>} datesByMember - 팀원별 출석 dateKey
+ */
+function teamRateForRange(datesByMember, fromKey, toKey, calendar) {
+  const held = clubMeetingDatesInRange(fromKey, toKey, calendar);
+  if (!held.length || !datesByMember.length) return { held: held.length, attended: 0, rate: null };
+  const heldSet = new Set(held);
+  const attended = datesByMember.reduce((sum, dates) => sum + dates.filter((d) => heldSet.has(d)).length, 0);
+  return {
+    held: held.length,
+    attended,
+    rate: Math.round((attended / (datesByMember.length * held.length)) * 100),
+  };
+}
+
+/**
+ * 팀 다이제스트 본문 데이터.
+ * @param {{ team: string, members: Array<{ id: string, nickname: string, team: string, hidden?: boolean }>,
+ *   statsById: Map<string, object>, todayKey: string, calendar?: object, inactiveWeeks?: number }} p
+ */
+function buildTeamDigest(p) {
+  const team = String(p.team || "").toUpperCase();
+  const todayKey = p.todayKey;
+  const inactiveWeeks = p.inactiveWeeks || DEFAULT_INACTIVE_WEEKS;
+  const roster = (p.members || []).filter(
+    (m) => m && m.id && m.hidden !== true && String(m.team || "").toUpperCase() === team
+  );
+  const rows = roster.map((m) => {
+    const dates = attendedDateKeys(p.statsById.get(m.id));
+    return { memberId: m.id, nickname: m.nickname || "", dates };
+  });
+
+  const inactive = rows
+    .map((r) => {
+      const last = r.dates.length ? r.dates[r.dates.length - 1] : "";
+      return { memberId: r.memberId, nickname: r.nickname, lastDateKey: last, daysSinceLast: last ? daysBetween(last, todayKey) : null };
+    })
+    .filter((r) => r.lastDateKey && r.daysSinceLast >= inactiveWeeks * 7 && r.daysSinceLast <= AT_RISK_MAX_ABSENT_DAYS)
+    .sort((a, b) => a.daysSinceLast - b.daysSinceLast || a.nickname.localeCompare(b.nickname));
+
+  const newFrom = shiftDateKey(todayKey, -(NEW_MEMBER_DAYS - 1));
+  const newMembers = rows
+    .filter((r) => r.dates.length && r.dates[0] >= newFrom && r.dates[0] <= todayKey)
+    .map((r) => {
+      const first = r.dates[0];
+      const windowEnd = shiftDateKey(first, NEW_MEMBER_DAYS - 1);
+      const to = windowEnd < todayKey ? windowEnd : todayKey;
+      const attended = r.dates.filter((d) => d <= to).length;
+      const held = clubMeetingDatesInRange(first, to, p.calendar).length;
+      return { memberId: r.memberId, nickname: r.nickname, firstDateKey: first, attended, held: Math.max(held, attended) };
+    })
+    .sort((a, b) => a.firstDateKey.localeCompare(b.firstDateKey) || a.nickname.localeCompare(b.nickname));
+
+  const month = monthKeyOf(todayKey);
+  const prevMonth = prevMonthKey(month);
+  const datesByMember = rows.map((r) => r.dates);
+  const current = teamRateForRange(datesByMember, `${month.replace("-", "/")}/01`, todayKey, p.calendar);
+  const previous = teamRateForRange(
+    datesByMember,
+    `${prevMonth.replace("-", "/")}/01`,
+    lastDateKeyOfMonth(prevMonth),
+    p.calendar
+  );
+
+  return {
+    team,
+    todayKey,
+    inactiveWeeks,
+    rosterCount: roster.length,
+    inactive,
+    newMembers,
+    rate: {
+      month,
+      prevMonth,
+      current: current.rate,
+      previous: previous.rate,
+      currentHeld: current.held,
+      previousHeld: previous.held,
+      diff: current.rate != null && previous.rate != null ? current.rate - previous.rate : null,
+    },
+  };
+}
+
+function pct(v) {
+  return v == null ? "—" : `${v}%`;
+}
+
+/**
+ * 다이제스트 메일 제목·본문 (미리보기 API 와 스케줄 발송이 같은 결과를 쓴다).
+ * @param {ReturnType<typeof buildTeamDigest>} digest
+ * @param {{ teamLabel?: string }} [opts]
+ */
+function buildTeamDigestEmail(digest, opts) {
+  const teamLabel = (opts && opts.teamLabel) || digest.team;
+  const subject = `[DMC 출석] ${teamLabel} 주간 다이제스트 — ${digest.todayKey}`;
+  const r = digest.rate;
+  const diffText = r.diff == null ? "" : ` (${r.diff > 0 ? "+" : ""}${r.diff}%p)`;
+
+  const inactiveHtml = digest.inactive.length
+    ? `<ul>${digest.inactive
+        .map(
+          (m) =>
+            `<li>${escapeHtmlForEmail(m.nickname)} — 마지막 출석 ${escapeHtmlForEmail(m.lastDateKey)} (${Math.floor(m.daysSinceLast / 7)}주 전)</li>`
+        )
+        .join("")}</ul>`
+    : "<p>해당 회원이 없습니다.</p>";
+  const newHtml = digest.newMembers.length
+    ? `<ul>${digest.newMembers
+        .map(
+          (m) =>
+            `<li>${escapeHtmlForEmail(m.nickname)} — 첫 출석 ${escapeHtmlForEmail(m.firstDateKey)}, 정모 ${m.held}회 중 ${m.attended}회 출석</li>`
+        )
+        .join("")}</ul>`
+    : "<p>최근 30일 신규 회원이 없습니다.</p>";
+
+  const html = `
+<p><strong>${escapeHtmlForEmail(teamLabel)}</strong> 주간 출석 다이제스트 (${escapeHtmlForEmail(digest.todayKey)} 기준, 팀원 ${digest.rosterCount}명)</p>
+<h3>팀 출석률</h3>
+<ul>
+  <li><strong>이번 달(${escapeHtmlForEmail(r.month)}, 정모 ${r.currentHeld}회):</strong> ${pct(r.current)}${diffText}</li>
+  <li><strong>지난달(${escapeHtmlForEmail(r.prevMonth)}, 정모 ${r.previousHeld}회):</strong> ${pct(r.previous)}</li>
+</ul>
+<h3>${digest.inactiveWeeks}주 이상 출석 없는 회원 (${digest.inactive.length}명)</h3>
+${inactiveHtml}
+<h3>신규 회원 첫 달 출석 (${digest.newMembers.length}명)</h3>
+${newHtml}
+<p><a href="${ADMIN_PAGE_URL}">출석 운영 — 리텐션</a></p>
+<hr/>
+<p style="color:#999;font-size:12px;">DMC 출석 팀장 주간 자동 메일 · 출석률 = 팀원 정모 출석 수 ÷ (팀원 수 × 정모 수)</p>
+`;
+  return { subject, html };
+}
+
+module.exports = {
+  TEAM_DIGEST_SETTINGS_COLLECTION,
+  DIGEST_TEAM_CODES,
+  DEFAULT_INACTIVE_WEEKS,
+  NEW_MEMBER_DAYS,
+  parseDigestRecipients,
+  normalizeDigestSettings,
+  digestSettingsFromDoc,
+  teamRateForRange,
+  buildTeamDigest,
+  buildTeamDigestEmail,
+};
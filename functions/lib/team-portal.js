@@ -0,0 +1,160 @@
+/**
+ * 팀장 포털 — 자기 팀 회원 명단 · 정모별 출석 · 연속 출석 · 연락 메모, 팀 이동 신청(운영진 승인).
+ * 팀 범위는 서버에서 세션 계정(admin_accounts.team)으로 강제한다 — 화면 선택값은 오너·운영진만 쓴다.
+ * 출석 데이터는 attendance_member_stats(리텐션 집계)만 사용.
+ * 순수 함수 — node --test 친화적.
+ */
+
+const { isClubMeetingDate, shiftDateKey } = require("./meeting-calendar");
+const { attendedDateKeys } = require("./attendance-retention");
+const { computeClubStreakFromDateSet } = require("./attendance-streak");
+const { normalizeMemberTeam, parseMemberTeamUpdate } = require("./member-team");
+const { roleAllows } = require("./admin-auth");
+
+const TEAM_MEMBER_NOTES_COLLECTION = "team_member_notes";
+const TEAM_MOVE_REQUESTS_COLLECTION = "team_move_requests";
+const TEAM_PORTAL_WEEKS = 8;
+const TEAM_NOTE_MAX = 500;
+const TEAM_MOVE_REASON_MAX = 200;
+const TEAM_MOVE_STATUSES = ["pending", "approved", "rejected"];
+
+/**
+ * 요청한 팀 → 실제로 볼 수 있는 팀.
+ * 팀장은 본인 팀만 (다른 팀 지정 시 403), 오너·운영진은 지정한 팀.
+ * @param {{ role: string, team?: string }} auth - authorizeAdmin 결과
+ * @returns {{ ok: true, team: string }|{ ok: false, status: number, error: string }}
+ */
+function resolveTeamScope(auth, requestedTeam) {
+  const requested = String(requestedTeam == null ? "" : requestedTeam).trim();
+  const requestedCode = normalizeMemberTeam(requested);
+  if (auth.role === "team_leader") {
+    const own = normalizeMemberTeam(auth.team);
+    if (!own) return { ok: false, status: 403, error: "TEAM_NOT_ASSIGNED" };
+    if (requested && requestedCode !== own) return { ok: false, status: 403, error: "TEAM_SCOPE" };
+    return { ok: true, team: own };
+  }
+  if (!roleAllows(auth.role, "members")) return { ok: false, status: 403, error: "FORBIDDEN_ROLE" };
+  if (!requestedCode) return { ok: false, status: 400, error: `invalid team: ${requested}` };
+  return { ok: true, team: requestedCode };
+}
+
+/** YYYY/MM/DD → 연속 출석 계산용 Date (KST 정오 부근) */
+function dateFromKey(dateKey) {
+  const [y, m, d] = String(dateKey).split("/").map(Number);
+  return new Date(Date.UTC(y, m - 1, d, 3, 0, 0));
+}
+
+/** todayKey 포함 최근 days 일 정모일(취소 제외·이동 포함) — 오래된 순 */
+function heldMeetingDateKeys(todayKey, days, calendar) {
+  const out = [];
+  for (let i = days - 1; i >= 0; i--) {
+    const key = shiftDateKey(todayKey, -i);
+    if (key && isClubMeetingDate(calendar || null, key)) out.push(key);
+  }
+  return out;
+}
+
+/**
+ * 팀 포털 화면 데이터.
+ * @param {{ team: string, members: Array<{ id: string, nickname: string, team: string, hidden?: boolean }>,
+ *   statsById: Map<string, object>, notesById: Map<string, object>, todayKey: string, calendar?: object, weeks?: number }} p
+ * @returns {{ team: string, meetings: Array<{ dateKey: string, attended: number }>, members: object[] }}
+ */
+function buildTeamPortal(p) {
+  const team = normalizeMemberTeam(p.team);
+  const weeks = p.weeks || TEAM_PORTAL_WEEKS;
+  const meetingKeys = heldMeetingDateKeys(p.todayKey, weeks * 7, p.calendar);
+  const meetingSet = new Set(meetingKeys);
+  const today = dateFromKey(p.todayKey);
+
+  const members = (p.members || [])
+    .filter((m) => m && !m.hidden && normalizeMemberTeam(m.team) === team)
+    .map((m) => {
+      const dates = attendedDateKeys(p.statsById.get(m.id));
+      const note = p.notesById.get(m.id) || {};
+      return {
+        memberId: m.id,
+        nickname: m.nickname || "",
+        attended: dates.filter((d) => meetingSet.has(d)),
+        lastDateKey: dates.length ? dates[dates.length - 1] : "",
+        total: dates.length,
+        streak: computeClubStreakFromDateSet(new Set(dates), today, p.calendar),
+        note: String(note.note || ""),
+        noteUpdatedAt: note.updatedAt || "",
+        noteUpdatedBy: note.updatedBy || "",
+      };
+    })
+    .sort((a, b) => a.nickname.localeCompare(b.nickname));
+
+  const meetings = meetingKeys.map((dateKey) => ({
+    dateKey,
+    attended: members.filter((m) => m.attended.includes(dateKey)).length,
+  }));
+  return { team, meetings, members };
+}
+
+/** 연락 메모 — 빈 문자열이면 삭제 */
+function normalizeTeamNote(raw) {
+  const note = String(raw == null ? "" : raw).trim();
+  if (note.length > TEAM_NOTE_MAX) return { ok: false, error: `note max ${TEAM_NOTE_MAX} chars` };
+  return { ok: true, note };
+}
+
+/**
+ * 팀장 팀 이동 신청 검증 — 본인 팀으로 데려오기(move in) 또는 본인 팀에서 내보내기(move out)만.
+ * @param {{ auth: { team: string }, member: { team?: string, hidden?: boolean }, toTeam: any, reason?: string }} p
+ * @returns {{ ok: true, fromTeam: string, toTeam: string, reason: string }|{ ok: false, status: number, error: string }}
+ */
+function validateTeamMoveRequest(p) {
+  const own = normalizeMemberTeam(p.auth && p.auth.team);
+  if (!own) return { ok: false, status: 403, error: "TEAM_NOT_ASSIGNED" };
+  const member = p.member || {};
+  if (member.hidden === true) return { ok: false, status: 400, error: "member hidden" };
+  const parsed = parseMemberTeamUpdate(p.toTeam);
+  if (!parsed.ok) return { ok: false, status: 400, error: parsed.error };
+  const fromTeam = normalizeMemberTeam(member.team);
+  const toTeam = parsed.team;
+  if (fromTeam === toTeam) return { ok: false, status: 400, error: "already in team" };
+  if (fromTeam !== own && toTeam !== own) return { ok: false, status: 403, error: "TEAM_SCOPE" };
+  const reason = String(p.reason == null ? "" : p.reason).trim();
+  if (reason.length > TEAM_MOVE_REASON_MAX) {
+    return { ok: false, status: 400, error: `reason max ${TEAM_MOVE_REASON_MAX} chars` };
+  }
+  return { ok: true, fromTeam, toTeam, reason };
+}
+
+/** 같은 회원에 대기 중 이동 신청이 있는가 */
+function hasPendingTeamMove(requests, memberId) {
+  return (requests || []).some((r) => r && r.status === "pending" && r.memberId === memberId);
+}
+
+/** 팀 포털에 보일 신청 — 보내거나 받는 팀이 team 인 것 */
+function teamMovesForTeam(requests, team) {
+  const code = normalizeMemberTeam(team);
+  return (requests || []).filter((r) => r && (r.fromTeam === code || r.toTeam === code));
+}
+
+function parseTeamMoveStatusFilter(raw) {
+  const status = String(raw || "pending").trim().toLowerCase();
+  if (!TEAM_MOVE_STATUSES.includes(status)) {
+    return { ok: false, error: `invalid status: ${status}` };
+  }
+  return { ok: true, status };
+}
+
+module.exports = {
+  TEAM_MEMBER_NOTES_COLLECTION,
+  TEAM_MOVE_REQUESTS_COLLECTION,
+  TEAM_PORTAL_WEEKS,
+  TEAM_NOTE_MAX,
+  TEAM_MOVE_REASON_MAX,
+  TEAM_MOVE_STATUSES,
+  resolveTeamScope,
+  heldMeetingDateKeys,
+  buildTeamPortal,
+  normalizeTeamNote,
+  validateTeamMoveRequest,
+  hasPendingTeamMove,
+  teamMovesForTeam,
+  parseTeamMoveStatusFilter,
+};
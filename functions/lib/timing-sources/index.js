@@ -0,0 +1,172 @@
+/**
+ * 타이밍 소스 어댑터 레지스트리 — 소스 하나 = 이 폴더의 파일 하나 + 아래 BUILTIN 등록 한 줄.
+ *
+ * 어댑터 인터페이스:
+ *   id, label, origin
+ *   searchByName(sourceId, name, { session }) → 기록[] (세션형 소스는 세션 만료 시 null)
+ *   searchByBib?(sourceId, bib, { session })  → 기록[]
+ *   getEventInfo(sourceId)                     → { title, date }
+ *   discover?(year)                            → 대회[] ({ source, sourceId, name, date, distances, location })
+ *   createSession?()                           → 세션 문자열 (쿠키 등, 실패 시 "")
+ *   isSessionExpired?(html)                    → 응답이 세션 만료 페이지인지 (searchByName 의 null 판단)
+ *   capabilities: { splits, gender, ranks[](overall·gender·ageGroup), eventInfoDate(discover 날짜 누락 → getEventInfo 보완) }
+ *   politeness:   { delayMs } 회원 검색 사이 기본 간격 (랜덤 지터는 scrapeMember 가 붙인다)
+ *                 { perMinute, burst } 소스 전체 요청 한도 — 모든 함수 실행이 같이 쓰는 토큰 버킷 (scrape-rate-limit.js, 기본 30/분·3)
+ *   health:       { url, referer? } 연결 점검 대상 (ops-timing-sources?probe=1)
+ *   parserVersion 검색 결과 파서 버전 (기본 1) — 파싱을 고치면 올린다. search_cache 키에 들어가 이전 버전 캐시는 버려진다
+ *   blockMarkers? RegExp[] 이 소스 차단 페이지에만 나오는 문구 — 2xx 응답이어도 맞으면 소스 백오프 (scrape-rate-limit.js)
+ * searchByBib·discover·session 지원 여부는 함수 유무로 정해진다.
+ */
+
+const RANK_KINDS = ["overall", "gender", "ageGroup"];
+
+/** id → 어댑터 (등록 순서 = discoverAllEvents 순서) */
+const registry = new Map();
+
+function normalizeAdapter(adapter) {
+  const a = adapter || {};
+  const id = String(a.id || "").trim();
+  if (!/^[a-z][a-z0-9_-]*$/.test(id)) throw new Error(`[timing-sources] 잘못된 id: ${a.id}`);
+  if (id === "manual") throw new Error("[timing-sources] manual 은 예약된 소스입니다");
+  ["searchByName", "getEventInfo"].forEach((fn) => {
+    if (typeof a[fn] !== "function") throw new Error(`[timing-sources] ${id}: ${fn} 필요`);
+  });
+  ["searchByBib", "discover", "createSession", "isSessionExpired"].forEach((fn) => {
+    if (a[fn] !== undefined && typeof a[fn] !== "function") throw new Error(`[timing-sources] ${id}: ${fn} 는 함수여야 합니다`);
+  });
+  const caps = a.capabilities || {};
+  const ranks = Array.isArray(caps.ranks) ? caps.ranks : [];
+  const badRank = ranks.find((r) => !RANK_KINDS.includes(r));
+  if (badRank) throw new Error(`[timing-sources] ${id}: 알 수 없는 순위 ${badRank}`);
+  const delayMs = Number(a.politeness && a.politeness.delayMs);
+  if (!Number.isFinite(delayMs) || delayMs < 0) throw new Error(`[timing-sources] ${id}: politeness.delayMs 필요`);
+  const perMinute = Number((a.politeness && a.politeness.perMinute) || 30);
+  const burst = Number((a.politeness && a.politeness.burst) || 3);
+  if (!(perMinute > 0) || !(burst >= 1)) throw new Error(`[timing-sources] ${id}: politeness.perMinute·burst 는 양수`);
+  const parserVersion = a.parserVersion == null ? 1 : a.parserVersion;
+  if (!Number.isInteger(parserVersion) || parserVersion < 1) throw new Error(`[timing-sources] ${id}: parserVersion 은 1 이상 정수`);
+  const blockMarkers = a.blockMarkers == null ? [] : a.blockMarkers;
+  if (!Array.isArray(blockMarkers) || blockMarkers.some((re) => !(re instanceof RegExp))) {
+    throw new Error(`[timing-sources] ${id}: blockMarkers 는 RegExp 배열`);
+  }
+
+  return Object.freeze({
+    ...a,
+    id,
+    label: String(a.label || id),
+    origin: String(a.origin || ""),
+    capabilities: Object.freeze({
+      searchByName: true,
+      searchByBib: typeof a.searchByBib === "function",
+      discover: typeof a.discover === "function",
+      session: typeof a.createSession === "function",
+      splits: caps.splits === true,
+      gender: caps.gender === true,
+      ranks: Object.freeze(RANK_KINDS.filter((r) => ranks.includes(r))),
+      eventInfoDate: caps.eventInfoDate === true,
+    }),
+    politeness: Object.freeze({ delayMs, perMinute, burst }),
+    parserVersion,
+    blockMarkers: Object.freeze(blockMarkers.slice()),
+    health: a.health && a.health.url ? Object.freeze({ url: a.health.url, referer: a.health.referer || "" }) : null,
+  });
+}
+
+/** @returns {object} 등록된(정규화된) 어댑터 */
+function registerTimingSource(adapter) {
+  const a = normalizeAdapter(adapter);
+  if (registry.has(a.id)) throw new Error(`[timing-sources] 이미 등록됨: ${a.id}`);
+  registry.set(a.id, a);
+  return a;
+}
+
+/** @returns {object|null} */
+function getTimingSource(id) {
+  return registry.get(String(id || "")) || null;
+}
+
+function listTimingSources() {
+  return [...registry.values()];
+}
+
+function timingSourceIds() {
+  return [...registry.keys()];
+}
+
+/** search_cache 키에 쓰는 파서 버전 — 등록되지 않은 소스는 1 */
+function timingSourceParserVersion(id) {
+  const a = getTimingSource(id);
+  return a ? a.parserVersion : 1;
+}
+
+/** 등록된 소스이고 해당 capability 가 켜져 있으면 true */
+function timingSourceHasCapability(id, capability) {
+  const a = getTimingSource(id);
+  return !!(a && a.capabilities[capability]);
+}
+
+/** ops·API 응답용 (함수 제외) */
+function describeTimingSource(a) {
+  return {
+    id: a.id,
+    label: a.label,
+    origin: a.origin,
+    capabilities: { ...a.capabilities, ranks: [...a.capabilities.ranks] },
+    politeness: { ...a.politeness },
+    parserVersion: a.parserVersion,
+    healthUrl: a.health ? a.health.url : "",
+  };
+}
+
+/**
+ * 최근 scrape_jobs → 소스별 성공률. 대기(queued)는 제외, complete·confirmed 를 성공으로 본다.
+ * @param {object[]} jobs - scrape_jobs data
+ * @param {string[]} [sourceIds] - 집계할 소스 (기본: 등록된 전체). 목록에 없는 소스는 overall 에만 반영
+ */
+function scrapeJobHealthBySource(jobs, sourceIds = timingSourceIds()) {
+  const bySource = {};
+  sourceIds.forEach((id) => {
+    bySource[id] = { total: 0, success: 0, failed: 0, rate: 0 };
+  });
+  let total = 0;
+  let success = 0;
+  let failed = 0;
+  (jobs || []).forEach((d) => {
+    if (!d || d.status === "queued") return;
+    const ok = d.status === "complete" || d.status === "confirmed";
+    const bad = d.status === "failed";
+    total++;
+    if (ok) success++;
+    if (bad) failed++;
+    const s = bySource[d.source];
+    if (!s) return;
+    s.total++;
+    if (ok) s.success++;
+    if (bad) s.failed++;
+  });
+  Object.values(bySource).forEach((s) => {
+    s.rate = s.total > 0 ? Math.round((s.success / s.total) * 100) : 0;
+  });
+  return { total, success, failed, rate: total > 0 ? Math.round((success / total) * 100) : 0, bySource };
+}
+
+const BUILTIN = [
+  require("./marazone"),
+  require("./myresult"),
+  require("./spct"),
+  require("./smartchip"),
+  require("./ohmyrace"),
+];
+BUILTIN.forEach(registerTimingSource);
+
+module.exports = {
+  RANK_KINDS,
+  registerTimingSource,
+  getTimingSource,
+  listTimingSources,
+  timingSourceIds,
+  timingSourceHasCapability,
+  timingSourceParserVersion,
+  describeTimingSource,
+  scrapeJobHealthBySource,
+};
@@ -0,0 +1,96 @@
+/**
+ * Marazone (raceresult.co.kr) — REST API. sourceId 는 대회명(comp_title). 구간(CP) 스플릿·전체/성별/연령 순위 제공.
+ */
+
+const { scrapeFetch } = require("../scrape-replay");
+const { DELAY_MS, browserHeaders, normDist, normTime } = require("../scrape-common");
+
+async function searchMarazone(compTitle, memberName, bibNum = "") {
+  const res = await scrapeFetch("https://raceresult.co.kr/api/record-info", {
+    method: "POST",
+    headers: {
+      ...browserHeaders("marazone"),
+      "Content-Type": "application/json",
+      "Accept": "application/json, text/plain, */*",
+    },
+    body: JSON.stringify({ comp_title: compTitle, name: memberName, bibNum }),
+  });
+  if (!res.ok) return [];
+  const records = await res.json();
+  return (records || []).map((r) => {
+    // O_rank / G_rank / A_rank: "931/2605" 형식 → rank, total 분리
+    const parseRankStr = (s) => {
+      if (!s || s === "-") return { rank: null, total: null };
+      const [a, b] = String(s).split("/");
+      return { rank: parseInt(a) || null, total: parseInt(b) || null };
+    };
+    const oRank = parseRankStr(r.O_rank);
+    const gRank = parseRankStr(r.G_rank);
+    const aRank = parseRankStr(r.A_rank);
+
+    // 성별: "M"/"F" 또는 "남"/"여" 처리
+    let gender = null;
+    if (r.Sex) {
+      const s = r.Sex.trim();
+      if (s === "M" || s === "남" || s.toLowerCase() === "male") gender = "M";
+      else if (s === "F" || s === "여" || s.toLowerCase() === "female") gender = "F";
+    }
+
+    // 구간 스플릿: CP_01~CP_04_TIME (값이 "-" 아닌 것만)
+    const splits = [];
+    for (let i = 1; i <= 4; i++) {
+      const pad = String(i).padStart(2, "0");
+      const t = r[`CP_${pad}_TIME`];
+      const label = r[`CP_${pad}_NAME`] || `CP${pad}`;
+      if (t && t !== "-") splits.push({ label, time: t });
+    }
+
+    return {
+      name: r.Name || r.name || memberName,
+      bib: r.Bib || r.bib_num || "",
+      distance: normDist(r.Division || ""),
+      netTime: normTime(r.Time || ""),
+      gunTime: "",
+      overallRank: oRank.rank,
+      genderRank: gRank.rank,
+      ageGroupRank: aRank.rank !== null ? `${aRank.rank}/${aRank.total}` : null,
+      gender, splits,
+      pace: r.Pace || r.pace || "",
+    };
+  });
+}
+
+async function getMarazoneEventInfo(compTitle) {
+  const comps = await (await scrapeFetch("https://raceresult.co.kr/api/record-competitions", {
+    headers: { ...browserHeaders("marazone"), Accept: "application/json" },
+  })).json();
+  const match = comps.find((c) => c.comp_title === compTitle);
+  return { title: compTitle, date: match?.comp_date || null };
+}
+
+async function discoverMarazone(year) {
+  const res = await scrapeFetch("https://raceresult.co.kr/api/record-competitions", {
+    headers: { ...browserHeaders("marazone"), Accept: "application/json" },
+  });
+  const data = await res.json();
+  return data
+    .filter((e) => e.comp_date && e.comp_date.startsWith(String(year)))
+    .map((e) => ({
+      source: "marazone", sourceId: e.comp_title, name: e.comp_title,
+      date: e.comp_date, distances: e.comp_div_ls || "", location: e.comp_place || "",
+    }));
+}
+
+module.exports = {
+  id: "marazone",
+  label: "Marazone",
+  origin: "https://raceresult.co.kr",
+  capabilities: { splits: true, gender: true, ranks: ["overall", "gender", "ageGroup"] },
+  politeness: { delayMs: DELAY_MS, perMinute: 60, burst: 5 },
+  parserVersion: 1,
+  health: { url: "https://raceresult.co.kr/api/record-competitions" },
+  searchByName: (sourceId, name) => searchMarazone(sourceId, name),
+  searchByBib: (sourceId, bib) => searchMarazone(sourceId, "", bib),
+  getEventInfo: getMarazoneEventInfo,
+  discover: discoverMarazone,
+};
@@ -0,0 +1,85 @@
+/**
+ * MyResult (myresult.co.kr) — REST API. 검색어(q)는 이름·배번 모두 받는다. 넷/건 타임·페이스 제공, 순위 없음.
+ */
+
+const { scrapeFetch } = require("../scrape-replay");
+const { DELAY_MS, sleep, browserHeaders, normDist, normTime } = require("../scrape-common");
+
+async function searchMyResult(eventId, memberName) {
+  const url = `https://myresult.co.kr/api/event/${eventId}/player?q=${encodeURIComponent(memberName)}`;
+  const res = await scrapeFetch(url, {
+    headers: {
+      ...browserHeaders("myresult"),
+      "Accept": "application/json, text/plain, */*",
+    },
+  });
+  if (!res.ok) return [];
+  const players = await res.json();
+  return (players || []).map((p) => {
+    const rawNet = p.result_nettime != null ? String(p.result_nettime) : "";
+    const rawGun = p.result_guntime != null ? String(p.result_guntime) : "";
+    const nNet = normTime(rawNet);
+    const nGun = normTime(rawGun);
+    return {
+    name: p.name || memberName,
+    bib: String(p.num || ""),
+    distance: normDist(p.course_cd || ""),
+    netTime: nNet || nGun,
+    gunTime: nGun,
+    overallRank: null, genderRank: null, ageGroupRank: null,
+    gender: p.gender ? p.gender.toUpperCase() : null,
+    splits: [],
+    pace: p.pace_nettime || "",
+    };
+  });
+}
+
+async function getMyResultEventInfo(eventId) {
+  const res = await scrapeFetch(`https://myresult.co.kr/api/event/${eventId}`, {
+    headers: { ...browserHeaders("myresult"), Accept: "application/json" },
+  });
+  if (!res.ok) return { title: `MyResult #${eventId}`, date: null };
+  const data = await res.json();
+  return { title: data.name || `MyResult #${eventId}`, date: data.date || null };
+}
+
+async function discoverMyResult(year) {
+  const allEvents = [];
+  let page = 1;
+  const maxPages = 35;
+
+  while (page <= maxPages) {
+    const res = await scrapeFetch(`https://myresult.co.kr/api/event?page=${page}`, {
+      headers: { ...browserHeaders("myresult"), Accept: "application/json" },
+    });
+    const data = await res.json();
+    const events = data.results || data;
+    if (!events || events.length === 0) break;
+    allEvents.push(...events);
+    const total = data.total || 0;
+    if (allEvents.length >= total) break;
+    page++;
+    await sleep(DELAY_MS);
+  }
+
+  return allEvents
+    .filter((e) => e.date && e.date.startsWith(String(year)))
+    .map((e) => ({
+      source: "myresult", sourceId: String(e.id), name: e.name,
+      date: e.date, distances: "", location: e.place_area || "",
+    }));
+}
+
+module.exports = {
+  id: "myresult",
+  label: "MyResult",
+  origin: "https://myresult.co.kr",
+  capabilities: { splits: false, gender: true, ranks: [] },
+  politeness: { delayMs: DELAY_MS, perMinute: 60, burst: 5 },
+  parserVersion: 1,
+  health: { url: "https://myresult.co.kr/api/event?page=1" },
+  searchByName: (sourceId, name) => searchMyResult(sourceId, name),
+  searchByBib: (sourceId, bib) => searchMyResult(sourceId, bib),
+  getEventInfo: getMyResultEventInfo,
+  discover: discoverMyResult,
+};
@@ -0,0 +1,197 @@
+/**
+ * Ohmyrace (record.ohmyrace.co.kr) — 폼 POST. bib 파라미터가 이름·배번 모두 받고, 동명이인은 배번 목록으로 온다.
+ */
+
+const { load: cheerioLoad } = require("cheerio");
+const { scrapeFetch } = require("../scrape-replay");
+const { DELAY_MS, normDist, normTime } = require("../scrape-common");
+
+async function searchOhmyrace(eventId, memberName) {
+  const url = "http://record.ohmyrace.co.kr/theme/ohmyrace/mobile/skin/board/event/view.data.php";
+
+  async function postOhmyrace(bib, cate = "") {
+    const params = new URLSearchParams();
+    params.append("table", "event");
+    params.append("wr_id", eventId);
+    params.append("bib", bib);
+    params.append("cate", cate);
+
+    const res = await scrapeFetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/x-www-form-urlencoded; charset=UTF-8",
+        "User-Agent": "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36",
+        "Referer": `http://record.ohmyrace.co.kr/event/${eventId}`,
+      },
+      body: params.toString(),
+    });
+
+    if (!res.ok) return null;
+    return res.text();
+  }
+
+  function parseNameCards($) {
+    const results = [];
+    $(".name-card").each((_, card) => {
+      const $card = $(card);
+
+      const name = $card.find(".name-box h3").text().trim();
+      const bibText = $card.find(".name-box li").last().text().trim();
+      const bib = bibText.replace("#", "").trim();
+
+      const infoText = $card.find(".name-box li").first().text().trim();
+      const [distance, genderText] = infoText.split("/").map(s => s.trim());
+
+      const timeText = $card.find(".record-box h3").first().text().trim();
+
+      const rankTexts = $card.find(".record-box h4");
+      let overallRank = null;
+      let genderRank = null;
+
+      rankTexts.each((i, el) => {
+        const text = $(el).text().trim();
+        if (text.includes("/")) {
+          const [rank] = text.split("/").map(s => s.trim());
+          if (i === 0) overallRank = parseInt(rank);
+          else if (i === 1) genderRank = parseInt(rank);
+        }
+      });
+
+      if (name && timeText) {
+        results.push({
+          name,
+          bib,
+          distance: normDist(distance),
+          netTime: normTime(timeText),
+          gunTime: "",
+          overallRank,
+          genderRank,
+          ageGroupRank: null,
+          gender: genderText === "남" ? "M" : genderText === "여" ? "F" : null,
+          splits: [],
+          pace: "",
+        });
+      }
+    });
+    return results;
+  }
+
+  // 1단계: 이름(또는 배번)으로 검색
+  const html = await postOhmyrace(memberName, "");
+  if (!html) return [];
+
+  const $ = cheerioLoad(html);
+
+  // 직접 기록이 반환된 경우
+  const directResults = parseNameCards($);
+  if (directResults.length > 0) return directResults;
+
+  // 동명이인 목록이 반환된 경우 — bib별로 중복 제거 후 2차 조회
+  const nameEntries = [];
+  const seenBibs = new Set();
+  $(".name-result").each((_, el) => {
+    const bib = $(el).attr("data-bib");
+    const cate = $(el).attr("data-cate") || "";
+    if (bib && !seenBibs.has(bib)) {
+      seenBibs.add(bib);
+      nameEntries.push({ bib, cate });
+    }
+  });
+
+  if (nameEntries.length === 0) return [];
+
+  // 2단계: 각 배번으로 병렬 조회
+  const htmls = await Promise.all(nameEntries.map(({ bib, cate }) => postOhmyrace(bib, cate)));
+
+  const results = [];
+  for (const html2 of htmls) {
+    if (!html2) continue;
+    const $2 = cheerioLoad(html2);
+    results.push(...parseNameCards($2));
+  }
+
+  return results;
+}
+
+async function getOhmyraceEventInfo(sourceId) {
+  let title = `Ohmyrace Event ${sourceId}`;
+  let date = null;
+
+  try {
+    const res = await scrapeFetch(`http://record.ohmyrace.co.kr/event/${sourceId}`);
+    const html = await res.text();
+    
+    // 제목 추출: <title>대회명 > EVENT | (주)오마이레이스</title>
+    const titleMatch = html.match(/<title>([^>]+) > EVENT/);
+    if (titleMatch) {
+      title = titleMatch[1].trim();
+    }
+    
+    // 날짜 추출 시도: 여러 패턴
+    // 패턴 1: <span class="new_data">2026. 04. 05</span>
+    const dateMatch1 = html.match(/<span class="new_data">(\d{4}\.\s*\d{2}\.\s*\d{2})<\/span>/);
+    if (dateMatch1) {
+      date = dateMatch1[1].replace(/\.\s*/g, '-'); // "2026. 04. 05" → "2026-04-05"
+    }
+    
+    // 패턴 2: YYYY-MM-DD 형식이 있으면
+    if (!date) {
+      const dateMatch2 = html.match(/(\d{4}-\d{2}-\d{2})/);
+      if (dateMatch2) date = dateMatch2[1];
+    }
+  } catch (err) {
+    // 네트워크 오류 등 무시, 기본값 반환
+  }
+
+  return { title, date };
+}
+
+async function discoverOhmyrace(year) {
+  const res = await scrapeFetch("http://record.ohmyrace.co.kr/event");
+  const html = await res.text();
+  const $ = cheerioLoad(html);
+
+  const events = [];
+  $("li").each((_, el) => {
+    const nameEl = $(el).find(".new_sbj a");
+    if (!nameEl.length) return;
+
+    const name = nameEl.text()
+      .replace(/예정|종료/g, "")
+      .trim();
+    const dateText = $(el).find(".new_data").text().trim();
+
+    if (name && dateText.startsWith(String(year))) {
+      const date = dateText.replace(/\.\s*/g, "-").trim();
+      const href = nameEl.attr("href") || "";
+      const idMatch = href.match(/event\/(\d+)/);
+
+      if (idMatch) {
+        events.push({
+          source: "ohmyrace",
+          sourceId: idMatch[1],
+          name,
+          date,
+          distances: "",
+          location: "",
+        });
+      }
+    }
+  });
+
+  return events;
+}
+
+module.exports = {
+  id: "ohmyrace",
+  label: "Ohmyrace",
+  origin: "http://record.ohmyrace.co.kr",
+  capabilities: { splits: false, gender: true, ranks: ["overall", "gender"] },
+  politeness: { delayMs: DELAY_MS, perMinute: 40, burst: 4 },
+  parserVersion: 1,
+  health: { url: "http://record.ohmyrace.co.kr/event" },
+  searchByName: (sourceId, name) => searchOhmyrace(sourceId, name),
+  searchByBib: (sourceId, bib) => searchOhmyrace(sourceId, bib),
+  getEventInfo: getOhmyraceEventInfo,
+  discover: discoverOhmyrace,
+};
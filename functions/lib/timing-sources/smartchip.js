@@ -0,0 +1,324 @@
+/**
+ * SmartChip (smartchip.co.kr) — 세션 쿠키(ASPSESSIONID) 필요, 기록은 페이지 키로 XOR 암호화 (scDecrypt).
+ * 대량 요청 시 IP 차단 → 요청 간격을 길게. discover 결과에 날짜가 빠질 수 있어 getEventInfo 로 보완.
+ */
+
+const { load: cheerioLoad } = require("cheerio");
+const { scrapeFetch } = require("../scrape-replay");
+const { DELAY_MS, sleep, browserHeaders, normDist, normTime } = require("../scrape-common");
+
+// SmartChip은 대량 요청 시 IP 차단 → 별도 딜레이 (3초)
+const SMARTCHIP_DELAY_MS = 3000;
+/** discover / main.html 은 이 호스트 + Referer 조합으로만 전체 HTML 제공 */
+const SMARTCHIP_ORIGIN = "https://smartchip.co.kr";
+
+function scDecrypt(secret, html) {
+  if (!secret) return "";
+  const keyMatch = html.match(/const\s+_k\s*=\s*\[([\d,\s]+)\]/);
+  const xorMatch = html.match(/\^\s*(\d+)\s*;/);
+  const keyArray = keyMatch
+    ? keyMatch[1].split(",").map((n) => parseInt(n.trim()))
+    : [1, 4, 11, 14, 0, 9, 8].map((n) => n + 100);
+  const xorMask = keyMatch && xorMatch ? parseInt(xorMatch[1]) : keyMatch ? 170 : 0;
+  let text = "";
+  for (let i = 0; i < secret.length; i += 4) {
+    const code = parseInt(secret.substr(i, 4), 16);
+    const kCode = keyArray[(i / 4) % keyArray.length] ^ xorMask;
+    text += String.fromCharCode(code ^ kCode);
+  }
+  return text;
+}
+
+function parseSmartChipResult(html, memberName) {
+  const $ = cheerioLoad(html);
+  const jamsil = [];
+  $(".jamsil-bold-center").each((_, el) => {
+    const t = $(el).text().replace(/&nbsp;/g, "").trim();
+    if (t) jamsil.push(t);
+  });
+
+  const name = jamsil[0] || memberName;
+  const distance = normDist(jamsil[1] || "");
+  let bib = "";
+  for (let i = 0; i < jamsil.length; i++) {
+    if (jamsil[i] === "BIB" && jamsil[i + 1]) { bib = jamsil[i + 1].trim(); break; }
+  }
+
+  const enc = html.match(/drawTextCanvas\s*\(\s*"targetClock"\s*,\s*"([0-9a-fA-F]+)"\s*\)/);
+  const netTime = enc ? scDecrypt(enc[1], html) : "";
+  const rankData = html.match(/var rawData\s*=\s*\[([^\]]*)\]/);
+  const overallRank = rankData ? parseInt(rankData[1].split(",")[0]) : null;
+
+  // Total_Rank URL의 gender= 파라미터에서 성별 추출
+  const genderUrlMatch = html.match(/Total_Rank\.asp[^"']*gender=([^&"']+)/i);
+  let gender = null;
+  if (genderUrlMatch) {
+    const genderRaw = decodeURIComponent(genderUrlMatch[1]);
+    if (genderRaw === "남" || genderRaw.toLowerCase() === "male" || genderRaw.toLowerCase() === "m") gender = "M";
+    else if (genderRaw === "여" || genderRaw.toLowerCase() === "female" || genderRaw.toLowerCase() === "f") gender = "F";
+  }
+
+  if (!netTime) return null;
+  return {
+    name, bib, distance, netTime: normTime(netTime), gunTime: "",
+    overallRank, genderRank: null, ageGroupRank: null,
+    gender, splits: [], pace: "",
+  };
+}
+
+// SmartChip 세션 쿠키 발급 (dongma.html 방문 → ASPSESSIONID 쿠키 수령)
+// 호출 당 1회만 발급하고 재사용한다.
+async function getSmartChipSession() {
+  try {
+    const resp = await scrapeFetch(`${SMARTCHIP_ORIGIN}/dongma.html`, {
+      headers: {
+        ...browserHeaders("smartchip"),
+        "Accept": "text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8",
+      },
+    });
+    const setCookie = resp.headers.get("set-cookie") || "";
+    // "ASPSESSIONIDXXXX=YYYY; secure; path=/" → "ASPSESSIONIDXXXX=YYYY"
+    const sessionCookie = setCookie.split(";")[0].trim();
+    if (sessionCookie) {
+      console.log(`[SmartChip] 세션 발급 완료: ${sessionCookie.substring(0, 20)}...`);
+    }
+    return sessionCookie;
+  } catch (e) {
+    console.warn(`[SmartChip] 세션 발급 실패: ${e.message}`);
+    return "";
+  }
+}
+
+// SmartChip 응답이 "잘못된 접속 경로" (세션 만료) 인지 확인
+function isSmartChipSessionExpired(html) {
+  return html.includes("잘못된 접속 경로") || html.includes("goHome=1");
+}
+
+async function searchSmartChip(eventId, memberName, session = "") {
+  const commonHeaders = {
+    ...browserHeaders("smartchip"),
+    "Content-Type": "application/x-www-form-urlencoded",
+    "Accept": "text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8",
+    ...(session ? { "Cookie": session } : {}),
+  };
+
+  const params = new URLSearchParams();
+  params.append("nameorbibno", memberName);
+  params.append("usedata", eventId);
+  const res = await scrapeFetch(`${SMARTCHIP_ORIGIN}/return_data_livephoto.asp`, {
+    method: "POST",
+    headers: commonHeaders,
+    body: params.toString(),
+  });
+  const html = await res.text();
+
+  // 세션 만료 감지 → 호출자에게 알림 (null 반환으로 구분)
+  if (isSmartChipSessionExpired(html)) {
+    console.warn(`[SmartChip] 세션 만료 감지 (${memberName})`);
+    return null;
+  }
+
+  // 동명이인: name_search_result.asp로 리다이렉트 → 배번 목록 파싱 후 각각 재검색
+  if (html.includes("name_search_result.asp")) {
+    const yearGbn = eventId.slice(0, 4);
+    const rallyNo = eventId.slice(4);
+    const listUrl = `${SMARTCHIP_ORIGIN}/name_search_result.asp?name=${encodeURIComponent(memberName)}&Year_Gbn=${yearGbn}&Rally_no=${rallyNo}`;
+    try {
+      const listRes = await scrapeFetch(listUrl, { headers: { ...commonHeaders } });
+      const listHtml = await listRes.text();
+      const $ = cheerioLoad(listHtml);
+      const bibs = [];
+      $("td").each((_, el) => {
+        const text = $(el).text().trim();
+        if (/^\d{3,6}$/.test(text)) bibs.push(text);
+      });
+
+      const results = [];
+      for (const bib of bibs) {
+        await sleep(DELAY_MS);
+        const bibParams = new URLSearchParams();
+        bibParams.append("nameorbibno", bib);
+        bibParams.append("usedata", eventId);
+        const bibRes = await scrapeFetch(`${SMARTCHIP_ORIGIN}/return_data_livephoto.asp`, {
+          method: "POST",
+          headers: commonHeaders,
+          body: bibParams.toString(),
+        });
+        const bibHtml = await bibRes.text();
+        const r = parseSmartChipResult(bibHtml, memberName);
+        if (r) results.push(r);
+      }
+      return results;
+    } catch {
+      return [];
+    }
+  }
+
+  if (html.includes("기록이 없습니다") || html.length < 5000) return [];
+
+  const r = parseSmartChipResult(html, memberName);
+  return r ? [r] : [];
+}
+
+async function getSmartChipEventInfo(sourceId) {
+  let title = `SmartChip ${sourceId}`;
+  let date = null;
+  const scHeaders = browserHeaders("smartchip");
+
+  // 1) Search_Ballyno.html에서 정확한 대회명
+  try {
+    const res = await scrapeFetch(
+      `${SMARTCHIP_ORIGIN}/Search_Ballyno.html?usedata=${sourceId}`,
+      { headers: scHeaders }
+    );
+    const html = await res.text();
+    const nameMatch = html.match(/class="box white"[^>]*>\s*([^\n<]{2,80})\s*<\/div>/);
+    if (nameMatch) title = nameMatch[1].trim();
+  } catch { /* ignore */ }
+
+  // 2) main.html selectItem 드롭다운에서 날짜 (과거 대회)
+  // Referer 없으면 318B 리다이렉트 스텁만 옴 — discover 와 동일 조건 필수
+  try {
+    const mainRes = await scrapeFetch(`${SMARTCHIP_ORIGIN}/main.html`, { headers: scHeaders });
+    const mainHtml = await mainRes.text();
+    const dateMatch = mainHtml.match(
+      new RegExp(`selectItem\\s*\\(\\s*'\\((\\d{4}-\\d{2}-\\d{2})\\)[^']*'\\s*,\\s*'${sourceId}'`)
+    );
+    if (dateMatch) date = dateMatch[1];
+  } catch { /* ignore */ }
+
+  // 3) 날짜 못 찾으면: Smart_Member_Recorddata_Select.asp로 rally_date 추출
+  //    인증 불필요. sourceId = Year_Gbn(4자리) + Rally_Id(나머지).
+  //    참가 기록이 있는 회원의 memberid가 필요하므로 여러 명 시도.
+  if (!date) {
+    const yearGbn = sourceId.slice(0, 4);
+    const rallyId = sourceId.slice(4);
+    const PROBE_IDS = ["79813", "78498", "80001", "75000", "82000"];
+
+    for (const mid of PROBE_IDS) {
+      try {
+        const memberRes = await scrapeFetch(
+          "https://smartchip.co.kr/data/Smart_Member_Recorddata_Select.asp",
+          {
+            method: "POST",
+            headers: { "Content-Type": "application/x-www-form-urlencoded; charset=UTF-8" },
+            body: `memberid=${mid}`,
+          }
+        );
+        const records = await memberRes.json();
+        const match = records.find(
+          (r) => r.Year_Gbn === yearGbn && r.Rally_Id === rallyId
+        );
+        if (match?.rally_date) {
+          date = match.rally_date;
+          if (match.rally_name && title.startsWith("SmartChip")) title = match.rally_name;
+          break;
+        }
+      } catch { /* ignore, try next */ }
+    }
+  }
+
+  return { title, date };
+}
+
+async function discoverSmartChip(year) {
+  const yearPrefix = String(year);
+  const usedataPattern = /usedata=(\d+)/g;
+  const eventMap = new Map(); // id → {name, date}
+  const scHeaders = browserHeaders("smartchip");
+
+  // 1) dongma.html — 동아일보 전용 대회 (일반 main.html에 노출 안 됨)
+  // e.g. 서울마라톤, SEOUL RACE, 공주백제마라톤, 경주국제마라톤 등
+  try {
+    const dongmaHtml = await scrapeFetch(`${SMARTCHIP_ORIGIN}/dongma.html`, { headers: scHeaders }).then((r) => r.text());
+
+    // PAST EVENT 드롭다운: <option value="202550000218">(2025-10-18) 2025 경주국제마라톤</option>
+    const optionMatches = [...dongmaHtml.matchAll(/<option\s+value="(\d+)">\((\d{4}-\d{2}-\d{2})\)\s*([^<]+)<\/option>/g)];
+    for (const m of optionMatches) {
+      const id = m[1];
+      const date = m[2];
+      const name = m[3].trim();
+      if (id.startsWith(yearPrefix)) eventMap.set(id, { name, date });
+    }
+
+    // 현재 대회 슬라이드 (swiper): onclick="location.href='Search_Ballyno.html?usedata=XXXXXXXXX'"
+    const swiperMatches = [...dongmaHtml.matchAll(/usedata=(\d+)['"`]/g)];
+    for (const m of swiperMatches) {
+      const id = m[1];
+      if (id.startsWith(yearPrefix) && !eventMap.has(id)) {
+        // 날짜는 드롭다운에 없으니 일단 name만 등록 (getSmartChipEventInfo에서 보완)
+        eventMap.set(id, { name: `SmartChip ${id}`, date: null });
+      }
+    }
+  } catch (err) {
+    console.warn(`[discoverSmartChip] dongma.html fetch failed: ${err.message}`);
+  }
+
+  // 2) main.html — 일반 대회
+  // www 또는 Referer 없이 요청하면 318B JS 스텁만 옴. smartchip.co.kr + Referer 필수.
+  try {
+    const html = await scrapeFetch(`${SMARTCHIP_ORIGIN}/main.html`, { headers: scHeaders }).then((r) => r.text());
+
+    // selectItem 형식 (PAST EVENTS 드롭다운): 날짜와 이름 모두 포함
+    const selectMatches = [...html.matchAll(/selectItem\s*\(\s*'([^']*)'\s*,\s*'(\d+)'/g)];
+    for (const m of selectMatches) {
+      const raw = m[1];
+      const id = m[2];
+      if (!id.startsWith(yearPrefix) || eventMap.has(id)) continue;
+      const dateMatch = raw.match(/(\d{4}-\d{2}-\d{2})/);
+      const name = raw.replace(/^\(\d{4}-\d{2}-\d{2}\)\s*/, "").trim();
+      eventMap.set(id, { name, date: dateMatch ? dateMatch[1] : "" });
+    }
+
+    // swiper 슬라이드 형식 (현재/최근 대회): selectItem에 없는 것만
+    const ids = [...new Set([...html.matchAll(usedataPattern)].map((m) => m[1]))];
+    for (const id of ids.filter((id) => id.startsWith(yearPrefix) && !eventMap.has(id))) {
+      const swiperIsPresent =
+        new RegExp(`usedata=${id}['"]`).test(html) ||
+        new RegExp(`usedata=${id}(?=[^0-9])`).test(html);
+      if (swiperIsPresent) {
+        try {
+          await sleep(DELAY_MS);
+          const pageHtml = await scrapeFetch(
+            `${SMARTCHIP_ORIGIN}/Search_Ballyno.html?usedata=${id}`,
+            { headers: scHeaders }
+          ).then((r) => r.text());
+
+          const nameMatch = pageHtml.match(
+            /class="box white"[^>]*>\s*([^\n<]{2,60})\s*<\/div>/
+          );
+          const realName = nameMatch ? nameMatch[1].trim() : `SmartChip ${id}`;
+          eventMap.set(id, { name: realName, date: null });
+        } catch {
+          eventMap.set(id, { name: `SmartChip ${id}`, date: null });
+        }
+      }
+    }
+  } catch (err) {
+    console.warn(`[discoverSmartChip] main.html fetch failed: ${err.message}`);
+  }
+
+  return [...eventMap.entries()].map(([id, { name, date }]) => ({
+    source: "smartchip", sourceId: id, name, date, distances: "", location: "",
+  }));
+}
+
+module.exports = {
+  id: "smartchip",
+  label: "SmartChip",
+  origin: SMARTCHIP_ORIGIN,
+  capabilities: { splits: false, gender: true, ranks: ["overall"], eventInfoDate: true },
+  politeness: { delayMs: SMARTCHIP_DELAY_MS, perMinute: 20, burst: 2 },
+  parserVersion: 1,
+  health: { url: `${SMARTCHIP_ORIGIN}/main.html`, referer: `${SMARTCHIP_ORIGIN}/` },
+  /** 세션 만료면 null — scrapeMember 가 세션 재발급 후 다시 검색, 그래도 만료면 큐 워커가 백오프 재시도 */
+  searchByName: (sourceId, name, { session = "" } = {}) => searchSmartChip(sourceId, name, session),
+  // nameorbibno — 같은 엔드포인트가 배번도 받는다
+  searchByBib: (sourceId, bib, { session = "" } = {}) => searchSmartChip(sourceId, bib, session),
+  createSession: getSmartChipSession,
+  isSessionExpired: isSmartChipSessionExpired,
+  getEventInfo: getSmartChipEventInfo,
+  discover: discoverSmartChip,
+  scDecrypt,
+  SMARTCHIP_DELAY_MS,
+};
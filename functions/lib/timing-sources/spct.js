@@ -0,0 +1,177 @@
+/**
+ * SPCT (time.spct.kr) — 목록(m1.php) → 상세(m2.php) HTML. 스플릿·전체/성별/연령 순위 제공.
+ * 배번 검색은 사이트에 없어 이름 검색만.
+ */
+
+const { load: cheerioLoad } = require("cheerio");
+const { scrapeFetch } = require("../scrape-replay");
+const { DELAY_MS, sleep, randomDelay, browserHeaders, normDist, normTime, inferGender } = require("../scrape-common");
+
+async function spctParseDetailPage(html, fallbackName) {
+  const $ = cheerioLoad(html);
+  const name = $(".content .name").clone().children().remove().end().text().trim() || fallbackName;
+  const genderDist = $(".content .name span").text().trim();
+  const bib = $(".content .tag span").first().text().trim();
+  const time = $(".content .record .time").text().trim();
+  const gender = inferGender(genderDist);
+  const dist = normDist(genderDist.replace(/[MF]\s*/i, ""));
+
+  // 순위 파싱: .rank li 순서 → 전체/성별/연령부
+  let overallRank = null, genderRank = null, ageGroupRank = null;
+  $(".rank li").each((i, el) => {
+    const spans = $(el).find("span");
+    const rankNum = parseInt($(spans[0]).text().trim());
+    const totalText = $(spans[1]).text().replace("/", "").trim();
+    const total = parseInt(totalText) || null;
+    const label = $(el).find("p").first().text();
+    if (i === 0) {
+      overallRank = isNaN(rankNum) ? null : rankNum;
+    } else if (i === 1) {
+      genderRank = isNaN(rankNum) ? null : rankNum;
+    } else if (i === 2) {
+      ageGroupRank = isNaN(rankNum) ? null : (total ? `${rankNum}/${total}` : String(rankNum));
+    }
+  });
+
+  // 구간 스플릿: Section 1/2/3 테이블
+  const splits = [];
+  $("table tbody tr").each((_, tr) => {
+    const cells = $(tr).find("td");
+    if (cells.length < 2) return;
+    const label = $(cells[0]).text().trim();
+    const rawCell = $(cells[1]).text().trim();
+    const elapsedMatch = rawCell.match(/\((\d{2}:\d{2}:\d{2}(?:\.\d+)?)\)/);
+    if (label && elapsedMatch) {
+      splits.push({ label, time: elapsedMatch[1].substring(0, 8) });
+    }
+  });
+
+  return {
+    name, bib, distance: dist,
+    netTime: normTime(time), gunTime: "",
+    gender: gender || null,
+    overallRank, genderRank, ageGroupRank,
+    splits, pace: "",
+  };
+}
+
+async function searchSPCT(eventNo, memberName) {
+  const year = eventNo.substring(0, 4);
+  const url = `https://time.spct.kr/m1.php?TargetYear=${year}&EVENT_NO=${eventNo}&currentPage=1&searchResultsName=${encodeURIComponent(memberName)}`;
+  const spctHeaders = {
+    ...browserHeaders("spct"),
+    "Accept": "text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8",
+  };
+  const res = await scrapeFetch(url, { headers: spctHeaders });
+  const html = await res.text();
+  if (html.includes("alert('Something Wrong") || html.length < 200) return [];
+
+  const redirectMatch = html.match(/location\.href\s*=\s*"(m2\.php[^"]+)"/);
+  if (redirectMatch) {
+    const dHtml = await (await scrapeFetch(`https://time.spct.kr/${redirectMatch[1]}`, { headers: spctHeaders })).text();
+    const parsed = await spctParseDetailPage(dHtml, memberName);
+    return parsed.netTime ? [parsed] : [];
+  }
+
+  const $ = cheerioLoad(html);
+  const links = [];
+  const linkTexts = new Map(); // href -> linkText (배번/종목 추출용)
+  
+  $("a[href*='m2.php']").each((_, a) => {
+    const href = $(a).attr("href");
+    const text = $(a).text().trim(); // "[ 15881 ] 10KM - 이수진"
+    if (href && !links.includes(href)) {
+      links.push(href);
+      linkTexts.set(href, text);
+    }
+  });
+
+  const results = [];
+  for (const link of links) {
+    const dHtml = await (await scrapeFetch(`https://time.spct.kr/${link}`, { headers: spctHeaders })).text();
+    const parsed = await spctParseDetailPage(dHtml, memberName);
+    
+    // 목록 페이지 텍스트에서 distance 추출 시도 (fallback)
+    // 형식: "[ 15881 ] 10KM - 이수진" 또는 "[ 25186 ] HALF - 이수진"
+    if (!parsed.distance || parsed.distance === 'unknown') {
+      const linkText = linkTexts.get(link) || '';
+      const distMatch = linkText.match(/\]\s*([^-\s]+)\s*-/);
+      if (distMatch) {
+        const extractedDist = normDist(distMatch[1].trim());
+        if (extractedDist && extractedDist !== 'unknown') {
+          parsed.distance = extractedDist;
+        }
+      }
+    }
+    
+    if (parsed.netTime) results.push(parsed);
+    await sleep(randomDelay(200));
+  }
+  return results;
+}
+
+async function getSPCTEventInfo(eventNo) {
+  const year = eventNo.substring(0, 4);
+  const url = `https://time.spct.kr/m1.php?TargetYear=${year}&EVENT_NO=${eventNo}&currentPage=1`;
+  const res = await scrapeFetch(url, {
+    headers: { ...browserHeaders("spct"), Accept: "text/html,*/*" },
+  });
+  const html = await res.text();
+  const $ = cheerioLoad(html);
+  const h3 = $("h3").first().text().trim();
+  const title = h3.split("\n")[0].trim();
+  const dateMatch = h3.match(/(\d{4}-\d{2}-\d{2})/);
+  return { title, date: dateMatch ? dateMatch[1] : null };
+}
+
+async function discoverSPCT(year) {
+  const allEvents = [];
+  let page = 1;
+  let totalPages = 1;
+
+  while (page <= totalPages) {
+    const url = `https://time.spct.kr/main.php?TargetYear=${year}&searchEventName=&currentPage=${page}`;
+    const res = await scrapeFetch(url, {
+      headers: { ...browserHeaders("spct"), Accept: "text/html,*/*" },
+    });
+    const html = await res.text();
+    const $ = cheerioLoad(html);
+
+    if (page === 1) {
+      const totalText = $(".paging .total").text().trim().replace("/", "");
+      if (totalText) totalPages = parseInt(totalText) || 1;
+    }
+
+    $('a[href*="EVENT_NO"]').each((_, el) => {
+      const href = $(el).attr("href") || "";
+      const text = $(el).text().trim();
+      const match = href.match(/EVENT_NO=([^&]+)/);
+      if (match && text) {
+        const eventNo = match[1];
+        const dateStr = eventNo.replace(/^(\d{4})(\d{2})(\d{2}).*/, "$1-$2-$3");
+        allEvents.push({
+          source: "spct", sourceId: eventNo, name: text,
+          date: dateStr, distances: "", location: "",
+        });
+      }
+    });
+
+    if (page < totalPages) await sleep(DELAY_MS);
+    page++;
+  }
+
+  return allEvents;
+}
+
+module.exports = {
+  id: "spct",
+  label: "SPCT",
+  origin: "https://time.spct.kr",
+  capabilities: { splits: true, gender: true, ranks: ["overall", "gender", "ageGroup"] },
+  politeness: { delayMs: DELAY_MS, perMinute: 40, burst: 4 },
+  parserVersion: 1,
+  health: { url: "https://time.spct.kr/main.php" },
+  searchByName: (sourceId, name) => searchSPCT(sourceId, name),
+  getEventInfo: getSPCTEventInfo,
+  discover: discoverSPCT,
+};
@@ -0,0 +1,203 @@
+/**
+ * 연말 "올해의 달리기" 요약 — 회원별 · 클럽 전체 (year-in-running.html 카드).
+ * 순수 함수 — node --test 친화적. Firestore 읽기는 index.js year-in-running · year-in-running-club 에서.
+ *
+ * 출처
+ *   attendance     : 정모 출석 수(날짜·유형 중복 제외) · 최장 연속 출석 · 러닝 로그 거리
+ *   race_results   : 완주 대회 수 · 대회 거리 합 · PB 경신 수 · 가장 크게 줄인 기록
+ *   chunbaek_*     : 그 해 춘백 시즌 출석일 (베타 주간 제외)
+ * 출석 집계 기준은 getAttendanceStatsV2 와 같다 — 게스트 제외, 화·목·토가 아닌 모임은 캘린더에 열린 세션만.
+ */
+
+const { computeClubStreakFromDateSet, isRegularClubMeetingDateKey } = require("./attendance-streak");
+const { isSessionHeld } = require("./meeting-calendar");
+const { summarizeRunLogs } = require("./attendance-run-log");
+const { splitTimeToSeconds, RACE_DISTANCE_KM } = require("./race-splits");
+const { normalizeRaceDistance } = require("./raceDistance");
+const { seasonSlotsOnly, resolveSlotDate, getAttendance } = require("./chunbaek-stats");
+
+const REGULAR_TYPES = ["TUE", "THU", "SAT"];
+const CLUB_LEADER_COUNT = 5;
+
+function isValidYear(v) {
+  return /^\d{4}$/.test(String(v == null ? "" : v)) && Number(v) >= 2020 && Number(v) <= 2100;
+}
+
+/** YYYY/MM/DD → 그날 KST 정오 (computeClubStreakFromDateSet todayOverride 용) */
+function dateKeyToKstNoon(dateKey) {
+  const [y, m, d] = dateKey.split("/").map(Number);
+  return new Date(Date.UTC(y, m - 1, d, 3, 0, 0));
+}
+
+/**
+ * 그 해 정모 출석 — 출석 수 · 최장 연속 · 러닝 로그
+ * @param {object[]} attendanceDocs - attendance data (한 회원)
+ * @param {string} year
+ * @param {object} [calendar] - buildMeetingCalendar 결과
+ */
+function summarizeYearAttendance(attendanceDocs, year, calendar) {
+  const prefix = `${year}/`;
+  const sessions = new Set();
+  const dates = new Set();
+  const docs = [];
+  (attendanceDocs || []).forEach((d) => {
+    if (!d || d.isGuest === true) return;
+    const dateKey = String(d.meetingDateKey || "");
+    if (!dateKey.startsWith(prefix)) return;
+    const type = String(d.meetingType || "").toUpperCase();
+    if (!REGULAR_TYPES.includes(type) && calendar && !isSessionHeld(calendar, dateKey, type)) return;
+    sessions.add(`${dateKey}_${type}`);
+    dates.add(dateKey);
+    docs.push(d);
+  });
+
+  // 출석한 정모일마다 "그날까지 연속" 을 구해 최댓값 — 다른 해 출석은 넣지 않는다
+  let longestStreak = 0;
+  dates.forEach((dateKey) => {
+    if (!isRegularClubMeetingDateKey(dateKey, calendar)) return;
+    longestStreak = Math.max(longestStreak, computeClubStreakFromDateSet(dates, dateKeyToKstNoon(dateKey), calendar));
+  });
+
+  const runs = summarizeRunLogs(docs);
+  return { attended: sessions.size, longestStreak, runLogCount: runs.runLogCount, runLogKm: runs.distanceKm };
+}
+
+/**
+ * 그 해 대회 — PB 경신은 이전 해까지 포함한 같은 거리 최고 기록과 비교한다 (첫 완주는 경신 아님).
+ * @param {object[]} raceResults - race_results data (한 회원, 모든 해)
+ * @param {string} year
+ */
+function summarizeYearRaces(raceResults, year) {
+  const rows = (raceResults || [])
+    .filter((r) => r && (r.status || "confirmed") === "confirmed")
+    .map((r) => ({ ...r, distance: normalizeRaceDistance(r.distance), sec: splitTimeToSeconds(r.netTime) }))
+    .filter((r) => r.sec)
+    .sort((a, b) => String(a.eventDate || "").localeCompare(String(b.eventDate || "")));
+
+  const best = {};
+  const out = { finished: 0, totalKm: 0, byDistance: {}, pbsImproved: 0, firstFinishes: 0, biggestImprovement: null, bests: [] };
+  const yearBest = {};
+  rows.forEach((r) => {
+    const prev = best[r.distance];
+    const inYear = String(r.eventDate || "").startsWith(`${year}-`);
+    if (inYear) {
+      out.finished++;
+      out.totalKm += RACE_DISTANCE_KM[r.distance] || 0;
+      out.byDistance[r.distance] = (out.byDistance[r.distance] || 0) + 1;
+      if (prev == null) out.firstFinishes++;
+      else if (r.sec < prev.sec) {
+        out.pbsImproved++;
+        const improvedSec = prev.sec - r.sec;
+        const improvedPct = Math.round((improvedSec / prev.sec) * 1000) / 10;
+        if (!out.biggestImprovement || improvedPct > out.biggestImprovement.improvedPct) {
+          out.biggestImprovement = {
+            distance: r.distance,
+            fromTime: prev.netTime,
+            toTime: r.netTime,
+            improvedSec,
+            improvedPct,
+            eventName: r.eventName || "",
+            eventDate: r.eventDate || "",
+          };
+        }
+      }
+      if (!yearBest[r.distance] || r.sec < yearBest[r.distance].sec) yearBest[r.distance] = r;
+    }
+    if (prev == null || r.sec < prev.sec) best[r.distance] = r;
+  });
+  out.totalKm = Math.round(out.totalKm * 10) / 10;
+  out.bests = Object.values(yearBest)
+    .sort((a, b) => (RACE_DISTANCE_KM[b.distance] || 0) - (RACE_DISTANCE_KM[a.distance] || 0))
+    .map((r) => ({ distance: r.distance, netTime: r.netTime, eventName: r.eventName || "", eventDate: r.eventDate || "" }));
+  return out;
+}
+
+/**
+ * 그 해 춘백 출석일 — 시즌 슬롯 날짜가 그 해인 것만 (시즌이 없던 해면 null)
+ * @param {{ slots: object[], attendanceMap: object, config?: object } | null} chunbaek
+ * @param {string} year
+ */
+function summarizeYearChunbaek(chunbaek, year) {
+  if (!chunbaek || !Array.isArray(chunbaek.slots)) return null;
+  const slots = seasonSlotsOnly(chunbaek.slots).filter((s) =>
+    resolveSlotDate(s, chunbaek.config || {}, chunbaek.slots).startsWith(`${year}-`)
+  );
+  if (!slots.length) return null;
+  const attended = slots.filter((s) => {
+    const att = getAttendance(chunbaek.attendanceMap || {}, s);
+    return !!(att && att.attended);
+  }).length;
+  return { attended, days: slots.length };
+}
+
+/**
+ * @param {{ year: string|number, member: { id: string, nickname?: string, team?: string },
+ *   attendanceDocs?: object[], raceResults?: object[], chunbaek?: object|null, calendar?: object }} input
+ */
+function buildMemberYearSummary(input) {
+  const year = String(input.year);
+  const member = input.member || {};
+  const meetings = summarizeYearAttendance(input.attendanceDocs, year, input.calendar);
+  const races = summarizeYearRaces(input.raceResults, year);
+  const chunbaek = summarizeYearChunbaek(input.chunbaek, year);
+  return {
+    year,
+    memberId: member.id || "",
+    nickname: member.nickname || "",
+    team: member.team || "",
+    meetings,
+    races,
+    chunbaek,
+    active: meetings.attended > 0 || races.finished > 0 || !!(chunbaek && chunbaek.attended),
+  };
+}
+
+/**
+ * 클럽 전체 — 회원 요약 합계와 부문별 상위 회원 (연말 행사용)
+ * @param {ReturnType<typeof buildMemberYearSummary>[]} summaries
+ * @param {{ leaders?: number }} [opts]
+ */
+function buildClubYearSummary(summaries, opts = {}) {
+  const n = opts.leaders || CLUB_LEADER_COUNT;
+  const active = (summaries || []).filter((s) => s.active);
+  const sum = (fn) => Math.round(active.reduce((acc, s) => acc + (fn(s) || 0), 0) * 10) / 10;
+  const leaders = (fn, detail) =>
+    active
+      .map((s) => ({ memberId: s.memberId, nickname: s.nickname, team: s.team, value: fn(s) || 0, ...(detail ? detail(s) : {}) }))
+      .filter((x) => x.value > 0)
+      .sort((a, b) => b.value - a.value || a.nickname.localeCompare(b.nickname, "ko"))
+      .slice(0, n);
+  return {
+    year: active.length ? active[0].year : "",
+    activeMembers: active.length,
+    totals: {
+      meetings: sum((s) => s.meetings.attended),
+      runLogKm: sum((s) => s.meetings.runLogKm),
+      races: sum((s) => s.races.finished),
+      raceKm: sum((s) => s.races.totalKm),
+      pbsImproved: sum((s) => s.races.pbsImproved),
+      firstFinishes: sum((s) => s.races.firstFinishes),
+      chunbaekAttended: sum((s) => s.chunbaek && s.chunbaek.attended),
+    },
+    leaders: {
+      meetings: leaders((s) => s.meetings.attended),
+      longestStreak: leaders((s) => s.meetings.longestStreak),
+      races: leaders((s) => s.races.finished),
+      raceKm: leaders((s) => s.races.totalKm),
+      pbsImproved: leaders((s) => s.races.pbsImproved),
+      biggestImprovement: leaders(
+        (s) => s.races.biggestImprovement && s.races.biggestImprovement.improvedPct,
+        (s) => ({ improvement: s.races.biggestImprovement })
+      ),
+    },
+  };
+}
+
+module.exports = {
+  isValidYear,
+  summarizeYearAttendance,
+  summarizeYearRaces,
+  summarizeYearChunbaek,
+  buildMemberYearSummary,
+  buildClubYearSummary,
+};
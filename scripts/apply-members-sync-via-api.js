@@ -9,12 +9,15 @@
  *   node scripts/apply-members-sync-via-api.js --plan=scripts/data/sync-plan-2026-06-30.json
  *   node scripts/apply-members-sync-via-api.js --plan=... --local   # Functions 에뮬
  *
+ * 인증: add/update/hide-member 는 운영진 세션 필요 — --user=<아이디> + DMC_ADMIN_PASSWORD (또는 --token)
+ *
  * 정책: _docs/superpowers/policies/member-leave-anonymization-policy.md
  */
 
 const fs = require("fs");
 const path = require("path");
 const { anonymizedLabels } = require(path.join(__dirname, "../functions/lib/member-leave"));
+const { resolveAdminToken, adminAuthHeaders } = require(path.join(__dirname, "lib/admin-login"));
 
 const PROD_API =
   "https://race-nszximpvtq-du.a.run.app";
@@ -44,6 +47,8 @@ function printUsageAndExit() {
   --local              Functions 에뮬 URL (${LOCAL_API})
   --api=<url>          API 베이스 URL 직접 지정
   --continue-on-error  한 건 실패해도 다음 작업 계속
+  --user=<아이디>       운영진 계정 (비밀번호는 DMC_ADMIN_PASSWORD)
+  --token=<a1.…>       이미 발급된 운영진 세션 토큰 (DMC_ADMIN_TOKEN)
 
 plan 생성:
   node scripts/plan-members-sync.js --baseline=<MCP snapshot> --plan-out=scripts/data/sync-plan-2026-06-30.json`);
@@ -106,11 +111,11 @@ function operationsToApiSteps(operations) {
   });
 }
 
-async function callApi(step) {
+async function callApi(step, token) {
   const url = `${apiBase}?action=${step.action}`;
   const res = await fetch(url, {
     method: "POST",
-    headers: { "Content-Type": "application/json" },
+    headers: adminAuthHeaders(token),
     body: JSON.stringify(step.body),
   });
   let data;
@@ -178,6 +183,12 @@ async function main() {
     return;
   }
 
+  const token = await resolveAdminToken({
+    loginUrl: `${apiBase}?action=verify-admin`,
+    token: getArg("token", ""),
+    username: getArg("user", ""),
+  });
+
   console.log("\n=== API 호출 ===\n");
   let ok = 0;
   let failed = 0;
@@ -185,7 +196,7 @@ async function main() {
   for (const step of steps) {
     process.stdout.write(`  [${step.action}] ${step.label} … `);
     try {
-      const data = await callApi(step);
+      const data = await callApi(step, token);
       ok++;
       const extra =
         step.action === "add-member"
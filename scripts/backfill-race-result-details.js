@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+/**
+ * race_results 상세 필드(genderRank · ageGroupRank · splits) 백필 — scrape_jobs.results 에서.
+ * confirm 이 이 필드들을 버리던 시기의 확정 기록 대상. 이미 값이 있는 필드는 건드리지 않는다.
+ * 같은 회원·같은 거리 행이 잡에 정확히 하나일 때만 채운다 (배번이 둘 다 있으면 배번까지 일치).
+ *
+ *   cd functions && node ../scripts/backfill-race-result-details.js
+ *   cd functions && node ../scripts/backfill-race-result-details.js --apply
+ *
+ * 플래그 없이 실행 = DRY-RUN(쓰기 없음). 쓰기는 반드시 --apply.
+ * 프로덕션은 백업·팀 승인 후 실행 (data-write-safety).
+ */
+
+const { initializeApp } = require("firebase-admin/app");
+const { getFirestore } = require("firebase-admin/firestore");
+const { raceDetailBackfillPatch } = require("../functions/lib/race-splits");
+const { normalizeRaceDistance } = require("../functions/lib/raceDistance");
+
+const APPLY = process.argv.slice(2).includes("--apply");
+const BATCH_SIZE = 400;
+
+initializeApp({ projectId: "dmc-attendance" });
+const db = getFirestore();
+
+function needsBackfill(r) {
+  return r.genderRank == null || r.ageGroupRank == null || !(Array.isArray(r.splits) && r.splits.length);
+}
+
+async function main() {
+  const snap = await db.collection("race_results").where("status", "==", "confirmed").get();
+  const byJob = {};
+  snap.forEach((doc) => {
+    const r = doc.data();
+    if (!r.jobId || r.source === "manual" || !needsBackfill(r)) return;
+    (byJob[r.jobId] = byJob[r.jobId] || []).push(doc);
+  });
+  const jobIds = Object.keys(byJob);
+  console.log(`🔍 확정 기록 ${snap.size}건 중 보완 후보 잡 ${jobIds.length}개${APPLY ? "" : " (DRY-RUN)"}\n`);
+
+  const updates = [];
+  for (const jobId of jobIds) {
+    const jobDoc = await db.collection("scrape_jobs").doc(jobId).get();
+    const jobResults = jobDoc.exists ? jobDoc.data().results || [] : [];
+    if (!jobResults.length) continue;
+    byJob[jobId].forEach((doc) => {
+      const patch = raceDetailBackfillPatch(doc.data(), jobResults, normalizeRaceDistance);
+      if (patch) updates.push({ ref: doc.ref, id: doc.id, patch });
+    });
+  }
+
+  updates.forEach((u) => console.log(`  ${u.id}: ${Object.keys(u.patch).join(", ")}`));
+  console.log(`\n보완 대상 ${updates.length}건`);
+  if (!APPLY) {
+    console.log("DRY-RUN — 쓰기 없음. 반영하려면 --apply");
+    process.exit(0);
+  }
+
+  for (let i = 0; i < updates.length; i += BATCH_SIZE) {
+    const batch = db.batch();
+    updates.slice(i, i + BATCH_SIZE).forEach((u) => batch.update(u.ref, u.patch));
+    await batch.commit();
+  }
+  console.log(`✅ ${updates.length}건 반영`);
+  process.exit(0);
+}
+
+main().catch((e) => {
+  console.error("❌ 오류:", e);
+  process.exit(1);
+});
@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+/**
+ * 동명이인 딤아웃 벤치마크 — 정답셋(GT)에 functions/lib/homonym-score.js 점수를 적용해
+ * 본인 기록이 딤아웃되는 비율(FNR)과 타인 후보 감소율을 출력한다. Firestore 접근 없음.
+ *
+ *   node scripts/benchmark-homonym-dimout.js --gt data/gt-dataset.json
+ *   node scripts/benchmark-homonym-dimout.js --gt data/gt-dataset.json --threshold 30 --out data/dimout-benchmark.json
+ *   node scripts/benchmark-homonym-dimout.js --gt data/gt-dataset.json --sweep
+ *
+ * GT JSON: { cases: [{
+ *   member: { realName, gender, birthYear? },
+ *   history: [{ source, sourceId, distance, netTime }],   // 회원 확정 기록 (평가 대회 것은 자동 제외)
+ *   source, sourceId, eventDate, memberRegistered?, clubParticipants?,
+ *   candidates: [{ distance, netTime, gender?, ageGroup?, bib?, isTrue }]
+ * }] }
+ * GT 에는 실명·기록이 들어 있으므로 data/ (gitignore) 밖에 두지 말 것.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { benchmarkHomonymDimout, DIMOUT_SCORE } = require("../functions/lib/homonym-score");
+const { normalizeRaceDistance } = require("../functions/lib/raceDistance");
+
+const args = process.argv.slice(2);
+function argValue(name) {
+  const i = args.indexOf(name);
+  return i >= 0 && args[i + 1] && !args[i + 1].startsWith("--") ? args[i + 1] : null;
+}
+
+const gtPath = path.resolve(argValue("--gt") || "data/gt-dataset.json");
+if (!fs.existsSync(gtPath)) {
+  console.error(`GT 파일 없음: ${gtPath}\n사용법: node scripts/benchmark-homonym-dimout.js --gt <json> [--threshold N] [--sweep] [--out <json>]`);
+  process.exit(1);
+}
+const gt = JSON.parse(fs.readFileSync(gtPath, "utf8"));
+const cases = Array.isArray(gt) ? gt : gt.cases || [];
+const threshold = argValue("--threshold") != null ? Number(argValue("--threshold")) : DIMOUT_SCORE;
+
+function summary(r) {
+  return `임계 ${r.threshold} · FNR ${r.falseNegativeRate}% (${r.falseNegatives}/${r.truePositives}) · 타인 후보 ${r.reductionRate}% 딤아웃 (${r.othersDimmed}/${r.others})`;
+}
+
+const result = benchmarkHomonymDimout(cases, { threshold, normDist: normalizeRaceDistance });
+console.log(`📊 GT ${result.cases}명·케이스, 후보 ${result.candidates}건`);
+console.log(summary(result));
+if (result.misses.length) {
+  console.log("\n딤아웃된 본인 기록:");
+  result.misses.forEach((m) => console.log(`  ${m.realName} ${m.source}_${m.sourceId} ${m.distance} ${m.netTime} (점수 ${m.score})`));
+}
+
+if (args.includes("--sweep")) {
+  console.log("\n임계값별:");
+  for (let t = 15; t <= 55; t += 5) {
+    console.log(`  ${summary(benchmarkHomonymDimout(cases, { threshold: t, normDist: normalizeRaceDistance }))}`);
+  }
+}
+
+const out = argValue("--out");
+if (out) {
+  fs.writeFileSync(path.resolve(out), JSON.stringify({ gt: path.basename(gtPath), runAt: new Date().toISOString(), ...result }, null, 2) + "\n");
+  console.log(`\n저장: ${out}`);
+}
@@ -18,6 +18,7 @@ const { getFirestore, FieldValue } = require("firebase-admin/firestore");
 const fs = require("fs");
 const path = require("path");
 const { normalizeRaceDistance } = require("../functions/lib/raceDistance");
+const { buildMemberKeyIndex, withRaceResultMemberKey } = require("../functions/lib/race-result-key");
 
 const DRY_RUN = process.argv.includes("--dry-run");
 
@@ -149,11 +150,14 @@ function toSec(t) {
     process.exit(0);
   }
 
-  // 4. race_results에 confirm 저장
+  // 4. race_results에 confirm 저장 — Doc ID 는 memberId 기준 (race-result-key.js)
+  const membersSnap = await db.collection("members").get();
+  const memberIndex = buildMemberKeyIndex(membersSnap.docs.map((d) => ({ id: d.id, data: d.data() })));
   const now = new Date().toISOString();
   let batch = db.batch();
   let batchCount = 0;
   let savedCount = 0;
+  const unresolved = [];
 
   const commitBatch = async () => {
     if (batchCount > 0) {
@@ -167,15 +171,9 @@ function toSec(t) {
   for (const { ex, hit } of matchedOk) {
     const { source, sourceId, eventName, eventDate, rec } = hit;
     const canonicalJobId = `${source}_${sourceId}`;
-
-    const safeName = (ex.memberRealName || "").replace(/[^a-zA-Z0-9가-힣]/g, "_");
     const distNorm = normalizeRaceDistance(ex.distance);
-    const safeDist = (distNorm || "").replace(/[^a-zA-Z0-9]/g, "_");
-    const safeDate = (ex.eventDate || "").replace(/[^0-9\-]/g, "");
-    const docId = `${safeName}_${safeDist}_${safeDate}`;
 
-    const ref = db.collection("race_results").doc(docId);
-    batch.set(ref, {
+    const { row, docId, resolution } = withRaceResultMemberKey({
       jobId: canonicalJobId,
       eventName: eventName || "",
       eventDate: eventDate || ex.eventDate,
@@ -195,13 +193,23 @@ function toSec(t) {
       status: "confirmed",
       confirmedAt: now,
       confirmSource: "excel_verified",
-    });
+    }, memberIndex);
+    // 동명이인·회원 없음은 guest_ 키로 넣지 않는다
+    if (resolution.status !== "member") {
+      unresolved.push(`${ex.memberRealName} (${resolution.status}) | ${ex.eventDate} | ${ex.distance}`);
+      continue;
+    }
+    batch.set(db.collection("race_results").doc(docId), row);
     batchCount++;
     savedCount++;
     if (batchCount >= 499) await commitBatch();
   }
   await commitBatch();
   console.log(`\n\n✅ race_results에 ${savedCount}건 저장 완료 (confirmSource: "excel_verified")`);
+  if (unresolved.length) {
+    console.log(`⚠️ 회원을 특정하지 못해 스킵: ${unresolved.length}건`);
+    unresolved.forEach((u) => console.log(`  ${u}`));
+  }
 
   // 5. confirmedCount 재계산
   console.log("\n📊 confirmedCount 재계산 중...");
@@ -212,7 +220,6 @@ function toSec(t) {
     if (name) countByMember[name] = (countByMember[name] || 0) + 1;
   });
 
-  const membersSnap = await db.collection("members").get();
   let mbatch = db.batch();
   let mcount = 0;
   membersSnap.forEach((doc) => {
@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+/**
+ * 운영진 계정 생성·비밀번호 재설정 (admin_accounts). 첫 오너 계정 부트스트랩용 —
+ * 이후 계정 관리는 ops.html "운영진 계정" (race admin-account-save) 에서 한다.
+ *
+ * 비밀번호는 인자로 받지 않고 DMC_ADMIN_PASSWORD 환경 변수로 받는다 (셸 히스토리 방지).
+ * 기본: DRY-RUN (출력만). 쓰기는 --apply.
+ *
+ *   DMC_ADMIN_PASSWORD=… node scripts/create-admin-account.js --user=jiwon --name=지원 --role=owner
+ *   DMC_ADMIN_PASSWORD=… node scripts/create-admin-account.js --user=jiwon --name=지원 --role=owner --apply
+ *   DMC_ADMIN_PASSWORD=… node scripts/create-admin-account.js --user=t1.lead --role=team_leader --team=T1 --apply
+ */
+
+const { initializeApp } = require("firebase-admin/app");
+const { getFirestore } = require("firebase-admin/firestore");
+const {
+  ADMIN_ACCOUNTS_COLLECTION,
+  hashAdminPassword,
+  normalizeAdminAccountInput,
+  revokeAdminSessions,
+} = require("../functions/lib/admin-auth");
+
+const APPLY = process.argv.includes("--apply");
+
+function getArg(name, fallback) {
+  const hit = process.argv.find((a) => a.startsWith(`--${name}=`));
+  return hit ? hit.split("=").slice(1).join("=") : fallback;
+}
+
+initializeApp({ projectId: "dmc-attendance" });
+const db = getFirestore();
+
+(async () => {
+  const ref = db.collection(ADMIN_ACCOUNTS_COLLECTION).doc(String(getArg("user", "")).trim().toLowerCase() || "_");
+  const existing = await ref.get();
+  const parsed = normalizeAdminAccountInput(
+    {
+      username: getArg("user", ""),
+      displayName: getArg("name", ""),
+      role: getArg("role", "operator"),
+      team: getArg("team", ""),
+      password: process.env.DMC_ADMIN_PASSWORD || "",
+    },
+    { isNew: true }
+  );
+  if (!parsed.ok) {
+    console.error(`❌ ${parsed.error}`);
+    process.exit(1);
+  }
+  const { account, password } = parsed;
+  console.log(`모드: ${APPLY ? "APPLY (쓰기)" : "DRY-RUN"}`);
+  console.log(
+    `${existing.exists ? "🔁 비밀번호·역할 재설정" : "➕ 새 계정"}: ${account.username} (${account.displayName}) — ${account.role}${account.team ? ` · ${account.team}` : ""}`
+  );
+  if (!APPLY) return;
+
+  const nowIso = new Date().toISOString();
+  const payload = {
+    displayName: account.displayName,
+    role: account.role,
+    team: account.team,
+    disabled: false,
+    passwordHash: hashAdminPassword(password),
+    updatedAt: nowIso,
+    updatedBy: "create-admin-account",
+  };
+  if (!existing.exists) payload.createdAt = nowIso;
+  await ref.set(payload, { merge: true });
+  const revoked = existing.exists
+    ? await revokeAdminSessions(db, { username: account.username, revokedBy: "create-admin-account", nowIso })
+    : 0;
+  console.log(`완료${revoked ? ` — 기존 세션 ${revoked}개 종료` : ""}`);
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
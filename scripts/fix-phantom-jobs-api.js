@@ -19,7 +19,8 @@ const jobsToDowngrade = [
 ];
 
 const API_BASE = "https://race-nszximpvtq-du.a.run.app";
-const SECRET = "dmc-admin-2026"; // Functions의 ADMIN_SECRET와 동일해야 함
+// 오너 세션 토큰 (race verify-admin 로그인 응답 token) — Authorization: Bearer 로 보낸다
+const ADMIN_TOKEN = process.env.DMC_ADMIN_TOKEN || "";
 
 function apiGet(action, params = {}) {
   return new Promise((resolve, reject) => {
@@ -57,6 +58,7 @@ function apiPost(action, data) {
       headers: {
         "Content-Type": "application/json",
         "Content-Length": Buffer.byteLength(postData),
+        Authorization: `Bearer ${ADMIN_TOKEN}`,
       },
     };
 
@@ -110,16 +112,19 @@ async function fixPhantomJobs() {
   if (!process.argv.includes("--execute")) {
     console.log("\n[2/3] Dry-run 모드 (실행하지 않음)");
     console.log("\n실제로 실행하려면:");
-    console.log("node scripts/fix-phantom-jobs-api.js --execute");
+    console.log("DMC_ADMIN_TOKEN=<오너 세션 토큰> node scripts/fix-phantom-jobs-api.js --execute");
     process.exit(0);
   }
 
   // 2. Batch 업데이트 실행
   console.log("\n[2/3] Batch 업데이트 실행 중...");
   try {
+    if (!ADMIN_TOKEN) {
+      console.error("✗ DMC_ADMIN_TOKEN(오너 세션 토큰) 필요");
+      process.exit(1);
+    }
     const response = await apiPost("fix-phantom-jobs", {
       jobIds: jobsToDowngrade,
-      secret: SECRET,
     });
 
     if (!response.ok) {
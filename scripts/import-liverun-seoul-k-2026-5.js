@@ -12,6 +12,7 @@ const path = require("path");
 const { initializeApp } = require("firebase-admin/app");
 const { getFirestore, FieldValue } = require("firebase-admin/firestore");
 const { normalizeRaceDistance } = require("../functions/lib/raceDistance");
+const { buildMemberKeyIndex, withRaceResultMemberKey } = require("../functions/lib/race-result-key");
 
 const DRY_RUN = process.argv.includes("--dry-run");
 
@@ -35,14 +36,6 @@ const ROWS = [
   { realName: "진형권", distance: "half", netTime: "01:30:47", bib: "32121", gender: "M" },
 ];
 
-function docIdFor(r) {
-  const safeDate = EVENT_DATE.replace(/[^0-9\-]/g, "");
-  const safeName = (r.realName || "").replace(/[^a-zA-Z0-9가-힣]/g, "_");
-  const distNorm = normalizeRaceDistance(r.distance);
-  const safeDist = (distNorm || "").replace(/[^a-zA-Z0-9]/g, "_");
-  return `${safeName}_${safeDist}_${safeDate}`;
-}
-
 (async () => {
   const nickByName = {};
   const memSnap = await db.collection("members").get();
@@ -50,6 +43,7 @@ function docIdFor(r) {
     const data = d.data();
     if (data.realName) nickByName[data.realName] = { nickname: data.nickname || "", gender: data.gender || "" };
   });
+  const memberIndex = buildMemberKeyIndex(memSnap.docs.map((d) => ({ id: d.id, data: d.data() })));
 
   const now = new Date().toISOString();
   const payloads = ROWS.map((r) => {
@@ -57,33 +51,40 @@ function docIdFor(r) {
     const meta = nickByName[r.realName] || { nickname: "", gender: "" };
     const gender = meta.gender || r.gender || "";
     // note는 races/my에서 배지로 노출됨 — bib 필드로 충분하므로 비움
-    return {
-      docId: docIdFor(r),
-      data: {
-        jobId: "manual",
-        eventName: EVENT_NAME,
-        eventDate: EVENT_DATE,
-        source: "manual",
-        sourceId: "",
-        memberRealName: r.realName,
-        memberNickname: meta.nickname,
-        distance: distNorm,
-        netTime: r.netTime,
-        gunTime: "",
-        finishTime: r.netTime,
-        bib: r.bib,
-        overallRank: null,
-        gender,
-        pbConfirmed: false,
-        isGuest: false,
-        note: "",
-        status: "confirmed",
-        confirmedAt: now,
-        confirmSource: "liverun_manual",
-      },
-    };
+    // Doc ID 는 memberId 기준 (race-result-key.js)
+    const { row, docId, resolution } = withRaceResultMemberKey({
+      jobId: "manual",
+      eventName: EVENT_NAME,
+      eventDate: EVENT_DATE,
+      source: "manual",
+      sourceId: "",
+      memberRealName: r.realName,
+      memberNickname: meta.nickname,
+      distance: distNorm,
+      netTime: r.netTime,
+      gunTime: "",
+      finishTime: r.netTime,
+      bib: r.bib,
+      overallRank: null,
+      gender,
+      pbConfirmed: false,
+      isGuest: false,
+      note: "",
+      status: "confirmed",
+      confirmedAt: now,
+      confirmSource: "liverun_manual",
+    }, memberIndex);
+    return { docId, data: row, resolution };
   });
 
+  const unresolved = payloads.filter((p) => p.resolution.status !== "member");
+  if (unresolved.length) {
+    // 동명이인·회원 없음을 guest_ 키로 넣지 않는다
+    unresolved.forEach((p) => console.error(`  ${p.data.memberRealName}: ${p.resolution.status}`));
+    console.error("회원을 특정하지 못한 행이 있습니다. 종료.");
+    process.exit(1);
+  }
+
   console.log(DRY_RUN ? "[dry-run] 저장 예정:\n" : "저장:\n");
   for (const { docId, data } of payloads) {
     console.log(`  ${docId} | ${data.memberRealName} ${data.distance} ${data.netTime} bib=${data.bib}`);
@@ -0,0 +1,40 @@
+/**
+ * 운영 스크립트용 운영진 로그인 — verify-admin 으로 세션 토큰 발급 (functions/lib/admin-auth.js)
+ *
+ * 우선순위: --token=<a1.…> / DMC_ADMIN_TOKEN → --user=<아이디> + DMC_ADMIN_PASSWORD 로그인
+ */
+
+/**
+ * @param {{ loginUrl: string, token?: string, username?: string, password?: string }} p
+ * @returns {Promise<string>} Bearer 토큰
+ */
+async function resolveAdminToken(p) {
+  const token = String(p.token || process.env.DMC_ADMIN_TOKEN || "").trim();
+  if (token) return token;
+  const username = String(p.username || process.env.DMC_ADMIN_USER || "").trim();
+  const password = p.password || process.env.DMC_ADMIN_PASSWORD || "";
+  if (!username || !password) {
+    throw new Error("운영진 계정 필요: --user=<아이디> + DMC_ADMIN_PASSWORD (또는 --token / DMC_ADMIN_TOKEN)");
+  }
+  const res = await fetch(p.loginUrl, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ username, pw: password }),
+  });
+  let data;
+  try {
+    data = await res.json();
+  } catch {
+    throw new Error(`로그인 HTTP ${res.status}: JSON 파싱 실패`);
+  }
+  if (!data.ok || !data.token) {
+    throw new Error(`로그인 실패: ${data.error || `HTTP ${res.status}`}`);
+  }
+  return data.token;
+}
+
+function adminAuthHeaders(token) {
+  return { "Content-Type": "application/json", Authorization: `Bearer ${token}` };
+}
+
+module.exports = { resolveAdminToken, adminAuthHeaders };
@@ -16,6 +16,7 @@ const { initializeApp } = require("firebase-admin/app");
 const { getFirestore, FieldValue } = require("firebase-admin/firestore");
 const fs = require("fs");
 const path = require("path");
+const { buildMemberKeyIndex, withRaceResultMemberKey } = require("../functions/lib/race-result-key");
 
 const DRY_RUN = process.argv.includes("--dry-run");
 
@@ -81,20 +82,17 @@ const SKIP_NAMES = new Set();
     process.exit(0);
   }
 
-  // 3. race_results에 저장
+  // 3. race_results에 저장 — Doc ID 는 memberId 기준 (race-result-key.js)
+  const membersSnap = await db.collection("members").get();
+  const memberIndex = buildMemberKeyIndex(membersSnap.docs.map((d) => ({ id: d.id, data: d.data() })));
   const now = new Date().toISOString();
   let batch = db.batch();
   let batchCount = 0;
   let savedCount = 0;
+  const unresolved = [];
 
   for (const ex of toInsert) {
-    const safeName = (ex.memberRealName || "").replace(/[^a-zA-Z0-9가-힣]/g, "_");
-    const safeDist = (ex.distance || "").replace(/[^a-zA-Z0-9]/g, "_");
-    const safeDate = (ex.eventDate || "").replace(/[^0-9\-]/g, "");
-    const docId = `${safeName}_${safeDist}_${safeDate}`;
-
-    const ref = db.collection("race_results").doc(docId);
-    batch.set(ref, {
+    const { row, docId, resolution } = withRaceResultMemberKey({
       jobId: "manual",
       eventName: ex.eventName || "",
       eventDate: ex.eventDate,
@@ -115,7 +113,13 @@ const SKIP_NAMES = new Set();
       status: "confirmed",
       confirmedAt: now,
       confirmSource: "excel_import",
-    });
+    }, memberIndex);
+    // 동명이인·회원 없음은 guest_ 키로 넣지 않는다
+    if (resolution.status !== "member") {
+      unresolved.push(`${ex.memberRealName} (${resolution.status}) | ${ex.eventDate} | ${ex.distance}`);
+      continue;
+    }
+    batch.set(db.collection("race_results").doc(docId), row);
     batchCount++;
     savedCount++;
     if (batchCount >= 499) {
@@ -126,6 +130,10 @@ const SKIP_NAMES = new Set();
   }
   if (batchCount > 0) await batch.commit();
   console.log(`✅ race_results에 ${savedCount}건 저장 완료 (source: "manual", confirmSource: "excel_import")`);
+  if (unresolved.length) {
+    console.log(`⚠️ 회원을 특정하지 못해 스킵: ${unresolved.length}건`);
+    unresolved.forEach((u) => console.log(`  ${u}`));
+  }
 
   // 4. confirmedCount 재계산
   console.log("\n📊 confirmedCount 재계산 중...");
@@ -136,7 +144,6 @@ const SKIP_NAMES = new Set();
     if (name) countByMember[name] = (countByMember[name] || 0) + 1;
   });
 
-  const membersSnap = await db.collection("members").get();
   let mbatch = db.batch();
   let mcount = 0;
   membersSnap.forEach((doc) => {
@@ -2,7 +2,7 @@
 /**
  * confirmed race_results 중복 병합 (배포 불필요 — 스크립트 내 거리 클리닝 맵만 사용).
  *
- * 그룹: canonicalEventId+실명 (canonical 있을 때) 또는 source+sourceId+실명
+ * 그룹: canonicalEventId+회원 키 (canonical 있을 때) 또는 source+sourceId+회원 키 (memberId, 게스트는 guest_실명)
  * 조건: 동일 그룹 내 netTime 초 차이 ≤ --max-sec-diff (기본 15)
  * 잘못된 5K(2시간 초과) 행은 keeper 후보에서 감점, 거리 합의 시 full/ultra 등으로 통일
  *
@@ -14,6 +14,7 @@ const { initializeApp } = require("firebase-admin/app");
 const { getFirestore } = require("firebase-admin/firestore");
 const { normalizeRaceDistance } = require("../functions/lib/raceDistance");
 const { timeToSeconds } = require("../functions/lib/scraper");
+const { raceResultMemberKey, raceResultDocId } = require("../functions/lib/race-result-key");
 
 const APPLY = process.argv.includes("--apply");
 const maxSecArg = process.argv.find((a) => a.startsWith("--max-sec-diff="));
@@ -66,13 +67,6 @@ function cleanDistance(raw) {
   return normalizeRaceDistance(t);
 }
 
-function buildDocId(memberRealName, distanceNorm, eventDate) {
-  const safeName = String(memberRealName || "").replace(/[^a-zA-Z0-9가-힣]/g, "_");
-  const safeDist = String(distanceNorm || "").replace(/[^a-zA-Z0-9]/g, "_");
-  const safeDate = String(eventDate || "").replace(/[^0-9\-]/g, "");
-  return `${safeName}_${safeDist}_${safeDate}`;
-}
-
 function isBadShortDistance(distNorm, sec) {
   if (sec == null || sec === Infinity) return false;
   if (distNorm === "5K" && sec >= 7200) return true;
@@ -150,13 +144,13 @@ function consensusDistance(rows, secs) {
 
   snap.forEach((doc) => {
     const d = doc.data();
-    const name = d.memberRealName || "";
-    if (!name) return;
+    if (!d.memberId && !d.memberRealName) return;
+    const memberKey = raceResultMemberKey(d);
     if (d.canonicalEventId) {
-      addG(`ce\t${d.canonicalEventId}\t${name}`, doc);
+      addG(`ce\t${d.canonicalEventId}\t${memberKey}`, doc);
     }
     if (d.source && d.sourceId) {
-      addG(`src\t${d.source}\t${d.sourceId}\t${name}`, doc);
+      addG(`src\t${d.source}\t${d.sourceId}\t${memberKey}`, doc);
     }
   });
 
@@ -205,7 +199,7 @@ function consensusDistance(rows, secs) {
     }
     merged.distance = targetDist;
 
-    const newId = buildDocId(merged.memberRealName, targetDist, merged.eventDate);
+    const newId = raceResultDocId({ ...merged, distance: targetDist });
     const oldIds = list.map((d) => d.id);
     const deleteIds = oldIds.filter((id) => id !== newId);
 
@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+/**
+ * 기존 attendance 문서 ID를 결정적 ID(attendanceDocId)로 재키잉.
+ *   m_{memberId}_{YYYYMMDD}_{TYPE} / n_{sha256(nicknameKey)}_{YYYYMMDD}_{TYPE}
+ * 게스트·test_ 닉네임 문서는 랜덤 ID 그대로 둔다.
+ *
+ * 같은 새 ID로 모이는 문서가 2건 이상(=기존 중복 출석)이면 충돌로 보고만 하고 건드리지 않는다.
+ * 새 ID 문서가 이미 있는 경우(배포 후 새 체크인)도 충돌로 보고.
+ * attendance_checkin_keys.attendanceId 는 새 ID로 함께 갱신.
+ *
+ * 기본: DRY-RUN (출력만). 쓰기는 --apply + 팀 승인 후 (data-write-safety).
+ *
+ *   node scripts/migrate-attendance-docid.js
+ *   node scripts/migrate-attendance-docid.js --apply
+ */
+
+const { initializeApp } = require("firebase-admin/app");
+const { getFirestore } = require("firebase-admin/firestore");
+const {
+  CHECKIN_KEY_COLLECTION,
+  attendanceDocId,
+} = require("../functions/lib/attendance-checkin");
+
+const APPLY = process.argv.includes("--apply");
+const COLLECTION = "attendance";
+
+initializeApp({ projectId: "dmc-attendance" });
+const db = getFirestore();
+
+function describe(doc) {
+  const d = doc.data();
+  return `${doc.id} (${d.nickname || "?"} · ${d.meetingDateKey || "?"} ${d.meetingType || "?"} · ts=${d.ts || "?"})`;
+}
+
+(async () => {
+  const snap = await db.collection(COLLECTION).get();
+  console.log(`모드: ${APPLY ? "APPLY (쓰기)" : "DRY-RUN"}`);
+  console.log(`총 ${snap.size}건 조회\n`);
+
+  /** @type {Map<string, import("firebase-admin/firestore").QueryDocumentSnapshot[]>} */
+  const groups = new Map();
+  const existingIds = new Set(snap.docs.map((doc) => doc.id));
+  let kept = 0;
+  let already = 0;
+
+  for (const doc of snap.docs) {
+    const d = doc.data();
+    const newId = attendanceDocId({
+      memberId: d.memberId,
+      nicknameKey: d.nicknameKey || String(d.nickname || "").toLowerCase(),
+      meetingDateKey: d.meetingDateKey,
+      meetingType: d.meetingType,
+      isGuest: d.isGuest === true,
+    });
+    if (!newId) {
+      kept++;
+      continue;
+    }
+    if (!groups.has(newId)) groups.set(newId, []);
+    groups.get(newId).push(doc);
+  }
+
+  let migrated = 0;
+  let collisions = 0;
+
+  for (const [newId, docs] of [...groups.entries()].sort((a, b) => a[0].localeCompare(b[0]))) {
+    if (docs.length === 1 && docs[0].id === newId) {
+      already++;
+      continue;
+    }
+    const targetTaken = existingIds.has(newId) && !docs.some((doc) => doc.id === newId);
+    if (docs.length > 1 || targetTaken) {
+      collisions++;
+      console.log(`⚠️  충돌: ${newId}`);
+      if (targetTaken) console.log(`   기존 새 ID 문서 존재: ${newId}`);
+      docs.forEach((doc) => console.log(`   - ${describe(doc)}`));
+      continue;
+    }
+
+    const doc = docs[0];
+    const keySnap = await db
+      .collection(CHECKIN_KEY_COLLECTION)
+      .where("attendanceId", "==", doc.id)
+      .get();
+    console.log(`✅ ${doc.id} → ${newId}${keySnap.empty ? "" : ` (checkin key ${keySnap.size}건)`}`);
+    migrated++;
+    if (!APPLY) continue;
+
+    // 새 문서 생성 + 기존 문서 삭제 + 키 문서 갱신을 한 batch 로
+    const batch = db.batch();
+    batch.create(db.collection(COLLECTION).doc(newId), doc.data());
+    batch.delete(doc.ref);
+    keySnap.docs.forEach((k) => batch.update(k.ref, { attendanceId: newId }));
+    await batch.commit();
+  }
+
+  console.log(
+    `\n완료: ${APPLY ? "재키잉" : "재키잉 예정"} ${migrated}건 / 이미완료 ${already}건 / 랜덤ID 유지(게스트·test) ${kept}건 / 충돌 ${collisions}건`
+  );
+  if (collisions > 0) {
+    console.log("충돌 문서는 수동 정리(중복 출석 삭제) 후 다시 실행하세요.");
+  }
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+/**
+ * race_results 문서 ID 마이그레이션 — {실명}_{거리}_{날짜} → {memberId}_{거리}_{날짜} (게스트는 guest_{실명}).
+ * 문서에 memberId 필드도 채운다. 규칙은 functions/lib/race-result-key.js 와 같다.
+ *
+ *   cd functions && node ../scripts/migrate-race-results-member-key.js
+ *   cd functions && node ../scripts/migrate-race-results-member-key.js --out ../data/race-key-migration.json
+ *   cd functions && node ../scripts/migrate-race-results-member-key.js --apply
+ *
+ * 플래그 없이 실행 = DRY-RUN(쓰기 없음). 쓰기는 반드시 --apply.
+ * 동명이인으로 회원을 못 가른 문서(unresolved)와 같은 새 ID 로 모이는 문서(collisions)는 옮기지 않고 보고만 한다 —
+ * report.html 전체 기록 탭에서 정리한 뒤 다시 실행.
+ * 프로덕션은 백업·팀 승인 후 실행 (data-write-safety).
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { initializeApp } = require("firebase-admin/app");
+const { getFirestore } = require("firebase-admin/firestore");
+const { buildMemberKeyIndex, planRaceResultKeyMigration } = require("../functions/lib/race-result-key");
+
+const args = process.argv.slice(2);
+const APPLY = args.includes("--apply");
+const BATCH_SIZE = 400;
+
+function argValue(name) {
+  const i = args.indexOf(name);
+  return i >= 0 && args[i + 1] && !args[i + 1].startsWith("--") ? args[i + 1] : null;
+}
+
+initializeApp({ projectId: "dmc-attendance" });
+const db = getFirestore();
+
+/** 문서 하나 옮기기 — 새 문서(memberId 포함) + revisions 복사 후 이전 문서·이력 삭제 (클럽 기록 제외·소식도 따라감) */
+async function moveDoc({ fromId, toId, memberId }) {
+  const fromRef = db.collection("race_results").doc(fromId);
+  const toRef = db.collection("race_results").doc(toId);
+  const [fromDoc, toDoc, revSnap] = await Promise.all([fromRef.get(), toRef.get(), fromRef.collection("revisions").get()]);
+  if (!fromDoc.exists) return "missing";
+  if (toDoc.exists) return "exists";
+  const revs = revSnap.docs;
+  for (let i = 0; i < revs.length; i += BATCH_SIZE) {
+    const batch = db.batch();
+    revs.slice(i, i + BATCH_SIZE).forEach((rev) => batch.set(toRef.collection("revisions").doc(rev.id), rev.data()));
+    await batch.commit();
+  }
+  const exclRef = db.collection("club_record_exclusions").doc(fromId);
+  const [excl, annSnap] = await Promise.all([
+    exclRef.get(),
+    db.collection("announcements").where("raceResultId", "==", fromId).get(),
+  ]);
+  const batch = db.batch();
+  batch.set(toRef, { ...fromDoc.data(), memberId });
+  batch.delete(fromRef);
+  // 클럽 기록 제외 표시·신기록 소식도 새 ID 로
+  if (excl.exists) {
+    batch.set(db.collection("club_record_exclusions").doc(toId), excl.data());
+    batch.delete(exclRef);
+  }
+  annSnap.forEach((a) => batch.update(a.ref, { raceResultId: toId }));
+  await batch.commit();
+  for (let i = 0; i < revs.length; i += BATCH_SIZE) {
+    const del = db.batch();
+    revs.slice(i, i + BATCH_SIZE).forEach((rev) => del.delete(rev.ref));
+    await del.commit();
+  }
+  return "moved";
+}
+
+async function main() {
+  const [memberSnap, resultSnap] = await Promise.all([db.collection("members").get(), db.collection("race_results").get()]);
+  const index = buildMemberKeyIndex(memberSnap.docs.map((d) => ({ id: d.id, data: d.data() })));
+  const plan = planRaceResultKeyMigration(
+    resultSnap.docs.map((d) => ({ id: d.id, data: d.data() })),
+    index
+  );
+
+  console.log(`🔍 race_results ${resultSnap.size}건 · 회원 ${memberSnap.size}명${APPLY ? "" : " (DRY-RUN)"}\n`);
+  console.log(`  이동 ${plan.moves.length}건 · memberId 만 채움 ${plan.patches.length}건 · 이미 완료 ${plan.unchanged}건`);
+  console.log(`  미해결 ${plan.unresolved.length}건 · 충돌 ${plan.collisions.length}건`);
+
+  if (plan.unresolved.length) {
+    console.log("\n미해결 (옮기지 않음):");
+    plan.unresolved.forEach((u) =>
+      console.log(`  ${u.id}: ${u.status}${u.candidates ? ` (후보 ${u.candidates.join(", ")})` : ""}`)
+    );
+  }
+  if (plan.collisions.length) {
+    console.log("\n충돌 (옮기지 않음):");
+    plan.collisions.forEach((c) => console.log(`  ${c.toId} ← ${c.fromIds.join(", ")}`));
+  }
+
+  const out = argValue("--out");
+  if (out) {
+    fs.writeFileSync(path.resolve(out), JSON.stringify({ runAt: new Date().toISOString(), apply: APPLY, ...plan }, null, 2) + "\n");
+    console.log(`\n보고서 저장: ${out}`);
+  }
+
+  if (!APPLY) {
+    plan.moves.slice(0, 20).forEach((m) => console.log(`  ${m.fromId} → ${m.toId}`));
+    if (plan.moves.length > 20) console.log(`  … 외 ${plan.moves.length - 20}건`);
+    console.log("\nDRY-RUN — 쓰기 없음. 반영하려면 --apply");
+    process.exit(0);
+  }
+
+  for (let i = 0; i < plan.patches.length; i += BATCH_SIZE) {
+    const batch = db.batch();
+    plan.patches
+      .slice(i, i + BATCH_SIZE)
+      .forEach((p) => batch.update(db.collection("race_results").doc(p.id), { memberId: p.memberId }));
+    await batch.commit();
+  }
+
+  const counts = { moved: 0, missing: 0, exists: 0 };
+  for (const m of plan.moves) {
+    const r = await moveDoc(m);
+    counts[r]++;
+    if (r !== "moved") console.log(`  건너뜀 ${m.fromId} → ${m.toId}: ${r}`);
+  }
+  console.log(`\n✅ memberId 채움 ${plan.patches.length}건 · 이동 ${counts.moved}건 (건너뜀 ${counts.missing + counts.exists}건)`);
+  process.exit(0);
+}
+
+main().catch((e) => {
+  console.error("❌ 오류:", e);
+  process.exit(1);
+});
@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+/**
+ * search_cache 키 마이그레이션 — {source}_{sourceId}_{realName} → {source}_{sourceId}_{realName}_v1 (파서 버전 키).
+ * 문서에 parserVersion·eventDate 도 채운다. 규칙은 functions/lib/search-cache.js 와 같다.
+ *
+ *   cd functions && node ../scripts/migrate-search-cache-keys.js
+ *   cd functions && node ../scripts/migrate-search-cache-keys.js --apply
+ *
+ * 플래그 없이 실행 = DRY-RUN(쓰기 없음). 쓰기는 반드시 --apply.
+ * 이미 v2 이상으로 올라간 소스의 예전 항목(outdated)은 옮기지 않는다 — ops.html 타이밍 소스 카드 "예전 버전 정리"로 삭제.
+ * 버전 키 문서가 이미 있으면(더 새 검색) 예전 문서만 지운다. cachedAt 은 그대로라 TTL 도 이어진다.
+ * 프로덕션은 백업·팀 승인 후 실행 (data-write-safety).
+ */
+
+const { initializeApp } = require("firebase-admin/app");
+const { getFirestore } = require("firebase-admin/firestore");
+const { timingSourceParserVersion } = require("../functions/lib/timing-sources");
+const { planSearchCacheKeyMigration } = require("../functions/lib/search-cache");
+
+const APPLY = process.argv.slice(2).includes("--apply");
+const BATCH_SIZE = 200; // 이동 한 건 = set + delete
+
+initializeApp({ projectId: "dmc-attendance" });
+const db = getFirestore();
+
+async function main() {
+  const snap = await db.collection("search_cache").get();
+  const plan = planSearchCacheKeyMigration(
+    snap.docs.map((d) => ({ id: d.id, data: d.data() })),
+    timingSourceParserVersion
+  );
+  const superseded = plan.moves.filter((m) => m.superseded).length;
+
+  console.log(`🔍 search_cache ${snap.size}건${APPLY ? "" : " (DRY-RUN)"}\n`);
+  console.log(`  이동 ${plan.moves.length - superseded}건 · 새 키가 이미 있어 삭제만 ${superseded}건`);
+  console.log(`  예전 파서 버전(옮기지 않음) ${plan.outdated.length}건 · 해당 없음 ${plan.unchanged}건`);
+
+  if (!APPLY) {
+    plan.moves.slice(0, 20).forEach((m) => console.log(`  ${m.fromId} → ${m.toId}${m.superseded ? " (삭제만)" : ""}`));
+    if (plan.moves.length > 20) console.log(`  … 외 ${plan.moves.length - 20}건`);
+    console.log("\nDRY-RUN — 쓰기 없음. 반영하려면 --apply");
+    process.exit(0);
+  }
+
+  for (let i = 0; i < plan.moves.length; i += BATCH_SIZE) {
+    const batch = db.batch();
+    plan.moves.slice(i, i + BATCH_SIZE).forEach((m) => {
+      if (!m.superseded) batch.set(db.collection("search_cache").doc(m.toId), m.data);
+      batch.delete(db.collection("search_cache").doc(m.fromId));
+    });
+    await batch.commit();
+    console.log(`  ${Math.min(i + BATCH_SIZE, plan.moves.length)}/${plan.moves.length}`);
+  }
+  console.log(`\n✅ 이동 ${plan.moves.length - superseded}건 · 삭제만 ${superseded}건`);
+  process.exit(0);
+}
+
+main().catch((e) => {
+  console.error("❌ 오류:", e);
+  process.exit(1);
+});
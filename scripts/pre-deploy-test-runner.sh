@@ -71,20 +71,10 @@ status=$(curl -s -o /dev/null -w "%{http_code}" -X POST "$API?action=log" \
   -H "Content-Type: application/json" -d '{"data":{}}')
 assert "log: event 누락 → 400" "400" "$status"
 
-# Firestore 에뮬/백엔드는 docId "__*" 예약 → 존재하지 않는 일반 id 사용
+# 운영진 세션 없이 기록 삭제 불가
 status=$(curl -s -o /dev/null -w "%{http_code}" -X POST "$API?action=delete-record" \
-  -H "Content-Type: application/json" -d '{"docId":"zz_pre_deploy_no_such_doc","requesterName":"test"}')
-if [ "$status" = "404" ] || [ "$status" = "500" ]; then
-  PASS=$((PASS+1))
-  RESULTS+=("${GREEN}✓${NC} delete-record: 없는 문서 → $status")
-else
-  FAIL=$((FAIL+1))
-  RESULTS+=("${RED}✗${NC} delete-record: 없는 문서 (expected=404|500, actual=$status)")
-fi
-
-status=$(curl -s -o /dev/null -w "%{http_code}" -X POST "$API?action=delete-record" \
-  -H "Content-Type: application/json" -d '{"docId":"test"}')
-assert "delete-record: requesterName 누락 → 400" "400" "$status"
+  -H "Content-Type: application/json" -d '{"docId":"zz_pre_deploy_no_such_doc"}')
+assert "delete-record: 세션 없음 → 401" "401" "$status"
 
 status=$(curl -s -o /dev/null -w "%{http_code}" "$API?action=nonexistent")
 assert "unknown action → 400" "400" "$status"
@@ -10,6 +10,9 @@
  *   node scripts/prewarm-search-cache.js --dry-run           # 실제 검색 없이 대상만 확인
  *   node scripts/prewarm-search-cache.js --resume            # 캐시 미스만 검색 (이어하기)
  *
+ * 캐시 키·TTL 은 functions/lib/search-cache.js 와 같다 — 현재 파서 버전 키로 쓰고,
+ * --resume 은 대회 날짜별 TTL 안(fresh)인 항목만 건너뛴다.
+ *
  * 예상 소요: 154명 × ~270개 대회 (확정 제외), 소스별 병렬
  * DELAY_MS=200ms 기준, 회원 1명당 ~3분, 전체 ~8시간 (1회성)
  *
@@ -48,10 +51,15 @@ initializeApp({ credential: applicationDefault(), projectId: "dmc-attendance" })
 const db = getFirestore();
 
 const scraper = require(path.join(__dirname, "..", "functions", "lib", "scraper"));
+const { timingSourceParserVersion } = require(path.join(__dirname, "..", "functions", "lib", "timing-sources"));
+const {
+  searchCacheKey,
+  searchCacheState,
+  buildSearchCacheEntry,
+} = require(path.join(__dirname, "..", "functions", "lib", "search-cache"));
 
 const CACHE_COL = "search_cache";
 const DELAY_MS = scraper.DELAY_MS;
-const CACHE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
 
 const args = process.argv.slice(2);
 const yearFilter = args.includes("--year") ? parseInt(args[args.indexOf("--year") + 1]) : null;
@@ -99,18 +107,19 @@ async function discoverEvents() {
   }));
 }
 
-async function batchCheckCached(cacheKeys) {
+/** @param {{ cacheKey: string, parserVersion: number }[]} candidates */
+async function batchCheckCached(candidates) {
   const BATCH = 500;
   const cachedSet = new Set();
-  for (let i = 0; i < cacheKeys.length; i += BATCH) {
-    const batch = cacheKeys.slice(i, i + BATCH);
-    const refs = batch.map((k) => db.collection(CACHE_COL).doc(k));
+  for (let i = 0; i < candidates.length; i += BATCH) {
+    const batch = candidates.slice(i, i + BATCH);
+    const refs = batch.map((c) => db.collection(CACHE_COL).doc(c.cacheKey));
     const docs = await db.getAll(...refs);
-    for (const doc of docs) {
-      if (!doc.exists) continue;
-      const age = Date.now() - (doc.data().cachedAt?.toMillis?.() || 0);
-      if (age < CACHE_TTL_MS) cachedSet.add(doc.id);
-    }
+    docs.forEach((doc, j) => {
+      if (!doc.exists) return;
+      const state = searchCacheState(doc.data(), { parserVersion: batch[j].parserVersion, nowMs: Date.now() });
+      if (state === "fresh") cachedSet.add(doc.id);
+    });
   }
   return cachedSet;
 }
@@ -147,19 +156,20 @@ async function run() {
     let memberSkippedConfirmed = 0;
 
     for (const ev of events) {
-      const cacheKey = `${ev.source}_${ev.sourceId}_${member.realName}`.substring(0, 1500);
+      const parserVersion = timingSourceParserVersion(ev.source);
+      const cacheKey = searchCacheKey(ev.source, ev.sourceId, member.realName, parserVersion);
       const confirmedKey = `${ev.source}_${ev.sourceId}_${member.realName}`;
       if (confirmedKeys.has(confirmedKey)) {
         memberSkippedConfirmed++;
         continue;
       }
-      candidates.push({ ...ev, cacheKey });
+      candidates.push({ ...ev, cacheKey, parserVersion });
     }
     globalSkippedConfirmed += memberSkippedConfirmed;
 
     let memberEvents = candidates;
     if (resume && candidates.length > 0) {
-      const cachedSet = await batchCheckCached(candidates.map((c) => c.cacheKey));
+      const cachedSet = await batchCheckCached(candidates);
       memberEvents = candidates.filter((c) => !cachedSet.has(c.cacheKey));
       globalSkippedCached += cachedSet.size;
     }
@@ -203,11 +213,14 @@ async function run() {
             : null;
 
           await db.collection(CACHE_COL).doc(ev.cacheKey).set({
-            realName: member.realName,
-            source: ev.source,
-            sourceId: ev.sourceId,
-            found: hasResults,
-            result: resultEntry,
+            ...buildSearchCacheEntry({
+              realName: member.realName,
+              source: ev.source,
+              sourceId: ev.sourceId,
+              parserVersion: ev.parserVersion,
+              eventDate: ev.eventDate,
+              result: resultEntry,
+            }),
             cachedAt: FieldValue.serverTimestamp(),
           });
 
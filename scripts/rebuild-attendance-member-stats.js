@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+/**
+ * attendance_member_stats (retention 사전 집계) 전체 재구축.
+ * 평소에는 attendanceMemberStats 트리거가 증감하므로, 최초 배포·트리거 장애 복구 때만 실행.
+ *
+ * attendance 전체를 읽어 회원별 dates 맵을 만들고 기존 집계와 비교해 다른 문서만 덮어쓴다.
+ * 기본: DRY-RUN (출력만). 쓰기는 --apply + 팀 승인 후 (data-write-safety).
+ *
+ *   node scripts/rebuild-attendance-member-stats.js
+ *   node scripts/rebuild-attendance-member-stats.js --apply
+ */
+
+const { initializeApp } = require("firebase-admin/app");
+const { getFirestore } = require("firebase-admin/firestore");
+const {
+  MEMBER_STATS_COLLECTION,
+  buildMemberStatsFromAttendance,
+} = require("../functions/lib/attendance-retention");
+
+const APPLY = process.argv.includes("--apply");
+
+initializeApp({ projectId: "dmc-attendance" });
+const db = getFirestore();
+
+function sameDates(a, b) {
+  const ka = Object.keys(a || {}).sort();
+  const kb = Object.keys(b || {}).sort();
+  return ka.length === kb.length && ka.every((k, i) => k === kb[i] && Number(a[k]) === Number(b[k]));
+}
+
+(async () => {
+  const [attSnap, statsSnap] = await Promise.all([
+    db.collection("attendance").get(),
+    db.collection(MEMBER_STATS_COLLECTION).get(),
+  ]);
+  console.log(`모드: ${APPLY ? "APPLY (쓰기)" : "DRY-RUN"}`);
+  console.log(`attendance ${attSnap.size}건 / 기존 집계 ${statsSnap.size}건\n`);
+
+  const rebuilt = buildMemberStatsFromAttendance(attSnap.docs.map((doc) => doc.data()));
+  const existing = new Map(statsSnap.docs.map((doc) => [doc.id, doc.data()]));
+
+  const writes = [];
+  for (const [memberId, stats] of rebuilt) {
+    const prev = existing.get(memberId);
+    if (prev && sameDates(prev.dates, stats.dates)) continue;
+    console.log(
+      `${prev ? "🔁" : "➕"} ${memberId} (${stats.nickname || "?"}) — 출석 ${stats.total}회 ${stats.firstDateKey} ~ ${stats.lastDateKey}`
+    );
+    writes.push({ ref: db.collection(MEMBER_STATS_COLLECTION).doc(memberId), data: stats });
+  }
+  const orphans = [...existing.keys()].filter((id) => !rebuilt.has(id));
+  orphans.forEach((id) => console.log(`🗑  ${id} — 출석 없음, 집계 삭제`));
+
+  console.log(`\n갱신 ${writes.length}건 / 삭제 ${orphans.length}건 / 변경 없음 ${rebuilt.size - writes.length}건`);
+  if (!APPLY) return;
+
+  const now = new Date().toISOString();
+  const ops = [
+    ...writes.map((w) => (batch) => batch.set(w.ref, { ...w.data, updatedAt: now })),
+    ...orphans.map((id) => (batch) => batch.delete(db.collection(MEMBER_STATS_COLLECTION).doc(id))),
+  ];
+  for (let i = 0; i < ops.length; i += 400) {
+    const batch = db.batch();
+    ops.slice(i, i + 400).forEach((op) => op(batch));
+    await batch.commit();
+  }
+  console.log("완료");
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+
+/**
+ * 타이밍 사이트 응답 녹화 → 오프라인 재생용 픽스처 (scripts/test/fixtures/scraper/*.json)
+ *
+ * scrapeEvent 한 바퀴(이벤트 정보 + 회원 검색, SmartChip 은 세션 발급 포함)와
+ * --year 를 주면 해당 소스 discover 까지 실제 사이트에 요청하며 요청·응답 쌍을 저장한다.
+ *
+ * 사용법:
+ *   node scripts/record-scrape-fixture.js --source smartchip --id 202650000218 --names 가람,보라,없음 --year 2026 \
+ *     --out scripts/test/fixtures/scraper/smartchip.json
+ *   node scripts/record-scrape-fixture.js --replay scripts/test/fixtures/scraper/smartchip.json
+ *     (녹화본만으로 같은 실행을 재생해 파싱 결과 출력 — scraper-replay.test.js 기대값 갱신용)
+ *
+ * 녹화본에는 검색한 이름이 그대로 남는다. 실제 회원 이름 대신 공개 기록이 있는 테스트용 이름을 쓸 것.
+ */
+
+const path = require("path");
+const scraper = require("../functions/lib/scraper");
+const replay = require("../functions/lib/scrape-replay");
+const { getTimingSource, timingSourceIds } = require("../functions/lib/timing-sources");
+
+function parseArgs(argv) {
+  const out = {};
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (!a.startsWith("--")) continue;
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith("--")) {
+      out[a.slice(2)] = true;
+    } else {
+      out[a.slice(2)] = next;
+      i++;
+    }
+  }
+  return out;
+}
+
+/** 녹화·재생 공통 실행 — 같은 순서로 요청해야 재생이 녹화와 맞는다 */
+async function runScrape({ source, sourceId, names, year }) {
+  const members = names.map((n) => ({ realName: n, nickname: n }));
+  const scraped = await scraper.scrapeEvent({ source, sourceId, members, pbMap: null });
+  const adapter = getTimingSource(source);
+  const discovered = year && adapter.discover ? await adapter.discover(Number(year)) : null;
+  return { scraped, discovered };
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help || (!args.replay && !(args.source && args.id && args.names && args.out))) {
+    console.log("사용법: --source <src> --id <sourceId> --names a,b,c [--year YYYY] --out <file>  |  --replay <file>");
+    process.exit(args.help ? 0 : 1);
+  }
+
+  if (args.replay) {
+    const file = path.resolve(args.replay);
+    const meta = replay.loadScrapeRecording(file);
+    replay.configureScrapeReplay({ mode: "replay", file });
+    const out = await runScrape(meta);
+    console.log(JSON.stringify(out, null, 2));
+    return;
+  }
+
+  if (!getTimingSource(args.source)) {
+    console.error(`알 수 없는 소스: ${args.source} (${timingSourceIds().join(", ")})`);
+    process.exit(1);
+  }
+  const meta = {
+    source: args.source,
+    sourceId: String(args.id),
+    names: String(args.names).split(",").map((s) => s.trim()).filter(Boolean),
+  };
+  if (args.year) meta.year = Number(args.year);
+
+  replay.configureScrapeReplay({ mode: "record" });
+  const out = await runScrape(meta);
+  const saved = replay.saveScrapeRecording(path.resolve(args.out), meta);
+  console.log(`녹화 ${replay.recordedScrapeEntries().length}건 → ${saved}`);
+  console.log(`결과 ${out.scraped.results.length}건 · 실패 ${out.scraped.failCount}` + (out.discovered ? ` · discover ${out.discovered.length}건` : ""));
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -18,6 +18,8 @@ const { getFirestore } = require("firebase-admin/firestore");
 const fs = require("fs");
 const path = require("path");
 const { normalizeRaceDistance } = require("../functions/lib/raceDistance");
+const { timingSourceParserVersion } = require("../functions/lib/timing-sources");
+const { searchCacheKey, buildSearchCacheEntry } = require("../functions/lib/search-cache");
 
 const DRY_RUN = process.argv.includes("--dry-run");
 const HEADLESS = !process.argv.includes("--headless=false");
@@ -248,22 +250,26 @@ function parseSmartChipHtml(html, memberName) {
     process.exit(0);
   }
 
+  // 키·버전은 함수 쪽 SmartChip 어댑터와 같게 — 검색 API 가 이 항목을 그대로 쓴다
+  const parserVersion = timingSourceParserVersion("smartchip");
   const batch = db.batch();
   for (const [name, r] of foundNames) {
-    const docId = `smartchip_${sourceId}_${name}`;
-    const ref = db.collection("search_cache").doc(docId);
+    const ref = db.collection("search_cache").doc(searchCacheKey("smartchip", sourceId, name, parserVersion));
     batch.set(ref, {
-      source: "smartchip",
-      sourceId,
-      realName: name,
-      found: true,
-      result: {
-        eventName,
-        eventDate,
+      ...buildSearchCacheEntry({
+        realName: name,
         source: "smartchip",
         sourceId,
-        records: r.records,
-      },
+        parserVersion,
+        eventDate,
+        result: {
+          eventName,
+          eventDate,
+          source: "smartchip",
+          sourceId,
+          records: r.records,
+        },
+      }),
       cachedAt: now,
       scrapedBy: "playwright",
     });
@@ -9,11 +9,14 @@
  *   node scripts/seed-chunbaek-participants.js --input=scripts/data/chunbaek-s3-participants.json
  *   node scripts/seed-chunbaek-participants.js --input=... --local   # Functions 에뮬
  *
+ * 인증: 운영진 계정(오너·운영진·춘백 코치) — --user=<아이디> + DMC_ADMIN_PASSWORD (또는 --token)
+ *
  * 명단 작성 보조:
  *   node scripts/plan-chunbaek-participants.js --names=실명1,실명2 --baseline=scripts/data/members-firestore-snapshot.json
  */
 const fs = require("fs");
 const path = require("path");
+const { resolveAdminToken, adminAuthHeaders } = require(path.join(__dirname, "lib/admin-login"));
 
 const PROD_API = "https://dmc-attendance.web.app/api/chunbaek";
 const LOCAL_API = "http://127.0.0.1:5001/dmc-attendance/asia-northeast3/chunbaek";
@@ -30,7 +33,6 @@ const inputPath = path.resolve(
   getArg("input", path.join(__dirname, "data", "chunbaek-s3-participants.json"))
 );
 const apiBase = getArg("api", useLocal ? LOCAL_API : PROD_API);
-const adminPw = getArg("pw", process.env.DMC_ADMIN_PW || "dmc2008");
 
 function loadMemberIds(data) {
   if (Array.isArray(data.memberIds)) return data.memberIds.map(String);
@@ -82,6 +84,12 @@ function loadMemberMap(data) {
     process.exit(0);
   }
 
+  const token = await resolveAdminToken({
+    loginUrl: `${apiBase}?action=verify-admin`,
+    token: getArg("token", ""),
+    username: getArg("user", ""),
+  });
+
   let ok = 0;
   let failed = 0;
 
@@ -92,8 +100,8 @@ function loadMemberMap(data) {
     try {
       const res = await fetch(`${apiBase}?action=admin-set-participant`, {
         method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ adminPw, memberId, participant: true }),
+        headers: adminAuthHeaders(token),
+        body: JSON.stringify({ memberId, participant: true }),
       });
       let json;
       try { json = await res.json(); } catch { json = {}; }
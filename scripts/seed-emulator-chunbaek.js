@@ -1,6 +1,6 @@
 #!/usr/bin/env node
 /**
- * 춘백 시즌3 에뮬레이터 시드 — participants, season_config, slots
+ * 춘백 시즌3 에뮬레이터 시드 — participants, season_config, slots, 운영진 계정(emulator.coach)
  */
 const fs = require("fs");
 const path = require("path");
@@ -16,6 +16,11 @@ const requireFromFunctions = createRequire(path.join(nm, "_"));
 
 const { initializeApp } = requireFromFunctions("firebase-admin/app");
 const { getFirestore } = requireFromFunctions("firebase-admin/firestore");
+const { ADMIN_ACCOUNTS_COLLECTION, hashAdminPassword } = require(path.join(functionsDir, "lib", "admin-auth"));
+
+/** verify-chunbaek-emulator.js 와 같은 값 */
+const EMULATOR_ADMIN_USER = "emulator.coach";
+const EMULATOR_ADMIN_PASSWORD = "emulator-coach-pw";
 
 if (!process.env.FIRESTORE_EMULATOR_HOST) {
   console.error("FIRESTORE_EMULATOR_HOST 없음. emulators:exec 안에서만 실행하세요.");
@@ -117,7 +122,16 @@ function buildBetaSlots(today) {
     await db.collection("chunbaek_slots").doc(String(slot.dayIndex)).set(slot, { merge: true });
   }
 
-  console.log(`[seed-emulator-chunbaek] members 2, slots ${SLOTS.length + BETA.length} (beta ${betaWeekStartDate}~, today=${today}), season_config OK`);
+  await db.collection(ADMIN_ACCOUNTS_COLLECTION).doc(EMULATOR_ADMIN_USER).set({
+    displayName: "에뮬 코치",
+    role: "chunbaek_coach",
+    team: "",
+    disabled: false,
+    passwordHash: hashAdminPassword(EMULATOR_ADMIN_PASSWORD),
+    createdAt: new Date().toISOString(),
+  });
+
+  console.log(`[seed-emulator-chunbaek] members 2, slots ${SLOTS.length + BETA.length} (beta ${betaWeekStartDate}~, today=${today}), season_config, admin ${EMULATOR_ADMIN_USER} OK`);
   process.exit(0);
 })().catch((e) => {
   console.error(e);
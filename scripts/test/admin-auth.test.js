@@ -0,0 +1,190 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+
+const {
+  roleAllows,
+  hashAdminPassword,
+  verifyAdminPasswordHash,
+  normalizeAdminAccountInput,
+  issueAdminSessionToken,
+  verifyAdminSessionToken,
+  extractAdminToken,
+  loginAdmin,
+  authorizeAdmin,
+  revokeAdminSessions,
+  ADMIN_SESSION_TTL_MS,
+} = require(path.join(__dirname, "../../functions/lib/admin-auth.js"));
+
+const SECRET = "test-secret";
+const NOW = Date.parse("2026-10-19T01:00:00.000Z");
+
+/** admin_accounts · admin_sessions 만 쓰는 최소 Firestore 대역 */
+function fakeDb() {
+  const cols = new Map();
+  const col = (name) => {
+    if (!cols.has(name)) cols.set(name, new Map());
+    return cols.get(name);
+  };
+  const docRef = (name, id) => ({
+    id,
+    async get() {
+      const data = col(name).get(id);
+      return { id, exists: data !== undefined, data: () => (data ? { ...data } : undefined) };
+    },
+    async set(value, opts) {
+      const prev = (opts && opts.merge && col(name).get(id)) || {};
+      col(name).set(id, { ...prev, ...value });
+    },
+  });
+  return {
+    dump: (name) => Object.fromEntries(col(name)),
+    collection(name) {
+      return {
+        doc: (id) => docRef(name, id),
+        where(field, op, value) {
+          return {
+            async get() {
+              const docs = [...col(name).entries()]
+                .filter(([, d]) => d[field] === value)
+                .map(([id, d]) => ({ id, ref: docRef(name, id), data: () => ({ ...d }) }));
+              return { docs };
+            },
+          };
+        },
+      };
+    },
+  };
+}
+
+async function seededDb() {
+  const db = fakeDb();
+  await db.collection("admin_accounts").doc("jiwon").set({
+    displayName: "지원",
+    role: "operator",
+    team: "",
+    passwordHash: hashAdminPassword("correct horse"),
+  });
+  return db;
+}
+
+describe("admin-auth pure", () => {
+  it("역할별 권한", () => {
+    assert.equal(roleAllows("owner", "accounts"), true);
+    assert.equal(roleAllows("operator", "accounts"), false);
+    assert.equal(roleAllows("operator", "attendance"), true);
+    assert.equal(roleAllows("team_leader", "attendance"), false);
+    assert.equal(roleAllows("team_leader", "team"), true);
+    assert.equal(roleAllows("chunbaek_coach", "chunbaek"), true);
+    assert.equal(roleAllows("chunbaek_coach", "members"), false);
+    assert.equal(roleAllows("nobody", "team"), false);
+  });
+
+  it("scrypt 해시 검증 — salt 마다 다른 해시", () => {
+    const a = hashAdminPassword("pw-12345678");
+    const b = hashAdminPassword("pw-12345678");
+    assert.match(a, /^s1\$[\w-]+\$[\w-]+$/);
+    assert.notEqual(a, b);
+    assert.equal(verifyAdminPasswordHash("pw-12345678", a), true);
+    assert.equal(verifyAdminPasswordHash("pw-12345679", a), false);
+    assert.equal(verifyAdminPasswordHash("pw-12345678", "plain"), false);
+  });
+
+  it("계정 입력 검증", () => {
+    const ok = normalizeAdminAccountInput(
+      { username: " T1.Lead ", role: "team_leader", team: "t1", password: "12345678" },
+      { isNew: true }
+    );
+    assert.equal(ok.ok, true);
+    assert.deepEqual(ok.account, { username: "t1.lead", displayName: "t1.lead", role: "team_leader", team: "T1", disabled: false });
+    assert.equal(normalizeAdminAccountInput({ username: "ab", role: "owner", password: "12345678" }, { isNew: true }).ok, false);
+    assert.equal(normalizeAdminAccountInput({ username: "lead", role: "team_leader", password: "12345678" }, { isNew: true }).ok, false);
+    assert.equal(normalizeAdminAccountInput({ username: "boss", role: "admin", password: "12345678" }, { isNew: true }).ok, false);
+    assert.equal(normalizeAdminAccountInput({ username: "boss", role: "owner" }, { isNew: true }).ok, false);
+    assert.equal(normalizeAdminAccountInput({ username: "boss", role: "owner" }, { isNew: false }).ok, true);
+    assert.equal(normalizeAdminAccountInput({ username: "boss", role: "operator", team: "T2" }).account.team, "");
+  });
+
+  it("세션 토큰 서명·만료", () => {
+    const { token, expiresAtMs } = issueAdminSessionToken({ sessionId: "sessAbc123", nowMs: NOW, secret: SECRET });
+    assert.equal(expiresAtMs, NOW + ADMIN_SESSION_TTL_MS);
+    assert.deepEqual(verifyAdminSessionToken(token, { secret: SECRET, nowMs: NOW + 1000 }), {
+      ok: true,
+      sessionId: "sessAbc123",
+      expiresAtMs,
+    });
+    assert.equal(verifyAdminSessionToken(token, { secret: SECRET, nowMs: expiresAtMs }).reason, "TOKEN_EXPIRED");
+    assert.equal(verifyAdminSessionToken(token, { secret: "other", nowMs: NOW }).reason, "TOKEN_INVALID");
+    const extended = token.replace(`.${expiresAtMs}.`, `.${expiresAtMs + 3600000}.`);
+    assert.equal(verifyAdminSessionToken(extended, { secret: SECRET, nowMs: NOW }).reason, "TOKEN_INVALID");
+    assert.equal(verifyAdminSessionToken(token, { secret: "", nowMs: NOW }).reason, "TOKEN_INVALID");
+  });
+
+  it("토큰 위치 — Authorization 헤더 우선, 다음 body, 쿼리는 무시", () => {
+    assert.equal(extractAdminToken({ headers: { authorization: "Bearer a1.x.1.y" }, body: { adminToken: "b" } }), "a1.x.1.y");
+    assert.equal(extractAdminToken({ headers: {}, body: JSON.stringify({ adminToken: "a1.b" }) }), "a1.b");
+    assert.equal(extractAdminToken({ headers: {}, body: {}, query: { adminToken: "a1.q" } }), "");
+    assert.equal(extractAdminToken({ headers: { authorization: "Basic abc" } }), "");
+  });
+});
+
+describe("admin-auth sessions", () => {
+  it("로그인 → 세션 문서 + 토큰, 이후 권한 검사", async () => {
+    const db = await seededDb();
+    const login = await loginAdmin(db, { username: "JIWON", password: "correct horse", nowMs: NOW, secret: SECRET, ua: "t" });
+    assert.equal(login.ok, true);
+    assert.equal(login.account.username, "jiwon");
+    assert.equal(login.account.roleLabel, "운영진");
+    assert.equal(login.account.passwordHash, undefined);
+    assert.equal(db.dump("admin_accounts").jiwon.lastLoginAt, new Date(NOW).toISOString());
+
+    const req = { headers: { authorization: `Bearer ${login.token}` } };
+    const auth = await authorizeAdmin(db, req, "attendance", { secret: SECRET, nowMs: NOW + 60000 });
+    assert.equal(auth.ok, true);
+    assert.equal(auth.username, "jiwon");
+    assert.equal(auth.role, "operator");
+
+    const forbidden = await authorizeAdmin(db, req, "accounts", { secret: SECRET, nowMs: NOW });
+    assert.deepEqual(forbidden, { ok: false, status: 403, error: "FORBIDDEN_ROLE" });
+  });
+
+  it("잘못된 비밀번호·정지 계정·비밀키 없음", async () => {
+    const db = await seededDb();
+    const bad = await loginAdmin(db, { username: "jiwon", password: "nope", nowMs: NOW, secret: SECRET });
+    assert.deepEqual(bad, { ok: false, status: 401, error: "invalid credentials" });
+    const unknown = await loginAdmin(db, { username: "ghost", password: "correct horse", nowMs: NOW, secret: SECRET });
+    assert.equal(unknown.status, 401);
+    await db.collection("admin_accounts").doc("jiwon").set({ disabled: true }, { merge: true });
+    assert.equal((await loginAdmin(db, { username: "jiwon", password: "correct horse", nowMs: NOW, secret: SECRET })).ok, false);
+    const noSecret = await loginAdmin(db, { username: "jiwon", password: "correct horse", nowMs: NOW, secret: "" });
+    assert.equal(noSecret.status, 503);
+  });
+
+  it("세션 폐기 — 단건·계정 전체", async () => {
+    const db = await seededDb();
+    const s1 = await loginAdmin(db, { username: "jiwon", password: "correct horse", nowMs: NOW, secret: SECRET });
+    const s2 = await loginAdmin(db, { username: "jiwon", password: "correct horse", nowMs: NOW, secret: SECRET });
+    const opts = { secret: SECRET, nowMs: NOW };
+    const req1 = { headers: { authorization: `Bearer ${s1.token}` } };
+    const req2 = { body: { adminToken: s2.token } };
+
+    const first = await authorizeAdmin(db, req1, "", opts);
+    assert.equal(await revokeAdminSessions(db, { sessionId: first.sessionId, revokedBy: "jiwon", nowIso: "2026-10-19T02:00:00.000Z" }), 1);
+    assert.equal((await authorizeAdmin(db, req1, "", opts)).error, "SESSION_REVOKED");
+    assert.equal((await authorizeAdmin(db, req2, "", opts)).ok, true);
+
+    const revoked = await revokeAdminSessions(db, { username: "jiwon", revokedBy: "boss", nowIso: "2026-10-19T02:00:00.000Z" });
+    assert.equal(revoked, 1);
+    assert.equal((await authorizeAdmin(db, req2, "", opts)).error, "SESSION_REVOKED");
+    assert.equal(await revokeAdminSessions(db, { username: "jiwon", nowIso: "2026-10-19T02:00:00.000Z" }), 0);
+  });
+
+  it("토큰 없음 401", async () => {
+    const db = await seededDb();
+    assert.deepEqual(await authorizeAdmin(db, { headers: {} }, "team", { secret: SECRET, nowMs: NOW }), {
+      ok: false,
+      status: 401,
+      error: "ADMIN_SESSION_REQUIRED",
+    });
+  });
+});
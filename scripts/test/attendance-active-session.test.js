@@ -9,6 +9,7 @@ const {
   normalizeMeetingDateKey,
   meetingTypeForDateKey,
 } = require(path.join(__dirname, "../../functions/lib/attendance-active-session.js"));
+const { buildMeetingCalendar } = require(path.join(__dirname, "../../functions/lib/meeting-calendar.js"));
 
 describe("resolveDefaultMeeting", () => {
   it("Monday → SAT two days earlier", () => {
@@ -24,6 +25,30 @@ describe("resolveDefaultMeeting", () => {
   });
 });
 
+describe("resolveDefaultMeeting with meeting calendar", () => {
+  const calendar = buildMeetingCalendar([
+    { meetingDateKey: "2026/07/14", meetingType: "TUE", status: "cancelled", label: "우천" },
+    { meetingDateKey: "2026/07/18", meetingType: "SAT", status: "moved", movedToDateKey: "2026/07/19" },
+  ]);
+
+  it("cancelled session keeps the weekday default with status cancelled", () => {
+    const r = resolveDefaultMeeting(new Date("2026-07-15T12:00:00+09:00"), calendar);
+    assert.deepEqual([r.dateKey, r.meetingType, r.status, r.label], ["2026/07/14", "TUE", "cancelled", "우천"]);
+  });
+
+  it("moved session resolves to the new date", () => {
+    const r = resolveDefaultMeeting(new Date("2026-07-19T12:00:00+09:00"), calendar);
+    assert.deepEqual([r.dateKey, r.meetingType, r.status], ["2026/07/19", "SAT", "moved"]);
+  });
+
+  it("without calendar returns the plain weekday default", () => {
+    assert.deepEqual(resolveDefaultMeeting(new Date("2026-07-15T12:00:00+09:00")), {
+      dateKey: "2026/07/14",
+      meetingType: "TUE",
+    });
+  });
+});
+
 describe("meetingTypeForDateKey", () => {
   it("maps Tue/Thu/Sat to meeting types; other days to ETC", () => {
     assert.equal(meetingTypeForDateKey("2026/07/14"), "TUE");
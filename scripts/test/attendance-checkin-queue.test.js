@@ -0,0 +1,145 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+
+const {
+  QUEUE_MAX_AGE_MS,
+  buildQueueEntry,
+  classifyReplayResult,
+  encodeCheckinBody,
+  isQueueableCheckinFailure,
+  replayQueue,
+  summarizeQueue,
+} = require(path.join(__dirname, "../../assets/attendance-checkin-queue.js"));
+
+function memoryStore(entries) {
+  const map = new Map(entries.map((e) => [e.id, e]));
+  return {
+    map,
+    async list() {
+      return [...map.values()];
+    },
+    async put(entry) {
+      map.set(entry.id, entry);
+    },
+    async remove(id) {
+      map.delete(id);
+    },
+  };
+}
+
+function entry(id, queuedAt, extra) {
+  return buildQueueEntry({
+    url: "https://example.test/attendance",
+    clientRequestId: id,
+    now: queuedAt,
+    body: {
+      nickname: "러너" + id,
+      memberId: "m-" + id,
+      team: "T1",
+      meetingType: "SAT",
+      meetingDate: "2026/10/17",
+      isGuest: false,
+      ...extra,
+    },
+  });
+}
+
+describe("attendance-checkin-queue helpers", () => {
+  it("buildQueueEntry carries clientRequestId and queuedAt in the POST body", () => {
+    const e = entry("abcdef12", 1000);
+    assert.equal(e.id, "abcdef12");
+    assert.equal(e.body.clientRequestId, "abcdef12");
+    assert.equal(e.body.queuedAt, 1000);
+    const encoded = new URLSearchParams(encodeCheckinBody(e.body));
+    assert.equal(encoded.get("clientRequestId"), "abcdef12");
+    assert.equal(encoded.get("isGuest"), "false");
+  });
+
+  it("queues only network failures and 5xx", () => {
+    assert.equal(isQueueableCheckinFailure(new TypeError("Failed to fetch")), true);
+    assert.equal(isQueueableCheckinFailure({ status: 503 }), true);
+    assert.equal(isQueueableCheckinFailure({ status: 400, code: "ALREADY_CHECKED_IN" }), false);
+    assert.equal(isQueueableCheckinFailure(null), false);
+  });
+
+  it("classifies replay responses", () => {
+    assert.equal(classifyReplayResult(200, { ok: true, replayed: true }), "done");
+    assert.equal(classifyReplayResult(400, { ok: false, error: "ALREADY_CHECKED_IN" }), "done");
+    assert.equal(classifyReplayResult(400, { ok: false, error: "MEMBER_NOT_FOUND" }), "drop");
+    assert.equal(classifyReplayResult(500, { ok: false }), "retry");
+  });
+
+  it("summarizeQueue lists queued members of the current meeting only", () => {
+    const entries = [
+      entry("aaaaaaaa", 1),
+      entry("bbbbbbbb", 2, { meetingDate: "2026/10/15", meetingType: "THU" }),
+      entry("cccccccc", 3, { memberId: null, nickname: "Guest", isGuest: true }),
+    ];
+    const summary = summarizeQueue(entries, "2026/10/17", "SAT");
+    assert.equal(summary.pendingCount, 3);
+    assert.deepEqual(summary.memberIds, ["m-aaaaaaaa"]);
+    assert.deepEqual(summary.nicknameKeys, ["러너aaaaaaaa", "guest"]);
+  });
+});
+
+describe("replayQueue", () => {
+  it("removes done/dropped entries and keeps retryable ones", async () => {
+    const now = 10_000_000;
+    const store = memoryStore([
+      entry("done0001", now - 3000),
+      entry("drop0002", now - 2000),
+      entry("retry003", now - 1000),
+    ]);
+    const responses = {
+      done0001: [200, { ok: true, replayed: true }],
+      drop0002: [400, { ok: false, error: "MEMBER_NOT_FOUND" }],
+      retry003: [500, { ok: false }],
+    };
+    const result = await replayQueue({
+      store,
+      now,
+      fetchImpl: async (url, init) => {
+        const id = new URLSearchParams(init.body).get("clientRequestId");
+        const [status, json] = responses[id];
+        return { status, json: async () => json };
+      },
+    });
+    assert.deepEqual(result.done.map((e) => e.id), ["done0001"]);
+    assert.deepEqual(result.dropped.map((e) => e.id), ["drop0002"]);
+    assert.equal(result.pendingCount, 1);
+    assert.deepEqual([...store.map.keys()], ["retry003"]);
+    assert.equal(store.map.get("retry003").attempts, 1);
+  });
+
+  it("stops at the first network error and keeps the rest queued", async () => {
+    const now = 10_000_000;
+    const store = memoryStore([entry("first001", now - 2), entry("second02", now - 1)]);
+    let calls = 0;
+    const result = await replayQueue({
+      store,
+      now,
+      fetchImpl: async () => {
+        calls += 1;
+        throw new TypeError("Failed to fetch");
+      },
+    });
+    assert.equal(calls, 1);
+    assert.equal(result.pendingCount, 2);
+    assert.equal(store.map.size, 2);
+  });
+
+  it("expires entries older than QUEUE_MAX_AGE_MS without sending", async () => {
+    const now = 10_000_000_000;
+    const store = memoryStore([entry("old00001", now - QUEUE_MAX_AGE_MS - 1)]);
+    const result = await replayQueue({
+      store,
+      now,
+      fetchImpl: async () => {
+        throw new Error("should not be called");
+      },
+    });
+    assert.deepEqual(result.expired.map((e) => e.id), ["old00001"]);
+    assert.equal(store.map.size, 0);
+  });
+});
@@ -0,0 +1,95 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+
+const {
+  QUEUED_AT_MAX_AGE_MS,
+  normalizeClientRequestId,
+  normalizeQueuedAt,
+  writtenFromCheckinKey,
+  attendanceDocId,
+} = require(path.join(__dirname, "../../functions/lib/attendance-checkin.js"));
+
+describe("normalizeClientRequestId", () => {
+  it("accepts uuid-like keys", () => {
+    assert.equal(
+      normalizeClientRequestId(" 3f2b8c1e-9d4a-4f1b-8a57-1c2d3e4f5a6b "),
+      "3f2b8c1e-9d4a-4f1b-8a57-1c2d3e4f5a6b"
+    );
+  });
+
+  it("rejects short, long or path-like keys", () => {
+    assert.equal(normalizeClientRequestId("abc"), "");
+    assert.equal(normalizeClientRequestId("a".repeat(65)), "");
+    assert.equal(normalizeClientRequestId("../attendance/x1"), "");
+    assert.equal(normalizeClientRequestId(undefined), "");
+  });
+});
+
+describe("normalizeQueuedAt", () => {
+  const now = 1_800_000_000_000;
+
+  it("keeps queue time within the last 7 days", () => {
+    assert.equal(normalizeQueuedAt(String(now - 60000), now), now - 60000);
+  });
+
+  it("drops future, too old or non-numeric values", () => {
+    assert.equal(normalizeQueuedAt(now + 120000, now), null);
+    assert.equal(normalizeQueuedAt(now - QUEUED_AT_MAX_AGE_MS - 1, now), null);
+    assert.equal(normalizeQueuedAt("abc", now), null);
+    assert.equal(normalizeQueuedAt("", now), null);
+  });
+});
+
+describe("writtenFromCheckinKey", () => {
+  it("rebuilds POST written payload from the key doc", () => {
+    const written = writtenFromCheckinKey({
+      attendanceId: "a1",
+      written: {
+        nicknameStored: "러너",
+        team: "T1",
+        teamLabel: "1팀",
+        meetingType: "SAT",
+        meetingTypeLabel: "토요일",
+        meetingDate: "2026/10/17",
+        timeText: "2026. 10. 17. 오전 7:01:02",
+      },
+    });
+    assert.equal(written.nicknameStored, "러너");
+    assert.equal(written.meetingDate, "2026/10/17");
+    assert.deepEqual(writtenFromCheckinKey(null).meetingType, "");
+  });
+});
+
+describe("attendanceDocId", () => {
+  const base = { meetingDateKey: "2026/10/17", meetingType: "sat" };
+
+  it("keys members by memberId + date + type", () => {
+    assert.equal(
+      attendanceDocId({ ...base, memberId: "abc123", nicknameKey: "러너" }),
+      "m_abc123_20261017_SAT"
+    );
+  });
+
+  it("falls back to a nicknameKey hash without memberId", () => {
+    const id = attendanceDocId({ ...base, nicknameKey: "러너" });
+    assert.match(id, /^n_[0-9a-f]{16}_20261017_SAT$/);
+    assert.equal(attendanceDocId({ ...base, nicknameKey: "러너" }), id);
+    assert.notEqual(attendanceDocId({ ...base, nicknameKey: "러너2" }), id);
+  });
+
+  it("differs by meeting type and hashes unsafe memberIds", () => {
+    assert.notEqual(
+      attendanceDocId({ ...base, memberId: "abc123" }),
+      attendanceDocId({ ...base, meetingType: "TUE", memberId: "abc123" })
+    );
+    assert.match(attendanceDocId({ ...base, memberId: "a/b" }), /^m_[0-9a-f]{16}_20261017_SAT$/);
+  });
+
+  it("returns null for guests, test_ nicknames and invalid input", () => {
+    assert.equal(attendanceDocId({ ...base, nicknameKey: "손님", isGuest: true }), null);
+    assert.equal(attendanceDocId({ ...base, nicknameKey: "test_1234" }), null);
+    assert.equal(attendanceDocId({ ...base, meetingDateKey: "2026-10", nicknameKey: "러너" }), null);
+    assert.equal(attendanceDocId({ ...base }), null);
+  });
+});
@@ -0,0 +1,105 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+
+const {
+  validateCorrectionRequestInput,
+  hasPendingCorrection,
+  normalizeCorrectionReview,
+  parseCorrectionStatusFilter,
+  sortCorrectionsNewestFirst,
+} = require(path.join(__dirname, "../../functions/lib/attendance-corrections.js"));
+const { buildMeetingCalendar } = require(path.join(__dirname, "../../functions/lib/meeting-calendar.js"));
+
+const TODAY = "2026/10/19"; // 월
+
+function input(over) {
+  return { meetingDate: "2026/10/17", meetingType: "SAT", reason: "배터리 방전", todayKey: TODAY, ...over };
+}
+
+describe("validateCorrectionRequestInput", () => {
+  it("최근 정모 신청 허용 (YYYY-MM-DD 도 정규화)", () => {
+    assert.deepEqual(validateCorrectionRequestInput(input({ meetingDate: "2026-10-17", meetingType: "sat" })), {
+      ok: true,
+      meetingDateKey: "2026/10/17",
+      meetingType: "SAT",
+      reason: "배터리 방전",
+    });
+  });
+
+  it("사유 필수·200자 제한", () => {
+    assert.equal(validateCorrectionRequestInput(input({ reason: "  " })).ok, false);
+    assert.equal(validateCorrectionRequestInput(input({ reason: "x".repeat(201) })).ok, false);
+  });
+
+  it("미래·14일 초과 거부", () => {
+    assert.equal(validateCorrectionRequestInput(input({ meetingDate: "2026/10/20", meetingType: "TUE" })).error, "meetingDate in the future");
+    assert.equal(validateCorrectionRequestInput(input({ meetingDate: "2026/10/06", meetingType: "TUE" })).ok, true);
+    assert.equal(
+      validateCorrectionRequestInput(input({ meetingDate: "2026/10/03", meetingType: "SAT" })).error,
+      "meetingDate outside 14-day lookback"
+    );
+  });
+
+  it("해당 요일 정모가 아니면 거부", () => {
+    assert.equal(validateCorrectionRequestInput(input({ meetingType: "TUE" })).error, "no meeting held on that date");
+    assert.equal(
+      validateCorrectionRequestInput(input({ meetingDate: "2026/10/18", meetingType: "ETC" })).error,
+      "no meeting held on that date"
+    );
+  });
+
+  it("캘린더 반영 — 취소 정모 거부, 이동·추가 모임 허용", () => {
+    const calendar = buildMeetingCalendar([
+      { meetingDateKey: "2026/10/13", meetingType: "TUE", status: "cancelled" },
+      { meetingDateKey: "2026/10/15", meetingType: "THU", status: "moved", movedToDateKey: "2026/10/16" },
+      { meetingDateKey: "2026/10/18", meetingType: "ETC", status: "extra" },
+    ]);
+    const v = (over) => validateCorrectionRequestInput(input({ ...over, calendar }));
+    assert.equal(v({ meetingDate: "2026/10/13", meetingType: "TUE" }).ok, false);
+    assert.equal(v({ meetingDate: "2026/10/16", meetingType: "THU" }).ok, true);
+    assert.equal(v({ meetingDate: "2026/10/18", meetingType: "ETC" }).ok, true);
+  });
+
+  it("잘못된 날짜·유형", () => {
+    assert.equal(validateCorrectionRequestInput(input({ meetingDate: "2026/02/30" })).ok, false);
+    assert.equal(validateCorrectionRequestInput(input({ meetingType: "MON" })).ok, false);
+  });
+});
+
+describe("hasPendingCorrection", () => {
+  const rows = [
+    { status: "pending", meetingDateKey: "2026/10/17", meetingType: "SAT" },
+    { status: "rejected", meetingDateKey: "2026/10/15", meetingType: "THU" },
+  ];
+  it("같은 모임 대기 중이면 true, 반려된 건은 재신청 허용", () => {
+    assert.equal(hasPendingCorrection(rows, "2026/10/17", "SAT"), true);
+    assert.equal(hasPendingCorrection(rows, "2026/10/15", "THU"), false);
+    assert.equal(hasPendingCorrection([], "2026/10/17", "SAT"), false);
+  });
+});
+
+describe("normalizeCorrectionReview / parseCorrectionStatusFilter", () => {
+  it("decision approve|reject, 메모 200자", () => {
+    assert.deepEqual(normalizeCorrectionReview({ decision: "APPROVE" }), { ok: true, decision: "approve", reviewNote: "" });
+    assert.equal(normalizeCorrectionReview({ decision: "reject", reviewNote: "y".repeat(300) }).reviewNote.length, 200);
+    assert.equal(normalizeCorrectionReview({ decision: "maybe" }).ok, false);
+  });
+
+  it("status 기본 pending", () => {
+    assert.deepEqual(parseCorrectionStatusFilter(undefined), { ok: true, status: "pending" });
+    assert.equal(parseCorrectionStatusFilter("rejected").status, "rejected");
+    assert.equal(parseCorrectionStatusFilter("all").ok, false);
+  });
+});
+
+describe("sortCorrectionsNewestFirst", () => {
+  it("ISO·Timestamp 혼합 정렬", () => {
+    const rows = [
+      { id: "a", createdAt: "2026-10-17T01:00:00Z" },
+      { id: "b", createdAt: { toMillis: () => Date.parse("2026-10-18T01:00:00Z") } },
+      { id: "c", createdAt: null },
+    ];
+    assert.deepEqual(sortCorrectionsNewestFirst(rows).map((r) => r.id), ["b", "a", "c"]);
+  });
+});
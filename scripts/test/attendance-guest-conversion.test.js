@@ -0,0 +1,95 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+
+const {
+  summarizeGuestVisits,
+  buildGuestRelinkPlan,
+} = require(path.join(__dirname, "../../functions/lib/attendance-guest-conversion.js"));
+const { attendanceDocId } = require(path.join(__dirname, "../../functions/lib/attendance-checkin.js"));
+
+function guest(id, nickname, meetingDateKey, meetingType, ts) {
+  return {
+    id,
+    data: {
+      nickname,
+      nicknameKey: nickname.toLowerCase(),
+      memberId: null,
+      team: "GUEST",
+      teamLabel: "게스트",
+      meetingDateKey,
+      meetingType,
+      isGuest: true,
+      ts,
+    },
+  };
+}
+
+const MEMBER = { memberId: "mem1", nickname: "Runner", team: "T2", teamLabel: "2팀" };
+
+describe("summarizeGuestVisits", () => {
+  it("닉네임(대소문자 무시)별 방문 수·첫/최근 방문, 최근순", () => {
+    const rows = summarizeGuestVisits([
+      guest("a", "runner", "2026/09/01", "TUE", 1),
+      guest("b", "Runner", "2026/10/03", "SAT", 3),
+      guest("c", "Walker", "2026/09/20", "SAT", 2),
+      guest("d", "test_1", "2026/10/10", "SAT", 4),
+    ]);
+    assert.deepEqual(rows, [
+      { nickname: "Runner", nicknameKey: "runner", visits: 2, firstDateKey: "2026/09/01", lastDateKey: "2026/10/03" },
+      { nickname: "Walker", nicknameKey: "walker", visits: 1, firstDateKey: "2026/09/20", lastDateKey: "2026/09/20" },
+    ]);
+  });
+
+  it("이미 memberId 가 있는 문서는 제외", () => {
+    const g = guest("a", "x", "2026/09/01", "TUE", 1);
+    g.data.memberId = "m";
+    assert.deepEqual(summarizeGuestVisits([g]), []);
+  });
+});
+
+describe("buildGuestRelinkPlan", () => {
+  it("결정적 ID 로 이동 + 회원 필드로 교체, 게스트 닉네임 보존", () => {
+    const plan = buildGuestRelinkPlan([guest("g1", "runner", "2026/10/03", "SAT", 1)], MEMBER, []);
+    assert.equal(plan.skipped.length, 0);
+    assert.equal(plan.moves.length, 1);
+    const m = plan.moves[0];
+    assert.equal(m.fromId, "g1");
+    assert.equal(
+      m.toId,
+      attendanceDocId({ memberId: "mem1", nicknameKey: "runner", meetingDateKey: "2026/10/03", meetingType: "SAT" })
+    );
+    assert.equal(m.data.memberId, "mem1");
+    assert.equal(m.data.team, "T2");
+    assert.equal(m.data.isGuest, false);
+    assert.equal(m.data.nickname, "Runner");
+    assert.equal(m.data.guestNickname, "runner");
+    assert.equal(m.data.convertedFromGuest, true);
+    assert.equal(m.data.meetingDateKey, "2026/10/03");
+  });
+
+  it("회원이 이미 출석한 날·같은 날 두 번째 게스트 방문은 건너뜀", () => {
+    const plan = buildGuestRelinkPlan(
+      [
+        guest("g1", "runner", "2026/10/03", "SAT", 1),
+        guest("g2", "runner", "2026/10/06", "TUE", 2),
+        guest("g3", "runner", "2026/10/06", "TUE", 3),
+      ],
+      MEMBER,
+      new Set(["2026/10/03"])
+    );
+    assert.deepEqual(plan.moves.map((m) => m.fromId), ["g2"]);
+    assert.deepEqual(
+      plan.skipped.map((s) => [s.id, s.reason]),
+      [
+        ["g1", "MEMBER_ALREADY_CHECKED_IN"],
+        ["g3", "MEMBER_ALREADY_CHECKED_IN"],
+      ]
+    );
+  });
+
+  it("유효하지 않은 출석 문서는 INVALID_ATTENDANCE", () => {
+    const plan = buildGuestRelinkPlan([guest("g1", "runner", "bad", "SAT", 1)], MEMBER, []);
+    assert.deepEqual(plan.skipped, [{ id: "g1", meetingDateKey: "bad", reason: "INVALID_ATTENDANCE" }]);
+  });
+});
@@ -6,6 +6,7 @@ const {
   buildMyAttendCalendarCells,
   buildAttendCalendarHtml,
   attendedDateKeySet,
+  runLogDateKeySet,
   isProfileCheckedInSession,
 } = require(path.join(__dirname, "../../assets/attendance-my-calendar.js"));
 
@@ -87,4 +88,20 @@ describe("attendance-my-calendar helpers", () => {
     assert.match(html, /cal-day attend today-ring just-checkin/);
     assert.match(html, /cal-day-sub">방금</);
   });
+
+  it("buildAttendCalendarHtml marks run-log days and exposes attended date keys", () => {
+    const items = [
+      { meetingDate: "2026/07/07", runLog: { distanceKm: 8 } },
+      { meetingDate: "2026/07/09", runLog: null },
+    ];
+    const html = buildAttendCalendarHtml({
+      monthKey: "2026-07",
+      attendedDateKeys: Array.from(attendedDateKeySet(items)),
+      runLogDateKeys: Array.from(runLogDateKeySet(items)),
+      cellsOnly: true,
+    });
+    assert.match(html, /class="cal-day attend has-run" data-date-key="2026\/07\/07"/);
+    assert.match(html, /class="cal-day attend" data-date-key="2026\/07\/09"/);
+    assert.equal((html.match(/data-date-key/g) || []).length, 2);
+  });
 });
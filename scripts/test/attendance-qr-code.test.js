@@ -0,0 +1,47 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+
+const { encode, toSvg } = require(path.join(__dirname, "../../assets/attendance-qr-code.js"));
+
+function hasFinderAt(modules, x0, y0) {
+  for (let dy = 0; dy < 7; dy++) {
+    for (let dx = 0; dx < 7; dx++) {
+      const ring = Math.max(Math.abs(dx - 3), Math.abs(dy - 3));
+      if (modules[y0 + dy][x0 + dx] !== (ring !== 2)) return false;
+    }
+  }
+  return true;
+}
+
+describe("DmcQrCode.encode", () => {
+  it("picks the smallest version for the payload", () => {
+    assert.equal(encode("A").version, 1);
+    assert.equal(encode("A").size, 21);
+    const url =
+      "https://dmc-attendance.web.app/attendance-v2.html?meetingDate=2026-10-17&meetingType=SAT&qr=q1.20261017.SAT.30000000.abcdefghijklmnopqrstuv";
+    const qr = encode(url);
+    assert.ok(qr.version >= 6 && qr.version <= 8);
+    assert.equal(qr.size, qr.version * 4 + 17);
+  });
+
+  it("draws the three finder patterns and timing row", () => {
+    const { modules, size } = encode("dmc-attendance");
+    assert.ok(hasFinderAt(modules, 0, 0));
+    assert.ok(hasFinderAt(modules, size - 7, 0));
+    assert.ok(hasFinderAt(modules, 0, size - 7));
+    for (let i = 8; i < size - 8; i++) assert.equal(modules[6][i], i % 2 === 0);
+  });
+
+  it("rejects payloads beyond version 10", () => {
+    assert.throws(() => encode("x".repeat(300)), /too long/);
+  });
+});
+
+describe("DmcQrCode.toSvg", () => {
+  it("renders a square svg including the quiet zone", () => {
+    const svg = toSvg("A", { margin: 2 });
+    assert.match(svg, /^<svg [^>]*viewBox="0 0 25 25"/);
+    assert.match(svg, /<path d="M2,2h1v1h-1z/);
+  });
+});
@@ -0,0 +1,134 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+
+const {
+  QR_WINDOW_MS,
+  KIOSK_KEY_TTL_MS,
+  issueQrToken,
+  verifyQrToken,
+  issueKioskKey,
+  verifyKioskKey,
+  qrTokenCheckTime,
+  qrMeetingSettingsId,
+  resolveQrRequired,
+  normalizeQrSettings,
+} = require(path.join(__dirname, "../../functions/lib/attendance-qr.js"));
+
+const SECRET = "test-secret";
+const NOW = 1_800_000_000_000;
+const meeting = { meetingDateKey: "2026/10/17", meetingType: "SAT", secret: SECRET };
+
+describe("issueQrToken / verifyQrToken", () => {
+  it("accepts a fresh token for the same meeting", () => {
+    const issued = issueQrToken({ ...meeting, nowMs: NOW });
+    assert.match(issued.token, /^q1\.20261017\.SAT\.\d+\.[A-Za-z0-9_-]{22}$/);
+    assert.ok(issued.expiresAtMs > NOW && issued.expiresAtMs <= NOW + QR_WINDOW_MS);
+    assert.deepEqual(verifyQrToken(issued.token, { ...meeting, atMs: NOW + 1000 }), { ok: true });
+  });
+
+  it("rotates every window and expires after the grace windows", () => {
+    const a = issueQrToken({ ...meeting, nowMs: NOW });
+    const b = issueQrToken({ ...meeting, nowMs: NOW + QR_WINDOW_MS });
+    assert.notEqual(a.token, b.token);
+    assert.equal(verifyQrToken(a.token, { ...meeting, atMs: NOW + 2 * QR_WINDOW_MS }).ok, true);
+    assert.equal(
+      verifyQrToken(a.token, { ...meeting, atMs: NOW + 4 * QR_WINDOW_MS }).reason,
+      "QR_TOKEN_EXPIRED"
+    );
+  });
+
+  it("rejects other meetings, forged signatures and missing tokens", () => {
+    const { token } = issueQrToken({ ...meeting, nowMs: NOW });
+    assert.equal(
+      verifyQrToken(token, { ...meeting, meetingType: "TUE", atMs: NOW }).reason,
+      "QR_TOKEN_MISMATCH"
+    );
+    assert.equal(
+      verifyQrToken(token, { ...meeting, secret: "other", atMs: NOW }).reason,
+      "QR_TOKEN_INVALID"
+    );
+    const forged = token.replace(/\.SAT\./, ".TUE.");
+    assert.equal(verifyQrToken(forged, { ...meeting, meetingType: "TUE", atMs: NOW }).reason, "QR_TOKEN_INVALID");
+    assert.equal(verifyQrToken("", { ...meeting, atMs: NOW }).reason, "QR_TOKEN_REQUIRED");
+    assert.equal(verifyQrToken("abc", { ...meeting, atMs: NOW }).reason, "QR_TOKEN_MALFORMED");
+  });
+
+  it("rejects every token when the secret is missing", () => {
+    const { token } = issueQrToken({ ...meeting, secret: "", nowMs: NOW });
+    assert.equal(verifyQrToken(token, { ...meeting, secret: "", atMs: NOW }).reason, "QR_TOKEN_INVALID");
+  });
+
+  it("returns null for invalid meeting input", () => {
+    assert.equal(issueQrToken({ ...meeting, meetingType: "SUN", nowMs: NOW }), null);
+    assert.equal(issueQrToken({ ...meeting, meetingDateKey: "2026-10", nowMs: NOW }), null);
+  });
+});
+
+describe("issueKioskKey / verifyKioskKey", () => {
+  it("verifies within TTL and rejects tampered or expired keys", () => {
+    const { kioskKey } = issueKioskKey({ nowMs: NOW, secret: SECRET });
+    assert.equal(verifyKioskKey(kioskKey, { nowMs: NOW + 1000, secret: SECRET }).ok, true);
+    assert.equal(
+      verifyKioskKey(kioskKey, { nowMs: NOW + KIOSK_KEY_TTL_MS + 1, secret: SECRET }).reason,
+      "KIOSK_KEY_EXPIRED"
+    );
+    assert.equal(verifyKioskKey(kioskKey, { nowMs: NOW, secret: "other" }).reason, "KIOSK_KEY_INVALID");
+    assert.equal(verifyKioskKey("", { nowMs: NOW, secret: SECRET }).reason, "KIOSK_KEY_REQUIRED");
+    const unsigned = issueKioskKey({ nowMs: NOW, secret: "" }).kioskKey;
+    assert.equal(verifyKioskKey(unsigned, { nowMs: NOW, secret: "" }).reason, "KIOSK_KEY_INVALID");
+  });
+});
+
+describe("qrTokenCheckTime", () => {
+  it("uses server time unless a kiosk-keyed replay carries queuedAt", () => {
+    const { kioskKey } = issueKioskKey({ nowMs: NOW - 86400000, secret: SECRET });
+    const queuedAt = NOW - 3600000;
+    const base = { nowMs: NOW, queuedAt, replay: true, kioskKey, secret: SECRET };
+    assert.equal(qrTokenCheckTime(base), queuedAt);
+    assert.equal(qrTokenCheckTime({ ...base, kioskKey: "" }), NOW);
+    assert.equal(qrTokenCheckTime({ ...base, secret: "other" }), NOW);
+    assert.equal(qrTokenCheckTime({ ...base, replay: false }), NOW);
+    assert.equal(qrTokenCheckTime({ ...base, queuedAt: null }), NOW);
+    assert.equal(qrTokenCheckTime({ ...base, queuedAt: NOW - 2 * 86400000 }), NOW);
+  });
+
+  it("a photographed token with a forged queuedAt still expires", () => {
+    const { token } = issueQrToken({ ...meeting, nowMs: NOW });
+    const later = NOW + 10 * QR_WINDOW_MS;
+    const atMs = qrTokenCheckTime({ nowMs: later, queuedAt: NOW, replay: true, kioskKey: "", secret: SECRET });
+    assert.equal(verifyQrToken(token, { ...meeting, atMs }).reason, "QR_TOKEN_EXPIRED");
+  });
+});
+
+describe("normalizeQrSettings", () => {
+  it("defaults every meeting type to not required", () => {
+    const settings = normalizeQrSettings([
+      { id: "SAT", data: { required: true, updatedByRole: "owner" } },
+      { id: "bogus", data: { required: true } },
+    ]);
+    assert.equal(settings.SAT.required, true);
+    assert.equal(settings.TUE.required, false);
+    assert.equal(settings.BOGUS, undefined);
+  });
+});
+
+describe("정모별 QR 설정", () => {
+  it("qrMeetingSettingsId — {YYYYMMDD}_{TYPE}", () => {
+    assert.equal(qrMeetingSettingsId("2026/10/17", "sat"), "20261017_SAT");
+    assert.equal(qrMeetingSettingsId("2026-10", "SAT"), "");
+    assert.equal(qrMeetingSettingsId("2026/10/17", "SUN"), "");
+  });
+
+  it("정모 한 번 설정이 유형 기본보다 우선, 없으면 유형 기본", () => {
+    assert.deepEqual(resolveQrRequired({ required: true }, null), { required: true, source: "type" });
+    assert.deepEqual(resolveQrRequired({ required: true }, { required: false }), { required: false, source: "meeting" });
+    assert.deepEqual(resolveQrRequired(null, { required: true }), { required: true, source: "meeting" });
+    assert.deepEqual(resolveQrRequired(null, null), { required: false, source: "type" });
+  });
+
+  it("normalizeQrSettings 는 정모 한 번 문서를 유형 기본으로 읽지 않는다", () => {
+    const settings = normalizeQrSettings([{ id: "20261017_SAT", data: { required: true } }]);
+    assert.equal(settings.SAT.required, false);
+  });
+});
@@ -0,0 +1,203 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+
+const {
+  memberAttendanceKey,
+  adjustMemberStats,
+  attendanceWriteDeltas,
+  applyMemberStatsEvent,
+  buildMemberStatsFromAttendance,
+  heldClubMeetingsInWindow,
+  memberRetentionRow,
+  computeCohortRetention,
+  computeRetentionReport,
+} = require(path.join(__dirname, "../../functions/lib/attendance-retention.js"));
+const { buildMeetingCalendar } = require(path.join(__dirname, "../../functions/lib/meeting-calendar.js"));
+
+const TODAY = "2026/10/19";
+
+function att(memberId, meetingDateKey, extra) {
+  return { memberId, nickname: "러너" + memberId, team: "T1", meetingDateKey, meetingType: "TUE", isGuest: false, ...extra };
+}
+
+function statsOf(memberId, dateKeys) {
+  return dateKeys.reduce((s, d) => adjustMemberStats(s, memberId, d, 1, { nickname: "러너" + memberId }), null);
+}
+
+describe("memberAttendanceKey", () => {
+  it("정회원 memberId 출석만 집계", () => {
+    assert.deepEqual(memberAttendanceKey(att("m1", "2026/10/13")), { memberId: "m1", dateKey: "2026/10/13" });
+    assert.equal(memberAttendanceKey(att("m1", "2026/10/13", { isGuest: true })), null);
+    assert.equal(memberAttendanceKey(att("", "2026/10/13")), null);
+    assert.equal(memberAttendanceKey(att("m1", "2026-10-13")), null);
+    assert.equal(memberAttendanceKey(null), null);
+  });
+});
+
+describe("adjustMemberStats", () => {
+  it("증감에 따라 first/last/total 재계산", () => {
+    let s = adjustMemberStats(null, "m1", "2026/10/13", 1, { nickname: "가", team: "T1" });
+    s = adjustMemberStats(s, "m1", "2026/09/01", 1, { nickname: "나" });
+    assert.deepEqual(s.dates, { 20261013: 1, 20260901: 1 });
+    assert.equal(s.firstDateKey, "2026/09/01");
+    assert.equal(s.lastDateKey, "2026/10/13");
+    assert.equal(s.total, 2);
+    assert.equal(s.nickname, "나");
+    assert.equal(s.team, "T1");
+
+    s = adjustMemberStats(s, "m1", "2026/10/13", -1);
+    assert.deepEqual(s.dates, { 20260901: 1 });
+    assert.equal(s.lastDateKey, "2026/09/01");
+    assert.equal(s.total, 1);
+  });
+
+  it("없는 날짜 감소는 0 아래로 가지 않음", () => {
+    const s = adjustMemberStats(null, "m1", "2026/10/13", -1);
+    assert.deepEqual(s.dates, {});
+    assert.equal(s.firstDateKey, "");
+    assert.equal(s.total, 0);
+  });
+});
+
+describe("attendanceWriteDeltas", () => {
+  it("생성 +1 / 삭제 -1", () => {
+    assert.deepEqual(
+      attendanceWriteDeltas(null, att("m1", "2026/10/13")).map((d) => d.delta),
+      [1]
+    );
+    assert.deepEqual(attendanceWriteDeltas(att("m1", "2026/10/13"), null), [
+      { memberId: "m1", dateKey: "2026/10/13", delta: -1 },
+    ]);
+  });
+
+  it("같은 회원·날짜 수정은 증감 없이 메타만", () => {
+    const out = attendanceWriteDeltas(att("m1", "2026/10/13"), att("m1", "2026/10/13", { nickname: "새닉", team: "T2" }));
+    assert.deepEqual(out, [{ memberId: "m1", dateKey: "2026/10/13", delta: 0, meta: { nickname: "새닉", team: "T2" } }]);
+  });
+
+  it("게스트 → 회원 전환은 회원 +1 만", () => {
+    const out = attendanceWriteDeltas(att(null, "2026/10/13", { isGuest: true }), att("m9", "2026/10/13"));
+    assert.deepEqual(
+      out.map((d) => [d.memberId, d.delta]),
+      [["m9", 1]]
+    );
+  });
+});
+
+describe("applyMemberStatsEvent", () => {
+  it("재전달된 event.id 는 건너뛰고, 같은 회원의 날짜 이동은 한 번에", () => {
+    const created = applyMemberStatsEvent(null, "m1", "ev1", attendanceWriteDeltas(null, att("m1", "2026/10/13")));
+    assert.equal(created.total, 1);
+    assert.deepEqual(created.eventIds, ["ev1"]);
+    assert.equal(applyMemberStatsEvent(created, "m1", "ev1", [{ dateKey: "2026/10/13", delta: 1 }]), null);
+
+    const moved = applyMemberStatsEvent(created, "m1", "ev2", attendanceWriteDeltas(att("m1", "2026/10/13"), att("m1", "2026/10/15")));
+    assert.deepEqual(moved.dates, { 20261015: 1 });
+    assert.equal(moved.total, 1);
+    assert.deepEqual(moved.eventIds, ["ev1", "ev2"]);
+  });
+
+  it("최근 50개 이벤트 ID 만 남긴다", () => {
+    let s = null;
+    for (let i = 0; i < 60; i++) s = applyMemberStatsEvent(s, "m1", `ev${i}`, [{ dateKey: "2026/10/13", delta: 0 }]);
+    assert.equal(s.eventIds.length, 50);
+    assert.equal(s.eventIds[0], "ev10");
+    assert.equal(s.total, 0);
+  });
+});
+
+describe("buildMemberStatsFromAttendance", () => {
+  it("회원별로 묶고 게스트 제외, 최신 ts 닉네임 사용", () => {
+    const map = buildMemberStatsFromAttendance([
+      att("m1", "2026/10/13", { ts: 2, nickname: "새닉" }),
+      att("m1", "2026/10/08", { ts: 1, nickname: "옛닉" }),
+      att("m2", "2026/10/10"),
+      att(null, "2026/10/10", { isGuest: true }),
+    ]);
+    assert.deepEqual([...map.keys()].sort(), ["m1", "m2"]);
+    assert.equal(map.get("m1").total, 2);
+    assert.equal(map.get("m1").nickname, "새닉");
+    assert.equal(map.get("m1").firstDateKey, "2026/10/08");
+  });
+});
+
+describe("heldClubMeetingsInWindow", () => {
+  it("4주 = 화·목·토 12회, 취소 정모는 제외", () => {
+    assert.equal(heldClubMeetingsInWindow(TODAY, 28, null), 12);
+    const calendar = buildMeetingCalendar([{ meetingDateKey: "2026/10/13", meetingType: "TUE", status: "cancelled" }]);
+    assert.equal(heldClubMeetingsInWindow(TODAY, 28, calendar), 11);
+  });
+});
+
+describe("memberRetentionRow", () => {
+  const held = { 4: 12, 8: 24, 12: 36 };
+
+  it("꾸준히 오다 5주 결석 → at_risk, 기간별 출석률", () => {
+    const s = statsOf("m1", ["2026/09/01", "2026/09/03", "2026/09/05", "2026/09/08", "2026/09/10", "2026/09/12"]);
+    const row = memberRetentionRow(s, TODAY, held);
+    assert.equal(row.lastDateKey, "2026/09/12");
+    assert.equal(row.daysSinceLast, 37);
+    assert.equal(row.status, "at_risk");
+    assert.equal(row.regular, true);
+    assert.equal(row.rate4w, 0);
+    assert.equal(row.rate8w, 25);
+    assert.equal(row.rate12w, 17);
+  });
+
+  it("12주 이상 결석 → churned, 드문 참석은 regular 아님", () => {
+    const row = memberRetentionRow(statsOf("m2", ["2026/06/30", "2026/07/01"]), TODAY, held);
+    assert.equal(row.status, "churned");
+    assert.equal(row.regular, false);
+  });
+
+  it("최근 출석 → active", () => {
+    const row = memberRetentionRow(statsOf("m3", ["2026/10/17"]), TODAY, held);
+    assert.equal(row.status, "active");
+    assert.equal(row.rate4w, 8);
+  });
+});
+
+describe("computeCohortRetention", () => {
+  it("첫 출석 월 코호트별 M+k 리텐션", () => {
+    const cohorts = computeCohortRetention(
+      [
+        statsOf("a", ["2026/08/04", "2026/09/01"]),
+        statsOf("b", ["2026/08/06", "2026/10/01"]),
+        statsOf("c", ["2026/05/02", "2026/10/01"]),
+        statsOf("d", ["2026/10/03"]),
+      ],
+      TODAY,
+      3
+    );
+    assert.deepEqual(cohorts, [
+      { month: "2026-08", size: 2, retention: [100, 50, 50] },
+      { month: "2026-10", size: 1, retention: [100] },
+    ]);
+  });
+});
+
+describe("computeRetentionReport", () => {
+  it("숨김 회원 제외, 이탈 위험은 결석 짧은 순", () => {
+    const regular = ["2026/08/04", "2026/08/06", "2026/08/08", "2026/08/11", "2026/08/13", "2026/08/15"];
+    const report = computeRetentionReport({
+      statsList: [
+        statsOf("long", regular),
+        statsOf("short", [...regular, "2026/09/19"]),
+        statsOf("hidden", regular),
+        statsOf("active", ["2026/10/17"]),
+      ],
+      hiddenIds: new Set(["hidden"]),
+      todayKey: TODAY,
+      months: 12,
+    });
+    assert.deepEqual(report.heldByWeeks, { 4: 12, 8: 24, 12: 36 });
+    assert.deepEqual(report.counts, { active: 1, at_risk: 2, churned: 0 });
+    assert.deepEqual(
+      report.atRisk.map((r) => r.memberId),
+      ["short", "long"]
+    );
+    assert.equal(report.members.length, 3);
+    assert.equal(report.cohorts.find((c) => c.month === "2026-08").size, 2);
+  });
+});
@@ -0,0 +1,93 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+
+const {
+  parseRunDuration,
+  validateRunLogInput,
+  runLogForResponse,
+  summarizeRunLogs,
+  summarizeTrainingCompletion,
+} = require(path.join(__dirname, "../../functions/lib/attendance-run-log.js"));
+
+const TODAY = "2026/10/19";
+const base = { memberId: "m1", meetingDate: "2026-10-17", meetingType: "sat", todayKey: TODAY };
+
+describe("attendance-run-log input", () => {
+  it("시간 문자열 파싱", () => {
+    assert.equal(parseRunDuration("48:30"), 2910);
+    assert.equal(parseRunDuration("1:05:00"), 3900);
+    assert.equal(parseRunDuration(""), 0);
+    assert.equal(parseRunDuration("1:75:00"), null);
+    assert.equal(parseRunDuration("abc"), null);
+  });
+
+  it("거리·시간·RPE·그룹·완료 훈련 정규화", () => {
+    const r = validateRunLogInput({
+      ...base,
+      distanceKm: "8.456",
+      duration: "48:30",
+      rpe: "6",
+      group: " A조 ",
+      completed: ["trainMain", "trainBefore"],
+    });
+    assert.deepEqual(r, {
+      ok: true,
+      memberId: "m1",
+      meetingDateKey: "2026/10/17",
+      meetingType: "SAT",
+      runLog: { distanceKm: 8.46, durationSec: 2910, rpe: 6, group: "A조", completed: ["trainBefore", "trainMain"] },
+    });
+  });
+
+  it("모든 값이 비면 기록 삭제", () => {
+    assert.equal(validateRunLogInput({ ...base, distanceKm: "", duration: "", completed: [] }).runLog, null);
+  });
+
+  it("범위 밖 · 미래 · 14일 이전 · 말이 안 되는 페이스 거절", () => {
+    assert.equal(validateRunLogInput({ ...base, distanceKm: 120 }).ok, false);
+    assert.equal(validateRunLogInput({ ...base, rpe: 11 }).ok, false);
+    assert.equal(validateRunLogInput({ ...base, completed: ["cooldown"] }).ok, false);
+    assert.equal(validateRunLogInput({ ...base, meetingDate: "2026/10/20" }).error, "meetingDate in the future");
+    assert.equal(validateRunLogInput({ ...base, meetingDate: "2026/10/05" }).error, "meetingDate outside 14-day lookback");
+    assert.equal(validateRunLogInput({ ...base, meetingDate: "2026/10/06", distanceKm: 5 }).ok, true);
+    assert.equal(validateRunLogInput({ ...base, distanceKm: 10, duration: "15:00" }).error, "pace too fast — check distance and duration");
+    assert.equal(validateRunLogInput({ ...base, memberId: "" }).ok, false);
+  });
+});
+
+describe("attendance-run-log summaries", () => {
+  const docs = [
+    { nickname: "가람", runLog: { distanceKm: 10, durationSec: 3000, rpe: 6, group: "A조", completed: ["trainMain"] } },
+    { nickname: "보라", runLog: { distanceKm: 5, durationSec: 0, rpe: 8, group: "B조", completed: ["trainBefore", "trainMain"] } },
+    { nickname: "초롱", runLog: { distanceKm: 6, durationSec: 2160, group: "A조", completed: [] } },
+    { nickname: "다온" },
+    { nickname: "게스트", isGuest: true, runLog: { distanceKm: 3, durationSec: 900 } },
+  ];
+
+  it("월 거리 · 평균 페이스는 거리·시간 모두 있는 기록만", () => {
+    assert.deepEqual(summarizeRunLogs(docs.slice(0, 4)), {
+      runLogCount: 3,
+      distanceKm: 21,
+      durationSec: 5160,
+      avgPaceSecPerKm: 323,
+    });
+    assert.equal(runLogForResponse({}), null);
+  });
+
+  it("훈련 수행 현황 — 게스트 제외, 파트별 완료 수 · 그룹", () => {
+    const s = summarizeTrainingCompletion(docs);
+    assert.equal(s.attended, 4);
+    assert.equal(s.logged, 3);
+    assert.deepEqual(s.completed, { trainBefore: 1, trainMain: 2, trainAfter: 0 });
+    assert.equal(s.avgRpe, 7);
+    assert.deepEqual(s.groups, [
+      { group: "A조", count: 2 },
+      { group: "B조", count: 1 },
+    ]);
+    assert.deepEqual(
+      s.logs.map((l) => l.nickname),
+      ["가람", "보라", "초롱"]
+    );
+  });
+});
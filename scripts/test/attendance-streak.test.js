@@ -7,6 +7,7 @@ const {
   isRegularClubMeetingDateKey,
   prevRegularClubMeetingDateKey,
 } = require(path.join(__dirname, "../../functions/lib/attendance-streak.js"));
+const { buildMeetingCalendar, regularTypeForDateKey, shiftDateKey } = require(path.join(__dirname, "../../functions/lib/meeting-calendar.js"));
 
 // 테스트용 날짜 고정 헬퍼: dateKey "YYYY/MM/DD" → Date (KST 정오)
 function dateOf(dateKey) {
@@ -94,3 +95,53 @@ describe("computeClubStreakFromDateSet - 버그 케이스: 중간 정모 미출
     assert.equal(result, 2, "오늘 미출석이면 직전 정모(8/1)부터 역방향 계산 → streak 2");
   });
 });
+
+describe("computeClubStreakFromDateSet - meeting calendar", () => {
+  // 2026/10: 13(화) 우천 취소, 15(목) → 16(금) 이동, 25(일) 추가 모임
+  const calendar = buildMeetingCalendar([
+    { meetingDateKey: "2026/10/13", meetingType: "TUE", status: "cancelled" },
+    { meetingDateKey: "2026/10/15", meetingType: "THU", status: "moved", movedToDateKey: "2026/10/16" },
+    { meetingDateKey: "2026/10/25", meetingType: "ETC", status: "extra" },
+  ]);
+
+  it("취소된 정모는 streak 을 끊지 않음", () => {
+    const attended = new Set(["2026/10/08", "2026/10/10"]);
+    assert.equal(computeClubStreakFromDateSet(attended, dateOf("2026/10/14"), calendar), 2);
+    assert.equal(computeClubStreakFromDateSet(attended, dateOf("2026/10/14")), 0, "캘린더 없으면 13일 불참으로 끊김");
+  });
+
+  it("이동된 정모는 새 날짜 출석으로 이어짐", () => {
+    const attended = new Set(["2026/10/10", "2026/10/16", "2026/10/17"]);
+    assert.equal(prevRegularClubMeetingDateKey("2026/10/17", calendar), "2026/10/16");
+    assert.equal(computeClubStreakFromDateSet(attended, dateOf("2026/10/17"), calendar), 3);
+  });
+
+  it("추가 모임은 출석 시 가산, 불참해도 끊기지 않음", () => {
+    const base = new Set(["2026/10/16", "2026/10/17", "2026/10/20"]);
+    assert.equal(computeClubStreakFromDateSet(base, dateOf("2026/10/20"), calendar), 3);
+    const withExtra = new Set(["2026/10/22", "2026/10/24", "2026/10/25", "2026/10/27"]);
+    assert.equal(computeClubStreakFromDateSet(withExtra, dateOf("2026/10/27"), calendar), 4);
+  });
+
+  it("끊긴 뒤의 추가 모임만 가산", () => {
+    // 10/22(목) 불참 → 그 이전 추가 모임은 없음, 25일 추가 + 24·27 정모
+    const attended = new Set(["2026/10/20", "2026/10/24", "2026/10/25", "2026/10/27"]);
+    assert.equal(computeClubStreakFromDateSet(attended, dateOf("2026/10/27"), calendar), 3);
+  });
+
+  it("장기 휴식으로 탐색 한계에 닿으면 마지막으로 센 정모일 이전 추가 모임은 세지 않음", () => {
+    // 8/1 ~ 10/5 정모 전부 취소(62일 넘게), 그 사이·이전 추가 모임 출석
+    const entries = [
+      { meetingDateKey: "2026/07/05", meetingType: "ETC", status: "extra" },
+      { meetingDateKey: "2026/10/04", meetingType: "ETC", status: "extra" },
+    ];
+    for (let d = "2026/08/01"; d <= "2026/10/05"; d = shiftDateKey(d, 1)) {
+      const type = regularTypeForDateKey(d);
+      if (type) entries.push({ meetingDateKey: d, meetingType: type, status: "cancelled" });
+    }
+    const longBreak = buildMeetingCalendar(entries);
+    const attended = new Set(["2026/07/05", "2026/10/04", "2026/10/06", "2026/10/08", "2026/10/10"]);
+    assert.equal(prevRegularClubMeetingDateKey("2026/10/06", longBreak), null);
+    assert.equal(computeClubStreakFromDateSet(attended, dateOf("2026/10/10"), longBreak), 3);
+  });
+});
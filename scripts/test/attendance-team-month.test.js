@@ -67,6 +67,27 @@ describe("attendance-team-month", () => {
   });
 });
 
+describe("aggregateTeamMonth run logs", () => {
+  it("sums runLog distance per member and team, once per date", () => {
+    const members = [
+      { id: "a", nickname: "알파", team: "1" },
+      { id: "b", nickname: "베타", team: "1" },
+    ];
+    const statusByDate = {
+      "2026/07/02": [
+        { nickname: "알파", memberId: "a", meetingType: "THU", runLog: { distanceKm: 8.5 } },
+        { nickname: "알파", memberId: "a", meetingType: "THU", runLog: { distanceKm: 8.5 } },
+        { nickname: "베타", memberId: "b", meetingType: "THU", runLog: null },
+      ],
+      "2026/07/04": [{ nickname: "알파", memberId: "a", meetingType: "SAT", runLog: { distanceKm: 12.25 } }],
+    };
+    const agg = aggregateTeamMonth({ monthKey: "2026-07", members, statusByDate, teamFilter: "1" });
+    assert.equal(agg.rows[0].distanceKm, 20.75);
+    assert.equal(agg.rows[1].distanceKm, 0);
+    assert.equal(agg.distanceKm, 20.75);
+  });
+});
+
 describe("buildMeetingDots", () => {
   it("marks attended / missed / upcoming from todayKey", () => {
     const dots = buildMeetingDots({
@@ -0,0 +1,102 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+
+const {
+  normalizeSelfDeleteVia,
+  normalizeDeleteReason,
+  buildTombstone,
+  attendanceDataFromTombstone,
+  restoreDuplicateKeys,
+  hasRestoreConflict,
+  listRestorableTombstones,
+} = require(path.join(__dirname, "../../functions/lib/attendance-tombstone.js"));
+
+const ATT = {
+  nickname: "라온",
+  nicknameKey: "라온",
+  memberId: "m1",
+  team: "T2",
+  meetingDateKey: "2026/10/15",
+  meetingType: "THU",
+  timeText: "19:58",
+  isGuest: false,
+};
+
+describe("attendance-tombstone", () => {
+  it("본인 취소 via 는 kiosk|self 만", () => {
+    assert.equal(normalizeSelfDeleteVia("KIOSK"), "kiosk");
+    assert.equal(normalizeSelfDeleteVia("admin"), "self");
+    assert.equal(normalizeSelfDeleteVia(undefined), "self");
+  });
+
+  it("사유는 200자로 자름", () => {
+    assert.equal(normalizeDeleteReason("  잘못 누름 "), "잘못 누름");
+    assert.equal(normalizeDeleteReason("가".repeat(250)).length, 200);
+    assert.equal(normalizeDeleteReason(null), "");
+  });
+
+  it("운영진 삭제 tombstone — 원본 필드 + 삭제 메타", () => {
+    const t = buildTombstone(ATT, {
+      originalId: "m_m1_20261015_THU",
+      via: "admin",
+      role: "owner",
+      actor: "jiwon",
+      memberId: "ignored",
+      reason: "중복 입력",
+      nowIso: "2026-10-15T11:00:00.000Z",
+    });
+    assert.equal(t.nickname, "라온");
+    assert.equal(t.originalId, "m_m1_20261015_THU");
+    assert.equal(t.deletedVia, "admin");
+    assert.equal(t.deletedByRole, "owner");
+    assert.equal(t.deletedBy, "jiwon");
+    assert.equal(t.deletedByMemberId, "");
+    assert.equal(t.deleteReason, "중복 입력");
+    assert.equal(t.restoredAt, "");
+  });
+
+  it("키오스크 취소 tombstone — 회원 ID 기록, 역할 없음", () => {
+    const t = buildTombstone(ATT, { originalId: "x", via: "kiosk", role: "owner", actor: "jiwon", memberId: "m1", nowIso: "t" });
+    assert.equal(t.deletedVia, "kiosk");
+    assert.equal(t.deletedByRole, "");
+    assert.equal(t.deletedBy, "");
+    assert.equal(t.deletedByMemberId, "m1");
+  });
+
+  it("복원 데이터는 삭제 메타를 빼고 복원 표시", () => {
+    const t = buildTombstone(ATT, { originalId: "x", via: "self", memberId: "m1", nowIso: "t1" });
+    const restored = attendanceDataFromTombstone(t, { nowIso: "t2", role: "operator", actor: "minsu" });
+    assert.deepEqual(restored, { ...ATT, restoredAt: "t2", restoredByRole: "operator", restoredBy: "minsu" });
+  });
+
+  it("복원 중복 — 같은 날 다른 유형 출석이 있어도 막는다 (출석 저장과 같은 규칙)", () => {
+    const t = buildTombstone(ATT, { originalId: "x", via: "admin", role: "operator", nowIso: "t1" });
+    assert.deepEqual(restoreDuplicateKeys(t), [["nicknameKey", "라온"], ["memberId", "m1"]]);
+    const otherType = { ...ATT, meetingType: "ETC", meetingTypeLabel: "기타" };
+    assert.equal(hasRestoreConflict(t, [otherType]), true);
+    assert.equal(hasRestoreConflict(t, [{ ...otherType, memberId: null }]), true);
+    assert.equal(hasRestoreConflict(t, [{ ...otherType, meetingDateKey: "2026/10/16" }]), false);
+    assert.equal(hasRestoreConflict(t, [{ ...otherType, nicknameKey: "다른", memberId: "m2" }]), false);
+    const guest = buildTombstone({ ...ATT, memberId: null, isGuest: true }, { originalId: "g", via: "admin", nowIso: "t1" });
+    assert.deepEqual(restoreDuplicateKeys(guest), []);
+    assert.equal(hasRestoreConflict(guest, [otherType]), false);
+  });
+
+  it("최근 삭제 목록 — 복원분·기간 밖 제외, 최신순", () => {
+    const docs = [
+      { id: "a", data: { ...ATT, deletedAt: "2026-10-10T00:00:00Z", deletedVia: "self", originalId: "oa" } },
+      { id: "b", data: { ...ATT, deletedAt: "2026-10-12T00:00:00Z", deletedVia: "admin", originalId: "ob" } },
+      { id: "c", data: { ...ATT, deletedAt: "2026-10-13T00:00:00Z", restoredAt: "2026-10-14T00:00:00Z" } },
+      { id: "d", data: { ...ATT, deletedAt: "2026-09-01T00:00:00Z" } },
+    ];
+    const rows = listRestorableTombstones(docs, "2026-09-20T00:00:00Z");
+    assert.deepEqual(
+      rows.map((r) => r.tombstoneId),
+      ["b", "a"]
+    );
+    assert.equal(rows[0].originalId, "ob");
+    assert.equal(rows[0].deletedVia, "admin");
+    assert.equal(rows[0].meetingType, "THU");
+  });
+});
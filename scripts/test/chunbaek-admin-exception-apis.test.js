@@ -6,6 +6,14 @@ const { handleAdminRequest } = require(path.join(
   __dirname,
   "../../functions/lib/chunbaek-admin.js",
 ));
+const { issueAdminSessionToken } = require(path.join(__dirname, "../../functions/lib/admin-auth.js"));
+
+process.env.ADMIN_SESSION_SECRET = "test-admin-session-secret";
+const ADMIN_TOKEN = issueAdminSessionToken({
+  sessionId: "sessCoach01",
+  nowMs: Date.now(),
+  secret: process.env.ADMIN_SESSION_SECRET,
+}).token;
 
 class FakeTimestamp {
   constructor(iso) {
@@ -272,6 +280,9 @@ async function runAction(action, req, db) {
 
 function seedAdminDb() {
   return new FakeDb({
+    admin_sessions: {
+      sessCoach01: { username: "coach.kim", role: "chunbaek_coach", team: "", revokedAt: "" },
+    },
     members: {
       m1: {
         nickname: "초이스",
@@ -353,7 +364,7 @@ describe("chunbaek admin exception request APIs", () => {
 
     const res = await runAction("admin-list-exception-requests", {
       method: "GET",
-      query: { adminPw: "dmc2008" },
+      headers: { authorization: `Bearer ${ADMIN_TOKEN}` },
     }, db);
 
     assert.equal(res.statusCode, 200);
@@ -391,7 +402,8 @@ describe("chunbaek admin exception request APIs", () => {
 
     const res = await runAction("admin-list-exception-requests", {
       method: "GET",
-      query: { adminPw: "dmc2008", status: "all" },
+      headers: { authorization: `Bearer ${ADMIN_TOKEN}` },
+      query: { status: "all" },
     }, db);
 
     assert.equal(res.statusCode, 400);
@@ -407,7 +419,7 @@ describe("chunbaek admin exception request APIs", () => {
     const res = await runAction("admin-review-exception-request", {
       method: "POST",
       body: {
-        adminPw: "dmc2008",
+        adminToken: ADMIN_TOKEN,
         requestId: "reqPending",
         decision: "approve",
         reviewNote: "확인 완료",
@@ -430,7 +442,7 @@ describe("chunbaek admin exception request APIs", () => {
     assert.equal(attendance["m1_2"].attended, false);
     assert.equal(attendance["m1_2"].exception, true);
     assert.equal(attendance["m1_2"].exceptionNote, "[상신] 발목 통증");
-    assert.equal(attendance["m1_2"].updatedBy, "admin");
+    assert.equal(attendance["m1_2"].updatedBy, "coach.kim");
     assert.equal(attendance["m1_3"].exceptionNote, "[상신] 기존");
     assert.equal(attendance["m1_3"].updatedBy, "member");
     assert.equal(db.transactionCalls, 1);
@@ -439,7 +451,7 @@ describe("chunbaek admin exception request APIs", () => {
     assert.equal(requests.reqPending.status, "approved");
     assert.deepEqual(requests.reqPending.appliedSlotIds, [2]);
     assert.deepEqual(requests.reqPending.skippedSlotIds, [1]);
-    assert.equal(requests.reqPending.reviewedBy, "admin");
+    assert.equal(requests.reqPending.reviewedBy, "coach.kim");
     assert.equal(requests.reqPending.reviewNote, "확인 완료");
 
     const locks = db.dumpCollection("chunbaek_exception_locks");
@@ -452,7 +464,7 @@ describe("chunbaek admin exception request APIs", () => {
     const res = await runAction("admin-review-exception-request", {
       method: "POST",
       body: {
-        adminPw: "dmc2008",
+        adminToken: ADMIN_TOKEN,
         requestId: "reqPending",
         decision: "reject",
         reviewNote: "증빙 부족",
@@ -472,7 +484,7 @@ describe("chunbaek admin exception request APIs", () => {
 
     const requests = db.dumpCollection("chunbaek_exception_requests");
     assert.equal(requests.reqPending.status, "rejected");
-    assert.equal(requests.reqPending.reviewedBy, "admin");
+    assert.equal(requests.reqPending.reviewedBy, "coach.kim");
     assert.equal(requests.reqPending.reviewNote, "증빙 부족");
 
     const locks = db.dumpCollection("chunbaek_exception_locks");
@@ -485,7 +497,7 @@ describe("chunbaek admin exception request APIs", () => {
     const res = await runAction("admin-review-exception-request", {
       method: "POST",
       body: {
-        adminPw: "dmc2008",
+        adminToken: ADMIN_TOKEN,
         requestId: "reqApproved",
         decision: "approve",
       },
@@ -504,7 +516,7 @@ describe("chunbaek admin exception request APIs", () => {
     const res = await runAction("admin-review-exception-request", {
       method: "POST",
       body: {
-        adminPw: "dmc2008",
+        adminToken: ADMIN_TOKEN,
         requestId: "reqOtherType",
         decision: "approve",
       },
@@ -516,4 +528,27 @@ describe("chunbaek admin exception request APIs", () => {
       error: "invalid request type",
     });
   });
+
+  it("rejects missing, revoked and wrong-role admin sessions", async () => {
+    const db = seedAdminDb();
+    const listReq = (token) =>
+      runAction("admin-list-exception-requests", { method: "GET", headers: token ? { authorization: `Bearer ${token}` } : {} }, db);
+
+    const missing = await listReq("");
+    assert.equal(missing.statusCode, 401);
+    assert.equal(missing.body.error, "ADMIN_SESSION_REQUIRED");
+
+    const tampered = await listReq(`${ADMIN_TOKEN.slice(0, -2)}xx`);
+    assert.equal(tampered.statusCode, 401);
+    assert.equal(tampered.body.error, "TOKEN_INVALID");
+
+    await db.collection("admin_sessions").doc("sessCoach01").set({ role: "team_leader" }, { merge: true });
+    const forbidden = await listReq(ADMIN_TOKEN);
+    assert.equal(forbidden.statusCode, 403);
+
+    await db.collection("admin_sessions").doc("sessCoach01").set({ revokedAt: "2026-07-20T00:00:00.000Z" }, { merge: true });
+    const revoked = await listReq(ADMIN_TOKEN);
+    assert.equal(revoked.statusCode, 401);
+    assert.equal(revoked.body.error, "SESSION_REVOKED");
+  });
 });
@@ -0,0 +1,118 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+
+const {
+  clubRecordAgeGroup,
+  clubRecordCategoryLabel,
+  parseClubRecordExcludeReason,
+  buildClubRecordBoard,
+  detectNewClubRecords,
+  buildClubRecordAnnouncement,
+} = require(path.join(__dirname, "../../functions/lib/club-records.js"));
+
+const MEMBERS = new Map([
+  ["m-garam", { nickname: "가람", gender: "M", birthYear: 1984 }],
+  ["m-bora", { nickname: "보라", gender: "F", birthYear: 1990 }],
+  ["m-chan", { nickname: "찬", gender: "M" }],
+]);
+
+function doc(id, over) {
+  return {
+    id,
+    data: { memberId: "m-garam", memberNickname: "가람", distance: "full", eventDate: "2025-03-16", eventName: "서울마라톤", netTime: "03:30:00", status: "confirmed", jobId: "spct_1", ...over },
+  };
+}
+
+const DOCS = [
+  doc("g-full-2025", {}),
+  doc("g-full-2026", { eventDate: "2026-03-15", netTime: "03:20:00" }),
+  doc("c-full-2025", { memberId: "m-chan", memberNickname: "찬", eventDate: "2025-11-02", netTime: "03:25:00" }),
+  doc("b-half-2026", { memberId: "m-bora", memberNickname: "보라", distance: "하프", eventDate: "2026-04-05", netTime: "1:45:10" }),
+  doc("guest-full", { memberId: null, isGuest: true, netTime: "02:50:00" }),
+  doc("g-30k", { distance: "30K", netTime: "02:20:00" }),
+  doc("g-dns", { status: "dns", netTime: "" }),
+];
+
+describe("분류", () => {
+  it("clubRecordAgeGroup — 대회 연도 기준 10년 단위, 20대 이하·60대 이상으로 묶는다", () => {
+    assert.equal(clubRecordAgeGroup(1984, "2026-03-15"), "40");
+    assert.equal(clubRecordAgeGroup(2008, "2026-03-15"), "20");
+    assert.equal(clubRecordAgeGroup(1950, "2026-03-15"), "60");
+    assert.equal(clubRecordAgeGroup(null, "2026-03-15"), "");
+  });
+
+  it("clubRecordCategoryLabel · parseClubRecordExcludeReason", () => {
+    assert.equal(clubRecordCategoryLabel({ distance: "full", gender: "M", ageGroup: "all" }), "풀 남자");
+    assert.equal(clubRecordCategoryLabel({ distance: "half", gender: "F", ageGroup: "30" }), "하프 여자 30대");
+    assert.deepEqual(parseClubRecordExcludeReason(" "), { ok: false, error: "REASON_REQUIRED" });
+    assert.deepEqual(parseClubRecordExcludeReason(" 코스 단축 "), { ok: true, reason: "코스 단축" });
+  });
+});
+
+describe("buildClubRecordBoard", () => {
+  it("회원당 최고 기록 하나로 순위 · 게스트·대상 외 거리·미완주 제외", () => {
+    const board = buildClubRecordBoard(DOCS, { membersById: MEMBERS });
+    const fullM = board.categories.find((c) => c.key === "full|M|all");
+    assert.deepEqual(
+      fullM.top.map((e) => [e.rank, e.docId, e.netTime]),
+      [
+        [1, "g-full-2026", "03:20:00"],
+        [2, "c-full-2025", "03:25:00"],
+      ]
+    );
+    assert.deepEqual(board.categories.map((c) => c.key), ["full|M|all", "full|M|40", "half|F|all", "half|F|30"]);
+    assert.equal(board.categories.find((c) => c.key === "half|F|all").top[0].distance, "half");
+  });
+
+  it("연도별 최고 기록", () => {
+    const board = buildClubRecordBoard(DOCS, { membersById: MEMBERS });
+    assert.deepEqual(
+      board.yearBests.map((y) => [y.year, y.distance, y.gender, y.entry.docId]),
+      [
+        ["2026", "full", "M", "g-full-2026"],
+        ["2026", "half", "F", "b-half-2026"],
+        ["2025", "full", "M", "c-full-2025"],
+      ]
+    );
+  });
+
+  it("운영진 제외 기록은 빠지고 다음 기록이 올라온다", () => {
+    const board = buildClubRecordBoard(DOCS, { membersById: MEMBERS, excludedIds: new Set(["g-full-2026"]) });
+    const fullM = board.categories.find((c) => c.key === "full|M|all");
+    assert.deepEqual(fullM.top.map((e) => e.docId), ["c-full-2025", "g-full-2025"]);
+    assert.equal(board.excludedCount, 1);
+  });
+
+  it("topN 까지만", () => {
+    const docs = Array.from({ length: 12 }, (_, i) => doc(`d${i}`, { memberId: `x${i}`, netTime: `03:${String(10 + i).padStart(2, "0")}:00`, gender: "남" }));
+    const board = buildClubRecordBoard(docs, { membersById: new Map() });
+    assert.equal(board.categories[0].top.length, 10);
+    assert.equal(board.categories[0].top[9].docId, "d9");
+  });
+});
+
+describe("detectNewClubRecords", () => {
+  const before = buildClubRecordBoard(DOCS.filter((d) => d.id !== "g-full-2026"), { membersById: MEMBERS });
+  const after = buildClubRecordBoard(DOCS, { membersById: MEMBERS });
+
+  it("이번 확정 기록이 기존 1위보다 빠르면 분류를 묶어 알린다", () => {
+    const news = detectNewClubRecords(before, after, new Set(["g-full-2026"]));
+    assert.equal(news.length, 1);
+    assert.equal(news[0].entry.docId, "g-full-2026");
+    assert.deepEqual(news[0].categories.map((c) => c.label), ["풀 남자", "풀 남자 40대"]);
+    assert.equal(news[0].categories[0].previous.docId, "c-full-2025");
+
+    const ann = buildClubRecordAnnouncement(news[0], "2026-03-16T00:00:00.000Z");
+    assert.equal(ann.type, "club_record");
+    assert.equal(ann.raceResultId, "g-full-2026");
+    assert.equal(ann.title, "🏆 클럽 신기록 — 풀 남자");
+    assert.match(ann.body, /이전 찬 03:25:00/);
+  });
+
+  it("이전 기록판이 없거나 · 이번 확정이 아니거나 · 같은 기록 재확정이면 알리지 않는다", () => {
+    assert.deepEqual(detectNewClubRecords(null, after, new Set(["g-full-2026"])), []);
+    assert.deepEqual(detectNewClubRecords(before, after, new Set(["b-half-2026"])), []);
+    assert.deepEqual(detectNewClubRecords(after, after, new Set(["g-full-2026"])), []);
+  });
+});
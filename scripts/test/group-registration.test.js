@@ -0,0 +1,149 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+
+const {
+  carpoolAreaKey,
+  parseGroupRegistration,
+  parseRegistrationCutoff,
+  groupRegistrationState,
+  findBibConflict,
+  applyGroupRegistration,
+  removeGroupRegistration,
+  mergeOperatorParticipants,
+  matchCarpools,
+} = require(path.join(__dirname, "../../functions/lib/group-registration.js"));
+
+const NOW = "2026-10-01T00:00:00.000Z";
+
+function p(memberId, carpool, registeredAt, over) {
+  return { memberId, nickname: memberId.toUpperCase(), realName: `실명${memberId}`, distance: "half", bib: null, carpool, registeredAt, ...over };
+}
+
+describe("parseGroupRegistration", () => {
+  it("거리 정규화 · 배번 선택 · 카풀 없음", () => {
+    assert.deepEqual(parseGroupRegistration({ memberId: " m1 ", distance: "하프", bib: " 1234 " }), {
+      ok: true,
+      value: { memberId: "m1", distance: "half", bib: "1234", carpool: null },
+    });
+    assert.equal(parseGroupRegistration({ memberId: "m1", distance: "10km", bib: "" }).value.bib, null);
+  });
+
+  it("카풀 제공은 지역·좌석, 요청은 지역", () => {
+    assert.deepEqual(parseGroupRegistration({ memberId: "m1", distance: "full", carpool: { role: "offer", area: "동탄2", seats: 3 } }).value.carpool, {
+      role: "offer",
+      area: "동탄2",
+      seats: 3,
+    });
+    assert.deepEqual(parseGroupRegistration({ memberId: "m1", distance: "full", carpool: { role: "request", area: "병점", seats: 9 } }).value.carpool, {
+      role: "request",
+      area: "병점",
+    });
+  });
+
+  it("오류 코드", () => {
+    const err = (b) => parseGroupRegistration(b).error;
+    assert.equal(err({ distance: "full" }), "MEMBER_REQUIRED");
+    assert.equal(err({ memberId: "m1" }), "DISTANCE_REQUIRED");
+    assert.equal(err({ memberId: "m1", distance: "8.15km" }), "INVALID_DISTANCE");
+    assert.equal(err({ memberId: "m1", distance: "full", bib: "12345678901" }), "BIB_TOO_LONG");
+    assert.equal(err({ memberId: "m1", distance: "full", carpool: { role: "taxi" } }), "INVALID_CARPOOL_ROLE");
+    assert.equal(err({ memberId: "m1", distance: "full", carpool: { role: "request" } }), "CARPOOL_AREA_REQUIRED");
+    assert.equal(err({ memberId: "m1", distance: "full", carpool: { role: "offer", area: "동탄", seats: 0 } }), "INVALID_SEATS");
+  });
+});
+
+describe("마감", () => {
+  it("parseRegistrationCutoff — 빈 값은 해제, 대회일 이후 불가", () => {
+    assert.deepEqual(parseRegistrationCutoff("", "2026-11-01"), { ok: true, cutoff: null });
+    assert.deepEqual(parseRegistrationCutoff("2026-10-20", "2026-11-01"), { ok: true, cutoff: "2026-10-20" });
+    assert.equal(parseRegistrationCutoff("2026/10/20", "2026-11-01").error, "INVALID_CUTOFF");
+    assert.equal(parseRegistrationCutoff("2026-11-02", "2026-11-01").error, "CUTOFF_AFTER_EVENT");
+  });
+
+  it("groupRegistrationState — 마감일 당일까지 열림, 잠금 우선", () => {
+    const ev = { eventDate: "2026-11-01", registrationCutoff: "2026-10-20" };
+    assert.deepEqual(groupRegistrationState(ev, "2026-10-20"), { open: true, reason: null, cutoff: "2026-10-20" });
+    assert.equal(groupRegistrationState(ev, "2026-10-21").reason, "cutoff");
+    assert.equal(groupRegistrationState({ eventDate: "2026-11-01" }, "2026-11-02").reason, "past");
+    assert.equal(groupRegistrationState({ ...ev, registrationLocked: true }, "2026-10-01").reason, "locked");
+  });
+});
+
+describe("명단 반영", () => {
+  const member = { id: "m1", realName: "김가람", nickname: "가람" };
+  const reg = { distance: "full", bib: "101", carpool: null };
+
+  it("새 신청은 끝에 추가, 다시 신청하면 거리·배번·카풀만 바꾼다", () => {
+    const first = applyGroupRegistration([p("m0")], member, reg, NOW);
+    assert.equal(first.created, true);
+    assert.deepEqual(first.participants[1], {
+      memberId: "m1",
+      realName: "김가람",
+      nickname: "가람",
+      distance: "full",
+      bib: "101",
+      carpool: null,
+      updatedAt: NOW,
+      selfRegistered: true,
+      registeredAt: NOW,
+    });
+    const again = applyGroupRegistration(first.participants, member, { distance: "half", bib: null, carpool: null }, "2026-10-02T00:00:00.000Z");
+    assert.equal(again.created, false);
+    assert.equal(again.participants.length, 2);
+    assert.equal(again.participants[1].distance, "half");
+    assert.equal(again.participants[1].registeredAt, NOW);
+  });
+
+  it("배번 중복 · 취소", () => {
+    const list = [p("m0", null, NOW, { bib: "101", selfRegistered: true }), p("m1", null, NOW, { bib: "202" })];
+    assert.equal(findBibConflict(list, "m1", "101").memberId, "m0");
+    assert.equal(findBibConflict(list, "m1", "202"), null);
+    assert.equal(findBibConflict(list, "m1", null), null);
+    assert.deepEqual(removeGroupRegistration(list, "m0").participants.map((x) => x.memberId), ["m1"]);
+    assert.equal(removeGroupRegistration(list, "m9").error, "NOT_REGISTERED");
+    // 운영진이 넣은 참가자는 공개 취소로 지우지 않는다
+    const op = removeGroupRegistration(list, "m1");
+    assert.equal(op.removed, false);
+    assert.equal(op.error, "OPERATOR_ADDED");
+    assert.equal(op.participants.length, 2);
+  });
+
+  it("mergeOperatorParticipants — 운영진 저장에도 신청 정보 유지, 빠진 회원은 제외", () => {
+    const existing = [p("m0", { role: "offer", area: "동탄", seats: 2 }, NOW, { bib: "7" }), p("m1")];
+    const merged = mergeOperatorParticipants(existing, [{ memberId: "m0", realName: "실명m0", nickname: "M0" }, { memberId: "m2", realName: "새", nickname: "N" }]);
+    assert.deepEqual(merged.map((x) => x.memberId), ["m0", "m2"]);
+    assert.equal(merged[0].bib, "7");
+    assert.equal(merged[0].distance, "half");
+    assert.equal(merged[0].carpool.seats, 2);
+  });
+});
+
+describe("matchCarpools", () => {
+  it("같은 지역 안에서 신청 순서대로 빈자리가 많은 차에 배정", () => {
+    const list = [
+      p("d1", { role: "offer", area: "동탄 2동", seats: 1 }, "2026-10-01T01:00:00Z"),
+      p("d2", { role: "offer", area: "동탄2동", seats: 2 }, "2026-10-01T02:00:00Z"),
+      p("r1", { role: "request", area: "동탄2동" }, "2026-10-01T03:00:00Z"),
+      p("r2", { role: "request", area: "동탄2동" }, "2026-10-01T04:00:00Z"),
+      p("r3", { role: "request", area: "동탄2동" }, "2026-10-01T05:00:00Z"),
+      p("r4", { role: "request", area: "동탄2동" }, "2026-10-01T06:00:00Z"),
+      p("r5", { role: "request", area: "병점" }, "2026-10-01T00:30:00Z"),
+      p("n1", null, NOW),
+    ];
+    const { groups, unmatched } = matchCarpools(list);
+    assert.deepEqual(
+      groups.map((g) => [g.driver.memberId, g.seats, g.riders.map((r) => r.memberId)]),
+      [
+        ["d2", 2, ["r1", "r2"]],
+        ["d1", 1, ["r3"]],
+      ]
+    );
+    assert.deepEqual(unmatched.map((u) => u.memberId), ["r5", "r4"]);
+    assert.equal(unmatched[0].area, "병점");
+  });
+
+  it("carpoolAreaKey", () => {
+    assert.equal(carpoolAreaKey(" 동탄 2동 "), carpoolAreaKey("동탄2동"));
+  });
+});
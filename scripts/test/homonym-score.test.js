@@ -0,0 +1,128 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+
+const {
+  DIMOUT_SCORE,
+  parseMemberBirthYear,
+  normalizeGender,
+  candidateAgeDecade,
+  buildHomonymProfile,
+  scoreHomonymCandidate,
+  benchmarkHomonymDimout,
+} = require(path.join(__dirname, "../../functions/lib/homonym-score.js"));
+const { normalizeRaceDistance } = require(path.join(__dirname, "../../functions/lib/raceDistance.js"));
+
+const MEMBER = { realName: "김민수", gender: "M", birthYear: 1985 };
+const HISTORY = [
+  { source: "smartchip", sourceId: "A", distance: "full", netTime: "03:30:00" },
+  { source: "smartchip", sourceId: "B", distance: "full", netTime: "03:45:00" },
+  { source: "spct", sourceId: "C", distance: "half", netTime: "01:38:00" },
+];
+
+describe("입력 정규화", () => {
+  it("parseMemberBirthYear — 빈 값은 null, 범위 밖은 INVALID_BIRTH_YEAR", () => {
+    assert.deepEqual(parseMemberBirthYear(""), { ok: true, birthYear: null });
+    assert.deepEqual(parseMemberBirthYear(null), { ok: true, birthYear: null });
+    assert.deepEqual(parseMemberBirthYear(" 1985 ", 2026), { ok: true, birthYear: 1985 });
+    assert.deepEqual(parseMemberBirthYear("1929", 2026), { ok: false, error: "INVALID_BIRTH_YEAR" });
+    assert.deepEqual(parseMemberBirthYear(2020, 2026), { ok: false, error: "INVALID_BIRTH_YEAR" });
+    assert.deepEqual(parseMemberBirthYear("85", 2026), { ok: false, error: "INVALID_BIRTH_YEAR" });
+  });
+
+  it("normalizeGender · candidateAgeDecade", () => {
+    assert.equal(normalizeGender("남"), "M");
+    assert.equal(normalizeGender("Female"), "F");
+    assert.equal(normalizeGender("-"), null);
+    assert.equal(candidateAgeDecade({ ageGroup: "M40" }, 2026), 40);
+    assert.equal(candidateAgeDecade({ ageGroup: "50대" }, 2026), 50);
+    assert.equal(candidateAgeDecade({ age: 37 }, 2026), 30);
+    assert.equal(candidateAgeDecade({ birthYear: 1985 }, 2026), 40);
+    assert.equal(candidateAgeDecade({ bib: "F1024" }, 2026), null);
+  });
+});
+
+describe("scoreHomonymCandidate", () => {
+  const profile = buildHomonymProfile(MEMBER, HISTORY, normalizeRaceDistance);
+  const ctx = { eventDate: "2026-03-15" };
+
+  it("프로필 — 거리별 페이스 범위와 예상 페이스", () => {
+    assert.equal(profile.gender, "M");
+    assert.equal(profile.birthYear, 1985);
+    assert.equal(profile.paceRanges.full.n, 2);
+    assert.ok(profile.predictedPaces["10K"] > 0);
+  });
+
+  it("정보 없는 후보는 기본 50 — 딤아웃 안 됨", () => {
+    assert.deepEqual(scoreHomonymCandidate({ distance: "full" }, buildHomonymProfile({}, []), {}), {
+      score: 50,
+      dimout: false,
+      reasons: [],
+    });
+  });
+
+  it("성별·연령대·페이스 범위 일치 → 높은 점수", () => {
+    const r = scoreHomonymCandidate({ distance: "Full", netTime: "03:35:10", gender: "남", ageGroup: "40대" }, profile, ctx, normalizeRaceDistance);
+    assert.equal(r.score, 95);
+    assert.equal(r.dimout, false);
+  });
+
+  it("성별 불일치 → 딤아웃 (사유 gender)", () => {
+    const r = scoreHomonymCandidate({ distance: "full", netTime: "03:35:10", gender: "F" }, profile, ctx, normalizeRaceDistance);
+    assert.equal(r.dimout, true);
+    assert.deepEqual(r.reasons, ["gender"]);
+  });
+
+  it("예상 페이스와 크게 다름 · 연령대 2단계 차이 → 딤아웃", () => {
+    const slow = scoreHomonymCandidate({ distance: "full", netTime: "06:40:00" }, profile, ctx, normalizeRaceDistance);
+    assert.deepEqual(slow.reasons, ["pace"]);
+    assert.ok(slow.score < DIMOUT_SCORE);
+    const old = scoreHomonymCandidate({ distance: "full", ageGroup: "60대" }, profile, ctx, normalizeRaceDistance);
+    assert.deepEqual(old.reasons, ["age"]);
+    assert.equal(old.dimout, true);
+    // 5K 는 페이스 편차를 보지 않는다 (가족 동반·걷기 참가)
+    assert.deepEqual(scoreHomonymCandidate({ distance: "5K", netTime: "00:50:00" }, profile, ctx, normalizeRaceDistance).reasons, []);
+  });
+
+  it("클럽 단체 참가 명단에 있으면 페이스가 어긋나도 살린다", () => {
+    const r = scoreHomonymCandidate({ distance: "full", netTime: "06:40:00" }, profile, { ...ctx, memberRegistered: true }, normalizeRaceDistance);
+    assert.equal(r.score, 35);
+    assert.equal(r.dimout, false);
+    assert.equal(scoreHomonymCandidate({ distance: "full" }, profile, { clubParticipants: 4 }).score, 55);
+  });
+});
+
+describe("benchmarkHomonymDimout", () => {
+  const cases = [
+    {
+      member: MEMBER,
+      history: [...HISTORY, { source: "smartchip", sourceId: "EVAL", distance: "full", netTime: "06:40:00" }],
+      source: "smartchip",
+      sourceId: "EVAL",
+      eventDate: "2026-03-15",
+      candidates: [
+        { distance: "full", netTime: "03:40:00", gender: "M", isTrue: true },
+        { distance: "full", netTime: "03:40:00", gender: "F", isTrue: false },
+        { distance: "full", netTime: "06:40:00", isTrue: false },
+        { distance: "full", netTime: "03:20:00", isTrue: false },
+      ],
+    },
+  ];
+
+  it("FNR · 타인 후보 감소율 — 평가 대회 기록은 history 에서 제외", () => {
+    const r = benchmarkHomonymDimout(cases, { normDist: normalizeRaceDistance });
+    assert.equal(r.candidates, 4);
+    assert.equal(r.truePositives, 1);
+    assert.equal(r.falseNegativeRate, 0);
+    assert.equal(r.others, 3);
+    assert.equal(r.othersDimmed, 2);
+    assert.equal(r.reductionRate, 66.7);
+    assert.deepEqual(r.misses, []);
+  });
+
+  it("임계값을 올리면 본인 기록도 딤아웃 → misses 에 남는다", () => {
+    const r = benchmarkHomonymDimout(cases, { threshold: 90, normDist: normalizeRaceDistance });
+    assert.equal(r.falseNegatives, 1);
+    assert.equal(r.misses[0].sourceId, "EVAL");
+  });
+});
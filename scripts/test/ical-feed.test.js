@@ -0,0 +1,184 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+
+const {
+  escapeIcalText,
+  foldIcalLine,
+  parseStartTime,
+  addMinutes,
+  parseFeedQuery,
+  meetingFeedEvents,
+  groupRaceFeedEvents,
+  chunbaekFeedEvents,
+  buildIcsCalendar,
+} = require(path.join(__dirname, "../../functions/lib/ical-feed.js"));
+const { buildMeetingCalendar } = require(path.join(__dirname, "../../functions/lib/meeting-calendar.js"));
+
+/** 2026/10/19(월) ~ 10/25(일) */
+const FROM = "2026/10/19";
+const TO = "2026/10/25";
+
+describe("ical-feed text", () => {
+  it("TEXT 이스케이프 · 75 octet 접기 (한글 글자 중간 안 끊음)", () => {
+    assert.equal(escapeIcalText("a,b;c\\d\ne"), "a\\,b\\;c\\\\d\\ne");
+    const folded = foldIcalLine("SUMMARY:" + "가".repeat(40));
+    const parts = folded.split("\r\n ");
+    assert.ok(parts.length > 1);
+    parts.forEach((part, i) => assert.ok(Buffer.byteLength(part, "utf8") <= (i ? 74 : 75)));
+    assert.equal(parts.join(""), "SUMMARY:" + "가".repeat(40));
+  });
+
+  it("시작 시각 파싱 · 자정 넘김", () => {
+    assert.equal(parseStartTime("7:30~8:30"), "07:30");
+    assert.equal(parseStartTime("저녁"), "");
+    assert.equal(parseStartTime("25:00"), "");
+    assert.deepEqual(addMinutes("2026/10/20", "23:30", 60), { dateKey: "2026/10/21", time: "00:30" });
+  });
+});
+
+describe("ical-feed query", () => {
+  it("기본은 전체 피드 · 필터 정규화", () => {
+    assert.deepEqual(parseFeedQuery({}), {
+      ok: true,
+      kinds: ["meetings", "races", "chunbaek"],
+      types: [],
+      team: "",
+      memberId: "",
+      mine: false,
+    });
+    const q = parseFeedQuery({ feed: "races", type: "sat, tue", team: "t1", memberId: "m_1", mine: "1" });
+    assert.deepEqual(q.kinds, ["races"]);
+    assert.deepEqual(q.types, ["SAT", "TUE"]);
+    assert.equal(q.team, "T1");
+    assert.equal(q.mine, true);
+  });
+
+  it("잘못된 값 · memberId 없는 mine 거절", () => {
+    assert.equal(parseFeedQuery({ feed: "photos" }).ok, false);
+    assert.equal(parseFeedQuery({ type: "MON" }).ok, false);
+    assert.equal(parseFeedQuery({ team: "T9" }).ok, false);
+    assert.equal(parseFeedQuery({ memberId: "../x" }).ok, false);
+    assert.equal(parseFeedQuery({ mine: "1" }).ok, false);
+  });
+});
+
+describe("ical-feed meetings", () => {
+  it("훈련 문서의 시간·장소·메인 훈련 · 없으면 기본 시간", () => {
+    const trainingById = new Map([
+      ["2026-10-20_TUE", { time: "19:30", place: "월드컵공원", trainMain: "인터벌 1km x 5" }],
+    ]);
+    const events = meetingFeedEvents({ fromKey: FROM, toKey: TO, calendar: null, trainingById });
+    assert.deepEqual(
+      events.map((e) => e.uid),
+      ["meeting-20261020-TUE", "meeting-20261022-THU", "meeting-20261024-SAT"]
+    );
+    const [tue, , sat] = events;
+    assert.equal(tue.startTime, "19:30");
+    assert.equal(tue.endTime, "20:30");
+    assert.equal(tue.location, "월드컵공원");
+    assert.equal(tue.description, "인터벌 1km x 5");
+    assert.equal(sat.startTime, "06:00");
+  });
+
+  it("유형 필터 · 이동 정모는 원래 날짜 UID · 취소는 CANCELLED", () => {
+    const calendar = buildMeetingCalendar([
+      { meetingDateKey: "2026/10/20", meetingType: "TUE", status: "cancelled", note: "우천" },
+      { meetingDateKey: "2026/10/22", meetingType: "THU", status: "moved", movedToDateKey: "2026/10/23" },
+    ]);
+    const events = meetingFeedEvents({ fromKey: FROM, toKey: TO, calendar, trainingById: new Map(), types: ["TUE", "THU"] });
+    assert.deepEqual(
+      events.map((e) => [e.uid, e.dateKey, e.status || ""]),
+      [
+        ["meeting-20261020-TUE", "2026/10/20", "CANCELLED"],
+        ["meeting-20261022-THU", "2026/10/23", ""],
+      ]
+    );
+    assert.equal(events[0].description, "우천");
+  });
+});
+
+describe("ical-feed races · chunbaek", () => {
+  const raceEvents = [
+    {
+      id: "evt_2026-11-01_jtbc",
+      primaryName: "JTBC 마라톤",
+      eventDate: "2026-11-01",
+      participants: [
+        { memberId: "a", nickname: "가람", distance: "full" },
+        { memberId: "b", nickname: "보라", distance: "10K" },
+      ],
+    },
+    { id: "evt_2026-10-01_old", eventName: "지난 대회", eventDate: "2026-10-01", participants: [{ memberId: "a" }] },
+    { id: "evt_2026-11-08_x", eventName: "다른 대회", eventDate: "2026-11-08", participants: [{ memberId: "b", nickname: "보라" }] },
+  ];
+
+  it("지난 대회 제외 · 내 종목 · 참가만 필터", () => {
+    const all = groupRaceFeedEvents({ events: raceEvents, fromKey: FROM });
+    assert.deepEqual(
+      all.map((e) => e.uid),
+      ["race-evt_2026-11-01_jtbc", "race-evt_2026-11-08_x"]
+    );
+    const mine = groupRaceFeedEvents({ events: raceEvents, fromKey: FROM, memberId: "a", mine: true });
+    assert.equal(mine.length, 1);
+    assert.equal(mine[0].summary, "동마클 단체: JTBC 마라톤 (풀)");
+    assert.match(mine[0].description, /가람 풀/);
+    assert.equal(mine[0].allDay, true);
+  });
+
+  it("팀 필터 — 팀 참가자가 있는 대회만, 설명도 팀원만", () => {
+    const memberTeams = new Map([
+      ["a", "T1"],
+      ["b", "T2"],
+    ]);
+    const t1 = groupRaceFeedEvents({ events: raceEvents, fromKey: FROM, team: "T1", memberTeams });
+    assert.equal(t1.length, 1);
+    assert.match(t1[0].description, /참가 1명 \(T1\)/);
+    assert.doesNotMatch(t1[0].description, /보라/);
+  });
+
+  it("춘백 슬롯 — 범위 안만, 슬롯 키 UID", () => {
+    const events = chunbaekFeedEvents({
+      seasonId: "chunbaek-s3",
+      fromKey: FROM,
+      toKey: TO,
+      slots: [
+        { key: "40", date: "2026-10-20", dayIndex: 40, title: "LSD 20km", content: "페이스 6:30" },
+        { key: "90", date: "2026-12-09", dayIndex: 90, title: "회복주" },
+      ],
+    });
+    assert.equal(events.length, 1);
+    assert.equal(events[0].uid, "chunbaek-chunbaek-s3-40");
+    assert.equal(events[0].summary, "춘백 · Day 40 · LSD 20km");
+  });
+});
+
+describe("ical-feed calendar", () => {
+  it("VCALENDAR — CRLF · TZID 시각 · 하루 종일 DATE · 고정 UID", () => {
+    const ics = buildIcsCalendar({
+      name: "동마클 정모",
+      stampMs: Date.UTC(2026, 9, 19, 0, 0, 0),
+      events: [
+        { uid: "race-x", summary: "대회", allDay: true, dateKey: "2026-11-01" },
+        {
+          uid: "meeting-20261020-TUE",
+          summary: "동마클 화요 정모",
+          location: "월드컵공원, 평화의광장",
+          dateKey: "2026/10/20",
+          startTime: "18:30",
+          endDateKey: "2026/10/20",
+          endTime: "19:30",
+        },
+      ],
+    });
+    assert.ok(ics.startsWith("BEGIN:VCALENDAR\r\n"));
+    assert.ok(ics.endsWith("END:VCALENDAR\r\n"));
+    assert.equal(ics.split("\n").every((l) => l === "" || l.endsWith("\r")), true);
+    assert.match(ics, /UID:meeting-20261020-TUE@dmc-attendance\.web\.app/);
+    assert.match(ics, /DTSTART;TZID=Asia\/Seoul:20261020T183000/);
+    assert.match(ics, /DTSTART;VALUE=DATE:20261101\r\nDTEND;VALUE=DATE:20261102/);
+    assert.match(ics, /LOCATION:월드컵공원\\, 평화의광장/);
+    assert.match(ics, /DTSTAMP:20261019T000000Z/);
+    assert.ok(ics.indexOf("meeting-20261020-TUE") < ics.indexOf("race-x"));
+  });
+});
@@ -0,0 +1,153 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+
+const {
+  calendarDocId,
+  normalizeCalendarEntry,
+  buildMeetingCalendar,
+  sessionsForDate,
+  isSessionHeld,
+  isClubMeetingDate,
+  isExtraOnlyDate,
+  countHeldMeetingsForMonth,
+  applyMeetingCalendar,
+} = require(path.join(__dirname, "../../functions/lib/meeting-calendar.js"));
+const browser = require(path.join(__dirname, "../../assets/meeting-calendar.js"));
+
+// 2026/10: 화 6·13·20·27, 목 1·8·15·22·29, 토 3·10·17·24·31 → 정모 14회
+const ENTRIES = [
+  { meetingDateKey: "2026/10/13", meetingType: "TUE", status: "cancelled", label: "우천 취소" },
+  { meetingDateKey: "2026/10/15", meetingType: "THU", status: "moved", movedToDateKey: "2026/10/16" },
+  { meetingDateKey: "2026/10/25", meetingType: "ETC", status: "extra", label: "한강 LSD" },
+];
+
+describe("calendarDocId", () => {
+  it("YYYY-MM-DD_TYPE, 잘못된 입력은 빈 문자열", () => {
+    assert.equal(calendarDocId("2026/10/13", "tue"), "2026-10-13_TUE");
+    assert.equal(calendarDocId("2026-10-25", "ETC"), "2026-10-25_ETC");
+    assert.equal(calendarDocId("2026/10/13", "MON"), "");
+    assert.equal(calendarDocId("bad", "TUE"), "");
+  });
+});
+
+describe("normalizeCalendarEntry", () => {
+  it("extra 는 유형 생략 시 ETC", () => {
+    const r = normalizeCalendarEntry({ meetingDate: "2026-10-25", status: "extra", label: "  LSD " });
+    assert.deepEqual(r.entry, {
+      meetingDateKey: "2026/10/25",
+      meetingType: "ETC",
+      status: "extra",
+      movedToDateKey: "",
+      label: "LSD",
+      note: "",
+    });
+  });
+
+  it("cancelled·moved 는 해당 요일 정모만", () => {
+    assert.ok(normalizeCalendarEntry({ meetingDate: "2026/10/13", meetingType: "TUE", status: "cancelled" }).entry);
+    assert.match(
+      normalizeCalendarEntry({ meetingDate: "2026/10/14", meetingType: "TUE", status: "cancelled" }).error,
+      /not a regular TUE/
+    );
+  });
+
+  it("moved 는 다른 이동일 필수", () => {
+    const base = { meetingDate: "2026/10/15", meetingType: "THU", status: "moved" };
+    assert.match(normalizeCalendarEntry(base).error, /movedToDate/);
+    assert.match(normalizeCalendarEntry({ ...base, movedToDate: "2026/10/15" }).error, /differ/);
+    assert.equal(normalizeCalendarEntry({ ...base, movedToDate: "2026-10-16" }).entry.movedToDateKey, "2026/10/16");
+  });
+
+  it("잘못된 날짜·상태 거부", () => {
+    assert.ok(normalizeCalendarEntry({ meetingDate: "2026/02/30", status: "extra" }).error);
+    assert.ok(normalizeCalendarEntry({ meetingDate: "2026/10/13", meetingType: "TUE", status: "skip" }).error);
+    assert.ok(normalizeCalendarEntry(null).error);
+  });
+});
+
+describe("sessionsForDate / isSessionHeld", () => {
+  const cal = buildMeetingCalendar(ENTRIES);
+
+  it("취소된 정모는 열리지 않음", () => {
+    assert.deepEqual(sessionsForDate(cal, "2026/10/13"), []);
+    assert.equal(isSessionHeld(cal, "2026/10/13", "TUE"), false);
+    assert.equal(isClubMeetingDate(cal, "2026/10/13"), false);
+  });
+
+  it("이동된 정모는 새 날짜에 같은 유형으로", () => {
+    assert.equal(isSessionHeld(cal, "2026/10/15", "THU"), false);
+    assert.equal(isSessionHeld(cal, "2026/10/16", "THU"), true);
+    assert.equal(isClubMeetingDate(cal, "2026/10/16"), true);
+    assert.equal(isExtraOnlyDate(cal, "2026/10/16"), false);
+  });
+
+  it("추가 모임은 ETC 세션, 정모일 아님", () => {
+    assert.equal(isSessionHeld(cal, "2026/10/25", "ETC"), true);
+    assert.equal(isClubMeetingDate(cal, "2026/10/25"), false);
+    assert.equal(isExtraOnlyDate(cal, "2026/10/25"), true);
+  });
+
+  it("캘린더 없으면 요일 규칙", () => {
+    assert.equal(isSessionHeld(null, "2026/10/13", "TUE"), true);
+    assert.deepEqual(sessionsForDate(null, "2026/10/14"), []);
+  });
+});
+
+describe("countHeldMeetingsForMonth", () => {
+  it("취소 −1, 이동 0, 추가 +1", () => {
+    assert.equal(countHeldMeetingsForMonth(buildMeetingCalendar([]), "2026-10"), 14);
+    assert.equal(countHeldMeetingsForMonth(buildMeetingCalendar(ENTRIES), "2026-10"), 14);
+    assert.equal(countHeldMeetingsForMonth(buildMeetingCalendar(ENTRIES.slice(0, 1)), "2026-10"), 13);
+  });
+
+  it("다른 달로 이동하면 양쪽 달에 반영", () => {
+    const cal = buildMeetingCalendar([
+      { meetingDateKey: "2026/10/31", meetingType: "SAT", status: "moved", movedToDateKey: "2026/11/01" },
+    ]);
+    assert.equal(countHeldMeetingsForMonth(cal, "2026-10"), 13);
+    assert.equal(countHeldMeetingsForMonth(cal, "2026-11"), 13); // 정모 12 + 이동 1
+  });
+});
+
+describe("applyMeetingCalendar", () => {
+  const cal = buildMeetingCalendar(ENTRIES);
+
+  it("취소된 정모 → cancelled + label", () => {
+    const r = applyMeetingCalendar({ dateKey: "2026/10/13", meetingType: "TUE" }, cal, "2026/10/14");
+    assert.equal(r.status, "cancelled");
+    assert.equal(r.label, "우천 취소");
+    assert.equal(r.dateKey, "2026/10/13");
+  });
+
+  it("이동된 정모 → 이동일 세션 (이동일 당일부터)", () => {
+    assert.equal(
+      applyMeetingCalendar({ dateKey: "2026/10/15", meetingType: "THU" }, cal, "2026/10/15").status,
+      "cancelled"
+    );
+    const r = applyMeetingCalendar({ dateKey: "2026/10/15", meetingType: "THU" }, cal, "2026/10/16");
+    assert.deepEqual([r.dateKey, r.meetingType, r.status], ["2026/10/16", "THU", "moved"]);
+  });
+
+  it("일요일 추가 모임이 토요일 정모보다 최근이면 추가 모임", () => {
+    const r = applyMeetingCalendar({ dateKey: "2026/10/24", meetingType: "SAT" }, cal, "2026/10/25");
+    assert.deepEqual([r.dateKey, r.meetingType, r.status, r.label], ["2026/10/25", "ETC", "extra", "한강 LSD"]);
+  });
+
+  it("예외 없으면 regular", () => {
+    const r = applyMeetingCalendar({ dateKey: "2026/10/20", meetingType: "TUE" }, cal, "2026/10/21");
+    assert.deepEqual([r.dateKey, r.meetingType, r.status], ["2026/10/20", "TUE", "regular"]);
+  });
+});
+
+describe("assets/meeting-calendar.js (browser mirror)", () => {
+  it("lib 과 같은 결과", () => {
+    const cal = browser.buildMeetingCalendar(ENTRIES);
+    assert.deepEqual(cal, buildMeetingCalendar(ENTRIES));
+    assert.equal(browser.countHeldMeetingsForMonth(cal, "2026-10"), 14);
+    assert.deepEqual(
+      browser.applyMeetingCalendar({ dateKey: "2026/10/24", meetingType: "SAT" }, cal, "2026/10/25"),
+      applyMeetingCalendar({ dateKey: "2026/10/24", meetingType: "SAT" }, cal, "2026/10/25")
+    );
+  });
+});
@@ -5,6 +5,7 @@ const path = require("path");
 const {
   anonymizedLabels,
   isAlreadyAnonymized,
+  collectRaceResultDocs,
 } = require(path.join(__dirname, "../../functions/lib/member-leave"));
 
 describe("member-leave", () => {
@@ -21,3 +22,28 @@ describe("member-leave", () => {
     assert.equal(isAlreadyAnonymized({ realName: "이경주", nickname: "초이스" }), false);
   });
 });
+
+describe("collectRaceResultDocs", () => {
+  function fakeDb(rows) {
+    const docs = Object.entries(rows).map(([id, data]) => ({ id, data: () => data }));
+    return {
+      collection: () => ({
+        where: (field, op, value) => ({
+          get: async () => ({ docs: docs.filter((d) => d.data()[field] === value) }),
+        }),
+      }),
+    };
+  }
+
+  it("memberId 로 찾고, memberId 없는 예전 문서는 실명으로도 찾는다", async () => {
+    const db = fakeDb({
+      m1_full_2026: { memberId: "m1", memberRealName: "이경주" },
+      legacy_1: { memberRealName: "이경주" },
+      m2_half_2026: { memberId: "m2", memberRealName: "이경주" },
+      other: { memberRealName: "김가람" },
+    });
+    const ids = (await collectRaceResultDocs(db, "m1", "이경주")).map((d) => d.id).sort();
+    assert.deepEqual(ids, ["legacy_1", "m1_full_2026"]);
+    assert.deepEqual((await collectRaceResultDocs(db, "m1")).map((d) => d.id), ["m1_full_2026"]);
+  });
+});
@@ -0,0 +1,123 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+
+const {
+  normalizeRecordTime,
+  buildRaceResultUpdate,
+  parseEditReason,
+  recomputePbFlags,
+  buildRevisionEntry,
+  raceResultGridRows,
+} = require(path.join(__dirname, "../../functions/lib/race-result-edit.js"));
+const { raceResultDocId } = require(path.join(__dirname, "../../functions/lib/race-result-key.js"));
+
+const RECORD = {
+  jobId: "smartchip_202650000006",
+  eventName: "2026 서울마라톤",
+  eventDate: "2026-03-15",
+  memberId: "m-garam",
+  memberRealName: "김가람",
+  memberNickname: "가람",
+  distance: "full",
+  netTime: "03:31:20",
+  gunTime: "03:33:02",
+  bib: "F1024",
+  pbConfirmed: false,
+  note: "",
+  status: "confirmed",
+  canonicalEventId: "evt_2026-03-15_seoul",
+};
+
+describe("입력 검사", () => {
+  it("normalizeRecordTime · parseEditReason", () => {
+    assert.equal(normalizeRecordTime("3:05:09.41"), "03:05:09");
+    assert.equal(normalizeRecordTime("48:12"), "00:48:12");
+    assert.equal(normalizeRecordTime("3시간"), null);
+    assert.deepEqual(parseEditReason("  "), { ok: false, error: "REASON_REQUIRED" });
+    assert.deepEqual(parseEditReason(" 칩 오류 정정 "), { ok: true, reason: "칩 오류 정정" });
+  });
+});
+
+describe("buildRaceResultUpdate", () => {
+  it("보낸 필드만 반영하고 바뀐 필드 목록을 돌려준다", () => {
+    const r = buildRaceResultUpdate(RECORD, { netTime: "3:29:58", bib: "F1024", note: " 칩 오류 " });
+    assert.equal(r.ok, true);
+    assert.deepEqual(r.changed, ["netTime", "note"]);
+    assert.equal(r.next.netTime, "03:29:58");
+    assert.equal(r.next.gunTime, RECORD.gunTime);
+  });
+
+  it("거리 별칭 정규화 · 잘못된 값은 에러", () => {
+    assert.equal(buildRaceResultUpdate(RECORD, { distance: "하프" }).next.distance, "half");
+    assert.equal(buildRaceResultUpdate(RECORD, { distance: "25km" }).error, "INVALID_DISTANCE");
+    assert.equal(buildRaceResultUpdate(RECORD, { netTime: "" }).error, "INVALID_NET_TIME");
+    assert.equal(buildRaceResultUpdate({ ...RECORD, status: "dnf" }, { netTime: "" }).next.netTime, "");
+    assert.equal(buildRaceResultUpdate(RECORD, { gunTime: "x" }).error, "INVALID_GUN_TIME");
+    assert.equal(buildRaceResultUpdate(RECORD, { gunTime: "" }).next.gunTime, "");
+    assert.equal(buildRaceResultUpdate(RECORD, { pbConfirmed: "true" }).error, "INVALID_PB_CONFIRMED");
+    assert.equal(buildRaceResultUpdate(RECORD, { netTime: "03:31:20" }).error, "NO_CHANGES");
+  });
+
+  it("대회 연결 — race_events 대회명·날짜로 맞추고, 빈 값이면 해제", () => {
+    const event = { id: "evt_2026-03-16_seoul", primaryName: "서울마라톤", eventDate: "2026-03-16" };
+    const linked = buildRaceResultUpdate(RECORD, { canonicalEventId: event.id }, { event });
+    assert.deepEqual(linked.changed, ["canonicalEventId", "eventDate", "eventName"]);
+    assert.equal(raceResultDocId(linked.next), "m-garam_full_2026-03-16");
+    assert.equal(buildRaceResultUpdate(RECORD, { canonicalEventId: "nope" }, { event: null }).error, "INVALID_CANONICAL_EVENT_ID");
+    const unlinked = buildRaceResultUpdate(RECORD, { canonicalEventId: "" });
+    assert.equal("canonicalEventId" in unlinked.next, false);
+    assert.deepEqual(unlinked.changed, ["canonicalEventId"]);
+  });
+});
+
+describe("recomputePbFlags", () => {
+  const records = [
+    { id: "a", eventDate: "2025-03-16", distance: "full", netTime: "03:40:00", pbConfirmed: true },
+    { id: "b", eventDate: "2025-11-02", distance: "full", netTime: "03:45:00", pbConfirmed: false },
+    { id: "c", eventDate: "2026-03-15", distance: "full", netTime: "03:31:20", pbConfirmed: false },
+    { id: "d", eventDate: "2026-04-05", distance: "full", netTime: "", status: "dnf", pbConfirmed: true },
+    { id: "h", eventDate: "2026-04-20", distance: "half", netTime: "01:50:00", pbConfirmed: false },
+  ];
+
+  it("날짜순으로 이전보다 빠르면 PB (첫 완주 포함) — 바뀌는 것만", () => {
+    assert.deepEqual(recomputePbFlags(records), [
+      { id: "c", pbConfirmed: true },
+      { id: "d", pbConfirmed: false },
+      { id: "h", pbConfirmed: true },
+    ]);
+  });
+
+  it("distances 로 범위 제한 · pinned 는 계산값 대신", () => {
+    assert.deepEqual(recomputePbFlags(records, { distances: ["half"] }), [{ id: "h", pbConfirmed: true }]);
+    assert.deepEqual(recomputePbFlags(records, { distances: ["full"], pinned: { c: false, d: true } }), []);
+  });
+});
+
+describe("이력 · 그리드", () => {
+  it("buildRevisionEntry", () => {
+    const rev = buildRevisionEntry({ before: RECORD, changed: ["netTime"], actor: "ops1", role: "operator", reason: "칩 오류", now: "2026-10-19T00:00:00.000Z", movedFrom: null });
+    assert.deepEqual(Object.keys(rev), ["at", "actor", "role", "reason", "changed", "before"]);
+    assert.equal(buildRevisionEntry({ before: {}, movedFrom: "x" }).movedFrom, "x");
+  });
+
+  it("raceResultGridRows — scrape_jobs 없는 기록은 orphan, 최신순", () => {
+    const rows = raceResultGridRows(
+      [
+        { id: "김가람_full_2026-03-15", data: RECORD },
+        { id: "이보라_10K_2026-05-01", data: { memberRealName: "이보라", distance: "10K", eventDate: "2026-05-01", source: "manual" } },
+        { id: "박찬_half_2025-10-01", data: { memberRealName: "박찬", distance: "half", eventDate: "2025-10-01", jobId: "ohmyrace_9" } },
+      ],
+      new Set([RECORD.jobId])
+    );
+    assert.deepEqual(rows.map((r) => [r.docId, r.orphan]), [
+      ["이보라_10K_2026-05-01", true],
+      ["김가람_full_2026-03-15", false],
+      ["박찬_half_2025-10-01", true],
+    ]);
+    assert.equal(rows[1].clubRecordExcluded, false);
+    const excluded = raceResultGridRows([{ id: "a", data: RECORD }], new Set(), new Map([["a", { reason: "코스 오류" }]]));
+    assert.equal(excluded[0].clubRecordExcluded, true);
+    assert.equal(excluded[0].clubRecordExcludeReason, "코스 오류");
+  });
+});
@@ -0,0 +1,102 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+
+const {
+  raceResultMemberKey,
+  raceResultDocId,
+  legacyRaceResultDocId,
+  buildMemberKeyIndex,
+  resolveRaceResultMember,
+  withRaceResultMemberKey,
+  planRaceResultKeyMigration,
+} = require(path.join(__dirname, "../../functions/lib/race-result-key.js"));
+
+const MEMBERS = [
+  { id: "m-garam", data: { realName: "김가람", nickname: "가람" } },
+  { id: "m-minsu1", data: { realName: "이민수", nickname: "민수" } },
+  { id: "m-minsu2", data: { realName: "이민수", nickname: "번개" } },
+  { id: "m-left", data: { realName: "탈퇴회원", nickname: "탈퇴-1", _archivedRealName: "박나래", _archivedNickname: "나래" } },
+];
+const INDEX = buildMemberKeyIndex(MEMBERS);
+
+function result(over) {
+  return { memberRealName: "김가람", memberNickname: "가람", distance: "full", eventDate: "2026-03-15", status: "confirmed", ...over };
+}
+
+describe("문서 ID", () => {
+  it("회원은 memberId, 게스트는 guest_{실명}", () => {
+    assert.equal(raceResultMemberKey({ memberId: "m-garam", memberRealName: "김가람" }), "m-garam");
+    assert.equal(raceResultMemberKey({ memberId: null, memberRealName: "Kim G." }), "guest_Kim_G_");
+    assert.equal(raceResultDocId(result({ memberId: "m-garam" })), "m-garam_full_2026-03-15");
+    assert.equal(raceResultDocId({ memberRealName: "홍길동", distance: "10K", eventDate: "2026/03/15" }), "guest_홍길동_10K_20260315");
+  });
+
+  it("legacyRaceResultDocId — 이전 confirm 규칙", () => {
+    assert.equal(legacyRaceResultDocId(result()), "김가람_full_2026-03-15");
+    assert.equal(legacyRaceResultDocId({ memberRealName: "Kim G.", distance: "10K", eventDate: "2026/03/15" }), "Kim_G__10K_20260315");
+  });
+});
+
+describe("resolveRaceResultMember", () => {
+  it("유효한 memberId 가 먼저, 없는 ID 는 이름으로 다시 찾는다", () => {
+    assert.deepEqual(resolveRaceResultMember({ memberId: "m-minsu2", memberRealName: "이민수" }, INDEX), { memberId: "m-minsu2", status: "member" });
+    assert.deepEqual(resolveRaceResultMember({ memberId: "gone", memberRealName: "김가람" }, INDEX), { memberId: "m-garam", status: "member" });
+  });
+
+  it("동명이인은 닉네임으로 가르고, 못 가르면 ambiguous", () => {
+    assert.equal(resolveRaceResultMember({ memberRealName: "이민수", memberNickname: "번개" }, INDEX).memberId, "m-minsu2");
+    const amb = resolveRaceResultMember({ memberRealName: "이민수", memberNickname: "" }, INDEX);
+    assert.equal(amb.status, "ambiguous");
+    assert.deepEqual(amb.candidates, ["m-minsu1", "m-minsu2"]);
+  });
+
+  it("게스트 · 회원 없음 · 퇴회 익명화 회원", () => {
+    assert.equal(resolveRaceResultMember({ memberRealName: "김가람", isGuest: true }, INDEX).status, "guest");
+    assert.equal(resolveRaceResultMember({ memberRealName: "모르는사람" }, INDEX).status, "unmatched");
+    assert.equal(resolveRaceResultMember({ memberRealName: "박나래" }, INDEX).memberId, "m-left");
+  });
+
+  it("withRaceResultMemberKey — 행에 memberId 를 채우고 Doc ID 를 만든다", () => {
+    const { row, docId } = withRaceResultMemberKey(result({ realName: "무시" }), INDEX);
+    assert.equal(row.memberId, "m-garam");
+    assert.equal(docId, "m-garam_full_2026-03-15");
+    assert.equal(withRaceResultMemberKey(result({ memberRealName: "홍길동", isGuest: true }), INDEX).docId, "guest_홍길동_full_2026-03-15");
+  });
+});
+
+describe("planRaceResultKeyMigration", () => {
+  it("이동 · memberId 채움 · 완료 · 미해결 · 충돌", () => {
+    const docs = [
+      { id: "김가람_full_2026-03-15", data: result() },
+      { id: "김가람_10K_2026-04-01", data: result({ distance: "10K", eventDate: "2026-04-01" }) },
+      { id: "m-garam_10K_2026-04-01", data: result({ memberId: "m-garam", distance: "10K", eventDate: "2026-04-01" }) },
+      { id: "guest_홍길동_half_2026-05-01", data: result({ memberRealName: "홍길동", isGuest: true, distance: "half", eventDate: "2026-05-01" }) },
+      { id: "m-minsu1_half_2026-05-01", data: result({ memberRealName: "이민수", memberNickname: "민수", distance: "half", eventDate: "2026-05-01" }) },
+      { id: "이민수_full_2026-05-01", data: result({ memberRealName: "이민수", memberNickname: "", eventDate: "2026-05-01" }) },
+      { id: "모르는사람_full_2026-05-01", data: result({ memberRealName: "모르는사람", eventDate: "2026-05-01" }) },
+    ];
+    const plan = planRaceResultKeyMigration(docs, INDEX);
+    assert.deepEqual(plan.moves, [{ fromId: "김가람_full_2026-03-15", toId: "m-garam_full_2026-03-15", memberId: "m-garam" }]);
+    assert.deepEqual(plan.patches, [{ id: "m-minsu1_half_2026-05-01", memberId: "m-minsu1" }]);
+    assert.equal(plan.unchanged, 2);
+    assert.deepEqual(
+      plan.unresolved.map((u) => [u.id, u.status]),
+      [
+        ["이민수_full_2026-05-01", "ambiguous"],
+        ["모르는사람_full_2026-05-01", "unmatched"],
+      ]
+    );
+    assert.deepEqual(plan.collisions, [{ toId: "m-garam_10K_2026-04-01", fromIds: ["김가람_10K_2026-04-01", "m-garam_10K_2026-04-01"] }]);
+  });
+
+  it("같은 새 ID 로 모이는 이전 문서 둘도 충돌", () => {
+    const docs = [
+      { id: "김가람_full_2026-03-15", data: result() },
+      { id: "김가람_full_2026-03-15_dup", data: result() },
+    ];
+    const plan = planRaceResultKeyMigration(docs, INDEX);
+    assert.equal(plan.moves.length, 0);
+    assert.deepEqual(plan.collisions[0].fromIds, ["김가람_full_2026-03-15", "김가람_full_2026-03-15_dup"]);
+  });
+});
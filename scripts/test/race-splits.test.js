@@ -0,0 +1,160 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+
+const {
+  normalizeRaceSplits,
+  parseRankFraction,
+  rankPercentile,
+  raceResultDetailFields,
+  raceDetailBackfillPatch,
+  splitLabelKm,
+  analyzeRacePacing,
+  formatPace,
+} = require(path.join(__dirname, "../../functions/lib/race-splits.js"));
+const browser = require(path.join(__dirname, "../../assets/race-splits.js"));
+const { normalizeRaceDistance } = require(path.join(__dirname, "../../functions/lib/raceDistance.js"));
+
+const FULL = {
+  distance: "full",
+  netTime: "03:18:44",
+  splits: [
+    { label: "10K", time: "00:46:30" },
+    { label: "Half", time: "01:38:12" },
+  ],
+};
+
+describe("normalizeRaceSplits", () => {
+  it("label·section 둘 다 받고, 시간 형식 아닌 구간은 버린다", () => {
+    assert.deepEqual(
+      normalizeRaceSplits([
+        { section: " Section 1 ", time: "24:01" },
+        { label: "CP02", time: "-" },
+        { label: "", time: "0:48:12.35" },
+        null,
+      ]),
+      [
+        { label: "Section 1", time: "00:24:01" },
+        { label: "CP2", time: "00:48:12" },
+      ]
+    );
+    assert.deepEqual(normalizeRaceSplits("10K 00:46:30"), []);
+  });
+});
+
+describe("순위", () => {
+  it("parseRankFraction · rankPercentile", () => {
+    assert.deepEqual(parseRankFraction("201/640"), { rank: 201, total: 640 });
+    assert.deepEqual(parseRankFraction(850), { rank: 850, total: null });
+    assert.equal(parseRankFraction("30/7"), null);
+    assert.equal(parseRankFraction("-"), null);
+    assert.equal(rankPercentile(201, 640), 31);
+    assert.equal(rankPercentile(1, 5000), 1);
+    assert.equal(rankPercentile(3, null), null);
+  });
+
+  it("raceResultDetailFields — confirm 저장용", () => {
+    assert.deepEqual(raceResultDetailFields({ genderRank: "850", ageGroupRank: "201 / 640", splits: FULL.splits }), {
+      genderRank: 850,
+      ageGroupRank: "201/640",
+      splits: FULL.splits,
+    });
+    assert.deepEqual(raceResultDetailFields({ overallRank: 3 }), { genderRank: null, ageGroupRank: null, splits: [] });
+  });
+});
+
+describe("raceDetailBackfillPatch", () => {
+  const job = [
+    { memberRealName: "가람", distance: "Full", bib: "F1024", genderRank: 850, ageGroupRank: "201/640", splits: FULL.splits },
+    { memberRealName: "보라", distance: "10K", bib: "T5520", genderRank: 77, splits: [] },
+    { memberRealName: "보라", distance: "10K", bib: "T9999", genderRank: 12, splits: [] },
+  ];
+
+  it("같은 회원·거리 한 행만 — 빈 필드만 채운다", () => {
+    assert.deepEqual(
+      raceDetailBackfillPatch({ memberRealName: "가람", distance: "full", bib: "F1024", genderRank: 900 }, job, normalizeRaceDistance),
+      { ageGroupRank: "201/640", splits: FULL.splits }
+    );
+  });
+
+  it("배번 불일치 · 후보 여러 개 · 채울 것 없음 → null", () => {
+    assert.equal(raceDetailBackfillPatch({ memberRealName: "가람", distance: "full", bib: "F9" }, job, normalizeRaceDistance), null);
+    assert.equal(raceDetailBackfillPatch({ memberRealName: "보라", distance: "10K" }, job, normalizeRaceDistance), null);
+    assert.deepEqual(raceDetailBackfillPatch({ memberRealName: "보라", distance: "10K", bib: "T5520" }, job), { genderRank: 77 });
+    assert.equal(
+      raceDetailBackfillPatch({ memberRealName: "보라", distance: "10K", bib: "T5520", genderRank: 77, ageGroupRank: "1/2", splits: [{}] }, job),
+      null
+    );
+  });
+});
+
+describe("analyzeRacePacing", () => {
+  it("라벨 → km", () => {
+    assert.equal(splitLabelKm("5km", "10K"), 5);
+    assert.equal(splitLabelKm("21.1K", "full"), 21.1);
+    assert.equal(splitLabelKm("하프", "full"), 21.0975);
+    assert.equal(splitLabelKm("Finish", "half"), 21.0975);
+    assert.equal(splitLabelKm("Section 1", "10K"), null);
+  });
+
+  it("풀코스 — 결승 구간 보충 · 포지티브 스플릿 · 마지막 10K 지점 없으면 생략", () => {
+    const a = analyzeRacePacing(FULL);
+    assert.deepEqual(
+      a.segments.map((s) => [s.label, s.km, s.segmentSec, formatPace(s.paceSec)]),
+      [
+        ["10K", 10, 2790, "4:39"],
+        ["Half", 21.0975, 3102, "4:40"],
+        ["Finish", 42.195, 6032, "4:46"],
+      ]
+    );
+    assert.deepEqual(a.split, { type: "positive", firstHalfSec: 5892, secondHalfSec: 6032, diffSec: 140 });
+    assert.equal(a.last10k, null);
+  });
+
+  it("마지막 10K 처짐 · 네거티브 스플릿", () => {
+    const fade = analyzeRacePacing({
+      distance: "full",
+      netTime: "03:40:00",
+      splits: [
+        { label: "10K", time: "00:50:00" },
+        { label: "20K", time: "01:40:00" },
+        { label: "30K", time: "02:30:00" },
+      ],
+    });
+    assert.equal(fade.split.type, "positive");
+    assert.equal(fade.last10k.fade, true);
+    assert.equal(fade.last10k.fadePct, 13.7);
+
+    const neg = analyzeRacePacing({
+      distance: "half",
+      netTime: "01:40:00",
+      splits: [
+        { label: "5km", time: "00:25:00" },
+        { label: "10km", time: "00:49:00" },
+        { label: "15km", time: "01:12:00" },
+      ],
+    });
+    assert.equal(neg.split.type, "negative");
+    assert.equal(neg.split.diffSec, -182);
+    assert.equal(neg.last10k.fade, false);
+  });
+
+  it("위치 모르는 구간만 있으면 막대만, 분석은 생략", () => {
+    const a = analyzeRacePacing({
+      distance: "10K",
+      netTime: "00:48:12",
+      splits: [
+        { label: "Section 1", time: "00:24:01" },
+        { label: "Finish", time: "00:48:12" },
+      ],
+    });
+    assert.deepEqual(a.segments.map((s) => [s.label, s.segmentSec]), [["Section 1", 1441], ["Finish", 1451]]);
+    assert.equal(a.split, null);
+    assert.deepEqual(analyzeRacePacing({ distance: "10K", netTime: "00:48:12" }).segments, []);
+  });
+
+  it("브라우저 UMD 와 결과 동일", () => {
+    assert.deepEqual(browser.analyzeRacePacing(FULL), analyzeRacePacing(FULL));
+    assert.deepEqual(browser.raceResultDetailFields({ genderRank: 3, splits: FULL.splits }), raceResultDetailFields({ genderRank: 3, splits: FULL.splits }));
+  });
+});
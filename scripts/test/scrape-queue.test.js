@@ -0,0 +1,187 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+
+const {
+  SCRAPE_TASK_LEASE_MS,
+  MAX_SCRAPE_TASK_ATTEMPTS,
+  buildScrapeTask,
+  scrapeRetryDelayMs,
+  isScrapeTaskClaimable,
+  pickNextScrapeTask,
+  isScrapeSourceBusy,
+  holdsScrapeLease,
+  claimScrapeTaskPatch,
+  checkpointScrapeTaskPatch,
+  scrapeLeaseNeedsRenewal,
+  renewScrapeLeasePatch,
+  releaseScrapeTaskPatch,
+  retryScrapeTaskPatch,
+  manualRetryScrapeTaskPatch,
+  cancelScrapeTaskPatch,
+  scrapeTaskJobProgress,
+  scrapeJobQueueState,
+  summarizeScrapeQueue,
+} = require(path.join(__dirname, "../../functions/lib/scrape-queue.js"));
+
+const T0 = Date.parse("2026-10-19T06:00:00.000Z");
+const MIN = 60 * 1000;
+
+function task(over) {
+  return {
+    ...buildScrapeTask({
+      kind: "event",
+      jobId: "smartchip_202650000191",
+      source: "smartchip",
+      sourceId: "202650000191",
+      members: [{ id: "m1", realName: "김가람", nickname: "가람" }, { id: "m2", realName: "이나래", nickname: "나래", distance: "half" }],
+    }, T0),
+    ...over,
+  };
+}
+
+describe("buildScrapeTask", () => {
+  it("queued · cursor 0 · 회원은 검색에 필요한 필드만", () => {
+    const t = task();
+    assert.equal(t.status, "queued");
+    assert.equal(t.cursor, 0);
+    assert.equal(t.nextRunAt, "2026-10-19T06:00:00.000Z");
+    assert.deepEqual(t.members[1], { id: "m2", realName: "이나래", nickname: "나래", gender: "", distance: "half" });
+    assert.equal(buildScrapeTask({ kind: "weird", jobId: "j", members: [] }, T0).kind, "event");
+  });
+});
+
+describe("claim · lease", () => {
+  it("대기 시간 전 queued 는 못 잡고, lease 살아 있는 running 도 못 잡는다", () => {
+    assert.equal(isScrapeTaskClaimable(task(), T0), true);
+    assert.equal(isScrapeTaskClaimable(task({ nextRunAt: new Date(T0 + MIN).toISOString() }), T0), false);
+    const running = task({ status: "running", lease: { owner: "w1", until: new Date(T0 + MIN).toISOString() } });
+    assert.equal(isScrapeTaskClaimable(running, T0), false);
+    assert.equal(isScrapeTaskClaimable(running, T0 + 2 * MIN), true);
+    assert.equal(isScrapeTaskClaimable(task({ status: "done" }), T0), false);
+  });
+
+  it("claim 은 lease 를 주고, 끊긴 lease 를 이어받으면 실패 1회로 센다", () => {
+    const fresh = claimScrapeTaskPatch(task(), "w1", T0);
+    assert.equal(fresh.status, "running");
+    assert.deepEqual(fresh.lease, { owner: "w1", until: new Date(T0 + SCRAPE_TASK_LEASE_MS).toISOString() });
+    assert.equal(fresh.startedAt, "2026-10-19T06:00:00.000Z");
+    assert.equal(holdsScrapeLease({ ...task(), ...fresh }, "w1", T0 + MIN), true);
+    assert.equal(holdsScrapeLease({ ...task(), ...fresh }, "w2", T0 + MIN), false);
+
+    const dead = task({ status: "running", attempts: 1, lease: { owner: "w1", until: new Date(T0).toISOString() } });
+    const taken = claimScrapeTaskPatch(dead, "w2", T0 + MIN);
+    assert.equal(taken.status, "running");
+    assert.equal(taken.attempts, 2);
+    assert.equal(taken.lastError.code, "LEASE_EXPIRED");
+    assert.equal(claimScrapeTaskPatch({ ...dead, attempts: MAX_SCRAPE_TASK_ATTEMPTS - 1 }, "w2", T0 + MIN).status, "failed");
+  });
+
+  it("pickNextScrapeTask — 같은 소스가 돌고 있으면 건너뛰고, 먼저 실행할 것부터", () => {
+    const docs = [
+      { id: "a", data: task({ status: "running", lease: { owner: "w1", until: new Date(T0 + MIN).toISOString() } }) },
+      { id: "b", data: task() },
+      { id: "c", data: task({ source: "myresult", nextRunAt: new Date(T0 - MIN).toISOString() }) },
+      { id: "d", data: task({ source: "spct" }) },
+    ];
+    assert.equal(pickNextScrapeTask(docs, T0), "c");
+    assert.equal(pickNextScrapeTask(docs, T0, new Set(["c"])), "d");
+    assert.equal(pickNextScrapeTask(docs, T0, new Set(["c", "d"])), null);
+  });
+
+  it("isScrapeSourceBusy — claim 트랜잭션 안 재확인, 자기 자신·끊긴 lease 는 빼고", () => {
+    const running = (id, until) => ({ id, data: task({ status: "running", lease: { owner: "w1", until: new Date(until).toISOString() } }) });
+    assert.equal(isScrapeSourceBusy([running("a", T0 + MIN)], "b", T0), true);
+    assert.equal(isScrapeSourceBusy([running("a", T0 + MIN)], "a", T0), false);
+    assert.equal(isScrapeSourceBusy([running("a", T0 - 1)], "b", T0), false);
+    assert.equal(isScrapeSourceBusy([], "b", T0), false);
+  });
+
+  it("느린 단계 앞 lease 연장 — 15초 안에 늘렸으면 건너뛴다", () => {
+    const t = { ...task(), ...claimScrapeTaskPatch(task(), "w1", T0) };
+    const until = Date.parse(t.lease.until);
+    assert.equal(scrapeLeaseNeedsRenewal(until, T0 + 10 * 1000), false);
+    assert.equal(scrapeLeaseNeedsRenewal(until, T0 + 20 * 1000), true);
+    const renewed = renewScrapeLeasePatch(t, T0 + MIN);
+    assert.deepEqual(renewed.lease, { owner: "w1", until: new Date(T0 + MIN + SCRAPE_TASK_LEASE_MS).toISOString() });
+    assert.equal(renewed.cursor, undefined);
+  });
+});
+
+describe("checkpoint · release · retry", () => {
+  it("회원마다 cursor 를 넘기고 결과·오류를 누적, lease 연장", () => {
+    const t = { ...task(), ...claimScrapeTaskPatch(task(), "w1", T0) };
+    const one = { ...t, ...checkpointScrapeTaskPatch(t, { rows: [{ memberRealName: "김가람" }] }, T0 + MIN) };
+    const two = { ...one, ...checkpointScrapeTaskPatch(one, { rows: [], failed: true }, T0 + 2 * MIN) };
+    assert.equal(two.cursor, 2);
+    assert.equal(two.searched, 2);
+    assert.equal(two.failCount, 1);
+    assert.equal(two.results.length, 1);
+    assert.equal(two.lease.owner, "w1");
+    assert.equal(two.lease.until, new Date(T0 + 2 * MIN + SCRAPE_TASK_LEASE_MS).toISOString());
+    assert.deepEqual(scrapeTaskJobProgress(two), { searched: 2, total: 2, found: 1, failCount: 1 });
+    assert.equal(checkpointScrapeTaskPatch(t, { skipped: true }, T0).searched, 0);
+  });
+
+  it("시간 예산 소진은 실패로 세지 않고 바로 다시 queued", () => {
+    assert.deepEqual(releaseScrapeTaskPatch(T0), {
+      status: "queued",
+      lease: null,
+      nextRunAt: "2026-10-19T06:00:00.000Z",
+      updatedAt: "2026-10-19T06:00:00.000Z",
+    });
+  });
+
+  it("지수 백오프 — 1분부터 두 배, 30분 상한, 한도·치명 오류면 failed", () => {
+    assert.deepEqual([1, 2, 3, 4, 6, 9].map(scrapeRetryDelayMs), [MIN, 2 * MIN, 4 * MIN, 8 * MIN, 30 * MIN, 30 * MIN]);
+    const r = retryScrapeTaskPatch(task({ attempts: 1 }), { code: "SESSION_EXPIRED", message: "세션 만료" }, T0);
+    assert.equal(r.status, "queued");
+    assert.equal(r.attempts, 2);
+    assert.equal(r.nextRunAt, new Date(T0 + 2 * MIN).toISOString());
+    assert.equal(r.lastError.code, "SESSION_EXPIRED");
+    assert.equal(retryScrapeTaskPatch(task({ attempts: MAX_SCRAPE_TASK_ATTEMPTS - 1 }), new Error("x"), T0).status, "failed");
+    assert.equal(retryScrapeTaskPatch(task(), { code: "UNKNOWN_SOURCE" }, T0).status, "failed");
+  });
+});
+
+describe("ops 재시도 · 취소 · 요약", () => {
+  it("재시도는 failed·cancelled 만 (checkpoint 유지), 취소는 queued·running 만", () => {
+    const failed = task({ status: "failed", attempts: 5, cursor: 1 });
+    const retried = { ...failed, ...manualRetryScrapeTaskPatch(failed, T0) };
+    assert.equal(retried.status, "queued");
+    assert.equal(retried.attempts, 0);
+    assert.equal(retried.cursor, 1);
+    assert.equal(manualRetryScrapeTaskPatch(task(), T0), null);
+    assert.equal(cancelScrapeTaskPatch(task(), T0).status, "cancelled");
+    assert.equal(cancelScrapeTaskPatch(failed, T0), null);
+  });
+
+  it("scrapeJobQueueState — 요청 한도·백오프 대기는 deferred + nextAttemptAt, 끝난 태스크는 null", () => {
+    const later = new Date(T0 + 10 * MIN).toISOString();
+    const limited = retryScrapeTaskPatch(task(), { code: "RATE_LIMITED", message: "smartchip 한도", retryAfterMs: 10 * MIN }, T0);
+    const deferred = scrapeJobQueueState(task(limited), T0);
+    assert.equal(deferred.state, "deferred");
+    assert.equal(deferred.nextAttemptAt, later);
+    assert.equal(deferred.error.code, "RATE_LIMITED");
+    assert.equal(scrapeJobQueueState(task(), T0).state, "queued");
+    assert.equal(scrapeJobQueueState(task(limited), T0 + 10 * MIN).state, "queued");
+    const stalled = task({ status: "running", lease: { owner: "w1", until: new Date(T0 - MIN).toISOString() } });
+    assert.equal(scrapeJobQueueState(stalled, T0).state, "stalled");
+    assert.equal(scrapeJobQueueState(task({ status: "done" }), T0), null);
+  });
+
+  it("summarizeScrapeQueue — 상태별 개수, 재시도 대기, 끊긴 lease, 최신순", () => {
+    const docs = [
+      { id: "a", data: task({ createdAt: "2026-10-19T05:00:00.000Z", nextRunAt: new Date(T0 + MIN).toISOString(), attempts: 1 }) },
+      { id: "b", data: task({ createdAt: "2026-10-19T05:30:00.000Z", status: "running", lease: { owner: "w1", until: new Date(T0 - MIN).toISOString() } }) },
+      { id: "c", data: task({ createdAt: "2026-10-19T04:00:00.000Z", status: "done" }) },
+    ];
+    const s = summarizeScrapeQueue(docs, T0);
+    assert.deepEqual(s.counts, { queued: 1, running: 1, done: 1, failed: 0, cancelled: 0 });
+    assert.equal(s.waitingRetry, 1);
+    assert.equal(s.staleLeases, 1);
+    assert.equal(s.oldestQueuedAt, "2026-10-19T05:00:00.000Z");
+    assert.deepEqual(s.tasks.map((t) => t.taskId), ["b", "a", "c"]);
+    assert.equal(s.tasks[0].members, undefined);
+  });
+});
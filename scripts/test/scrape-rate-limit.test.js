@@ -0,0 +1,227 @@
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+
+const {
+  SCRAPE_PENALTY_MAX_MS,
+  sourceForUrl,
+  rateBudget,
+  bumpRateMetrics,
+  takeScrapeToken,
+  recordScrapeGiveUp,
+  scrapeLeaseWaitRoomMs,
+  classifyScrapeResponse,
+  scrapePenaltyDelayMs,
+  penalizeScrapeSource,
+  summarizeScrapeRateLimits,
+} = require(path.join(__dirname, "../../functions/lib/scrape-rate-limit.js"));
+const { SCRAPE_TASK_LEASE_MS, retryScrapeTaskPatch } = require(path.join(__dirname, "../../functions/lib/scrape-queue.js"));
+const replay = require(path.join(__dirname, "../../functions/lib/scrape-replay.js"));
+const { listTimingSources, getTimingSource } = require(path.join(__dirname, "../../functions/lib/timing-sources"));
+
+const T0 = Date.parse("2026-10-19T06:00:00.000Z");
+const SEC = 1000;
+const BUDGET = { perMinute: 20, burst: 2 };
+
+describe("sourceForUrl · rateBudget", () => {
+  it("어댑터 origin 호스트로 소스를 찾고 www 는 무시, 모르는 호스트는 null", () => {
+    const adapters = listTimingSources();
+    assert.equal(sourceForUrl("https://smartchip.co.kr/return_data_livephotos.asp", adapters), "smartchip");
+    assert.equal(sourceForUrl("https://www.smartchip.co.kr/main.html", adapters), "smartchip");
+    assert.equal(sourceForUrl("http://record.ohmyrace.co.kr/event/1", adapters), "ohmyrace");
+    assert.equal(sourceForUrl("https://gorunning.kr/races", adapters), null);
+    assert.equal(sourceForUrl("not a url", adapters), null);
+  });
+
+  it("어댑터 politeness 의 perMinute·burst — SmartChip 이 가장 빡빡하다", () => {
+    assert.deepEqual(rateBudget(getTimingSource("smartchip")), { perMinute: 20, burst: 2 });
+    assert.deepEqual(rateBudget({ politeness: { delayMs: 0 } }), { perMinute: 30, burst: 3 });
+  });
+});
+
+describe("takeScrapeToken", () => {
+  it("처음엔 burst 만큼 바로, 그다음은 충전 속도만큼 기다린다", () => {
+    const a = takeScrapeToken(null, BUDGET, T0);
+    const b = takeScrapeToken(a.state, BUDGET, T0);
+    const c = takeScrapeToken(b.state, BUDGET, T0);
+    assert.equal(a.granted && b.granted, true);
+    assert.equal(c.granted, false);
+    assert.equal(c.waitMs, 3 * SEC);
+    const d = takeScrapeToken(b.state, BUDGET, T0 + 3 * SEC, 3 * SEC);
+    assert.equal(d.granted, true);
+    assert.deepEqual(
+      { granted: d.state.metrics.granted, throttled: d.state.metrics.throttled, throttledMs: d.state.metrics.throttledMs },
+      { granted: 3, throttled: 1, throttledMs: 3000 }
+    );
+    assert.equal(d.state.metrics.daily["2026-10-19"].throttledMs, 3000);
+  });
+
+  it("오래 쉬어도 burst 이상 쌓이지 않는다", () => {
+    const a = takeScrapeToken({ tokens: 0, refilledAt: T0 }, BUDGET, T0 + 60 * 60 * SEC);
+    assert.equal(a.state.tokens, 1);
+  });
+
+  it("blockedUntil 전에는 토큰이 있어도 못 받는다", () => {
+    const d = takeScrapeToken({ tokens: 2, refilledAt: T0, blockedUntil: T0 + 30 * SEC }, BUDGET, T0 + 10 * SEC);
+    assert.equal(d.granted, false);
+    assert.equal(d.waitMs, 20 * SEC);
+  });
+
+  it("큐 lease 안에서는 lease 끝 30초 전까지만 기다린다, lease 밖은 제한 없음", () => {
+    assert.equal(scrapeLeaseWaitRoomMs(T0 + SCRAPE_TASK_LEASE_MS, T0), 90 * SEC);
+    assert.equal(scrapeLeaseWaitRoomMs(T0 + 20 * SEC, T0), 0);
+    assert.equal(scrapeLeaseWaitRoomMs(null, T0), Infinity);
+    // 벌점으로 5분 막힌 소스 — lease 가 새로 연장돼도 기다리지 않고 바로 RATE_LIMITED
+    const blocked = takeScrapeToken({ tokens: 2, refilledAt: T0, blockedUntil: T0 + 300 * SEC }, BUDGET, T0);
+    assert.ok(blocked.waitMs > scrapeLeaseWaitRoomMs(T0 + SCRAPE_TASK_LEASE_MS, T0));
+  });
+
+  it("포기한 요청도 기다린 시간을 남긴다", () => {
+    const s = recordScrapeGiveUp({ tokens: 0 }, 120 * SEC, T0);
+    assert.equal(s.metrics.gaveUp, 1);
+    assert.equal(s.metrics.throttledMs, 120000);
+    assert.equal(s.tokens, 0);
+  });
+});
+
+describe("차단 감지 · 벌점", () => {
+  it("429·403·5xx 와 캡차·차단 페이지 문구", () => {
+    assert.equal(classifyScrapeResponse(429, ""), "rate_limited");
+    assert.equal(classifyScrapeResponse(403, ""), "forbidden");
+    assert.equal(classifyScrapeResponse(503, ""), "server_error");
+    assert.equal(classifyScrapeResponse(401, '<div class="g-recaptcha" data-sitekey="x"></div>'), "captcha");
+    assert.equal(classifyScrapeResponse(406, "<h1>Access Denied</h1>"), "captcha");
+    assert.equal(classifyScrapeResponse(200, "<p>자동입력 방지 문자를 입력하세요</p>"), "captcha");
+    assert.equal(classifyScrapeResponse(200, "비정상적인 접근이 감지되었습니다"), "captcha");
+    assert.equal(classifyScrapeResponse(200, "<table><tr><td>김가람</td><td>03:45:12</td></tr></table>"), null);
+    assert.equal(classifyScrapeResponse(404, "not found"), null);
+  });
+
+  it("2xx 정상 페이지의 reCAPTCHA 스크립트·Access Denied 라벨은 차단이 아니다 — 어댑터 blockMarkers 는 본다", () => {
+    const page = '<script src="https://www.google.com/recaptcha/api.js"></script><div class="g-recaptcha"></div><label>Access Denied 안내</label><table><tr><td>김가람</td></tr></table>';
+    assert.equal(classifyScrapeResponse(200, page), null);
+    assert.equal(classifyScrapeResponse(200, "<h2>요청이 너무 많습니다</h2>", [/요청이 너무 많습니다/]), "captcha");
+    assert.deepEqual(getTimingSource("smartchip").blockMarkers, []);
+  });
+
+  it("벌점마다 대기 두 배, 15분 상한 — 버킷도 비운다", () => {
+    assert.deepEqual([1, 2, 3, 5, 6].map(scrapePenaltyDelayMs), [30 * SEC, 60 * SEC, 120 * SEC, 480 * SEC, SCRAPE_PENALTY_MAX_MS]);
+    const one = penalizeScrapeSource({ tokens: 2, refilledAt: T0 }, { kind: "rate_limited", status: 429 }, T0);
+    const two = penalizeScrapeSource(one, { kind: "captcha" }, T0 + 30 * SEC);
+    assert.equal(one.tokens, 0);
+    assert.equal(one.blockedUntil, T0 + 30 * SEC);
+    assert.equal(two.strikes, 2);
+    assert.equal(two.blockedUntil, T0 + 90 * SEC);
+    assert.deepEqual(two.lastPenalty, { kind: "captcha", status: null, at: "2026-10-19T06:00:30.000Z" });
+    assert.equal(two.metrics.penalties, 2);
+  });
+});
+
+describe("지표 · 요약", () => {
+  it("일별 지표는 14일만 남긴다", () => {
+    let m = {};
+    for (let d = 1; d <= 16; d++) m = bumpRateMetrics(m, `2026-10-${String(d).padStart(2, "0")}`, { granted: 1 });
+    assert.equal(m.granted, 16);
+    assert.equal(Object.keys(m.daily).length, 14);
+    assert.equal(Object.keys(m.daily)[0], "2026-10-03");
+  });
+
+  it("summarizeScrapeRateLimits — 모든 어댑터, 정지 상태와 최근 7일 합계", () => {
+    const docs = [{
+      id: "smartchip",
+      data: {
+        tokens: 0,
+        refilledAt: T0,
+        strikes: 2,
+        blockedUntil: T0 + 60 * SEC,
+        metrics: {
+          daily: {
+            "2026-10-19": { granted: 5, throttled: 2, throttledMs: 6000, gaveUp: 0, penalties: 2 },
+            "2026-10-14": { granted: 9, throttled: 1, throttledMs: 1000, gaveUp: 1, penalties: 0 },
+            "2026-10-01": { granted: 50, throttled: 9, throttledMs: 90000, gaveUp: 3, penalties: 1 },
+          },
+        },
+      },
+    }];
+    const rows = summarizeScrapeRateLimits(docs, listTimingSources(), T0);
+    assert.equal(rows.length, listTimingSources().length);
+    const sc = rows.find((r) => r.source === "smartchip");
+    assert.equal(sc.blocked, true);
+    assert.equal(sc.today.granted, 5);
+    assert.equal(sc.last7.throttledMs, 7000);
+    assert.equal(sc.last7.gaveUp, 1);
+    const other = rows.find((r) => r.source === "myresult");
+    assert.equal(other.blocked, false);
+    assert.equal(other.tokens, other.budget.burst);
+  });
+});
+
+describe("큐 · scrapeFetch 연결", () => {
+  afterEach(() => {
+    replay.setScrapeRateLimiter(null);
+    replay.configureScrapeReplay({ mode: "live" });
+  });
+
+  it("RATE_LIMITED 는 시도 횟수를 쓰지 않고 retryAfterMs 뒤 (1분~30분)", () => {
+    const r = retryScrapeTaskPatch({ attempts: 2 }, { code: "RATE_LIMITED", message: "한도", retryAfterMs: 5 * 60 * SEC }, T0);
+    assert.equal(r.status, "queued");
+    assert.equal(r.attempts, 2);
+    assert.equal(r.nextRunAt, new Date(T0 + 5 * 60 * SEC).toISOString());
+    assert.equal(retryScrapeTaskPatch({ attempts: 4 }, { code: "RATE_LIMITED", retryAfterMs: 1 }, T0).nextRunAt, new Date(T0 + 60 * SEC).toISOString());
+  });
+
+  it("live 요청은 acquire → fetch → report, 모르는 호스트·replay 는 한도 밖", async () => {
+    const calls = [];
+    replay.configureScrapeReplay({
+      mode: "live",
+      fetch: async (url) => new Response(url.includes("block") ? "비정상적인 접근이 감지되었습니다" : "ok", { status: 200 }),
+    });
+    replay.setScrapeRateLimiter({
+      sourceFor: (url) => sourceForUrl(url, listTimingSources()),
+      acquire: async (source) => calls.push(["acquire", source]),
+      report: async (source, { status, text }) => calls.push(["report", source, classifyScrapeResponse(status, text)]),
+    });
+    const res = await replay.scrapeFetch("https://myresult.co.kr/api/event/1/player?q=x");
+    assert.equal(await res.text(), "ok");
+    await replay.scrapeFetch("https://myresult.co.kr/block");
+    await replay.scrapeFetch("https://example.com/");
+    assert.deepEqual(calls, [
+      ["acquire", "myresult"], ["report", "myresult", null],
+      ["acquire", "myresult"], ["report", "myresult", "captcha"],
+    ]);
+
+    replay.configureScrapeReplay({ mode: "replay", entries: [{ method: "GET", url: "https://myresult.co.kr/x", status: 200, text: "r" }] });
+    calls.length = 0;
+    await replay.scrapeFetch("https://myresult.co.kr/x");
+    assert.deepEqual(calls, []);
+  });
+
+  it("runWithScrapeContext 안의 요청은 acquire 에 컨텍스트를 넘긴다", async () => {
+    const contexts = [];
+    replay.configureScrapeReplay({ mode: "live", fetch: async () => new Response("ok") });
+    replay.setScrapeRateLimiter({
+      sourceFor: () => "spct",
+      acquire: async (source, context) => { contexts.push(context); },
+      report: async () => {},
+    });
+    const lease = { leaseUntilMs: T0 };
+    await replay.runWithScrapeContext(lease, async () => {
+      await new Promise((r) => setImmediate(r));
+      await replay.scrapeFetch("https://time.spct.kr/main.php");
+    });
+    await replay.scrapeFetch("https://time.spct.kr/main.php");
+    assert.deepEqual(contexts, [lease, null]);
+  });
+
+  it("acquire 가 RATE_LIMITED 로 던지면 요청하지 않는다", async () => {
+    let fetched = 0;
+    replay.configureScrapeReplay({ mode: "live", fetch: async () => { fetched++; return new Response("ok"); } });
+    replay.setScrapeRateLimiter({
+      sourceFor: () => "spct",
+      acquire: async () => { throw Object.assign(new Error("한도"), { code: "RATE_LIMITED" }); },
+      report: async () => {},
+    });
+    await assert.rejects(replay.scrapeFetch("https://time.spct.kr/main.php"), { code: "RATE_LIMITED" });
+    assert.equal(fetched, 0);
+  });
+});
@@ -0,0 +1,276 @@
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+
+const replay = require(path.join(__dirname, "../../functions/lib/scrape-replay.js"));
+const scraper = require(path.join(__dirname, "../../functions/lib/scraper.js"));
+
+const FIXTURE_DIR = path.join(__dirname, "fixtures/scraper");
+
+function useFixture(source) {
+  const file = path.join(FIXTURE_DIR, `${source}.json`);
+  replay.configureScrapeReplay({ mode: "replay", file });
+  return replay.loadScrapeRecording(file);
+}
+
+/** 기록 행 비교용 요약 — 필드 전체는 source 별 첫 케이스에서 고정 */
+function brief(rows) {
+  return rows.map((r) => [r.name, r.bib, r.distance, r.netTime, r.gender, r.overallRank]);
+}
+
+function record(overrides) {
+  return {
+    gunTime: "",
+    overallRank: null,
+    genderRank: null,
+    ageGroupRank: null,
+    gender: null,
+    splits: [],
+    pace: "",
+    ...overrides,
+  };
+}
+
+afterEach(() => replay.configureScrapeReplay({ mode: "live" }));
+
+describe("scrape-replay", () => {
+  it("요청 키 — method·URL·body, 헤더 무시", () => {
+    assert.equal(replay.requestKey("get", "https://a.kr/x"), "GET https://a.kr/x");
+    assert.equal(replay.requestKey("POST", "https://a.kr/x", "q=1"), "POST https://a.kr/x\nq=1");
+  });
+
+  it("녹화 없는 요청은 SCRAPE_REPLAY_MISS · 같은 키는 녹화 순서대로 후 마지막 반복", async () => {
+    replay.configureScrapeReplay({
+      mode: "replay",
+      entries: [
+        { method: "GET", url: "https://a.kr/n", text: "1" },
+        { method: "GET", url: "https://a.kr/n", status: 503, text: "2" },
+      ],
+    });
+    await assert.rejects(replay.scrapeFetch("https://a.kr/other"), { code: "SCRAPE_REPLAY_MISS" });
+    const first = await replay.scrapeFetch("https://a.kr/n");
+    assert.equal(await first.text(), "1");
+    const second = await replay.scrapeFetch("https://a.kr/n");
+    assert.equal(second.ok, false);
+    assert.equal(await (await replay.scrapeFetch("https://a.kr/n")).text(), "2");
+  });
+
+  it("record — 응답은 그대로 넘기고 요청·응답 쌍을 남김 → 그대로 재생", async () => {
+    const calls = [];
+    replay.configureScrapeReplay({
+      mode: "record",
+      fetch: async (url, init) => {
+        calls.push(url);
+        return new Response("<p>ok</p>", { status: 200, headers: { "content-type": "text/html", "set-cookie": "S=1; path=/", "x-trace": "t" } });
+      },
+    });
+    const res = await replay.scrapeFetch("https://a.kr/p", { method: "POST", headers: { "User-Agent": "x" }, body: "q=가람" });
+    assert.equal(await res.text(), "<p>ok</p>");
+    const entries = replay.recordedScrapeEntries();
+    assert.deepEqual(entries, [
+      {
+        method: "POST",
+        url: "https://a.kr/p",
+        body: "q=가람",
+        status: 200,
+        headers: { "content-type": "text/html", "set-cookie": "S=1; path=/" },
+        text: "<p>ok</p>",
+      },
+    ]);
+    assert.equal(calls.length, 1);
+
+    replay.configureScrapeReplay({ mode: "replay", entries });
+    const again = await replay.scrapeFetch("https://a.kr/p", { method: "POST", body: "q=가람" });
+    assert.equal(again.headers.get("set-cookie"), "S=1; path=/");
+    assert.equal(await again.text(), "<p>ok</p>");
+  });
+
+  it("알 수 없는 모드 · 재생 자료 없음 거절", () => {
+    assert.throws(() => replay.configureScrapeReplay({ mode: "mock" }));
+    assert.throws(() => replay.configureScrapeReplay({ mode: "replay" }));
+  });
+});
+
+describe("scraper replay — myresult", () => {
+  it("이벤트 정보 · 넷타임 없으면 건타임 · 페이지 넘김 discover", async () => {
+    const meta = useFixture("myresult");
+    assert.deepEqual(await scraper.getEventInfo("myresult", meta.sourceId), { title: "2026 JTBC 서울마라톤", date: "2026-11-01" });
+    assert.deepEqual(await scraper.searchMember("myresult", meta.sourceId, "가람"), [
+      record({ name: "가람", bib: "10234", distance: "full", netTime: "03:25:10", gunTime: "03:26:02", gender: "M", pace: "4:51" }),
+    ]);
+    assert.deepEqual(brief(await scraper.searchMember("myresult", meta.sourceId, "보라")), [
+      ["보라", "50311", "10K", "00:52:40", "F", null],
+      ["보라", "50877", "10K", "00:58:02", "F", null],
+    ]);
+    assert.deepEqual(await scraper.searchMember("myresult", meta.sourceId, "없음"), []);
+    assert.deepEqual(
+      (await scraper.discoverMyResult(2026)).map((e) => [e.sourceId, e.date, e.location]),
+      [
+        ["1187", "2026-11-01", "서울"],
+        ["1150", "2026-04-12", "고양"],
+      ]
+    );
+  });
+});
+
+describe("scraper replay — marazone", () => {
+  it("순위 분리 · '-' 스플릿 제외 · 연도 필터", async () => {
+    const meta = useFixture("marazone");
+    assert.deepEqual(await scraper.getEventInfo("marazone", meta.sourceId), { title: "2026 춘천마라톤", date: "2026-10-25" });
+    assert.deepEqual(await scraper.searchMember("marazone", meta.sourceId, "가람"), [
+      record({
+        name: "가람",
+        bib: "F1024",
+        distance: "full",
+        netTime: "03:18:44",
+        overallRank: 931,
+        genderRank: 850,
+        ageGroupRank: "201/640",
+        gender: "M",
+        splits: [
+          { label: "10K", time: "00:46:30" },
+          { label: "Half", time: "01:38:12" },
+        ],
+        pace: "4:42",
+      }),
+    ]);
+    assert.deepEqual(brief(await scraper.searchMember("marazone", meta.sourceId, "보라")), [
+      ["보라", "T5520", "10K", "00:55:03", "F", null],
+    ]);
+    assert.deepEqual(await scraper.searchMember("marazone", meta.sourceId, "없음"), []);
+    assert.deepEqual(
+      (await scraper.discoverMarazone(2026)).map((e) => [e.sourceId, e.date, e.distances]),
+      [["2026 춘천마라톤", "2026-10-25", "Full,10K"]]
+    );
+  });
+});
+
+describe("scraper replay — spct", () => {
+  it("목록 → 상세 · 바로 이동(redirect) · 오류 페이지 · 페이지 수 discover", async () => {
+    const meta = useFixture("spct");
+    assert.deepEqual(await scraper.getEventInfo("spct", meta.sourceId), { title: "2026 상암 하프마라톤", date: "2026-10-18" });
+    const garam = await scraper.searchMember("spct", meta.sourceId, "가람");
+    assert.deepEqual(garam[0], {
+      name: "가람",
+      bib: "15881",
+      distance: "10K",
+      netTime: "00:48:12",
+      gunTime: "",
+      gender: null,
+      overallRank: 120,
+      genderRank: 101,
+      ageGroupRank: "33/610",
+      splits: [
+        { label: "Section 1", time: "00:24:01" },
+        { label: "Finish", time: "00:48:12" },
+      ],
+      pace: "",
+    });
+    assert.deepEqual(brief(garam), [
+      ["가람", "15881", "10K", "00:48:12", null, 120],
+      ["가람", "25186", "half", "01:41:05", null, 402],
+    ]);
+    assert.deepEqual(brief(await scraper.searchMember("spct", meta.sourceId, "보라")), [
+      ["보라", "30077", "10K", "00:55:40", null, 801],
+    ]);
+    assert.deepEqual(await scraper.searchMember("spct", meta.sourceId, "없음"), []);
+    assert.deepEqual(
+      (await scraper.discoverSPCT(2026)).map((e) => [e.sourceId, e.date]),
+      [
+        ["2026101801", "2026-10-18"],
+        ["2026092001", "2026-09-20"],
+        ["2026030101", "2026-03-01"],
+      ]
+    );
+  });
+});
+
+describe("scraper replay — smartchip", () => {
+  it("scDecrypt — 페이지 키 배열·XOR 마스크로 기록 복호", () => {
+    const html = 'const _k = [7, 19, 3]; x = c ^ 170;';
+    const secret = "00:41"
+      .split("")
+      .map((ch, i) => (ch.charCodeAt(0) ^ ([7, 19, 3][i % 3] ^ 170)).toString(16).padStart(4, "0"))
+      .join("");
+    assert.equal(scraper.scDecrypt(secret, html), "00:41");
+    assert.equal(scraper.scDecrypt("", html), "");
+  });
+
+  it("세션 쿠키 · 암호화 기록 · 동명이인 배번 재검색 · 기록 없음", async () => {
+    const meta = useFixture("smartchip");
+    assert.deepEqual(await scraper.getEventInfo("smartchip", meta.sourceId), { title: "2026 경주국제마라톤", date: "2026-10-18" });
+    const session = await scraper.getSmartChipSession();
+    assert.equal(session, "ASPSESSIONIDQCRTBSAB=MFNLKJHDFKEOPKLMBNGHEPAB");
+    assert.deepEqual(await scraper.searchMember("smartchip", meta.sourceId, "가람", { session }), [
+      record({ name: "가람", bib: "1024", distance: "full", netTime: "03:12:45", overallRank: 311, gender: "M" }),
+    ]);
+    assert.deepEqual(brief(await scraper.searchMember("smartchip", meta.sourceId, "보라", { session })), [
+      ["보라", "5501", "10K", "00:52:30", "F", 640],
+      ["보라", "5788", "10K", "01:04:02", "F", 1502],
+    ]);
+    assert.deepEqual(await scraper.searchMember("smartchip", meta.sourceId, "없음", { session }), []);
+  });
+
+  it("discover — dongma 드롭다운·슬라이드 + main.html selectItem·대회명 보강", async () => {
+    useFixture("smartchip");
+    assert.deepEqual(
+      (await scraper.discoverSmartChip(2026)).map((e) => [e.sourceId, e.name, e.date]),
+      [
+        ["202650000218", "2026 경주국제마라톤", "2026-10-18"],
+        ["202650000301", "SmartChip 202650000301", null],
+        ["202610000077", "2026 청주 무심천 하프", "2026-05-10"],
+        ["202610000199", "2026 대청호 벚꽃길 마라톤", null],
+      ]
+    );
+  });
+
+  it("scrapeEvent 전체 재생 — 종목 필터 · 동명이인 ambiguous · 종목·기록 순 정렬", async () => {
+    const meta = useFixture("smartchip");
+    const out = await scraper.scrapeEvent({
+      source: meta.source,
+      sourceId: meta.sourceId,
+      members: [
+        { realName: "보라", nickname: "bora", distance: "10K", gender: "F" },
+        { id: "m-garam", realName: "가람", nickname: "garam", distance: "풀" },
+        { realName: "없음", nickname: "none" },
+      ],
+      // PB 맵은 race_results 행(memberId 키) 기준
+      pbMap: scraper.buildPBMap([{ memberId: "m-garam", memberRealName: "가람", distance: "full", netTime: "03:10:00" }]),
+    });
+    assert.equal(out.eventName, "2026 경주국제마라톤");
+    assert.equal(out.eventDate, "2026-10-18");
+    assert.equal(out.jobStatus, "complete");
+    assert.equal(out.failCount, 0);
+    assert.deepEqual(
+      out.results.map((r) => [r.memberNickname, r.bib, r.distance, r.netTime, r.status, r.isPB]),
+      [
+        ["garam", "1024", "full", "03:12:45", "auto", false],
+        ["bora", "5501", "10K", "00:52:30", "ambiguous", true],
+        ["bora", "5788", "10K", "01:04:02", "ambiguous", true],
+      ]
+    );
+    assert.equal(out.results[0].memberId, "m-garam");
+  });
+});
+
+describe("scraper replay — ohmyrace", () => {
+  it("이름 카드 · 동명이인 목록 배번 중복 제거 · discover 연도 필터", async () => {
+    const meta = useFixture("ohmyrace");
+    assert.deepEqual(await scraper.getEventInfo("ohmyrace", meta.sourceId), { title: "2026 한강 나이트런", date: "2026-04-05" });
+    assert.deepEqual(await scraper.searchMember("ohmyrace", meta.sourceId, "가람"), [
+      record({ name: "가람", bib: "1102", distance: "10K", netTime: "00:45:31", overallRank: 88, genderRank: 71, gender: "M" }),
+    ]);
+    assert.deepEqual(brief(await scraper.searchMember("ohmyrace", meta.sourceId, "보라")), [
+      ["보라", "301", "5K", "00:27:10", "F", 140],
+      ["보라", "302", "10K", "01:01:44", "F", 1301],
+    ]);
+    assert.deepEqual(await scraper.searchMember("ohmyrace", meta.sourceId, "없음"), []);
+    assert.deepEqual(
+      (await scraper.discoverOhmyrace(2026)).map((e) => [e.sourceId, e.name, e.date]),
+      [
+        ["118", "2026 한강 나이트런", "2026-04-05"],
+        ["131", "2026 양평 물소리길 하프", "2026-11-15"],
+      ]
+    );
+  });
+});
@@ -0,0 +1,136 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+
+const {
+  searchCacheKey,
+  eventDateMs,
+  searchCacheTtlMs,
+  cachedAtMs,
+  searchCacheState,
+  buildSearchCacheEntry,
+  canClaimSearchCacheRefresh,
+  matchesSearchCacheInvalidation,
+  planSearchCacheKeyMigration,
+} = require(path.join(__dirname, "../../functions/lib/search-cache.js"));
+const sources = require(path.join(__dirname, "../../functions/lib/timing-sources"));
+
+const NOW = Date.parse("2026-10-19T06:00:00.000Z"); // KST 15:00
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+function entry(over) {
+  return {
+    ...buildSearchCacheEntry({
+      realName: "김가람",
+      source: "spct",
+      sourceId: "2026101801",
+      parserVersion: 1,
+      eventDate: "2026-10-18",
+      result: { eventName: "춘천마라톤", eventDate: "2026-10-18", records: [{ netTime: "03:45:12" }] },
+    }),
+    cachedAt: new Date(NOW - HOUR).toISOString(),
+    ...over,
+  };
+}
+
+describe("searchCacheKey · eventDateMs", () => {
+  it("소스·대회·이름 뒤에 파서 버전", () => {
+    assert.equal(searchCacheKey("spct", "2026101801", "김가람", 2), "spct_2026101801_김가람_v2");
+    assert.ok(searchCacheKey("spct", "1", "x".repeat(2000), 1).endsWith("_v1"));
+  });
+
+  it("여러 날짜 표기를 KST 자정으로", () => {
+    const kst = Date.parse("2026-10-18T00:00:00+09:00");
+    assert.equal(eventDateMs("2026-10-18"), kst);
+    assert.equal(eventDateMs("2026.10.18"), kst);
+    assert.equal(eventDateMs("2026/10/18 (일)"), kst);
+    assert.equal(eventDateMs(""), null);
+  });
+});
+
+describe("searchCacheTtlMs", () => {
+  it("대회가 가까울수록 짧고, 작년 대회는 길다", () => {
+    assert.equal(searchCacheTtlMs("2026-10-18", NOW), 3 * HOUR);
+    assert.equal(searchCacheTtlMs("2026-10-25", NOW), 3 * HOUR); // 앞으로 열릴 대회
+    assert.equal(searchCacheTtlMs("2026-09-30", NOW), DAY);
+    assert.equal(searchCacheTtlMs("2026-03-01", NOW), 7 * DAY);
+    assert.equal(searchCacheTtlMs("2025-03-01", NOW), 90 * DAY);
+    assert.equal(searchCacheTtlMs("", NOW), DAY);
+  });
+});
+
+describe("searchCacheState", () => {
+  it("TTL 안이면 fresh, 지나면 stale, 파서 버전이 다르거나 시각이 없으면 miss", () => {
+    assert.equal(searchCacheState(entry(), { parserVersion: 1, nowMs: NOW }), "fresh");
+    assert.equal(searchCacheState(entry({ cachedAt: new Date(NOW - 4 * HOUR) }), { parserVersion: 1, nowMs: NOW }), "stale");
+    assert.equal(searchCacheState(entry(), { parserVersion: 2, nowMs: NOW }), "miss");
+    assert.equal(searchCacheState(entry({ cachedAt: null }), { parserVersion: 1, nowMs: NOW }), "miss");
+    assert.equal(searchCacheState(null, { parserVersion: 1, nowMs: NOW }), "miss");
+  });
+
+  it("작년 대회는 한 달 된 캐시도 fresh", () => {
+    const old = entry({ eventDate: "2025-05-01", cachedAt: { toMillis: () => NOW - 30 * DAY } });
+    assert.equal(searchCacheState(old, { parserVersion: 1, nowMs: NOW }), "fresh");
+  });
+
+  it("cachedAt 은 Timestamp · Date · ISO · ms 모두 읽는다", () => {
+    assert.equal(cachedAtMs({ cachedAt: { toMillis: () => 5 } }), 5);
+    assert.equal(cachedAtMs({ cachedAt: new Date(7) }), 7);
+    assert.equal(cachedAtMs({ cachedAt: "1970-01-01T00:00:00.009Z" }), 9);
+    assert.equal(cachedAtMs({ cachedAt: 11 }), 11);
+    assert.equal(cachedAtMs({}), null);
+  });
+});
+
+describe("갱신 · 무효화", () => {
+  it("다른 실행이 5분 안에 잡은 stale 항목은 다시 잡지 않는다", () => {
+    assert.equal(canClaimSearchCacheRefresh(entry(), NOW), true);
+    assert.equal(canClaimSearchCacheRefresh(entry({ refreshingAt: NOW - 60 * 1000 }), NOW), false);
+    assert.equal(canClaimSearchCacheRefresh(entry({ refreshingAt: NOW - 6 * 60 * 1000 }), NOW), true);
+  });
+
+  it("소스 · 대회 · 예전 파서 버전만", () => {
+    const e = entry();
+    assert.equal(matchesSearchCacheInvalidation(e, { source: "spct" }), true);
+    assert.equal(matchesSearchCacheInvalidation(e, { source: "myresult" }), false);
+    assert.equal(matchesSearchCacheInvalidation({ ...e, sourceId: 2026101801 }, { source: "spct", sourceId: "2026101801" }), true);
+    assert.equal(matchesSearchCacheInvalidation(e, { source: "spct", sourceId: "999" }), false);
+    assert.equal(matchesSearchCacheInvalidation(e, { source: "spct", outdatedOnly: true, parserVersion: 1 }), false);
+    assert.equal(matchesSearchCacheInvalidation(e, { source: "spct", outdatedOnly: true, parserVersion: 2 }), true);
+    const legacy = { realName: "김가람", source: "spct", sourceId: "1", found: false, result: null };
+    assert.equal(matchesSearchCacheInvalidation(legacy, { source: "spct", outdatedOnly: true, parserVersion: 1 }), true);
+  });
+});
+
+describe("planSearchCacheKeyMigration", () => {
+  it("버전 없는 예전 키 → _v1, 이미 있는 새 키는 삭제만, v2 소스와 다른 문서는 그대로", () => {
+    const docs = [
+      { id: "spct_1_김가람", data: { realName: "김가람", source: "spct", sourceId: "1", found: true, result: { eventDate: "2026-04-05", records: [] }, cachedAt: "2026-04-06T00:00:00.000Z" } },
+      { id: "spct_2_이나래", data: { realName: "이나래", source: "spct", sourceId: "2", found: false, result: null } },
+      { id: "spct_2_이나래_v1", data: entry({ realName: "이나래", sourceId: "2" }) },
+      { id: "smartchip_3_김가람", data: { realName: "김가람", source: "smartchip", sourceId: "3", found: false, result: null } },
+      { id: "discover_all_2026", data: { events: [], year: 2026 } },
+    ];
+    const plan = planSearchCacheKeyMigration(docs, (source) => (source === "smartchip" ? 2 : 1));
+    assert.deepEqual(plan.moves.map((m) => [m.fromId, m.toId, m.superseded]), [
+      ["spct_1_김가람", "spct_1_김가람_v1", false],
+      ["spct_2_이나래", "spct_2_이나래_v1", true],
+    ]);
+    assert.equal(plan.moves[0].data.parserVersion, 1);
+    assert.equal(plan.moves[0].data.eventDate, "2026-04-05");
+    assert.equal(plan.moves[0].data.cachedAt, "2026-04-06T00:00:00.000Z");
+    assert.deepEqual(plan.outdated, ["smartchip_3_김가람"]);
+    assert.equal(plan.unchanged, 2);
+  });
+});
+
+describe("어댑터 parserVersion", () => {
+  it("기본 1, 정수가 아니면 등록 거부", () => {
+    assert.equal(sources.timingSourceParserVersion("spct"), 1);
+    assert.equal(sources.timingSourceParserVersion("nope"), 1);
+    assert.equal(sources.describeTimingSource(sources.getTimingSource("smartchip")).parserVersion, 1);
+    const fake = { id: "fake-parser", label: "F", politeness: { delayMs: 0 }, searchByName: async () => [], getEventInfo: async () => ({}) };
+    assert.throws(() => sources.registerTimingSource({ ...fake, parserVersion: 1.5 }), /parserVersion/);
+  });
+});
@@ -0,0 +1,116 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+
+const {
+  parseDigestRecipients,
+  normalizeDigestSettings,
+  digestSettingsFromDoc,
+  teamRateForRange,
+  buildTeamDigest,
+  buildTeamDigestEmail,
+} = require(path.join(__dirname, "../../functions/lib/team-digest.js"));
+const { adjustMemberStats } = require(path.join(__dirname, "../../functions/lib/attendance-retention.js"));
+const { buildMeetingCalendar } = require(path.join(__dirname, "../../functions/lib/meeting-calendar.js"));
+
+const TODAY = "2026/10/19";
+
+function statsOf(memberId, dateKeys) {
+  return dateKeys.reduce((s, d) => adjustMemberStats(s, memberId, d, 1), null);
+}
+
+function fixture() {
+  const members = [
+    { id: "a", nickname: "가람", team: "T1" },
+    { id: "e", nickname: "이슬", team: "T1" },
+    { id: "d", nickname: "다온", team: "T1" },
+    { id: "b", nickname: "보라", team: "T1", hidden: true },
+    { id: "c", nickname: "초롱", team: "T2" },
+  ];
+  const statsById = new Map([
+    ["a", statsOf("a", ["2026/09/01", "2026/09/03", "2026/09/05", "2026/09/08"])],
+    ["e", statsOf("e", ["2026/09/15", "2026/10/13", "2026/10/15"])],
+    ["d", statsOf("d", ["2026/10/06", "2026/10/08", "2026/10/13"])],
+    ["b", statsOf("b", ["2026/09/01"])],
+    ["c", statsOf("c", ["2026/09/01"])],
+  ]);
+  return { members, statsById };
+}
+
+describe("team-digest settings", () => {
+  it("수신자 문자열 파싱·중복 제거", () => {
+    assert.deepEqual(parseDigestRecipients("A@x.com, b@y.com;a@x.com\nc@z.kr"), ["a@x.com", "b@y.com", "c@z.kr"]);
+    assert.deepEqual(parseDigestRecipients(["a@x.com", ""]), ["a@x.com"]);
+  });
+
+  it("normalizeDigestSettings 검증", () => {
+    assert.deepEqual(normalizeDigestSettings({ team: "t1", recipients: "lead@x.com" }), {
+      ok: true,
+      team: "T1",
+      settings: { recipients: ["lead@x.com"], enabled: true, inactiveWeeks: 3 },
+    });
+    assert.equal(normalizeDigestSettings({ team: "GUEST", recipients: "" }).ok, false);
+    assert.equal(normalizeDigestSettings({ team: "S", recipients: "not-an-email" }).ok, false);
+    assert.equal(normalizeDigestSettings({ team: "S", recipients: "a@x.com", inactiveWeeks: 0 }).ok, false);
+    assert.equal(normalizeDigestSettings({ team: "S", recipients: "a@x.com", enabled: false }).settings.enabled, false);
+  });
+
+  it("저장 문서 없으면 기본값(비활성)", () => {
+    assert.deepEqual(digestSettingsFromDoc("T3", undefined), {
+      team: "T3",
+      recipients: [],
+      enabled: false,
+      inactiveWeeks: 3,
+    });
+  });
+});
+
+describe("teamRateForRange", () => {
+  it("팀원 수 × 정모 수 분모, 취소 정모 제외", () => {
+    const dates = [["2026/10/13", "2026/10/15"], []];
+    assert.deepEqual(teamRateForRange(dates, "2026/10/12", "2026/10/18", null), { held: 3, attended: 2, rate: 33 });
+    const calendar = buildMeetingCalendar([{ meetingDateKey: "2026/10/17", meetingType: "SAT", status: "cancelled" }]);
+    assert.deepEqual(teamRateForRange(dates, "2026/10/12", "2026/10/18", calendar), { held: 2, attended: 2, rate: 50 });
+    assert.equal(teamRateForRange(dates, "2026/10/19", "2026/10/19", null).rate, null);
+  });
+});
+
+describe("buildTeamDigest", () => {
+  it("장기 결석 · 신규 첫 달 · 전월 대비 출석률", () => {
+    const { members, statsById } = fixture();
+    const digest = buildTeamDigest({ team: "T1", members, statsById, todayKey: TODAY, inactiveWeeks: 3 });
+    assert.equal(digest.rosterCount, 3);
+    assert.deepEqual(digest.inactive, [{ memberId: "a", nickname: "가람", lastDateKey: "2026/09/08", daysSinceLast: 41 }]);
+    assert.deepEqual(digest.newMembers, [
+      { memberId: "d", nickname: "다온", firstDateKey: "2026/10/06", attended: 3, held: 6 },
+    ]);
+    assert.deepEqual(digest.rate, {
+      month: "2026-10",
+      prevMonth: "2026-09",
+      current: 21,
+      previous: 13,
+      currentHeld: 8,
+      previousHeld: 13,
+      diff: 8,
+    });
+  });
+
+  it("결석 기준 주 수를 늘리면 목록에서 빠짐", () => {
+    const { members, statsById } = fixture();
+    const digest = buildTeamDigest({ team: "T1", members, statsById, todayKey: TODAY, inactiveWeeks: 6 });
+    assert.deepEqual(digest.inactive, []);
+  });
+});
+
+describe("buildTeamDigestEmail", () => {
+  it("제목·본문에 팀·목록 포함, 닉네임 이스케이프", () => {
+    const { members, statsById } = fixture();
+    members[0].nickname = "<가람>";
+    const digest = buildTeamDigest({ team: "T1", members, statsById, todayKey: TODAY });
+    const { subject, html } = buildTeamDigestEmail(digest, { teamLabel: "1팀" });
+    assert.equal(subject, "[DMC 출석] 1팀 주간 다이제스트 — 2026/10/19");
+    assert.match(html, /&lt;가람&gt; — 마지막 출석 2026\/09\/08 \(5주 전\)/);
+    assert.match(html, /다온 — 첫 출석 2026\/10\/06, 정모 6회 중 3회 출석/);
+    assert.match(html, /21% \(\+8%p\)/);
+  });
+});
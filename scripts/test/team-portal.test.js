@@ -0,0 +1,139 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+
+const {
+  resolveTeamScope,
+  heldMeetingDateKeys,
+  buildTeamPortal,
+  normalizeTeamNote,
+  validateTeamMoveRequest,
+  hasPendingTeamMove,
+  teamMovesForTeam,
+  parseTeamMoveStatusFilter,
+} = require(path.join(__dirname, "../../functions/lib/team-portal.js"));
+const { adjustMemberStats } = require(path.join(__dirname, "../../functions/lib/attendance-retention.js"));
+const { buildMeetingCalendar } = require(path.join(__dirname, "../../functions/lib/meeting-calendar.js"));
+
+/** 월요일 */
+const TODAY = "2026/10/19";
+const LEADER_T1 = { role: "team_leader", team: "T1", username: "t1.lead" };
+
+function statsOf(memberId, dateKeys) {
+  return dateKeys.reduce((s, d) => adjustMemberStats(s, memberId, d, 1), null);
+}
+
+describe("team-portal scope", () => {
+  it("팀장은 본인 팀만 — 다른 팀 지정 403", () => {
+    assert.deepEqual(resolveTeamScope(LEADER_T1, ""), { ok: true, team: "T1" });
+    assert.deepEqual(resolveTeamScope(LEADER_T1, "t1"), { ok: true, team: "T1" });
+    assert.deepEqual(resolveTeamScope(LEADER_T1, "T2"), { ok: false, status: 403, error: "TEAM_SCOPE" });
+    assert.deepEqual(resolveTeamScope(LEADER_T1, "GUEST"), { ok: false, status: 403, error: "TEAM_SCOPE" });
+    assert.equal(resolveTeamScope({ role: "team_leader", team: "" }, "T1").error, "TEAM_NOT_ASSIGNED");
+  });
+
+  it("오너·운영진은 지정 팀, 그 외 역할 403", () => {
+    assert.deepEqual(resolveTeamScope({ role: "operator" }, "T3"), { ok: true, team: "T3" });
+    assert.equal(resolveTeamScope({ role: "owner" }, "").status, 400);
+    assert.equal(resolveTeamScope({ role: "chunbaek_coach" }, "T1").error, "FORBIDDEN_ROLE");
+  });
+});
+
+describe("team-portal view", () => {
+  it("최근 8주 정모 — 취소 정모 제외", () => {
+    const keys = heldMeetingDateKeys(TODAY, 56, null);
+    assert.equal(keys.length, 24);
+    assert.equal(keys[keys.length - 1], "2026/10/17");
+    const calendar = buildMeetingCalendar([
+      { meetingDateKey: "2026/10/15", meetingType: "THU", status: "cancelled" },
+    ]);
+    assert.equal(heldMeetingDateKeys(TODAY, 56, calendar).includes("2026/10/15"), false);
+  });
+
+  it("팀원 명단 · 정모별 출석 수 · 연속 출석 · 메모", () => {
+    const members = [
+      { id: "a", nickname: "가람", team: "T1" },
+      { id: "b", nickname: "보라", team: "T1", hidden: true },
+      { id: "c", nickname: "초롱", team: "T2" },
+      { id: "d", nickname: "다온", team: "t1" },
+    ];
+    const statsById = new Map([
+      ["a", statsOf("a", ["2026/06/02", "2026/10/13", "2026/10/15", "2026/10/17"])],
+      ["c", statsOf("c", ["2026/10/17"])],
+      ["d", statsOf("d", ["2026/10/13"])],
+    ]);
+    const notesById = new Map([["d", { note: "무릎 부상 — 11월 복귀", updatedAt: "2026-10-18T01:00:00.000Z", updatedBy: "t1.lead" }]]);
+    const portal = buildTeamPortal({ team: "T1", members, statsById, notesById, todayKey: TODAY });
+
+    assert.equal(portal.team, "T1");
+    assert.deepEqual(
+      portal.members.map((m) => m.nickname),
+      ["가람", "다온"]
+    );
+    const [garam, daon] = portal.members;
+    assert.deepEqual(garam.attended, ["2026/10/13", "2026/10/15", "2026/10/17"]);
+    assert.equal(garam.total, 4);
+    assert.equal(garam.streak, 3);
+    assert.equal(garam.lastDateKey, "2026/10/17");
+    assert.equal(daon.streak, 0);
+    assert.equal(daon.note, "무릎 부상 — 11월 복귀");
+    assert.equal(daon.noteUpdatedBy, "t1.lead");
+
+    const byDate = new Map(portal.meetings.map((m) => [m.dateKey, m.attended]));
+    assert.equal(byDate.get("2026/10/13"), 2);
+    assert.equal(byDate.get("2026/10/17"), 1);
+    assert.equal(byDate.get("2026/10/10"), 0);
+  });
+
+  it("메모 길이 제한 · 빈 값은 삭제", () => {
+    assert.deepEqual(normalizeTeamNote("  연락 완료 "), { ok: true, note: "연락 완료" });
+    assert.deepEqual(normalizeTeamNote(null), { ok: true, note: "" });
+    assert.equal(normalizeTeamNote("x".repeat(501)).ok, false);
+  });
+});
+
+describe("team-portal moves", () => {
+  it("본인 팀으로 데려오기 · 본인 팀에서 내보내기만", () => {
+    assert.deepEqual(validateTeamMoveRequest({ auth: LEADER_T1, member: { team: "T2" }, toTeam: "T1", reason: " 이사 " }), {
+      ok: true,
+      fromTeam: "T2",
+      toTeam: "T1",
+      reason: "이사",
+    });
+    assert.deepEqual(validateTeamMoveRequest({ auth: LEADER_T1, member: { team: "T1" }, toTeam: "" }), {
+      ok: true,
+      fromTeam: "T1",
+      toTeam: "",
+      reason: "",
+    });
+    assert.equal(validateTeamMoveRequest({ auth: LEADER_T1, member: { team: "" }, toTeam: "T1" }).ok, true);
+  });
+
+  it("다른 팀끼리 이동·같은 팀·잘못된 팀 거절", () => {
+    assert.deepEqual(validateTeamMoveRequest({ auth: LEADER_T1, member: { team: "T2" }, toTeam: "T3" }), {
+      ok: false,
+      status: 403,
+      error: "TEAM_SCOPE",
+    });
+    assert.equal(validateTeamMoveRequest({ auth: LEADER_T1, member: { team: "T1" }, toTeam: "T1" }).error, "already in team");
+    assert.equal(validateTeamMoveRequest({ auth: LEADER_T1, member: { team: "T1" }, toTeam: "GUEST" }).status, 400);
+    assert.equal(validateTeamMoveRequest({ auth: LEADER_T1, member: { team: "T2", hidden: true }, toTeam: "T1" }).status, 400);
+    assert.equal(validateTeamMoveRequest({ auth: { team: "" }, member: { team: "T2" }, toTeam: "T1" }).error, "TEAM_NOT_ASSIGNED");
+  });
+
+  it("대기 신청 중복 · 팀별 목록 · 상태 필터", () => {
+    const requests = [
+      { memberId: "a", status: "approved", fromTeam: "T2", toTeam: "T1" },
+      { memberId: "b", status: "pending", fromTeam: "T1", toTeam: "" },
+      { memberId: "c", status: "pending", fromTeam: "T3", toTeam: "T4" },
+    ];
+    assert.equal(hasPendingTeamMove(requests, "a"), false);
+    assert.equal(hasPendingTeamMove(requests, "b"), true);
+    assert.deepEqual(
+      teamMovesForTeam(requests, "T1").map((r) => r.memberId),
+      ["a", "b"]
+    );
+    assert.deepEqual(parseTeamMoveStatusFilter(undefined), { ok: true, status: "pending" });
+    assert.equal(parseTeamMoveStatusFilter("done").ok, false);
+  });
+});
@@ -0,0 +1,124 @@
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+
+const sources = require(path.join(__dirname, "../../functions/lib/timing-sources/index.js"));
+const replay = require(path.join(__dirname, "../../functions/lib/scrape-replay.js"));
+const scraper = require(path.join(__dirname, "../../functions/lib/scraper.js"));
+
+const FIXTURE_DIR = path.join(__dirname, "fixtures/scraper");
+
+afterEach(() => replay.configureScrapeReplay({ mode: "live" }));
+
+/** 테스트용 최소 어댑터 */
+function fakeAdapter(overrides) {
+  return {
+    id: "fake",
+    label: "Fake",
+    politeness: { delayMs: 0 },
+    searchByName: async () => [],
+    getEventInfo: async (sourceId) => ({ title: `Fake ${sourceId}`, date: null }),
+    ...overrides,
+  };
+}
+
+describe("timing-sources registry", () => {
+  it("기본 5개 소스 — discover 순서 · 함수 유무로 정해지는 capability", () => {
+    assert.deepEqual(sources.timingSourceIds(), ["marazone", "myresult", "spct", "smartchip", "ohmyrace"]);
+    const sc = sources.getTimingSource("smartchip");
+    assert.equal(sc.capabilities.session, true);
+    assert.equal(sc.capabilities.searchByBib, true);
+    assert.equal(sc.capabilities.eventInfoDate, true);
+    assert.equal(sc.politeness.delayMs, 3000);
+    assert.equal(sources.getTimingSource("spct").capabilities.searchByBib, false);
+    assert.deepEqual(sources.getTimingSource("ohmyrace").capabilities.ranks, ["overall", "gender"]);
+    assert.equal(sources.timingSourceHasCapability("myresult", "session"), false);
+    assert.equal(sources.timingSourceHasCapability("manual", "discover"), false);
+    assert.equal(sources.getTimingSource("nope"), null);
+  });
+
+  it("응답용 설명은 함수 없이 JSON 그대로", () => {
+    const d = sources.describeTimingSource(sources.getTimingSource("marazone"));
+    assert.deepEqual(JSON.parse(JSON.stringify(d)), d);
+    assert.equal(d.healthUrl, "https://raceresult.co.kr/api/record-competitions");
+    assert.deepEqual(d.capabilities.ranks, ["overall", "gender", "ageGroup"]);
+  });
+
+  it("인터페이스 위반 · 중복 · 예약어 id 거절", () => {
+    assert.throws(() => sources.registerTimingSource(fakeAdapter({ id: "Bad Id" })), /잘못된 id/);
+    assert.throws(() => sources.registerTimingSource(fakeAdapter({ id: "manual" })), /예약/);
+    assert.throws(() => sources.registerTimingSource(fakeAdapter({ getEventInfo: undefined })), /getEventInfo/);
+    assert.throws(() => sources.registerTimingSource(fakeAdapter({ discover: "yes" })), /함수/);
+    assert.throws(() => sources.registerTimingSource(fakeAdapter({ capabilities: { ranks: ["age"] } })), /순위/);
+    assert.throws(() => sources.registerTimingSource(fakeAdapter({ politeness: {} })), /delayMs/);
+    assert.throws(() => sources.registerTimingSource(fakeAdapter({ id: "spct" })), /이미 등록/);
+  });
+
+  it("잡 성공률 — 대기 제외 · 등록 안 된 소스는 전체에만", () => {
+    const h = sources.scrapeJobHealthBySource(
+      [
+        { source: "spct", status: "complete" },
+        { source: "spct", status: "failed" },
+        { source: "smartchip", status: "confirmed" },
+        { source: "smartchip", status: "queued" },
+        { source: "manual", status: "confirmed" },
+      ],
+      ["spct", "smartchip"]
+    );
+    assert.deepEqual(h.bySource.spct, { total: 2, success: 1, failed: 1, rate: 50 });
+    assert.deepEqual(h.bySource.smartchip, { total: 1, success: 1, failed: 0, rate: 100 });
+    assert.deepEqual([h.total, h.success, h.failed, h.rate], [4, 3, 1, 75]);
+  });
+});
+
+describe("timing-sources — scraper 라우팅", () => {
+  it("새 소스는 파일 하나 + 등록만으로 검색·이벤트 정보·scrapeEvent 세션 재발급까지", async () => {
+    let sessions = 0;
+    const seen = [];
+    sources.registerTimingSource(
+      fakeAdapter({
+        id: "fakesession",
+        label: "FakeSession",
+        capabilities: { gender: true },
+        createSession: async () => `S${++sessions}`,
+        searchByName: async (sourceId, name, { session }) => {
+          seen.push(`${name}@${session}`);
+          // 첫 세션은 만료된 것으로
+          if (session === "S1") return null;
+          return [{ name, bib: "7", distance: "10K", netTime: "00:50:00" }];
+        },
+      })
+    );
+    assert.deepEqual(await scraper.getEventInfo("fakesession", "x1"), { title: "Fake x1", date: null });
+    assert.deepEqual(await scraper.searchMemberByBib("fakesession", "x1", "7"), []);
+    assert.equal(await scraper.createSourceSession("myresult"), "");
+
+    const out = await scraper.scrapeEvent({
+      source: "fakesession",
+      sourceId: "x1",
+      members: [{ realName: "가람", nickname: "garam", distance: "10K" }],
+      pbMap: null,
+    });
+    assert.deepEqual(seen, ["가람@S1", "가람@S2"]);
+    assert.deepEqual(
+      out.results.map((r) => [r.memberNickname, r.bib, r.status]),
+      [["garam", "7", "auto"]]
+    );
+  });
+
+  it("배번 검색 — 지원 소스는 녹화본 재생, 미지원·미등록 소스는 빈 배열", async () => {
+    replay.configureScrapeReplay({ mode: "replay", file: path.join(FIXTURE_DIR, "myresult.json") });
+    assert.deepEqual(
+      (await scraper.searchMemberByBib("myresult", "1187", " 50877 ")).map((r) => [r.name, r.bib, r.netTime]),
+      [["보라", "50877", "00:58:02"]]
+    );
+    replay.configureScrapeReplay({ mode: "replay", file: path.join(FIXTURE_DIR, "marazone.json") });
+    assert.deepEqual(
+      (await scraper.searchMemberByBib("marazone", "2026 춘천마라톤", "F1024")).map((r) => [r.name, r.bib, r.overallRank]),
+      [["가람", "F1024", 931]]
+    );
+    assert.deepEqual(await scraper.searchMemberByBib("spct", "2026101801", "15881"), []);
+    assert.deepEqual(await scraper.searchMember("nope", "1", "가람"), []);
+    assert.deepEqual(await scraper.getEventInfo("nope", "1"), { title: "1", date: null });
+  });
+});
@@ -0,0 +1,155 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+
+const {
+  isValidYear,
+  summarizeYearAttendance,
+  summarizeYearRaces,
+  summarizeYearChunbaek,
+  buildMemberYearSummary,
+  buildClubYearSummary,
+} = require(path.join(__dirname, "../../functions/lib/year-in-running.js"));
+
+function att(dateKey, meetingType, over) {
+  return { memberId: "m-garam", meetingDateKey: dateKey, monthKey: dateKey.slice(0, 7).replace("/", "-"), meetingType, ...over };
+}
+
+// 2026/03/03 화 · 03/05 목 · 03/07 토 · (03/10 화 결석) · 03/12 목 · 03/14 토
+const ATTENDANCE = [
+  att("2025/12/30", "TUE"),
+  att("2026/03/03", "TUE", { runLog: { distanceKm: 8, durationSec: 2880 } }),
+  att("2026/03/05", "THU"),
+  att("2026/03/05", "THU"),
+  att("2026/03/07", "SAT", { runLog: { distanceKm: 12.5, durationSec: 4500 } }),
+  att("2026/03/12", "THU"),
+  att("2026/03/14", "SAT"),
+  att("2026/03/14", "SAT", { isGuest: true }),
+];
+
+function race(eventDate, distance, netTime, over) {
+  return { memberId: "m-garam", eventDate, distance, netTime, eventName: `대회 ${eventDate}`, status: "confirmed", ...over };
+}
+
+const RACES = [
+  race("2025-03-16", "full", "03:40:00"),
+  race("2025-10-12", "10K", "00:50:00"),
+  race("2026-03-15", "full", "03:30:00"),
+  race("2026-04-05", "10K", "00:45:00"),
+  race("2026-05-01", "하프", "1:50:00"),
+  race("2026-11-01", "full", "03:35:00"),
+  race("2026-06-01", "10K", "", { status: "dns" }),
+];
+
+describe("isValidYear", () => {
+  it("네 자리 연도만", () => {
+    assert.equal(isValidYear("2026"), true);
+    assert.equal(isValidYear(2026), true);
+    assert.equal(isValidYear("26"), false);
+    assert.equal(isValidYear(""), false);
+  });
+});
+
+describe("summarizeYearAttendance", () => {
+  it("그 해 · 게스트 제외 · 같은 세션은 한 번 · 최장 연속은 그 해 출석만으로", () => {
+    const s = summarizeYearAttendance(ATTENDANCE, "2026");
+    assert.equal(s.attended, 5);
+    assert.equal(s.longestStreak, 3);
+    assert.equal(s.runLogCount, 2);
+    assert.equal(s.runLogKm, 20.5);
+  });
+
+  it("출석이 없으면 0", () => {
+    assert.deepEqual(summarizeYearAttendance([], "2026"), { attended: 0, longestStreak: 0, runLogCount: 0, runLogKm: 0 });
+  });
+});
+
+describe("summarizeYearRaces", () => {
+  it("완주 수 · 거리 합 · 지난해 기록 대비 PB 경신 · 첫 완주", () => {
+    const s = summarizeYearRaces(RACES, "2026");
+    assert.equal(s.finished, 4);
+    assert.equal(s.totalKm, 115.5);
+    assert.deepEqual(s.byDistance, { full: 2, "10K": 1, half: 1 });
+    assert.equal(s.pbsImproved, 2);
+    assert.equal(s.firstFinishes, 1);
+    assert.deepEqual(s.bests.map((b) => [b.distance, b.netTime]), [
+      ["full", "03:30:00"],
+      ["half", "1:50:00"],
+      ["10K", "00:45:00"],
+    ]);
+  });
+
+  it("가장 크게 줄인 기록은 비율 기준", () => {
+    const b = summarizeYearRaces(RACES, "2026").biggestImprovement;
+    assert.equal(b.distance, "10K");
+    assert.equal(b.fromTime, "00:50:00");
+    assert.equal(b.toTime, "00:45:00");
+    assert.equal(b.improvedSec, 300);
+    assert.equal(b.improvedPct, 10);
+  });
+
+  it("같은 해 안에서 다시 줄이면 그것도 경신", () => {
+    const s = summarizeYearRaces([race("2026-03-01", "5K", "00:25:00"), race("2026-09-01", "5K", "00:24:00")], "2026");
+    assert.equal(s.firstFinishes, 1);
+    assert.equal(s.pbsImproved, 1);
+  });
+});
+
+describe("summarizeYearChunbaek", () => {
+  const slots = [
+    { id: "901", dayIndex: 901, week: 0 },
+    { id: "1", dayIndex: 1, week: 1 },
+    { id: "2", dayIndex: 2, week: 1 },
+    { id: "3", dayIndex: 3, week: 1 },
+  ];
+  const config = { startDate: "2026-03-01" };
+
+  it("그 해 시즌 슬롯 중 출석한 날 (베타 제외)", () => {
+    const attendanceMap = { 901: { attended: true }, 1: { attended: true }, 3: { attended: true }, 2: { attended: false } };
+    assert.deepEqual(summarizeYearChunbaek({ slots, attendanceMap, config }, "2026"), { attended: 2, days: 3 });
+  });
+
+  it("그 해에 시즌이 없으면 null", () => {
+    assert.equal(summarizeYearChunbaek({ slots, attendanceMap: {}, config }, "2025"), null);
+    assert.equal(summarizeYearChunbaek(null, "2026"), null);
+  });
+});
+
+describe("buildClubYearSummary", () => {
+  const garam = buildMemberYearSummary({
+    year: 2026,
+    member: { id: "m-garam", nickname: "가람", team: "A" },
+    attendanceDocs: ATTENDANCE,
+    raceResults: RACES,
+  });
+  const bora = buildMemberYearSummary({
+    year: 2026,
+    member: { id: "m-bora", nickname: "보라", team: "B" },
+    attendanceDocs: [att("2026/03/03", "TUE", { memberId: "m-bora" })],
+    raceResults: [race("2026-05-01", "10K", "00:55:00", { memberId: "m-bora" })],
+  });
+  const idle = buildMemberYearSummary({ year: "2026", member: { id: "m-idle", nickname: "휴면" } });
+
+  it("회원 요약", () => {
+    assert.equal(garam.year, "2026");
+    assert.equal(garam.active, true);
+    assert.equal(garam.chunbaek, null);
+    assert.equal(idle.active, false);
+  });
+
+  it("활동 회원 합계와 부문별 상위", () => {
+    const club = buildClubYearSummary([garam, bora, idle]);
+    assert.equal(club.year, "2026");
+    assert.equal(club.activeMembers, 2);
+    assert.equal(club.totals.meetings, 6);
+    assert.equal(club.totals.races, 5);
+    assert.equal(club.totals.raceKm, 125.5);
+    assert.deepEqual(club.leaders.meetings.map((l) => [l.nickname, l.value]), [["가람", 5], ["보라", 1]]);
+    assert.deepEqual(club.leaders.pbsImproved.map((l) => l.memberId), ["m-garam"]);
+    assert.equal(club.leaders.biggestImprovement[0].improvement.distance, "10K");
+  });
+
+  it("leaders 개수 제한", () => {
+    assert.equal(buildClubYearSummary([garam, bora], { leaders: 1 }).leaders.races.length, 1);
+  });
+});
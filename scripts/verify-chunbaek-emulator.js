@@ -7,7 +7,9 @@ const assert = require("node:assert/strict");
 const BASE = process.env.CHUNBAEK_API
   || "http://127.0.0.1:5001/dmc-attendance/asia-northeast3/chunbaek";
 
-const ADMIN_PW = process.env.DMC_ADMIN_PW || "dmc2008";
+/** seed-emulator-chunbaek.js 운영진 계정 */
+const ADMIN_USER = "emulator.coach";
+const ADMIN_PASSWORD = "emulator-coach-pw";
 const BETA_DAY_INDEX_BASE = 901;
 const DEFAULT_BETA_START = "2026-07-13";
 const SEASON_START = "2026-07-20";
@@ -32,9 +34,9 @@ function betaSlotIdForToday(today) {
   return BETA_DAY_INDEX_BASE + offset;
 }
 
-async function apiGet(action, params = {}) {
+async function apiGet(action, params = {}, adminToken) {
   const qs = new URLSearchParams({ action, ...params });
-  const res = await fetch(`${BASE}?${qs}`);
+  const res = await fetch(`${BASE}?${qs}`, adminToken ? { headers: { Authorization: `Bearer ${adminToken}` } } : {});
   return { status: res.status, data: await res.json() };
 }
 
@@ -53,6 +55,11 @@ async function apiPost(action, body, token) {
   const ping = await apiGet("ping");
   assert.equal(ping.data.ok, true);
 
+  const login = await apiPost("verify-admin", { username: ADMIN_USER, pw: ADMIN_PASSWORD });
+  assert.equal(login.status, 200, login.data?.error);
+  const adminToken = login.data.token;
+  assert.ok(adminToken);
+
   const roster = await apiGet("members-roster");
   assert.equal(roster.data.ok, true);
   assert.ok(roster.data.members.length >= 2);
@@ -69,10 +76,10 @@ async function apiPost(action, body, token) {
   assert.ok(token);
 
   const today = todayKstDate();
-  const weekForToday = await apiGet("admin-week-slots", { week: 1, adminPw: ADMIN_PW });
+  const weekForToday = await apiGet("admin-week-slots", { week: 1 }, adminToken);
   assert.equal(weekForToday.status, 200, weekForToday.data?.error);
   const alignedWeek = await apiPost("admin-save-week-slots", {
-    adminPw: ADMIN_PW,
+    adminToken,
     week: 1,
     rows: weekForToday.data.slots.map((s, idx) => ({
       dayIndex: s.dayIndex,
@@ -83,11 +90,11 @@ async function apiPost(action, body, token) {
     })),
   });
   assert.equal(alignedWeek.status, 200, alignedWeek.data?.error);
-  const weekTwo = await apiGet("admin-week-slots", { week: 2, adminPw: ADMIN_PW });
+  const weekTwo = await apiGet("admin-week-slots", { week: 2 }, adminToken);
   assert.equal(weekTwo.status, 200, weekTwo.data?.error);
   if (weekTwo.data.slots.length) {
     const alignedWeekTwo = await apiPost("admin-save-week-slots", {
-      adminPw: ADMIN_PW,
+      adminToken,
       week: 2,
       rows: weekTwo.data.slots.map((s, idx) => ({
         dayIndex: s.dayIndex,
@@ -182,15 +189,12 @@ async function apiPost(action, body, token) {
   }, token);
   assert.equal(dup.status, 400);
 
-  const pendingList = await apiGet("admin-list-exception-requests", {
-    adminPw: ADMIN_PW,
-    status: "pending",
-  });
+  const pendingList = await apiGet("admin-list-exception-requests", { status: "pending" }, adminToken);
   assert.equal(pendingList.status, 200, pendingList.data?.error);
   assert.ok(pendingList.data.requests.some((r) => r.requestId === reqExc.data.requestId));
 
   const approved = await apiPost("admin-review-exception-request", {
-    adminPw: ADMIN_PW,
+    adminToken,
     requestId: reqExc.data.requestId,
     decision: "approve",
     reviewNote: "확인",
@@ -207,35 +211,33 @@ async function apiPost(action, body, token) {
   assert.ok(Array.isArray(cleared.data.clearedSlotIds));
 
   // --- admin smoke ---
-  const badVerify = await apiPost("verify-admin", { pw: "wrong" });
+  const badVerify = await apiPost("verify-admin", { username: ADMIN_USER, pw: "wrong" });
   assert.equal(badVerify.status, 401);
 
-  const verify = await apiPost("verify-admin", { pw: ADMIN_PW });
-  assert.equal(verify.status, 200);
-  assert.equal(verify.data.ok, true);
-  assert.ok(verify.data.role);
+  const session = await apiGet("admin-grid", { week: 1 }, adminToken);
+  assert.equal(session.status, 200, session.data?.error);
 
-  const noAdminPw = await apiGet("admin-grid", { week: 1 });
-  assert.equal(noAdminPw.status, 401);
-  assert.equal(noAdminPw.data.error, "adminPw required");
+  const noAdminSession = await apiGet("admin-grid", { week: 1 });
+  assert.equal(noAdminSession.status, 401);
+  assert.equal(noAdminSession.data.error, "ADMIN_SESSION_REQUIRED");
 
-  const week0 = await apiGet("admin-week-slots", { week: 0, adminPw: ADMIN_PW });
+  const week0 = await apiGet("admin-week-slots", { week: 0 }, adminToken);
   assert.equal(week0.status, 200);
   assert.equal(week0.data.ok, true);
   assert.ok(week0.data.slots.length >= 1);
 
-  const grid0 = await apiGet("admin-grid", { week: 0, adminPw: ADMIN_PW });
+  const grid0 = await apiGet("admin-grid", { week: 0 }, adminToken);
   assert.equal(grid0.status, 200);
   assert.equal(grid0.data.ok, true);
 
-  const grid = await apiGet("admin-grid", { week: 1, adminPw: ADMIN_PW });
+  const grid = await apiGet("admin-grid", { week: 1 }, adminToken);
   assert.equal(grid.status, 200);
   assert.equal(grid.data.ok, true);
   assert.ok(Array.isArray(grid.data.slots));
   assert.ok(Array.isArray(grid.data.members));
   assert.ok(grid.data.members.length >= 2);
 
-  const directory = await apiGet("admin-member-directory", { adminPw: ADMIN_PW });
+  const directory = await apiGet("admin-member-directory", {}, adminToken);
   assert.equal(directory.status, 200);
   assert.equal(directory.data.ok, true);
   assert.ok(Array.isArray(directory.data.members));
@@ -243,7 +245,7 @@ async function apiPost(action, body, token) {
   assert.ok(typeof directory.data.participantCount === "number");
 
   const setParticipant = await apiPost("admin-set-participant", {
-    adminPw: ADMIN_PW,
+    adminToken,
     memberId: "chunbaek_seed_b",
     participant: true,
   });
@@ -252,7 +254,7 @@ async function apiPost(action, body, token) {
   assert.equal(setParticipant.data.participant, true);
 
   const unsetParticipant = await apiPost("admin-set-participant", {
-    adminPw: ADMIN_PW,
+    adminToken,
     memberId: "chunbaek_seed_b",
     participant: false,
   });
@@ -261,7 +263,7 @@ async function apiPost(action, body, token) {
   assert.equal(unsetParticipant.data.participant, false);
 
   const setAtt = await apiPost("admin-set-attendance", {
-    adminPw: ADMIN_PW,
+    adminToken,
     memberId: "chunbaek_seed_a",
     slotId: 2,
     attended: true,
@@ -271,13 +273,13 @@ async function apiPost(action, body, token) {
   assert.equal(setAtt.data.ok, true);
   assert.equal(setAtt.data.attended, true);
 
-  const weekSlots = await apiGet("admin-week-slots", { week: 1, adminPw: ADMIN_PW });
+  const weekSlots = await apiGet("admin-week-slots", { week: 1 }, adminToken);
   assert.equal(weekSlots.status, 200);
   assert.equal(weekSlots.data.ok, true);
   assert.ok(weekSlots.data.slots.length >= 1);
 
   const saveWeek = await apiPost("admin-save-week-slots", {
-    adminPw: ADMIN_PW,
+    adminToken,
     week: 1,
     rows: weekSlots.data.slots.map((s) => ({
       dayIndex: s.dayIndex,
@@ -292,7 +294,7 @@ async function apiPost(action, body, token) {
   assert.ok(saveWeek.data.saved >= 1);
 
   const importRes = await apiPost("admin-import-slots", {
-    adminPw: ADMIN_PW,
+    adminToken,
     mode: "merge",
     rows: [
       {
@@ -1,3 +1,8 @@
+importScripts("assets/attendance-checkin-queue.js?v=20261019");
+
+const checkinQueue = self.DmcAttendanceCheckinQueue;
+let replayInFlight = null;
+
 self.addEventListener("install", (event) => {
   self.skipWaiting();
 });
@@ -9,3 +14,53 @@ self.addEventListener("activate", (event) => {
 self.addEventListener("fetch", () => {
   // Dedicated-tablet installability only. Keep network behavior unchanged.
 });
+
+async function notifyClients(result) {
+  const clients = await self.clients.matchAll({ type: "window", includeUncontrolled: true });
+  clients.forEach((client) => {
+    client.postMessage({
+      type: checkinQueue.MSG_UPDATED,
+      doneCount: result.done.length,
+      droppedCount: result.dropped.length,
+      expiredCount: result.expired.length,
+      pendingCount: result.pendingCount,
+      dropped: result.dropped.map((e) => ({ id: e.id, nickname: e.nickname, error: e.lastError })),
+    });
+  });
+}
+
+/** 키오스크 오프라인 출석 큐 재전송 — 동시 요청은 하나로 합친다 */
+function replayCheckinQueue() {
+  if (replayInFlight) return replayInFlight;
+  replayInFlight = checkinQueue
+    .replayQueue({
+      store: checkinQueue.createIdbQueueStore(self.indexedDB),
+      fetchImpl: (url, init) => fetch(url, init),
+    })
+    .then(async (result) => {
+      await notifyClients(result);
+      return result;
+    })
+    .finally(() => {
+      replayInFlight = null;
+    });
+  return replayInFlight;
+}
+
+self.addEventListener("sync", (event) => {
+  if (event.tag === checkinQueue.SYNC_TAG) {
+    // 남은 항목이 있으면 reject → 브라우저가 나중에 sync 를 다시 발생시킨다
+    event.waitUntil(
+      replayCheckinQueue().then((result) => {
+        if (result.pendingCount > 0) throw new Error("checkin queue pending");
+      })
+    );
+  }
+});
+
+self.addEventListener("message", (event) => {
+  const data = event.data || {};
+  if (data.type === checkinQueue.MSG_REPLAY) {
+    event.waitUntil(replayCheckinQueue().catch(() => {}));
+  }
+});
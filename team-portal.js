@@ -0,0 +1,364 @@
+(function () {
+  const IS_LOCAL =
+    location.hostname === "localhost" ||
+    location.hostname === "127.0.0.1" ||
+    location.hostname.startsWith("192.168.") ||
+    location.hostname.startsWith("172.");
+
+  /** Race API — verify-admin · members · update-member (attendance-admin.js와 동일) */
+  const RACE_API = IS_LOCAL
+    ? "http://127.0.0.1:5001/dmc-attendance/asia-northeast3/race"
+    : "https://race-nszximpvtq-du.a.run.app";
+
+  /** Attendance API — team-portal · team-member-note */
+  const ATTENDANCE_API = IS_LOCAL
+    ? "http://" + location.hostname + ":5001/dmc-attendance/asia-northeast3/attendance"
+    : "https://asia-northeast3-dmc-attendance.cloudfunctions.net/attendance";
+
+  const TEAM_LABEL = { "": "미정", S: "S팀", T1: "1팀", T2: "2팀", T3: "3팀", T4: "4팀", T5: "5팀" };
+  const MOVE_STATUS_LABEL = { pending: "승인 대기", approved: "승인", rejected: "반려" };
+
+  const Session = window.DmcAdminSession;
+  /** 팀 포털을 쓰는 역할 (서버 capability "team") — 팀장은 본인 팀만, 오너·운영진은 팀 선택 */
+  const PORTAL_ROLES = ["team_leader", "owner", "operator"];
+
+  let portal = null;
+  let allMembers = [];
+
+  function isAuthed() {
+    const account = Session.account();
+    return !!account && PORTAL_ROLES.indexOf(account.role) >= 0;
+  }
+
+  function isTeamLeader() {
+    const account = Session.account();
+    return !!account && account.role === "team_leader";
+  }
+
+  function adminJsonHeaders() {
+    return Session.headers({ "Content-Type": "application/json" });
+  }
+
+  function showToast(msg, isError) {
+    const t = document.getElementById("toast");
+    if (!t) return;
+    t.textContent = msg;
+    t.classList.toggle("error", !!isError);
+    t.classList.add("show");
+    clearTimeout(showToast._timer);
+    showToast._timer = setTimeout(function () {
+      t.classList.remove("show");
+    }, isError ? 4000 : 2200);
+  }
+
+  function esc(s) {
+    return String(s || "")
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  }
+
+  function teamLabel(code) {
+    const c = String(code || "").trim().toUpperCase();
+    return TEAM_LABEL[c] || c;
+  }
+
+  function shortDate(dateKey) {
+    const p = String(dateKey || "").split("/");
+    return p.length === 3 ? Number(p[1]) + "/" + Number(p[2]) : "";
+  }
+
+  function formatIsoKst(iso) {
+    if (!iso) return "";
+    const d = new Date(iso);
+    if (isNaN(d.getTime())) return "";
+    return d.toLocaleString("ko-KR", {
+      timeZone: "Asia/Seoul",
+      month: "numeric",
+      day: "numeric",
+      hour: "2-digit",
+      minute: "2-digit"
+    });
+  }
+
+  function emptyRow(colspan, text, isError) {
+    return (
+      '<tr><td colspan="' +
+      colspan +
+      '" style="text-align:center;color:var(' +
+      (isError ? "--dmc-color-danger" : "--dmc-color-text-muted") +
+      ');padding:24px">' +
+      esc(text) +
+      "</td></tr>"
+    );
+  }
+
+  function revealShell() {
+    document.getElementById("authOverlay").style.display = "none";
+    document.getElementById("shell").classList.add("show");
+    const account = Session.account();
+    document.getElementById("topbarMeta").textContent =
+      (account.displayName || account.username) + " · " + (account.roleLabel || account.role);
+    document.getElementById("teamPickBar").hidden = isTeamLeader();
+    loadPortal().catch(function () {});
+    loadAllMembers().catch(function () {});
+  }
+
+  async function tryAuth() {
+    const username = document.getElementById("authUser").value.trim();
+    const pw = document.getElementById("authPw").value;
+    const errEl = document.getElementById("authError");
+    try {
+      const data = await Session.login(RACE_API + "?action=verify-admin", username, pw);
+      if (data.ok && PORTAL_ROLES.indexOf(data.account.role) >= 0) {
+        errEl.style.display = "none";
+        document.getElementById("authPw").value = "";
+        revealShell();
+      } else {
+        if (data.ok) await Session.logout(RACE_API + "?action=admin-logout");
+        errEl.style.display = "block";
+        document.getElementById("authPw").value = "";
+        document.getElementById("authPw").focus();
+      }
+    } catch (_) {
+      errEl.style.display = "block";
+    }
+  }
+
+  /** 세션 만료·폐기(401) — 로그인 화면으로 */
+  function handleSessionExpired() {
+    Session.clear();
+    document.getElementById("shell").classList.remove("show");
+    document.getElementById("authOverlay").style.display = "";
+    showToast("로그인이 만료되었습니다. 다시 로그인하세요", true);
+  }
+
+  async function postAttendance(action, payload) {
+    const res = await fetch(ATTENDANCE_API + "?action=" + action, {
+      method: "POST",
+      headers: adminJsonHeaders(),
+      body: JSON.stringify(payload || {})
+    });
+    const data = await res.json();
+    if (!data.ok) {
+      if (res.status === 401) handleSessionExpired();
+      throw new Error(data.error || "요청 실패");
+    }
+    return data;
+  }
+
+  async function loadPortal() {
+    const payload = isTeamLeader() ? {} : { team: document.getElementById("teamPick").value };
+    document.getElementById("gridBody").innerHTML = emptyRow(1, "불러오는 중…");
+    try {
+      portal = await postAttendance("team-portal", payload);
+    } catch (e) {
+      document.getElementById("gridBody").innerHTML = emptyRow(1, e.message || "로드 실패", true);
+      return;
+    }
+    document.getElementById("portalTitle").textContent = portal.teamLabel + " 팀장 포털";
+    renderStats();
+    renderGrid();
+    renderNotes();
+    renderMoves();
+    renderMoveMemberList();
+  }
+
+  async function loadAllMembers() {
+    const res = await fetch(RACE_API + "?action=members");
+    const data = await res.json();
+    if (data.ok) {
+      allMembers = data.members || [];
+      renderMoveMemberList();
+    }
+  }
+
+  function renderStats() {
+    const members = portal.members || [];
+    const meetings = portal.meetings || [];
+    const last = meetings[meetings.length - 1];
+    document.getElementById("statMembers").textContent = String(members.length);
+    document.getElementById("statLastMeeting").textContent = last
+      ? last.attended + "명 (" + shortDate(last.dateKey) + ")"
+      : "—";
+    document.getElementById("statStreak").textContent = String(
+      members.filter(function (m) {
+        return m.streak >= 3;
+      }).length
+    );
+  }
+
+  function renderGrid() {
+    const meetings = portal.meetings || [];
+    const members = portal.members || [];
+    document.getElementById("gridHead").innerHTML =
+      "<tr><th>닉네임</th><th>연속</th>" +
+      meetings
+        .map(function (m) {
+          return '<th class="meet">' + esc(shortDate(m.dateKey)) + "<br>" + m.attended + "</th>";
+        })
+        .join("") +
+      "</tr>";
+    const body = document.getElementById("gridBody");
+    if (!members.length) {
+      body.innerHTML = emptyRow(meetings.length + 2, "팀원이 없습니다");
+      return;
+    }
+    body.innerHTML = members
+      .map(function (m) {
+        const attended = new Set(m.attended || []);
+        return (
+          "<tr><td>" +
+          esc(m.nickname) +
+          "</td><td>" +
+          (m.streak || 0) +
+          "</td>" +
+          meetings
+            .map(function (mt) {
+              return attended.has(mt.dateKey) ? '<td class="hit">●</td>' : '<td class="miss">·</td>';
+            })
+            .join("") +
+          "</tr>"
+        );
+      })
+      .join("");
+  }
+
+  function renderNotes() {
+    const members = portal.members || [];
+    const body = document.getElementById("noteBody");
+    if (!members.length) {
+      body.innerHTML = emptyRow(4, "팀원이 없습니다");
+      return;
+    }
+    body.innerHTML = members
+      .map(function (m) {
+        const meta = m.noteUpdatedAt ? esc(m.noteUpdatedBy) + " · " + esc(formatIsoKst(m.noteUpdatedAt)) : "";
+        return (
+          "<tr><td>" +
+          esc(m.nickname) +
+          "</td><td>" +
+          esc(m.lastDateKey || "—") +
+          '</td><td class="note-cell"><textarea data-member-id="' +
+          esc(m.memberId) +
+          '" maxlength="500">' +
+          esc(m.note) +
+          '</textarea><div class="hint">' +
+          meta +
+          '</div></td><td><button type="button" class="btn btn-outline btn-sm note-save-btn" data-member-id="' +
+          esc(m.memberId) +
+          '">저장</button></td></tr>'
+        );
+      })
+      .join("");
+  }
+
+  function renderMoves() {
+    const moves = portal.moves || [];
+    const body = document.getElementById("moveBody");
+    if (!moves.length) {
+      body.innerHTML = emptyRow(4, "신청이 없습니다");
+      return;
+    }
+    body.innerHTML = moves
+      .map(function (r) {
+        const status = MOVE_STATUS_LABEL[r.status] || r.status;
+        return (
+          "<tr><td>" +
+          esc(r.nickname) +
+          "</td><td>" +
+          esc(teamLabel(r.fromTeam)) +
+          " → " +
+          esc(teamLabel(r.toTeam)) +
+          (r.reason ? '<br><span class="hint">' + esc(r.reason) + "</span>" : "") +
+          "</td><td>" +
+          esc(status) +
+          (r.reviewNote ? '<br><span class="hint">' + esc(r.reviewNote) + "</span>" : "") +
+          "</td><td>" +
+          esc(r.requestedBy) +
+          "<br>" +
+          esc(formatIsoKst(r.createdAt)) +
+          "</td></tr>"
+        );
+      })
+      .join("");
+  }
+
+  function renderMoveMemberList() {
+    const list = document.getElementById("moveMemberList");
+    list.innerHTML = allMembers
+      .map(function (m) {
+        return '<option value="' + esc(m.nickname) + '">' + esc(teamLabel(m.team)) + "</option>";
+      })
+      .join("");
+  }
+
+  async function saveNote(memberId) {
+    const ta = document.querySelector('textarea[data-member-id="' + memberId + '"]');
+    if (!ta) return;
+    try {
+      await postAttendance("team-member-note", { memberId: memberId, note: ta.value });
+      showToast("메모 저장");
+      await loadPortal();
+    } catch (e) {
+      showToast(e.message || "저장 실패", true);
+    }
+  }
+
+  async function submitMove() {
+    const nickname = document.getElementById("moveMember").value.trim();
+    const member = allMembers.find(function (m) {
+      return m.nickname === nickname;
+    });
+    if (!member) {
+      showToast("회원을 목록에서 고르세요", true);
+      return;
+    }
+    const toTeam = document.getElementById("moveTo").value;
+    const reason = document.getElementById("moveReason").value.trim();
+    if (!confirm(member.nickname + ": " + teamLabel(member.team) + " → " + teamLabel(toTeam) + " 이동을 신청할까요?")) return;
+    try {
+      const res = await fetch(RACE_API + "?action=update-member", {
+        method: "POST",
+        headers: adminJsonHeaders(),
+        body: JSON.stringify({ id: member.id, team: toTeam, reason: reason })
+      });
+      const data = await res.json();
+      if (!data.ok) {
+        if (res.status === 401) handleSessionExpired();
+        throw new Error(data.error === "TEAM_MOVE_PENDING" ? "이미 대기 중인 신청이 있습니다" : data.error || "신청 실패");
+      }
+      showToast(data.pending ? "신청 완료 — 운영진 승인 대기" : "팀 변경 완료");
+      document.getElementById("moveMember").value = "";
+      document.getElementById("moveReason").value = "";
+      await Promise.all([loadPortal(), loadAllMembers()]);
+    } catch (e) {
+      showToast(e.message || "신청 실패", true);
+    }
+  }
+
+  /* —— Bindings —— */
+
+  document.getElementById("authBtn").addEventListener("click", tryAuth);
+  document.getElementById("authPw").addEventListener("keydown", function (e) {
+    if (e.key === "Enter") tryAuth();
+  });
+  document.getElementById("logoutBtn").addEventListener("click", function () {
+    Session.logout(RACE_API + "?action=admin-logout").then(function () {
+      location.reload();
+    });
+  });
+  document.getElementById("teamReload").addEventListener("click", function () {
+    loadPortal().catch(function () {});
+  });
+  document.getElementById("noteBody").addEventListener("click", function (e) {
+    const btn = e.target.closest(".note-save-btn");
+    if (btn) saveNote(btn.getAttribute("data-member-id"));
+  });
+  document.getElementById("moveSubmit").addEventListener("click", function () {
+    submitMove().catch(function () {});
+  });
+
+  if (isAuthed()) revealShell();
+})();